@@ -13,6 +13,7 @@ import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { createServer } from "http";
 import { initializeWebSocket } from "./src/module/notifications/websocket/notification.websocket.js";
+import { registerEmailListener } from "./src/module/notifications/events/email.listener.js";
 
 // Configuraciones
 config();
@@ -24,6 +25,12 @@ import "./src/config/rsync.client.js";
 
 // Rutas principales
 import expDigitalRoutes from "./src/module/exp-digital/routes/index.routes.js";
+import notificationRoutes from "./src/module/notifications/routes/notification.routes.js";
+
+// Tareas programadas
+import jobScheduler from "./src/module/core/scheduler/services/job-scheduler.service.js";
+import { registerExpDigitalJobs } from "./src/module/exp-digital/jobs/index.js";
+import { registerNotificationJobs } from "./src/module/notifications/jobs/index.js";
 
 // Middlewares de autenticación y permisos
 import { auth, verifyModuleAccess } from "./src/middlewares/auth.js";
@@ -117,6 +124,11 @@ const corsOptions = {
     "X-Forwarded-For",
     "X-Real-IP",
     "User-Agent",
+    "If-Match",
+    "If-None-Match",
+    "Range",
+    "If-Range",
+    "X-Session-Id",
   ],
   exposedHeaders: [
     "X-Total-Count",
@@ -125,6 +137,10 @@ const corsOptions = {
     "X-Rate-Limit-Limit",
     "X-Rate-Limit-Remaining",
     "X-Rate-Limit-Reset",
+    "ETag",
+    "Accept-Ranges",
+    "Content-Range",
+    "Content-Length",
   ],
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -381,6 +397,7 @@ app.get("/api/status", (req, res) => {
 
 // Aplicar rutas del módulo con prefijo
 app.use("/api/exp-digital", expDigitalRoutes);
+app.use("/api/notifications", notificationRoutes);
 app.use("*", smartNotFoundHandler);
 // =============================================================================
 // MANEJO DE ERRORES
@@ -484,6 +501,8 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = (signal) => {
   console.log(`\n🔄 Recibida señal ${signal}, cerrando servidor...`);
 
+  jobScheduler.stop();
+
   server.close((err) => {
     if (err) {
       console.error("❌ Error al cerrar el servidor:", err);
@@ -534,12 +553,18 @@ const server = app.listen(PORT, () => {
   if (NODE_ENV === "development") {
     setupRouteMapper(app);
   }
+
+  // Iniciar tareas programadas
+  registerExpDigitalJobs(jobScheduler);
+  registerNotificationJobs(jobScheduler);
+  jobScheduler.start();
 });
 
 //mapRoutes(app);
 
 const httpServer = createServer(app);
 initializeWebSocket(httpServer);
+registerEmailListener();
 // Iniciar servidor
 httpServer.listen(PORTSOCKECT, () => {
   console.log(`🚀 Servidor corriendo en puerto ${PORTSOCKECT}`);
@@ -0,0 +1,402 @@
+// =============================================================================
+// scripts/dedupe-storage.js
+// Migración: agrupar los archivos existentes por checksum en contenidos
+// compartidos (StorageBlob) y eliminar las copias físicas duplicadas
+// =============================================================================
+
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { FileRepository } from "../src/module/exp-digital/repositories/file.repository.js";
+import { StorageBlobRepository } from "../src/module/exp-digital/repositories/storage-blob.repository.js";
+import { StorageService } from "../src/module/exp-digital/services/storage.service.js";
+import { getStorageDriver } from "../src/config/storage/storage.drivers.js";
+
+// Cargar variables de entorno
+dotenv.config();
+
+// Función para parsear argumentos de línea de comandos
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const parsed = {};
+
+  args.forEach((arg) => {
+    if (arg.startsWith("--")) {
+      const [key, value] = arg.replace("--", "").split("=");
+      parsed[key] = value === undefined ? true : value;
+    }
+  });
+
+  return parsed;
+}
+
+const args = parseArgs();
+
+const DEDUPE_CONFIG = {
+  dryRun: Boolean(args["dry-run"]),
+  // Máximo de grupos (hashes) a procesar
+  maxGroups: args.max ? parseInt(args.max) : null,
+  // Conservar las copias duplicadas (solo enlazar los registros al blob)
+  keepDuplicates: Boolean(args["keep-duplicates"]),
+};
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+class StorageDeduplicator {
+  constructor() {
+    this.fileRepo = new FileRepository();
+    this.blobRepo = new StorageBlobRepository();
+    this.storageService = new StorageService();
+    this.stats = {
+      groups: 0,
+      filesLinked: 0,
+      sharedGroups: 0,
+      copiesRemoved: 0,
+      bytesFreed: 0,
+      unverified: 0,
+      errors: [],
+    };
+  }
+
+  /**
+   * Conectar a MongoDB
+   */
+  async connect() {
+    const mongoUri =
+      process.env.MONGO_URI || "mongodb://127.0.0.1:27017/labella";
+    console.log(
+      `🔌 Conectando a MongoDB: ${mongoUri.replace(/\/\/[^:]+:[^@]+@/, "//***:***@")}`
+    );
+
+    await mongoose.connect(mongoUri);
+    console.log("✅ Conectado a MongoDB");
+  }
+
+  async disconnect() {
+    await mongoose.disconnect();
+    console.log("🔌 Desconectado de MongoDB");
+  }
+
+  /**
+   * Ejecutar la migración
+   */
+  async run() {
+    console.log("\n" + "=".repeat(80));
+    console.log("♻️  DEDUPLICACIÓN DE ALMACENAMIENTO POR CHECKSUM");
+    console.log("=".repeat(80));
+    console.log(`   Dry run: ${DEDUPE_CONFIG.dryRun ? "Sí" : "No"}`);
+    console.log(
+      `   Conservar duplicados: ${DEDUPE_CONFIG.keepDuplicates ? "Sí" : "No"}`
+    );
+
+    await this.connect();
+
+    try {
+      const groups = await this._loadGroups();
+      console.log(`\n📦 ${groups.length} checksums sin contenido compartido`);
+
+      for (const group of groups) {
+        this.stats.groups++;
+        try {
+          await this.dedupeGroup(group._id, group.fileIds);
+        } catch (error) {
+          console.error(`❌ Error en ${group._id}: ${error.message}`);
+          this.stats.errors.push({ hash: group._id, error: error.message });
+        }
+      }
+    } finally {
+      this._printFinalSummary();
+      await this.disconnect();
+    }
+  }
+
+  /**
+   * Enlazar los archivos de un checksum a un único contenido compartido
+   * @param {String} hash - SHA-256 del contenido
+   * @param {Array} fileIds - Archivos con ese checksum
+   */
+  async dedupeGroup(hash, fileIds) {
+    const files = await this.fileRepo.model
+      .find({ _id: { $in: fileIds } })
+      .select("systemName fileInfo storage rsyncInfo")
+      .lean();
+
+    const existingBlob = await this.blobRepo.model.findOne({ hash }).lean();
+    const blobCopies = (existingBlob?.copies || [])
+      .filter((copy) => copy.status === "SYNCED")
+      .map(({ _id, ...copy }) => copy);
+
+    // Copias de destino: las del blob existente o las verificadas de un archivo
+    const targetCopies =
+      blobCopies.length > 0
+        ? blobCopies
+        : await this._findVerifiedCopies(hash, files);
+
+    if (targetCopies.length === 0) {
+      console.warn(
+        `⚠️ ${hash.slice(0, 12)}: ninguna copia coincide con el checksum, se omite`
+      );
+      this.stats.unverified++;
+      return;
+    }
+
+    if (files.length > 1) this.stats.sharedGroups++;
+
+    const blob = DEDUPE_CONFIG.dryRun
+      ? existingBlob
+      : await this.blobRepo.acquire(
+          hash,
+          {
+            size: files[0].fileInfo?.size,
+            mimeType: files[0].fileInfo?.mimeType,
+          },
+          files.length
+        );
+
+    if (!DEDUPE_CONFIG.dryRun && blobCopies.length === 0) {
+      for (const copy of targetCopies) {
+        await this.blobRepo.recordCopy(blob._id, { ...copy, isPrimary: false });
+      }
+    }
+
+    for (const file of files) {
+      await this._linkFile(file, blob, targetCopies);
+    }
+
+    console.log(
+      `✅ ${hash.slice(0, 12)}: ${files.length} archivo(s) → ${targetCopies
+        .map((c) => c.provider)
+        .join(", ")}`
+    );
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Agrupar por checksum los archivos que aún no apuntan a un blob
+   * @private
+   */
+  async _loadGroups() {
+    const pipeline = [
+      {
+        $match: {
+          "storage.blob": null,
+          "storage.storageProvider": { $ne: "DELETED" },
+        },
+      },
+      {
+        $project: {
+          hash: { $ifNull: ["$fileInfo.checksum", "$fileInfo.hash"] },
+        },
+      },
+      { $match: { hash: { $regex: SHA256_PATTERN } } },
+      {
+        $group: {
+          _id: "$hash",
+          fileIds: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+    ];
+
+    if (DEDUPE_CONFIG.maxGroups) {
+      pipeline.push({ $limit: DEDUPE_CONFIG.maxGroups });
+    }
+
+    return await this.fileRepo.model.aggregate(pipeline).allowDiskUse(true);
+  }
+
+  /**
+   * Copias (una por backend) del primer archivo cuyo contenido coincide
+   * con el checksum
+   * @private
+   */
+  async _findVerifiedCopies(hash, files) {
+    const workDir = path.join(os.tmpdir(), `dedupe_${hash.slice(0, 12)}`);
+
+    try {
+      for (const file of files) {
+        const verified = [];
+
+        for (const copy of this.storageService.getCopies(file)) {
+          if (copy.status !== "SYNCED") continue;
+          if (verified.some((c) => c.provider === copy.provider)) continue;
+
+          try {
+            const result = await this.storageService.hashCopy(
+              copy,
+              path.join(workDir, `${file._id}_${copy.provider}`)
+            );
+            if (result.hash === hash) {
+              const { _id, ...clean } = copy;
+              verified.push({ ...clean, hash: result.hash, size: result.size });
+            }
+          } catch (error) {
+            console.warn(
+              `⚠️ No se pudo leer ${copy.key} en ${copy.provider}: ${error.message}`
+            );
+          }
+        }
+
+        if (verified.length > 0) return verified;
+      }
+
+      return [];
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Apuntar el archivo al blob y eliminar sus copias que no son del blob
+   * @private
+   */
+  async _linkFile(file, blob, targetCopies) {
+    const currentCopies = this.storageService.getCopies(file);
+    const isTarget = (copy) =>
+      targetCopies.some(
+        (t) => t.provider === copy.provider && t.key === copy.key
+      );
+    const duplicates = currentCopies.filter((copy) => !isTarget(copy));
+
+    if (DEDUPE_CONFIG.dryRun) {
+      this.stats.filesLinked++;
+      if (!DEDUPE_CONFIG.keepDuplicates) {
+        this.stats.copiesRemoved += duplicates.length;
+        this.stats.bytesFreed += duplicates.length * (file.fileInfo?.size || 0);
+      }
+      return;
+    }
+
+    // Se conserva como principal el backend que el archivo ya usaba
+    const primaryProvider = currentCopies[0]?.provider;
+    const primary =
+      targetCopies.find((c) => c.provider === primaryProvider) ||
+      targetCopies[0];
+    const copies = targetCopies.map((copy) => ({
+      ...copy,
+      isPrimary: copy === primary,
+    }));
+
+    const { storage, rsyncInfo } = this.storageService.toFileFields(
+      copies.find((copy) => copy.isPrimary),
+      { copies, blob: blob._id }
+    );
+
+    const $set = {
+      "storage.path": storage.path,
+      "storage.storageProvider": storage.storageProvider,
+      "storage.key": storage.key,
+      "storage.copies": storage.copies,
+      "storage.blob": storage.blob,
+    };
+    // Solo se actualiza rsyncInfo si el blob ya tiene copia rsync
+    if (rsyncInfo.syncStatus === "SYNCED") {
+      for (const [field, value] of Object.entries(rsyncInfo)) {
+        $set[`rsyncInfo.${field}`] = value;
+      }
+    }
+
+    await this.fileRepo.model.updateOne({ _id: file._id }, { $set });
+    this.stats.filesLinked++;
+
+    if (DEDUPE_CONFIG.keepDuplicates) return;
+
+    for (const copy of duplicates) {
+      try {
+        await getStorageDriver(copy.provider).remove(copy.key);
+        this.stats.copiesRemoved++;
+        this.stats.bytesFreed += file.fileInfo?.size || 0;
+      } catch (error) {
+        console.warn(
+          `⚠️ No se pudo eliminar la copia duplicada ${copy.key} en ${copy.provider}: ${error.message}`
+        );
+        this.stats.errors.push({
+          hash: file.fileInfo?.checksum || file.fileInfo?.hash,
+          error: `${file.systemName}: ${error.message}`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Imprimir resumen final
+   * @private
+   */
+  _printFinalSummary() {
+    console.log("\n" + "=".repeat(80));
+    console.log("📊 RESUMEN FINAL");
+    console.log("=".repeat(80));
+
+    console.log(`   Checksums procesados: ${this.stats.groups}`);
+    console.log(`   Checksums compartidos: ${this.stats.sharedGroups}`);
+    console.log(`   Archivos enlazados: ${this.stats.filesLinked}`);
+    console.log(`   Copias duplicadas eliminadas: ${this.stats.copiesRemoved}`);
+    console.log(
+      `   Espacio liberado: ${(this.stats.bytesFreed / 1024 / 1024).toFixed(2)} MB`
+    );
+    console.log(`   Sin copia verificable: ${this.stats.unverified}`);
+
+    if (this.stats.errors.length > 0) {
+      console.log(`\n❌ ERRORES (${this.stats.errors.length}):`);
+      this.stats.errors.forEach((err, idx) => {
+        console.log(`   ${idx + 1}. [${err.hash}] ${err.error}`);
+      });
+    }
+
+    if (DEDUPE_CONFIG.dryRun) {
+      console.log("\n💡 Este fue un DRY RUN. Ningún cambio fue realizado.");
+      console.log("   Para ejecutar la migración, remueve el flag --dry-run");
+    }
+
+    console.log("=".repeat(80) + "\n");
+  }
+}
+
+// =============================================================================
+// EJECUCIÓN DEL SCRIPT
+// =============================================================================
+
+async function main() {
+  const deduplicator = new StorageDeduplicator();
+
+  try {
+    await deduplicator.run();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error fatal en la ejecución:", error);
+    process.exit(1);
+  }
+}
+
+// Ayuda del script
+if (process.argv.includes("--help")) {
+  console.log(`
+♻️  MIGRACIÓN DE DEDUPLICACIÓN DE ALMACENAMIENTO
+
+USO:
+  node scripts/dedupe-storage.js [opciones]
+
+OPCIONES:
+  --help                 Mostrar esta ayuda
+  --dry-run              Calcular duplicados sin realizar cambios
+  --max=N                Procesar máximo N checksums
+  --keep-duplicates      Enlazar los registros sin eliminar las copias duplicadas
+
+EJEMPLOS:
+
+  # Ver cuánto espacio se liberaría
+  node scripts/dedupe-storage.js --dry-run
+
+  # Migrar los 100 checksums con más archivos
+  node scripts/dedupe-storage.js --max=100
+  `);
+  process.exit(0);
+}
+
+main();
@@ -31,10 +31,32 @@ function parseArgs() {
 // Obtener argumentos
 const args = parseArgs();
 
+// --years=2022-2025 o --years=2022,2024
+function parseYears(value) {
+  if (!value || value === true) return null;
+
+  const range = String(value).match(/^(\d{4})-(\d{4})$/);
+  if (range) {
+    const years = [];
+    for (let y = parseInt(range[1]); y <= parseInt(range[2]); y++) {
+      years.push(y);
+    }
+    return years;
+  }
+
+  return String(value)
+    .split(",")
+    .map((y) => parseInt(y))
+    .filter((y) => !Number.isNaN(y));
+}
+
 // Configuración de carga
 const LOAD_CONFIG = {
   buyer: "GOBIERNO AUTONOMO DESCENTRALIZADO DE LA PROVINCIA DE ESMERALDAS",
   year: args.year ? parseInt(args.year) : 2025, // Usar año proporcionado o 2025 por defecto
+  years: parseYears(args.years), // Sincronización de tipos de varios años
+  restart: process.argv.includes("--restart") || args.restart,
+  maxPages: args["max-pages"] ? parseInt(args["max-pages"]) : undefined,
   dryRun: process.argv.includes("--dry-run") || args.dryRun,
   syncTypes:
     !process.argv.includes("--no-sync-types") && !args["no-sync-types"],
@@ -106,8 +128,11 @@ class SercopInitialLoader {
     try {
       const result = await sercopSyncService.syncContractTypes({
         year: LOAD_CONFIG.year,
+        years: LOAD_CONFIG.years,
         buyer: LOAD_CONFIG.buyer,
         dryRun: LOAD_CONFIG.dryRun,
+        resume: !LOAD_CONFIG.restart,
+        ...(LOAD_CONFIG.maxPages && { maxPages: LOAD_CONFIG.maxPages }),
         userData: {
           userId: "665f23c4cdda33eaedaa4326",
           ip: "127.0.0.1",
@@ -125,6 +150,18 @@ class SercopInitialLoader {
       console.log(`   📁 Tipos existentes: ${result.existing}`);
       console.log(`   ⚠️  Tipos sin mapear: ${result.unmapped}`);
 
+      result.years.forEach((yearResult) => {
+        console.log(
+          `   📅 ${yearResult.year}: ${yearResult.status}${yearResult.skipped ? " (ya sincronizado)" : ""}, página ${yearResult.lastPage}/${yearResult.totalPages ?? "?"}`
+        );
+      });
+
+      if (!result.completed) {
+        console.log(
+          "\n⏸️  Sincronización pausada: vuelve a ejecutar el script para continuar"
+        );
+      }
+
       if (result.unmappedTypes.length > 0) {
         console.log(
           "\n⚠️  ATENCIÓN: Los siguientes tipos no tienen mapeo definido:"
@@ -133,11 +170,16 @@ class SercopInitialLoader {
           console.log(`   - ${type}`);
         });
         console.log(
-          "\n   💡 Considera agregar estos tipos al mapeo en sercop-sync.service.js"
+          "\n   💡 Quedaron en la cola de revisión: GET /sercop-sync/type-reviews"
         );
       }
     } catch (error) {
       console.error("❌ Error en sincronización de tipos:", error);
+      if (error.details?.resumable) {
+        console.log(
+          `   💡 Al volver a ejecutar se continúa desde la página ${error.details.lastCompletedPage + 1} del año ${error.details.year}`
+        );
+      }
       this.stats.errors.push({
         step: "sync_types",
         error: error.message,
@@ -406,6 +448,9 @@ class SercopInitialLoader {
     console.log(`\n⚙️  Configuración:`);
     console.log(`   Comprador: ${LOAD_CONFIG.buyer}`);
     console.log(`   Año: ${LOAD_CONFIG.year}`);
+    if (LOAD_CONFIG.years) {
+      console.log(`   Años (tipos): ${LOAD_CONFIG.years.join(", ")}`);
+    }
     console.log(
       `   Modo: ${LOAD_CONFIG.dryRun ? "🔍 DRY RUN (sin cambios)" : "⚡ PRODUCCIÓN"}`
     );
@@ -509,6 +554,9 @@ OPCIONES:
   --no-sync-types        No sincronizar tipos de contrato
   --import-contracts     Importar contratos además de tipos
   --max=N                Importar máximo N contratos
+  --years=YYYY-YYYY      Sincronizar tipos de varios años (ej: --years=2020-2025)
+  --restart              Ignorar los puntos de control y empezar desde la página 1
+  --max-pages=N          Páginas por año en esta ejecución (por defecto 50)
 
 EJEMPLOS:
 
@@ -526,6 +574,12 @@ EJEMPLOS:
 
   # Importar contratos sin actualizar tipos para año específico
   node scripts/sercop-initial-load.js --year=2024 --no-sync-types --import-contracts
+
+  # Sincronizar tipos de varios años; si se interrumpe, repetir el comando continúa
+  node scripts/sercop-initial-load.js --years=2020-2025
+
+  # Sin conexión, contra el servidor simulado (npm run sercop:mock)
+  SERCOP_API_URL=http://localhost:4010/PLATAFORMA/api node scripts/sercop-initial-load.js --year=2025 --dry-run
   `);
   process.exit(0);
 }
@@ -0,0 +1,265 @@
+// =============================================================================
+// scripts/sercop-mock-server.js
+// Servidor local que simula la API de Datos Abiertos de SERCOP a partir de
+// fixtures OCDS grabados, para probar la sincronización sin el portal
+//
+// Uso:
+//   node scripts/sercop-mock-server.js [--port=4010] [--fixtures=dir]
+//   node scripts/sercop-mock-server.js --record [--upstream=url]
+// y en el backend o en los scripts:
+//   SERCOP_API_URL=http://localhost:4010/PLATAFORMA/api
+//
+// Fixtures (scripts/fixtures/sercop por defecto):
+//   search/<año>-p<página>.json  respuesta de /search_ocds
+//   records/<ocid>.json          respuesta de /record
+//   errors.json                  fallos simulados por año (search) u OCID (record)
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import axios from "axios";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+// Cargar variables de entorno
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const API_PREFIX = "/PLATAFORMA/api";
+const DEFAULT_UPSTREAM =
+  "https://datosabiertos.compraspublicas.gob.ec/PLATAFORMA/api";
+
+// Función para parsear argumentos de línea de comandos
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const parsed = {};
+
+  args.forEach((arg) => {
+    if (arg.startsWith("--")) {
+      const [key, value] = arg.replace("--", "").split("=");
+      parsed[key] = value === undefined ? true : value;
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Crear la aplicación del servidor simulado
+ * @param {Object} options - fixturesDir, record, upstream
+ * @returns {express.Application} Aplicación con app.locals.resetMock()
+ */
+export function createSercopMockServer(options = {}) {
+  const {
+    fixturesDir = path.join(__dirname, "fixtures", "sercop"),
+    record = false,
+    upstream = DEFAULT_UPSTREAM,
+  } = options;
+
+  const app = express();
+  // Solicitudes atendidas por cada caso de error con "times"
+  const failureCounts = new Map();
+
+  const readJson = async (...segments) => {
+    try {
+      const content = await fs.readFile(
+        path.join(fixturesDir, ...segments),
+        "utf8"
+      );
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const writeJson = async (data, ...segments) => {
+    const filePath = path.join(fixturesDir, ...segments);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+    console.log(`💾 Fixture grabado: ${path.relative(fixturesDir, filePath)}`);
+  };
+
+  const fetchUpstream = async (endpoint, query) => {
+    const response = await axios.get(`${upstream}${endpoint}`, {
+      params: query,
+      timeout: 60000,
+      headers: {
+        Accept: "application/json",
+        "User-Agent": "GADMCE-ExpedienteDigital/1.0 (mock-recorder)",
+      },
+    });
+    return response.data;
+  };
+
+  /**
+   * Aplicar el caso de error configurado para la clave, si corresponde
+   * @returns {Promise<Object|null>} { handled } o { fixture } para servir
+   */
+  const applyErrorCase = async (req, res, group, key) => {
+    const errors = (await readJson("errors.json")) || {};
+    const errorCase = errors[group]?.[key];
+    if (!errorCase) return null;
+
+    const counterKey = `${group}:${key}`;
+    if (errorCase.times) {
+      const count = failureCounts.get(counterKey) || 0;
+      if (count >= errorCase.times) {
+        return { fixture: errorCase.fixture || key };
+      }
+      failureCounts.set(counterKey, count + 1);
+    }
+
+    console.log(`⚠️ Simulando fallo ${group}/${key}`);
+
+    if (errorCase.delayMs) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, errorCase.delayMs);
+        req.on("close", () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+      if (res.destroyed || req.destroyed) return { handled: true };
+    }
+
+    res.status(errorCase.status || 200);
+    for (const [header, value] of Object.entries(errorCase.headers || {})) {
+      res.set(header, value);
+    }
+
+    if (errorCase.raw !== undefined) {
+      res.type(errorCase.contentType || "text/plain").send(errorCase.raw);
+    } else {
+      res.json(errorCase.body || {});
+    }
+    return { handled: true };
+  };
+
+  const normalize = (value) =>
+    String(value || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim();
+
+  app.get(`${API_PREFIX}/search_ocds`, async (req, res, next) => {
+    try {
+      const year = String(req.query.year || new Date().getFullYear());
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const buyer = req.query.buyer;
+
+      console.log(`🔍 search_ocds year=${year} page=${page}`);
+
+      const errorResult = await applyErrorCase(req, res, "search", year);
+      if (errorResult?.handled) return;
+      const fixtureYear = errorResult?.fixture || year;
+
+      let data = await readJson("search", `${fixtureYear}-p${page}.json`);
+
+      if (!data && record) {
+        data = await fetchUpstream("/search_ocds", req.query);
+        await writeJson(data, "search", `${fixtureYear}-p${page}.json`);
+      }
+
+      if (!data) {
+        // Página fuera de rango: la API responde sin resultados
+        const first = await readJson("search", `${fixtureYear}-p1.json`);
+        return res.json({
+          total: first?.total || 0,
+          pages: first?.pages || 0,
+          page,
+          data: [],
+        });
+      }
+
+      if (buyer) {
+        data = {
+          ...data,
+          data: (data.data || []).filter((item) =>
+            normalize(item.buyer).includes(normalize(buyer))
+          ),
+        };
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get(`${API_PREFIX}/record`, async (req, res, next) => {
+    try {
+      const ocid = String(req.query.ocid || "").trim();
+      if (!ocid) {
+        return res.status(400).json({ message: "ocid es requerido" });
+      }
+
+      console.log(`📄 record ocid=${ocid}`);
+
+      const errorResult = await applyErrorCase(req, res, "record", ocid);
+      if (errorResult?.handled) return;
+      const fixtureOcid = errorResult?.fixture || ocid;
+
+      // Evitar rutas fuera del directorio de fixtures
+      const fileName = `${fixtureOcid.replace(/[^\w.-]/g, "_")}.json`;
+      let data = await readJson("records", fileName);
+
+      if (!data && record) {
+        data = await fetchUpstream("/record", { ocid });
+        await writeJson(data, "records", fileName);
+      }
+
+      if (!data) {
+        return res
+          .status(404)
+          .json({ message: `No existe el registro ${ocid}` });
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/__mock/health", (req, res) => {
+    res.json({ status: "ok", fixturesDir, record });
+  });
+
+  // Reiniciar los contadores de fallos ("times") entre pruebas
+  app.post("/__mock/reset", (req, res) => {
+    failureCounts.clear();
+    res.json({ reset: true });
+  });
+
+  app.locals.resetMock = () => failureCounts.clear();
+
+  app.use((error, req, res, next) => {
+    console.error("❌ Error en servidor simulado de SERCOP:", error.message);
+    res.status(error.response?.status || 500).json({ message: error.message });
+  });
+
+  return app;
+}
+
+// Ejecutar si se llama directamente
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const args = parseArgs();
+  const port = parseInt(args.port || process.env.SERCOP_MOCK_PORT) || 4010;
+
+  const app = createSercopMockServer({
+    fixturesDir: args.fixtures ? path.resolve(args.fixtures) : undefined,
+    record: Boolean(args.record),
+    upstream: typeof args.upstream === "string" ? args.upstream : undefined,
+  });
+
+  app.listen(port, () => {
+    console.log(`🧪 Servidor simulado de SERCOP en http://localhost:${port}`);
+    console.log(
+      `   Use SERCOP_API_URL=http://localhost:${port}${API_PREFIX}${args.record ? " (grabando fixtures faltantes)" : ""}`
+    );
+  });
+}
@@ -1098,7 +1098,8 @@ process.on("SIGTERM", async () => {
   process.exit(0);
 });
 
-process.on("beforeExit", async () => {
+// Una sola vez: el trabajo asíncrono de shutdown vuelve a disparar beforeExit
+process.once("beforeExit", async () => {
   await rsyncClient.shutdown();
 });
 
@@ -0,0 +1,97 @@
+// =============================================================================
+// src/config/storage/local.driver.js
+// Driver de almacenamiento en el sistema de archivos local
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export class LocalStorageDriver {
+  constructor() {
+    this.provider = "LOCAL";
+    this.config = {
+      basePath: path.resolve(
+        process.env.STORAGE_LOCAL_PATH || process.env.UPLOAD_PATH || "./uploads"
+      ),
+    };
+  }
+
+  /**
+   * Guardar un archivo bajo la clave indicada
+   * @param {String} key - Clave relativa (contratos/{id}/.../{systemName})
+   * @param {Buffer|String} source - Contenido o ruta de un archivo local
+   * @returns {Promise<Object>} { provider, key, location, size, hash }
+   */
+  async put(key, source) {
+    const targetPath = this._resolvePath(key);
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fs.writeFile(targetPath, source);
+    } else {
+      await fs.copyFile(source, targetPath);
+    }
+
+    const buffer = await fs.readFile(targetPath);
+    console.log(`💾 Storage LOCAL: Archivo guardado en ${targetPath}`);
+
+    return {
+      provider: this.provider,
+      key,
+      location: targetPath,
+      size: buffer.length,
+      hash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    };
+  }
+
+  /**
+   * Copiar el archivo de la clave a una ruta local (nunca se entrega el original)
+   * @returns {Promise<String>} Ruta de destino
+   */
+  async get(key, destinationPath) {
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.copyFile(this._resolvePath(key), destinationPath);
+    return destinationPath;
+  }
+
+  /**
+   * Eliminar el archivo de la clave
+   * @returns {Promise<Boolean>} false si ya no existía
+   */
+  async remove(key) {
+    try {
+      await fs.unlink(this._resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this._resolvePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getLocation() {
+    return this.config.basePath;
+  }
+
+  /**
+   * Ruta absoluta de la clave, sin permitir salir del directorio base
+   * @private
+   */
+  _resolvePath(key) {
+    const resolved = path.resolve(this.config.basePath, key);
+    if (!resolved.startsWith(this.config.basePath + path.sep)) {
+      throw new Error(`Clave de almacenamiento no válida: ${key}`);
+    }
+    return resolved;
+  }
+}
@@ -0,0 +1,133 @@
+// =============================================================================
+// src/config/storage/rsync.driver.js
+// Driver de almacenamiento en servidor remoto rsync
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export class RsyncStorageDriver {
+  constructor() {
+    this.provider = "RSYNC";
+    this.client = null;
+  }
+
+  /**
+   * Transferir un archivo al servidor rsync
+   * rsync conserva el nombre del archivo local, por lo que el contenido se
+   * escribe en un temporal con el nombre final de la clave
+   * @param {String} key - Clave relativa a RSYNC_REMOTE_BASE_PATH
+   * @param {Buffer|String} source - Contenido o ruta de un archivo local
+   * @returns {Promise<Object>} { provider, key, location, size, hash }
+   */
+  async put(key, source) {
+    const client = await this._getClient();
+    const fileName = path.posix.basename(key);
+    const remoteDir = path.posix.dirname(key);
+
+    const tempDir = path.join(
+      client.config.tempDir,
+      `storage_${crypto.randomBytes(6).toString("hex")}`
+    );
+    const tempPath = path.join(tempDir, fileName);
+
+    try {
+      await fs.mkdir(tempDir, { recursive: true });
+      if (Buffer.isBuffer(source)) {
+        await fs.writeFile(tempPath, source);
+      } else {
+        await fs.copyFile(source, tempPath);
+      }
+
+      const buffer = await fs.readFile(tempPath);
+      const result = await client.transferFile(
+        tempPath,
+        remoteDir === "." ? null : remoteDir,
+        { verifyTransfer: true }
+      );
+
+      return {
+        provider: this.provider,
+        key,
+        location: result.remotePath,
+        size: buffer.length,
+        hash: result.fileHash,
+      };
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Descargar el archivo de la clave a una ruta local
+   * @returns {Promise<String>} Ruta de destino
+   */
+  async get(key, destinationPath) {
+    const client = await this._getClient();
+    const { host, user, module, port } = client.config;
+
+    // El módulo rsync ya apunta a la raíz de almacenamiento
+    const remoteUrl = `rsync://${user}@${host}:${port}/${module}/${this.getRemotePath(key)}`;
+
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    try {
+      await client.executeRsync(
+        remoteUrl,
+        client.formatPathForRsync(destinationPath)
+      );
+    } catch (error) {
+      // rsync informa el archivo inexistente en stderr (código 23)
+      if (/No such file or directory/i.test(error.message)) {
+        error.code = "ENOENT";
+      }
+      throw error;
+    }
+
+    return destinationPath;
+  }
+
+  async remove(key) {
+    const client = await this._getClient();
+    const result = await client.deleteFile(key, { failOnError: true });
+    return result.success;
+  }
+
+  /**
+   * rsync no permite consultar archivos remotos sin transferirlos;
+   * se asume que la clave existe si la transferencia fue registrada
+   */
+  async exists() {
+    return true;
+  }
+
+  /**
+   * Ruta dentro del módulo rsync para una clave
+   */
+  getRemotePath(key) {
+    const basePath = process.env.RSYNC_REMOTE_BASE_PATH || "expediente-digital";
+    return [basePath, key]
+      .map((part) => part.replace(/^\/+|\/+$/g, ""))
+      .filter(Boolean)
+      .join("/");
+  }
+
+  getLocation() {
+    return process.env.RSYNC_HOST
+      ? `rsync://${process.env.RSYNC_HOST}/${process.env.RSYNC_MODULE}`
+      : null;
+  }
+
+  /**
+   * El cliente valida sus variables de entorno al construirse: se importa
+   * solo cuando el driver se usa
+   * @private
+   */
+  async _getClient() {
+    if (!this.client) {
+      this.client = (await import("../rsync.client.js")).default;
+    }
+    return this.client;
+  }
+}
@@ -0,0 +1,297 @@
+// =============================================================================
+// src/config/storage/s3.driver.js
+// Driver de almacenamiento en object storage compatible con S3 (MinIO, Ceph, AWS)
+// Firma AWS Signature V4 sin SDK externo
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+// Los archivos locales se envían en streaming; el hash se conoce al terminar
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+export class S3StorageDriver {
+  constructor() {
+    this.provider = "S3";
+    this.config = {
+      endpoint: (process.env.S3_ENDPOINT || "http://localhost:9000").replace(
+        /\/+$/,
+        ""
+      ),
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET || "expediente-digital",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO y la mayoría de servicios locales solo aceptan path-style
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+      timeout: parseInt(process.env.S3_TIMEOUT_MS) || 60000,
+    };
+  }
+
+  /**
+   * Subir un objeto
+   * @param {String} key - Clave del objeto dentro del bucket
+   * @param {Buffer|String} source - Contenido o ruta de un archivo local
+   * @param {Object} options - contentType
+   * @returns {Promise<Object>} { provider, key, location, size, hash }
+   */
+  async put(key, source, options = {}) {
+    const { body, payloadHash, size, getHash } = Buffer.isBuffer(source)
+      ? this._bufferPayload(source)
+      : await this._filePayload(source);
+
+    await this._request("PUT", key, {
+      body,
+      payloadHash,
+      headers: {
+        "content-type": options.contentType || "application/octet-stream",
+        "content-length": String(size),
+      },
+    });
+
+    const location = `${this.getLocation()}/${key}`;
+    console.log(`☁️ Storage S3: Objeto guardado en ${location}`);
+
+    return {
+      provider: this.provider,
+      key,
+      location,
+      size,
+      hash: await getHash(),
+    };
+  }
+
+  /**
+   * Descargar un objeto a una ruta local
+   * @returns {Promise<String>} Ruta de destino
+   */
+  async get(key, destinationPath) {
+    const response = await this._request("GET", key).catch((error) => {
+      if (error.statusCode === 404) error.code = "ENOENT";
+      throw error;
+    });
+
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await pipeline(
+      Readable.fromWeb(response.body),
+      createWriteStream(destinationPath)
+    );
+
+    return destinationPath;
+  }
+
+  /**
+   * Eliminar un objeto (S3 responde 204 aunque no exista)
+   */
+  async remove(key) {
+    await this._request("DELETE", key);
+    return true;
+  }
+
+  async exists(key) {
+    try {
+      await this._request("HEAD", key);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  getLocation() {
+    return `${this.config.endpoint}/${this.config.bucket}`;
+  }
+
+  // =============================================================================
+  // FIRMA Y PETICIONES
+  // =============================================================================
+
+  /**
+   * Ejecutar una petición firmada contra el objeto
+   * @private
+   */
+  async _request(method, key, options = {}) {
+    const {
+      body = null,
+      payloadHash = EMPTY_PAYLOAD_HASH,
+      headers = {},
+    } = options;
+
+    if (!this.config.accessKeyId || !this.config.secretAccessKey) {
+      throw new Error(
+        "Faltan variables de entorno S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY"
+      );
+    }
+
+    const url = this._buildUrl(key);
+    const signedHeaders = this._sign(method, url, payloadHash, headers);
+
+    const response = await fetch(url, {
+      method,
+      headers: signedHeaders,
+      body,
+      // Requerido por fetch para enviar un stream como cuerpo
+      ...(body instanceof ReadableStream && { duplex: "half" }),
+      signal: AbortSignal.timeout(this.config.timeout),
+    });
+
+    if (!response.ok) {
+      const detail = method === "HEAD" ? "" : await response.text();
+      const error = new Error(
+        `S3 ${method} ${key} respondió ${response.status}${
+          detail ? `: ${detail.slice(0, 300)}` : ""
+        }`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Cuerpo en memoria: el hash firma el contenido
+   * @private
+   */
+  _bufferPayload(buffer) {
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+
+    return {
+      body: buffer,
+      payloadHash: hash,
+      size: buffer.length,
+      getHash: () => hash,
+    };
+  }
+
+  /**
+   * Cuerpo leído del disco en streaming para no cargar archivos de varios
+   * GB en memoria; el sha256 se calcula mientras se envía
+   * @private
+   */
+  async _filePayload(filePath) {
+    const { size } = await fs.stat(filePath);
+    const hasher = crypto.createHash("sha256");
+    let resolveHash;
+    // La respuesta puede llegar antes de que el flujo termine de vaciarse
+    const hashed = new Promise((resolve) => {
+      resolveHash = resolve;
+    });
+
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hasher.update(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        resolveHash(hasher.digest("hex"));
+        callback();
+      },
+    });
+
+    const fileStream = createReadStream(filePath);
+    fileStream.on("error", (error) => hashing.destroy(error));
+    // Petición abortada (timeout): liberar el descriptor del archivo
+    hashing.on("close", () => {
+      fileStream.destroy();
+      resolveHash(null);
+    });
+
+    return {
+      body: Readable.toWeb(fileStream.pipe(hashing)),
+      payloadHash: UNSIGNED_PAYLOAD,
+      size,
+      getHash: () => hashed,
+    };
+  }
+
+  _buildUrl(key) {
+    const encodedKey = key.split("/").map(this._encodeSegment).join("/");
+    const endpoint = new URL(this.config.endpoint);
+
+    if (this.config.forcePathStyle) {
+      return new URL(`${endpoint.origin}/${this.config.bucket}/${encodedKey}`);
+    }
+
+    return new URL(
+      `${endpoint.protocol}//${this.config.bucket}.${endpoint.host}/${encodedKey}`
+    );
+  }
+
+  /**
+   * Cabeceras con firma AWS Signature V4
+   * @private
+   */
+  _sign(method, url, payloadHash, headers) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+
+    const headerNames = Object.keys(allHeaders)
+      .map((name) => name.toLowerCase())
+      .sort();
+    const canonicalHeaders = headerNames
+      .map((name) => `${name}:${String(allHeaders[name]).trim()}\n`)
+      .join("");
+    const signedHeaderList = headerNames.join(";");
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      canonicalHeaders,
+      signedHeaderList,
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${dateStamp}/${this.config.region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+    ].join("\n");
+
+    const signingKey = [this.config.region, "s3", "aws4_request"].reduce(
+      (key, part) => this._hmac(key, part),
+      this._hmac(`AWS4${this.config.secretAccessKey}`, dateStamp)
+    );
+    const signature = crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex");
+
+    return {
+      ...allHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.config.accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`,
+    };
+  }
+
+  _hmac(key, value) {
+    return crypto.createHmac("sha256", key).update(value).digest();
+  }
+
+  /**
+   * Codificación RFC 3986 exigida por la firma V4
+   * @private
+   */
+  _encodeSegment(segment) {
+    return encodeURIComponent(segment).replace(
+      /[!'()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+  }
+}
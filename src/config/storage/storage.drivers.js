@@ -0,0 +1,72 @@
+// =============================================================================
+// src/config/storage/storage.drivers.js
+// Registro de drivers de almacenamiento de archivos
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+//
+// Todos los drivers exponen la misma interfaz:
+//   put(key, source, options)    -> { provider, key, location, size, hash }
+//                                   (location: ruta física del objeto)
+//   get(key, destinationPath)    -> destinationPath
+//                                   (error.code ENOENT si la clave no existe)
+//   remove(key)                  -> Boolean
+//   exists(key)                  -> Boolean
+//   getLocation()                -> Host, bucket o directorio base
+//
+// La clave es siempre relativa (contratos/{id}/{año}/{fase}/{tipo}/{nombre});
+// cada driver la traduce a su ubicación física.
+
+import { LocalStorageDriver } from "./local.driver.js";
+import { RsyncStorageDriver } from "./rsync.driver.js";
+import { S3StorageDriver } from "./s3.driver.js";
+
+export const STORAGE_PROVIDERS = {
+  LOCAL: "LOCAL",
+  RSYNC: "RSYNC",
+  S3: "S3",
+};
+
+const DRIVER_CLASSES = {
+  [STORAGE_PROVIDERS.LOCAL]: LocalStorageDriver,
+  [STORAGE_PROVIDERS.RSYNC]: RsyncStorageDriver,
+  [STORAGE_PROVIDERS.S3]: S3StorageDriver,
+};
+
+// Registros antiguos guardaron el proveedor S3 con este nombre
+const PROVIDER_ALIASES = {
+  AWS_S3: STORAGE_PROVIDERS.S3,
+};
+
+const instances = new Map();
+
+/**
+ * Normalizar el nombre de un proveedor
+ * @returns {String|null} Proveedor soportado o null
+ */
+export const normalizeStorageProvider = (provider) => {
+  const name = (provider || "").toString().trim().toUpperCase();
+  const normalized = PROVIDER_ALIASES[name] || name;
+  return DRIVER_CLASSES[normalized] ? normalized : null;
+};
+
+/**
+ * Obtener la instancia (única por proceso) del driver de un proveedor
+ * @param {String} provider - LOCAL | RSYNC | S3
+ */
+export const getStorageDriver = (provider) => {
+  const normalized = normalizeStorageProvider(provider);
+  if (!normalized) {
+    throw new Error(`Proveedor de almacenamiento no soportado: ${provider}`);
+  }
+
+  if (!instances.has(normalized)) {
+    instances.set(normalized, new DRIVER_CLASSES[normalized]());
+  }
+  return instances.get(normalized);
+};
+
+export default {
+  STORAGE_PROVIDERS,
+  normalizeStorageProvider,
+  getStorageDriver,
+};
@@ -0,0 +1,118 @@
+// =============================================================================
+// src/module/core/scheduler/controllers/job.controller.js
+// Controlador de administración de tareas programadas
+// =============================================================================
+
+import jobScheduler from "../services/job-scheduler.service.js";
+
+export class JobController {
+  constructor() {
+    this.jobScheduler = jobScheduler;
+  }
+
+  /**
+   * Listar tareas programadas
+   * GET /jobs
+   * Permisos: special.canManagePermissions
+   */
+  listJobs = async (req, res) => {
+    try {
+      const jobs = await this.jobScheduler.listJobs();
+
+      res.status(200).json({
+        success: true,
+        data: { jobs },
+        metadata: {
+          total: jobs.length,
+          schedulerEnabled: this.jobScheduler.enabled,
+          timezone: this.jobScheduler.timezone,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error listando tareas: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "LIST_JOBS_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Historial de ejecuciones de una tarea
+   * GET /jobs/:jobName/runs
+   * Permisos: special.canManagePermissions
+   */
+  getJobRuns = async (req, res) => {
+    try {
+      const { jobName } = req.params;
+      const { page = 1, limit = 20, status } = req.query;
+
+      const result = await this.jobScheduler.getJobRuns(jobName, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          runs: result.docs,
+          pagination: {
+            currentPage: result.page,
+            totalPages: result.totalPages,
+            totalItems: result.totalDocs,
+            itemsPerPage: result.limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error obteniendo ejecuciones: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "GET_JOB_RUNS_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Ejecutar una tarea manualmente
+   * POST /jobs/:jobName/run
+   * Body: params (opcional, depende de la tarea)
+   * Permisos: special.canManagePermissions
+   */
+  triggerJob = async (req, res) => {
+    try {
+      const { jobName } = req.params;
+      const { user } = req;
+
+      console.log(`▶️ Usuario ${user.userId} ejecutando tarea: ${jobName}`);
+
+      const run = await this.jobScheduler.runJob(jobName, {
+        trigger: "MANUAL",
+        triggeredBy: user.userId,
+        params: req.body?.params || {},
+      });
+
+      res.status(200).json({
+        success: run?.status === "SUCCESS",
+        data: { run },
+        metadata: {
+          triggeredBy: user.userId,
+          triggeredAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error ejecutando tarea: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "TRIGGER_JOB_ERROR",
+      });
+    }
+  };
+}
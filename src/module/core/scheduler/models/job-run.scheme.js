@@ -0,0 +1,116 @@
+// =============================================================================
+// src/module/core/scheduler/models/job-run.scheme.js
+// Historial de ejecuciones de tareas programadas
+// =============================================================================
+
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { stripMetaFields } from "#utils/meta-field.js";
+
+const { Schema } = mongoose;
+
+export const JobRunJSON = {
+  jobName: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true,
+    meta: {
+      validation: { isString: true, required: true, notEmpty: true },
+      messages: {
+        required: "El nombre de la tarea es obligatorio",
+        isString: "El nombre de la tarea debe ser un texto válido",
+        notEmpty: "El nombre de la tarea no puede estar vacío",
+      },
+    },
+  },
+
+  trigger: {
+    type: String,
+    enum: ["SCHEDULED", "MANUAL"],
+    default: "SCHEDULED",
+    meta: {
+      validation: { isIn: ["SCHEDULED", "MANUAL"], optional: true },
+      messages: {
+        isIn: "El origen de la ejecución debe ser SCHEDULED o MANUAL",
+      },
+    },
+  },
+
+  status: {
+    type: String,
+    enum: ["RUNNING", "SUCCESS", "FAILED"],
+    default: "RUNNING",
+    index: true,
+    meta: {
+      validation: { isIn: ["RUNNING", "SUCCESS", "FAILED"], optional: true },
+      messages: {
+        isIn: "El estado debe ser RUNNING, SUCCESS o FAILED",
+      },
+    },
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    meta: {
+      validation: { isDate: true, optional: true },
+      messages: { isDate: "La fecha de inicio debe ser válida" },
+    },
+  },
+
+  finishedAt: {
+    type: Date,
+    meta: {
+      validation: { isDate: true, optional: true },
+      messages: { isDate: "La fecha de finalización debe ser válida" },
+    },
+  },
+
+  durationMs: {
+    type: Number,
+    min: 0,
+    meta: {
+      validation: { isNumeric: true, optional: true },
+      messages: { isNumeric: "La duración debe ser numérica" },
+    },
+  },
+
+  // Resumen devuelto por la tarea (contadores, advertencias, etc.)
+  result: {
+    type: Schema.Types.Mixed,
+    meta: {
+      validation: { optional: true },
+      messages: { invalid: "El resultado debe ser válido" },
+    },
+  },
+
+  error: {
+    message: { type: String, trim: true },
+    stack: { type: String },
+  },
+
+  // Usuario que disparó la ejecución manual
+  triggeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: "user",
+    meta: {
+      validation: { isMongoId: true, optional: true },
+      messages: { isMongoId: "El ID de usuario no es válido" },
+    },
+  },
+};
+
+const JobRunSchema = new Schema(stripMetaFields(JobRunJSON), {
+  timestamps: true,
+  collection: "job_runs",
+});
+
+// === ÍNDICES ===
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Conservar 90 días de historial
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+JobRunSchema.plugin(mongoosePaginate);
+
+export const JobRun = mongoose.model("JobRun", JobRunSchema);
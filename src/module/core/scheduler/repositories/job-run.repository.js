@@ -0,0 +1,84 @@
+// =============================================================================
+// src/module/core/scheduler/repositories/job-run.repository.js
+// Repositorio del historial de ejecuciones de tareas programadas
+// =============================================================================
+
+import { BaseRepository } from "../../base/repositories/base.repository.js";
+import { JobRun } from "../models/job-run.scheme.js";
+
+export class JobRunRepository extends BaseRepository {
+  constructor() {
+    super(JobRun);
+  }
+
+  /**
+   * Registrar el inicio de una ejecución
+   */
+  async startRun(jobName, { trigger = "SCHEDULED", triggeredBy } = {}) {
+    try {
+      return await this.model.create({
+        jobName,
+        trigger,
+        triggeredBy,
+        status: "RUNNING",
+        startedAt: new Date(),
+      });
+    } catch (error) {
+      throw new Error(`Error registrando ejecución: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar el fin de una ejecución con su resultado o error
+   */
+  async finishRun(runId, { status, result, error } = {}) {
+    try {
+      const run = await this.model.findById(runId);
+      if (!run) return null;
+
+      run.status = status;
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      run.result = result;
+      if (error) {
+        run.error = { message: error.message, stack: error.stack };
+      }
+
+      return await run.save();
+    } catch (err) {
+      throw new Error(`Error finalizando ejecución: ${err.message}`);
+    }
+  }
+
+  /**
+   * Obtener ejecuciones de una tarea con paginación
+   */
+  async findByJob(jobName, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const query = { jobName };
+    if (status) {
+      query.status = status;
+    }
+
+    return await this.model.paginate(query, {
+      page,
+      limit,
+      sort: { startedAt: -1 },
+      lean: true,
+    });
+  }
+
+  /**
+   * Obtener la última ejecución de cada tarea
+   */
+  async getLastRuns(jobNames = []) {
+    const runs = await this.model.aggregate([
+      { $match: { jobName: { $in: jobNames } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$jobName", lastRun: { $first: "$$ROOT" } } },
+    ]);
+
+    return new Map(runs.map((run) => [run._id, run.lastRun]));
+  }
+}
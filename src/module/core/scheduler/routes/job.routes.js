@@ -0,0 +1,55 @@
+// =============================================================================
+// src/module/core/scheduler/routes/job.routes.js
+// Rutas de administración de tareas programadas
+// =============================================================================
+
+import { Router } from "express";
+import { JobController } from "../controllers/job.controller.js";
+import { requirePermission } from "#src/middlewares/permission.middleware.js";
+import { auth, verifyModuleAccess } from "#src/middlewares/auth.js";
+
+const router = Router();
+const controller = new JobController();
+
+// =============================================================================
+// MIDDLEWARES DE AUTENTICACIÓN Y PERMISOS
+// =============================================================================
+
+router.use(auth);
+router.use(verifyModuleAccess);
+router.use(
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "No tiene permisos para administrar tareas programadas",
+  })
+);
+
+// =============================================================================
+// TAREAS PROGRAMADAS
+// =============================================================================
+
+/**
+ * GET /jobs
+ * Listar tareas registradas con su última ejecución
+ * Permisos: special.canManagePermissions
+ */
+router.get("/", controller.listJobs);
+
+/**
+ * GET /jobs/:jobName/runs
+ * Historial de ejecuciones de una tarea
+ * Query params: page, limit, status
+ * Permisos: special.canManagePermissions
+ */
+router.get("/:jobName/runs", controller.getJobRuns);
+
+/**
+ * POST /jobs/:jobName/run
+ * Ejecutar una tarea manualmente
+ * Body: params
+ * Permisos: special.canManagePermissions
+ */
+router.post("/:jobName/run", controller.triggerJob);
+
+export default router;
@@ -0,0 +1,235 @@
+// =============================================================================
+// src/module/core/scheduler/services/job-scheduler.service.js
+// Registro y ejecución de tareas programadas (node-cron)
+// GADM Cantón Esmeraldas - Sistema de Expediente Digital
+// =============================================================================
+
+import cron from "node-cron";
+import { JobRunRepository } from "../repositories/job-run.repository.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+
+export class JobSchedulerService {
+  constructor() {
+    this.jobRunRepository = new JobRunRepository();
+    this.jobs = new Map();
+    this.started = false;
+    this.timezone = process.env.SCHEDULER_TIMEZONE || "America/Guayaquil";
+    this.enabled = process.env.ENABLE_SCHEDULER !== "false";
+  }
+
+  // =============================================================================
+  // REGISTRO DE TAREAS
+  // =============================================================================
+
+  /**
+   * Registrar una tarea programada
+   * @param {Object} definition - Definición de la tarea
+   * @param {String} definition.name - Identificador único
+   * @param {String} definition.description - Descripción legible
+   * @param {String} definition.schedule - Expresión cron
+   * @param {Function} definition.handler - async (context) => resultado
+   * @param {Boolean} definition.enabled - Si se agenda automáticamente
+   */
+  registerJob({ name, description = "", schedule, handler, enabled = true }) {
+    if (!name || typeof handler !== "function") {
+      throw createError(
+        ERROR_CODES.CONFIG_ERROR,
+        "La tarea requiere nombre y función de ejecución",
+        500
+      );
+    }
+
+    if (!cron.validate(schedule)) {
+      throw createError(
+        ERROR_CODES.CONFIG_ERROR,
+        `Expresión cron no válida para la tarea ${name}: ${schedule}`,
+        500
+      );
+    }
+
+    if (this.jobs.has(name)) {
+      this.jobs.get(name).task?.stop();
+    }
+
+    const job = {
+      name,
+      description,
+      schedule,
+      handler,
+      enabled,
+      running: false,
+      task: null,
+    };
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this._scheduleJob(job);
+    }
+
+    console.log(`🗓️ Scheduler: Tarea registrada ${name} (${schedule})`);
+    return job;
+  }
+
+  /**
+   * Iniciar el agendamiento de todas las tareas habilitadas
+   */
+  start() {
+    if (!this.enabled) {
+      console.log("⏸️ Scheduler: Deshabilitado (ENABLE_SCHEDULER=false)");
+      return;
+    }
+    if (this.started) return;
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this._scheduleJob(job);
+    }
+
+    console.log(
+      `✅ Scheduler: ${this.jobs.size} tareas registradas (zona horaria ${this.timezone})`
+    );
+  }
+
+  /**
+   * Detener todas las tareas agendadas
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.task?.stop();
+      job.task = null;
+    }
+    this.started = false;
+  }
+
+  // =============================================================================
+  // EJECUCIÓN
+  // =============================================================================
+
+  /**
+   * Ejecutar una tarea registrando su historial
+   * No permite ejecuciones superpuestas de la misma tarea
+   * @param {String} name - Nombre de la tarea
+   * @param {Object} options - trigger (SCHEDULED/MANUAL), triggeredBy, params
+   * @returns {Promise<Object>} Registro de ejecución
+   */
+  async runJob(name, options = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        `Tarea programada no encontrada: ${name}`,
+        404
+      );
+    }
+
+    if (job.running) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `La tarea ${name} ya se está ejecutando`,
+        409
+      );
+    }
+
+    const { trigger = "SCHEDULED", triggeredBy, params = {} } = options;
+
+    // Se marca antes de cualquier await para que no se superpongan ejecuciones
+    job.running = true;
+    let run = null;
+
+    try {
+      run = await this.jobRunRepository.startRun(name, {
+        trigger,
+        triggeredBy,
+      });
+
+      console.log(`▶️ Scheduler: Ejecutando ${name} (${trigger})`);
+
+      const result = await job.handler({
+        now: new Date(),
+        trigger,
+        triggeredBy,
+        params,
+      });
+
+      const finished = await this.jobRunRepository.finishRun(run._id, {
+        status: "SUCCESS",
+        result,
+      });
+
+      console.log(
+        `✅ Scheduler: ${name} finalizada en ${finished?.durationMs ?? 0} ms`
+      );
+      return finished;
+    } catch (error) {
+      console.error(`❌ Scheduler: Error en ${name}: ${error.message}`);
+
+      // Sin registro de ejecución no hay historial que cerrar
+      if (!run) throw error;
+
+      return await this.jobRunRepository.finishRun(run._id, {
+        status: "FAILED",
+        error,
+      });
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // =============================================================================
+  // CONSULTAS
+  // =============================================================================
+
+  /**
+   * Listar tareas registradas con su última ejecución
+   */
+  async listJobs() {
+    const names = Array.from(this.jobs.keys());
+    const lastRuns = await this.jobRunRepository.getLastRuns(names);
+
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      scheduled: Boolean(job.task),
+      running: job.running,
+      lastRun: lastRuns.get(job.name) || null,
+    }));
+  }
+
+  /**
+   * Obtener historial de ejecuciones de una tarea
+   */
+  async getJobRuns(name, options = {}) {
+    if (!this.jobs.has(name)) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        `Tarea programada no encontrada: ${name}`,
+        404
+      );
+    }
+
+    return await this.jobRunRepository.findByJob(name, options);
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  _scheduleJob(job) {
+    if (!job.enabled) return;
+
+    job.task = cron.schedule(
+      job.schedule,
+      () => {
+        this.runJob(job.name).catch((error) => {
+          // Ejecución superpuesta u otro error previo al registro
+          console.warn(`⚠️ Scheduler: ${job.name} omitida: ${error.message}`);
+        });
+      },
+      { timezone: this.timezone }
+    );
+  }
+}
+
+export default new JobSchedulerService();
@@ -22,13 +22,23 @@ import {
   validateObjectId,
   validateRequiredFields,
 } from "../../../../utils/validation.util.js";
+import {
+  buildVersionETag,
+  getIfMatchVersion,
+  parseETagList,
+  parseIfMatchVersions,
+} from "../../../../utils/etag.util.js";
 import { FileService } from "../services/file.service.js";
+import { ContractLockService } from "../services/contract-lock.service.js";
+import { ExpedienteService } from "../services/expediente.service.js";
 
 export class ContractController {
   constructor() {
     this.contractService = new ContractService();
     this.configService = new ContractConfigurationService();
     this.fileService = new FileService();
+    this.contractLockService = new ContractLockService();
+    this.expedienteService = new ExpedienteService();
   }
 
   // =============================================================================
@@ -354,6 +364,10 @@ export class ContractController {
         `✅ Contrato obtenido: ${contractDetails.contract.contractNumber}`
       );
 
+      // Token de versión para concurrencia optimista (If-Match)
+      const version = contractDetails.contract.concurrencyControl?.version || 0;
+      res.set("ETag", buildVersionETag(contractId, version));
+
       res.status(200).json({
         success: true,
         data: {
@@ -368,6 +382,7 @@ export class ContractController {
           requestedBy: user.userId,
           requestedAt: new Date(),
           contractId,
+          version,
           hasFullAccess:
             req.permissions?.hasPermission("contracts", "canViewAll") || false,
         },
@@ -431,11 +446,15 @@ export class ContractController {
           },
           createHistory: true,
           validateTransitions: true,
+          expectedVersion: getIfMatchVersion(req.get("If-Match"), contractId),
         }
       );
 
       console.log(`✅ Contrato actualizado: ${updatedContract.contractNumber}`);
 
+      const version = updatedContract.concurrencyControl?.version || 0;
+      res.set("ETag", buildVersionETag(contractId, version));
+
       res.status(200).json({
         success: true,
         data: {
@@ -447,7 +466,7 @@ export class ContractController {
           updatedBy: user.userId,
           updatedAt: new Date(),
           contractId,
-          version: updatedContract.version || 1,
+          version,
         },
       });
     } catch (error) {
@@ -457,6 +476,7 @@ export class ContractController {
         success: false,
         message: error.message || "Error interno del servidor",
         code: error.code || "UPDATE_CONTRACT_ERROR",
+        details: error.details,
       });
     }
   };
@@ -524,6 +544,217 @@ export class ContractController {
     }
   };
 
+  // =============================================================================
+  // CONTROL DE CONCURRENCIA (BLOQUEO DE EDICIÓN)
+  // =============================================================================
+
+  /**
+   * Obtener estado del bloqueo de edición
+   * GET /contracts/:contractId/lock
+   * Permisos: acceso al contrato
+   */
+  getContractLock = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      validateObjectId(contractId, "ID del contrato");
+
+      const lock = await this.contractLockService.getLockStatus(contractId);
+
+      res.status(200).json({
+        success: true,
+        data: { lock },
+        metadata: {
+          contractId,
+          checkedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error obteniendo bloqueo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "GET_LOCK_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Adquirir bloqueo de edición
+   * POST /contracts/:contractId/lock
+   * Permisos: contracts.canEdit + acceso al contrato
+   */
+  acquireContractLock = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      const { user } = req;
+
+      console.log(
+        `🔒 Usuario ${user.userId} solicitando bloqueo del contrato: ${contractId}`
+      );
+
+      const lock = await this.contractLockService.acquireLock(contractId, {
+        userId: user.userId,
+        name: user.name,
+        email: user.email,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+        sessionId: req.get("X-Session-Id") || "",
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          lock,
+          message: "Bloqueo de edición adquirido exitosamente",
+        },
+        metadata: {
+          contractId,
+          lockedBy: user.userId,
+          lockedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error adquiriendo bloqueo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "ACQUIRE_LOCK_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Extender bloqueo de edición vigente
+   * POST /contracts/:contractId/lock/extend
+   * Permisos: contracts.canEdit + acceso al contrato
+   */
+  extendContractLock = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      const { user } = req;
+
+      const lock = await this.contractLockService.extendLock(contractId, {
+        userId: user.userId,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          lock,
+          message: "Bloqueo de edición extendido exitosamente",
+        },
+        metadata: {
+          contractId,
+          extendedBy: user.userId,
+          extendedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error extendiendo bloqueo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "EXTEND_LOCK_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Liberar bloqueo de edición propio
+   * DELETE /contracts/:contractId/lock
+   * Permisos: contracts.canEdit + acceso al contrato
+   */
+  releaseContractLock = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      const { user } = req;
+
+      const lock = await this.contractLockService.releaseLock(contractId, {
+        userId: user.userId,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          lock,
+          message: "Bloqueo de edición liberado exitosamente",
+        },
+        metadata: {
+          contractId,
+          releasedBy: user.userId,
+          releasedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error liberando bloqueo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "RELEASE_LOCK_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Forzar liberación del bloqueo de otro usuario
+   * POST /contracts/:contractId/lock/force-unlock
+   * Permisos: contracts.canDelete + acceso al contrato
+   */
+  forceUnlockContract = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      const { user } = req;
+      const { reason } = req.body || {};
+
+      console.log(
+        `⚠️ Usuario ${user.userId} forzando desbloqueo del contrato: ${contractId}`
+      );
+
+      const result = await this.contractLockService.forceUnlock(
+        contractId,
+        {
+          userId: user.userId,
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+        reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          lock: result,
+          message: "Bloqueo de edición liberado forzosamente",
+        },
+        metadata: {
+          contractId,
+          unlockedBy: user.userId,
+          unlockedAt: new Date(),
+          reason: reason || null,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error forzando desbloqueo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "FORCE_UNLOCK_ERROR",
+      });
+    }
+  };
+
   // =============================================================================
   // OPERACIONES DE GESTIÓN DE FASES
   // =============================================================================
@@ -537,7 +768,11 @@ export class ContractController {
     try {
       const { contractId } = req.params;
       const { user } = req;
-      const { observations, skipValidations = false } = req.body;
+      const {
+        observations,
+        skipValidations = false,
+        skipOptionalPhases = false,
+      } = req.body;
 
       console.log(
         `➡️ Usuario ${user.userId} avanzando fase del contrato: ${contractId}`
@@ -551,6 +786,7 @@ export class ContractController {
           userId: user.userId,
           observations,
           skipValidations: skipValidations === true,
+          skipOptionalPhases: skipOptionalPhases === true,
           createHistory: true,
         }
       );
@@ -580,6 +816,7 @@ export class ContractController {
         success: false,
         message: error.message || "Error interno del servidor",
         code: error.code || "ADVANCE_PHASE_ERROR",
+        details: error.details,
       });
     }
   };
@@ -846,6 +1083,8 @@ export class ContractController {
         {
           userId: user.userId,
           permissions: req.permissions,
+          // Un ETag por contrato: If-Match: "<id>-<versión>", "<id>-<versión>"
+          expectedVersions: parseIfMatchVersions(req.get("If-Match")),
         }
       );
 
@@ -859,6 +1098,7 @@ export class ContractController {
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error interno del servidor",
+        code: error.code,
       });
     }
   };
@@ -1005,6 +1245,7 @@ export class ContractController {
           attachments: attachments || [],
           validations, // Incluir validaciones
           nextPhaseSettings, // Incluir configuraciones
+          expectedVersion: getIfMatchVersion(req.get("If-Match"), contractId),
           userId: user.userId,
           userInfo: {
             name: user.name,
@@ -1013,6 +1254,10 @@ export class ContractController {
         }
       );
 
+      res.set(
+        "ETag",
+        buildVersionETag(contractId, result?.concurrencyControl?.version)
+      );
       res.json({
         success: true,
         message: "Fase del contrato cambiada exitosamente",
@@ -1023,6 +1268,8 @@ export class ContractController {
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error al cambiar fase del contrato",
+        code: error.code,
+        details: error.details,
       });
     }
   };
@@ -1045,6 +1292,7 @@ export class ContractController {
           newStatus,
           reason,
           observations,
+          expectedVersion: getIfMatchVersion(req.get("If-Match"), contractId),
           userId: user.userId,
           userInfo: {
             name: user.name,
@@ -1054,6 +1302,10 @@ export class ContractController {
         user
       );
 
+      res.set(
+        "ETag",
+        buildVersionETag(contractId, result?.concurrencyControl?.version)
+      );
       res.json({
         success: true,
         message: "Estado del contrato actualizado exitosamente",
@@ -1064,6 +1316,8 @@ export class ContractController {
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error al cambiar estado del contrato",
+        code: error.code,
+        details: error.details,
       });
     }
   };
@@ -1092,6 +1346,87 @@ export class ContractController {
     }
   };
 
+  /**
+   * Iniciar, completar u omitir una fase según el motor de fases
+   * POST /contracts/:contractId/phases/:phaseId/transition
+   */
+  transitionContractPhase = async (req, res) => {
+    try {
+      const { contractId, phaseId } = req.params;
+      const { action, reason } = req.body;
+      const { user } = req;
+
+      validateObjectId(contractId, "ID del contrato");
+      validateObjectId(phaseId, "ID de la fase");
+
+      const result = await this.contractService.transitionContractPhase(
+        contractId,
+        phaseId,
+        {
+          action,
+          reason,
+          expectedVersion: getIfMatchVersion(req.get("If-Match"), contractId),
+        },
+        {
+          userId: user.userId,
+          name: user.name,
+          email: user.email,
+        }
+      );
+
+      res.set(
+        "ETag",
+        buildVersionETag(
+          contractId,
+          result.contract?.concurrencyControl?.version
+        )
+      );
+      res.json({
+        success: true,
+        message: `Acción ${result.action} aplicada a la fase ${result.phase.name}`,
+        data: result,
+      });
+    } catch (error) {
+      console.error("❌ Error en transitionContractPhase:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error al cambiar el estado de la fase",
+        code: error.code,
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Checklist de documentos requeridos de una fase del contrato
+   * GET /contracts/:contractId/phases/:phaseId/checklist
+   */
+  getPhaseChecklist = async (req, res) => {
+    try {
+      const { contractId, phaseId } = req.params;
+      validateObjectId(contractId, "ID del contrato");
+      validateObjectId(phaseId, "ID de la fase");
+
+      const checklist = await this.contractService.getPhaseChecklist(
+        contractId,
+        phaseId
+      );
+
+      res.json({
+        success: true,
+        data: checklist,
+      });
+    } catch (error) {
+      console.error("❌ Error en getPhaseChecklist:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error al obtener checklist de la fase",
+        code: error.code,
+        details: error.details,
+      });
+    }
+  };
+
   /**
    * Obtener transiciones disponibles para un contrato
    * GET /contracts/:contractId/available-transitions
@@ -1115,6 +1450,7 @@ export class ContractController {
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error al obtener transiciones disponibles",
+        code: error.code,
       });
     }
   };
@@ -1156,7 +1492,11 @@ export class ContractController {
         isPublic: body.isPublic === "true",
         allowedRoles: body.allowedRoles ? JSON.parse(body.allowedRoles) : [],
         allowedUsers: body.allowedUsers ? JSON.parse(body.allowedUsers) : [],
-        files,
+        // Checksum ya calculado por el middleware de archivos
+        files: files.map((file, index) => ({
+          ...file,
+          checksum: req.archivosInfo?.archivos?.[index]?.checksum,
+        })),
       };
 
       /*const userData = {
@@ -1176,19 +1516,6 @@ export class ContractController {
         `✅ Documentos procesados: ${result.successful.length} exitosos, ${result.failed.length} fallidos`
       );
 
-      // NUEVA FUNCIONALIDAD: Sincronizar nombres con resultados de rsync
-      if (
-        req.rsyncResults &&
-        req.rsyncResults.enabled &&
-        req.rsyncResults.results
-      ) {
-        await this.synchronizeFileNamesWithRsync(
-          result.successful,
-          req.rsyncResults.results,
-          user
-        );
-      }
-
       res.status(201).json({
         success: true,
         message: `Documentos procesados exitosamente`,
@@ -1203,14 +1530,6 @@ export class ContractController {
             failed: result.failed.length,
           },
         },
-        // Incluir información de rsync si está disponible
-        ...(req.rsyncResults && {
-          rsync: {
-            enabled: req.rsyncResults.enabled,
-            summary: req.rsyncResults.summary,
-            remotePath: req.rsyncResults.remotePath,
-          },
-        }),
       });
     } catch (error) {
       console.error(`❌ Controller error en uploadContractDocument:`, error);
@@ -1229,65 +1548,6 @@ export class ContractController {
     }
   };
 
-  /**
-   * Sincronizar nombres de archivos entre BD y resultados de rsync
-   * @private
-   */
-  async synchronizeFileNamesWithRsync(successfulFiles, rsyncResults, userData) {
-    try {
-      console.log(
-        `🔄 Sincronizando nombres de ${successfulFiles.length} archivos con rsync`
-      );
-
-      for (let i = 0; i < successfulFiles.length; i++) {
-        const fileRecord = successfulFiles[i];
-        const rsyncResult = rsyncResults.find(
-          (r) => r.file === fileRecord.filename && r.success === true
-        );
-
-        if (rsyncResult) {
-          // Preparar todos los datos de actualización en un solo objeto
-          const updateData = {
-            systemName: rsyncResult.systemName || fileRecord.systemName,
-            "storage.storageProvider": "RSYNC",
-            "storage.path": rsyncResult.remotePath,
-            "rsyncInfo.remoteFileName": rsyncResult.remoteFileName,
-            "rsyncInfo.remotePath": rsyncResult.remotePath,
-            "rsyncInfo.syncStatus": "SYNCED",
-            "rsyncInfo.lastSyncSuccess": new Date(),
-            "rsyncInfo.syncError": null,
-            "rsyncInfo.syncRetries": 0,
-          };
-
-          console.log(
-            `🔄 Actualizando archivo ${fileRecord.fileId}:`,
-            JSON.stringify(updateData, null, 2)
-          );
-
-          // Una sola llamada a updateFile
-          await this.fileService.updateFile(
-            fileRecord.fileId,
-            updateData,
-            userData
-          );
-
-          console.log(
-            `✅ Archivo sincronizado: ${fileRecord.originalName} -> ${rsyncResult.systemName}`
-          );
-        } else {
-          console.warn(
-            `⚠️ No se encontró resultado de rsync para: ${fileRecord.originalName}`
-          );
-        }
-      }
-
-      console.log(`✅ Sincronización de nombres completada`);
-    } catch (error) {
-      console.error(`❌ Error sincronizando nombres con rsync:`, error);
-      // No lanzar error - esto es complementario
-    }
-  }
-
   /**
    * Obtener documentos de un contrato
    * GET /contracts/:contractId/documents
@@ -1440,6 +1700,50 @@ export class ContractController {
     }
   };
 
+  /**
+   * Descargar el expediente foliado con portada e índice
+   * GET /contracts/:contractId/expediente.pdf
+   * Headers: If-None-Match (opcional) - 304 si el conjunto documental no cambió
+   */
+  getContractExpediente = async (req, res) => {
+    try {
+      const { contractId } = req.params;
+      const { user } = req;
+
+      validateObjectId(contractId, "ID del contrato");
+
+      const result = await this.expedienteService.getExpediente(contractId, {
+        ifNoneMatch: parseETagList(req.headers["if-none-match"]),
+      });
+
+      res.set("ETag", `"${result.cacheKey}"`);
+      res.set("Cache-Control", "private, no-cache");
+
+      if (result.notModified) {
+        return res.status(304).end();
+      }
+
+      console.log(
+        `📚 Usuario ${user.userId} descargando expediente ${result.filename} (${result.cached ? "caché" : "generado"})`
+      );
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${result.filename}"`
+      );
+      res.setHeader("X-Expediente-Cache", result.cached ? "HIT" : "MISS");
+
+      res.status(200).send(result.buffer);
+    } catch (error) {
+      console.error("❌ Error en getContractExpediente:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error al generar el expediente",
+      });
+    }
+  };
+
   // =============================================================================
   // HISTORIAL Y AUDITORÍA
   // =============================================================================
@@ -0,0 +1,46 @@
+// =============================================================================
+// src/module/exp-digital/controllers/document-verification.controller.js
+// Controlador público de verificación de documentos sellados con QR
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import { DocumentVerificationService } from "../services/document-verification.service.js";
+
+export class DocumentVerificationController {
+  constructor() {
+    this.documentVerificationService = new DocumentVerificationService();
+  }
+
+  /**
+   * Verificar un documento impreso a partir de su código (sin sesión)
+   * GET /verify/:code
+   */
+  verifyDocument = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const result = await this.documentVerificationService.verify(code);
+
+      console.log(
+        `🔎 Verificación pública del código ${result.code}: ${result.status}`
+      );
+
+      res.set("Cache-Control", "no-store");
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: result.message,
+      });
+    } catch (error) {
+      console.error(`❌ Error verificando documento: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "No se pudo verificar el documento",
+        code: error.code || "VERIFY_DOCUMENT_ERROR",
+      });
+    }
+  };
+}
@@ -4,7 +4,12 @@
 // GADM Cantón Esmeraldas - Sistema de Contratación Pública
 // =============================================================================
 
+import { raw } from "express";
 import { FileService } from "../services/file.service.js";
+import { IntegrityScrubService } from "../services/integrity-scrub.service.js";
+import { FilePreviewService } from "../services/file-preview.service.js";
+import { DocumentSearchService } from "../services/document-search.service.js";
+import { ChunkedUploadService } from "../services/chunked-upload.service.js";
 import {
   requirePermission,
   requireAnyPermission,
@@ -21,10 +26,21 @@ import {
   validateObjectId,
   validateRequiredFields,
 } from "../../../../utils/validation.util.js";
+import { parseETagList } from "#utils/etag.util.js";
 
 export class FileController {
   constructor() {
     this.fileService = new FileService();
+    this.integrityScrubService = new IntegrityScrubService();
+    this.filePreviewService = new FilePreviewService();
+    this.documentSearchService = new DocumentSearchService();
+    this.chunkedUploadService = new ChunkedUploadService();
+
+    // Cuerpo binario de cada parte de la subida por partes
+    this.chunkBodyParser = raw({
+      type: () => true,
+      limit: this.chunkedUploadService.config.chunkSize,
+    });
 
     // Configurar middleware de archivos para documentos
     this.uploadMiddleware = crearMiddlewareArchivos({
@@ -83,6 +99,7 @@ export class FileController {
       const {
         contractId,
         phaseId,
+        departmentId,
         documentType = "OTROS",
         description = "",
         isPublic = false,
@@ -98,6 +115,7 @@ export class FileController {
           const metadata = {
             contractId,
             phaseId,
+            departmentId,
             documentType: Array.isArray(documentType)
               ? documentType[index] || "OTROS"
               : documentType,
@@ -118,7 +136,13 @@ export class FileController {
             uploadedBy: user.userId,
           };
 
-          return await this.fileService.uploadFile(file, metadata, {
+          // Checksum ya calculado por el middleware de archivos
+          const fileData = {
+            ...file,
+            checksum: req.archivosInfo?.archivos?.[index]?.checksum,
+          };
+
+          return await this.fileService.uploadFile(fileData, metadata, {
             ipAddress: req.ip,
             userAgent: req.get("User-Agent"),
           });
@@ -175,6 +199,162 @@ export class FileController {
     }
   };
 
+  // =============================================================================
+  // SUBIDA POR PARTES (ARCHIVOS GRANDES)
+  // =============================================================================
+
+  /**
+   * Iniciar una subida por partes
+   * POST /files/uploads
+   * Body: originalName, size, mimeType, checksum (SHA-256, opcional aquí) y
+   *   los mismos metadatos que /files/upload
+   * Permisos: documents.canUpload
+   */
+  initChunkedUpload = async (req, res) => {
+    try {
+      const { user, body } = req;
+
+      console.log(
+        `📦 Usuario ${user.userId} iniciando subida por partes: ${body.originalName}`
+      );
+
+      const session = await this.chunkedUploadService.initSession(body, {
+        userId: user.userId,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: session,
+        message: "Sesión de subida creada",
+      });
+    } catch (error) {
+      this._sendChunkedUploadError(res, error, "CHUNKED_UPLOAD_INIT_ERROR");
+    }
+  };
+
+  /**
+   * Estado de una subida por partes (para reanudarla)
+   * GET /files/uploads/:uploadId
+   * Permisos: documents.canUpload
+   */
+  getChunkedUpload = async (req, res) => {
+    try {
+      const session = await this.chunkedUploadService.getSession(
+        req.params.uploadId,
+        req.user
+      );
+
+      res.setHeader("Upload-Offset", session.receivedBytes);
+      res.status(200).json({ success: true, data: session });
+    } catch (error) {
+      this._sendChunkedUploadError(res, error, "CHUNKED_UPLOAD_STATUS_ERROR");
+    }
+  };
+
+  /**
+   * Leer el cuerpo de la parte respondiendo en el formato de la API si
+   * supera chunkSize
+   */
+  parseChunkBody = (req, res, next) => {
+    this.chunkBodyParser(req, res, (error) => {
+      if (!error) return next();
+
+      this._sendChunkedUploadError(
+        res,
+        error.type === "entity.too.large"
+          ? createError(
+              ERROR_CODES.VALIDATION_ERROR,
+              `La parte supera el tamaño máximo de ${this.chunkedUploadService.config.chunkSize} bytes`,
+              413
+            )
+          : error,
+        "CHUNK_UPLOAD_ERROR"
+      );
+    });
+  };
+
+  /**
+   * Recibir una parte
+   * PUT /files/uploads/:uploadId
+   * Cuerpo binario; Content-Range: bytes inicio-fin/total (o ?offset=)
+   * Permisos: documents.canUpload
+   */
+  uploadChunk = async (req, res) => {
+    try {
+      const session = await this.chunkedUploadService.writeChunk(
+        req.params.uploadId,
+        {
+          buffer: req.body,
+          contentRange: req.get("Content-Range"),
+          offset: req.query.offset,
+        },
+        req.user
+      );
+
+      res.setHeader("Upload-Offset", session.receivedBytes);
+      res.status(200).json({ success: true, data: session });
+    } catch (error) {
+      if (error.details?.receivedBytes !== undefined) {
+        res.setHeader("Upload-Offset", error.details.receivedBytes);
+      }
+      this._sendChunkedUploadError(res, error, "CHUNK_UPLOAD_ERROR");
+    }
+  };
+
+  /**
+   * Finalizar la subida: verifica el checksum y registra el archivo
+   * POST /files/uploads/:uploadId/complete
+   * Body: checksum (si no se envió al iniciar)
+   * Permisos: documents.canUpload
+   */
+  completeChunkedUpload = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+
+      console.log(
+        `📦 Usuario ${user.userId} finalizando subida por partes: ${params.uploadId}`
+      );
+
+      const result = await this.chunkedUploadService.completeSession(
+        params.uploadId,
+        body || {},
+        user
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: "Archivo subido exitosamente",
+      });
+    } catch (error) {
+      this._sendChunkedUploadError(res, error, "CHUNKED_UPLOAD_COMPLETE_ERROR");
+    }
+  };
+
+  /**
+   * Cancelar una subida por partes
+   * DELETE /files/uploads/:uploadId
+   * Permisos: documents.canUpload
+   */
+  abortChunkedUpload = async (req, res) => {
+    try {
+      const session = await this.chunkedUploadService.abortSession(
+        req.params.uploadId,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        data: session,
+        message: "Subida cancelada",
+      });
+    } catch (error) {
+      this._sendChunkedUploadError(res, error, "CHUNKED_UPLOAD_ABORT_ERROR");
+    }
+  };
+
   /**
    * Obtener todos los archivos con filtros
    * GET /files
@@ -397,6 +577,179 @@ export class FileController {
     }
   };
 
+  /**
+   * Enviar archivo a revisión
+   * Body: reviewers (opcional), observations
+   * POST /files/:id/submit-review
+   * Permisos: documents.canUpload
+   */
+  submitForReview = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+      const { id } = params;
+
+      console.log(
+        `📨 Usuario ${user.userId} enviando a revisión archivo: ${id}`
+      );
+
+      validateObjectId(id, "ID del archivo");
+
+      const file = await this.fileService.submitForReview(id, body || {}, user);
+
+      res.status(200).json({
+        success: true,
+        data: file,
+        message: "Archivo enviado a revisión",
+        metadata: {
+          status: file.status,
+          round: file.review?.round,
+          approvals: file.review?.approvals?.length || 0,
+          requiredApprovals: file.review?.requiredApprovals,
+          performedBy: user.userId,
+          performedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error en revisión de archivo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "SUBMIT_REVIEW_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Aprobar archivo en revisión
+   * Body: observations
+   * POST /files/:id/approve
+   * Permisos: interactions.canAddObservations
+   */
+  approveFile = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+      const { id } = params;
+
+      console.log(`👍 Usuario ${user.userId} aprobando archivo: ${id}`);
+
+      validateObjectId(id, "ID del archivo");
+
+      const file = await this.fileService.approveFile(id, body || {}, user);
+
+      res.status(200).json({
+        success: true,
+        data: file,
+        message:
+          file.status === "APPROVED"
+            ? "Archivo aprobado"
+            : "Aprobación registrada, faltan aprobaciones de otros revisores",
+        metadata: {
+          status: file.status,
+          round: file.review?.round,
+          approvals: file.review?.approvals?.length || 0,
+          requiredApprovals: file.review?.requiredApprovals,
+          // Versión sellada con QR (solo PDF, al completar la aprobación)
+          verification: file.stampedVersion || null,
+          performedBy: user.userId,
+          performedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error en revisión de archivo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "APPROVE_FILE_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Sellar con QR de verificación un PDF aprobado
+   * Crea una nueva versión vigente del documento
+   * POST /files/:id/verification-stamp
+   * Permisos: special.canManageFiles
+   */
+  stampVerification = async (req, res) => {
+    try {
+      const { user, params } = req;
+      const { id } = params;
+
+      console.log(`🔏 Usuario ${user.userId} sellando archivo: ${id}`);
+
+      validateObjectId(id, "ID del archivo");
+
+      const file = await this.fileService.stampVerification(id, user);
+
+      res.status(201).json({
+        success: true,
+        data: file,
+        message: `Documento sellado con el código ${file.stampedVersion.verificationCode}`,
+        metadata: {
+          verification: file.stampedVersion,
+          sourceFile: id,
+          performedBy: user.userId,
+          performedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error sellando archivo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "STAMP_FILE_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
+  /**
+   * Rechazar archivo en revisión
+   * Body: reason (obligatorio)
+   * POST /files/:id/reject
+   * Permisos: interactions.canAddObservations
+   */
+  rejectFile = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+      const { id } = params;
+
+      console.log(`👎 Usuario ${user.userId} rechazando archivo: ${id}`);
+
+      validateObjectId(id, "ID del archivo");
+
+      const file = await this.fileService.rejectFile(id, body || {}, user);
+
+      res.status(200).json({
+        success: true,
+        data: file,
+        message: "Archivo rechazado",
+        metadata: {
+          status: file.status,
+          round: file.review?.round,
+          approvals: file.review?.approvals?.length || 0,
+          requiredApprovals: file.review?.requiredApprovals,
+          performedBy: user.userId,
+          performedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error en revisión de archivo: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "REJECT_FILE_ERROR",
+        details: error.details,
+      });
+    }
+  };
+
   /**
    * Eliminar archivo
    * DELETE /files/:id
@@ -445,6 +798,7 @@ export class FileController {
   /**
    * Descargar archivo
    * GET /files/:id/download
+   * Admite Range / If-Range (206) y If-None-Match (304)
    * Permisos: documents.canDownload + acceso al archivo
    */
   downloadFile = async (req, res) => {
@@ -461,8 +815,16 @@ export class FileController {
         source,
         userId: user.userId,
         trackDownload: track === "true",
+        ...this._getConditionalOptions(req),
       });
-      await this.fileService.trackViewOrDownload(id, user.userId, "api", true);
+      if (this._isNewRead(result)) {
+        await this.fileService.trackViewOrDownload(
+          id,
+          user.userId,
+          "api",
+          true
+        );
+      }
       // TODO: Verificar permisos de descarga específicos del archivo
 
       console.log(
@@ -470,21 +832,12 @@ export class FileController {
         JSON.stringify(result.metadata, null, 2)
       );
 
-      // Configurar headers para descarga
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${result.metadata.originalName}"`
-      );
-      res.setHeader("Content-Type", result.metadata.mimeType);
-      res.setHeader("Content-Length", result.metadata.size);
-      res.setHeader("X-File-Source", result.metadata.source);
-      //res.setHeader("X-File-Checksum", result.metadata.checksum);
-
-      // Enviar archivo
-      res.status(200).send(result.fileStream);
+      res.setHeader("Cache-Control", "private, no-cache");
+      this._sendFileContent(res, result, "attachment");
     } catch (error) {
       console.error(`❌ Error descargando archivo: ${error.message}`);
 
+      this._setRangeErrorHeaders(res, error);
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error interno del servidor",
@@ -496,6 +849,7 @@ export class FileController {
   /**
    * Previsualizar archivo (para imágenes y PDFs)
    * GET /files/:id/preview
+   * Admite Range para que el visor de PDF cargue el documento por partes
    * Permisos: documents.canView + acceso al archivo
    */
   previewFile = async (req, res) => {
@@ -511,6 +865,7 @@ export class FileController {
         source: "auto",
         userId: user.userId,
         trackDownload: false, // No trackear previsualizaciones
+        ...this._getConditionalOptions(req),
       });
 
       // Verificar que el archivo sea previsualizable
@@ -528,6 +883,7 @@ export class FileController {
       );
 
       if (!isPreviewable) {
+        result.fileStream?.destroy();
         return res.status(400).json({
           success: false,
           message: "Este tipo de archivo no es previsualizable",
@@ -535,19 +891,19 @@ export class FileController {
         });
       }
 
-      await this.fileService.trackViewOrDownload(id, user.userId, "api", false);
+      if (this._isNewRead(result)) {
+        await this.fileService.trackViewOrDownload(
+          id,
+          user.userId,
+          "api",
+          false
+        );
+      }
       // ========================================
       // 🔧 FIX: CONFIGURAR HEADERS CSP PARA IFRAME
       // ========================================
 
       // Headers de seguridad para permitir iframe desde el frontend
-      res.setHeader("Content-Type", result.metadata.mimeType);
-      res.setHeader("Content-Length", result.metadata.size);
-      res.setHeader(
-        "Content-Disposition",
-        `inline; filename="${result.metadata.originalName}"`
-      );
-
       // ✅ CSP MÁS FLEXIBLE PARA PREVIEW
       const allowedDomains = [
         "'self'",
@@ -567,16 +923,16 @@ export class FileController {
 
       // Cache para mejorar rendimiento
       res.setHeader("Cache-Control", "private, max-age=3600");
-      res.setHeader("X-File-Source", result.metadata.source);
       res.setHeader("X-File-Id", result.metadata.id);
 
       // ========================================
       // ENVIAR ARCHIVO
       // ========================================
-      res.status(200).send(result.fileStream);
+      this._sendFileContent(res, result, "inline");
     } catch (error) {
       console.error(`❌ Error previsualizando archivo: ${error.message}`);
 
+      this._setRangeErrorHeaders(res, error);
       res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "Error interno del servidor",
@@ -585,6 +941,63 @@ export class FileController {
     }
   };
 
+  /**
+   * Miniatura del archivo (imágenes y primera página de PDFs)
+   * GET /files/:id/thumbnail?size=
+   * Permisos: documents.canView + acceso al archivo
+   */
+  getThumbnail = async (req, res) => {
+    try {
+      const { params, query } = req;
+      const { id } = params;
+
+      validateObjectId(id, "ID del archivo");
+
+      const result = await this.filePreviewService.getThumbnail(id, {
+        size: query.size,
+        ifNoneMatch: parseETagList(req.headers["if-none-match"]),
+      });
+
+      this._sendDerivative(res, result);
+    } catch (error) {
+      console.error(`❌ Error obteniendo miniatura: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "THUMBNAIL_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Vista rasterizada de una página del archivo
+   * GET /files/:id/pages/:n
+   * Permisos: documents.canView + acceso al archivo
+   */
+  getPagePreview = async (req, res) => {
+    try {
+      const { params } = req;
+      const { id, n } = params;
+
+      validateObjectId(id, "ID del archivo");
+
+      const result = await this.filePreviewService.getPage(id, n, {
+        ifNoneMatch: parseETagList(req.headers["if-none-match"]),
+      });
+
+      this._sendDerivative(res, result);
+    } catch (error) {
+      console.error(`❌ Error obteniendo vista de página: ${error.message}`);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "PAGE_PREVIEW_ERROR",
+      });
+    }
+  };
+
   // =============================================================================
   // OPERACIONES DE RSYNC Y SINCRONIZACIÓN
   // =============================================================================
@@ -598,19 +1011,15 @@ export class FileController {
     try {
       const { user, params, body } = req;
       const { id } = params;
-      const {
-        forcePriority = null,
-        resetRetries = false,
-        updatePriority = false,
-      } = body;
+      const { provider, forcePriority = null, updatePriority = false } = body;
 
       console.log(`🔄 Usuario ${user.userId} sincronizando archivo: ${id}`);
 
       validateObjectId(id, "ID del archivo");
 
       const result = await this.fileService.syncFile(id, {
+        ...(provider && { provider: provider.toString().toUpperCase() }),
         forcePriority,
-        resetRetries,
         updatePriority,
       });
 
@@ -717,6 +1126,116 @@ export class FileController {
     }
   };
 
+  // =============================================================================
+  // VERIFICACIÓN DE INTEGRIDAD
+  // =============================================================================
+
+  /**
+   * Listar reportes de verificación de integridad
+   * GET /files/integrity/reports
+   * Permisos: special.canManageFiles (administradores)
+   */
+  getIntegrityReports = async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const result = await this.integrityScrubService.getReports({
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100),
+        status,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error(
+        `❌ Error listando reportes de integridad: ${error.message}`
+      );
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "INTEGRITY_REPORT_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Obtener un reporte de integridad con sus hallazgos
+   * GET /files/integrity/reports/:reportId
+   * Permisos: special.canManageFiles (administradores)
+   */
+  getIntegrityReport = async (req, res) => {
+    try {
+      const { reportId } = req.params;
+
+      validateObjectId(reportId, "ID del reporte");
+
+      const report = await this.integrityScrubService.getReport(reportId);
+
+      res.status(200).json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error(
+        `❌ Error obteniendo reporte de integridad: ${error.message}`
+      );
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "INTEGRITY_REPORT_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Descargar un reporte de integridad
+   * GET /files/integrity/reports/:reportId/export
+   * Query params: format (csv | json)
+   * Permisos: special.canManageFiles (administradores)
+   */
+  exportIntegrityReport = async (req, res) => {
+    try {
+      const { user } = req;
+      const { reportId } = req.params;
+      const { format = "csv" } = req.query;
+
+      validateObjectId(reportId, "ID del reporte");
+
+      const result = await this.integrityScrubService.exportReport(
+        reportId,
+        format
+      );
+
+      console.log(
+        `📥 Usuario ${user.userId} descargando reporte de integridad ${reportId}`
+      );
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${result.filename}"`
+      );
+      res.setHeader("Content-Type", result.contentType);
+      res.setHeader("Digest", `sha-256=${result.sha256}`);
+
+      res.status(200).send(result.buffer);
+    } catch (error) {
+      console.error(
+        `❌ Error exportando reporte de integridad: ${error.message}`
+      );
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error interno del servidor",
+        code: error.code || "INTEGRITY_REPORT_ERROR",
+      });
+    }
+  };
+
   // =============================================================================
   // OPERACIONES DE ESTADÍSTICAS Y REPORTES
   // =============================================================================
@@ -905,6 +1424,8 @@ export class FileController {
   /**
    * Buscar archivos con filtros avanzados
    * POST /files/search
+   * Con body.content busca dentro del texto de los documentos y devuelve
+   * fragmentos resaltados con el contrato y la fase de cada coincidencia
    * Permisos: documents.canView
    */
   searchFiles = async (req, res) => {
@@ -913,6 +1434,32 @@ export class FileController {
 
       console.log(`🔍 Usuario ${user.userId} realizando búsqueda de archivos`);
 
+      if (body.content !== undefined) {
+        const result = await this.documentSearchService.searchContent({
+          query: body.content,
+          contractId: body.contractId,
+          phaseId: body.phaseId,
+          documentType: body.documentType,
+          includeAllVersions: body.includeAllVersions === true,
+          page: body.page,
+          limit: body.limit,
+        });
+
+        console.log(
+          `✅ Búsqueda por contenido completada: ${result.results.length} resultados`
+        );
+
+        return res.status(200).json({
+          success: true,
+          data: result,
+          searchCriteria: { ...body, mode: "content" },
+          metadata: {
+            searchedBy: user.userId,
+            searchedAt: new Date(),
+          },
+        });
+      }
+
       const searchFilters = {
         ...body,
         page: body.page || 1,
@@ -989,4 +1536,122 @@ export class FileController {
       });
     }
   };
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Enviar una miniatura o vista de página; el ETag depende del contenido
+   * del original, así que el navegador puede conservarla en caché
+   * @private
+   */
+  _sendDerivative(res, result) {
+    res.setHeader("ETag", `"${result.etag}"`);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+
+    if (result.notModified) {
+      return res.status(304).end();
+    }
+
+    res.setHeader("Content-Type", result.mimeType);
+    res.setHeader("Content-Length", result.buffer.length);
+    res.setHeader("X-Preview-Cache", result.cached ? "HIT" : "MISS");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.status(200).send(result.buffer);
+  }
+
+  /**
+   * Cabeceras condicionales y de rango de la petición
+   * @private
+   */
+  _getConditionalOptions(req) {
+    return {
+      range: req.headers.range || null,
+      ifRange: req.headers["if-range"] || null,
+      ifNoneMatch: parseETagList(req.headers["if-none-match"]),
+    };
+  }
+
+  /**
+   * Una respuesta 304 o la continuación de un rango no es una lectura nueva
+   * @private
+   */
+  _isNewRead(result) {
+    return !result.notModified && (!result.range || result.range.start === 0);
+  }
+
+  /**
+   * Enviar el contenido del archivo: 304, 206 con Content-Range o 200
+   * @private
+   */
+  _sendFileContent(res, result, disposition) {
+    const { metadata, range } = result;
+
+    res.setHeader("ETag", `"${metadata.etag}"`);
+    if (metadata.lastModified) {
+      res.setHeader(
+        "Last-Modified",
+        new Date(metadata.lastModified).toUTCString()
+      );
+    }
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("X-File-Source", metadata.source);
+
+    if (result.notModified) {
+      return res.status(304).end();
+    }
+
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename="${metadata.originalName}"`
+    );
+    res.setHeader("Content-Type", metadata.mimeType);
+
+    if (range) {
+      res.setHeader(
+        "Content-Range",
+        `bytes ${range.start}-${range.end}/${metadata.size}`
+      );
+      res.setHeader("Content-Length", range.end - range.start + 1);
+      res.status(206);
+    } else {
+      res.setHeader("Content-Length", metadata.size);
+      res.status(200);
+    }
+
+    result.fileStream.on("error", (error) => {
+      console.error(`❌ Error leyendo archivo en caché: ${error.message}`);
+      res.destroy(error);
+    });
+    // El cliente cortó la conexión (descarga interrumpida)
+    res.on("close", () => result.fileStream.destroy());
+    result.fileStream.pipe(res);
+  }
+
+  /**
+   * 416: informar el tamaño real para que el cliente corrija el rango
+   * @private
+   */
+  _setRangeErrorHeaders(res, error) {
+    if (error.statusCode === 416 && error.details?.size !== undefined) {
+      res.setHeader("Content-Range", `bytes */${error.details.size}`);
+    }
+  }
+
+  /**
+   * Los errores de la subida por partes incluyen el estado esperado
+   * (receivedBytes, checksum) para que el cliente se recupere
+   * @private
+   */
+  _sendChunkedUploadError(res, error, defaultCode) {
+    console.error(`❌ Error en subida por partes: ${error.message}`);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "Error interno del servidor",
+      code: error.code || defaultCode,
+      details: error.details,
+    });
+  }
 }
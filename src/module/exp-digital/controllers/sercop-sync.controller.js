@@ -4,33 +4,56 @@
 // =============================================================================
 
 import sercopSyncService from "../services/sercop-sync.service.js";
-import { validateRequiredFields } from "../../../utils/validation.js";
+import { SercopReconciliationService } from "../services/sercop-reconciliation.service.js";
+import { SercopTypeReviewService } from "../services/sercop-type-review.service.js";
+import { validateRequiredFields } from "#utils/validation.util.js";
+
+const reconciliationService = new SercopReconciliationService();
+const typeReviewService = new SercopTypeReviewService();
 
 export class SercopSyncController {
   /**
    * Sincronizar tipos de contrato desde SERCOP
-   * POST /expediente-digital/sercop/sync-types
-   * Body: { year, buyer, dryRun }
+   * POST /expediente-digital/sercop-sync/sync-types
+   * Body: { year | years | fromYear+toYear, buyer, dryRun, resume, maxPages }
+   * Con resume (por defecto) cada año continúa desde su punto de control
    */
   syncContractTypes = async (req, res) => {
     try {
       const { user, body } = req;
       const {
         year = new Date().getFullYear(),
+        fromYear,
+        toYear,
         buyer = null,
         dryRun = false,
+        resume = true,
+        maxPages,
       } = body;
 
+      let { years = null } = body;
+      if (!years && fromYear && toYear) {
+        years = [];
+        for (let y = parseInt(fromYear); y <= parseInt(toYear); y++) {
+          years.push(y);
+        }
+      }
+
       console.log(
         `🔄 Usuario ${user.userId} iniciando sincronización de tipos`
       );
-      console.log(`   Año: ${year}, Comprador: ${buyer || "TODOS"}`);
-      console.log(`   DryRun: ${dryRun}`);
+      console.log(
+        `   Año(s): ${(years || [year]).join(", ")}, Comprador: ${buyer || "TODOS"}`
+      );
+      console.log(`   DryRun: ${dryRun}, Reanudar: ${resume}`);
 
       const result = await sercopSyncService.syncContractTypes({
         year,
+        years,
         buyer,
         dryRun,
+        resume: resume !== false && resume !== "false",
+        ...(maxPages && { maxPages: parseInt(maxPages) }),
         userData: {
           userId: user.userId,
           ip: req.ip,
@@ -40,10 +63,14 @@ export class SercopSyncController {
 
       res.status(200).json({
         success: true,
-        message: dryRun
-          ? "Simulación completada (no se realizaron cambios)"
-          : "Sincronización completada exitosamente",
+        message: !result.completed
+          ? "Sincronización pausada por límite de páginas; vuelva a ejecutarla para continuar"
+          : dryRun
+            ? "Simulación completada (no se realizaron cambios)"
+            : "Sincronización completada exitosamente",
         data: {
+          completed: result.completed,
+          years: result.years,
           processed: result.processed,
           existing: result.existing,
           created: result.created,
@@ -54,6 +81,7 @@ export class SercopSyncController {
         },
         metadata: {
           year,
+          years,
           buyer,
           dryRun,
           executedBy: user.userId,
@@ -67,13 +95,93 @@ export class SercopSyncController {
         success: false,
         message: error.message || "Error en sincronización",
         code: error.code || "SYNC_ERROR",
+        ...(error.details && { details: error.details }),
+      });
+    }
+  };
+
+  /**
+   * Avance de la sincronización de tipos por año
+   * GET /expediente-digital/sercop-sync/sync-types/checkpoints
+   * Query: status, buyer
+   */
+  getSyncCheckpoints = async (req, res) => {
+    try {
+      const { status, buyer } = req.query;
+
+      const checkpoints = await sercopSyncService.getSyncCheckpoints({
+        status,
+        ...(buyer !== undefined && { buyer: buyer || null }),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: checkpoints,
+        metadata: {
+          total: checkpoints.length,
+          queriedBy: req.user.userId,
+          queriedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error consultando puntos de control:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error consultando puntos de control",
+        code: error.code || "CHECKPOINT_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Vaciar la caché de respuestas de SERCOP
+   * DELETE /expediente-digital/sercop-sync/cache
+   * Query: endpoint (search_ocds | record)
+   */
+  purgeCache = async (req, res) => {
+    try {
+      const { user, query } = req;
+      const { endpoint = null } = query;
+
+      if (endpoint && !["search_ocds", "record"].includes(endpoint)) {
+        return res.status(400).json({
+          success: false,
+          message: "endpoint debe ser search_ocds o record",
+          code: "INVALID_ENDPOINT",
+        });
+      }
+
+      console.log(
+        `🧹 Usuario ${user.userId} vaciando caché de SERCOP: ${endpoint || "completa"}`
+      );
+
+      const result = await sercopSyncService.purgeCache(endpoint);
+
+      res.status(200).json({
+        success: true,
+        message: `Se eliminaron ${result.deleted} respuestas en caché`,
+        data: result,
+        metadata: {
+          endpoint,
+          executedBy: user.userId,
+          executedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error vaciando caché de SERCOP:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error vaciando caché",
+        code: error.code || "CACHE_ERROR",
       });
     }
   };
 
   /**
    * Obtener o crear un tipo de contrato específico
-   * POST /expediente-digital/sercop/resolve-type
+   * POST /expediente-digital/sercop-sync/resolve-type
    * Body: { internalType, dryRun }
    */
   resolveContractType = async (req, res) => {
@@ -103,37 +211,30 @@ export class SercopSyncController {
       const statusMessages = {
         existing: "Tipo de contrato ya existe",
         created: "Tipo de contrato creado exitosamente",
-        created_generic:
-          "Tipo de contrato creado (sin mapeo definido - requiere revisión)",
         to_create: "Tipo de contrato sería creado (dry run)",
-        unmapped: "Tipo sin mapeo definido",
+        unmapped: dryRun
+          ? "Tipo sin mapeo definido"
+          : "Tipo sin mapeo definido: registrado en la cola de revisión",
       };
 
-      res
-        .status(
-          result.status === "created" || result.status === "created_generic"
-            ? 201
-            : 200
-        )
-        .json({
-          success: true,
-          message: statusMessages[result.status] || "Tipo procesado",
-          data: {
-            status: result.status,
-            contractType: result.contractType || null,
-            mapping: result.mapping || null,
-            suggestion: result.suggestion || null,
-            requiresReview:
-              result.status === "created_generic" ||
-              result.status === "unmapped",
-          },
-          metadata: {
-            internalType,
-            dryRun,
-            resolvedBy: user.userId,
-            resolvedAt: new Date(),
-          },
-        });
+      res.status(result.status === "created" ? 201 : 200).json({
+        success: true,
+        message: statusMessages[result.status] || "Tipo procesado",
+        data: {
+          status: result.status,
+          contractType: result.contractType || null,
+          mapping: result.mapping || null,
+          suggestion: result.suggestion || null,
+          reviewId: result.reviewId || null,
+          requiresReview: result.status === "unmapped",
+        },
+        metadata: {
+          internalType,
+          dryRun,
+          resolvedBy: user.userId,
+          resolvedAt: new Date(),
+        },
+      });
     } catch (error) {
       console.error(`❌ Error resolviendo tipo:`, error);
 
@@ -147,8 +248,8 @@ export class SercopSyncController {
 
   /**
    * Buscar contratos en SERCOP
-   * GET /expediente-digital/sercop/search
-   * Query: year, buyer, page, limit
+   * GET /expediente-digital/sercop-sync/search
+   * Query: year, buyer, page, limit, fresh (true para ignorar la caché)
    */
   searchContracts = async (req, res) => {
     try {
@@ -163,12 +264,15 @@ export class SercopSyncController {
       console.log(`🔍 Usuario ${user.userId} buscando contratos en SERCOP`);
       console.log(`   Año: ${year}, Página: ${page}`);
 
-      const result = await sercopSyncService.searchContracts({
-        year,
-        buyer,
-        page: parseInt(page),
-        limit: parseInt(limit),
-      });
+      const result = await sercopSyncService.searchContracts(
+        {
+          year,
+          buyer,
+          page: parseInt(page),
+          limit: parseInt(limit),
+        },
+        { cache: query.fresh !== "true" }
+      );
 
       res.status(200).json({
         success: true,
@@ -200,7 +304,8 @@ export class SercopSyncController {
 
   /**
    * Obtener detalle de un contrato desde SERCOP
-   * GET /expediente-digital/sercop/contract/:ocid
+   * GET /expediente-digital/sercop-sync/contract/:ocid
+   * Query: fresh (true para ignorar la caché)
    */
   getContractDetail = async (req, res) => {
     try {
@@ -219,7 +324,9 @@ export class SercopSyncController {
         `🔍 Usuario ${user.userId} obteniendo detalle de contrato: ${ocid}`
       );
 
-      const result = await sercopSyncService.getContractDetail(ocid);
+      const result = await sercopSyncService.getContractDetail(ocid, {
+        cache: req.query.fresh !== "true",
+      });
 
       res.status(200).json({
         success: true,
@@ -242,9 +349,267 @@ export class SercopSyncController {
     }
   };
 
+  /**
+   * Importar un proceso de SERCOP como contrato
+   * POST /expediente-digital/sercop-sync/import/:ocid
+   * Body: { requestingDepartment, contractType, internalType, contractNumber, dryRun }
+   * Con dryRun (body o ?dryRun=true) solo devuelve la vista previa campo por campo
+   */
+  importContract = async (req, res) => {
+    try {
+      const { user, params, body = {}, query } = req;
+      const { ocid } = params;
+      const dryRun =
+        body.dryRun === true ||
+        body.dryRun === "true" ||
+        query.dryRun === "true";
+
+      console.log(
+        `📥 Usuario ${user.userId} ${dryRun ? "previsualizando" : "importando"} proceso SERCOP: ${ocid}`
+      );
+
+      const result = await sercopSyncService.importContract(ocid, {
+        dryRun,
+        requestingDepartment: body.requestingDepartment,
+        contractType: body.contractType,
+        internalType: body.internalType,
+        contractNumber: body.contractNumber,
+        userData: {
+          userId: user.userId,
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created
+          ? "Contrato importado exitosamente desde SERCOP"
+          : result.preview.canImport
+            ? "Vista previa de importación (no se realizaron cambios)"
+            : "Vista previa con errores: el proceso no puede importarse",
+        data: {
+          contract: result.contract,
+          preview: result.preview,
+        },
+        metadata: {
+          ocid,
+          dryRun,
+          source: "SERCOP",
+          executedBy: user.userId,
+          executedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error importando proceso de SERCOP:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error importando proceso",
+        code: error.code || "IMPORT_ERROR",
+        ...(error.details && { details: error.details }),
+      });
+    }
+  };
+
+  /**
+   * Contratos cuyo estado local no coincide con SERCOP
+   * GET /expediente-digital/sercop-sync/drift
+   * Query: page, limit, departmentId
+   */
+  getDriftReport = async (req, res) => {
+    try {
+      const { user, query } = req;
+
+      console.log(`📊 Usuario ${user.userId} consultando deriva con SERCOP`);
+
+      const result = await reconciliationService.getDriftReport(query);
+
+      res.status(200).json({
+        success: true,
+        data: result.contracts,
+        pagination: result.pagination,
+        metadata: {
+          source: "SERCOP",
+          queriedBy: user.userId,
+          queriedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error obteniendo reporte de deriva:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error obteniendo reporte de deriva",
+        code: error.code || "DRIFT_REPORT_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Cola de diferencias con SERCOP pendientes de revisión
+   * GET /expediente-digital/sercop-sync/reviews
+   * Query: status (PENDING por defecto), contractId, page, limit
+   */
+  getReviewQueue = async (req, res) => {
+    try {
+      const { user, query } = req;
+
+      console.log(`📋 Usuario ${user.userId} consultando cola de revisión`);
+
+      const result = await reconciliationService.getReviewQueue(query);
+
+      res.status(200).json({
+        success: true,
+        data: result.docs,
+        pagination: {
+          page: result.page,
+          limit: result.limit,
+          total: result.totalDocs,
+          totalPages: result.totalPages,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error obteniendo cola de revisión:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error obteniendo cola de revisión",
+        code: error.code || "REVIEW_QUEUE_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Resolver una diferencia con SERCOP
+   * POST /expediente-digital/sercop-sync/reviews/:reviewId/resolve
+   * Body: { action: APPLY | REJECT, observations }
+   */
+  resolveReview = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+
+      validateRequiredFields(body, ["action"], "resolución");
+
+      console.log(
+        `🔍 Usuario ${user.userId} resolviendo diferencia ${params.reviewId}: ${body.action}`
+      );
+
+      const review = await reconciliationService.resolveReview(
+        params.reviewId,
+        { action: body.action, observations: body.observations },
+        {
+          userId: user.userId,
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message:
+          review.status === "APPLIED"
+            ? "Valor de SERCOP aplicado al contrato"
+            : "Se conservó el valor local",
+        data: review,
+      });
+    } catch (error) {
+      console.error(`❌ Error resolviendo diferencia:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error resolviendo diferencia",
+        code: error.code || "RESOLVE_REVIEW_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Tipos de procedimiento de SERCOP sin mapeo
+   * GET /expediente-digital/sercop-sync/type-reviews
+   * Query: status (PENDING por defecto), page, limit
+   */
+  getTypeReviewQueue = async (req, res) => {
+    try {
+      const { user, query } = req;
+
+      console.log(
+        `📋 Usuario ${user.userId} consultando tipos de SERCOP sin mapeo`
+      );
+
+      const result = await typeReviewService.getQueue(query);
+
+      res.status(200).json({
+        success: true,
+        data: result.docs,
+        pagination: {
+          page: result.page,
+          limit: result.limit,
+          total: result.totalDocs,
+          totalPages: result.totalPages,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error obteniendo tipos sin mapeo:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error obteniendo tipos sin mapeo",
+        code: error.code || "TYPE_REVIEW_QUEUE_ERROR",
+      });
+    }
+  };
+
+  /**
+   * Mapear un tipo de SERCOP a un tipo de contrato existente o nuevo
+   * POST /expediente-digital/sercop-sync/type-reviews/:reviewId/resolve
+   * Body: { action: MAP_EXISTING, contractTypeId, observations }
+   *    o  { action: CREATE, code, name, category, regime, applicableObjects,
+   *         description, observations }
+   */
+  resolveTypeReview = async (req, res) => {
+    try {
+      const { user, params, body } = req;
+
+      validateRequiredFields(body, ["action"], "resolución");
+
+      console.log(
+        `🏷️ Usuario ${user.userId} resolviendo tipo ${params.reviewId}: ${body.action}`
+      );
+
+      const result = await typeReviewService.resolve(params.reviewId, body, {
+        userId: user.userId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      // Las siguientes sincronizaciones usan la decisión de inmediato
+      sercopSyncService.invalidateTypeMapping();
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created
+          ? `Tipo de contrato ${result.contractType.code} creado y mapeado`
+          : `Tipo mapeado a ${result.contractType.code}`,
+        data: {
+          review: result.review,
+          contractType: result.contractType,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error resolviendo tipo de SERCOP:`, error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || "Error resolviendo tipo",
+        code: error.code || "RESOLVE_TYPE_REVIEW_ERROR",
+      });
+    }
+  };
+
   /**
    * Obtener mapeo de tipos disponible
-   * GET /expediente-digital/sercop/type-mapping
+   * GET /expediente-digital/sercop-sync/type-mapping
    */
   getTypeMapping = async (req, res) => {
     try {
@@ -252,8 +617,8 @@ export class SercopSyncController {
 
       console.log(`📋 Usuario ${user.userId} consultando mapeo de tipos`);
 
-      // Obtener mapeo desde el servicio
-      const mapping = sercopSyncService.typeMapping || {};
+      // Mapeo fijo más las decisiones de la cola de revisión
+      const mapping = await sercopSyncService.loadTypeMapping();
 
       const mappingList = Object.entries(mapping).map(([key, config]) => ({
         sercopName: key,
@@ -261,6 +626,7 @@ export class SercopSyncController {
         category: config.category,
         regime: config.regime,
         aliases: config.aliases || [],
+        source: config.source || "DEFAULT",
       }));
 
       res.status(200).json({
@@ -288,7 +654,7 @@ export class SercopSyncController {
 
   /**
    * Validar si un internal_type tiene mapeo
-   * POST /expediente-digital/sercop/validate-type
+   * POST /expediente-digital/sercop-sync/validate-type
    * Body: { internalType }
    */
   validateType = async (req, res) => {
@@ -304,6 +670,7 @@ export class SercopSyncController {
       );
 
       // Usar método privado del servicio para encontrar mapeo
+      await sercopSyncService.loadTypeMapping();
       const mapping = sercopSyncService._findTypeMapping(internalType);
 
       res.status(200).json({
@@ -0,0 +1,115 @@
+// =============================================================================
+// src/module/exp-digital/jobs/index.js
+// Registro de tareas programadas del módulo de expediente digital
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import { DeadlineScannerService } from "../services/deadline-scanner.service.js";
+import { ContractLockService } from "../services/contract-lock.service.js";
+import { NotificationEscalationService } from "../services/notification-escalation.service.js";
+import { IntegrityScrubService } from "../services/integrity-scrub.service.js";
+import { DocumentSearchService } from "../services/document-search.service.js";
+import { ChunkedUploadService } from "../services/chunked-upload.service.js";
+import { SercopReconciliationService } from "../services/sercop-reconciliation.service.js";
+
+/**
+ * Registrar las tareas del módulo en el planificador
+ * @param {JobSchedulerService} scheduler - Planificador de tareas
+ */
+export function registerExpDigitalJobs(scheduler) {
+  const deadlineScanner = new DeadlineScannerService();
+  const contractLockService = new ContractLockService();
+  const escalationService = new NotificationEscalationService();
+  const integrityScrubService = new IntegrityScrubService();
+  const documentSearchService = new DocumentSearchService();
+  const chunkedUploadService = new ChunkedUploadService();
+  const sercopReconciliationService = new SercopReconciliationService();
+
+  scheduler.registerJob({
+    name: "deadline-scanner",
+    description:
+      "Avisos de fechas límite próximas y vencidas de contratos y fases",
+    schedule: process.env.DEADLINE_SCAN_CRON || "0 * * * *",
+    // params.now permite simular la fecha de referencia en ejecuciones manuales
+    handler: ({ now, params }) =>
+      deadlineScanner.scan({
+        now: params.now ? new Date(params.now) : now,
+      }),
+  });
+
+  scheduler.registerJob({
+    name: "contract-lock-release",
+    description: "Liberación de bloqueos de edición expirados",
+    schedule: process.env.LOCK_RELEASE_CRON || "*/5 * * * *",
+    handler: async () => ({
+      released: await contractLockService.releaseExpiredLocks(),
+    }),
+  });
+
+  scheduler.registerJob({
+    name: "notification-escalation",
+    description:
+      "Escalamiento de notificaciones con acción requerida no atendidas a responsables de departamento",
+    schedule: process.env.ESCALATION_CRON || "*/10 * * * *",
+    handler: ({ now, params }) =>
+      escalationService.escalate({
+        now: params.now ? new Date(params.now) : now,
+      }),
+  });
+
+  scheduler.registerJob({
+    name: "file-integrity-scrub",
+    description:
+      "Verificación del checksum de las copias de archivos y restauración de copias alteradas o ausentes",
+    schedule: process.env.FILE_INTEGRITY_CRON || "0 2 * * *",
+    // params: maxFiles, batchSize, repair (false = solo reportar)
+    handler: ({ now, trigger, triggeredBy, params }) =>
+      integrityScrubService.scrub({
+        now,
+        trigger,
+        triggeredBy,
+        maxFiles: parseInt(params.maxFiles) || undefined,
+        batchSize: parseInt(params.batchSize) || undefined,
+        repair:
+          params.repair === undefined
+            ? undefined
+            : String(params.repair) !== "false",
+      }),
+  });
+
+  scheduler.registerJob({
+    name: "document-text-extraction",
+    description:
+      "Extracción del texto de documentos pendientes o fallidos para la búsqueda por contenido",
+    schedule: process.env.DOCUMENT_TEXT_CRON || "*/5 * * * *",
+    // params: maxFiles, backfill (encolar archivos subidos antes de la indexación)
+    handler: ({ params }) =>
+      documentSearchService.processQueue({
+        maxFiles: parseInt(params.maxFiles) || undefined,
+        backfill: String(params.backfill) === "true",
+      }),
+  });
+
+  scheduler.registerJob({
+    name: "chunked-upload-cleanup",
+    description:
+      "Descarte de subidas por partes abandonadas y de sus archivos temporales",
+    schedule: process.env.CHUNKED_UPLOAD_CLEANUP_CRON || "0 * * * *",
+    handler: ({ now }) => chunkedUploadService.cleanupExpired({ now }),
+  });
+
+  scheduler.registerJob({
+    name: "sercop-reconciliation",
+    description:
+      "Conciliación de contratos importados con SERCOP: aplica cambios seguros y encola los conflictivos para revisión",
+    schedule: process.env.SERCOP_RECONCILE_CRON || "30 3 * * *",
+    // params: maxContracts, contractId (conciliar un solo contrato)
+    handler: ({ now, triggeredBy, params }) =>
+      sercopReconciliationService.reconcile({
+        now,
+        triggeredBy,
+        maxContracts: parseInt(params.maxContracts) || undefined,
+        contractId: params.contractId,
+      }),
+  });
+}
@@ -44,11 +44,13 @@ export const ContractHistoryJSON = {
         "PAYMENT_MADE", // PAGO_REALIZADO
         "OBSERVATION_ADDED", // OBSERVACION_AGREGADA
         "PHASE_COMPLETION", // COMPLETAR_FASE
+        "PHASE_SKIP", // OMITIR_FASE
         "PROCESS_CANCELLATION", // CANCELACION_PROCESO
         "EXTENSION_REQUEST", // SOLICITUD_PRORROGA
         "AMENDMENT", // MODIFICACION_CONTRACTUAL
         "LIQUIDATION", // LIQUIDACION
         "CLOSURE", // CIERRE
+        "NOTIFICATION_ESCALATION", // ESCALAMIENTO_NOTIFICACION
       ],
       message: "Tipo de evento no válido",
     },
@@ -73,11 +75,13 @@ export const ContractHistoryJSON = {
           "PAYMENT_MADE",
           "OBSERVATION_ADDED",
           "PHASE_COMPLETION",
+          "PHASE_SKIP",
           "PROCESS_CANCELLATION",
           "EXTENSION_REQUEST",
           "AMENDMENT",
           "LIQUIDATION",
           "CLOSURE",
+          "NOTIFICATION_ESCALATION",
         ],
         required: true,
       },
@@ -655,11 +659,13 @@ ContractHistorySchema.virtual("eventTypeDisplay").get(function () {
     PAYMENT_MADE: "Pago Realizado",
     OBSERVATION_ADDED: "Observación Agregada",
     PHASE_COMPLETION: "Completar Fase",
+    PHASE_SKIP: "Omitir Fase",
     PROCESS_CANCELLATION: "Cancelación del Proceso",
     EXTENSION_REQUEST: "Solicitud de Prórroga",
     AMENDMENT: "Modificación Contractual",
     LIQUIDATION: "Liquidación",
     CLOSURE: "Cierre",
+    NOTIFICATION_ESCALATION: "Escalamiento de Notificación",
   };
 
   return displayNames[this.eventType] || this.eventType;
@@ -152,6 +152,7 @@ const TypeSpecificConfigJSON = {
     isOptional: { type: Boolean },
     allowParallel: { type: Boolean },
     requiresApproval: { type: Boolean },
+    requiredApprovals: { type: Number, min: 1, max: 5 },
     autoAdvance: { type: Boolean },
     notificationDays: { type: Number, min: 0, max: 30 },
   },
@@ -250,6 +251,8 @@ export const ContractPhaseJSON = {
     allowParallel: { type: Boolean, default: false },
     estimatedDays: { type: Number, min: 0, max: 365, default: 5 },
     requiresApproval: { type: Boolean, default: true },
+    // Aprobaciones distintas necesarias por documento cuando requiresApproval
+    requiredApprovals: { type: Number, min: 1, max: 5, default: 1 },
     autoAdvance: { type: Boolean, default: false },
     notificationDays: { type: Number, min: 0, max: 30, default: 3 },
   },
@@ -393,6 +396,53 @@ ContractPhaseSchema.methods.getEffectiveDuration = function (contractTypeId) {
   return specificConfig.customDuration || baseDuration;
 };
 
+ContractPhaseSchema.methods.getApprovalRequirements = function (
+  contractTypeId
+) {
+  const override = contractTypeId
+    ? this.getTypeSpecificConfiguration(contractTypeId).overridePhaseConfig ||
+      {}
+    : {};
+
+  const requiresApproval =
+    override.requiresApproval ?? this.phaseConfig?.requiresApproval ?? true;
+  const requiredApprovals =
+    override.requiredApprovals ?? this.phaseConfig?.requiredApprovals ?? 1;
+
+  // Sin aprobación formal basta con una revisión
+  return {
+    requiresApproval,
+    requiredApprovals: requiresApproval ? Math.max(requiredApprovals, 1) : 1,
+  };
+};
+
+/**
+ * Configuración de flujo efectiva (phaseConfig + overridePhaseConfig del tipo)
+ */
+ContractPhaseSchema.methods.getEffectivePhaseConfig = function (
+  contractTypeId
+) {
+  const base = this.phaseConfig?.toObject
+    ? this.phaseConfig.toObject()
+    : this.phaseConfig || {};
+  const override = contractTypeId
+    ? this.getTypeSpecificConfiguration(contractTypeId).overridePhaseConfig ||
+      {}
+    : {};
+
+  const pick = (field, fallback) => override[field] ?? base[field] ?? fallback;
+
+  return {
+    isOptional: pick("isOptional", false),
+    allowParallel: pick("allowParallel", false),
+    requiresApproval: pick("requiresApproval", true),
+    requiredApprovals: pick("requiredApprovals", 1),
+    autoAdvance: pick("autoAdvance", false),
+    notificationDays: pick("notificationDays", 3),
+    estimatedDays: this.getEffectiveDuration(contractTypeId),
+  };
+};
+
 ContractPhaseSchema.methods.getConfigurationSummary = function () {
   return {
     code: this.code,
@@ -735,10 +785,9 @@ ContractPhaseSchema.query.forContractType = function (contractTypeId) {
 };
 
 // === ÍNDICES ADICIONALES ===
-ContractPhaseSchema.index({ code: 1 }, { unique: true });
+// code y typeSpecificConfig.contractType se indexan en la definición del campo
 ContractPhaseSchema.index({ category: 1, order: 1 });
 ContractPhaseSchema.index({ order: 1, isActive: 1 });
-ContractPhaseSchema.index({ "typeSpecificConfig.contractType": 1 });
 ContractPhaseSchema.index({ "requiredDocuments.code": 1 });
 
 // Índice de texto para búsqueda
@@ -10,6 +10,7 @@ import {
   CommonValidators,
 } from "../../core/base/models/base.scheme.js";
 import { stripMetaFields } from "../../../../utils/meta-field.js";
+import { ContractConcurrencyExtension } from "./module-permission.scheme.js";
 
 const { Schema } = mongoose;
 
@@ -331,7 +332,7 @@ export const ContractJSON = {
         },
         status: {
           type: String,
-          enum: ["PENDING", "IN_PROGRESS", "COMPLETED", "CANCELLED"],
+          enum: ["PENDING", "IN_PROGRESS", "COMPLETED", "SKIPPED", "CANCELLED"],
           default: "PENDING",
           uppercase: true,
         },
@@ -420,6 +421,22 @@ export const ContractJSON = {
     },
     source: String,
     sercopOcid: String,
+    // Estado de la última conciliación con SERCOP
+    sercopSync: {
+      lastSyncAt: Date,
+      lastSyncStatus: {
+        type: String,
+        enum: ["OK", "ERROR"],
+      },
+      lastError: String,
+      integrationId: String,
+      sercopStage: String,
+      // generalStatus equivalente a la etapa del proceso en SERCOP
+      sercopStatus: String,
+      // Valores de SERCOP en la última conciliación [{ field, value }]
+      snapshot: Schema.Types.Mixed,
+      pendingReviews: { type: Number, default: 0 },
+    },
     originalName: String,
     importedAt: Date,
     importedBy: Schema.Types.ObjectId,
@@ -442,6 +459,9 @@ export const ContractJSON = {
       },
     },
   },
+
+  // Control de concurrencia (bloqueo de edición)
+  ...ContractConcurrencyExtension,
 };
 
 // === CONFIGURACIÓN DEL ESQUEMA ===
@@ -762,17 +782,15 @@ ContractSchema.pre("save", function (next) {
 });
 
 // === ÍNDICES OPTIMIZADOS ===
+// contractNumber, sercopCode, currentPhase, contractor.ruc y
+// timeline.executionEndDate se indexan en la definición del campo
 
-ContractSchema.index({ contractNumber: 1 }, { unique: true });
-ContractSchema.index({ sercopCode: 1 }, { sparse: true });
 ContractSchema.index({ contractType: 1, generalStatus: 1 });
 ContractSchema.index({ requestingDepartment: 1, generalStatus: 1 });
 ContractSchema.index({ generalStatus: 1, createdAt: -1 });
-ContractSchema.index({ currentPhase: 1 });
-ContractSchema.index({ "contractor.ruc": 1 });
 ContractSchema.index({ "budget.estimatedValue": -1 });
-ContractSchema.index({ "timeline.executionEndDate": 1 });
 ContractSchema.index({ "metadata.tags": 1 });
+ContractSchema.index({ "metadata.sercopOcid": 1 }, { sparse: true });
 
 // Índice de texto para búsqueda completa
 ContractSchema.index({
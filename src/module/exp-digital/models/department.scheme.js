@@ -10,6 +10,7 @@ import {
   CommonValidators,
 } from "../../core/base/models/base.scheme.js";
 import { stripMetaFields } from "../../../../utils/meta-field.js";
+import { DepartmentContractPoliciesExtension } from "./module-permission.scheme.js";
 
 const { Schema } = mongoose;
 
@@ -157,6 +158,17 @@ export const DepartmentJSON = {
         },
       },
     },
+    // Usuario del sistema que ejerce como responsable (para notificaciones)
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "user",
+      meta: {
+        validation: { isMongoId: true, optional: true },
+        messages: {
+          isMongoId: "El ID del usuario responsable no es válido",
+        },
+      },
+    },
   },
 
   // Información de contacto
@@ -337,6 +349,9 @@ export const DepartmentJSON = {
       },
     },
   },
+
+  // Políticas de contratos (concurrencia, notificaciones, auditoría)
+  ...DepartmentContractPoliciesExtension,
 };
 
 // === CONFIGURACIÓN DEL ESQUEMA ===
@@ -0,0 +1,111 @@
+// =============================================================================
+// src/module/exp-digital/models/document-text.scheme.js
+// Texto extraído de los documentos para la búsqueda por contenido
+// GADM Cantón Esmeraldas - Búsqueda de contenido del expediente digital
+// =============================================================================
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const DOCUMENT_TEXT_STATUS = {
+  PENDING: "PENDING",
+  PROCESSING: "PROCESSING",
+  EXTRACTED: "EXTRACTED",
+  // Sin capa de texto (p. ej. PDF escaneado)
+  EMPTY: "EMPTY",
+  UNSUPPORTED: "UNSUPPORTED",
+  FAILED: "FAILED",
+};
+
+export const DocumentTextJSON = {
+  file: {
+    type: Schema.Types.ObjectId,
+    ref: "File",
+    required: true,
+  },
+
+  // Checksum del contenido: archivos con el mismo contenido reutilizan el texto
+  checksum: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  originalName: { type: String, trim: true },
+  mimeType: { type: String, trim: true },
+
+  status: {
+    type: String,
+    enum: Object.values(DOCUMENT_TEXT_STATUS),
+    default: DOCUMENT_TEXT_STATUS.PENDING,
+  },
+
+  // PDF | DOCX | PLAIN
+  extractor: {
+    type: String,
+    default: null,
+  },
+
+  text: {
+    type: String,
+    default: "",
+  },
+
+  charCount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // El texto se recorta a DOCUMENT_TEXT_MAX_CHARS
+  truncated: {
+    type: Boolean,
+    default: false,
+  },
+
+  pageCount: {
+    type: Number,
+    default: null,
+  },
+
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  error: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: null,
+  },
+
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  extractedAt: { type: Date, default: null },
+};
+
+const DocumentTextSchema = new Schema(DocumentTextJSON, {
+  timestamps: true,
+  collection: "document_texts",
+});
+
+DocumentTextSchema.index({ file: 1 }, { unique: true });
+DocumentTextSchema.index({ status: 1, queuedAt: 1 });
+DocumentTextSchema.index({ checksum: 1, status: 1 });
+
+// Índice de texto en español; el nombre del archivo pesa más que el contenido
+DocumentTextSchema.index(
+  { originalName: "text", text: "text" },
+  {
+    name: "document_text_search",
+    weights: { originalName: 5, text: 1 },
+    default_language: "spanish",
+    // Evita que un campo "language" cambie el idioma del índice
+    language_override: "textLanguage",
+  }
+);
+
+export const DocumentText = mongoose.model("DocumentText", DocumentTextSchema);
@@ -12,6 +12,10 @@ import rsyncClient from "../../../config/rsync.client.js";
 
 const { Schema } = mongoose;
 
+// Tope de la subida por partes: planos escaneados y paquetes de ofertas
+const MAX_LARGE_FILE_SIZE =
+  parseInt(process.env.CHUNKED_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024;
+
 // ============================================
 // SUB-ESQUEMAS
 // ============================================
@@ -54,6 +58,33 @@ const FileMetadataJSON = {
     default: false,
   },
 
+  // Firmas electrónicas embebidas (PDF), analizadas al subir el archivo
+  signatures: [
+    {
+      _id: false,
+      fieldName: String,
+      signerName: String,
+      subject: String,
+      issuer: String,
+      serialNumber: String,
+      signingTime: Date,
+      certificateValidFrom: Date,
+      certificateValidTo: Date,
+      subFilter: String,
+      reason: String,
+      location: String,
+      // El rango firmado llega hasta el final del archivo (sin cambios posteriores)
+      coversWholeDocument: { type: Boolean, default: false },
+      digestValid: { type: Boolean, default: false },
+      signatureValid: { type: Boolean, default: false },
+      certificateValidAtSigning: { type: Boolean, default: false },
+      isValid: { type: Boolean, default: false },
+      error: String,
+    },
+  ],
+
+  signaturesCheckedAt: Date,
+
   // Metadatos extraídos del archivo
   title: String,
   author: String,
@@ -333,6 +364,123 @@ const RsyncInfoJSON = {
   },
 };
 
+// Sub-esquema para cada copia física del archivo (driver + clave)
+export const StorageCopyJSON = {
+  provider: {
+    type: String,
+    enum: ["LOCAL", "RSYNC", "S3"],
+    required: true,
+    uppercase: true,
+  },
+
+  // Clave relativa dentro del backend (contratos/{id}/{año}/{fase}/{tipo}/{nombre})
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+
+  // Ubicación física: ruta local, ruta remota rsync o URL del objeto
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null,
+  },
+
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+
+  // CORRUPTED / MISSING: detectado por la verificación de integridad
+  status: {
+    type: String,
+    enum: ["PENDING", "SYNCED", "FAILED", "DELETED", "CORRUPTED", "MISSING"],
+    default: "SYNCED",
+  },
+
+  size: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+
+  hash: {
+    type: String,
+    trim: true,
+    maxlength: 128,
+    default: null,
+  },
+
+  syncedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Última verificación del contenido contra fileInfo.checksum
+  verifiedAt: {
+    type: Date,
+    default: null,
+  },
+
+  error: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: null,
+  },
+};
+
+// Sub-esquema para artefactos derivados (miniaturas y vistas de página)
+// Se regeneran si cambia el contenido de origen (sourceChecksum)
+const FileDerivativeJSON = {
+  _id: false,
+
+  kind: {
+    type: String,
+    enum: ["THUMBNAIL", "PAGE"],
+    required: true,
+  },
+
+  // Tamaño de la miniatura en píxeles o número de página
+  variant: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  mimeType: {
+    type: String,
+    default: "image/webp",
+  },
+
+  width: Number,
+  height: Number,
+  size: Number,
+
+  provider: {
+    type: String,
+    enum: ["LOCAL", "RSYNC", "S3"],
+    required: true,
+  },
+
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+
+  sourceChecksum: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+};
+
 // ============================================
 // ESQUEMA PRINCIPAL
 // ============================================
@@ -525,13 +673,43 @@ export const FileJSON = {
       },
     },
 
+    // Proveedor de la copia principal
     storageProvider: {
       type: String,
-      enum: ["LOCAL", "AWS_S3", "AZURE", "GOOGLE_CLOUD", "RSYNC", "DELETED"],
+      enum: [
+        "LOCAL",
+        "S3",
+        "AWS_S3",
+        "AZURE",
+        "GOOGLE_CLOUD",
+        "RSYNC",
+        "DELETED",
+      ],
       default: "LOCAL",
       uppercase: true,
     },
 
+    // Clave de la copia principal dentro de su backend
+    key: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // Todas las copias del archivo (principal y réplicas)
+    copies: {
+      type: [StorageCopyJSON],
+      default: [],
+    },
+
+    // Contenido compartido con otros archivos del mismo checksum
+    blob: {
+      type: Schema.Types.ObjectId,
+      ref: "StorageBlob",
+      default: null,
+      index: true,
+    },
+
     bucket: {
       type: String,
       trim: true,
@@ -545,7 +723,7 @@ export const FileJSON = {
     },
   },
 
-  // Información específica de rsync (NUEVO)
+  // Estado de la réplica rsync (cola de sincronización)
   rsyncInfo: {
     type: RsyncInfoJSON,
     default: () => ({}),
@@ -557,6 +735,59 @@ export const FileJSON = {
     },
   },
 
+  // Resultado de la última verificación periódica de integridad
+  integrity: {
+    status: {
+      type: String,
+      // DEGRADED: alguna copia dañada pero al menos una íntegra
+      // COMPROMISED: ninguna copia coincide con el checksum
+      enum: ["UNVERIFIED", "VERIFIED", "REPAIRED", "DEGRADED", "COMPROMISED"],
+      default: "UNVERIFIED",
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+    // Última vez que todas las copias coincidieron con el checksum
+    lastVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    lastReport: {
+      type: Schema.Types.ObjectId,
+      ref: "IntegrityReport",
+      default: null,
+    },
+  },
+
+  // Miniaturas y vistas de página generadas bajo demanda
+  derivatives: {
+    type: [FileDerivativeJSON],
+    default: [],
+  },
+
+  // Sello de verificación (QR) de la versión aprobada
+  // Solo lo tiene la versión sellada; sourceFile es la versión aprobada original
+  verification: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: undefined,
+    },
+    issuedAt: Date,
+    issuedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sourceFile: {
+      type: Schema.Types.ObjectId,
+      ref: "File",
+    },
+    // Checksum del PDF aprobado antes de sellarlo
+    sourceChecksum: String,
+  },
+
   // Información técnica del archivo
   fileInfo: {
     fileType: {
@@ -639,14 +870,19 @@ export const FileJSON = {
       type: Number,
       required: true,
       min: 0,
-      max: 104857600, // 100MB máximo
+      max: MAX_LARGE_FILE_SIZE,
       meta: {
-        validation: { isNumeric: true, required: true, min: 0, max: 104857600 },
+        validation: {
+          isNumeric: true,
+          required: true,
+          min: 0,
+          max: MAX_LARGE_FILE_SIZE,
+        },
         messages: {
           required: "El tamaño del archivo es obligatorio",
           isNumeric: "El tamaño debe ser numérico",
           min: "El tamaño no puede ser negativo",
-          max: "El archivo no puede exceder 100MB",
+          max: `El archivo no puede exceder ${Math.round(MAX_LARGE_FILE_SIZE / (1024 * 1024))}MB`,
         },
       },
     },
@@ -1041,6 +1277,63 @@ export const FileJSON = {
         },
       },
     },
+
+    rejectedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    rejectionDate: Date,
+
+    // Flujo de revisión: envío, revisores asignados y aprobaciones
+    submittedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    submittedAt: Date,
+
+    // Ronda de revisión (aumenta en cada reenvío tras un rechazo)
+    round: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Revisores asignados (vacío = cualquier usuario con permiso)
+    reviewers: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    // Aprobaciones necesarias según la configuración de la fase
+    requiredApprovals: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    approvals: [
+      {
+        _id: false,
+        user: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+        observations: {
+          type: String,
+          trim: true,
+          maxlength: 2000,
+        },
+      },
+    ],
   },
 
   // Control de estado
@@ -1156,15 +1449,17 @@ FileSchema.pre("save", async function (next) {
       this.rsyncInfo.remoteFileName = this.systemName;
     }
 
-    if (this.isNew) {
+    // Un driver pudo haber transferido ya el archivo antes de crear el registro
+    if (this.isNew && this.rsyncInfo.syncStatus !== "SYNCED") {
       this.rsyncInfo.syncStatus = "PENDING";
       this.rsyncInfo.autoSync = this.rsyncInfo.autoSync !== false;
     }
   }
 
   // 6. Validar tamaño según tipo de archivo
+  // PDF y comprimidos pueden llegar por la subida por partes
   const maxSizes = {
-    pdf: 50 * 1024 * 1024, // 50MB
+    pdf: MAX_LARGE_FILE_SIZE,
     doc: 25 * 1024 * 1024, // 25MB
     docx: 25 * 1024 * 1024, // 25MB
     xls: 15 * 1024 * 1024, // 15MB
@@ -1172,8 +1467,9 @@ FileSchema.pre("save", async function (next) {
     jpg: 10 * 1024 * 1024, // 10MB
     jpeg: 10 * 1024 * 1024, // 10MB
     png: 10 * 1024 * 1024, // 10MB
-    zip: 100 * 1024 * 1024, // 100MB
-    rar: 100 * 1024 * 1024, // 100MB
+    zip: MAX_LARGE_FILE_SIZE,
+    rar: MAX_LARGE_FILE_SIZE,
+    "7z": MAX_LARGE_FILE_SIZE,
   };
 
   const maxSize = maxSizes[this.fileInfo.fileType] || 10 * 1024 * 1024;
@@ -1672,6 +1968,8 @@ FileSchema.index({ "versionInfo.rootDocument": 1 });
 FileSchema.index({ "versionInfo.parentDocument": 1 });
 FileSchema.index({ "versionInfo.isCurrentVersion": 1 });
 FileSchema.index({ module: 1, status: 1 });
+FileSchema.index({ isActive: 1, "integrity.lastCheckedAt": 1 });
+FileSchema.index({ "verification.code": 1 }, { unique: true, sparse: true });
 
 // Índices compuestos
 FileSchema.index({
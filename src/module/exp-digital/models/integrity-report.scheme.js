@@ -0,0 +1,144 @@
+// =============================================================================
+// src/module/exp-digital/models/integrity-report.scheme.js
+// Reportes de verificación de integridad de las copias de archivos
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { stripMetaFields } from "../../../../utils/meta-field.js";
+
+const { Schema } = mongoose;
+
+// Hallazgo sobre una copia concreta de un archivo
+const IntegrityIssueJSON = {
+  file: {
+    type: Schema.Types.ObjectId,
+    ref: "File",
+    required: true,
+  },
+
+  contract: {
+    type: Schema.Types.ObjectId,
+    ref: "Contract",
+    default: null,
+  },
+
+  systemName: { type: String, trim: true },
+  originalName: { type: String, trim: true },
+
+  // null cuando el problema afecta al archivo y no a una copia
+  provider: {
+    type: String,
+    enum: ["LOCAL", "RSYNC", "S3", null],
+    default: null,
+  },
+
+  key: { type: String, trim: true },
+
+  // MISMATCH: el contenido no coincide con fileInfo.checksum
+  // MISSING: la copia no existe en el backend
+  // ERROR: no se pudo leer la copia (backend no disponible, credenciales...)
+  problem: {
+    type: String,
+    enum: ["MISMATCH", "MISSING", "ERROR"],
+    required: true,
+  },
+
+  expectedHash: { type: String, trim: true },
+  actualHash: { type: String, trim: true, default: null },
+
+  repaired: { type: Boolean, default: false },
+  // Backend de la copia sana usada para restaurar
+  repairedFrom: {
+    type: String,
+    enum: ["LOCAL", "RSYNC", "S3", null],
+    default: null,
+  },
+
+  detail: { type: String, trim: true, maxlength: 2000, default: null },
+};
+
+export const IntegrityReportJSON = {
+  trigger: {
+    type: String,
+    enum: ["SCHEDULED", "MANUAL"],
+    default: "SCHEDULED",
+    meta: {
+      validation: { isIn: ["SCHEDULED", "MANUAL"], optional: true },
+      messages: {
+        isIn: "El origen de la verificación debe ser SCHEDULED o MANUAL",
+      },
+    },
+  },
+
+  status: {
+    type: String,
+    enum: ["RUNNING", "COMPLETED", "FAILED"],
+    default: "RUNNING",
+    index: true,
+    meta: {
+      validation: { isIn: ["RUNNING", "COMPLETED", "FAILED"], optional: true },
+      messages: {
+        isIn: "El estado debe ser RUNNING, COMPLETED o FAILED",
+      },
+    },
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+
+  finishedAt: {
+    type: Date,
+  },
+
+  summary: {
+    filesChecked: { type: Number, default: 0 },
+    // Archivos sin checksum o sin copias sincronizadas que verificar
+    skipped: { type: Number, default: 0 },
+    copiesChecked: { type: Number, default: 0 },
+    // Archivos con copias íntegras y ninguna alterada o ausente
+    filesVerified: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    repaired: { type: Number, default: 0 },
+    // Archivos sin ninguna copia íntegra
+    unrecoverable: { type: Number, default: 0 },
+  },
+
+  issues: {
+    type: [IntegrityIssueJSON],
+    default: [],
+  },
+
+  error: {
+    message: { type: String, trim: true },
+  },
+
+  triggeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: "user",
+    meta: {
+      validation: { isMongoId: true, optional: true },
+      messages: { isMongoId: "El ID de usuario no es válido" },
+    },
+  },
+};
+
+const IntegrityReportSchema = new Schema(stripMetaFields(IntegrityReportJSON), {
+  timestamps: true,
+  collection: "integrity_reports",
+});
+
+IntegrityReportSchema.index({ "issues.file": 1 });
+
+IntegrityReportSchema.plugin(mongoosePaginate);
+
+export const IntegrityReport = mongoose.model(
+  "IntegrityReport",
+  IntegrityReportSchema
+);
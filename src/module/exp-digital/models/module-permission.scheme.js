@@ -582,6 +582,12 @@ export const ContractConcurrencyExtension = {
       type: Date,
       index: true,
     },
+    // Número de extensiones aplicadas al bloqueo vigente
+    lockExtensions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     version: {
       type: Number,
       default: 0,
@@ -681,7 +687,31 @@ export const DepartmentContractPoliciesExtension = {
       notifyOnUnlock: { type: Boolean, default: false },
       notifyOnForceUnlock: { type: Boolean, default: true },
       notifyDepartmentHead: { type: Boolean, default: false },
-      escalationMinutes: { type: Number, default: 60 },
+      // Minutos sin leer ni atender antes de escalar al responsable (0 = no escalar)
+      escalationMinutes: { type: Number, default: 60, min: 0 },
+    },
+
+    // Almacenamiento de documentos (vacío: se usa STORAGE_DRIVER)
+    storage: {
+      provider: {
+        type: String,
+        enum: ["LOCAL", "RSYNC", "S3"],
+      },
+      // Proveedor específico por tipo de documento (CONTRATO, GARANTIAS, ...)
+      documentTypes: [
+        {
+          _id: false,
+          documentType: {
+            type: String,
+            uppercase: true,
+            trim: true,
+          },
+          provider: {
+            type: String,
+            enum: ["LOCAL", "RSYNC", "S3"],
+          },
+        },
+      ],
     },
 
     // Auditoría
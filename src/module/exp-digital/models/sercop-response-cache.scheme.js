@@ -0,0 +1,51 @@
+// =============================================================================
+// src/module/exp-digital/models/sercop-response-cache.scheme.js
+// Caché persistente de respuestas de la API de Datos Abiertos de SERCOP
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SercopResponseCacheJSON = {
+  // URL completa consultada (incluye parámetros): clave de la caché
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // search_ocds, record...
+  endpoint: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Cuerpo JSON serializado tal como lo devolvió SERCOP
+  body: {
+    type: String,
+    required: true,
+  },
+
+  size: { type: Number, min: 0, default: 0 },
+
+  fetchedAt: { type: Date, default: Date.now },
+
+  // MongoDB elimina la entrada al vencer
+  expiresAt: { type: Date, required: true },
+};
+
+const SercopResponseCacheSchema = new Schema(SercopResponseCacheJSON, {
+  timestamps: false,
+  collection: "sercop_response_cache",
+});
+
+SercopResponseCacheSchema.index({ url: 1 }, { unique: true });
+SercopResponseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SercopResponseCache = mongoose.model(
+  "SercopResponseCache",
+  SercopResponseCacheSchema
+);
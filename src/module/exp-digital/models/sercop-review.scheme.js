@@ -0,0 +1,82 @@
+// =============================================================================
+// src/module/exp-digital/models/sercop-review.scheme.js
+// Diferencias con SERCOP pendientes de revisión manual
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const { Schema } = mongoose;
+
+export const SERCOP_REVIEW_STATUS = {
+  PENDING: "PENDING",
+  // Se aplicó el valor de SERCOP al contrato
+  APPLIED: "APPLIED",
+  // Se conservó el valor local; no se vuelve a encolar el mismo valor
+  REJECTED: "REJECTED",
+  // SERCOP o el contrato cambiaron y la diferencia ya no existe
+  SUPERSEDED: "SUPERSEDED",
+};
+
+export const SercopReviewJSON = {
+  contract: {
+    type: Schema.Types.ObjectId,
+    ref: "Contract",
+    required: true,
+  },
+
+  ocid: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Ruta del campo en el contrato (p. ej. budget.estimatedValue)
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  localValue: { type: Schema.Types.Mixed, default: null },
+  sercopValue: { type: Schema.Types.Mixed, default: null },
+
+  // Ruta OCDS de la que se tomó el valor
+  source: { type: String, trim: true, default: null },
+
+  // Motivo por el que no se aplicó automáticamente
+  reason: { type: String, trim: true, maxlength: 500 },
+
+  status: {
+    type: String,
+    enum: Object.values(SERCOP_REVIEW_STATUS),
+    default: SERCOP_REVIEW_STATUS.PENDING,
+  },
+
+  // Ejecución de la conciliación que detectó (o actualizó) la diferencia
+  integrationId: { type: String, trim: true },
+
+  detectedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+
+  resolvedBy: { type: Schema.Types.ObjectId, ref: "user", default: null },
+  resolvedAt: { type: Date, default: null },
+  observations: { type: String, trim: true, maxlength: 1000 },
+};
+
+const SercopReviewSchema = new Schema(SercopReviewJSON, {
+  timestamps: true,
+  collection: "sercop_reviews",
+});
+
+// Una sola diferencia pendiente por campo y contrato
+SercopReviewSchema.index(
+  { contract: 1, field: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } }
+);
+SercopReviewSchema.index({ status: 1, detectedAt: -1 });
+
+SercopReviewSchema.plugin(mongoosePaginate);
+
+export const SercopReview = mongoose.model("SercopReview", SercopReviewSchema);
@@ -0,0 +1,75 @@
+// =============================================================================
+// src/module/exp-digital/models/sercop-sync-checkpoint.scheme.js
+// Punto de control de sincronizaciones paginadas con SERCOP (reanudables)
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SERCOP_CHECKPOINT_STATUS = {
+  RUNNING: "RUNNING",
+  // Se detuvo por error o por el límite de páginas; se reanuda en lastPage + 1
+  INTERRUPTED: "INTERRUPTED",
+  COMPLETED: "COMPLETED",
+};
+
+export const SercopSyncCheckpointJSON = {
+  // operación:comprador:año, p. ej. sync-types:ALL:2024
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  operation: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  year: { type: Number, required: true },
+  buyer: { type: String, trim: true, default: null },
+
+  status: {
+    type: String,
+    enum: Object.values(SERCOP_CHECKPOINT_STATUS),
+    default: SERCOP_CHECKPOINT_STATUS.RUNNING,
+  },
+
+  // Última página procesada completa
+  lastPage: { type: Number, min: 0, default: 0 },
+  totalPages: { type: Number, min: 0, default: null },
+
+  // Contadores acumulados entre ejecuciones
+  results: {
+    processed: { type: Number, default: 0 },
+    existing: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    unmapped: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    types: [{ type: String }],
+    unmappedTypes: [{ type: String }],
+  },
+
+  runs: { type: Number, min: 0, default: 0 },
+  lastError: { type: String, default: null },
+
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  startedBy: { type: Schema.Types.ObjectId, ref: "user", default: null },
+};
+
+const SercopSyncCheckpointSchema = new Schema(SercopSyncCheckpointJSON, {
+  timestamps: true,
+  collection: "sercop_sync_checkpoints",
+});
+
+SercopSyncCheckpointSchema.index({ key: 1 }, { unique: true });
+SercopSyncCheckpointSchema.index({ operation: 1, year: -1 });
+
+export const SercopSyncCheckpoint = mongoose.model(
+  "SercopSyncCheckpoint",
+  SercopSyncCheckpointSchema
+);
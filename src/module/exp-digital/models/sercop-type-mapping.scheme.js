@@ -0,0 +1,86 @@
+// =============================================================================
+// src/module/exp-digital/models/sercop-type-mapping.scheme.js
+// Tipos de procedimiento de SERCOP sin mapeo y decisiones de administración
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const { Schema } = mongoose;
+
+export const SERCOP_TYPE_MAPPING_STATUS = {
+  // Visto en SERCOP sin mapeo; espera decisión
+  PENDING: "PENDING",
+  // Asociado a un ContractType; la sincronización lo usa como mapeo
+  MAPPED: "MAPPED",
+};
+
+export const SERCOP_TYPE_RESOLUTION = {
+  MAP_EXISTING: "MAP_EXISTING",
+  CREATE: "CREATE",
+};
+
+export const SercopTypeMappingJSON = {
+  // Nombre tal como llegó de SERCOP (internal_type) la primera vez
+  internalType: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Nombre normalizado (minúsculas, sin tildes): clave del mapeo
+  normalizedName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(SERCOP_TYPE_MAPPING_STATUS),
+    default: SERCOP_TYPE_MAPPING_STATUS.PENDING,
+  },
+
+  // Procesos en los que apareció el tipo
+  occurrences: { type: Number, min: 0, default: 0 },
+  sampleOcids: [{ type: String, trim: true }],
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  lastSeenYear: { type: Number, default: null },
+
+  // Decisión
+  resolution: {
+    type: String,
+    enum: [...Object.values(SERCOP_TYPE_RESOLUTION), null],
+    default: null,
+  },
+  contractType: {
+    type: Schema.Types.ObjectId,
+    ref: "ContractType",
+    default: null,
+  },
+  // Datos del tipo al resolver, para mapear sin consultar ContractType
+  code: { type: String, trim: true, uppercase: true, default: null },
+  category: { type: String, trim: true, default: null },
+  regime: { type: String, trim: true, default: null },
+
+  resolvedBy: { type: Schema.Types.ObjectId, ref: "user", default: null },
+  resolvedAt: { type: Date, default: null },
+  observations: { type: String, trim: true, maxlength: 1000 },
+};
+
+const SercopTypeMappingSchema = new Schema(SercopTypeMappingJSON, {
+  timestamps: true,
+  collection: "sercop_type_mappings",
+});
+
+SercopTypeMappingSchema.index({ normalizedName: 1 }, { unique: true });
+SercopTypeMappingSchema.index({ status: 1, occurrences: -1 });
+
+SercopTypeMappingSchema.plugin(mongoosePaginate);
+
+export const SercopTypeMapping = mongoose.model(
+  "SercopTypeMapping",
+  SercopTypeMappingSchema
+);
@@ -0,0 +1,61 @@
+// =============================================================================
+// src/module/exp-digital/models/storage-blob.scheme.js
+// Contenido físico compartido entre archivos con el mismo checksum
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import mongoose from "mongoose";
+import { StorageCopyJSON } from "./file.scheme.js";
+
+const { Schema } = mongoose;
+
+export const StorageBlobJSON = {
+  // SHA-256 del contenido
+  hash: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-f0-9]{64}$/,
+  },
+
+  size: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+
+  mimeType: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  // Registros File que apuntan a este contenido
+  refCount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // Copias físicas en cada backend (unión de las copias de sus archivos)
+  copies: {
+    type: [StorageCopyJSON],
+    default: [],
+  },
+
+  lastReferencedAt: {
+    type: Date,
+    default: Date.now,
+  },
+};
+
+const StorageBlobSchema = new Schema(StorageBlobJSON, {
+  timestamps: true,
+  collection: "storage_blobs",
+});
+
+// Un único contenido vigente por hash
+StorageBlobSchema.index({ hash: 1 }, { unique: true });
+
+export const StorageBlob = mongoose.model("StorageBlob", StorageBlobSchema);
@@ -0,0 +1,149 @@
+// =============================================================================
+// src/module/exp-digital/models/upload-session.scheme.js
+// Sesiones de subida por partes (archivos grandes, conexiones inestables)
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const UPLOAD_SESSION_STATUS = {
+  ACTIVE: "ACTIVE",
+  // Verificando checksum y registrando el archivo
+  FINALIZING: "FINALIZING",
+  COMPLETED: "COMPLETED",
+  ABORTED: "ABORTED",
+  // Sin actividad hasta expiresAt; las partes recibidas se eliminan
+  EXPIRED: "EXPIRED",
+};
+
+export const UploadSessionJSON = {
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255,
+  },
+
+  mimeType: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Tamaño total declarado al iniciar
+  size: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  // Tamaño máximo de cada parte aceptado por el servidor
+  chunkSize: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  // Bytes contiguos recibidos desde el inicio: la siguiente parte empieza aquí
+  receivedBytes: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // SHA-256 esperado (opcional al iniciar, obligatorio al finalizar)
+  checksum: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: /^[a-f0-9]{64}$/,
+    default: null,
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(UPLOAD_SESSION_STATUS),
+    default: UPLOAD_SESSION_STATUS.ACTIVE,
+  },
+
+  // Metadatos que se pasan a uploadFile al finalizar
+  metadata: {
+    contractId: { type: Schema.Types.ObjectId, ref: "Contract", default: null },
+    phaseId: {
+      type: Schema.Types.ObjectId,
+      ref: "ContractPhase",
+      default: null,
+    },
+    departmentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
+    documentType: { type: String, trim: true, default: "OTROS" },
+    description: { type: String, trim: true, default: "" },
+    isPublic: { type: Boolean, default: false },
+    allowedRoles: [{ type: String, trim: true }],
+    allowedUsers: [{ type: String, trim: true }],
+    priority: { type: String, trim: true, default: "NORMAL" },
+    keepLocal: { type: Boolean, default: true },
+  },
+
+  // Archivo temporal donde se ensamblan las partes
+  tempPath: {
+    type: String,
+    required: true,
+  },
+
+  // Archivo creado al finalizar
+  file: {
+    type: Schema.Types.ObjectId,
+    ref: "File",
+    default: null,
+  },
+
+  error: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null,
+  },
+
+  createdBy: {
+    type: String,
+    required: true,
+  },
+
+  ipAddress: { type: String, default: null },
+  userAgent: { type: String, default: null },
+
+  lastChunkAt: { type: Date, default: null },
+  // Cierre de la sesión: completada, cancelada o vencida
+  closedAt: { type: Date, default: null },
+
+  // Se extiende con cada parte recibida
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+};
+
+const UploadSessionSchema = new Schema(UploadSessionJSON, {
+  timestamps: true,
+  collection: "upload_sessions",
+});
+
+UploadSessionSchema.index({ status: 1, expiresAt: 1 });
+UploadSessionSchema.index({ createdBy: 1, status: 1 });
+
+// Las sesiones cerradas se conservan 30 días para auditoría
+UploadSessionSchema.index(
+  { closedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  UploadSessionSchema
+);
@@ -5,6 +5,7 @@
 
 import { Types } from "mongoose";
 import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import { AuditRepository } from "../../core/audit/repositories/audit.repository.js";
 import { Contract } from "../models/contract.scheme.js";
 
 export class ContractRepository extends BaseRepository {
@@ -305,6 +306,51 @@ export class ContractRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Buscar contrato importado desde SERCOP por su OCID
+   */
+  async findBySercopOcid(ocid) {
+    try {
+      return await this.model
+        .findOne({ "metadata.sercopOcid": ocid, isActive: true })
+        .select("contractNumber sercopCode contractualObject generalStatus")
+        .lean();
+    } catch (error) {
+      throw new Error(
+        `Error buscando contrato por OCID de SERCOP: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Aplicar valores de SERCOP solo si nadie modificó el contrato desde
+   * que se leyó; incrementa la versión para invalidar las copias en edición
+   * @returns {Promise<Object|null>} Contrato actualizado o null si cambió
+   */
+  async applySercopChanges(contractId, expectedVersion, changes) {
+    const filter = { _id: contractId };
+    filter["concurrencyControl.version"] =
+      expectedVersion === 0 ? { $in: [0, null] } : expectedVersion;
+
+    return await this.model
+      .findOneAndUpdate(
+        filter,
+        { $set: changes, $inc: { "concurrencyControl.version": 1 } },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Guardar el estado de la conciliación con SERCOP
+   */
+  async updateSercopSync(contractId, sercopSync) {
+    return await this.model.updateOne(
+      { _id: contractId },
+      { $set: { "metadata.sercopSync": sercopSync } }
+    );
+  }
+
   // ===== MÉTODOS DE GESTIÓN DE FASES =====
 
   /**
@@ -565,6 +611,191 @@ export class ContractRepository extends BaseRepository {
     }
   }
 
+  // ===== MÉTODOS DE CONTROL DE CONCURRENCIA =====
+
+  /**
+   * Adquirir el bloqueo de edición de forma atómica
+   * Solo se concede si el contrato está libre, el bloqueo expiró o ya pertenece al mismo usuario
+   */
+  async acquireEditLock(contractId, editor, expiration) {
+    try {
+      const now = new Date();
+
+      return await this.model
+        .findOneAndUpdate(
+          {
+            _id: contractId,
+            $or: [
+              { "concurrencyControl.editLock": { $ne: true } },
+              { "concurrencyControl.lockExpiration": { $lte: now } },
+              { "concurrencyControl.currentlyEditing.userId": editor.userId },
+            ],
+          },
+          {
+            $set: {
+              "concurrencyControl.currentlyEditing": {
+                ...editor,
+                startTime: now,
+              },
+              "concurrencyControl.editLock": true,
+              "concurrencyControl.lockExpiration": expiration,
+              "concurrencyControl.lockExtensions": 0,
+              "concurrencyControl.forceUnlocked": false,
+            },
+          },
+          { new: true }
+        )
+        .lean();
+    } catch (error) {
+      throw new Error(`Error adquiriendo bloqueo de edición: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extender el bloqueo vigente del usuario si no superó el máximo de extensiones
+   */
+  async extendEditLock(contractId, userId, expiration, maxExtensions) {
+    try {
+      return await this.model
+        .findOneAndUpdate(
+          {
+            _id: contractId,
+            "concurrencyControl.editLock": true,
+            "concurrencyControl.currentlyEditing.userId": userId,
+            "concurrencyControl.lockExpiration": { $gt: new Date() },
+            "concurrencyControl.lockExtensions": { $lt: maxExtensions },
+          },
+          {
+            $set: { "concurrencyControl.lockExpiration": expiration },
+            $inc: { "concurrencyControl.lockExtensions": 1 },
+          },
+          { new: true }
+        )
+        .lean();
+    } catch (error) {
+      throw new Error(`Error extendiendo bloqueo de edición: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liberar el bloqueo de edición
+   * Si se indica userId solo se libera cuando el bloqueo pertenece a ese usuario
+   */
+  async releaseEditLock(contractId, userId = null, extraSet = {}) {
+    try {
+      const filter = { _id: contractId };
+      if (userId) {
+        filter["concurrencyControl.currentlyEditing.userId"] = userId;
+      }
+
+      return await this.model
+        .findOneAndUpdate(
+          filter,
+          {
+            $set: {
+              "concurrencyControl.editLock": false,
+              "concurrencyControl.lockExpiration": null,
+              "concurrencyControl.lockExtensions": 0,
+              ...extraSet,
+            },
+            $unset: { "concurrencyControl.currentlyEditing": "" },
+          },
+          { new: true }
+        )
+        .lean();
+    } catch (error) {
+      throw new Error(`Error liberando bloqueo de edición: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liberar todos los bloqueos cuya fecha de expiración ya pasó
+   */
+  async releaseExpiredLocks(now = new Date()) {
+    try {
+      const result = await this.model.updateMany(
+        {
+          "concurrencyControl.editLock": true,
+          "concurrencyControl.lockExpiration": { $lte: now },
+        },
+        {
+          $set: {
+            "concurrencyControl.editLock": false,
+            "concurrencyControl.lockExpiration": null,
+            "concurrencyControl.lockExtensions": 0,
+          },
+          $unset: { "concurrencyControl.currentlyEditing": "" },
+        }
+      );
+
+      return result.modifiedCount || 0;
+    } catch (error) {
+      throw new Error(`Error liberando bloqueos expirados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar el contrato e incrementar su versión en una sola escritura
+   * Si se indica expectedVersion solo se escribe cuando coincide con la versión almacenada,
+   * así una escritura fallida no deja la versión incrementada
+   * @returns {Promise<Object|null>} Contrato actualizado o null si hubo conflicto
+   */
+  async updateWithVersion(
+    contractId,
+    updateData,
+    userData,
+    expectedVersion = null,
+    options = {}
+  ) {
+    if (!Types.ObjectId.isValid(contractId)) {
+      throw new Error("ID no válido");
+    }
+
+    const filter = { _id: contractId };
+    if (expectedVersion !== null && expectedVersion !== undefined) {
+      // Los contratos anteriores al control de versiones no tienen el campo
+      filter["concurrencyControl.version"] =
+        expectedVersion === 0 ? { $in: [0, null] } : expectedVersion;
+    }
+
+    const originalDoc = await this.model.findById(contractId).lean();
+    if (!originalDoc || originalDoc.deletedAt) {
+      throw new Error("Documento no encontrado");
+    }
+
+    const updatedDoc = await this.model.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          ...updateData,
+          updatedBy: userData.userId,
+          updatedAt: new Date(),
+        },
+        $inc: { "concurrencyControl.version": 1 },
+      },
+      { new: true, lean: true, ...options }
+    );
+
+    if (!updatedDoc) return null;
+
+    try {
+      await AuditRepository.saveUpdateWithDetection(
+        {
+          schema: this.modelName,
+          documentId: contractId,
+          originalDoc,
+          updatedDoc,
+          userData,
+        },
+        options
+      );
+    } catch (auditError) {
+      console.error("Error en auditoría:", auditError);
+    }
+
+    return updatedDoc;
+  }
+
   // ===== VALIDACIONES ESPECÍFICAS =====
 
   /**
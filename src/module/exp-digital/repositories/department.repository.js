@@ -6,6 +6,10 @@
 import { Types } from "mongoose";
 import { BaseRepository } from "../../core/base/repositories/base.repository.js";
 import { Department } from "../models/department.scheme.js";
+import {
+  UserDepartmentAccess,
+  ACCESS_LEVELS,
+} from "../models/module-permission.scheme.js";
 
 export class DepartmentRepository extends BaseRepository {
   constructor() {
@@ -161,6 +165,75 @@ export class DepartmentRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Obtener los usuarios responsables de un departamento
+   * Usa responsible.userId y, si no está definido, los gestores (OWNER) activos
+   */
+  async findResponsibleUserIds(departmentId) {
+    try {
+      if (!departmentId) return [];
+
+      const department = await this.model
+        .findById(departmentId)
+        .select("responsible.userId")
+        .lean();
+
+      if (department?.responsible?.userId) {
+        return [department.responsible.userId.toString()];
+      }
+
+      const owners = await UserDepartmentAccess.find({
+        department: departmentId,
+        accessLevel: ACCESS_LEVELS.OWNER,
+        status: "ACTIVE",
+        isActive: true,
+      })
+        .select("user")
+        .lean();
+
+      return owners.map((access) => access.user.toString());
+    } catch (error) {
+      throw new Error(
+        `Error obteniendo responsables del departamento: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Obtener la cadena de departamentos desde uno dado hasta la raíz
+   * (el propio departamento, su padre, el padre de este, ...)
+   */
+  async findAncestorChain(departmentId, maxDepth = 10) {
+    try {
+      const chain = [];
+      const visited = new Set();
+      let currentId = departmentId;
+
+      while (currentId && chain.length < maxDepth) {
+        const key = currentId.toString();
+        if (visited.has(key)) break; // Protección ante ciclos
+        visited.add(key);
+
+        const department = await this.model
+          .findById(currentId)
+          .select(
+            "code name parentDepartment responsible.userId contractPolicies.notifications"
+          )
+          .lean();
+        if (!department) break;
+
+        chain.push(department);
+        currentId = department.parentDepartment;
+      }
+
+      return chain;
+    } catch (error) {
+      throw new Error(
+        `Error obteniendo cadena de departamentos: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Obtener jerarquía completa de un departamento
    * ✅ MEJORA: Usar método del esquema cuando sea apropiado
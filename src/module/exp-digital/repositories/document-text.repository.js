@@ -0,0 +1,256 @@
+// =============================================================================
+// src/module/exp-digital/repositories/document-text.repository.js
+// Repositorio del texto extraído de documentos (búsqueda por contenido)
+// =============================================================================
+
+import { Types } from "mongoose";
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import {
+  DocumentText,
+  DOCUMENT_TEXT_STATUS,
+} from "../models/document-text.scheme.js";
+
+export class DocumentTextRepository extends BaseRepository {
+  constructor() {
+    super(DocumentText);
+  }
+
+  /**
+   * Encolar (o reencolar) la extracción de texto de un archivo
+   * @param {Object} file - Registro File
+   * @returns {Promise<Object>} Registro de texto
+   */
+  async enqueue(file) {
+    try {
+      return await this.model
+        .findOneAndUpdate(
+          { file: file._id },
+          {
+            $set: {
+              checksum: file.fileInfo?.checksum || file.fileInfo?.hash || null,
+              originalName: file.originalName,
+              mimeType: file.fileInfo?.mimeType,
+              status: DOCUMENT_TEXT_STATUS.PENDING,
+              attempts: 0,
+              error: null,
+              queuedAt: new Date(),
+            },
+          },
+          { upsert: true, new: true }
+        )
+        .lean();
+    } catch (error) {
+      throw new Error(`Error encolando extracción de texto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tomar un archivo para procesarlo; evita que dos procesos lo extraigan
+   * @param {String} fileId - ID del archivo
+   * @param {Object} options - maxAttempts, staleBefore (PROCESSING abandonados)
+   * @returns {Promise<Object|null>} Registro tomado o null
+   */
+  async claim(fileId, { maxAttempts, staleBefore }) {
+    return await this.model
+      .findOneAndUpdate(
+        {
+          file: fileId,
+          attempts: { $lt: maxAttempts },
+          $or: [
+            {
+              status: {
+                $in: [
+                  DOCUMENT_TEXT_STATUS.PENDING,
+                  DOCUMENT_TEXT_STATUS.FAILED,
+                ],
+              },
+            },
+            {
+              status: DOCUMENT_TEXT_STATUS.PROCESSING,
+              startedAt: { $lt: staleBefore },
+            },
+          ],
+        },
+        {
+          $set: {
+            status: DOCUMENT_TEXT_STATUS.PROCESSING,
+            startedAt: new Date(),
+          },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Archivos pendientes de extracción, los más antiguos primero
+   * @returns {Promise<Array>} IDs de archivo
+   */
+  async findPendingFileIds({ limit, maxAttempts, staleBefore }) {
+    const items = await this.model
+      .find({
+        attempts: { $lt: maxAttempts },
+        $or: [
+          {
+            status: {
+              $in: [DOCUMENT_TEXT_STATUS.PENDING, DOCUMENT_TEXT_STATUS.FAILED],
+            },
+          },
+          {
+            status: DOCUMENT_TEXT_STATUS.PROCESSING,
+            startedAt: { $lt: staleBefore },
+          },
+        ],
+      })
+      .sort({ queuedAt: 1 })
+      .limit(limit)
+      .select("file")
+      .lean();
+
+    return items.map((item) => item.file);
+  }
+
+  /**
+   * Texto ya extraído de otro archivo con el mismo contenido
+   */
+  async findExtractedByChecksum(checksum, excludeFileId) {
+    if (!checksum) return null;
+
+    return await this.model
+      .findOne({
+        checksum,
+        file: { $ne: excludeFileId },
+        status: {
+          $in: [DOCUMENT_TEXT_STATUS.EXTRACTED, DOCUMENT_TEXT_STATUS.EMPTY],
+        },
+      })
+      .select("extractor text charCount truncated pageCount status")
+      .lean();
+  }
+
+  async complete(id, data) {
+    return await this.model.updateOne(
+      { _id: id },
+      {
+        $set: {
+          ...data,
+          error: null,
+          extractedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async fail(id, { status = DOCUMENT_TEXT_STATUS.FAILED, error }) {
+    return await this.model.updateOne(
+      { _id: id },
+      { $set: { status, error: error?.slice(0, 2000) || null } }
+    );
+  }
+
+  /**
+   * Búsqueda por contenido sobre el índice de texto
+   * Solo devuelve archivos activos; contrato y fase se toman del archivo
+   * @param {String} query - Consulta ($text de MongoDB: palabras, "frases", -exclusiones)
+   * @param {Object} filters - contractId, phaseId, documentType, includeAllVersions
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} { total, items }
+   */
+  async searchContent(query, filters = {}, { page = 1, limit = 20 } = {}) {
+    const fileMatch = { isActive: true, deletedAt: null };
+    if (filters.contractId) {
+      fileMatch.contract = new Types.ObjectId(filters.contractId);
+    }
+    if (filters.phaseId) {
+      fileMatch.phase = new Types.ObjectId(filters.phaseId);
+    }
+    if (filters.documentType) {
+      fileMatch.documentType = filters.documentType.toUpperCase();
+    }
+    if (!filters.includeAllVersions) {
+      fileMatch["versionInfo.isCurrentVersion"] = { $ne: false };
+    }
+
+    const [result] = await this.model.aggregate([
+      {
+        $match: {
+          $text: { $search: query },
+          status: DOCUMENT_TEXT_STATUS.EXTRACTED,
+        },
+      },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $lookup: {
+          from: "files",
+          let: { fileId: "$file" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$fileId"] }, ...fileMatch } },
+            {
+              $project: {
+                originalName: 1,
+                documentType: 1,
+                status: 1,
+                contract: 1,
+                phase: 1,
+                "fileInfo.mimeType": 1,
+                "fileInfo.size": 1,
+                "versionInfo.version": 1,
+                createdAt: 1,
+              },
+            },
+          ],
+          as: "fileDoc",
+        },
+      },
+      { $unwind: "$fileDoc" },
+      { $sort: { score: -1, _id: 1 } },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: "contracts",
+                let: { contractId: "$fileDoc.contract" },
+                pipeline: [
+                  { $match: { $expr: { $eq: ["$_id", "$$contractId"] } } },
+                  { $project: { contractNumber: 1, contractualObject: 1 } },
+                ],
+                as: "contractDoc",
+              },
+            },
+            {
+              $lookup: {
+                from: "contractphases",
+                let: { phaseId: "$fileDoc.phase" },
+                pipeline: [
+                  { $match: { $expr: { $eq: ["$_id", "$$phaseId"] } } },
+                  { $project: { code: 1, name: 1 } },
+                ],
+                as: "phaseDoc",
+              },
+            },
+            {
+              $project: {
+                text: 1,
+                score: 1,
+                pageCount: 1,
+                file: "$fileDoc",
+                contract: { $arrayElemAt: ["$contractDoc", 0] },
+                phase: { $arrayElemAt: ["$phaseDoc", 0] },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      total: result?.total[0]?.count || 0,
+      items: result?.items || [],
+    };
+  }
+}
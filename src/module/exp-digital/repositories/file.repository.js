@@ -109,6 +109,10 @@ export class FileRepository extends BaseRepository {
       },
       10 * 60 * 100000
     ); // 10 minutos
+
+    // El servidor HTTP mantiene vivo el proceso; los scripts deben poder terminar
+    this.syncInterval.unref();
+    this.retryInterval.unref();
   }
 
   // ===== MÉTODOS USANDO QUERY HELPERS DEL ESQUEMA =====
@@ -1086,7 +1090,7 @@ export class FileRepository extends BaseRepository {
       {
         $push: {
           "access.history": {
-            user: userData.userId,
+            userId: userData.userId,
             action: changeData.action,
             observations: changeData.observations,
             timestamp: new Date(),
@@ -1099,6 +1103,183 @@ export class FileRepository extends BaseRepository {
       { new: true, lean: true }
     );
   }
+
+  // =============================================================================
+  // FLUJO DE REVISIÓN Y APROBACIÓN
+  // =============================================================================
+
+  /**
+   * Enviar a revisión si el archivo está en uno de los estados esperados
+   * Reinicia aprobaciones y rechazo de rondas anteriores
+   * @returns {Promise<Object|null>} Archivo actualizado o null si cambió de estado
+   */
+  async startReview(fileId, expectedStatuses, reviewData) {
+    return await this.model.findOneAndUpdate(
+      { _id: fileId, status: { $in: expectedStatuses } },
+      {
+        $set: {
+          status: "REVIEW",
+          "review.submittedBy": reviewData.submittedBy,
+          "review.submittedAt": new Date(),
+          "review.reviewers": reviewData.reviewers,
+          "review.requiredApprovals": reviewData.requiredApprovals,
+          "review.approvals": [],
+          "review.observations": reviewData.observations,
+          "review.approvedBy": null,
+          "review.approvalDate": null,
+          "review.rejectionReason": null,
+          "review.rejectedBy": null,
+          "review.rejectionDate": null,
+          "audit.lastModifiedBy": reviewData.submittedBy,
+        },
+        $inc: { "review.round": 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Registrar la aprobación de un revisor (una por usuario y ronda)
+   * @returns {Promise<Object|null>} Archivo actualizado o null si no aplica
+   */
+  async addReviewApproval(fileId, approval) {
+    return await this.model.findOneAndUpdate(
+      {
+        _id: fileId,
+        status: "REVIEW",
+        "review.approvals.user": { $ne: approval.user },
+      },
+      {
+        $push: { "review.approvals": approval },
+        $set: {
+          "review.reviewedBy": approval.user,
+          "review.reviewDate": approval.date,
+          "audit.lastModifiedBy": approval.user,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Marcar como aprobado cuando se alcanzan las aprobaciones requeridas
+   */
+  async completeApproval(fileId, approvedBy) {
+    return await this.model.findOneAndUpdate(
+      { _id: fileId, status: "REVIEW" },
+      {
+        $set: {
+          status: "APPROVED",
+          "review.approvedBy": approvedBy,
+          "review.approvalDate": new Date(),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Rechazar un archivo en revisión
+   */
+  async rejectReview(fileId, rejection) {
+    return await this.model.findOneAndUpdate(
+      { _id: fileId, status: "REVIEW" },
+      {
+        $set: {
+          status: "REJECTED",
+          "review.rejectionReason": rejection.reason,
+          "review.rejectedBy": rejection.userId,
+          "review.rejectionDate": new Date(),
+          "review.reviewedBy": rejection.userId,
+          "review.reviewDate": new Date(),
+          "audit.lastModifiedBy": rejection.userId,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // =============================================================================
+  // COPIAS EN BACKENDS DE ALMACENAMIENTO
+  // =============================================================================
+
+  /**
+   * Registrar (o reemplazar) la copia del archivo en un backend
+   * @param {String} fileId - ID del archivo
+   * @param {Object} copy - Copia (provider, key, location, status, ...)
+   * @param {Object} extraSet - Campos adicionales a actualizar (p. ej. rsyncInfo)
+   */
+  async recordStorageCopy(fileId, copy, extraSet = {}) {
+    await this.model.updateOne(
+      { _id: fileId },
+      { $pull: { "storage.copies": { provider: copy.provider } } }
+    );
+
+    return await this.model.findOneAndUpdate(
+      { _id: fileId },
+      { $push: { "storage.copies": copy }, $set: extraSet },
+      { new: true }
+    );
+  }
+
+  /**
+   * Marcar todas las copias como eliminadas tras borrar los archivos físicos
+   */
+  async markStorageCopiesDeleted(fileId, extraSet = {}) {
+    return await this.model.findOneAndUpdate(
+      { _id: fileId },
+      {
+        $set: {
+          "storage.copies.$[].status": "DELETED",
+          ...extraSet,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Guardar el resultado de la verificación de integridad de las copias
+   * Los registros anteriores a los drivers no tienen storage.copies: se
+   * materializan con las copias verificadas; en el resto solo se actualizan
+   * las copias verificadas para no pisar réplicas concurrentes
+   * @param {String} fileId - ID del archivo
+   * @param {Array} copies - Copias verificadas
+   * @param {Object} extraSet - Campos adicionales (integrity, rsyncInfo)
+   */
+  async recordCopyVerification(fileId, copies, extraSet = {}) {
+    const legacy = await this.model.updateOne(
+      { _id: fileId, "storage.copies.0": { $exists: false } },
+      { $set: { "storage.copies": copies, ...extraSet } }
+    );
+    if (legacy.matchedCount > 0) return legacy;
+
+    const $set = { ...extraSet };
+    const arrayFilters = [];
+
+    copies.forEach((copy, index) => {
+      const alias = `c${index}`;
+      for (const field of [
+        "status",
+        "hash",
+        "size",
+        "syncedAt",
+        "verifiedAt",
+        "error",
+      ]) {
+        if (copy[field] !== undefined) {
+          $set[`storage.copies.$[${alias}].${field}`] = copy[field];
+        }
+      }
+      arrayFilters.push({ [`${alias}.provider`]: copy.provider });
+    });
+
+    return await this.model.updateOne(
+      { _id: fileId },
+      { $set },
+      { arrayFilters }
+    );
+  }
 }
 
 export default new FileRepository();
@@ -0,0 +1,74 @@
+// =============================================================================
+// src/module/exp-digital/repositories/integrity-report.repository.js
+// Repositorio de reportes de verificación de integridad de archivos
+// =============================================================================
+
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import { IntegrityReport } from "../models/integrity-report.scheme.js";
+
+export class IntegrityReportRepository extends BaseRepository {
+  constructor() {
+    super(IntegrityReport);
+  }
+
+  /**
+   * Registrar el inicio de una verificación
+   */
+  async startReport({ trigger = "SCHEDULED", triggeredBy } = {}) {
+    try {
+      return await this.model.create({
+        trigger,
+        triggeredBy,
+        status: "RUNNING",
+        startedAt: new Date(),
+      });
+    } catch (error) {
+      throw new Error(`Error registrando verificación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar el fin de una verificación con su resumen y hallazgos
+   */
+  async finishReport(reportId, { status, summary, issues, error } = {}) {
+    try {
+      return await this.model
+        .findByIdAndUpdate(
+          reportId,
+          {
+            $set: {
+              status,
+              summary,
+              issues,
+              finishedAt: new Date(),
+              ...(error && { error: { message: error.message } }),
+            },
+          },
+          { new: true }
+        )
+        .lean();
+    } catch (err) {
+      throw new Error(`Error finalizando verificación: ${err.message}`);
+    }
+  }
+
+  /**
+   * Listar reportes sin el detalle de hallazgos
+   */
+  async findReports(options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    return await this.model.paginate(query, {
+      page,
+      limit,
+      sort: { startedAt: -1 },
+      select: "-issues",
+      lean: true,
+    });
+  }
+}
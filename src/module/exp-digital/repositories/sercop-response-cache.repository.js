@@ -0,0 +1,46 @@
+// =============================================================================
+// src/module/exp-digital/repositories/sercop-response-cache.repository.js
+// Repositorio de la caché de respuestas de SERCOP
+// =============================================================================
+
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import { SercopResponseCache } from "../models/sercop-response-cache.scheme.js";
+
+export class SercopResponseCacheRepository extends BaseRepository {
+  constructor() {
+    super(SercopResponseCache);
+  }
+
+  /**
+   * Entrada vigente para la URL (el índice TTL puede tardar en borrar las vencidas)
+   */
+  async findFresh(url, now = new Date()) {
+    return await this.model
+      .findOne({ url, expiresAt: { $gt: now } })
+      .select("body fetchedAt expiresAt")
+      .lean();
+  }
+
+  async store({ url, endpoint, body, ttlMs }, now = new Date()) {
+    return await this.model.updateOne(
+      { url },
+      {
+        $set: {
+          endpoint,
+          body,
+          size: Buffer.byteLength(body),
+          fetchedAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Vaciar la caché, completa o de un endpoint
+   */
+  async purge(endpoint = null) {
+    return await this.model.deleteMany(endpoint ? { endpoint } : {});
+  }
+}
@@ -0,0 +1,146 @@
+// =============================================================================
+// src/module/exp-digital/repositories/sercop-review.repository.js
+// Repositorio de diferencias con SERCOP pendientes de revisión
+// =============================================================================
+
+import { Types } from "mongoose";
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import {
+  SercopReview,
+  SERCOP_REVIEW_STATUS,
+} from "../models/sercop-review.scheme.js";
+
+export class SercopReviewRepository extends BaseRepository {
+  constructor() {
+    super(SercopReview);
+  }
+
+  /**
+   * Encolar una diferencia o actualizar la pendiente del mismo campo
+   */
+  async upsertPending(data, now = new Date()) {
+    try {
+      return await this.model
+        .findOneAndUpdate(
+          {
+            contract: data.contract,
+            field: data.field,
+            status: SERCOP_REVIEW_STATUS.PENDING,
+          },
+          {
+            $set: {
+              ocid: data.ocid,
+              localValue: data.localValue,
+              sercopValue: data.sercopValue,
+              source: data.source,
+              reason: data.reason,
+              integrationId: data.integrationId,
+              lastSeenAt: now,
+            },
+            $setOnInsert: { detectedAt: now },
+          },
+          { upsert: true, new: true }
+        )
+        .lean();
+    } catch (error) {
+      throw new Error(`Error encolando diferencia: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cerrar las diferencias pendientes de campos que ya coinciden
+   */
+  async supersedePending(contractId, fields, now = new Date()) {
+    if (fields.length === 0) return { modifiedCount: 0 };
+
+    return await this.model.updateMany(
+      {
+        contract: contractId,
+        field: { $in: fields },
+        status: SERCOP_REVIEW_STATUS.PENDING,
+      },
+      {
+        $set: { status: SERCOP_REVIEW_STATUS.SUPERSEDED, resolvedAt: now },
+      }
+    );
+  }
+
+  /**
+   * Últimas decisiones de conservar el valor local, por campo
+   * @returns {Promise<Map>} field -> sercopValue rechazado
+   */
+  async findRejectedValues(contractId) {
+    const items = await this.model
+      .find({ contract: contractId, status: SERCOP_REVIEW_STATUS.REJECTED })
+      .sort({ resolvedAt: 1 })
+      .select("field sercopValue")
+      .lean();
+
+    return new Map(items.map((item) => [item.field, item.sercopValue]));
+  }
+
+  /**
+   * Marcar una diferencia como resuelta si sigue pendiente
+   */
+  async resolve(reviewId, { status, resolvedBy, observations }) {
+    return await this.model
+      .findOneAndUpdate(
+        { _id: reviewId, status: SERCOP_REVIEW_STATUS.PENDING },
+        {
+          $set: {
+            status,
+            resolvedBy: Types.ObjectId.isValid(resolvedBy) ? resolvedBy : null,
+            resolvedAt: new Date(),
+            observations,
+          },
+        },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Cola de revisión paginada
+   */
+  async findReviews(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status = SERCOP_REVIEW_STATUS.PENDING,
+      contractId,
+    } = options;
+
+    const query = {};
+    if (status) query.status = status;
+    if (contractId) query.contract = contractId;
+
+    return await this.model.paginate(query, {
+      page,
+      limit,
+      sort: { detectedAt: -1 },
+      populate: {
+        path: "contract",
+        select: "contractNumber contractualObject generalStatus",
+      },
+      lean: true,
+    });
+  }
+
+  /**
+   * Diferencias pendientes por contrato
+   * @returns {Promise<Map>} contractId -> total
+   */
+  async countPendingByContract(contractIds) {
+    const counts = await this.model.aggregate([
+      {
+        $match: {
+          contract: { $in: contractIds },
+          status: SERCOP_REVIEW_STATUS.PENDING,
+        },
+      },
+      { $group: { _id: "$contract", total: { $sum: 1 } } },
+    ]);
+
+    return new Map(counts.map((item) => [item._id.toString(), item.total]));
+  }
+}
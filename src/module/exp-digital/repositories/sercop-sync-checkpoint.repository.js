@@ -0,0 +1,92 @@
+// =============================================================================
+// src/module/exp-digital/repositories/sercop-sync-checkpoint.repository.js
+// Repositorio de puntos de control de sincronización con SERCOP
+// =============================================================================
+
+import { Types } from "mongoose";
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import {
+  SercopSyncCheckpoint,
+  SERCOP_CHECKPOINT_STATUS,
+} from "../models/sercop-sync-checkpoint.scheme.js";
+
+export class SercopSyncCheckpointRepository extends BaseRepository {
+  constructor() {
+    super(SercopSyncCheckpoint);
+  }
+
+  async findByKey(key) {
+    return await this.model.findOne({ key }).lean();
+  }
+
+  /**
+   * Crear el punto de control o marcar su reanudación
+   */
+  async begin({ key, operation, year, buyer, startedBy }) {
+    return await this.model
+      .findOneAndUpdate(
+        { key },
+        {
+          $set: { status: SERCOP_CHECKPOINT_STATUS.RUNNING, lastError: null },
+          $inc: { runs: 1 },
+          $setOnInsert: {
+            operation,
+            year,
+            buyer,
+            startedAt: new Date(),
+            startedBy: Types.ObjectId.isValid(startedBy) ? startedBy : null,
+          },
+        },
+        { upsert: true, new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Registrar una página procesada junto con los contadores acumulados
+   */
+  async savePage(key, { page, totalPages, results }) {
+    return await this.model.updateOne(
+      { key },
+      { $set: { lastPage: page, totalPages, results } }
+    );
+  }
+
+  async complete(key) {
+    return await this.model.updateOne(
+      { key },
+      {
+        $set: {
+          status: SERCOP_CHECKPOINT_STATUS.COMPLETED,
+          completedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async interrupt(key, lastError = null) {
+    return await this.model.updateOne(
+      { key },
+      { $set: { status: SERCOP_CHECKPOINT_STATUS.INTERRUPTED, lastError } }
+    );
+  }
+
+  /**
+   * Descartar el avance para empezar de nuevo desde la página 1
+   */
+  async reset(key) {
+    return await this.model.deleteOne({ key });
+  }
+
+  async findByOperation(operation, filters = {}) {
+    const query = { operation };
+    if (filters.status) query.status = filters.status;
+    if (filters.buyer !== undefined) query.buyer = filters.buyer;
+
+    return await this.model
+      .find(query)
+      .sort({ year: -1 })
+      .select("-results.types -results.unmappedTypes")
+      .lean();
+  }
+}
@@ -0,0 +1,116 @@
+// =============================================================================
+// src/module/exp-digital/repositories/sercop-type-mapping.repository.js
+// Repositorio de tipos de SERCOP pendientes de mapeo y sus decisiones
+// =============================================================================
+
+import { Types } from "mongoose";
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import {
+  SercopTypeMapping,
+  SERCOP_TYPE_MAPPING_STATUS,
+} from "../models/sercop-type-mapping.scheme.js";
+
+const MAX_SAMPLE_OCIDS = 10;
+
+export class SercopTypeMappingRepository extends BaseRepository {
+  constructor() {
+    super(SercopTypeMapping);
+  }
+
+  /**
+   * Registrar una aparición de un tipo sin mapeo
+   * Si ya tiene decisión solo se actualizan los contadores
+   */
+  async recordOccurrence({ internalType, normalizedName, ocid, year }) {
+    const now = new Date();
+
+    try {
+      const item = await this.model
+        .findOneAndUpdate(
+          { normalizedName },
+          {
+            $inc: { occurrences: 1 },
+            $set: { lastSeenAt: now, ...(year && { lastSeenYear: year }) },
+            $setOnInsert: { internalType, firstSeenAt: now },
+          },
+          { upsert: true, new: true }
+        )
+        .lean();
+
+      // Muestra acotada de procesos para que el administrador los consulte
+      if (ocid && item.sampleOcids.length < MAX_SAMPLE_OCIDS) {
+        await this.model.updateOne(
+          {
+            _id: item._id,
+            [`sampleOcids.${MAX_SAMPLE_OCIDS - 1}`]: { $exists: false },
+          },
+          { $addToSet: { sampleOcids: ocid } }
+        );
+      }
+
+      return item;
+    } catch (error) {
+      throw new Error(`Error registrando tipo sin mapeo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decisiones vigentes, para combinarlas con el mapeo fijo
+   */
+  async findMapped() {
+    return await this.model
+      .find({ status: SERCOP_TYPE_MAPPING_STATUS.MAPPED })
+      .select("internalType normalizedName contractType code category regime")
+      .lean();
+  }
+
+  async findItem(id) {
+    if (!Types.ObjectId.isValid(id)) return null;
+    return await this.model.findById(id).lean();
+  }
+
+  /**
+   * Guardar la decisión si el tipo sigue pendiente
+   * @returns {Promise<Object|null>} Registro actualizado o null si ya se resolvió
+   */
+  async resolve(id, decision) {
+    return await this.model
+      .findOneAndUpdate(
+        { _id: id, status: SERCOP_TYPE_MAPPING_STATUS.PENDING },
+        {
+          $set: {
+            ...decision,
+            status: SERCOP_TYPE_MAPPING_STATUS.MAPPED,
+            resolvedBy: Types.ObjectId.isValid(decision.resolvedBy)
+              ? decision.resolvedBy
+              : null,
+            resolvedAt: new Date(),
+          },
+        },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Cola de revisión paginada, los más frecuentes primero
+   */
+  async findQueue(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status = SERCOP_TYPE_MAPPING_STATUS.PENDING,
+    } = options;
+
+    const query = {};
+    if (status) query.status = status;
+
+    return await this.model.paginate(query, {
+      page,
+      limit,
+      sort: { occurrences: -1, lastSeenAt: -1 },
+      populate: { path: "contractType", select: "code name category" },
+      lean: true,
+    });
+  }
+}
@@ -0,0 +1,85 @@
+// =============================================================================
+// src/module/exp-digital/repositories/storage-blob.repository.js
+// Repositorio de contenidos compartidos (deduplicación por checksum)
+// =============================================================================
+
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import { StorageBlob } from "../models/storage-blob.scheme.js";
+
+export class StorageBlobRepository extends BaseRepository {
+  constructor() {
+    super(StorageBlob);
+  }
+
+  /**
+   * Sumar referencias al contenido del hash, creándolo si no existe
+   * @param {String} hash - SHA-256 del contenido
+   * @param {Object} data - size, mimeType
+   * @param {Number} count - Referencias a sumar
+   * @returns {Promise<Object>} Blob actualizado
+   */
+  async acquire(hash, { size, mimeType } = {}, count = 1) {
+    const update = () =>
+      this.model
+        .findOneAndUpdate(
+          { hash },
+          {
+            $inc: { refCount: count },
+            $set: { lastReferencedAt: new Date() },
+            $setOnInsert: { hash, size, mimeType },
+          },
+          { upsert: true, new: true }
+        )
+        .lean();
+
+    try {
+      return await update();
+    } catch (error) {
+      // Dos altas simultáneas del mismo hash: la segunda ya encuentra el blob
+      if (error.code === 11000) return await update();
+      throw error;
+    }
+  }
+
+  /**
+   * Restar una referencia
+   * @returns {Promise<Object|null>} Blob actualizado
+   */
+  async release(blobId) {
+    return await this.model
+      .findOneAndUpdate(
+        { _id: blobId, refCount: { $gt: 0 } },
+        { $inc: { refCount: -1 } },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Eliminar el blob solo si ningún archivo lo referencia
+   * @returns {Promise<Object|null>} Blob eliminado o null si sigue en uso
+   */
+  async deleteIfUnreferenced(blobId) {
+    return await this.model
+      .findOneAndDelete({ _id: blobId, refCount: { $lte: 0 } })
+      .lean();
+  }
+
+  /**
+   * Registrar (o reemplazar) la copia del contenido en un backend
+   */
+  async recordCopy(blobId, copy) {
+    await this.model.updateOne(
+      { _id: blobId },
+      { $pull: { copies: { provider: copy.provider } } }
+    );
+
+    return await this.model
+      .findOneAndUpdate(
+        { _id: blobId },
+        { $push: { copies: copy } },
+        { new: true }
+      )
+      .lean();
+  }
+}
@@ -0,0 +1,98 @@
+// =============================================================================
+// src/module/exp-digital/repositories/upload-session.repository.js
+// Repositorio de sesiones de subida por partes
+// =============================================================================
+
+import { BaseRepository } from "../../core/base/repositories/base.repository.js";
+import {
+  UploadSession,
+  UPLOAD_SESSION_STATUS,
+} from "../models/upload-session.scheme.js";
+
+export class UploadSessionRepository extends BaseRepository {
+  constructor() {
+    super(UploadSession);
+  }
+
+  async createSession(data) {
+    try {
+      const session = await this.model.create(data);
+      return session.toObject();
+    } catch (error) {
+      throw new Error(`Error creando sesión de subida: ${error.message}`);
+    }
+  }
+
+  async findSession(sessionId) {
+    return await this.model.findById(sessionId).lean();
+  }
+
+  /**
+   * Avanzar el desplazamiento solo si nadie lo movió mientras se escribía
+   * la parte (dos reintentos simultáneos del mismo cliente)
+   * @returns {Promise<Object|null>} Sesión actualizada o null si hubo conflicto
+   */
+  async advanceOffset(sessionId, { from, to, expiresAt }) {
+    return await this.model
+      .findOneAndUpdate(
+        {
+          _id: sessionId,
+          status: UPLOAD_SESSION_STATUS.ACTIVE,
+          receivedBytes: from,
+        },
+        {
+          $set: { receivedBytes: to, lastChunkAt: new Date(), expiresAt },
+        },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Cambiar de estado de forma atómica (p. ej. ACTIVE -> FINALIZING)
+   * @returns {Promise<Object|null>} Sesión actualizada o null si no estaba en fromStatus
+   */
+  async transition(sessionId, fromStatus, update) {
+    const statuses = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+
+    return await this.model
+      .findOneAndUpdate(
+        { _id: sessionId, status: { $in: statuses } },
+        { $set: update },
+        { new: true }
+      )
+      .lean();
+  }
+
+  /**
+   * Sesiones abiertas sin actividad desde su vencimiento (incluye las que
+   * quedaron a medio finalizar por un reinicio)
+   */
+  async findExpired(now = new Date(), limit = 100) {
+    return await this.model
+      .find({
+        status: {
+          $in: [UPLOAD_SESSION_STATUS.ACTIVE, UPLOAD_SESSION_STATUS.FINALIZING],
+        },
+        expiresAt: { $lt: now },
+      })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Sesiones con partes en disco (para no borrar sus temporales)
+   */
+  async findOpenTempPaths() {
+    const sessions = await this.model
+      .find({
+        status: {
+          $in: [UPLOAD_SESSION_STATUS.ACTIVE, UPLOAD_SESSION_STATUS.FINALIZING],
+        },
+      })
+      .select("tempPath")
+      .lean();
+
+    return new Set(sessions.map((session) => session.tempPath));
+  }
+}
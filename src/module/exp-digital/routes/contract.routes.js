@@ -14,10 +14,7 @@ import {
 import { auth, verifyModuleAccess } from "#src/middlewares/auth.js";
 import { FileController } from "../controllers/file.controller.js";
 
-import {
-  rsyncContractDocuments,
-  autoAddRsyncResponse,
-} from "#src/middlewares/rsync.middleware.js";
+import { autoAddRsyncResponse } from "#src/middlewares/rsync.middleware.js";
 
 const router = Router();
 const controller = new ContractController();
@@ -211,6 +208,7 @@ router.post("/:contractId/restore", controller.restoreContract);
 /**
  * GET /contracts/:contractId
  * Obtener contrato específico con detalles completos
+ * Responde con ETag "<id>-<versión>" para usar en If-Match
  * Permisos: contracts.canViewOwn/canViewDepartment/canViewAll + acceso al contrato
  */
 router.get(
@@ -229,6 +227,7 @@ router.get(
 /**
  * PUT /contracts/:contractId
  * Actualizar contrato existente
+ * Headers: If-Match (opcional) - 409 con diferencias si la versión cambió
  * Permisos: contracts.canEdit + acceso al contrato
  */
 router.put(
@@ -267,6 +266,7 @@ router.delete(
  * POST /contracts/bulk-update
  * Actualización masiva de contratos
  * Body: contractIds[], updateData
+ * Headers: If-Match (opcional) - un ETag por contrato
  * Permisos: contracts.canEdit
  */
 router.post("/bulk-update", controller.bulkUpdateContracts);
@@ -295,6 +295,7 @@ router.post("/bulk-export", controller.bulkExportContracts);
  * PUT /contracts/:contractId/phase
  * Cambiar fase del contrato
  * Body: newPhase, reason, documents[]
+ * Headers: If-Match (opcional)
  * Permisos: contracts.canEdit + validaciones de fase
  */
 router.put("/:contractId/phase", controller.changeContractPhase);
@@ -303,6 +304,7 @@ router.put("/:contractId/phase", controller.changeContractPhase);
  * PUT /contracts/:contractId/status
  * Cambiar estado del contrato
  * Body: newStatus, reason
+ * Headers: If-Match (opcional)
  * Permisos: contracts.canEdit + validaciones de estado
  */
 router.put("/:contractId/status", controller.changeContractStatus);
@@ -314,13 +316,137 @@ router.put("/:contractId/status", controller.changeContractStatus);
  */
 router.get("/:contractId/phases", controller.getContractPhases);
 
+/**
+ * POST /contracts/:contractId/phases/:phaseId/transition
+ * Iniciar, completar u omitir una fase según el motor de fases
+ * Body: action (START | COMPLETE | SKIP), reason (obligatorio para SKIP)
+ * Headers: If-Match (opcional)
+ * Permisos: contracts.canEdit + acceso al contrato + bloqueo de edición
+ */
+router.post(
+  "/:contractId/phases/:phaseId/transition",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "contracts",
+    permission: "canEdit",
+    errorMessage: "No tiene permisos para cambiar fases de contratos",
+  }),
+  controller.transitionContractPhase
+);
+
+/**
+ * GET /contracts/:contractId/phases/:phaseId/checklist
+ * Documentos requeridos de la fase (según el tipo de contrato) y su estado
+ * Indica los documentos obligatorios que faltan o no están aprobados
+ * Permisos: documents.canView + acceso al contrato
+ */
+router.get(
+  "/:contractId/phases/:phaseId/checklist",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "documents",
+    permission: "canView",
+    errorMessage: "No tiene permisos para ver documentos de contratos",
+  }),
+  controller.getPhaseChecklist
+);
+
 /**
  * GET /contracts/:contractId/transitions
  * Obtener transiciones disponibles para el contrato
+ * Devuelve las acciones de fase que permite el motor y las bloqueadas con su motivo
  * Permisos: contracts.canViewOwn/canViewDepartment/canViewAll + acceso al contrato
  */
 router.get("/:contractId/transitions", controller.getAvailableTransitions);
 
+// =============================================================================
+// CONTROL DE CONCURRENCIA (BLOQUEO DE EDICIÓN)
+// =============================================================================
+
+/**
+ * GET /contracts/:contractId/lock
+ * Obtener estado del bloqueo de edición
+ * Permisos: acceso al contrato
+ */
+router.get(
+  "/:contractId/lock",
+  requireContractAccess("contractId"),
+  controller.getContractLock
+);
+
+/**
+ * POST /contracts/:contractId/lock
+ * Adquirir bloqueo de edición (expira según autoReleaseLockMinutes)
+ * Permisos: contracts.canEdit + acceso al contrato
+ */
+router.post(
+  "/:contractId/lock",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "contracts",
+    permission: "canEdit",
+    contractParam: "contractId",
+    requireContractAccess: true,
+    errorMessage: "No tiene permisos para editar contratos",
+  }),
+  controller.acquireContractLock
+);
+
+/**
+ * POST /contracts/:contractId/lock/extend
+ * Extender bloqueo vigente (limitado por maxLockExtensions)
+ * Permisos: contracts.canEdit + acceso al contrato
+ */
+router.post(
+  "/:contractId/lock/extend",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "contracts",
+    permission: "canEdit",
+    contractParam: "contractId",
+    requireContractAccess: true,
+    errorMessage: "No tiene permisos para editar contratos",
+  }),
+  controller.extendContractLock
+);
+
+/**
+ * DELETE /contracts/:contractId/lock
+ * Liberar bloqueo de edición propio
+ * Permisos: contracts.canEdit + acceso al contrato
+ */
+router.delete(
+  "/:contractId/lock",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "contracts",
+    permission: "canEdit",
+    contractParam: "contractId",
+    requireContractAccess: true,
+    errorMessage: "No tiene permisos para editar contratos",
+  }),
+  controller.releaseContractLock
+);
+
+/**
+ * POST /contracts/:contractId/lock/force-unlock
+ * Forzar liberación del bloqueo de otro usuario
+ * Body: reason
+ * Permisos: contracts.canDelete + acceso al contrato
+ */
+router.post(
+  "/:contractId/lock/force-unlock",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "contracts",
+    permission: "canDelete",
+    contractParam: "contractId",
+    requireContractAccess: true,
+    errorMessage: "No tiene permisos para forzar el desbloqueo de contratos",
+  }),
+  controller.forceUnlockContract
+);
+
 // =============================================================================
 // GESTIÓN DE DOCUMENTOS DEL CONTRATO
 // =============================================================================
@@ -328,12 +454,13 @@ router.get("/:contractId/transitions", controller.getAvailableTransitions);
 /**
  * POST /contracts/:contractId/documents
  * Subir documento al contrato
+ * El backend de almacenamiento (LOCAL, RSYNC, S3) se elige por departamento
+ * y tipo de documento
  * Permisos: documents.canUpload + acceso al contrato
  */
 router.post(
   "/:contractId/documents",
   file.uploadMiddleware,
-  rsyncContractDocuments,
   controller.uploadContractDocument
 );
 
@@ -375,6 +502,24 @@ router.delete(
   controller.deleteContractDocument
 );
 
+/**
+ * GET /contracts/:contractId/expediente.pdf
+ * Expediente foliado: portada, índice por fase y tipo de documento con
+ * rangos de folios, documentos PDF sellados y anexos no foliados
+ * Se regenera solo cuando cambia el conjunto de documentos (ETag)
+ * Permisos: documents.canDownload + acceso al contrato
+ */
+router.get(
+  "/:contractId/expediente.pdf",
+  requireContractAccess("contractId"),
+  requirePermission({
+    category: "documents",
+    permission: "canDownload",
+    errorMessage: "No tiene permisos para descargar el expediente",
+  }),
+  controller.getContractExpediente
+);
+
 // =============================================================================
 // HISTORIAL Y AUDITORÍA
 // =============================================================================
@@ -444,6 +589,7 @@ router.delete(
 /**
  * Avanzar a la siguiente fase del contrato
  * POST /contracts/:contractId/advance-phase
+ * Body: observations, skipOptionalPhases
  * Permisos: contracts.canEdit + acceso al contrato
  */
 router.post(
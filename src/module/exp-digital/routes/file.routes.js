@@ -60,6 +60,61 @@ router.post(
   controller.uploadFiles
 );
 
+// =============================================================================
+// SUBIDA POR PARTES (ARCHIVOS GRANDES)
+// =============================================================================
+
+const canUpload = requirePermission({
+  category: "documents",
+  permission: "canUpload",
+  errorMessage: "No tiene permisos para subir archivos",
+});
+
+/**
+ * POST /files/uploads
+ * Iniciar subida por partes (originalName, size, mimeType, checksum y
+ * metadatos del documento). Responde uploadId y chunkSize
+ * Permisos: documents.canUpload
+ */
+router.post("/uploads", canUpload, controller.initChunkedUpload);
+
+/**
+ * GET /files/uploads/:uploadId
+ * Estado de la subida; receivedBytes indica desde dónde reanudar
+ * Permisos: documents.canUpload
+ */
+router.get("/uploads/:uploadId", canUpload, controller.getChunkedUpload);
+
+/**
+ * PUT /files/uploads/:uploadId
+ * Enviar una parte en binario con Content-Range: bytes inicio-fin/total
+ * Permisos: documents.canUpload
+ */
+router.put(
+  "/uploads/:uploadId",
+  canUpload,
+  controller.parseChunkBody,
+  controller.uploadChunk
+);
+
+/**
+ * POST /files/uploads/:uploadId/complete
+ * Verificar el checksum SHA-256 y registrar el archivo
+ * Permisos: documents.canUpload
+ */
+router.post(
+  "/uploads/:uploadId/complete",
+  canUpload,
+  controller.completeChunkedUpload
+);
+
+/**
+ * DELETE /files/uploads/:uploadId
+ * Cancelar la subida y descartar las partes recibidas
+ * Permisos: documents.canUpload
+ */
+router.delete("/uploads/:uploadId", canUpload, controller.abortChunkedUpload);
+
 /**
  * GET /files
  * Obtener todos los archivos con filtros
@@ -123,6 +178,75 @@ router.delete(
   controller.deleteFile
 );
 
+// =============================================================================
+// FLUJO DE REVISIÓN Y APROBACIÓN
+// =============================================================================
+
+/**
+ * POST /files/:id/submit-review
+ * Enviar archivo a revisión (desde DRAFT o REJECTED)
+ * Body: reviewers (opcional), observations
+ * Permisos: documents.canUpload
+ */
+router.post(
+  "/:id/submit-review",
+  requirePermission({
+    category: "documents",
+    permission: "canUpload",
+    errorMessage: "No tiene permisos para enviar archivos a revisión",
+  }),
+  controller.submitForReview
+);
+
+/**
+ * POST /files/:id/approve
+ * Registrar aprobación (APPROVED al completar las requeridas por la fase)
+ * Body: observations
+ * Permisos: interactions.canAddObservations
+ */
+router.post(
+  "/:id/approve",
+  requirePermission({
+    category: "interactions",
+    permission: "canAddObservations",
+    errorMessage: "No tiene permisos para aprobar archivos",
+  }),
+  controller.approveFile
+);
+
+/**
+ * POST /files/:id/reject
+ * Rechazar archivo en revisión
+ * Body: reason
+ * Permisos: interactions.canAddObservations
+ */
+router.post(
+  "/:id/reject",
+  requirePermission({
+    category: "interactions",
+    permission: "canAddObservations",
+    errorMessage: "No tiene permisos para rechazar archivos",
+  }),
+  controller.rejectFile
+);
+
+/**
+ * POST /files/:id/verification-stamp
+ * Sellar con QR de verificación un PDF aprobado (nueva versión vigente)
+ * Los PDF se sellan automáticamente al completar su aprobación; esta ruta
+ * cubre los aprobados antes del sello o cuyo sello automático falló
+ * Permisos: special.canManageFiles
+ */
+router.post(
+  "/:id/verification-stamp",
+  requirePermission({
+    category: "special",
+    permission: "canManageFiles",
+    errorMessage: "Solo los administradores pueden sellar documentos",
+  }),
+  controller.stampVerification
+);
+
 // =============================================================================
 // OPERACIONES DE DESCARGA
 // =============================================================================
@@ -130,6 +254,7 @@ router.delete(
 /**
  * GET /files/:id/download
  * Descargar archivo
+ * Range / If-Range para reanudar descargas (206) e If-None-Match (304)
  * Permisos: documents.canDownload + acceso al archivo
  */
 router.get(
@@ -146,6 +271,7 @@ router.get(
 /**
  * GET /files/:id/preview
  * Previsualizar archivo (para imágenes y PDFs)
+ * Admite Range para la carga progresiva del visor de PDF
  * Permisos: documents.canView + acceso al archivo
  */
 router.get(
@@ -159,13 +285,47 @@ router.get(
   controller.previewFile
 );
 
+/**
+ * GET /files/:id/thumbnail?size=
+ * Miniatura WebP (imágenes y primera página de PDFs) generada y guardada
+ * como artefacto derivado; size se ajusta a PREVIEW_THUMBNAIL_SIZES
+ * Permisos: documents.canView + acceso al archivo
+ */
+router.get(
+  "/:id/thumbnail",
+  authFile({ allowQueryToken: true }),
+  requirePermission({
+    category: "documents",
+    permission: "canView",
+    errorMessage: "No tiene permisos para ver archivos",
+  }),
+  controller.getThumbnail
+);
+
+/**
+ * GET /files/:id/pages/:n
+ * Vista WebP de la página n (desde 1) sin descargar el original
+ * Permisos: documents.canView + acceso al archivo
+ */
+router.get(
+  "/:id/pages/:n",
+  authFile({ allowQueryToken: true }),
+  requirePermission({
+    category: "documents",
+    permission: "canView",
+    errorMessage: "No tiene permisos para ver archivos",
+  }),
+  controller.getPagePreview
+);
+
 // =============================================================================
 // OPERACIONES DE RSYNC Y SINCRONIZACIÓN
 // =============================================================================
 
 /**
  * POST /files/:id/sync
- * Sincronizar archivo específico
+ * Replicar el archivo en otro backend de almacenamiento
+ * Body: provider (LOCAL | RSYNC | S3, por defecto STORAGE_REPLICA_DRIVER)
  * Permisos: special.canManageFiles (administradores)
  */
 router.post(
@@ -209,6 +369,62 @@ router.get(
   controller.getRsyncQueueStatus
 );
 
+// =============================================================================
+// VERIFICACIÓN DE INTEGRIDAD
+// =============================================================================
+// La verificación se ejecuta con la tarea programada file-integrity-scrub
+// (POST /jobs/file-integrity-scrub/run para ejecutarla manualmente)
+
+/**
+ * GET /files/integrity/reports
+ * Listar reportes de verificación de integridad
+ * Query params: page, limit, status
+ * Permisos: special.canManageFiles (administradores)
+ */
+router.get(
+  "/integrity/reports",
+  requirePermission({
+    category: "special",
+    permission: "canManageFiles",
+    errorMessage:
+      "Solo los administradores pueden consultar los reportes de integridad",
+  }),
+  controller.getIntegrityReports
+);
+
+/**
+ * GET /files/integrity/reports/:reportId
+ * Obtener un reporte con sus hallazgos
+ * Permisos: special.canManageFiles (administradores)
+ */
+router.get(
+  "/integrity/reports/:reportId",
+  requirePermission({
+    category: "special",
+    permission: "canManageFiles",
+    errorMessage:
+      "Solo los administradores pueden consultar los reportes de integridad",
+  }),
+  controller.getIntegrityReport
+);
+
+/**
+ * GET /files/integrity/reports/:reportId/export
+ * Descargar el reporte (cabecera Digest con el SHA-256 del contenido)
+ * Query params: format (csv | json)
+ * Permisos: special.canManageFiles (administradores)
+ */
+router.get(
+  "/integrity/reports/:reportId/export",
+  requirePermission({
+    category: "special",
+    permission: "canManageFiles",
+    errorMessage:
+      "Solo los administradores pueden descargar los reportes de integridad",
+  }),
+  controller.exportIntegrityReport
+);
+
 // =============================================================================
 // OPERACIONES DE ESTADÍSTICAS Y REPORTES
 // =============================================================================
@@ -257,6 +473,8 @@ router.post(
 /**
  * POST /files/search
  * Buscar archivos con filtros avanzados
+ * Body: content (búsqueda dentro del texto), contractId, phaseId,
+ *   documentType, includeAllVersions, page, limit
  * Permisos: documents.canView
  */
 router.post(
@@ -5,6 +5,9 @@ import modulePermissionRoutes from "./module-permission.routes.js";
 import fileRoutes from "./file.routes.js";
 import contractRoutes from "./contract.routes.js";
 import contractConfigurationRoutes from "./contract-configuration.routes.js";
+import verificationRoutes from "./verification.routes.js";
+import sercopSyncRoutes from "./sercop-sync.routes.js";
+import jobRoutes from "../../core/scheduler/routes/job.routes.js";
 const router = express.Router();
 
 // Rutas del módulo de expediente digital - departamentos
@@ -13,5 +16,9 @@ router.use("/permissions", modulePermissionRoutes);
 router.use("/files", fileRoutes);
 router.use("/contracts/configuration", contractConfigurationRoutes);
 router.use("/contracts", contractRoutes);
+router.use("/jobs", jobRoutes);
+router.use("/sercop-sync", sercopSyncRoutes);
+// Verificación pública de documentos sellados (sin autenticación)
+router.use("/verify", verificationRoutes);
 
 export default router;
@@ -5,48 +5,94 @@
 
 import express from "express";
 import sercopSyncController from "../controllers/sercop-sync.controller.js";
-// import { requirePermission } from '../../../middleware/permission.middleware.js';
+import { requirePermission } from "#src/middlewares/permission.middleware.js";
+import { auth, verifyModuleAccess } from "#src/middlewares/auth.js";
 
 const router = express.Router();
 
+// Todas las rutas requieren usuario autenticado con acceso al módulo
+router.use(auth);
+router.use(verifyModuleAccess);
+
 // =============================================================================
 // ENDPOINTS DE SINCRONIZACIÓN DE TIPOS
 // =============================================================================
 
 /**
- * POST /sercop/sync-types
+ * POST /sercop-sync/sync-types
  * Sincronizar tipos de contrato desde SERCOP
- * Body: { year, buyer, dryRun }
- * Permisos: Administradores o usuarios con permisos especiales
+ * Body: { year | years | fromYear+toYear, buyer, dryRun, resume, maxPages }
+ * Cada año se reanuda desde su última página completa (resume: false reinicia)
+ * Permisos: special.canManagePermissions
  */
 router.post(
   "/sync-types",
-  // requirePermission({
-  //   category: 'special',
-  //   permission: 'canManagePermissions',
-  //   errorMessage: 'Solo administradores pueden sincronizar tipos de contrato'
-  // }),
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo administradores pueden sincronizar tipos de contrato",
+  }),
   sercopSyncController.syncContractTypes
 );
 
 /**
- * POST /sercop/resolve-type
+ * GET /sercop-sync/sync-types/checkpoints
+ * Avance de la sincronización de tipos por año y comprador
+ * Query: status, buyer
+ * Permisos: Acceso básico al módulo
+ */
+router.get("/sync-types/checkpoints", sercopSyncController.getSyncCheckpoints);
+
+/**
+ * POST /sercop-sync/resolve-type
  * Resolver/crear un tipo específico desde internal_type de SERCOP
  * Body: { internalType, dryRun }
- * Permisos: Administradores
+ * Permisos: special.canManagePermissions
  */
 router.post(
   "/resolve-type",
-  // requirePermission({
-  //   category: 'special',
-  //   permission: 'canManagePermissions',
-  //   errorMessage: 'Solo administradores pueden resolver tipos'
-  // }),
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo administradores pueden resolver tipos",
+  }),
   sercopSyncController.resolveContractType
 );
 
 /**
- * POST /sercop/validate-type
+ * GET /sercop-sync/type-reviews
+ * Tipos de procedimiento de SERCOP sin mapeo (nombre, OCIDs de ejemplo, apariciones)
+ * Query: status (PENDING | MAPPED), page, limit
+ * Permisos: special.canManagePermissions
+ */
+router.get(
+  "/type-reviews",
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo los administradores pueden revisar tipos de SERCOP",
+  }),
+  sercopSyncController.getTypeReviewQueue
+);
+
+/**
+ * POST /sercop-sync/type-reviews/:reviewId/resolve
+ * Mapear el tipo a un ContractType existente (MAP_EXISTING) o crear uno (CREATE)
+ * Body: { action, contractTypeId | code, name, category, regime, applicableObjects, observations }
+ * Permisos: special.canManagePermissions
+ */
+router.post(
+  "/type-reviews/:reviewId/resolve",
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo los administradores pueden mapear tipos de SERCOP",
+  }),
+  sercopSyncController.resolveTypeReview
+);
+
+/**
+ * POST /sercop-sync/validate-type
  * Validar si un internal_type tiene mapeo definido
  * Body: { internalType }
  * Permisos: Acceso básico al módulo
@@ -54,17 +100,17 @@ router.post(
 router.post("/validate-type", sercopSyncController.validateType);
 
 /**
- * GET /sercop/type-mapping
+ * GET /sercop-sync/type-mapping
  * Obtener mapeo completo de tipos SERCOP <-> Sistema
- * Permisos: Administradores
+ * Permisos: special.canManagePermissions
  */
 router.get(
   "/type-mapping",
-  // requirePermission({
-  //   category: 'special',
-  //   permission: 'canManagePermissions',
-  //   errorMessage: 'Solo administradores pueden ver el mapeo completo'
-  // }),
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo administradores pueden ver el mapeo completo",
+  }),
   sercopSyncController.getTypeMapping
 );
 
@@ -73,19 +119,112 @@ router.get(
 // =============================================================================
 
 /**
- * GET /sercop/search
- * Buscar contratos en SERCOP
- * Query: year, buyer, page, limit
+ * GET /sercop-sync/search
+ * Buscar contratos en SERCOP (respuestas en caché; fresh=true consulta el portal)
+ * Query: year, buyer, page, limit, fresh
  * Permisos: Acceso básico al módulo
  */
 router.get("/search", sercopSyncController.searchContracts);
 
 /**
- * GET /sercop/contract/:ocid
+ * GET /sercop-sync/contract/:ocid
  * Obtener detalle de un contrato desde SERCOP
  * Params: ocid (Open Contracting ID)
  * Permisos: Acceso básico al módulo
  */
 router.get("/contract/:ocid", sercopSyncController.getContractDetail);
 
+/**
+ * DELETE /sercop-sync/cache
+ * Vaciar la caché de respuestas de SERCOP (completa o de un endpoint)
+ * Query: endpoint (search_ocds | record)
+ * Permisos: special.canManagePermissions
+ */
+router.delete(
+  "/cache",
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo los administradores pueden vaciar la caché de SERCOP",
+  }),
+  sercopSyncController.purgeCache
+);
+
+// =============================================================================
+// ENDPOINTS DE IMPORTACIÓN DE CONTRATOS
+// =============================================================================
+
+/**
+ * POST /sercop-sync/import/:ocid
+ * Importar un proceso de SERCOP (registro OCDS) como contrato
+ * Body: { requestingDepartment, contractType?, internalType?, contractNumber?, dryRun }
+ * Con dryRun devuelve la vista previa campo por campo sin crear nada
+ * Permisos: contracts.canCreate en el departamento solicitante
+ */
+router.post(
+  "/import/:ocid",
+  requirePermission({
+    category: "contracts",
+    permission: "canCreate",
+    departmentParam: "requestingDepartment",
+    errorMessage: "No tiene permisos para importar contratos",
+  }),
+  sercopSyncController.importContract
+);
+
+// =============================================================================
+// ENDPOINTS DE CONCILIACIÓN
+// =============================================================================
+
+// La conciliación se ejecuta con la tarea programada sercop-reconciliation
+// (POST /jobs/sercop-reconciliation/run para ejecutarla manualmente)
+
+/**
+ * GET /sercop-sync/drift
+ * Contratos cuyo estado local no coincide con la etapa en SERCOP
+ * Query: page, limit, departmentId
+ * Permisos: special.canViewCrossDepartment
+ */
+router.get(
+  "/drift",
+  requirePermission({
+    category: "special",
+    permission: "canViewCrossDepartment",
+    errorMessage: "No tiene permisos para ver el reporte de deriva",
+  }),
+  sercopSyncController.getDriftReport
+);
+
+/**
+ * GET /sercop-sync/reviews
+ * Diferencias con SERCOP que no se aplicaron automáticamente
+ * Query: status, contractId, page, limit
+ * Permisos: special.canViewCrossDepartment
+ */
+router.get(
+  "/reviews",
+  requirePermission({
+    category: "special",
+    permission: "canViewCrossDepartment",
+    errorMessage: "No tiene permisos para ver la cola de revisión",
+  }),
+  sercopSyncController.getReviewQueue
+);
+
+/**
+ * POST /sercop-sync/reviews/:reviewId/resolve
+ * Aplicar el valor de SERCOP (APPLY) o conservar el local (REJECT)
+ * Body: { action, observations }
+ * Permisos: special.canManagePermissions
+ */
+router.post(
+  "/reviews/:reviewId/resolve",
+  requirePermission({
+    category: "special",
+    permission: "canManagePermissions",
+    errorMessage: "Solo los administradores pueden resolver diferencias",
+  }),
+  sercopSyncController.resolveReview
+);
+
 export default router;
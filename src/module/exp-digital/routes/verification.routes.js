@@ -0,0 +1,24 @@
+// =============================================================================
+// src/module/exp-digital/routes/verification.routes.js
+// Rutas públicas de verificación de documentos (código QR impreso)
+// GADM Cantón Esmeraldas - Módulo de Expediente Digital
+// =============================================================================
+
+import { Router } from "express";
+import { DocumentVerificationController } from "../controllers/document-verification.controller.js";
+
+const router = Router();
+const controller = new DocumentVerificationController();
+
+// Sin autenticación: ciudadanos y auditores verifican documentos impresos.
+// Solo se exponen título, contrato, checksum y fecha de aprobación.
+
+/**
+ * GET /verify/:code
+ * Verificar la autenticidad de un documento sellado
+ * Params: code - Código de verificación (XXXX-XXXX-XXXX, con o sin guiones)
+ * Permisos: público
+ */
+router.get("/:code", controller.verifyDocument);
+
+export default router;
@@ -0,0 +1,528 @@
+// =============================================================================
+// src/module/exp-digital/services/chunked-upload.service.js
+// Subida por partes reanudable para archivos grandes del expediente
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { UploadSessionRepository } from "../repositories/upload-session.repository.js";
+import { UPLOAD_SESSION_STATUS } from "../models/upload-session.scheme.js";
+import { FileService } from "./file.service.js";
+import {
+  createError,
+  createValidationError,
+  ERROR_CODES,
+} from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Tiempo que se reserva para verificar y registrar el archivo al finalizar
+const FINALIZE_TIMEOUT = 60 * 60 * 1000;
+
+export class ChunkedUploadService {
+  constructor() {
+    this.uploadSessionRepository = new UploadSessionRepository();
+    this.fileService = new FileService();
+
+    this.config = {
+      maxFileSize:
+        parseInt(process.env.CHUNKED_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024,
+      chunkSize:
+        parseInt(process.env.CHUNKED_UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024,
+      // Sin partes nuevas durante este tiempo la sesión se descarta
+      ttl: (parseInt(process.env.CHUNKED_UPLOAD_TTL_HOURS) || 24) * 3600 * 1000,
+      tempDir: path.resolve(process.env.RSYNC_TEMP_DIR || "./temp", "uploads"),
+    };
+  }
+
+  // =============================================================================
+  // PROTOCOLO DE SUBIDA
+  // =============================================================================
+
+  /**
+   * Iniciar una sesión de subida
+   * @param {Object} data - originalName, size, mimeType, checksum y los
+   *   metadatos de uploadFile (contractId, phaseId, documentType...)
+   * @param {Object} userData - userId, ipAddress, userAgent
+   * @returns {Promise<Object>} Estado de la sesión
+   */
+  async initSession(data, userData) {
+    const { originalName, mimeType, checksum } = data;
+    const size = Number(data.size);
+
+    if (!originalName || typeof originalName !== "string") {
+      throw createValidationError("El nombre del archivo es requerido");
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw createValidationError("El tamaño del archivo debe ser mayor a 0");
+    }
+    if (size > this.config.maxFileSize) {
+      throw createValidationError(
+        `El archivo es demasiado grande. Máximo: ${Math.round(this.config.maxFileSize / 1024 / 1024)}MB`
+      );
+    }
+
+    const extension = path.extname(originalName).slice(1).toLowerCase();
+    if (!this.fileService.config.allowedTypes.includes(extension)) {
+      throw createValidationError(
+        `Tipo de archivo no permitido. Tipos válidos: ${this.fileService.config.allowedTypes.join(", ")}`
+      );
+    }
+    if (checksum && !/^[a-fA-F0-9]{64}$/.test(checksum)) {
+      throw createValidationError(
+        "El checksum debe ser un SHA-256 en hexadecimal"
+      );
+    }
+    if (data.contractId) validateObjectId(data.contractId, "ID del contrato");
+    if (data.phaseId) validateObjectId(data.phaseId, "ID de la fase");
+    if (data.departmentId) {
+      validateObjectId(data.departmentId, "ID del departamento");
+    }
+
+    await fs.mkdir(this.config.tempDir, { recursive: true });
+    const tempPath = path.join(
+      this.config.tempDir,
+      `chunked_${Date.now()}_${crypto.randomBytes(8).toString("hex")}`
+    );
+    await fs.writeFile(tempPath, Buffer.alloc(0));
+
+    try {
+      const session = await this.uploadSessionRepository.createSession({
+        originalName,
+        mimeType: mimeType || "application/octet-stream",
+        size,
+        chunkSize: this.config.chunkSize,
+        checksum: checksum ? checksum.toLowerCase() : null,
+        metadata: this._normalizeMetadata(data),
+        tempPath,
+        createdBy: userData.userId,
+        ipAddress: userData.ipAddress || null,
+        userAgent: userData.userAgent || null,
+        expiresAt: new Date(Date.now() + this.config.ttl),
+      });
+
+      console.log(
+        `📦 Subida por partes iniciada: ${originalName} (${size} bytes) por ${userData.userId}`
+      );
+
+      return this._toPublic(session);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Estado de la sesión; el cliente reanuda desde receivedBytes
+   */
+  async getSession(sessionId, userData) {
+    const session = await this._findOwnSession(sessionId, userData);
+    return this._toPublic(session);
+  }
+
+  /**
+   * Escribir una parte
+   * Las partes deben llegar en orden: una parte ya recibida se acepta sin
+   * escribir (reintento) y una que deja un hueco se rechaza con 409 y el
+   * desplazamiento correcto
+   * @param {String} sessionId - ID de la sesión
+   * @param {Object} chunk - buffer, contentRange (cabecera Content-Range), offset
+   * @param {Object} userData - userId
+   * @returns {Promise<Object>} Estado de la sesión
+   */
+  async writeChunk(sessionId, { buffer, contentRange, offset }, userData) {
+    const session = await this._findOwnSession(sessionId, userData);
+    this._assertActive(session);
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw createValidationError("La parte está vacía");
+    }
+    if (buffer.length > session.chunkSize) {
+      throw createValidationError(
+        `La parte supera el tamaño máximo de ${session.chunkSize} bytes`
+      );
+    }
+
+    const { start, end } = this._resolveChunkRange(
+      contentRange,
+      offset,
+      buffer.length,
+      session.size
+    );
+
+    // Reintento de una parte ya guardada
+    if (end < session.receivedBytes) {
+      return this._toPublic(session);
+    }
+    if (start > session.receivedBytes) {
+      throw this._offsetConflict(session);
+    }
+
+    // Solo se escribe lo que falta de una parte que se solapa
+    const data = buffer.subarray(session.receivedBytes - start);
+    const handle = await fs.open(session.tempPath, "r+");
+    try {
+      await handle.write(data, 0, data.length, session.receivedBytes);
+    } finally {
+      await handle.close();
+    }
+
+    const updated = await this.uploadSessionRepository.advanceOffset(
+      session._id,
+      {
+        from: session.receivedBytes,
+        to: end + 1,
+        expiresAt: new Date(Date.now() + this.config.ttl),
+      }
+    );
+    if (!updated) {
+      throw this._offsetConflict(
+        await this.uploadSessionRepository.findSession(session._id)
+      );
+    }
+
+    return this._toPublic(updated);
+  }
+
+  /**
+   * Finalizar: verificar el checksum del archivo ensamblado y registrarlo
+   * con el flujo normal de subida (almacenamiento, réplica, indexación)
+   * @param {String} sessionId - ID de la sesión
+   * @param {Object} data - checksum (si no se envió al iniciar)
+   * @param {Object} userData - userId, ipAddress, userAgent
+   * @returns {Promise<Object>} { session, file }
+   */
+  async completeSession(sessionId, data, userData) {
+    const session = await this._findOwnSession(sessionId, userData);
+    this._assertActive(session);
+
+    const expected = (data.checksum || session.checksum || "").toLowerCase();
+    if (!/^[a-f0-9]{64}$/.test(expected)) {
+      throw createValidationError(
+        "Se requiere el checksum SHA-256 del archivo para finalizar"
+      );
+    }
+    if (session.checksum && expected !== session.checksum) {
+      throw createValidationError(
+        "El checksum no coincide con el declarado al iniciar la subida"
+      );
+    }
+    if (session.receivedBytes !== session.size) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `La subida está incompleta: faltan ${session.size - session.receivedBytes} bytes`,
+        409,
+        { receivedBytes: session.receivedBytes, size: session.size }
+      );
+    }
+
+    const finalizing = await this.uploadSessionRepository.transition(
+      session._id,
+      UPLOAD_SESSION_STATUS.ACTIVE,
+      {
+        status: UPLOAD_SESSION_STATUS.FINALIZING,
+        checksum: expected,
+        expiresAt: new Date(Date.now() + FINALIZE_TIMEOUT),
+      }
+    );
+    if (!finalizing) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        "La subida ya se está finalizando",
+        409
+      );
+    }
+
+    const actual = await this._hashFile(session.tempPath);
+    if (actual !== expected) {
+      await this._close(session, UPLOAD_SESSION_STATUS.ABORTED, {
+        error: `Checksum esperado ${expected}, recibido ${actual}`,
+      });
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "El contenido recibido no coincide con el checksum; la subida debe reiniciarse",
+        422,
+        { expected, actual }
+      );
+    }
+
+    let file;
+    try {
+      file = await this.fileService.uploadFile(
+        {
+          originalname: session.originalName,
+          mimetype: session.mimeType,
+          size: session.size,
+          encoding: "7bit",
+          path: session.tempPath,
+          checksum: actual,
+        },
+        {
+          ...this._toUploadMetadata(session.metadata),
+          uploadedBy: userData.userId,
+        },
+        {
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          maxFileSize: this.config.maxFileSize,
+        }
+      );
+    } catch (error) {
+      // El archivo ensamblado se conserva: el cliente puede reintentar
+      await this.uploadSessionRepository.transition(
+        session._id,
+        UPLOAD_SESSION_STATUS.FINALIZING,
+        {
+          status: UPLOAD_SESSION_STATUS.ACTIVE,
+          error: error.message.slice(0, 1000),
+          expiresAt: new Date(Date.now() + this.config.ttl),
+        }
+      );
+      throw error;
+    }
+
+    const completed = await this._close(
+      session,
+      UPLOAD_SESSION_STATUS.COMPLETED,
+      { file: file._id, error: null }
+    );
+
+    console.log(
+      `✅ Subida por partes completada: ${session.originalName} -> ${file._id}`
+    );
+
+    return { session: this._toPublic(completed), file };
+  }
+
+  /**
+   * Cancelar una sesión y descartar las partes recibidas
+   */
+  async abortSession(sessionId, userData) {
+    const session = await this._findOwnSession(sessionId, userData);
+    this._assertActive(session);
+
+    const aborted = await this._close(session, UPLOAD_SESSION_STATUS.ABORTED);
+    return this._toPublic(aborted);
+  }
+
+  // =============================================================================
+  // LIMPIEZA (TAREA PROGRAMADA)
+  // =============================================================================
+
+  /**
+   * Vencer las sesiones abandonadas y borrar temporales sin sesión
+   * @param {Object} options - now
+   * @returns {Promise<Object>} { expired, orphansRemoved }
+   */
+  async cleanupExpired({ now = new Date() } = {}) {
+    let expired = 0;
+    for (const session of await this.uploadSessionRepository.findExpired(now)) {
+      const closed = await this._close(session, UPLOAD_SESSION_STATUS.EXPIRED, {
+        fromStatus: [
+          UPLOAD_SESSION_STATUS.ACTIVE,
+          UPLOAD_SESSION_STATUS.FINALIZING,
+        ],
+      });
+      if (closed) expired++;
+    }
+
+    // Temporales de sesiones que ya no existen (p. ej. borradas a mano)
+    let orphansRemoved = 0;
+    const openPaths = await this.uploadSessionRepository.findOpenTempPaths();
+    const entries = await fs.readdir(this.config.tempDir).catch(() => []);
+    for (const entry of entries) {
+      const entryPath = path.join(this.config.tempDir, entry);
+      if (!entry.startsWith("chunked_") || openPaths.has(entryPath)) continue;
+
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (stats && now.getTime() - stats.mtimeMs > this.config.ttl) {
+        await fs.unlink(entryPath).catch(() => {});
+        orphansRemoved++;
+      }
+    }
+
+    if (expired || orphansRemoved) {
+      console.log(
+        `🧹 Subidas por partes: ${expired} sesiones vencidas, ${orphansRemoved} temporales huérfanos eliminados`
+      );
+    }
+
+    return { expired, orphansRemoved };
+  }
+
+  // =============================================================================
+  // MÉTODOS PRIVADOS
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  async _findOwnSession(sessionId, userData) {
+    validateObjectId(sessionId, "ID de la sesión de subida");
+
+    const session = await this.uploadSessionRepository.findSession(sessionId);
+    if (!session) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "Sesión de subida no encontrada",
+        404
+      );
+    }
+    if (session.createdBy !== String(userData.userId)) {
+      throw createError(
+        ERROR_CODES.FORBIDDEN,
+        "La sesión de subida pertenece a otro usuario",
+        403
+      );
+    }
+    return session;
+  }
+
+  _assertActive(session) {
+    if (session.status !== UPLOAD_SESSION_STATUS.ACTIVE) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `La sesión de subida no está activa (${session.status})`,
+        409,
+        { status: session.status }
+      );
+    }
+  }
+
+  _offsetConflict(session) {
+    return createError(
+      ERROR_CODES.CONFLICT,
+      `La parte no continúa la subida; se esperaba el byte ${session.receivedBytes}`,
+      409,
+      { receivedBytes: session.receivedBytes, size: session.size }
+    );
+  }
+
+  /**
+   * Rango de la parte desde Content-Range ("bytes 0-1048575/5242880") o,
+   * en su defecto, desde el parámetro offset
+   * @private
+   */
+  _resolveChunkRange(contentRange, offset, length, size) {
+    let start;
+    let end;
+
+    if (contentRange) {
+      const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange.trim());
+      if (!match) {
+        throw createValidationError(
+          "Content-Range inválido; formato esperado: bytes inicio-fin/total"
+        );
+      }
+      start = parseInt(match[1], 10);
+      end = parseInt(match[2], 10);
+      if (match[3] !== "*" && parseInt(match[3], 10) !== size) {
+        throw createValidationError(
+          `El total de Content-Range no coincide con el tamaño declarado (${size})`
+        );
+      }
+      if (end - start + 1 !== length) {
+        throw createValidationError(
+          "El tamaño de la parte no coincide con Content-Range"
+        );
+      }
+    } else {
+      start = Number(offset);
+      if (!Number.isInteger(start) || start < 0) {
+        throw createValidationError(
+          "Se requiere Content-Range o el desplazamiento (offset) de la parte"
+        );
+      }
+      end = start + length - 1;
+    }
+
+    if (end >= size) {
+      throw createValidationError(
+        `La parte excede el tamaño declarado del archivo (${size} bytes)`
+      );
+    }
+
+    return { start, end };
+  }
+
+  async _hashFile(filePath) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest("hex");
+  }
+
+  /**
+   * Cerrar la sesión y borrar su temporal
+   * @returns {Promise<Object|null>} Sesión cerrada o null si cambió de estado
+   * @private
+   */
+  async _close(session, status, { fromStatus, ...update } = {}) {
+    const closed = await this.uploadSessionRepository.transition(
+      session._id,
+      fromStatus || [
+        UPLOAD_SESSION_STATUS.ACTIVE,
+        UPLOAD_SESSION_STATUS.FINALIZING,
+      ],
+      { ...update, status, closedAt: new Date() }
+    );
+    if (closed) {
+      await fs.unlink(session.tempPath).catch(() => {});
+    }
+    return closed;
+  }
+
+  /**
+   * Metadatos del formulario con los mismos valores por defecto que la
+   * subida directa
+   * @private
+   */
+  _normalizeMetadata(data) {
+    const toList = (value) =>
+      typeof value === "string"
+        ? value.split(",").filter(Boolean)
+        : Array.isArray(value)
+          ? value
+          : [];
+
+    return {
+      contractId: data.contractId || null,
+      phaseId: data.phaseId || null,
+      departmentId: data.departmentId || null,
+      documentType: data.documentType || "OTROS",
+      description: data.description || "",
+      isPublic: data.isPublic === true || data.isPublic === "true",
+      allowedRoles: toList(data.allowedRoles),
+      allowedUsers: toList(data.allowedUsers),
+      priority: data.priority || "NORMAL",
+      keepLocal: data.keepLocal !== false && data.keepLocal !== "false",
+    };
+  }
+
+  _toUploadMetadata(metadata) {
+    return {
+      ...metadata,
+      contractId: metadata.contractId?.toString() || null,
+      phaseId: metadata.phaseId?.toString() || null,
+      departmentId: metadata.departmentId?.toString() || null,
+    };
+  }
+
+  _toPublic(session) {
+    return {
+      uploadId: session._id,
+      originalName: session.originalName,
+      mimeType: session.mimeType,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      receivedBytes: session.receivedBytes,
+      status: session.status,
+      file: session.file || null,
+      error: session.error || null,
+      expiresAt: session.expiresAt,
+      createdAt: session.createdAt,
+    };
+  }
+}
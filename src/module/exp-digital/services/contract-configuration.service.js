@@ -2189,6 +2189,8 @@ export class ContractConfigurationService {
           isMandatory: doc !== "Actas Entrega Parcial",
           allowedFileTypes: ["pdf", "docx", "xlsx"],
           maxFileSize: 20971520,
+          // El contrato debe llegar firmado electrónicamente (FirmaEC)
+          validationRules: { requiresSignature: doc === "Contrato Firmado" },
         })),
         typeSpecificConfig: [
           {
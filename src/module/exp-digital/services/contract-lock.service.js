@@ -0,0 +1,488 @@
+// =============================================================================
+// src/module/exp-digital/services/contract-lock.service.js
+// Servicio de control de concurrencia (bloqueo de edición) de contratos
+// GADM Cantón Esmeraldas - Basado en ContractConcurrencyExtension
+// =============================================================================
+
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Valores por defecto de DepartmentContractPoliciesExtension.contractPolicies.concurrency
+const DEFAULT_CONCURRENCY_POLICY = {
+  allowMultipleEditors: false,
+  autoReleaseLockMinutes: 30,
+  lockExtensionAllowed: true,
+  maxLockExtensions: 2,
+};
+
+export class ContractLockService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.departmentRepository = new DepartmentRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+  }
+
+  // =============================================================================
+  // CONSULTA DEL ESTADO DEL BLOQUEO
+  // =============================================================================
+
+  /**
+   * Obtener el estado actual del bloqueo de un contrato
+   * @param {String} contractId - ID del contrato
+   * @returns {Promise<Object>} Estado del bloqueo y política aplicada
+   */
+  async getLockStatus(contractId) {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+
+      const contract = await this._getContract(contractId);
+      const policy = await this._getConcurrencyPolicy(
+        contract.requestingDepartment
+      );
+
+      return this._formatLockStatus(contract.concurrencyControl, policy);
+    } catch (error) {
+      if (error.code && error.statusCode) {
+        throw error;
+      }
+      throw createError(
+        ERROR_CODES.FETCH_ERROR,
+        `Error al obtener estado del bloqueo: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  // =============================================================================
+  // OPERACIONES DE BLOQUEO
+  // =============================================================================
+
+  /**
+   * Adquirir el bloqueo de edición de un contrato
+   * Si el usuario ya tiene el bloqueo, se renueva el plazo sin consumir extensiones
+   * @param {String} contractId - ID del contrato
+   * @param {Object} userData - Datos del usuario (userId, name, email, ipAddress, sessionId)
+   * @returns {Promise<Object>} Estado del bloqueo
+   */
+  async acquireLock(contractId, userData) {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+      this._validateUser(userData);
+
+      console.log(
+        `🔒 Service: Solicitando bloqueo del contrato ${contractId} para ${userData.userId}`
+      );
+
+      const contract = await this._getContract(contractId);
+      const policy = await this._getConcurrencyPolicy(
+        contract.requestingDepartment
+      );
+
+      const expiration = this._calculateExpiration(policy);
+      const updated = await this.contractRepository.acquireEditLock(
+        contractId,
+        {
+          userId: userData.userId,
+          userName: userData.name || "",
+          userEmail: userData.email || "",
+          sessionId: userData.sessionId || "",
+          ipAddress: userData.ipAddress || "",
+        },
+        expiration
+      );
+
+      if (!updated) {
+        // Otro usuario obtuvo el bloqueo entre la lectura y la escritura
+        const current = await this._getContract(contractId);
+        throw this._lockedError(current.concurrencyControl);
+      }
+
+      console.log(
+        `✅ Service: Bloqueo adquirido hasta ${expiration.toISOString()}`
+      );
+
+      return this._formatLockStatus(updated.concurrencyControl, policy);
+    } catch (error) {
+      if (error.code && error.statusCode) {
+        throw error;
+      }
+      throw createError(
+        ERROR_CODES.UPDATE_ERROR,
+        `Error al adquirir bloqueo: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Extender el bloqueo vigente respetando lockExtensionAllowed y maxLockExtensions
+   * @param {String} contractId - ID del contrato
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Estado del bloqueo
+   */
+  async extendLock(contractId, userData) {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+      this._validateUser(userData);
+
+      const contract = await this._getContract(contractId);
+      const policy = await this._getConcurrencyPolicy(
+        contract.requestingDepartment
+      );
+      const cc = contract.concurrencyControl;
+
+      if (!this._isHeldBy(cc, userData.userId)) {
+        throw createError(
+          ERROR_CODES.LOCK_NOT_HELD,
+          "No tiene un bloqueo vigente sobre este contrato",
+          409
+        );
+      }
+
+      if (!policy.lockExtensionAllowed) {
+        throw createError(
+          ERROR_CODES.LOCK_EXTENSION_DENIED,
+          "La política del departamento no permite extender bloqueos",
+          409
+        );
+      }
+
+      if ((cc.lockExtensions || 0) >= policy.maxLockExtensions) {
+        throw createError(
+          ERROR_CODES.LOCK_EXTENSION_DENIED,
+          `Se alcanzó el máximo de extensiones permitidas (${policy.maxLockExtensions})`,
+          409,
+          { maxLockExtensions: policy.maxLockExtensions }
+        );
+      }
+
+      const expiration = this._calculateExpiration(policy);
+      const updated = await this.contractRepository.extendEditLock(
+        contractId,
+        userData.userId,
+        expiration,
+        policy.maxLockExtensions
+      );
+
+      if (!updated) {
+        throw createError(
+          ERROR_CODES.LOCK_NOT_HELD,
+          "El bloqueo expiró o fue liberado antes de poder extenderlo",
+          409
+        );
+      }
+
+      console.log(
+        `⏱️ Service: Bloqueo del contrato ${contractId} extendido hasta ${expiration.toISOString()}`
+      );
+
+      return this._formatLockStatus(updated.concurrencyControl, policy);
+    } catch (error) {
+      if (error.code && error.statusCode) {
+        throw error;
+      }
+      throw createError(
+        ERROR_CODES.UPDATE_ERROR,
+        `Error al extender bloqueo: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Liberar el bloqueo propio
+   * @param {String} contractId - ID del contrato
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Estado del bloqueo
+   */
+  async releaseLock(contractId, userData) {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+      this._validateUser(userData);
+
+      const contract = await this._getContract(contractId);
+      const policy = await this._getConcurrencyPolicy(
+        contract.requestingDepartment
+      );
+
+      if (!this._isHeldBy(contract.concurrencyControl, userData.userId)) {
+        throw createError(
+          ERROR_CODES.LOCK_NOT_HELD,
+          "No tiene un bloqueo vigente sobre este contrato",
+          409
+        );
+      }
+
+      const updated = await this.contractRepository.releaseEditLock(
+        contractId,
+        userData.userId
+      );
+
+      console.log(`🔓 Service: Bloqueo del contrato ${contractId} liberado`);
+
+      return this._formatLockStatus(
+        (updated || contract).concurrencyControl,
+        policy
+      );
+    } catch (error) {
+      if (error.code && error.statusCode) {
+        throw error;
+      }
+      throw createError(
+        ERROR_CODES.UPDATE_ERROR,
+        `Error al liberar bloqueo: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Forzar la liberación del bloqueo de otro usuario (administradores)
+   * @param {String} contractId - ID del contrato
+   * @param {Object} userData - Datos del usuario que fuerza el desbloqueo
+   * @param {String} reason - Motivo del desbloqueo forzado
+   * @returns {Promise<Object>} Estado del bloqueo y usuario desplazado
+   */
+  async forceUnlock(contractId, userData, reason = "") {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+      this._validateUser(userData);
+
+      const contract = await this._getContract(contractId);
+      const policy = await this._getConcurrencyPolicy(
+        contract.requestingDepartment
+      );
+      const previousEditor = this._isLockActive(contract.concurrencyControl)
+        ? contract.concurrencyControl.currentlyEditing
+        : null;
+
+      const updated = await this.contractRepository.releaseEditLock(
+        contractId,
+        null,
+        {
+          "concurrencyControl.forceUnlocked": true,
+          "concurrencyControl.forceUnlockedBy": userData.userId,
+          "concurrencyControl.forceUnlockedAt": new Date(),
+        }
+      );
+
+      await this._createHistoryEntry(
+        contractId,
+        previousEditor
+          ? `Desbloqueo forzado del contrato (editor: ${previousEditor.userName || previousEditor.userId})${reason ? `: ${reason}` : ""}`
+          : `Desbloqueo forzado del contrato${reason ? `: ${reason}` : ""}`,
+        userData
+      );
+
+      console.log(
+        `⚠️ Service: Bloqueo del contrato ${contractId} liberado forzosamente por ${userData.userId}`
+      );
+
+      return {
+        ...this._formatLockStatus(updated.concurrencyControl, policy),
+        previousEditor,
+      };
+    } catch (error) {
+      if (error.code && error.statusCode) {
+        throw error;
+      }
+      throw createError(
+        ERROR_CODES.UPDATE_ERROR,
+        `Error al forzar desbloqueo: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Verificar que el usuario tenga el bloqueo vigente antes de escribir
+   * No aplica cuando la política del departamento permite múltiples editores
+   * @param {String} contractId - ID del contrato
+   * @param {String} userId - ID del usuario que intenta escribir
+   * @returns {Promise<Boolean>} true si puede escribir
+   */
+  async assertLockHolder(contractId, userId) {
+    const contract = await this._getContract(contractId);
+    const policy = await this._getConcurrencyPolicy(
+      contract.requestingDepartment
+    );
+
+    if (policy.allowMultipleEditors) {
+      return true;
+    }
+
+    const cc = contract.concurrencyControl;
+
+    if (this._isLockActive(cc) && !this._isHeldBy(cc, userId)) {
+      throw this._lockedError(cc);
+    }
+
+    if (!this._isHeldBy(cc, userId)) {
+      throw createError(
+        ERROR_CODES.LOCK_REQUIRED,
+        "Debe adquirir el bloqueo de edición antes de modificar el contrato",
+        428
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Liberar todos los bloqueos expirados
+   * @returns {Promise<Number>} Cantidad de bloqueos liberados
+   */
+  async releaseExpiredLocks() {
+    try {
+      const released = await this.contractRepository.releaseExpiredLocks();
+      if (released > 0) {
+        console.log(`🧹 Service: ${released} bloqueos expirados liberados`);
+      }
+      return released;
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.UPDATE_ERROR,
+        `Error al liberar bloqueos expirados: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  async _getContract(contractId) {
+    const contract = await this.contractRepository.model
+      .findById(contractId)
+      .select("contractNumber requestingDepartment concurrencyControl")
+      .lean();
+
+    if (!contract) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Obtener la política de concurrencia del departamento con valores por defecto
+   */
+  async _getConcurrencyPolicy(departmentId) {
+    if (!departmentId) {
+      return { ...DEFAULT_CONCURRENCY_POLICY };
+    }
+
+    const department = await this.departmentRepository.model
+      .findById(departmentId)
+      .select("contractPolicies.concurrency")
+      .lean();
+
+    return {
+      ...DEFAULT_CONCURRENCY_POLICY,
+      ...(department?.contractPolicies?.concurrency || {}),
+    };
+  }
+
+  _calculateExpiration(policy) {
+    return new Date(Date.now() + policy.autoReleaseLockMinutes * 60 * 1000);
+  }
+
+  /**
+   * Un bloqueo expirado se considera libre aunque no se haya limpiado aún
+   */
+  _isLockActive(cc) {
+    return Boolean(
+      cc?.editLock &&
+        cc.lockExpiration &&
+        new Date(cc.lockExpiration) > new Date()
+    );
+  }
+
+  _isHeldBy(cc, userId) {
+    return (
+      this._isLockActive(cc) &&
+      Boolean(userId) &&
+      cc.currentlyEditing?.userId?.toString() === userId.toString()
+    );
+  }
+
+  _validateUser(userData) {
+    if (!userData?.userId) {
+      throw createError(
+        ERROR_CODES.UNAUTHORIZED,
+        "Usuario no identificado para operar el bloqueo",
+        401
+      );
+    }
+  }
+
+  _lockedError(cc) {
+    const editor = cc?.currentlyEditing || {};
+    return createError(
+      ERROR_CODES.CONTRACT_LOCKED,
+      `El contrato está siendo editado por ${editor.userName || "otro usuario"}`,
+      423,
+      {
+        lockedBy: {
+          userId: editor.userId,
+          userName: editor.userName,
+          userEmail: editor.userEmail,
+          since: editor.startTime,
+        },
+        lockExpiration: cc?.lockExpiration,
+      }
+    );
+  }
+
+  _formatLockStatus(cc, policy) {
+    const isLocked = this._isLockActive(cc);
+
+    return {
+      isLocked,
+      lockedBy: isLocked
+        ? {
+            userId: cc.currentlyEditing?.userId,
+            userName: cc.currentlyEditing?.userName,
+            userEmail: cc.currentlyEditing?.userEmail,
+            since: cc.currentlyEditing?.startTime,
+          }
+        : null,
+      lockExpiration: isLocked ? cc.lockExpiration : null,
+      extensionsUsed: isLocked ? cc.lockExtensions || 0 : 0,
+      extensionsRemaining: policy.lockExtensionAllowed
+        ? Math.max(
+            policy.maxLockExtensions - (isLocked ? cc.lockExtensions || 0 : 0),
+            0
+          )
+        : 0,
+      forceUnlocked: Boolean(cc?.forceUnlocked),
+      forceUnlockedAt: cc?.forceUnlockedAt || null,
+      policy: {
+        allowMultipleEditors: policy.allowMultipleEditors,
+        autoReleaseLockMinutes: policy.autoReleaseLockMinutes,
+        lockExtensionAllowed: policy.lockExtensionAllowed,
+        maxLockExtensions: policy.maxLockExtensions,
+      },
+    };
+  }
+
+  async _createHistoryEntry(contractId, description, userData) {
+    try {
+      await this.contractHistoryRepository.create(
+        {
+          contract: contractId,
+          eventType: "DATA_MODIFICATION",
+          description,
+          user: userData.userId,
+        },
+        userData
+      );
+    } catch (error) {
+      console.error("Error creando entrada de historial:", error);
+    }
+  }
+}
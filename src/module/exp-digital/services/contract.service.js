@@ -17,6 +17,7 @@ import {
   validateObjectId,
   validateRequiredFields,
 } from "#utils/validation.util.js";
+import { buildVersionETag } from "#utils/etag.util.js";
 import ExcelJS from "exceljs";
 import PDFDocument from "pdfkit";
 import { createObjectCsvWriter } from "csv-writer";
@@ -24,6 +25,12 @@ import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { FileRepository } from "../repositories/file.repository.js";
+import { ContractLockService } from "./contract-lock.service.js";
+import { PhaseChecklistService } from "./phase-checklist.service.js";
+import { PhaseEngineService, PHASE_ACTIONS } from "./phase-engine.service.js";
+import { StorageService } from "./storage.service.js";
+import { PdfSignatureService } from "./pdf-signature.service.js";
+import { DocumentSearchService } from "./document-search.service.js";
 import mongoose, { Types } from "mongoose";
 
 import crypto from "crypto";
@@ -38,6 +45,12 @@ export class ContractService {
     this.contractHistoryRepository = new ContractHistoryRepository();
     this.contractTypeRepository = new ContractTypeRepository();
     this.fileRepository = new FileRepository();
+    this.contractLockService = new ContractLockService();
+    this.phaseChecklistService = new PhaseChecklistService();
+    this.phaseEngineService = new PhaseEngineService();
+    this.storageService = new StorageService();
+    this.pdfSignatureService = new PdfSignatureService();
+    this.documentSearchService = new DocumentSearchService();
   }
 
   // =============================================================================
@@ -251,8 +264,11 @@ export class ContractService {
       );
       console.log(`Total contratos encontrados: ${result}`);
       // Enriquecer contratos con información adicional
+      const phaseCountCache = new Map();
       const enrichedContracts = await Promise.all(
-        result.docs.map((contract) => this._enrichContractSummary(contract))
+        result.docs.map((contract) =>
+          this._enrichContractSummary(contract, phaseCountCache)
+        )
       );
 
       // Preparar respuesta
@@ -395,6 +411,7 @@ export class ContractService {
         userData,
         createHistory = true,
         validateTransitions = true,
+        expectedVersion = null,
       } = options;
 
       // Obtener contrato actual
@@ -404,6 +421,12 @@ export class ContractService {
         throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
       }
 
+      // Solo el usuario que tiene el bloqueo de edición puede escribir
+      await this.contractLockService.assertLockHolder(
+        contractId,
+        userData?.userId
+      );
+
       // Validar transiciones de estado si está habilitado
       if (validateTransitions && updateData.generalStatus) {
         await this._validateStatusTransition(
@@ -429,12 +452,18 @@ export class ContractService {
         "contractNumber",
         "createdAt",
         "createdBy",
+        "concurrencyControl",
       ];
       protectedFields.forEach((field) => delete dataToUpdate[field]);
-
-      // Actualizar usando el repositorio
-      const updatedContract = await this.contractRepository.update(
-        contractId,
+      Object.keys(dataToUpdate)
+        .filter((field) => field.startsWith("concurrencyControl."))
+        .forEach((field) => delete dataToUpdate[field]);
+
+      // Actualizar con control de concurrencia optimista (If-Match)
+      const updatedContract = await this._updateWithVersion(
+        currentContract,
+        expectedVersion,
+        updateData,
         dataToUpdate,
         userData
       );
@@ -458,6 +487,10 @@ export class ContractService {
       console.error(
         `❌ Service: Error actualizando contrato: ${error.message}`
       );
+      // Si el error ya es uno personalizado, lo relanzamos
+      if (error.code && error.statusCode) {
+        throw error;
+      }
       throw createError(
         ERROR_CODES.UPDATE_ERROR,
         `Error al actualizar contrato: ${error.message}`,
@@ -565,9 +598,11 @@ export class ContractService {
   // =============================================================================
 
   /**
-   * Avanzar a la siguiente fase del contrato
+   * Avanzar a la siguiente fase del contrato según el motor de fases
+   * Completa la fase actual (con sus documentos obligatorios aprobados),
+   * omite las fases opcionales intermedias si se solicita e inicia la siguiente
    * @param {String} contractId - ID del contrato
-   * @param {Object} options - Opciones para el avance
+   * @param {Object} options - observations, skipValidations, skipOptionalPhases
    * @returns {Promise<Object>} Resultado del avance de fase
    */
   async advanceContractPhase(contractId, options = {}, userData = {}) {
@@ -579,14 +614,15 @@ export class ContractService {
       const {
         observations,
         skipValidations = false,
+        skipOptionalPhases = false,
         createHistory = true,
       } = options;
+      const userId = userData?.userId || options.userId;
 
       // Obtener contrato actual
       const contract = await this.contractRepository.findById(contractId, {
         populate: [
           { path: "currentPhase", select: "code name order category" },
-          { path: "phases.phase", select: "code name order category" },
         ],
       });
 
@@ -594,11 +630,16 @@ export class ContractService {
         throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
       }
 
-      // Obtener la siguiente fase
-      const nextPhase = await this._getNextPhase(
-        contract.currentPhase,
-        contract.contractType
-      );
+      // Validar que se puede avanzar (si no se saltan las validaciones)
+      if (!skipValidations) {
+        await this._validatePhaseAdvancement(contract);
+      }
+
+      // El motor valida documentos, dependencias y fases bloqueantes
+      const { flow, steps, nextPhase } =
+        await this.phaseEngineService.planAdvance(contract, {
+          skipOptionalPhases,
+        });
 
       if (!nextPhase) {
         throw createValidationError(
@@ -606,53 +647,31 @@ export class ContractService {
         );
       }
 
-      // Validar que se puede avanzar (si no se saltan las validaciones)
-      if (!skipValidations) {
-        await this._validatePhaseAdvancement(contract, nextPhase);
+      let updatedPhases = contract.phases;
+      for (const step of steps) {
+        updatedPhases = this.phaseEngineService.applyTransition(
+          updatedPhases,
+          step.action,
+          step.phaseId,
+          { userId, reason: observations }
+        );
       }
-
-      // Completar la fase actual
-      const updatedPhases = contract.phases.map((phaseEntry) => {
-        if (phaseEntry.phase.toString() === contract.currentPhase.toString()) {
-          return {
-            ...phaseEntry,
-            status: "COMPLETED",
-            completedAt: new Date(),
-            observations: [
-              ...(phaseEntry.observations || []),
-              ...(observations ? [observations] : []),
-            ],
-            duration: Math.floor(
-              (new Date() - phaseEntry.startDate) / (1000 * 60 * 60 * 24)
-            ), // días
-          };
-        }
-        return phaseEntry;
-      });
-
-      // Agregar nueva fase
-      updatedPhases.push({
-        phase: nextPhase._id,
-        status: "IN_PROGRESS",
-        startDate: new Date(),
-        assignedTo: userData?.userId,
-        documents: [],
-        observations: observations ? [observations] : [],
-        completedAt: null,
-        duration: null,
-      });
+      const currentPhaseId = this.phaseEngineService.resolveCurrentPhase(
+        updatedPhases,
+        flow
+      );
 
       // Actualizar contrato
       const updatedContract = await this.contractRepository.update(
         contractId,
         {
-          currentPhase: nextPhase._id,
+          currentPhase: currentPhaseId,
           phases: updatedPhases,
           "timeline.lastStatusChange": new Date(),
           "audit.lastModifiedAt": new Date(),
-          "audit.lastModifiedBy": userData?.userId,
+          "audit.lastModifiedBy": userId,
         },
-        userData
+        { userId }
       );
 
       // Crear entrada en historial
@@ -660,37 +679,42 @@ export class ContractService {
         await this._createHistoryEntry(
           contractId,
           {
-            eventType: "PHASE_ADVANCEMENT",
-            description: `Contrato avanzado de ${contract.currentPhase.name} a ${nextPhase.name}`,
-            user: { userId: userData?.userId },
+            eventType: "PHASE_CHANGE",
+            description: `Contrato avanzado de ${contract.currentPhase?.name || "inicio"} a ${nextPhase.name}`,
+            user: { userId },
             changeDetails: {
-              previousPhase: {
-                id: contract.currentPhase._id,
-                name: contract.currentPhase.name,
-              },
-              newPhase: {
-                id: nextPhase._id,
-                name: nextPhase.name,
-              },
+              previousPhase: contract.currentPhase?._id,
+              newPhase: nextPhase._id,
               observations,
             },
+            changesData: { steps },
           },
-          userData
+          { userId }
         );
       }
 
       console.log(
-        `✅ Service: Fase avanzada: ${contract.currentPhase.name} → ${nextPhase.name}`
+        `✅ Service: Fase avanzada: ${contract.currentPhase?.name} → ${nextPhase.name}`
       );
 
       return {
         contract: await this._populateContractData(updatedContract),
         previousPhase: contract.currentPhase,
         currentPhase: nextPhase,
+        steps,
         message: `Contrato avanzado a fase: ${nextPhase.name}`,
       };
     } catch (error) {
       console.error(`❌ Service: Error avanzando fase: ${error.message}`);
+      // Conservar el detalle del motor de fases (faltantes y motivos)
+      if (
+        [
+          ERROR_CODES.MISSING_MANDATORY_DOCUMENTS,
+          ERROR_CODES.INVALID_PHASE_TRANSITION,
+        ].includes(error.code)
+      ) {
+        throw error;
+      }
       throw createError(
         ERROR_CODES.PHASE_ERROR,
         `Error al avanzar fase del contrato: ${error.message}`,
@@ -699,6 +723,143 @@ export class ContractService {
     }
   }
 
+  /**
+   * Ejecutar una acción del motor de fases sobre una fase del contrato
+   * @param {String} contractId - ID del contrato
+   * @param {String} phaseId - ID de la fase
+   * @param {Object} transitionData - action (START, COMPLETE, SKIP), reason, expectedVersion
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Contrato actualizado y transiciones disponibles
+   */
+  async transitionContractPhase(
+    contractId,
+    phaseId,
+    transitionData,
+    userData = {}
+  ) {
+    try {
+      validateObjectId(contractId, "ID del contrato");
+      validateObjectId(phaseId, "ID de la fase");
+
+      const action = transitionData.action?.toUpperCase();
+      if (!Object.values(PHASE_ACTIONS).includes(action)) {
+        throw createValidationError(
+          `Acción de fase no válida. Use: ${Object.values(PHASE_ACTIONS).join(", ")}`
+        );
+      }
+      if (action === PHASE_ACTIONS.SKIP && !transitionData.reason?.trim()) {
+        throw createValidationError(
+          "Debe indicar el motivo para omitir una fase opcional"
+        );
+      }
+
+      console.log(
+        `🔀 Service: ${action} de fase ${phaseId} en contrato ${contractId}`
+      );
+
+      const contract = await this.contractRepository.model
+        .findOne({ _id: contractId, deletedAt: null })
+        .lean();
+      if (!contract) {
+        throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
+      }
+
+      await this.contractLockService.assertLockHolder(
+        contractId,
+        userData.userId
+      );
+
+      const { flow, node } = await this.phaseEngineService.assertTransition(
+        contract,
+        action,
+        phaseId
+      );
+
+      const phases = this.phaseEngineService.applyTransition(
+        contract.phases,
+        action,
+        phaseId,
+        { userId: userData.userId, reason: transitionData.reason }
+      );
+      const currentPhase = this.phaseEngineService.resolveCurrentPhase(
+        phases,
+        flow
+      );
+
+      const updatedContract = await this._updateWithVersion(
+        contract,
+        transitionData.expectedVersion,
+        { currentPhase, phases },
+        {
+          currentPhase,
+          phases,
+          "timeline.lastStatusChange": new Date(),
+        },
+        userData
+      );
+      const version = updatedContract.concurrencyControl.version;
+
+      const historyByAction = {
+        [PHASE_ACTIONS.START]: {
+          eventType: "PHASE_CHANGE",
+          description: `Inicio de la fase "${node.phase.name}"`,
+          changeDetails: {
+            previousPhase: contract.currentPhase,
+            newPhase: node.phase._id,
+          },
+        },
+        [PHASE_ACTIONS.COMPLETE]: {
+          eventType: "PHASE_COMPLETION",
+          description: `Fase "${node.phase.name}" completada`,
+          changeDetails: { previousPhase: node.phase._id },
+        },
+        [PHASE_ACTIONS.SKIP]: {
+          eventType: "PHASE_SKIP",
+          description: `Fase opcional "${node.phase.name}" omitida: ${transitionData.reason}`,
+          changeDetails: { previousPhase: node.phase._id },
+        },
+      };
+
+      await this._createHistoryEntry(
+        contractId,
+        {
+          ...historyByAction[action],
+          description: historyByAction[action].description.slice(0, 1000),
+          user: { userId: userData.userId },
+          changesData: {
+            action,
+            phase: node.phase._id,
+            reason: transitionData.reason,
+            changes: this.phaseEngineService.detectChanges(
+              contract,
+              phases,
+              currentPhase
+            ),
+            version,
+          },
+        },
+        userData
+      );
+
+      return {
+        contract: updatedContract,
+        action,
+        phase: {
+          _id: node.phase._id,
+          code: node.phase.code,
+          name: node.phase.name,
+        },
+        transitions: await this.phaseEngineService.getTransitions({
+          ...contract,
+          phases,
+        }),
+      };
+    } catch (error) {
+      console.error("❌ Service error en transitionContractPhase:", error);
+      throw error;
+    }
+  }
+
   /**
    * Actualizar fase específica del contrato
    * @param {String} contractId - ID del contrato
@@ -1201,53 +1362,9 @@ export class ContractService {
    * @private
    */
   async _getInitialPhase(contractTypeId) {
-    // Obtener todas las fases aplicables al tipo de contrato, ordenadas por order
-    const phases = await this.contractPhaseRepository.findAll(
-      {
-        isActive: true,
-        $or: [
-          { applicableContractTypes: { $size: 0 } }, // Aplicable a todos
-          { "applicableContractTypes.contractType": contractTypeId },
-        ],
-      },
-      {
-        sort: { order: 1 },
-        limit: 1,
-      }
-    );
-
-    return phases.length > 0 ? phases[0] : null;
-  }
-
-  /**
-   * Obtener siguiente fase del contrato
-   * @param {String} currentPhaseId - ID de la fase actual
-   * @param {String} contractTypeId - ID del tipo de contrato
-   * @returns {Promise<Object>} Siguiente fase
-   * @private
-   */
-  async _getNextPhase(currentPhaseId, contractTypeId) {
-    const currentPhase =
-      await this.contractPhaseRepository.findById(currentPhaseId);
-    if (!currentPhase) return null;
-
-    // Buscar la siguiente fase por orden
-    const nextPhases = await this.contractPhaseRepository.findAll(
-      {
-        isActive: true,
-        order: { $gt: currentPhase.order },
-        $or: [
-          { applicableContractTypes: { $size: 0 } },
-          { "applicableContractTypes.contractType": contractTypeId },
-        ],
-      },
-      {
-        sort: { order: 1 },
-        limit: 1,
-      }
-    );
-
-    return nextPhases.length > 0 ? nextPhases[0] : null;
+    // Primera fase del flujo según el motor de fases
+    const flow = await this.phaseEngineService.loadFlow(contractTypeId);
+    return flow.length > 0 ? flow[0].phase : null;
   }
 
   /**
@@ -1289,14 +1406,17 @@ export class ContractService {
 
   /**
    * Validar que se puede avanzar de fase
+   * Dependencias y fases bloqueantes las valida el motor de fases
    * @param {Object} contract - Contrato actual
-   * @param {Object} nextPhase - Siguiente fase
    * @private
    */
-  async _validatePhaseAdvancement(contract, nextPhase) {
+  async _validatePhaseAdvancement(contract) {
     // Validar que la fase actual esté completa (esto depende de la lógica de negocio)
+    const currentPhaseId = (
+      contract.currentPhase?._id || contract.currentPhase
+    )?.toString();
     const currentPhaseEntry = contract.phases.find(
-      (p) => p.phase.toString() === contract.currentPhase.toString()
+      (p) => p.phase.toString() === currentPhaseId
     );
 
     if (
@@ -1307,11 +1427,6 @@ export class ContractService {
         "La fase actual debe estar completada para poder avanzar"
       );
     }
-
-    // Validar dependencias de la siguiente fase
-    if (nextPhase.dependencies?.requiredPhases?.length > 0) {
-      // Implementar validación de dependencias según la lógica de negocio
-    }
   }
 
   /**
@@ -1397,11 +1512,14 @@ export class ContractService {
   /**
    * Enriquecer contrato con información adicional calculada
    * @param {Object} contract - Contrato base
+   * @param {Map} phaseCountCache - Caché del total de fases (listados)
    * @returns {Object} Contrato enriquecido
    * @private
    */
-  async _enrichContractSummary(contract) {
+  async _enrichContractSummary(contract, phaseCountCache = new Map()) {
     const enriched = contract.toObject ? contract.toObject() : contract;
+    const totalPhases =
+      await this.phaseChecklistService.countActivePhases(phaseCountCache);
 
     // Calcular estadísticas básicas
     enriched.stats = {
@@ -1416,6 +1534,10 @@ export class ContractService {
             currency: "USD",
           }).format(contract.budget.totalAmount)
         : "$0.00",
+      progress: this.phaseChecklistService.calculateContractProgress(
+        contract,
+        totalPhases
+      ),
     };
 
     return enriched;
@@ -1503,12 +1625,12 @@ export class ContractService {
       await this._createHistoryEntry(
         contractId,
         {
-          eventType: "UPDATE",
+          eventType: "DATA_MODIFICATION",
           description: `Contrato actualizado - ${changes.length} cambio(s)`,
           user: { ...userData },
-          changeDetails: {
+          changesData: {
             changes,
-            version: newContract.audit?.version || 1,
+            version: newContract.concurrencyControl?.version || 0,
           },
         },
         userData
@@ -1531,14 +1653,25 @@ export class ContractService {
     const changes = [];
     const fieldsToWatch = [
       "contractualObject",
+      "detailedDescription",
       "generalStatus",
       "budget.totalAmount",
+      "budget.estimatedValue",
+      "budget.awardedValue",
       "currentPhase",
+      "contractor.ruc",
+      "contractor.businessName",
+      "timeline.plannedStartDate",
+      "timeline.plannedEndDate",
+      "timeline.executionEndDate",
+      "metadata.priority",
     ];
+    // Las referencias pobladas se comparan por su ID
+    const normalize = (value) => value?._id ?? value;
 
     fieldsToWatch.forEach((field) => {
-      const oldValue = this._getNestedValue(oldContract, field);
-      const newValue = this._getNestedValue(newContract, field);
+      const oldValue = normalize(this._getNestedValue(oldContract, field));
+      const newValue = normalize(this._getNestedValue(newContract, field));
 
       if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
         changes.push({
@@ -1563,6 +1696,161 @@ export class ContractService {
     return path.split(".").reduce((current, key) => current?.[key], obj);
   }
 
+  /**
+   * Guardar el contrato incrementando su versión en la misma escritura
+   * Si el cliente envió una versión esperada (If-Match) y no coincide, lanza 409 con el detalle
+   * @param {Object} contract - Contrato leído antes de la escritura
+   * @param {Number|null} expectedVersion - Versión que el cliente editó
+   * @param {Object} pendingData - Datos que el cliente intenta guardar
+   * @param {Object} updateData - Campos a escribir en el contrato
+   * @param {Object} userData - Usuario que escribe
+   * @param {Object} options - Opciones de la consulta (populate, etc.)
+   * @returns {Promise<Object>} Contrato actualizado con la nueva versión
+   * @private
+   */
+  async _updateWithVersion(
+    contract,
+    expectedVersion,
+    pendingData,
+    updateData,
+    userData,
+    options = {}
+  ) {
+    const currentVersion = contract.concurrencyControl?.version || 0;
+    const hasExpectedVersion =
+      expectedVersion !== null && expectedVersion !== undefined;
+
+    if (hasExpectedVersion && expectedVersion !== currentVersion) {
+      throw await this._buildVersionConflictError(
+        contract._id,
+        expectedVersion,
+        currentVersion,
+        pendingData
+      );
+    }
+
+    const updated = await this.contractRepository.updateWithVersion(
+      contract._id,
+      updateData,
+      userData,
+      hasExpectedVersion ? expectedVersion : null,
+      options
+    );
+
+    if (!updated) {
+      // Otro usuario escribió entre la lectura y la escritura
+      const latest = await this.contractRepository.model
+        .findById(contract._id)
+        .select("concurrencyControl.version")
+        .lean();
+
+      throw await this._buildVersionConflictError(
+        contract._id,
+        expectedVersion,
+        latest?.concurrencyControl?.version || 0,
+        pendingData
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Construir error de conflicto de versión con el detalle por campo
+   * @private
+   */
+  async _buildVersionConflictError(
+    contractId,
+    clientVersion,
+    currentVersion,
+    pendingData = {}
+  ) {
+    const changes = await this._getChangesSinceVersion(
+      contractId,
+      clientVersion
+    );
+
+    const pendingFields = Object.keys(pendingData || {});
+    const isTouched = (field) =>
+      pendingFields.some(
+        (key) =>
+          key === field ||
+          field.startsWith(`${key}.`) ||
+          key.startsWith(`${field}.`)
+      );
+
+    const detailedChanges = changes.map((change) => {
+      const conflicting = isTouched(change.field);
+      return {
+        ...change,
+        conflicting,
+        clientValue: conflicting
+          ? (pendingData[change.field] ??
+            this._getNestedValue(pendingData, change.field))
+          : undefined,
+      };
+    });
+
+    return createError(
+      ERROR_CODES.VERSION_CONFLICT,
+      `El contrato fue modificado por otro usuario (versión actual ${currentVersion}, versión editada ${clientVersion})`,
+      409,
+      {
+        clientVersion,
+        currentVersion,
+        etag: buildVersionETag(contractId, currentVersion),
+        changes: detailedChanges,
+        conflictingFields: detailedChanges
+          .filter((change) => change.conflicting)
+          .map((change) => change.field),
+      }
+    );
+  }
+
+  /**
+   * Consolidar los cambios registrados en el historial desde una versión dada
+   * Conserva el valor que el cliente conocía y el valor vigente de cada campo
+   * @param {String} contractId - ID del contrato
+   * @param {Number} sinceVersion - Versión que conoce el cliente
+   * @returns {Promise<Array>} Cambios por campo
+   * @private
+   */
+  async _getChangesSinceVersion(contractId, sinceVersion) {
+    try {
+      const entries = await this.contractHistoryRepository.model
+        .find({
+          contract: contractId,
+          "changesData.version": { $gt: sinceVersion || 0 },
+        })
+        .sort({ "changesData.version": 1 })
+        .select("eventType user eventDate changesData")
+        .lean();
+
+      const merged = new Map();
+      for (const entry of entries) {
+        for (const change of entry.changesData?.changes || []) {
+          const previous = merged.get(change.field);
+          merged.set(change.field, {
+            field: change.field,
+            oldValue: previous ? previous.oldValue : change.oldValue,
+            newValue: change.newValue,
+            changedBy: entry.user,
+            changedAt: entry.eventDate,
+            eventType: entry.eventType,
+            version: entry.changesData.version,
+          });
+        }
+      }
+
+      return Array.from(merged.values());
+    } catch (error) {
+      console.warn(
+        `⚠️ Error obteniendo cambios desde la versión ${sinceVersion}: ${error.message}`
+      );
+      return [];
+    }
+  }
+
   /**
    * Exportar contratos a Excel
    * @param {Array} contracts - Lista de contratos
@@ -1751,25 +2039,33 @@ export class ContractService {
             updatedBy: userData.userId,
             updatedAt: new Date(),
           };
-
-          // Actualizar contrato
-          const updated = await this.contractRepository.update(
-            contractId,
+          Object.keys(dataToUpdate)
+            .filter((field) => field.startsWith("concurrencyControl"))
+            .forEach((field) => delete dataToUpdate[field]);
+
+          // Actualizar con control de concurrencia optimista (If-Match con un ETag por contrato)
+          const updated = await this._updateWithVersion(
+            contract,
+            options.expectedVersions?.get(contractId.toString()) ?? null,
+            updateData,
             dataToUpdate,
-            userData,
-            { new: true }
+            userData
           );
+          const version = updated.concurrencyControl.version;
 
           // Registrar en historial
           await this._createHistoryEntry(
             contractId,
             {
-              eventType: "BULK_UPDATE",
+              eventType: "DATA_MODIFICATION",
               description: "Actualización masiva de contrato",
               user: {
                 userId: userData.userId,
               },
-              changeDetails: updateData,
+              changesData: {
+                changes: this._detectChanges(contract, updated),
+                version,
+              },
             },
             userData
           );
@@ -1783,6 +2079,8 @@ export class ContractService {
           results.failed.push({
             contractId,
             error: error.message,
+            code: error.code,
+            details: error.details,
           });
           results.summary.failed++;
         }
@@ -1971,95 +2269,83 @@ export class ContractService {
         throw createError("Contrato no encontrado", 404);
       }
 
-      // Validar que la nueva fase sea válida
-      const newPhase = await this.contractPhaseRepository.findById(
-        phaseData.newPhase
+      // Solo el usuario que tiene el bloqueo de edición puede cambiar la fase
+      await this.contractLockService.assertLockHolder(
+        contractId,
+        phaseData.userId || userData.userId
       );
-      if (!newPhase) {
-        throw createError("Fase no válida", 400);
-      }
 
-      // Validar transición permitida
-      const isValidTransition = await this._validatePhaseTransition(
-        contract.currentPhase?._id,
-        phaseData.newPhase,
-        contract.contractType._id
+      const userId = phaseData.userId || userData.userId;
+      const reason = phaseData.reason || phaseData.observations;
+      const flow = await this.phaseEngineService.loadFlow(
+        contract.contractType
       );
 
-      if (!isValidTransition) {
-        throw createError(
-          "Transición de fase no permitida según el flujo establecido",
-          400
-        );
-      }
-
       // Guardar referencia a la fase anterior (ObjectId)
       const previousPhaseId = contract.currentPhase?._id || null;
       const previousPhaseName =
         contract.currentPhase?.name || "Sin fase previa";
 
-      // Actualizar fase actual en el array de fases
-      const phaseIndex = contract.phases.findIndex(
-        (p) => p.phase.toString() === previousPhaseId?.toString()
-      );
-
-      if (phaseIndex >= 0) {
-        contract.phases[phaseIndex].status = "COMPLETED";
-        contract.phases[phaseIndex].endDate = new Date();
+      // La fase actual se completa salvo que permita ejecución en paralelo;
+      // completarla exige sus documentos obligatorios aprobados
+      let updatedPhases = contract.phases;
+      const currentNode = this.phaseEngineService
+        .buildState(contract, flow)
+        .find((node) => node.id === previousPhaseId?.toString());
 
-        // Calcular duración si existe startDate
-        if (contract.phases[phaseIndex].startDate) {
-          const durationDays = this._calculatePhaseDuration(
-            contract.phases[phaseIndex].startDate,
-            new Date()
-          );
-
-          // Agregar observación con la duración calculada
-          if (!contract.phases[phaseIndex].observations) {
-            contract.phases[phaseIndex].observations = [];
-          }
-          contract.phases[phaseIndex].observations.push({
-            content: `Fase completada. Duración: ${durationDays} días`,
-            createdBy: userData.userId,
-            createdAt: new Date(),
-            attachments: [],
-          });
-        }
+      if (
+        currentNode?.status === "IN_PROGRESS" &&
+        currentNode.id !== phaseData.newPhase.toString() &&
+        !currentNode.config.allowParallel
+      ) {
+        await this.phaseEngineService.assertTransition(
+          contract,
+          PHASE_ACTIONS.COMPLETE,
+          currentNode.id,
+          flow
+        );
+        updatedPhases = this.phaseEngineService.applyTransition(
+          updatedPhases,
+          PHASE_ACTIONS.COMPLETE,
+          currentNode.id,
+          { userId }
+        );
       }
 
-      // Agregar nueva fase
-      contract.phases.push({
-        phase: phaseData.newPhase,
-        status: "IN_PROGRESS",
-        startDate: new Date(),
-        endDate: null,
-        assignedTo: userData.userId,
-        documents: [],
-        observations: phaseData.reason
-          ? [
-              {
-                content: phaseData.reason,
-                createdBy: userData.userId,
-                createdAt: new Date(),
-                attachments: phaseData.attachments || [],
-              },
-            ]
-          : [],
-      });
+      // Validar con el motor que la nueva fase pueda iniciarse
+      const { node: newNode } = await this.phaseEngineService.assertTransition(
+        { ...contract, phases: updatedPhases },
+        PHASE_ACTIONS.START,
+        phaseData.newPhase,
+        flow
+      );
+      const newPhase = newNode.phase;
 
-      // Actualizar contrato
-      const updatedContract = await this.contractRepository.update(
-        contractId,
+      updatedPhases = this.phaseEngineService.applyTransition(
+        updatedPhases,
+        PHASE_ACTIONS.START,
+        newPhase._id,
+        { userId, reason }
+      );
+      const currentPhaseId = this.phaseEngineService.resolveCurrentPhase(
+        updatedPhases,
+        flow
+      );
+
+      // Actualizar con control de concurrencia optimista (If-Match)
+      const updatedContract = await this._updateWithVersion(
+        contract,
+        phaseData.expectedVersion,
+        { currentPhase: phaseData.newPhase },
         {
-          currentPhase: phaseData.newPhase,
-          phases: contract.phases,
+          currentPhase: currentPhaseId,
+          phases: updatedPhases,
           "timeline.lastStatusChange": new Date(),
-          updatedBy: userData.userId,
-          updatedAt: new Date(),
         },
-        userData,
-        { new: true, populate: ["currentPhase"] }
+        { ...userData, userId },
+        { populate: ["currentPhase"] }
       );
+      const version = updatedContract.concurrencyControl.version;
 
       // Registrar en historial - CORREGIDO: usar ObjectIds en lugar de nombres
       await this._createHistoryEntry(
@@ -2068,17 +2354,27 @@ export class ContractService {
           eventType: "PHASE_CHANGE",
           description: `Cambio de fase de "${previousPhaseName}" a "${newPhase.name}"`,
           user: {
-            userId: userData.userId,
+            userId,
             name: userData.name,
             email: userData.email,
           },
           changeDetails: {
             previousPhase: previousPhaseId, // ✅ ObjectId en lugar de string
-            newPhase: phaseData.newPhase, // ✅ ObjectId en lugar de string
-            observations: phaseData.reason || "Sin observaciones",
+            newPhase: newPhase._id, // ✅ ObjectId en lugar de string
+            observations: reason || "Sin observaciones",
+          },
+          changesData: {
+            changes: [
+              {
+                field: "currentPhase",
+                oldValue: previousPhaseId,
+                newValue: currentPhaseId,
+              },
+            ],
+            version,
           },
         },
-        userData
+        { ...userData, userId }
       );
 
       return updatedContract;
@@ -2136,18 +2432,18 @@ export class ContractService {
       // Registrar estado anterior
       const previousStatus = contract.generalStatus;
 
-      // Actualizar contrato
-      const updatedContract = await this.contractRepository.update(
-        contractId,
+      // Actualizar con control de concurrencia optimista (If-Match)
+      const updatedContract = await this._updateWithVersion(
+        contract,
+        statusData.expectedVersion,
+        { generalStatus: statusData.newStatus },
         {
           generalStatus: statusData.newStatus,
           "timeline.lastStatusChange": new Date(),
-          updatedBy: statusData.userId,
-          updatedAt: new Date(),
         },
-        userData,
-        { new: true }
+        userData
       );
+      const version = updatedContract.concurrencyControl.version;
 
       // Agregar observación si se proporciona
       if (statusData.observations) {
@@ -2176,6 +2472,16 @@ export class ContractService {
             reason: statusData.reason,
             observations: statusData.observations,
           },
+          changesData: {
+            changes: [
+              {
+                field: "generalStatus",
+                oldValue: previousStatus,
+                newValue: statusData.newStatus,
+              },
+            ],
+            version,
+          },
         },
         userData
       );
@@ -2225,73 +2531,44 @@ export class ContractService {
     }
   }
 
+  /**
+   * Obtener el checklist de documentos requeridos de una fase del contrato
+   * @param {string} contractId - ID del contrato
+   * @param {string} phaseId - ID de la fase
+   */
+  async getPhaseChecklist(contractId, phaseId) {
+    try {
+      return await this.phaseChecklistService.getChecklist(contractId, phaseId);
+    } catch (error) {
+      console.error("❌ Service error en getPhaseChecklist:", error);
+      throw error;
+    }
+  }
+
   /**
    * Obtener transiciones disponibles
+   * Las transiciones de fase son exactamente las que permite el motor de fases
    * @param {string} contractId - ID del contrato
    * @param {Object} permissions - Permisos del usuario
    */
   async getAvailableTransitions(contractId, permissions) {
     try {
-      const contract = await this.contractRepository.findById(contractId, {
-        populate: ["currentPhase", "contractType"],
-      });
+      const contract = await this.contractRepository.model
+        .findOne({ _id: contractId, deletedAt: null })
+        .populate("currentPhase", "code name order")
+        .lean();
 
       if (!contract) {
-        throw createError("Contrato no encontrado", 404);
-      }
-
-      // Obtener fases disponibles según el tipo de contrato
-      const availablePhases = await this.contractPhaseRepository.findAll({
-        contractTypes: contract.contractType._id,
-        isActive: true,
-      });
-
-      // Filtrar transiciones válidas
-      const validTransitions = [];
-
-      for (const phase of availablePhases) {
-        const isValid = await this._validatePhaseTransition(
-          contract.currentPhase?._id,
-          phase._id,
-          contract.contractType._id
-        );
-
-        if (isValid) {
-          // Verificar permisos del usuario para esta transición
-          const canTransition = this._canUserTransitionToPhase(
-            phase,
-            permissions,
-            contract
-          );
-
-          if (canTransition) {
-            validTransitions.push({
-              phase: {
-                _id: phase._id,
-                name: phase.name,
-                code: phase.code,
-                description: phase.description,
-                estimatedDuration: phase.estimatedDuration,
-              },
-              requirements: await this._getPhaseRequirements(
-                phase._id,
-                contractId
-              ),
-              canProceed: true,
-            });
-          }
-        }
+        throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
       }
 
-      // También incluir cambios de estado disponibles
-      const statusTransitions = this._getAvailableStatusTransitions(
-        contract.generalStatus,
-        permissions
-      );
+      const { available, blocked } =
+        await this.phaseEngineService.getTransitions(contract);
 
       return {
-        phases: validTransitions,
-        statuses: statusTransitions,
+        phases: available,
+        blocked,
+        statuses: this._getAvailableStatusTransitions(contract.generalStatus),
         current: {
           phase: contract.currentPhase,
           status: contract.generalStatus,
@@ -2303,6 +2580,20 @@ export class ContractService {
     }
   }
 
+  /**
+   * Estados a los que puede pasar el contrato desde el estado actual
+   * @private
+   */
+  _getAvailableStatusTransitions(currentStatus) {
+    const statuses =
+      this.contractRepository.model.schema.path("generalStatus")?.enumValues ||
+      [];
+
+    return statuses.filter((status) =>
+      this._validateStatusTransition(currentStatus, status)
+    );
+  }
+
   // =============================================================================
   // GESTIÓN DE DOCUMENTOS
   // =============================================================================
@@ -2349,6 +2640,13 @@ export class ContractService {
         failed: [],
       };
 
+      // Backend según el departamento del contrato y el tipo de documento
+      const documentType = (documentData.documentType || "OTROS").toUpperCase();
+      const storageProvider = await this.storageService.resolveProvider({
+        departmentId: contract.requestingDepartment,
+        documentType,
+      });
+
       // Procesar cada archivo
       for (const file of documentData.files || []) {
         try {
@@ -2360,24 +2658,29 @@ export class ContractService {
           );
           const systemName = `${timestamp}_${randomStr}${extension}`;
 
-          // Generar hash del archivo si está disponible
-          const hash = file.buffer
-            ? crypto.createHash("sha256").update(file.buffer).digest("hex")
-            : crypto
-                .createHash("sha256")
-                .update(file.originalname + timestamp)
-                .digest("hex");
+          if (!file.buffer) {
+            throw new Error("El archivo no tiene contenido");
+          }
+
+          // Checksum del middleware de archivos (o calculado aquí)
+          const hash =
+            file.checksum ||
+            crypto.createHash("sha256").update(file.buffer).digest("hex");
 
           // Determinar tipo de archivo
           const fileType = this._getFileTypeFromMime(file.mimetype);
 
-          // Construir ruta de almacenamiento
-          const storagePath = path.join(
-            "expediente-digital",
-            "contracts",
-            contractId,
-            "documents",
-            systemName
+          // Guardar (o reutilizar por checksum) el contenido a través del
+          // driver de almacenamiento
+          const stored = await this.storageService.storeShared(file.buffer, {
+            hash,
+            size: file.size,
+            provider: storageProvider,
+            contentType: file.mimetype,
+          });
+          const { storage, rsyncInfo } = this.storageService.toFileFields(
+            stored.copy,
+            { copies: stored.copies, blob: stored.blob }
           );
 
           // Crear registro del archivo con TODOS los campos requeridos
@@ -2397,13 +2700,15 @@ export class ContractService {
                 encoding: file.encoding || "binary",
               },
 
+              // Protección y firmas electrónicas (solo PDF)
+              metadata: await this.pdfSignatureService.analyzeUpload(
+                file.buffer,
+                file.mimetype
+              ),
+
               // Almacenamiento
-              storage: {
-                path: storagePath,
-                diskUsage: file.size,
-                storageType: "LOCAL",
-                rsyncStatus: "PENDING",
-              },
+              storage,
+              rsyncInfo,
 
               //access
               access: {
@@ -2455,6 +2760,7 @@ export class ContractService {
             },
             userData
           );
+          await this.documentSearchService.enqueueFile(fileRecord);
 
           // Agregar documento a la fase correspondiente del contrato
           const phaseIndex = contract.phases.findIndex(
@@ -2490,6 +2796,8 @@ export class ContractService {
             documentType: documentData.documentType,
             size: file.size,
             hash: hash,
+            storageProvider: stored.copy.provider,
+            deduplicated: stored.deduplicated,
           });
         } catch (error) {
           console.error(
@@ -2515,6 +2823,8 @@ export class ContractService {
           userData
         );
 
+        await this._refreshPhaseCompletion(contractId, phaseId, userData);
+
         // Registrar en historial
         await this._createHistoryEntry(
           contractId,
@@ -2761,6 +3071,7 @@ export class ContractService {
 
       // Buscar y marcar como eliminado
       let documentFound = false;
+      let phaseUpdated = null;
 
       for (let i = 0; i < contract.phases.length; i++) {
         const docIndex = contract.phases[i].documents.findIndex(
@@ -2775,6 +3086,7 @@ export class ContractService {
           contract.phases[i].documents[docIndex].deletionReason =
             options.reason;
 
+          phaseUpdated = contract.phases[i].phase;
           documentFound = true;
           break;
         }
@@ -2795,6 +3107,8 @@ export class ContractService {
         userData
       );
 
+      await this._refreshPhaseCompletion(contractId, phaseUpdated, userData);
+
       // Registrar en historial
       await this._createHistoryEntry(
         contractId,
@@ -4087,6 +4401,8 @@ export class ContractService {
         },
       ]);
 
+      const totalPhases = await this.phaseChecklistService.countActivePhases();
+
       // Contratos recientes
       const recentContracts = await this.contractRepository.findAdvanced(
         baseFilters,
@@ -4134,6 +4450,10 @@ export class ContractService {
           currentPhase: contract.currentPhase?.name,
           department: contract.requestingDepartment?.name,
           status: contract.generalStatus,
+          progress: this.phaseChecklistService.calculateContractProgress(
+            contract,
+            totalPhases
+          ).percentage,
           createdAt: contract.createdAt,
         })),
         statusDistribution: statusDistribution.map((item) => ({
@@ -4964,6 +5284,7 @@ export class ContractService {
           description: historyData.description,
           user: historyData.user.userId || userData.userId,
           changeDetails: historyData.changeDetails,
+          changesData: historyData.changesData,
           createdAt: new Date(),
         },
         userData
@@ -5020,26 +5341,46 @@ export class ContractService {
    */
   _calculatePhaseProgress(phase) {
     if (phase.status === "COMPLETED") return 100;
-    if (phase.status === "NOT_STARTED") return 0;
-
-    // Calcular progreso basado en documentos requeridos vs subidos
-    // Esta lógica puede expandirse según los requisitos específicos
-    const documentsUploaded = phase.documents?.length || 0;
-    const documentsRequired = phase.requiredDocuments?.length || 1;
 
-    return Math.min((documentsUploaded / documentsRequired) * 100, 95); // Max 95% hasta completar
+    // Se recalcula desde el checklist de documentos en cada carga o revisión
+    return phase.completionPercentage || 0;
   }
 
   /**
-   * Otras funciones auxiliares privadas...
+   * Recalcular el avance de una fase tras cambios en sus documentos
+   * y aplicar el avance automático si la fase lo tiene configurado
+   * Un error aquí no debe interrumpir la operación principal
    * @private
    */
-  _validatePhaseTransition(currentPhaseId, newPhaseId, contractTypeId) {
-    // Implementar lógica de validación de transiciones
-    // Por ahora retorna true, pero aquí iría la lógica específica
-    return true;
+  async _refreshPhaseCompletion(contractId, phaseId, userData = {}) {
+    if (!phaseId) return null;
+
+    try {
+      const completion =
+        await this.phaseChecklistService.refreshPhaseCompletion(
+          contractId,
+          phaseId
+        );
+      if (completion?.isComplete) {
+        await this.phaseEngineService.handleChecklistUpdate(
+          contractId,
+          phaseId,
+          userData
+        );
+      }
+      return completion;
+    } catch (error) {
+      console.error(
+        `⚠️ Service: Error recalculando avance de fase: ${error.message}`
+      );
+      return null;
+    }
   }
 
+  /**
+   * Otras funciones auxiliares privadas...
+   * @private
+   */
   _validateStatusTransition(currentStatus, newStatus) {
     // Matriz de transiciones válidas
     const validTransitions = {
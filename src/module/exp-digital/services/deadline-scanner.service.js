@@ -0,0 +1,264 @@
+// =============================================================================
+// src/module/exp-digital/services/deadline-scanner.service.js
+// Revisión periódica de fechas límite de contratos y fases
+// GADM Cantón Esmeraldas - Notificaciones de vencimiento
+// =============================================================================
+
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractPhaseRepository } from "../repositories/contract-phase.repository.js";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import notificationService from "../../notifications/services/notification.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fechas del cronograma general que se vigilan
+const TIMELINE_DEADLINES = [
+  {
+    field: "questionsDeadline",
+    label: "La fecha límite de preguntas",
+  },
+  {
+    field: "submissionDeadline",
+    label: "La fecha límite de entrega de ofertas",
+  },
+  {
+    field: "executionEndDate",
+    label: "La fecha de fin de ejecución",
+  },
+];
+
+// Estados en los que los plazos ya no corren
+const INACTIVE_STATUSES = ["FINISHED", "LIQUIDATED", "CANCELLED", "SUSPENDED"];
+
+export class DeadlineScannerService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractPhaseRepository = new ContractPhaseRepository();
+    this.departmentRepository = new DepartmentRepository();
+    this.notificationService = notificationService;
+
+    // Días de anticipación para fechas del cronograma (las fases usan notificationDays)
+    this.timelineNoticeDays = parseInt(process.env.DEADLINE_NOTICE_DAYS) || 3;
+    // Ventana máxima para avisar vencimientos (evita avisos de fechas muy antiguas)
+    this.overdueLookbackDays =
+      parseInt(process.env.DEADLINE_OVERDUE_LOOKBACK_DAYS) || 30;
+  }
+
+  /**
+   * Revisar todos los contratos activos y emitir avisos de vencimiento
+   * @param {Object} options - now (fecha de referencia)
+   * @returns {Promise<Object>} Resumen de la revisión
+   */
+  async scan({ now = new Date() } = {}) {
+    console.log(`⏰ Service: Revisando fechas límite al ${now.toISOString()}`);
+
+    const summary = {
+      contractsScanned: 0,
+      deadlinesChecked: 0,
+      approaching: 0,
+      overdue: 0,
+      notificationsSent: 0,
+      errors: [],
+    };
+
+    const phaseMap = await this._loadPhaseMap();
+    const responsibleCache = new Map();
+
+    const cursor = this.contractRepository.model
+      .find({ generalStatus: { $nin: INACTIVE_STATUSES } })
+      .select(
+        "contractNumber contractType requestingDepartment currentPhase timeline phases.phase phases.status phases.startDate phases.assignedTo"
+      )
+      .lean()
+      .cursor();
+
+    for await (const contract of cursor) {
+      summary.contractsScanned++;
+
+      try {
+        const deadlines = this._collectDeadlines(contract, phaseMap);
+        const departmentResponsibles = await this._getDepartmentResponsibles(
+          contract.requestingDepartment,
+          responsibleCache
+        );
+
+        for (const deadline of deadlines) {
+          summary.deadlinesChecked++;
+
+          const sent = await this._evaluateDeadline(
+            contract,
+            deadline,
+            departmentResponsibles,
+            now,
+            summary
+          );
+          summary.notificationsSent += sent;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Service: Error revisando contrato ${contract.contractNumber}: ${error.message}`
+        );
+        summary.errors.push({
+          contractId: contract._id,
+          contractNumber: contract.contractNumber,
+          error: error.message,
+        });
+      }
+    }
+
+    console.log(
+      `✅ Service: Revisión de plazos completada - ${summary.notificationsSent} notificaciones`
+    );
+
+    return summary;
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Obtener las fechas límite vigilables de un contrato
+   * @private
+   */
+  _collectDeadlines(contract, phaseMap) {
+    const deadlines = [];
+    const currentPhaseEntry = (contract.phases || []).find(
+      (p) => p.phase?.toString() === contract.currentPhase?.toString()
+    );
+
+    for (const { field, label } of TIMELINE_DEADLINES) {
+      const dueDate = contract.timeline?.[field];
+      if (!dueDate) continue;
+
+      deadlines.push({
+        type: field,
+        label,
+        dueDate: new Date(dueDate),
+        noticeDays: this.timelineNoticeDays,
+        phaseId: contract.currentPhase || null,
+        phaseName: phaseMap.get(contract.currentPhase?.toString())?.name,
+        assignee: currentPhaseEntry?.assignedTo || null,
+      });
+    }
+
+    // Fin esperado de cada fase en curso según su duración configurada
+    for (const entry of contract.phases || []) {
+      if (entry.status !== "IN_PROGRESS" || !entry.startDate) continue;
+
+      const phase = phaseMap.get(entry.phase?.toString());
+      if (!phase) continue;
+
+      const specificConfig = contract.contractType
+        ? phase.getTypeSpecificConfiguration(contract.contractType)
+        : {};
+      const durationDays = phase.getEffectiveDuration(contract.contractType);
+      const noticeDays =
+        specificConfig.overridePhaseConfig?.notificationDays ??
+        phase.phaseConfig?.notificationDays ??
+        3;
+
+      deadlines.push({
+        type: "phaseEnd",
+        label: null,
+        dueDate: new Date(
+          new Date(entry.startDate).getTime() + durationDays * DAY_MS
+        ),
+        noticeDays,
+        phaseId: entry.phase,
+        phaseName: phase.name,
+        assignee: entry.assignedTo || null,
+      });
+    }
+
+    return deadlines;
+  }
+
+  /**
+   * Emitir aviso de vencimiento próximo o vencido si corresponde
+   * @returns {Promise<Number>} Notificaciones creadas
+   * @private
+   */
+  async _evaluateDeadline(
+    contract,
+    deadline,
+    departmentResponsibles,
+    now,
+    summary
+  ) {
+    const diffMs = deadline.dueDate.getTime() - now.getTime();
+    const responsibles = [deadline.assignee, ...departmentResponsibles];
+
+    const baseData = {
+      contractId: contract._id,
+      contractNumber: contract.contractNumber,
+      phaseId: deadline.phaseId,
+      phaseName: deadline.phaseName,
+      deadlineType: deadline.type,
+      deadlineLabel: deadline.label,
+      dueDate: deadline.dueDate,
+      responsibles,
+    };
+
+    if (diffMs >= 0) {
+      const daysRemaining = Math.floor(diffMs / DAY_MS);
+      if (daysRemaining > deadline.noticeDays) return 0;
+
+      summary.approaching++;
+      const created = await this.notificationService.notifyDeadlineApproaching({
+        ...baseData,
+        daysRemaining,
+        dedupKey: this._buildDedupKey(contract._id, deadline, "APPROACHING"),
+      });
+      return created?.length || 0;
+    }
+
+    const daysOverdue = Math.max(1, Math.ceil(-diffMs / DAY_MS));
+    if (daysOverdue > this.overdueLookbackDays) return 0;
+
+    summary.overdue++;
+    const created = await this.notificationService.notifyDeadlineOverdue({
+      ...baseData,
+      daysOverdue,
+      dedupKey: this._buildDedupKey(contract._id, deadline, "OVERDUE"),
+    });
+    return created?.length || 0;
+  }
+
+  /**
+   * Clave única por contrato, fecha límite, fase, día de vencimiento y etapa
+   * Si la fecha límite cambia se genera un aviso nuevo
+   * @private
+   */
+  _buildDedupKey(contractId, deadline, stage) {
+    const day = deadline.dueDate.toISOString().slice(0, 10);
+    return [
+      "deadline",
+      contractId.toString(),
+      deadline.type,
+      deadline.phaseId?.toString() || "-",
+      day,
+      stage,
+    ].join(":");
+  }
+
+  async _loadPhaseMap() {
+    const phases = await this.contractPhaseRepository.model.find({
+      isActive: true,
+    });
+    return new Map(phases.map((phase) => [phase._id.toString(), phase]));
+  }
+
+  async _getDepartmentResponsibles(departmentId, cache) {
+    const key = departmentId?.toString();
+    if (!key) return [];
+
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        await this.departmentRepository.findResponsibleUserIds(departmentId)
+      );
+    }
+    return cache.get(key);
+  }
+}
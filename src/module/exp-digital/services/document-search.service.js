@@ -0,0 +1,508 @@
+// =============================================================================
+// src/module/exp-digital/services/document-search.service.js
+// Indexación en segundo plano y búsqueda por contenido de los documentos
+// GADM Cantón Esmeraldas - Búsqueda de contenido del expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import { FileRepository } from "../repositories/file.repository.js";
+import { DocumentTextRepository } from "../repositories/document-text.repository.js";
+import { DOCUMENT_TEXT_STATUS } from "../models/document-text.scheme.js";
+import { StorageService } from "./storage.service.js";
+import { TextExtractionService } from "./text-extraction.service.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Extracciones en curso: se procesan de una en una para no competir con
+// las peticiones del servidor
+let processingChain = Promise.resolve();
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+const MIN_TERM_LENGTH = 2;
+
+export class DocumentSearchService {
+  constructor() {
+    this.fileRepository = new FileRepository();
+    this.documentTextRepository = new DocumentTextRepository();
+    this.storageService = new StorageService();
+    this.textExtractionService = new TextExtractionService();
+
+    this.config = {
+      // Texto máximo guardado por documento (caracteres)
+      maxChars: parseInt(process.env.DOCUMENT_TEXT_MAX_CHARS) || 500000,
+      // Archivos más grandes no se descargan para extraer texto
+      maxSourceSize:
+        parseInt(process.env.DOCUMENT_TEXT_MAX_SOURCE_SIZE) || 50 * 1024 * 1024,
+      maxAttempts: parseInt(process.env.DOCUMENT_TEXT_MAX_ATTEMPTS) || 3,
+      // Un PROCESSING más antiguo se considera abandonado (reinicio del servidor)
+      staleAfter: 30 * 60 * 1000,
+      tempDir: path.resolve(process.env.RSYNC_TEMP_DIR || "./temp", "text"),
+    };
+  }
+
+  // =============================================================================
+  // INDEXACIÓN
+  // =============================================================================
+
+  /**
+   * Encolar un archivo recién subido y extraer su texto en segundo plano
+   * No bloquea la subida: los errores solo se registran
+   * @param {Object} file - Registro File
+   */
+  async enqueueFile(file) {
+    try {
+      if (!this.textExtractionService.getExtractor(this._source(file))) {
+        return;
+      }
+
+      await this.documentTextRepository.enqueue(file);
+      this._scheduleProcessing(file._id);
+    } catch (error) {
+      console.error(
+        `⚠️ No se pudo encolar la extracción de texto de ${file.originalName}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Extraer y guardar el texto de un archivo encolado
+   * @param {String} fileId - ID del archivo
+   * @returns {Promise<Object|null>} Resultado o null si no había nada que hacer
+   */
+  async processFile(fileId) {
+    const record = await this.documentTextRepository.claim(fileId, {
+      maxAttempts: this.config.maxAttempts,
+      staleBefore: new Date(Date.now() - this.config.staleAfter),
+    });
+    if (!record) return null;
+
+    const file = await this.fileRepository.model.findById(fileId).lean();
+    if (!file || !file.isActive || file.deletedAt) {
+      await this.documentTextRepository.model.deleteOne({ _id: record._id });
+      return null;
+    }
+
+    const source = this._source(file);
+    if (!this.textExtractionService.getExtractor(source)) {
+      await this.documentTextRepository.fail(record._id, {
+        status: DOCUMENT_TEXT_STATUS.UNSUPPORTED,
+        error: `Tipo no soportado: ${source.mimeType}`,
+      });
+      return { status: DOCUMENT_TEXT_STATUS.UNSUPPORTED };
+    }
+
+    try {
+      // Mismo contenido ya indexado en otro archivo (deduplicación)
+      const existing =
+        await this.documentTextRepository.findExtractedByChecksum(
+          file.fileInfo?.checksum || file.fileInfo?.hash,
+          file._id
+        );
+      if (existing) {
+        const { _id, ...data } = existing;
+        await this.documentTextRepository.complete(record._id, data);
+        return { status: existing.status, reused: true };
+      }
+
+      const size = file.fileInfo?.size || 0;
+      if (size > this.config.maxSourceSize) {
+        await this.documentTextRepository.fail(record._id, {
+          status: DOCUMENT_TEXT_STATUS.UNSUPPORTED,
+          error: `Archivo demasiado grande para extraer texto (${size} bytes)`,
+        });
+        return { status: DOCUMENT_TEXT_STATUS.UNSUPPORTED };
+      }
+
+      const started = Date.now();
+      const buffer = await this._readContent(file);
+      const { extractor, text, pageCount } =
+        await this.textExtractionService.extract(buffer, source);
+
+      const truncated = text.length > this.config.maxChars;
+      const stored = truncated ? text.slice(0, this.config.maxChars) : text;
+      const status = stored
+        ? DOCUMENT_TEXT_STATUS.EXTRACTED
+        : DOCUMENT_TEXT_STATUS.EMPTY;
+
+      await this.documentTextRepository.complete(record._id, {
+        status,
+        extractor,
+        text: stored,
+        charCount: text.length,
+        truncated,
+        pageCount,
+      });
+
+      console.log(
+        `🔎 Texto extraído de ${file.originalName}: ${text.length} caracteres en ${Date.now() - started}ms`
+      );
+
+      return { status, charCount: text.length, truncated };
+    } catch (error) {
+      console.error(
+        `❌ Error extrayendo texto de ${file.originalName}: ${error.message}`
+      );
+      await this.documentTextRepository.fail(record._id, {
+        error: error.message,
+      });
+      return { status: DOCUMENT_TEXT_STATUS.FAILED, error: error.message };
+    }
+  }
+
+  /**
+   * Procesar la cola de extracción (tarea programada)
+   * Recoge los pendientes, los fallidos con reintentos y los abandonados
+   * @param {Object} options - maxFiles, backfill (encolar archivos sin registro)
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processQueue({ maxFiles = 50, backfill = false } = {}) {
+    const summary = {
+      queued: 0,
+      processed: 0,
+      extracted: 0,
+      empty: 0,
+      unsupported: 0,
+      failed: 0,
+    };
+
+    if (backfill) {
+      summary.queued = await this._backfill(maxFiles);
+    }
+
+    const fileIds = await this.documentTextRepository.findPendingFileIds({
+      limit: maxFiles,
+      maxAttempts: this.config.maxAttempts,
+      staleBefore: new Date(Date.now() - this.config.staleAfter),
+    });
+
+    for (const fileId of fileIds) {
+      const result = await this._runSerialized(() => this.processFile(fileId));
+      if (!result) continue;
+
+      summary.processed++;
+      if (result.status === DOCUMENT_TEXT_STATUS.EXTRACTED) summary.extracted++;
+      if (result.status === DOCUMENT_TEXT_STATUS.EMPTY) summary.empty++;
+      if (result.status === DOCUMENT_TEXT_STATUS.UNSUPPORTED) {
+        summary.unsupported++;
+      }
+      if (result.status === DOCUMENT_TEXT_STATUS.FAILED) summary.failed++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Eliminar el texto indexado de un archivo
+   * @param {String} fileId - ID del archivo
+   */
+  async removeFile(fileId) {
+    await this.documentTextRepository.model.deleteOne({ file: fileId });
+  }
+
+  // =============================================================================
+  // BÚSQUEDA
+  // =============================================================================
+
+  /**
+   * Buscar dentro del contenido de los documentos
+   * @param {Object} params - query, contractId, phaseId, documentType,
+   *   includeAllVersions, page, limit
+   * @returns {Promise<Object>} Resultados con fragmentos resaltados
+   */
+  async searchContent({
+    query,
+    contractId,
+    phaseId,
+    documentType,
+    includeAllVersions = false,
+    page = 1,
+    limit = 20,
+  }) {
+    const search = typeof query === "string" ? query.trim() : "";
+    if (search.length < MIN_TERM_LENGTH) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `La búsqueda por contenido requiere al menos ${MIN_TERM_LENGTH} caracteres`,
+        400
+      );
+    }
+    if (search.length > 500) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "La búsqueda por contenido no puede superar 500 caracteres",
+        400
+      );
+    }
+    if (contractId) validateObjectId(contractId, "ID del contrato");
+    if (phaseId) validateObjectId(phaseId, "ID de la fase");
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { total, items } = await this.documentTextRepository.searchContent(
+      search,
+      { contractId, phaseId, documentType, includeAllVersions },
+      { page: pageNum, limit: limitNum }
+    );
+
+    const terms = this._queryTerms(search);
+
+    return {
+      query: search,
+      results: items.map((item) => ({
+        score: Math.round(item.score * 1000) / 1000,
+        file: item.file,
+        contract: item.contract || null,
+        phase: item.phase || null,
+        pageCount: item.pageCount ?? null,
+        snippets: this._buildSnippets(item.text, terms),
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+    };
+  }
+
+  // =============================================================================
+  // MÉTODOS PRIVADOS
+  // =============================================================================
+
+  /**
+   * Tipo del archivo; la extensión sale del nombre original si no se guardó
+   * @private
+   */
+  _source(file) {
+    return {
+      mimeType: file.fileInfo?.mimeType,
+      extension:
+        file.fileInfo?.extension || path.extname(file.originalName || ""),
+    };
+  }
+
+  /**
+   * Programar la extracción sin bloquear la petición actual
+   * @private
+   */
+  _scheduleProcessing(fileId) {
+    setImmediate(() => {
+      this._runSerialized(() => this.processFile(fileId)).catch((error) => {
+        console.error(
+          `⚠️ Error en extracción de texto programada: ${error.message}`
+        );
+      });
+    });
+  }
+
+  /**
+   * Ejecutar tras la extracción anterior (una a la vez en el proceso)
+   * @private
+   */
+  _runSerialized(task) {
+    const run = processingChain.then(task, task);
+    processingChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Encolar archivos activos soportados que aún no tienen registro de texto
+   * @private
+   */
+  async _backfill(limit) {
+    const indexed = await this.documentTextRepository.model.distinct("file");
+    const candidates = await this.fileRepository.model
+      .find({ _id: { $nin: indexed }, isActive: true, deletedAt: null })
+      .select("originalName fileInfo")
+      .sort({ createdAt: -1 })
+      .limit(limit * 4)
+      .lean();
+
+    let queued = 0;
+    for (const file of candidates) {
+      if (queued >= limit) break;
+      if (!this.textExtractionService.getExtractor(this._source(file))) {
+        continue;
+      }
+      await this.documentTextRepository.enqueue(file);
+      queued++;
+    }
+    return queued;
+  }
+
+  /**
+   * Descargar el original a un temporal y leerlo
+   * @private
+   */
+  async _readContent(file) {
+    await fs.mkdir(this.config.tempDir, { recursive: true });
+    const tempPath = path.join(
+      this.config.tempDir,
+      `source_${file._id}_${Date.now()}`
+    );
+
+    try {
+      await this.storageService.fetch(file, tempPath);
+      return await fs.readFile(tempPath);
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Términos a resaltar: palabras y frases de la consulta sin exclusiones
+   * @private
+   */
+  _queryTerms(query) {
+    const terms = new Set();
+    const tokens = query.match(/-?"[^"]*"|\S+/g) || [];
+
+    for (const token of tokens) {
+      if (token.startsWith("-")) continue;
+      for (const word of token.replace(/"/g, " ").split(/[^\p{L}\p{N}]+/u)) {
+        const folded = this._fold(word);
+        if (folded.length >= MIN_TERM_LENGTH) terms.add(folded);
+      }
+    }
+
+    return [...terms];
+  }
+
+  /**
+   * Minúsculas sin tildes, con el índice de cada carácter en el original
+   * @private
+   */
+  _foldWithMap(text) {
+    let folded = "";
+    const map = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const chars = this._fold(text[i]);
+      for (const char of chars) {
+        folded += char;
+        map.push(i);
+      }
+    }
+
+    return { folded, map };
+  }
+
+  _fold(value) {
+    return value.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+  }
+
+  /**
+   * Fragmentos del texto alrededor de las coincidencias
+   * La coincidencia es por inicio de palabra y raíz aproximada
+   * ("contratos" resalta "contrato", "contratación"...), sin tildes
+   * @private
+   */
+  _buildSnippets(text, terms) {
+    if (!text || terms.length === 0) return [];
+
+    const { folded, map } = this._foldWithMap(text);
+    const stems = terms.map((term) =>
+      term.length > 5 ? term.slice(0, Math.max(5, term.length - 2)) : term
+    );
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${stems.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`,
+      "gu"
+    );
+
+    // Coincidencias en coordenadas del texto original
+    const matches = [];
+    for (const match of folded.matchAll(pattern)) {
+      const start = map[match.index];
+      const end = map[match.index + match[0].length - 1] + 1;
+      matches.push({ start, end });
+    }
+    if (matches.length === 0) return [];
+
+    // Ventanas alrededor de las coincidencias, fusionando las que se solapan
+    const windows = [];
+    for (const match of matches) {
+      const last = windows[windows.length - 1];
+      if (last && match.start <= last.end + SNIPPET_RADIUS) {
+        last.end = Math.min(text.length, match.end + SNIPPET_RADIUS);
+        last.matches.push(match);
+        continue;
+      }
+      if (windows.length === MAX_SNIPPETS) break;
+      windows.push({
+        start: Math.max(0, match.start - SNIPPET_RADIUS),
+        end: Math.min(text.length, match.end + SNIPPET_RADIUS),
+        matches: [match],
+      });
+    }
+
+    return windows.map((window) => this._toSnippet(text, window));
+  }
+
+  /**
+   * Fragmento con desplazamientos de resaltado y versión HTML con <mark>
+   * @private
+   */
+  _toSnippet(text, window) {
+    // Ajustar los bordes a espacios para no cortar palabras
+    let start = window.start;
+    let end = window.end;
+    if (start > 0) {
+      const space = text.indexOf(" ", start);
+      if (space !== -1 && space < window.matches[0].start) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      const lastMatch = window.matches[window.matches.length - 1];
+      if (space > lastMatch.end) end = space;
+    }
+
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+    const body = text.slice(start, end).replace(/\s+/g, " ");
+    // El reemplazo de espacios puede acortar el texto: recalcular posiciones
+    const offsetMap = [];
+    let collapsed = 0;
+    for (let i = start; i < end; i++) {
+      offsetMap.push(i - start - collapsed);
+      if (/\s/.test(text[i]) && i + 1 < end && /\s/.test(text[i + 1])) {
+        collapsed++;
+      }
+    }
+
+    const highlights = window.matches.map((match) => {
+      const from = offsetMap[match.start - start];
+      const to = offsetMap[match.end - 1 - start] + 1;
+      return { start: prefix.length + from, length: to - from };
+    });
+
+    const snippet = `${prefix}${body}${suffix}`;
+    let html = "";
+    let cursor = 0;
+    for (const { start: from, length } of highlights) {
+      html += escapeHtml(snippet.slice(cursor, from));
+      html += `<mark>${escapeHtml(snippet.slice(from, from + length))}</mark>`;
+      cursor = from + length;
+    }
+    html += escapeHtml(snippet.slice(cursor));
+
+    return { text: snippet, highlights, html };
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,433 @@
+// =============================================================================
+// src/module/exp-digital/services/document-verification.service.js
+// Sello QR de verificación en documentos aprobados y consulta pública
+// GADM Cantón Esmeraldas - Autenticidad de documentos impresos
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { FileRepository } from "../repositories/file.repository.js";
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { StorageService } from "./storage.service.js";
+import { PdfSignatureService } from "./pdf-signature.service.js";
+import {
+  createError,
+  createValidationError,
+  ERROR_CODES,
+} from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Sin 0/O ni 1/I para que el código impreso se pueda digitar sin ambigüedad
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 12;
+const CODE_GROUP = 4;
+
+export const VERIFICATION_STATUS = {
+  VALID: "VALID",
+  SUPERSEDED: "SUPERSEDED",
+  REVOKED: "REVOKED",
+};
+
+const STAMP = {
+  qrSize: 56,
+  padding: 4,
+  margin: 12,
+  fontSize: 6,
+  color: rgb(0.1, 0.1, 0.45),
+};
+
+export class DocumentVerificationService {
+  constructor() {
+    this.fileRepository = new FileRepository();
+    this.contractRepository = new ContractRepository();
+    this.storageService = new StorageService();
+    this.pdfSignatureService = new PdfSignatureService();
+
+    this.config = {
+      verifyBaseUrl: (
+        process.env.DOCUMENT_VERIFY_URL ||
+        "https://expediente.gadmesmeraldas.gob.ec/api/exp-digital/verify"
+      ).replace(/\/$/, ""),
+      tempDir: path.resolve(process.env.RSYNC_TEMP_DIR || "./temp"),
+    };
+  }
+
+  /**
+   * Crear la versión sellada (QR + código de verificación) de un PDF aprobado
+   * La nueva versión queda como vigente y reemplaza al archivo en el contrato
+   * @param {String} fileId - ID del archivo aprobado
+   * @param {Object} userData - Usuario que aprueba o solicita el sello
+   * @returns {Promise<Object|null>} Versión sellada o null si no aplica
+   */
+  async stampApprovedFile(fileId, userData = {}) {
+    validateObjectId(fileId, "ID del archivo");
+
+    const file = await this.fileRepository.model.findById(fileId).lean();
+    if (!file || !file.isActive || file.deletedAt) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
+    }
+    if (file.status !== "APPROVED") {
+      throw createError(
+        ERROR_CODES.INVALID_STATUS_TRANSITION,
+        "Solo se pueden sellar documentos aprobados",
+        409
+      );
+    }
+    if (file.verification?.code) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `El documento ya tiene el código de verificación ${file.verification.code}`,
+        409
+      );
+    }
+    if (file.versionInfo?.isCurrentVersion === false) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        "Solo se puede sellar la versión vigente del documento",
+        409
+      );
+    }
+    if (!this.isStampable(file)) {
+      console.log(
+        `ℹ️ Verificación: ${file.originalName} no es PDF o está firmado, no se sella`
+      );
+      return null;
+    }
+
+    const contract = file.contract
+      ? await this.contractRepository.model
+          .findById(file.contract)
+          .select("contractNumber")
+          .lean()
+      : null;
+
+    const sourcePath = path.join(
+      this.config.tempDir,
+      `stamp_${file._id}_${Date.now()}`
+    );
+
+    try {
+      await fs.mkdir(this.config.tempDir, { recursive: true });
+      await this.storageService.fetch(file, sourcePath);
+      const original = await fs.readFile(sourcePath);
+
+      // Archivos anteriores al análisis de firmas: se revisa el contenido
+      const inspection = await this.pdfSignatureService.inspect(original);
+      if (inspection.hasSignatures) {
+        console.log(
+          `ℹ️ Verificación: ${file.originalName} tiene firmas electrónicas, no se sella`
+        );
+        return null;
+      }
+
+      let stamped = null;
+      for (let attempt = 1; !stamped; attempt++) {
+        const code = this.generateCode();
+        const buffer = await this.stampPdf(original, {
+          code,
+          approvedAt: file.review?.approvalDate,
+          contractNumber: contract?.contractNumber,
+        });
+
+        try {
+          stamped = await this._createStampedVersion(file, buffer, {
+            code,
+            sourceChecksum: crypto
+              .createHash("sha256")
+              .update(original)
+              .digest("hex"),
+            userData,
+          });
+        } catch (error) {
+          // Colisión del código (índice único): se genera otro
+          if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+      }
+
+      console.log(
+        `🔏 Verificación: ${file.originalName} sellado con el código ${stamped.verification.code}`
+      );
+      return stamped;
+    } finally {
+      await fs.unlink(sourcePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Consultar un código de verificación (acceso público, sin sesión)
+   * Solo expone los datos necesarios para comprobar el documento impreso
+   * @param {String} rawCode - Código tal como lo digitó el ciudadano
+   * @returns {Promise<Object>} Datos del documento y estado de la verificación
+   */
+  async verify(rawCode) {
+    const code = this.normalizeCode(rawCode);
+    if (!code) {
+      throw createValidationError(
+        "El código de verificación no tiene un formato válido"
+      );
+    }
+
+    const file = await this.fileRepository.model
+      .findOne({ "verification.code": code })
+      .select(
+        "originalName displayName documentType contract fileInfo review verification versionInfo isActive deletedAt"
+      )
+      .populate("contract", "contractNumber")
+      .lean();
+
+    if (!file) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "No existe un documento con ese código de verificación",
+        404
+      );
+    }
+
+    let status = VERIFICATION_STATUS.VALID;
+    let message = "Documento auténtico y vigente";
+    if (!file.isActive || file.deletedAt) {
+      status = VERIFICATION_STATUS.REVOKED;
+      message = "El documento fue anulado y ya no es válido";
+    } else if (file.versionInfo?.isCurrentVersion === false) {
+      status = VERIFICATION_STATUS.SUPERSEDED;
+      message =
+        "Documento auténtico, pero fue reemplazado por una versión posterior";
+    }
+
+    return {
+      code,
+      status,
+      message,
+      document: {
+        title: file.displayName || file.originalName,
+        documentType: file.documentType,
+        version: file.versionInfo?.version,
+      },
+      contractNumber: file.contract?.contractNumber || null,
+      checksum: {
+        algorithm: "SHA-256",
+        value: file.fileInfo?.checksum || file.fileInfo?.hash || null,
+      },
+      approvedAt: file.review?.approvalDate || null,
+      issuedAt: file.verification.issuedAt,
+    };
+  }
+
+  /**
+   * Sellar todas las páginas del PDF con el QR y el código de verificación
+   * @param {Buffer} pdfBuffer - PDF aprobado
+   * @param {Object} info - code, approvedAt, contractNumber
+   * @returns {Promise<Buffer>} PDF sellado
+   */
+  async stampPdf(pdfBuffer, { code, approvedAt, contractNumber }) {
+    const pdf = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const url = this.buildVerificationUrl(code);
+
+    const qrImage = await pdf.embedPng(
+      await QRCode.toBuffer(url, {
+        type: "png",
+        errorCorrectionLevel: "M",
+        margin: 1,
+        width: 256,
+      })
+    );
+    const regular = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+    const lines = [
+      { text: "Documento aprobado", font: bold },
+      approvedAt && {
+        text: new Date(approvedAt).toLocaleDateString("es-EC"),
+        font: regular,
+      },
+      contractNumber && { text: contractNumber, font: regular },
+      { text: "Código de verificación:", font: regular },
+      { text: code, font: bold, size: STAMP.fontSize + 2 },
+    ].filter(Boolean);
+
+    const textWidth = Math.max(
+      ...lines.map((line) =>
+        line.font.widthOfTextAtSize(line.text, line.size || STAMP.fontSize)
+      )
+    );
+    const boxWidth = STAMP.qrSize + textWidth + STAMP.padding * 3;
+    const boxHeight = STAMP.qrSize + STAMP.padding * 2;
+
+    for (const page of pdf.getPages()) {
+      const { x, y, width } = page.getCropBox();
+      const boxX = x + width - boxWidth - STAMP.margin;
+      const boxY = y + STAMP.margin;
+
+      page.drawRectangle({
+        x: boxX,
+        y: boxY,
+        width: boxWidth,
+        height: boxHeight,
+        color: rgb(1, 1, 1),
+        borderColor: STAMP.color,
+        borderWidth: 0.6,
+      });
+      page.drawImage(qrImage, {
+        x: boxX + STAMP.padding,
+        y: boxY + STAMP.padding,
+        width: STAMP.qrSize,
+        height: STAMP.qrSize,
+      });
+
+      let lineY = boxY + boxHeight - STAMP.padding - STAMP.fontSize - 2;
+      for (const line of lines) {
+        const size = line.size || STAMP.fontSize;
+        page.drawText(line.text, {
+          x: boxX + STAMP.qrSize + STAMP.padding * 2,
+          y: lineY,
+          size,
+          font: line.font,
+          color: STAMP.color,
+        });
+        lineY -= size + 4;
+      }
+    }
+
+    return Buffer.from(await pdf.save());
+  }
+
+  /**
+   * Reescribir un PDF firmado invalidaría sus firmas: esos no se sellan
+   */
+  isStampable(file) {
+    const isPdf =
+      file.fileInfo?.mimeType === "application/pdf" ||
+      file.fileInfo?.fileType === "pdf";
+    return isPdf && !file.metadata?.hasSignatures;
+  }
+
+  buildVerificationUrl(code) {
+    return `${this.config.verifyBaseUrl}/${code}`;
+  }
+
+  /**
+   * Código aleatorio con formato XXXX-XXXX-XXXX
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = Array.from(
+      bytes,
+      (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    ).join("");
+    return this._formatCode(chars);
+  }
+
+  /**
+   * Aceptar el código en minúsculas, sin guiones o con espacios
+   * @returns {String|null} Código con formato o null si no es válido
+   */
+  normalizeCode(rawCode) {
+    const chars = String(rawCode || "")
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "");
+    if (chars.length !== CODE_LENGTH) return null;
+    if ([...chars].some((char) => !CODE_ALPHABET.includes(char))) return null;
+    return this._formatCode(chars);
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Guardar el PDF sellado como nueva versión aprobada del archivo y
+   * apuntar el documento del contrato a ella
+   * @private
+   */
+  async _createStampedVersion(
+    file,
+    buffer,
+    { code, sourceChecksum, userData }
+  ) {
+    const checksum = crypto.createHash("sha256").update(buffer).digest("hex");
+    const provider = this.storageService.getCopies(file)[0]?.provider;
+    const stored = await this.storageService.storeShared(buffer, {
+      hash: checksum,
+      size: buffer.length,
+      provider,
+      contentType: "application/pdf",
+    });
+    const { storage, rsyncInfo } = this.storageService.toFileFields(
+      stored.copy,
+      { copies: stored.copies, blob: stored.blob._id }
+    );
+
+    const {
+      _id,
+      systemName,
+      createdAt,
+      updatedAt,
+      __v,
+      integrity,
+      verification,
+      ...inherited
+    } = file;
+
+    let stamped;
+    try {
+      // El pre-save calcula versión y raíz, y retira la vigencia del padre
+      stamped = await this.fileRepository.model.create({
+        ...inherited,
+        fileInfo: {
+          ...file.fileInfo,
+          size: buffer.length,
+          hash: checksum,
+          checksum,
+        },
+        storage,
+        rsyncInfo: {
+          ...rsyncInfo,
+          priority: file.rsyncInfo?.priority,
+          keepLocal: file.rsyncInfo?.keepLocal,
+        },
+        versionInfo: {
+          parentDocument: file._id,
+          rootDocument: file.versionInfo?.rootDocument || file._id,
+          isCurrentVersion: true,
+          changeType: "MINOR",
+          changeReason: "Sello de verificación QR del documento aprobado",
+          versionedBy: userData.userId,
+          versionDate: new Date(),
+        },
+        verification: {
+          code,
+          issuedAt: new Date(),
+          issuedBy: userData.userId,
+          sourceFile: file._id,
+          sourceChecksum,
+        },
+      });
+    } catch (error) {
+      await this.storageService.removeAll({ storage });
+      throw error;
+    }
+
+    if (file.contract) {
+      await this.contractRepository.model.updateOne(
+        { _id: file.contract },
+        {
+          $set: {
+            "phases.$[].documents.$[doc].file": stamped._id,
+            "phases.$[].documents.$[doc].version": stamped.versionInfo.version,
+          },
+        },
+        { arrayFilters: [{ "doc.file": file._id }] }
+      );
+    }
+
+    return stamped.toObject();
+  }
+
+  _formatCode(chars) {
+    const groups = chars.match(new RegExp(`.{1,${CODE_GROUP}}`, "g"));
+    return groups.join("-");
+  }
+}
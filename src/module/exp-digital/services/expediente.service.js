@@ -0,0 +1,798 @@
+// =============================================================================
+// src/module/exp-digital/services/expediente.service.js
+// Foliación del expediente de contratación y generación de su índice
+// GADM Cantón Esmeraldas - Expediente digital consolidado en PDF
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import {
+  PDFDocument,
+  PageSizes,
+  StandardFonts,
+  EncryptedPDFError,
+  rgb,
+} from "pdf-lib";
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractPhaseRepository } from "../repositories/contract-phase.repository.js";
+import { FileRepository } from "../repositories/file.repository.js";
+import { StorageService } from "./storage.service.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Cambiar al modificar la maquetación: invalida los expedientes en caché
+const EXPEDIENTE_LAYOUT_VERSION = 1;
+
+// Los documentos rechazados no forman parte del expediente
+const EXCLUDED_FILE_STATUSES = ["REJECTED"];
+
+const INSTITUTION_NAME =
+  "GOBIERNO AUTÓNOMO DESCENTRALIZADO MUNICIPAL DEL CANTÓN ESMERALDAS";
+
+const LAYOUT = {
+  pageSize: PageSizes.A4,
+  margin: 50,
+  lineHeight: 14,
+  fontSize: 10,
+  smallFontSize: 8,
+};
+
+const COLORS = {
+  text: rgb(0, 0, 0),
+  muted: rgb(0.4, 0.4, 0.4),
+  rule: rgb(0.75, 0.75, 0.75),
+  stamp: rgb(0.1, 0.1, 0.45),
+  white: rgb(1, 1, 1),
+};
+
+export class ExpedienteService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractPhaseRepository = new ContractPhaseRepository();
+    this.fileRepository = new FileRepository();
+    this.storageService = new StorageService();
+
+    this.config = {
+      cacheDir: path.resolve(
+        process.env.RSYNC_TEMP_DIR || "./temp",
+        "expedientes"
+      ),
+    };
+
+    // Generaciones en curso por ruta de caché (evita generar dos veces)
+    this.pending = new Map();
+  }
+
+  /**
+   * Obtener el expediente foliado del contrato en PDF
+   * Se regenera solo cuando cambia el conjunto de documentos
+   * @param {String} contractId - ID del contrato
+   * @param {Object} options - ifNoneMatch: ETags que ya tiene el cliente
+   * @returns {Promise<Object>} { buffer, filename, cacheKey, cached, notModified }
+   */
+  async getExpediente(contractId, options = {}) {
+    validateObjectId(contractId, "ID del contrato");
+    const { ifNoneMatch = [] } = options;
+
+    const contract = await this._loadContract(contractId);
+    const sections = await this._collectDocuments(contract);
+    const cacheKey = this.buildCacheKey(contract, sections);
+    const filename = `expediente_${contract.contractNumber}.pdf`;
+
+    if (ifNoneMatch.includes(cacheKey)) {
+      return { cacheKey, filename, notModified: true };
+    }
+
+    const cachePath = path.join(
+      this.config.cacheDir,
+      `expediente_${contract._id}_${cacheKey}.pdf`
+    );
+
+    try {
+      const buffer = await fs.readFile(cachePath);
+      console.log(
+        `✅ Expediente ${contract.contractNumber} servido desde caché`
+      );
+      return { buffer, filename, cacheKey, cached: true };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (!this.pending.has(cachePath)) {
+      this.pending.set(
+        cachePath,
+        this._generateAndCache(contract, sections, cacheKey, cachePath).finally(
+          () => this.pending.delete(cachePath)
+        )
+      );
+    }
+
+    const buffer = await this.pending.get(cachePath);
+    return { buffer, filename, cacheKey, cached: false };
+  }
+
+  /**
+   * Huella del conjunto documental: datos de la portada y, por cada
+   * documento, su fase, tipo, archivo y checksum
+   * @param {Object} contract - Contrato con tipo y departamento poblados
+   * @param {Array} sections - Resultado de _collectDocuments()
+   * @returns {String} SHA-256 en hexadecimal
+   */
+  buildCacheKey(contract, sections) {
+    const payload = {
+      layout: EXPEDIENTE_LAYOUT_VERSION,
+      contract: this._getCoverFields(contract),
+      documents: sections.flatMap((section) =>
+        section.documents.map((doc) => [
+          section.phase.id,
+          doc.documentType,
+          doc.fileId.toString(),
+          doc.checksum,
+          doc.originalName,
+        ])
+      ),
+    };
+
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(payload))
+      .digest("hex");
+  }
+
+  // =============================================================================
+  // GENERACIÓN DEL PDF
+  // =============================================================================
+
+  /**
+   * Generar el expediente y guardarlo en caché, eliminando las versiones
+   * anteriores del mismo contrato
+   * @private
+   */
+  async _generateAndCache(contract, sections, cacheKey, cachePath) {
+    await fs.mkdir(this.config.cacheDir, { recursive: true });
+    const workDir = path.join(
+      this.config.cacheDir,
+      `work_${contract._id}_${Date.now()}`
+    );
+
+    try {
+      const buffer = await this._generate(
+        contract,
+        sections,
+        cacheKey,
+        workDir
+      );
+
+      const prefix = `expediente_${contract._id}_`;
+      const previous = (await fs.readdir(this.config.cacheDir)).filter((name) =>
+        name.startsWith(prefix)
+      );
+      for (const name of previous) {
+        await fs.unlink(path.join(this.config.cacheDir, name)).catch(() => {});
+      }
+
+      const tempPath = `${cachePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, cachePath);
+
+      return buffer;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Armar portada, índice y documentos foliados
+   * Los folios se numeran desde 1 en la primera página del primer documento;
+   * la portada y el índice no se folian
+   * @private
+   */
+  async _generate(contract, sections, cacheKey, workDir) {
+    console.log(
+      `📚 Generando expediente ${contract.contractNumber} (${sections.length} fases)`
+    );
+    await fs.mkdir(workDir, { recursive: true });
+
+    const sources = [];
+    const annexes = [];
+    let nextFolio = 1;
+
+    for (const section of sections) {
+      for (const doc of section.documents) {
+        const loaded = doc.isPdf
+          ? await this._loadPdf(doc, workDir)
+          : { reason: null };
+
+        if (!loaded.pdf) {
+          annexes.push({ ...doc, phase: section.phase, reason: loaded.reason });
+          continue;
+        }
+
+        const pageCount = loaded.pdf.getPageCount();
+        doc.folioFrom = nextFolio;
+        doc.folioTo = nextFolio + pageCount - 1;
+        nextFolio += pageCount;
+        sources.push({ doc, pdf: loaded.pdf });
+      }
+    }
+
+    const totalFolios = nextFolio - 1;
+    const output = await PDFDocument.create();
+    output.setTitle(`Expediente ${contract.contractNumber}`);
+    output.setSubject(contract.contractualObject || "");
+    output.setCreator("Expediente Digital - GADM Esmeraldas");
+    output.setCreationDate(new Date());
+
+    const fonts = {
+      regular: await output.embedFont(StandardFonts.Helvetica),
+      bold: await output.embedFont(StandardFonts.HelveticaBold),
+    };
+    fonts.charset = new Set(fonts.regular.getCharacterSet());
+
+    this._drawCover(output, fonts, contract, {
+      folioDocuments: sources.length,
+      totalFolios,
+      annexes: annexes.length,
+      cacheKey,
+    });
+    this._drawIndex(output, fonts, sections, annexes);
+
+    for (const { doc, pdf } of sources) {
+      const pages = await output.copyPages(pdf, pdf.getPageIndices());
+      pages.forEach((page, index) => {
+        output.addPage(page);
+        this._stampFolio(page, fonts, doc.folioFrom + index, contract);
+      });
+    }
+
+    const bytes = await output.save();
+    console.log(
+      `✅ Expediente ${contract.contractNumber}: ${totalFolios} folios, ${annexes.length} anexos`
+    );
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Descargar y abrir un PDF del expediente
+   * @private
+   * @returns {Promise<Object>} { pdf } o { reason } si no se puede foliar
+   */
+  async _loadPdf(doc, workDir) {
+    const destination = path.join(workDir, doc.fileId.toString());
+
+    try {
+      await this.storageService.fetch(doc.file, destination);
+      const bytes = await fs.readFile(destination);
+      const pdf = await PDFDocument.load(bytes, { updateMetadata: false });
+
+      if (pdf.getPageCount() === 0) {
+        return { reason: "El PDF no tiene páginas" };
+      }
+      return { pdf };
+    } catch (error) {
+      console.warn(
+        `⚠️ No se pudo foliar ${doc.originalName}: ${error.message}`
+      );
+      if (error instanceof EncryptedPDFError) {
+        return { reason: "PDF protegido con contraseña" };
+      }
+      if (error.code === "ENOENT") {
+        return { reason: "Archivo no disponible en el almacenamiento" };
+      }
+      return { reason: "PDF dañado o no legible" };
+    } finally {
+      await fs.unlink(destination).catch(() => {});
+    }
+  }
+
+  /**
+   * Portada del expediente
+   * @private
+   */
+  _drawCover(output, fonts, contract, stats) {
+    const page = output.addPage(LAYOUT.pageSize);
+    const { width, height } = page.getSize();
+    const contentWidth = width - LAYOUT.margin * 2;
+    let y = height - 90;
+
+    const centered = (text, font, size) => {
+      for (const line of this._wrap(fonts, text, font, size, contentWidth)) {
+        const lineWidth = font.widthOfTextAtSize(line, size);
+        page.drawText(line, {
+          x: (width - lineWidth) / 2,
+          y,
+          size,
+          font,
+          color: COLORS.text,
+        });
+        y -= size + 6;
+      }
+    };
+
+    centered(INSTITUTION_NAME, fonts.bold, 12);
+    y -= 30;
+    centered("EXPEDIENTE DE CONTRATACIÓN PÚBLICA", fonts.bold, 18);
+    y -= 10;
+    centered(contract.contractNumber, fonts.bold, 16);
+    y -= 40;
+
+    const cover = this._getCoverFields(contract);
+    const rows = [
+      ["Objeto contractual", cover.contractualObject],
+      ["Código SERCOP", cover.sercopCode],
+      ["Tipo de contratación", cover.contractType],
+      ["Departamento solicitante", cover.requestingDepartment],
+      ["Contratista", cover.contractor],
+      ["Presupuesto referencial", cover.estimatedValue],
+      ["Documentos foliados", String(stats.folioDocuments)],
+      ["Total de folios", String(stats.totalFolios)],
+      ["Anexos (no foliados)", String(stats.annexes)],
+      ["Fecha de generación", new Date().toLocaleString("es-EC")],
+    ];
+
+    const labelWidth = 150;
+    for (const [label, value] of rows) {
+      page.drawText(this._safeText(fonts, `${label}:`), {
+        x: LAYOUT.margin,
+        y,
+        size: LAYOUT.fontSize,
+        font: fonts.bold,
+        color: COLORS.text,
+      });
+
+      const lines = this._wrap(
+        fonts,
+        value || "-",
+        fonts.regular,
+        LAYOUT.fontSize,
+        contentWidth - labelWidth
+      );
+      for (const line of lines) {
+        page.drawText(line, {
+          x: LAYOUT.margin + labelWidth,
+          y,
+          size: LAYOUT.fontSize,
+          font: fonts.regular,
+          color: COLORS.text,
+        });
+        y -= LAYOUT.lineHeight;
+      }
+      y -= 6;
+    }
+
+    page.drawText(
+      `Huella del conjunto documental (SHA-256): ${stats.cacheKey}`,
+      {
+        x: LAYOUT.margin,
+        y: LAYOUT.margin,
+        size: 7,
+        font: fonts.regular,
+        color: COLORS.muted,
+      }
+    );
+  }
+
+  /**
+   * Índice por fase y tipo de documento con rangos de folios, seguido de
+   * la lista de anexos
+   * @private
+   */
+  _drawIndex(output, fonts, sections, annexes) {
+    const [pageWidth, pageHeight] = LAYOUT.pageSize;
+    const right = pageWidth - LAYOUT.margin;
+    const columns = {
+      type: { x: LAYOUT.margin + 10, width: 180 },
+      file: { x: LAYOUT.margin + 200, width: 220 },
+    };
+    const cursor = { page: null, y: 0 };
+
+    const newPage = () => {
+      cursor.page = output.addPage(LAYOUT.pageSize);
+      cursor.y = pageHeight - LAYOUT.margin;
+    };
+    const ensureSpace = (needed) => {
+      if (!cursor.page || cursor.y - needed < LAYOUT.margin) newPage();
+    };
+    const draw = (text, x, options = {}) => {
+      cursor.page.drawText(text, {
+        x,
+        y: cursor.y,
+        size: options.size || LAYOUT.fontSize,
+        font: options.font || fonts.regular,
+        color: options.color || COLORS.text,
+      });
+    };
+    const rule = () => {
+      cursor.page.drawLine({
+        start: { x: LAYOUT.margin, y: cursor.y + 4 },
+        end: { x: right, y: cursor.y + 4 },
+        thickness: 0.5,
+        color: COLORS.rule,
+      });
+    };
+
+    newPage();
+    draw("ÍNDICE DEL EXPEDIENTE", LAYOUT.margin, {
+      font: fonts.bold,
+      size: 14,
+    });
+    cursor.y -= 30;
+
+    if (
+      sections.every((section) => section.documents.every((d) => !d.folioFrom))
+    ) {
+      draw("El expediente no tiene documentos foliados.", LAYOUT.margin, {
+        color: COLORS.muted,
+      });
+      cursor.y -= LAYOUT.lineHeight * 2;
+    }
+
+    for (const section of sections) {
+      const foliated = section.documents.filter((doc) => doc.folioFrom);
+      if (foliated.length === 0) continue;
+
+      ensureSpace(LAYOUT.lineHeight * 3);
+      draw(
+        this._safeText(fonts, `${section.phase.order}. ${section.phase.name}`),
+        LAYOUT.margin,
+        { font: fonts.bold, size: 11 }
+      );
+      draw("Folios", right - 40, { font: fonts.bold });
+      cursor.y -= LAYOUT.lineHeight + 4;
+
+      for (const doc of foliated) {
+        const typeLines = this._wrap(
+          fonts,
+          doc.typeName,
+          fonts.regular,
+          LAYOUT.fontSize,
+          columns.type.width
+        );
+        const fileLines = this._wrap(
+          fonts,
+          doc.originalName,
+          fonts.regular,
+          LAYOUT.fontSize,
+          columns.file.width
+        );
+        const lineCount = Math.max(typeLines.length, fileLines.length);
+        ensureSpace(lineCount * LAYOUT.lineHeight + 4);
+
+        const folios =
+          doc.folioFrom === doc.folioTo
+            ? String(doc.folioFrom)
+            : `${doc.folioFrom} - ${doc.folioTo}`;
+        const folioWidth = fonts.regular.widthOfTextAtSize(
+          folios,
+          LAYOUT.fontSize
+        );
+        draw(folios, right - folioWidth);
+
+        for (let i = 0; i < lineCount; i++) {
+          if (typeLines[i]) draw(typeLines[i], columns.type.x);
+          if (fileLines[i]) draw(fileLines[i], columns.file.x);
+          cursor.y -= LAYOUT.lineHeight;
+        }
+        rule();
+        cursor.y -= 4;
+      }
+
+      cursor.y -= LAYOUT.lineHeight;
+    }
+
+    if (annexes.length === 0) return;
+
+    ensureSpace(LAYOUT.lineHeight * 4);
+    cursor.y -= LAYOUT.lineHeight;
+    draw("ANEXOS (DOCUMENTOS NO FOLIADOS)", LAYOUT.margin, {
+      font: fonts.bold,
+      size: 12,
+    });
+    cursor.y -= LAYOUT.lineHeight + 6;
+
+    annexes.forEach((annex, index) => {
+      const titleLines = this._wrap(
+        fonts,
+        `${index + 1}. ${annex.typeName} - ${annex.originalName}`,
+        fonts.regular,
+        LAYOUT.fontSize,
+        right - columns.type.x
+      );
+      const details = [
+        `Fase: ${annex.phase.name}`,
+        `Formato: ${annex.extension || annex.mimeType || "desconocido"}`,
+        `Tamaño: ${this._formatSize(annex.size)}`,
+        annex.checksum ? `SHA-256: ${annex.checksum}` : null,
+      ].filter(Boolean);
+      const detailLines = this._wrap(
+        fonts,
+        details.join(" | "),
+        fonts.regular,
+        LAYOUT.smallFontSize,
+        right - columns.type.x
+      );
+      if (annex.reason) detailLines.push(this._safeText(fonts, annex.reason));
+
+      ensureSpace(
+        titleLines.length * LAYOUT.lineHeight +
+          detailLines.length * (LAYOUT.smallFontSize + 3) +
+          6
+      );
+      for (const line of titleLines) {
+        draw(line, columns.type.x);
+        cursor.y -= LAYOUT.lineHeight;
+      }
+      for (const line of detailLines) {
+        draw(line, columns.type.x + 10, {
+          size: LAYOUT.smallFontSize,
+          color: COLORS.muted,
+        });
+        cursor.y -= LAYOUT.smallFontSize + 3;
+      }
+      cursor.y -= 6;
+    });
+  }
+
+  /**
+   * Sello de folio en la esquina superior derecha de la página
+   * @private
+   */
+  _stampFolio(page, fonts, folio, contract) {
+    const { x, y, width, height } = page.getCropBox();
+    const label = `Folio ${folio}`;
+    const reference = this._safeText(fonts, contract.contractNumber);
+    const boxWidth =
+      Math.max(
+        fonts.bold.widthOfTextAtSize(label, 11),
+        fonts.regular.widthOfTextAtSize(reference, 6)
+      ) + 12;
+    const boxHeight = 26;
+    const boxX = x + width - boxWidth - 15;
+    const boxY = y + height - boxHeight - 15;
+
+    page.drawRectangle({
+      x: boxX,
+      y: boxY,
+      width: boxWidth,
+      height: boxHeight,
+      color: COLORS.white,
+      borderColor: COLORS.stamp,
+      borderWidth: 0.8,
+    });
+    page.drawText(label, {
+      x: boxX + 6,
+      y: boxY + 12,
+      size: 11,
+      font: fonts.bold,
+      color: COLORS.stamp,
+    });
+    page.drawText(reference, {
+      x: boxX + 6,
+      y: boxY + 4,
+      size: 6,
+      font: fonts.regular,
+      color: COLORS.stamp,
+    });
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  async _loadContract(contractId) {
+    const contract = await this.contractRepository.model
+      .findOne({ _id: contractId, deletedAt: null })
+      .select(
+        "contractNumber sercopCode contractualObject contractType requestingDepartment contractor budget phases"
+      )
+      .populate("contractType", "code name")
+      .populate("requestingDepartment", "code name")
+      .lean();
+
+    if (!contract) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Documentos vigentes del contrato agrupados por fase (en el orden del
+   * flujo) y ordenados por tipo de documento según la configuración de la fase
+   * @private
+   * @returns {Promise<Array>} [{ phase, documents }]
+   */
+  async _collectDocuments(contract) {
+    // Una fase puede repetirse si el contrato retrocedió: se unen sus documentos
+    const entriesByPhase = new Map();
+    for (const entry of contract.phases || []) {
+      const phaseId = this._toId(entry.phase);
+      const entries = entriesByPhase.get(phaseId) || [];
+      entries.push(
+        ...(entry.documents || []).filter(
+          (doc) => doc.status === "active" && doc.file
+        )
+      );
+      entriesByPhase.set(phaseId, entries);
+    }
+
+    const fileIds = [...entriesByPhase.values()]
+      .flat()
+      .map((doc) => this._toId(doc.file));
+    if (fileIds.length === 0) return [];
+
+    const [phases, files] = await Promise.all([
+      // Documento completo: se necesitan los métodos del esquema
+      this.contractPhaseRepository.model.find({
+        _id: { $in: [...entriesByPhase.keys()] },
+      }),
+      this.fileRepository.model
+        .find({
+          _id: { $in: fileIds },
+          isActive: true,
+          deletedAt: null,
+          "versionInfo.isCurrentVersion": true,
+          status: { $nin: EXCLUDED_FILE_STATUSES },
+        })
+        .select("originalName systemName status fileInfo storage rsyncInfo")
+        .lean(),
+    ]);
+    const filesById = new Map(files.map((f) => [f._id.toString(), f]));
+    const contractTypeId = this._toId(contract.contractType);
+
+    return phases
+      .sort((a, b) => a.order - b.order)
+      .map((phase) => {
+        const required = phase.getEffectiveDocuments(contractTypeId);
+        const typeOrder = new Map(required.map((doc, i) => [doc.code, i]));
+        const typeNames = new Map(required.map((doc) => [doc.code, doc.name]));
+        const seen = new Set();
+
+        const documents = entriesByPhase
+          .get(phase._id.toString())
+          .map((entry) => {
+            const fileId = this._toId(entry.file);
+            const file = filesById.get(fileId);
+            if (!file || seen.has(fileId)) return null;
+            seen.add(fileId);
+
+            const documentType = (entry.documentType || "").toUpperCase();
+            const extension = file.fileInfo?.fileType || "";
+
+            return {
+              fileId: file._id,
+              file,
+              documentType,
+              typeName: typeNames.get(documentType) || documentType,
+              typeOrder: typeOrder.has(documentType)
+                ? typeOrder.get(documentType)
+                : required.length,
+              originalName: file.originalName,
+              mimeType: file.fileInfo?.mimeType,
+              extension,
+              size: file.fileInfo?.size,
+              checksum: file.fileInfo?.checksum || file.fileInfo?.hash || null,
+              isPdf:
+                file.fileInfo?.mimeType === "application/pdf" ||
+                extension === "pdf",
+              uploadedAt: entry.uploadedAt,
+            };
+          })
+          .filter(Boolean)
+          .sort(
+            (a, b) =>
+              a.typeOrder - b.typeOrder ||
+              a.documentType.localeCompare(b.documentType) ||
+              new Date(a.uploadedAt || 0) - new Date(b.uploadedAt || 0)
+          );
+
+        return {
+          phase: {
+            id: phase._id.toString(),
+            code: phase.code,
+            name: phase.name,
+            order: phase.order,
+          },
+          documents,
+        };
+      })
+      .filter((section) => section.documents.length > 0);
+  }
+
+  /**
+   * Datos de la portada (también forman parte de la huella de caché)
+   * @private
+   */
+  _getCoverFields(contract) {
+    const contractor = contract.contractor || {};
+    const estimatedValue = contract.budget?.estimatedValue;
+
+    return {
+      id: contract._id.toString(),
+      contractNumber: contract.contractNumber,
+      contractualObject: contract.contractualObject,
+      sercopCode: contract.sercopCode || null,
+      contractType: contract.contractType?.name || null,
+      requestingDepartment: contract.requestingDepartment?.name || null,
+      contractor: contractor.businessName
+        ? [contractor.businessName, contractor.ruc && `RUC ${contractor.ruc}`]
+            .filter(Boolean)
+            .join(" - ")
+        : null,
+      estimatedValue:
+        typeof estimatedValue === "number"
+          ? `USD ${estimatedValue.toLocaleString("es-EC", {
+              minimumFractionDigits: 2,
+              maximumFractionDigits: 2,
+            })}`
+          : null,
+    };
+  }
+
+  /**
+   * Partir el texto en líneas que caben en el ancho indicado
+   * @private
+   */
+  _wrap(fonts, text, font, size, maxWidth) {
+    const words = this._safeText(fonts, text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = "";
+
+    const fits = (value) => font.widthOfTextAtSize(value, size) <= maxWidth;
+
+    for (let word of words) {
+      // Palabras más largas que la columna (p. ej. nombres de archivo)
+      while (!fits(word)) {
+        let cut = word.length - 1;
+        while (cut > 1 && !fits(word.slice(0, cut))) cut--;
+        if (current) {
+          lines.push(current);
+          current = "";
+        }
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+
+      const candidate = current ? `${current} ${word}` : word;
+      if (fits(candidate)) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    }
+
+    if (current) lines.push(current);
+    return lines.length > 0 ? lines : [""];
+  }
+
+  /**
+   * Reemplazar caracteres que las fuentes estándar de PDF no pueden codificar
+   * @private
+   */
+  _safeText(fonts, text) {
+    return Array.from(String(text ?? "").normalize("NFC"))
+      .map((char) => {
+        if (/\s/.test(char)) return " ";
+        return fonts.charset.has(char.codePointAt(0)) ? char : "?";
+      })
+      .join("");
+  }
+
+  _formatSize(bytes) {
+    if (!bytes) return "-";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  _toId(value) {
+    if (!value) return null;
+    return (value._id || value).toString();
+  }
+}
@@ -0,0 +1,561 @@
+// =============================================================================
+// src/module/exp-digital/services/file-preview.service.js
+// Miniaturas y vistas previas de página de los archivos del expediente
+// GADM Cantón Esmeraldas - Listados sin descargar los originales
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import sharp from "sharp";
+import { PDFDocument, PDFDict, PDFName, PDFArray, PDFRawStream } from "pdf-lib";
+import { FileRepository } from "../repositories/file.repository.js";
+import { StorageService } from "./storage.service.js";
+import {
+  getStorageDriver,
+  normalizeStorageProvider,
+} from "../../../config/storage/storage.drivers.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+const execFileAsync = promisify(execFile);
+
+export const DERIVATIVE_KINDS = {
+  THUMBNAIL: "THUMBNAIL",
+  PAGE: "PAGE",
+};
+
+const IMAGE_MIME_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/tiff",
+  "image/svg+xml",
+];
+
+// Una imagen embebida cuenta como página escaneada si su proporción
+// coincide con la de la página (tolerancia relativa)
+const SCAN_ASPECT_TOLERANCE = 0.1;
+
+export class FilePreviewService {
+  constructor() {
+    this.fileRepository = new FileRepository();
+    this.storageService = new StorageService();
+
+    this.config = {
+      // Tamaños de miniatura permitidos (px); se usa el más cercano por arriba
+      thumbnailSizes: (process.env.PREVIEW_THUMBNAIL_SIZES || "128,256,512")
+        .split(",")
+        .map((size) => parseInt(size, 10))
+        .filter((size) => size > 0)
+        .sort((a, b) => a - b),
+      defaultThumbnailSize:
+        parseInt(process.env.PREVIEW_THUMBNAIL_DEFAULT) || 256,
+      pageWidth: parseInt(process.env.PREVIEW_PAGE_WIDTH) || 1024,
+      quality: parseInt(process.env.PREVIEW_QUALITY) || 80,
+      // Backend de los artefactos derivados (por defecto el de los originales)
+      provider:
+        normalizeStorageProvider(process.env.PREVIEW_STORAGE_DRIVER) ||
+        this.storageService.config.defaultProvider,
+      // Rasterizador externo para PDF cuando libvips no tiene soporte PDF
+      pdfRasterizer: process.env.PDF_RASTERIZER || "pdftoppm",
+      rasterizerTimeout:
+        parseInt(process.env.PDF_RASTERIZER_TIMEOUT) || 30 * 1000,
+      cacheDir: path.resolve(
+        process.env.RSYNC_TEMP_DIR || "./temp",
+        "previews"
+      ),
+    };
+
+    // Generaciones en curso por archivo y variante
+    this.pending = new Map();
+  }
+
+  /**
+   * Miniatura del archivo (imagen o primera página del PDF)
+   * @param {String} fileId - ID del archivo
+   * @param {Object} options - size (px), ifNoneMatch
+   * @returns {Promise<Object>} { buffer, mimeType, etag, cached, notModified }
+   */
+  async getThumbnail(fileId, options = {}) {
+    const size = this.resolveThumbnailSize(options.size);
+    return await this._getDerivative(fileId, {
+      kind: DERIVATIVE_KINDS.THUMBNAIL,
+      variant: size,
+      ifNoneMatch: options.ifNoneMatch,
+    });
+  }
+
+  /**
+   * Vista rasterizada de una página (las imágenes solo tienen la página 1)
+   * @param {String} fileId - ID del archivo
+   * @param {Number} pageNumber - Página (desde 1)
+   * @param {Object} options - ifNoneMatch
+   * @returns {Promise<Object>} { buffer, mimeType, etag, cached, notModified }
+   */
+  async getPage(fileId, pageNumber, options = {}) {
+    const page = Number(pageNumber);
+    if (!Number.isInteger(page) || page < 1) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "El número de página debe ser un entero mayor o igual a 1",
+        400
+      );
+    }
+
+    return await this._getDerivative(fileId, {
+      kind: DERIVATIVE_KINDS.PAGE,
+      variant: page,
+      ifNoneMatch: options.ifNoneMatch,
+    });
+  }
+
+  /**
+   * Tamaño permitido más cercano (por arriba) al solicitado
+   * @param {String|Number} requested - Tamaño solicitado en px
+   * @returns {Number} Tamaño de miniatura
+   */
+  resolveThumbnailSize(requested) {
+    if (requested === undefined || requested === null || requested === "") {
+      return this.config.defaultThumbnailSize;
+    }
+
+    const size = parseInt(requested, 10);
+    if (!Number.isInteger(size) || size < 1) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Tamaño de miniatura no válido. Permitidos: ${this.config.thumbnailSizes.join(", ")}`,
+        400
+      );
+    }
+
+    const sizes = this.config.thumbnailSizes;
+    return sizes.find((allowed) => allowed >= size) || sizes[sizes.length - 1];
+  }
+
+  isPreviewable(file) {
+    return this._isPdf(file) || this._isImage(file);
+  }
+
+  /**
+   * Eliminar los artefactos derivados de un archivo (al borrar el físico)
+   * @param {Object} file - Registro File
+   * @returns {Promise<Number>} Artefactos eliminados
+   */
+  async removeDerivatives(file) {
+    let removed = 0;
+
+    for (const derivative of file.derivatives || []) {
+      try {
+        await getStorageDriver(derivative.provider).remove(derivative.key);
+        removed++;
+      } catch (error) {
+        console.warn(
+          `⚠️ Vista previa: No se pudo eliminar ${derivative.key}: ${error.message}`
+        );
+      }
+      await fs.unlink(this._cachePath(file, derivative)).catch(() => {});
+    }
+
+    return removed;
+  }
+
+  // =============================================================================
+  // GENERACIÓN Y CACHÉ
+  // =============================================================================
+
+  /**
+   * Servir un artefacto derivado: caché local, backend de almacenamiento o
+   * generación a partir del original
+   * @private
+   */
+  async _getDerivative(fileId, { kind, variant, ifNoneMatch = [] }) {
+    validateObjectId(fileId, "ID del archivo");
+
+    const file = await this.fileRepository.model
+      .findById(fileId)
+      .select(
+        "originalName systemName fileInfo metadata.pageCount storage rsyncInfo derivatives isActive deletedAt"
+      )
+      .lean();
+    if (!file || file.isActive === false || file.deletedAt) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
+    }
+    if (!this.isPreviewable(file)) {
+      throw createError(
+        ERROR_CODES.INVALID_FORMAT,
+        "Este tipo de archivo no tiene vista previa",
+        415
+      );
+    }
+
+    const pageCount = file.metadata?.pageCount;
+    if (kind === DERIVATIVE_KINDS.PAGE && pageCount && variant > pageCount) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        `El documento tiene ${pageCount} página(s)`,
+        404
+      );
+    }
+
+    const sourceChecksum = this._getChecksum(file);
+    const etag = `${(sourceChecksum || file._id.toString()).slice(0, 16)}-${kind.toLowerCase()}-${variant}`;
+    if (ifNoneMatch.includes(etag)) {
+      return { etag, notModified: true };
+    }
+
+    const stored = (file.derivatives || []).find(
+      (d) =>
+        d.kind === kind &&
+        d.variant === variant &&
+        d.sourceChecksum === sourceChecksum
+    );
+    if (stored) {
+      const buffer = await this._readStored(file, stored);
+      if (buffer) {
+        return { buffer, mimeType: stored.mimeType, etag, cached: true };
+      }
+    }
+
+    const pendingKey = `${file._id}_${kind}_${variant}`;
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(
+        pendingKey,
+        this._generateAndStore(file, { kind, variant, sourceChecksum }).finally(
+          () => this.pending.delete(pendingKey)
+        )
+      );
+    }
+
+    const derivative = await this.pending.get(pendingKey);
+    return {
+      buffer: derivative.buffer,
+      mimeType: derivative.mimeType,
+      etag,
+      cached: false,
+    };
+  }
+
+  /**
+   * Leer un artefacto ya generado (caché local o backend)
+   * @returns {Promise<Buffer|null>} null si ya no está disponible
+   * @private
+   */
+  async _readStored(file, derivative) {
+    const cachePath = this._cachePath(file, derivative);
+
+    try {
+      return await fs.readFile(cachePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    try {
+      await getStorageDriver(derivative.provider).get(
+        derivative.key,
+        cachePath
+      );
+      return await fs.readFile(cachePath);
+    } catch (error) {
+      console.warn(
+        `⚠️ Vista previa: ${derivative.key} no disponible en ${derivative.provider}, se regenera: ${error.message}`
+      );
+      await fs.unlink(cachePath).catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Generar el artefacto desde el original, guardarlo en el backend y
+   * registrarlo en el archivo
+   * @private
+   */
+  async _generateAndStore(file, { kind, variant, sourceChecksum }) {
+    await fs.mkdir(this.config.cacheDir, { recursive: true });
+    const sourcePath = path.join(
+      this.config.cacheDir,
+      `source_${file._id}_${Date.now()}`
+    );
+
+    try {
+      await this.storageService.fetch(file, sourcePath);
+
+      const started = Date.now();
+      const image =
+        kind === DERIVATIVE_KINDS.THUMBNAIL
+          ? await this._renderThumbnail(file, sourcePath, variant)
+          : await this._renderPage(file, sourcePath, variant);
+      const { data, info } = await image
+        .webp({ quality: this.config.quality })
+        .toBuffer({ resolveWithObject: true });
+
+      const derivative = {
+        kind,
+        variant,
+        mimeType: "image/webp",
+        width: info.width,
+        height: info.height,
+        size: data.length,
+        provider: this.config.provider,
+        key: `derivatives/${file._id}/${kind.toLowerCase()}-${variant}.webp`,
+        sourceChecksum,
+        createdAt: new Date(),
+      };
+
+      await getStorageDriver(derivative.provider).put(derivative.key, data, {
+        contentType: derivative.mimeType,
+      });
+      await fs.writeFile(this._cachePath(file, derivative), data);
+
+      await this.fileRepository.model.updateOne(
+        { _id: file._id },
+        { $pull: { derivatives: { kind, variant } } }
+      );
+      await this.fileRepository.model.updateOne(
+        { _id: file._id },
+        { $push: { derivatives: derivative } }
+      );
+
+      console.log(
+        `🖼️ Vista previa: ${kind.toLowerCase()} ${variant} de ${file.originalName} generada en ${Date.now() - started}ms`
+      );
+
+      return { buffer: data, mimeType: derivative.mimeType };
+    } finally {
+      await fs.unlink(sourcePath).catch(() => {});
+    }
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  /**
+   * @returns {Promise<sharp.Sharp>} Imagen redimensionada (sin codificar)
+   * @private
+   */
+  async _renderThumbnail(file, sourcePath, size) {
+    const source = this._isPdf(file)
+      ? await this._rasterizePdfPage(file, sourcePath, 1, size * 2)
+      : sourcePath;
+
+    return sharp(source, { animated: false })
+      .rotate()
+      .flatten({ background: "#ffffff" })
+      .resize(size, size, { fit: "inside", withoutEnlargement: true });
+  }
+
+  /**
+   * @private
+   */
+  async _renderPage(file, sourcePath, pageNumber) {
+    let source = sourcePath;
+
+    if (this._isPdf(file)) {
+      source = await this._rasterizePdfPage(
+        file,
+        sourcePath,
+        pageNumber,
+        this.config.pageWidth
+      );
+    } else if (pageNumber !== 1) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "Las imágenes solo tienen la página 1",
+        404
+      );
+    }
+
+    return sharp(source, { animated: false })
+      .rotate()
+      .flatten({ background: "#ffffff" })
+      .resize({ width: this.config.pageWidth, withoutEnlargement: true });
+  }
+
+  /**
+   * Rasterizar una página del PDF
+   * Orden: libvips con soporte PDF, rasterizador externo (pdftoppm) y, para
+   * documentos escaneados, la imagen JPEG que ocupa la página
+   * @returns {Promise<Buffer>} Imagen de la página
+   * @private
+   */
+  async _rasterizePdfPage(file, sourcePath, pageNumber, width) {
+    const pdf = await this._loadPdf(sourcePath);
+    const pageCount = pdf.getPageCount();
+    if (pageNumber > pageCount) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        `El documento tiene ${pageCount} página(s)`,
+        404
+      );
+    }
+
+    if (sharp.format.pdf?.input?.file) {
+      return await sharp(sourcePath, {
+        page: pageNumber - 1,
+        density: this._densityFor(pdf, pageNumber, width),
+      })
+        .png()
+        .toBuffer();
+    }
+
+    const rendered = await this._runRasterizer(sourcePath, pageNumber, width);
+    if (rendered) return rendered;
+
+    const scan = this._extractScannedImage(pdf, pageNumber);
+    if (scan) return scan;
+
+    throw createError(
+      ERROR_CODES.INVALID_FORMAT,
+      "No hay un rasterizador de PDF disponible para generar la vista previa de este documento",
+      422,
+      { fileId: file._id, page: pageNumber }
+    );
+  }
+
+  /**
+   * Ejecutar pdftoppm sobre una página
+   * @returns {Promise<Buffer|null>} null si el rasterizador no está instalado
+   * @private
+   */
+  async _runRasterizer(sourcePath, pageNumber, width) {
+    const outputPrefix = `${sourcePath}_p${pageNumber}`;
+
+    try {
+      await execFileAsync(
+        this.config.pdfRasterizer,
+        [
+          "-f",
+          String(pageNumber),
+          "-l",
+          String(pageNumber),
+          "-scale-to-x",
+          String(width),
+          "-scale-to-y",
+          "-1",
+          "-png",
+          "-singlefile",
+          sourcePath,
+          outputPrefix,
+        ],
+        { timeout: this.config.rasterizerTimeout }
+      );
+      return await fs.readFile(`${outputPrefix}.png`);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw new Error(
+        `Error rasterizando la página ${pageNumber}: ${error.message}`
+      );
+    } finally {
+      await fs.unlink(`${outputPrefix}.png`).catch(() => {});
+    }
+  }
+
+  /**
+   * Imagen JPEG embebida que cubre la página (documentos escaneados)
+   * @returns {Buffer|null}
+   * @private
+   */
+  _extractScannedImage(pdf, pageNumber) {
+    const page = pdf.getPage(pageNumber - 1);
+    const xObjects = page.node
+      .Resources()
+      ?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+    if (!xObjects) return null;
+
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const pageAspect = pageWidth / pageHeight;
+    let best = null;
+
+    for (const [, ref] of xObjects.entries()) {
+      const stream = pdf.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+
+      const dict = stream.dict;
+      if (dict.get(PDFName.of("Subtype")) !== PDFName.of("Image")) continue;
+
+      const filter = dict.get(PDFName.of("Filter"));
+      const filters =
+        filter instanceof PDFArray
+          ? filter.asArray()
+          : [filter].filter(Boolean);
+      if (filters.length !== 1 || filters[0] !== PDFName.of("DCTDecode")) {
+        continue;
+      }
+
+      const width = dict.get(PDFName.of("Width"))?.asNumber?.() || 0;
+      const height = dict.get(PDFName.of("Height"))?.asNumber?.() || 0;
+      if (!width || !height) continue;
+
+      // Escaneos rotados 90° también cuentan
+      const aspect = width / height;
+      const matches = [pageAspect, 1 / pageAspect].some(
+        (target) => Math.abs(aspect - target) / target <= SCAN_ASPECT_TOLERANCE
+      );
+      if (!matches) continue;
+
+      if (!best || width * height > best.area) {
+        best = { area: width * height, contents: stream.contents };
+      }
+    }
+
+    return best ? Buffer.from(best.contents) : null;
+  }
+
+  /**
+   * @private
+   */
+  async _loadPdf(sourcePath) {
+    try {
+      return await PDFDocument.load(await fs.readFile(sourcePath), {
+        ignoreEncryption: true,
+        updateMetadata: false,
+      });
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.INVALID_FORMAT,
+        `No se pudo leer el PDF: ${error.message}`,
+        422
+      );
+    }
+  }
+
+  /**
+   * Densidad (DPI) para que la página salga con el ancho pedido
+   * @private
+   */
+  _densityFor(pdf, pageNumber, width) {
+    const { width: points } = pdf.getPage(pageNumber - 1).getSize();
+    return Math.max(36, Math.min(300, Math.round((width / points) * 72)));
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  _isPdf(file) {
+    return (
+      file.fileInfo?.mimeType === "application/pdf" ||
+      file.fileInfo?.fileType === "pdf"
+    );
+  }
+
+  _isImage(file) {
+    return IMAGE_MIME_TYPES.includes(file.fileInfo?.mimeType);
+  }
+
+  _getChecksum(file) {
+    return file.fileInfo?.checksum || file.fileInfo?.hash || null;
+  }
+
+  _cachePath(file, derivative) {
+    const checksum = (derivative.sourceChecksum || "nochecksum").slice(0, 12);
+    return path.join(
+      this.config.cacheDir,
+      `${file._id}_${derivative.kind.toLowerCase()}-${derivative.variant}_${checksum}.webp`
+    );
+  }
+}
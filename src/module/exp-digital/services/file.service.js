@@ -5,11 +5,16 @@
 // =============================================================================
 
 import fs from "fs/promises";
+import { createReadStream } from "fs";
 import path from "path";
 import crypto from "crypto";
 import sharp from "sharp";
 import { FileRepository } from "../repositories/file.repository.js";
-import rsyncClient from "../../../config/rsync.client.js";
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractPhaseRepository } from "../repositories/contract-phase.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import notificationService from "../../notifications/services/notification.service.js";
 import {
   createError,
   createValidationError,
@@ -20,10 +25,33 @@ import {
   validateRequiredFields,
 } from "../../../../utils/validation.util.js";
 import { tempFileService } from "./temp-file.service.js";
+import { PhaseChecklistService } from "./phase-checklist.service.js";
+import { PhaseEngineService } from "./phase-engine.service.js";
+import { StorageService } from "./storage.service.js";
+import { DocumentVerificationService } from "./document-verification.service.js";
+import { DocumentSearchService } from "./document-search.service.js";
+import { PdfSignatureService } from "./pdf-signature.service.js";
+import { FilePreviewService } from "./file-preview.service.js";
+import {
+  STORAGE_PROVIDERS,
+  normalizeStorageProvider,
+} from "../../../config/storage/storage.drivers.js";
 
 export class FileService {
   constructor() {
     this.fileRepository = new FileRepository();
+    this.contractRepository = new ContractRepository();
+    this.contractPhaseRepository = new ContractPhaseRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+    this.departmentRepository = new DepartmentRepository();
+    this.notificationService = notificationService;
+    this.phaseChecklistService = new PhaseChecklistService();
+    this.phaseEngineService = new PhaseEngineService();
+    this.storageService = new StorageService();
+    this.documentVerificationService = new DocumentVerificationService();
+    this.pdfSignatureService = new PdfSignatureService();
+    this.filePreviewService = new FilePreviewService();
+    this.documentSearchService = new DocumentSearchService();
 
     // Configuración desde variables de entorno
     this.config = {
@@ -49,6 +77,8 @@ export class FileService {
       ],
       rsyncEnabled: process.env.RSYNC_ENABLED === "true",
       autoSync: process.env.RSYNC_AUTO_SYNC !== "false", // Por defecto true
+      // Sellar con QR de verificación los PDF al completar su aprobación
+      stampOnApproval: process.env.DOCUMENT_VERIFY_STAMP !== "false",
       imageOptimization: {
         maxWidth: parseInt(process.env.IMAGE_MAX_WIDTH) || 1920,
         maxHeight: parseInt(process.env.IMAGE_MAX_HEIGHT) || 1080,
@@ -95,9 +125,10 @@ export class FileService {
 
   /**
    * Subir archivo al sistema con validaciones completas
-   * @param {Object} fileData - Datos del archivo desde multer
+   * @param {Object} fileData - Datos del archivo desde multer (buffer) o
+   *   ensamblado en disco por la subida por partes (path)
    * @param {Object} metadata - Metadatos del archivo
-   * @param {Object} options - Opciones de subida
+   * @param {Object} options - Opciones de subida (maxFileSize para archivos en disco)
    * @returns {Promise<Object>} Archivo creado
    */
   async uploadFile(fileData, metadata, options = {}) {
@@ -105,7 +136,11 @@ export class FileService {
       console.log(`📤 Iniciando subida de archivo: ${fileData.originalname}`);
 
       // Validaciones básicas
-      await this._validateUploadData(fileData, metadata);
+      await this._validateUploadData(
+        fileData,
+        metadata,
+        options.maxFileSize || this.config.maxFileSize
+      );
 
       const {
         contractId,
@@ -128,76 +163,116 @@ export class FileService {
         documentType,
       });
 
-      // Guardar archivo localmente
-      await this._saveFileLocally(fileData, fileInfo.systemName);
+      // Guardar (o reutilizar por checksum) el contenido en el backend del
+      // departamento/tipo
+      const departmentId =
+        metadata.departmentId ||
+        (await this._getContractDepartment(contractId));
+      if (!departmentId) {
+        throw createValidationError(
+          "Se requiere el departamento del documento o un contrato con departamento solicitante"
+        );
+      }
+      const provider = await this.storageService.resolveProvider({
+        departmentId,
+        documentType,
+      });
+      const stored = await this.storageService.storeShared(
+        fileData.buffer || fileData.path,
+        {
+          hash: fileInfo.checksum,
+          size: fileData.size,
+          provider,
+          contentType: fileData.mimetype,
+        }
+      );
+      const { storage, rsyncInfo } = this.storageService.toFileFields(
+        stored.copy,
+        { copies: stored.copies, blob: stored.blob }
+      );
 
       // Crear registro en base de datos
-      const fileRecord = await this.fileRepository.create({
-        // Información básica del archivo
-        originalName: fileData.originalname,
-        systemName: fileInfo.systemName,
-        displayName: fileInfo.displayName,
-
-        // Información técnica
-        fileInfo: {
-          mimeType: fileData.mimetype,
-          size: fileData.size,
-          extension: fileInfo.extension,
-          encoding: fileData.encoding,
-          checksum: fileInfo.checksum,
-        },
+      const userData = {
+        userId: uploadedBy,
+        ipAddress: options.ipAddress || null,
+        userAgent: options.userAgent || null,
+      };
+      const fileRecord = await this.fileRepository.create(
+        {
+          // El expediente digital exige contrato y fase
+          module: contractId && phaseId ? "DIGITAL_RECORD" : "GENERAL",
+          department: departmentId,
+          contract: contractId || null,
+          phase: phaseId || null,
+          documentType,
 
-        // Almacenamiento
-        storage: {
-          storageProvider: this.config.rsyncEnabled ? "RSYNC" : "LOCAL",
-          localPath: fileInfo.localPath,
-          remotePath: this.config.rsyncEnabled ? fileInfo.remotePath : null,
-          publicUrl: null, // Se asignará después de la sincronización
-        },
+          // Información básica del archivo
+          originalName: fileData.originalname,
+          systemName: fileInfo.systemName,
 
-        // Información del documento
-        documentInfo: {
-          contractId: contractId || null,
-          phaseId: phaseId || null,
-          documentType,
-          description,
-          category: this._categorizeFile(fileData.mimetype, documentType),
-        },
+          // Información técnica
+          fileInfo: {
+            fileType: fileInfo.extension,
+            mimeType: fileData.mimetype,
+            size: fileData.size,
+            hash: fileInfo.checksum,
+          },
 
-        // Control de acceso
-        access: {
-          isPublic,
-          allowedRoles,
-          allowedUsers: allowedUsers.map((userId) => ({
-            userId,
-            canDownload: true,
-          })),
-        },
+          // Protección y firmas electrónicas (solo PDF)
+          metadata: {
+            ...(await this._analyzeUploadedPdf(fileData)),
+            encoding: fileData.encoding,
+          },
 
-        // RSync específico
-        rsyncInfo: this.config.rsyncEnabled
-          ? {
-              syncStatus: "PENDING",
-              priority,
-              keepLocal,
-              syncRetries: 0,
-              lastSyncAttempt: null,
-              syncError: null,
-              remoteSize: null,
-            }
-          : null,
-
-        // Auditoría
-        audit: {
-          uploadedBy,
-          uploadedAt: new Date(),
-          ipAddress: options.ipAddress || null,
-          userAgent: options.userAgent || null,
+          // Almacenamiento
+          storage,
+
+          // Información del documento
+          document: { description },
+
+          // Control de acceso
+          access: {
+            isPublic,
+            allowedRoles,
+            allowedUsers: allowedUsers.map((userId) => ({
+              userId,
+              permissions: ["READ", "DOWNLOAD"],
+            })),
+            history: [
+              {
+                userId: uploadedBy,
+                action: "UPLOAD",
+                timestamp: new Date(),
+                source: "web",
+                ipAddress: userData.ipAddress,
+                userAgent: userData.userAgent,
+              },
+            ],
+          },
+
+          // Estado de la réplica rsync
+          rsyncInfo: { ...rsyncInfo, priority, keepLocal },
+
+          // Auditoría
+          audit: {
+            uploadedBy,
+            uploadDate: new Date(),
+            ipAddress: userData.ipAddress,
+            userAgent: userData.userAgent,
+          },
+
+          status: "DRAFT",
         },
-      });
+        userData
+      );
 
-      // Si está habilitado rsync y autoSync, programar sincronización
-      if (this.config.rsyncEnabled && autoSync) {
+      // Programar la copia de respaldo si el contenido aún no la tiene
+      const replicaProvider = this.storageService.config.replicaProvider;
+      if (
+        autoSync &&
+        replicaProvider &&
+        !stored.copies.some((copy) => copy.provider === replicaProvider)
+      ) {
         // Sincronizar de forma asíncrona (no bloqueante)
         this._scheduleRsyncSync(fileRecord._id).catch((error) => {
           console.error(
@@ -206,6 +281,9 @@ export class FileService {
         });
       }
 
+      // Extraer el texto para la búsqueda por contenido (segundo plano)
+      await this.documentSearchService.enqueueFile(fileRecord);
+
       console.log(`✅ Archivo subido exitosamente: ${fileRecord.systemName}`);
 
       return await this._populateFileData(fileRecord);
@@ -444,125 +522,20 @@ export class FileService {
         throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
       }
 
-      // Preparar datos de actualización
-      const updatePayload = { ...updateData };
-
-      // Si se está cambiando el estado, auto-rellenar campos según el estado
+      // El estado y la revisión solo cambian con el flujo de revisión
+      // (submitForReview / approveFile / rejectFile): revisores asignados,
+      // aprobaciones requeridas, historial y sello de verificación
       if (updateData.status && updateData.status !== existingFile.status) {
-        updatePayload.review = updatePayload.review || {};
-
-        switch (updateData.status) {
-          case "REVIEW":
-            // Para estado REVIEW, asignar revisor y fecha de revisión
-            if (!updatePayload.review.reviewedBy) {
-              updatePayload.review.reviewedBy = userData.userId;
-            }
-            if (!updatePayload.review.reviewDate) {
-              updatePayload.review.reviewDate = new Date();
-            }
-            break;
-
-          case "APPROVED":
-            // Para estado APPROVED, asignar aprobador y fecha de aprobación
-            if (!updatePayload.review.approvedBy) {
-              updatePayload.review.approvedBy = userData.userId;
-            }
-            if (!updatePayload.review.approvalDate) {
-              updatePayload.review.approvalDate = new Date();
-            }
-
-            // Si no hay revisor asignado, usar el mismo usuario
-            if (!updatePayload.review.reviewedBy) {
-              updatePayload.review.reviewedBy = userData.userId;
-            }
-            if (!updatePayload.review.reviewDate) {
-              updatePayload.review.reviewDate = new Date();
-            }
-            break;
-
-          case "REJECTED":
-            // Para estado REJECTED, validar que hay razón de rechazo
-            if (!updatePayload.review.rejectionReason) {
-              throw createError(
-                ERROR_CODES.INVALID_OPERATION,
-                "No se puede rechazar el archivo sin especificar la razón de rechazo",
-                400
-              );
-            }
-
-            // Asignar revisor y fecha
-            if (!updatePayload.review.reviewedBy) {
-              updatePayload.review.reviewedBy = userData.userId;
-            }
-            if (!updatePayload.review.reviewDate) {
-              updatePayload.review.reviewDate = new Date();
-            }
-            break;
-
-          case "OBSOLETE":
-          case "ARCHIVED":
-            // Para estados de archivo, registrar quién realizó la acción
-            updatePayload.audit = updatePayload.audit || {};
-            if (!updatePayload.audit.lastModifiedBy) {
-              updatePayload.audit.lastModifiedBy = userData.userId;
-            }
-            break;
-        }
-      }
-
-      // Validaciones específicas por estado
-      if (updateData.status) {
-        switch (updateData.status) {
-          case "REVIEW":
-            if (!updatePayload.review?.observations) {
-              throw createError(
-                ERROR_CODES.INVALID_OPERATION,
-                "No se puede cambiar el estado a REVIEW sin observaciones",
-                400
-              );
-            }
-            break;
-
-          case "APPROVED":
-            if (!updatePayload.review?.observations) {
-              throw createError(
-                ERROR_CODES.INVALID_OPERATION,
-                "No se puede cambiar el estado a APPROVED sin observaciones",
-                400
-              );
-            }
-            break;
-
-          case "REJECTED":
-            if (!updatePayload.review?.rejectionReason) {
-              throw createError(
-                ERROR_CODES.INVALID_OPERATION,
-                "No se puede cambiar el estado a REJECTED sin razón de rechazo",
-                400
-              );
-            }
-            break;
-        }
-      }
-
-      // Si hay observaciones en la revisión pero no hay revisor asignado
-      if (
-        updatePayload.review?.observations &&
-        !updatePayload.review.reviewedBy
-      ) {
-        updatePayload.review.reviewedBy = userData.userId;
-        updatePayload.review.reviewDate = new Date();
+        throw createError(
+          ERROR_CODES.INVALID_OPERATION,
+          "El estado del archivo solo puede cambiarse mediante el flujo de revisión (enviar a revisión, aprobar o rechazar)",
+          400
+        );
       }
+      const updatePayload = { ...updateData };
 
       // Campos permitidos para actualización - EXPANDIDOS
       const allowedFields = [
-        "status",
-        "review.observations",
-        "review.reviewedBy",
-        "review.reviewDate",
-        "review.approvedBy",
-        "review.approvalDate",
-        "review.rejectionReason",
         "displayName",
         "description",
         "documentType",
@@ -614,9 +587,8 @@ export class FileService {
         fileId,
         {
           userId: userData.userId,
-          action: updateData.status,
-          observations:
-            updateData.observations || updateData.rejectionReason || "",
+          action: "UPDATE",
+          observations: updateData.observations || "",
           source: "web",
           ipAddress: userData.ipAddress,
           userAgent: userData.userAgent,
@@ -637,6 +609,591 @@ export class FileService {
     }
   }
 
+  // =============================================================================
+  // FLUJO DE REVISIÓN Y APROBACIÓN
+  // =============================================================================
+
+  /**
+   * Enviar un archivo a revisión
+   * Solo archivos en borrador o rechazados (nueva ronda tras corrección)
+   * @param {String} fileId - ID del archivo
+   * @param {Object} reviewData - reviewers (opcional), observations
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Archivo en revisión
+   */
+  async submitForReview(fileId, reviewData = {}, userData = {}) {
+    try {
+      validateObjectId(fileId, "ID del archivo");
+
+      console.log(`📨 Service: Enviando archivo a revisión: ${fileId}`);
+
+      const file = await this._getReviewableFile(fileId);
+      this._assertStatus(file, ["DRAFT", "REJECTED"], "enviar a revisión");
+
+      const reviewers = [
+        ...new Set((reviewData.reviewers || []).map((id) => id.toString())),
+      ];
+      reviewers.forEach((id) => validateObjectId(id, "ID del revisor"));
+
+      const context = await this._getReviewContext(file);
+      const { requiresApproval, requiredApprovals } = context.requirements;
+
+      if (requiresApproval && reviewers.includes(userData.userId?.toString())) {
+        throw createValidationError(
+          "Quien envía el documento no puede ser su revisor"
+        );
+      }
+      if (reviewers.length > 0 && reviewers.length < requiredApprovals) {
+        throw createValidationError(
+          `La fase requiere ${requiredApprovals} aprobaciones y solo se asignaron ${reviewers.length} revisores`
+        );
+      }
+
+      const updatedFile = await this.fileRepository.startReview(
+        fileId,
+        ["DRAFT", "REJECTED"],
+        {
+          submittedBy: userData.userId,
+          reviewers,
+          requiredApprovals,
+          observations: reviewData.observations,
+        }
+      );
+      if (!updatedFile) {
+        throw createError(
+          ERROR_CODES.CONFLICT,
+          "El archivo cambió de estado mientras se enviaba a revisión",
+          409
+        );
+      }
+
+      await this._addReviewLogEntry(
+        fileId,
+        "SUBMIT_REVIEW",
+        reviewData.observations,
+        userData
+      );
+
+      // Notificar a los revisores asignados o a los responsables del departamento
+      const recipients =
+        reviewers.length > 0
+          ? reviewers
+          : (
+              await this.departmentRepository.findResponsibleUserIds(
+                file.department || context.contract?.requestingDepartment
+              )
+            ).filter((id) => id !== userData.userId?.toString());
+
+      for (const reviewer of recipients) {
+        await this._notifySafely(() =>
+          this.notificationService.notifyDocumentUploaded({
+            contractId: file.contract,
+            phaseId: file.phase,
+            documentId: file._id,
+            uploadedBy: userData.userId,
+            nextReviewer: reviewer,
+            contractNumber: context.contract?.contractNumber,
+            phaseName: context.phase?.name,
+            documentName: file.displayName || file.originalName,
+            sendEmail: true,
+          })
+        );
+      }
+
+      console.log(
+        `✅ Service: Archivo en revisión (ronda ${updatedFile.review.round}, ${requiredApprovals} aprobaciones requeridas)`
+      );
+
+      return await this._populateFileData(updatedFile);
+    } catch (error) {
+      console.error(
+        `❌ Service: Error enviando archivo a revisión: ${error.message}`
+      );
+      throw this._wrapReviewError(error, "Error al enviar a revisión");
+    }
+  }
+
+  /**
+   * Aprobar un archivo en revisión
+   * El archivo pasa a APPROVED al completar las aprobaciones requeridas por la fase
+   * @param {String} fileId - ID del archivo
+   * @param {Object} approvalData - observations
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Archivo actualizado con el progreso de aprobación
+   */
+  async approveFile(fileId, approvalData = {}, userData = {}) {
+    try {
+      validateObjectId(fileId, "ID del archivo");
+
+      console.log(`👍 Service: Aprobando archivo: ${fileId}`);
+
+      const file = await this._getReviewableFile(fileId);
+      this._assertStatus(file, ["REVIEW"], "aprobar");
+
+      const context = await this._getReviewContext(file);
+      this._assertCanReview(file, userData, context.requirements);
+
+      if (
+        (file.review.approvals || []).some(
+          (a) => a.user.toString() === userData.userId?.toString()
+        )
+      ) {
+        throw createError(
+          ERROR_CODES.ALREADY_REVIEWED,
+          "Ya registró su aprobación para este documento",
+          409
+        );
+      }
+
+      let updatedFile = await this.fileRepository.addReviewApproval(fileId, {
+        user: userData.userId,
+        date: new Date(),
+        observations: approvalData.observations,
+      });
+      if (!updatedFile) {
+        throw createError(
+          ERROR_CODES.CONFLICT,
+          "El archivo cambió de estado o ya registró su aprobación",
+          409
+        );
+      }
+
+      const approvalsCount = updatedFile.review.approvals.length;
+      const requiredApprovals = updatedFile.review.requiredApprovals || 1;
+      const isFinalApproval = approvalsCount >= requiredApprovals;
+
+      if (isFinalApproval) {
+        updatedFile =
+          (await this.fileRepository.completeApproval(
+            fileId,
+            userData.userId
+          )) || updatedFile;
+      }
+
+      await this._addReviewLogEntry(
+        fileId,
+        "APPROVE",
+        approvalData.observations,
+        userData
+      );
+
+      // La solicitud de revisión queda atendida: la del revisor, o la de
+      // todos cuando se completan las aprobaciones
+      await this._notifySafely(() =>
+        this.notificationService.markDocumentReviewActioned(
+          file._id,
+          isFinalApproval ? null : userData.userId
+        )
+      );
+
+      await this._createDocumentHistoryEntry(file, context, userData, {
+        eventType: "DOCUMENT_APPROVAL",
+        action: "APPROVE",
+        description: isFinalApproval
+          ? `Documento "${file.displayName || file.originalName}" aprobado (${approvalsCount}/${requiredApprovals} aprobaciones)`
+          : `Aprobación ${approvalsCount} de ${requiredApprovals} para el documento "${file.displayName || file.originalName}"`,
+        changesData: {
+          round: updatedFile.review.round,
+          approvals: approvalsCount,
+          requiredApprovals,
+          finalApproval: isFinalApproval,
+          observations: approvalData.observations,
+        },
+      });
+
+      // La versión sellada reemplaza al archivo en el contrato antes de
+      // recalcular el avance de la fase
+      const stampedVersion =
+        isFinalApproval && this.config.stampOnApproval
+          ? await this._stampSafely(fileId, userData)
+          : null;
+
+      if (isFinalApproval) {
+        await this._refreshPhaseCompletion(file, userData);
+        await this._notifySafely(() =>
+          this.notificationService.notifyDocumentApproved({
+            contractId: file.contract,
+            phaseId: file.phase,
+            documentId: file._id,
+            approvedBy: userData.userId,
+            uploader: file.review.submittedBy || file.audit.uploadedBy,
+            contractNumber: context.contract?.contractNumber,
+            phaseName: context.phase?.name,
+            documentName: file.displayName || file.originalName,
+          })
+        );
+      }
+
+      console.log(
+        `✅ Service: Aprobación registrada (${approvalsCount}/${requiredApprovals})`
+      );
+
+      const result = await this._populateFileData(updatedFile);
+      if (stampedVersion) {
+        result.stampedVersion = this._summarizeStampedVersion(stampedVersion);
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Service: Error aprobando archivo: ${error.message}`);
+      throw this._wrapReviewError(error, "Error al aprobar archivo");
+    }
+  }
+
+  /**
+   * Rechazar un archivo en revisión
+   * Un solo rechazo devuelve el documento a quien lo envió
+   * @param {String} fileId - ID del archivo
+   * @param {Object} rejectionData - reason (obligatorio)
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Archivo rechazado
+   */
+  async rejectFile(fileId, rejectionData = {}, userData = {}) {
+    try {
+      validateObjectId(fileId, "ID del archivo");
+
+      const reason = rejectionData.reason?.trim();
+      if (!reason || reason.length < 5) {
+        throw createValidationError(
+          "La razón de rechazo es obligatoria (mínimo 5 caracteres)"
+        );
+      }
+
+      console.log(`👎 Service: Rechazando archivo: ${fileId}`);
+
+      const file = await this._getReviewableFile(fileId);
+      this._assertStatus(file, ["REVIEW"], "rechazar");
+
+      const context = await this._getReviewContext(file);
+      this._assertCanReview(file, userData, context.requirements);
+
+      const updatedFile = await this.fileRepository.rejectReview(fileId, {
+        reason,
+        userId: userData.userId,
+      });
+      if (!updatedFile) {
+        throw createError(
+          ERROR_CODES.CONFLICT,
+          "El archivo cambió de estado mientras se rechazaba",
+          409
+        );
+      }
+
+      await this._addReviewLogEntry(fileId, "REJECT", reason, userData);
+      await this._refreshPhaseCompletion(file, userData);
+
+      // La ronda terminó: ningún revisor tiene pendiente el documento
+      await this._notifySafely(() =>
+        this.notificationService.markDocumentReviewActioned(file._id)
+      );
+
+      await this._createDocumentHistoryEntry(file, context, userData, {
+        eventType: "DOCUMENT_REJECTION",
+        action: "REJECT",
+        description: `Documento "${file.displayName || file.originalName}" rechazado: ${reason}`,
+        changesData: {
+          round: updatedFile.review.round,
+          approvalsBeforeRejection: (file.review.approvals || []).length,
+          requiredApprovals: file.review.requiredApprovals,
+          reason,
+        },
+      });
+
+      await this._notifySafely(() =>
+        this.notificationService.notifyDocumentRejected({
+          contractId: file.contract,
+          phaseId: file.phase,
+          documentId: file._id,
+          rejectedBy: userData.userId,
+          uploader: file.review.submittedBy || file.audit.uploadedBy,
+          reason,
+          contractNumber: context.contract?.contractNumber,
+          phaseName: context.phase?.name,
+          documentName: file.displayName || file.originalName,
+        })
+      );
+
+      console.log(`✅ Service: Archivo rechazado: ${fileId}`);
+
+      return await this._populateFileData(updatedFile);
+    } catch (error) {
+      console.error(`❌ Service: Error rechazando archivo: ${error.message}`);
+      throw this._wrapReviewError(error, "Error al rechazar archivo");
+    }
+  }
+
+  /**
+   * Sellar con QR de verificación un PDF ya aprobado (p. ej. aprobado antes
+   * de habilitar el sello o si el sello automático falló)
+   * @param {String} fileId - ID del archivo aprobado
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<Object>} Versión sellada
+   */
+  async stampVerification(fileId, userData = {}) {
+    try {
+      const stamped = await this.documentVerificationService.stampApprovedFile(
+        fileId,
+        userData
+      );
+      if (!stamped) {
+        throw createValidationError(
+          "Solo se pueden sellar documentos PDF sin firmas electrónicas"
+        );
+      }
+
+      await this._afterStamp(stamped, userData);
+
+      const result = await this._populateFileData(stamped);
+      result.stampedVersion = this._summarizeStampedVersion(stamped);
+      return result;
+    } catch (error) {
+      console.error(`❌ Service: Error sellando archivo: ${error.message}`);
+      throw this._wrapReviewError(error, "Error al sellar el documento");
+    }
+  }
+
+  /**
+   * El sello no debe impedir la aprobación: si falla se puede aplicar
+   * después con stampVerification()
+   * @private
+   */
+  async _stampSafely(fileId, userData) {
+    try {
+      const stamped = await this.documentVerificationService.stampApprovedFile(
+        fileId,
+        userData
+      );
+      if (stamped) await this._afterStamp(stamped, userData);
+      return stamped;
+    } catch (error) {
+      console.error(
+        `⚠️ Error sellando el documento aprobado ${fileId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Registrar el sello en el historial y programar la réplica de la versión
+   * sellada
+   * @private
+   */
+  async _afterStamp(stamped, userData) {
+    await this._addReviewLogEntry(
+      stamped._id,
+      "VERIFICATION_STAMP",
+      `Código de verificación ${stamped.verification.code}`,
+      userData
+    );
+    await this.documentSearchService.enqueueFile(stamped);
+
+    const replicaProvider = this.storageService.config.replicaProvider;
+    if (
+      this.config.autoSync &&
+      replicaProvider &&
+      !stamped.storage.copies.some((copy) => copy.provider === replicaProvider)
+    ) {
+      this._scheduleRsyncSync(stamped._id).catch((error) => {
+        console.error(
+          `⚠️ Error programando sincronización para ${stamped.systemName}: ${error.message}`
+        );
+      });
+    }
+  }
+
+  _summarizeStampedVersion(stamped) {
+    return {
+      fileId: stamped._id,
+      version: stamped.versionInfo.version,
+      verificationCode: stamped.verification.code,
+      verificationUrl: this.documentVerificationService.buildVerificationUrl(
+        stamped.verification.code
+      ),
+    };
+  }
+
+  /**
+   * Obtener archivo vigente apto para el flujo de revisión
+   * @private
+   */
+  async _getReviewableFile(fileId) {
+    const file = await this.fileRepository.model.findById(fileId);
+
+    if (!file || file.deletedAt || !file.isActive) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
+    }
+    if (file.versionInfo?.isCurrentVersion === false) {
+      throw createError(
+        ERROR_CODES.INVALID_STATUS_TRANSITION,
+        "Solo la versión vigente del documento puede revisarse",
+        409
+      );
+    }
+
+    return file;
+  }
+
+  /**
+   * @private
+   */
+  _assertStatus(file, allowedStatuses, actionLabel) {
+    if (!allowedStatuses.includes(file.status)) {
+      throw createError(
+        ERROR_CODES.INVALID_STATUS_TRANSITION,
+        `No se puede ${actionLabel} un documento en estado ${file.status}. Estados permitidos: ${allowedStatuses.join(", ")}`,
+        409,
+        { currentStatus: file.status, allowedStatuses }
+      );
+    }
+  }
+
+  /**
+   * Verificar que el usuario pueda revisar el documento
+   * - Si hay revisores asignados, debe ser uno de ellos
+   * - Con aprobación formal, quien lo envió no puede aprobarlo ni rechazarlo
+   * @private
+   */
+  _assertCanReview(file, userData, requirements) {
+    const userId = userData.userId?.toString();
+    const reviewers = (file.review.reviewers || []).map((id) => id.toString());
+
+    if (reviewers.length > 0 && !reviewers.includes(userId)) {
+      throw createError(
+        ERROR_CODES.REVIEWER_NOT_ALLOWED,
+        "No es revisor asignado de este documento",
+        403
+      );
+    }
+
+    if (
+      requirements.requiresApproval &&
+      file.review.submittedBy?.toString() === userId
+    ) {
+      throw createError(
+        ERROR_CODES.REVIEWER_NOT_ALLOWED,
+        "No puede revisar un documento que usted envió a revisión",
+        403
+      );
+    }
+  }
+
+  /**
+   * Contrato, fase y requisitos de aprobación del archivo
+   * @private
+   */
+  async _getReviewContext(file) {
+    const [contract, phase] = await Promise.all([
+      file.contract
+        ? this.contractRepository.model
+            .findById(file.contract)
+            .select("contractNumber contractType requestingDepartment")
+            .lean()
+        : null,
+      file.phase
+        ? this.contractPhaseRepository.model.findById(file.phase)
+        : null,
+    ]);
+
+    const requirements = phase
+      ? phase.getApprovalRequirements(contract?.contractType)
+      : { requiresApproval: true, requiredApprovals: 1 };
+
+    return { contract, phase, requirements };
+  }
+
+  async _addReviewLogEntry(fileId, action, observations, userData) {
+    await this.fileRepository.addChangeLogEntry(
+      fileId,
+      {
+        action,
+        observations: observations || "",
+        source: "web",
+        ipAddress: userData.ipAddress,
+        userAgent: userData.userAgent,
+      },
+      userData
+    );
+  }
+
+  async _createDocumentHistoryEntry(file, context, userData, entry) {
+    if (!file.contract) return;
+
+    try {
+      await this.contractHistoryRepository.create(
+        {
+          contract: file.contract,
+          eventType: entry.eventType,
+          description: entry.description.slice(0, 1000),
+          user: userData.userId,
+          changeDetails: {
+            documentInfo: {
+              documentId: file._id,
+              documentType: file.documentType,
+              documentName: file.displayName || file.originalName,
+              action: entry.action,
+            },
+          },
+          changesData: {
+            phase: file.phase,
+            phaseName: context.phase?.name,
+            ...entry.changesData,
+          },
+        },
+        userData
+      );
+    } catch (error) {
+      console.error("⚠️ Error creando entrada de historial:", error);
+    }
+  }
+
+  /**
+   * Las notificaciones no deben interrumpir el flujo de revisión
+   * @private
+   */
+  async _notifySafely(send) {
+    try {
+      await send();
+    } catch (error) {
+      console.error(`⚠️ Error enviando notificación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recalcular el avance de la fase del archivo (phases[].completionPercentage)
+   * y avanzar automáticamente si la fase lo tiene configurado
+   * @private
+   */
+  async _refreshPhaseCompletion(file, userData = {}) {
+    if (!file.contract || !file.phase) return;
+
+    try {
+      const completion =
+        await this.phaseChecklistService.refreshPhaseCompletion(
+          file.contract,
+          file.phase
+        );
+      if (completion?.isComplete) {
+        await this.phaseEngineService.handleChecklistUpdate(
+          file.contract,
+          file.phase,
+          userData
+        );
+      }
+    } catch (error) {
+      console.error(`⚠️ Error recalculando avance de fase: ${error.message}`);
+    }
+  }
+
+  _wrapReviewError(error, message) {
+    if (error.statusCode && error.statusCode < 500) {
+      return error;
+    }
+    return createError(
+      ERROR_CODES.UPDATE_ERROR,
+      `${message}: ${error.message}`,
+      500
+    );
+  }
+
   /**
    * Filtrar campos permitidos para actualización (versión corregida)
    * @param {Object} updateData - Datos a actualizar
@@ -740,19 +1297,18 @@ export class FileService {
           break;
 
         case "physical":
-          // Solo elimina archivo físico
-          await this.deletePhysicalFile(file.storage);
-          result.data = await this.fileRepository.update(fileId, {
-            physicallyDeleted: true,
-            physicallyDeletedAt: new Date(),
-            physicallyDeletedBy: user._id,
-          });
+          // Solo elimina las copias físicas
+          await this.deletePhysicalFile(file);
+          result.data = await this.fileRepository.markStorageCopiesDeleted(
+            fileId,
+            { "storage.storageProvider": "DELETED", "storage.blob": null }
+          );
           result.message = "Archivo físico eliminado exitosamente";
           break;
 
         case "permanent":
           // Hard delete del registro
-          await this.deletePhysicalFile(file.storage);
+          await this.deletePhysicalFile(file);
           await this.fileRepository.forceDelete(fileId, user);
           result.message =
             "Registro eliminado permanentemente de la base de datos";
@@ -760,16 +1316,21 @@ export class FileService {
 
         case "complete":
           // Elimina físico + soft delete
-          await this.deletePhysicalFile(file.storage);
+          await this.deletePhysicalFile(file);
           result.data = await this.fileRepository.softDelete(fileId, user);
-          await this.fileRepository.update(fileId, {
-            storageProvider: "DELETED",
+          await this.fileRepository.markStorageCopiesDeleted(fileId, {
+            "storage.storageProvider": "DELETED",
+            "storage.blob": null,
           });
           result.message =
             "Archivo eliminado completamente (físico y registro)";
           break;
       }
 
+      if (deleteType !== "physical") {
+        await this._refreshPhaseCompletion(file, user);
+      }
+
       return result;
     } catch (error) {
       console.error(`❌ Service: Error eliminando archivo: ${error.message}`);
@@ -781,37 +1342,27 @@ export class FileService {
     }
   }
 
-  async deletePhysicalFile(storage) {
-    const fs = require("fs").promises;
-    try {
-      switch (storage.storageProvider) {
-        case "LOCAL":
-          await fs.unlink(storage.localPath);
-          break;
-        case "AWS_S3":
-          /*await s3Client.deleteObject({
-            Bucket: storage.bucket,
-            Key: storage.path,
-          });*/
-          break;
-        case "AZURE":
-          //await azureClient.deleteBlob(storage.container, storage.path);
-          break;
-        case "GOOGLE_CLOUD":
-          //await googleClient.deleteBlob(storage.bucket, storage.path);
-          break;
-        case "RSYNC":
-          await rsyncClient.deleteFile(storage.path);
-          break;
-        case "DELETED":
-          break;
-      }
-    } catch (error) {
-      if (error.code !== "ENOENT") {
-        // Ignorar si el archivo no existe
-        throw new Error(`Error al eliminar archivo físico: ${error.message}`);
-      }
+  /**
+   * Eliminar las copias físicas del archivo en todos sus backends, junto
+   * con sus miniaturas, vistas de página y texto indexado
+   * @param {Object} file - Registro File
+   * @returns {Promise<Array>} Resultado por copia
+   */
+  async deletePhysicalFile(file) {
+    const results = await this.storageService.removeAll(file);
+    await this.filePreviewService.removeDerivatives(file);
+    await this.documentSearchService.removeFile(file._id);
+
+    const failed = results.filter((r) => r.error);
+    if (failed.length > 0) {
+      throw new Error(
+        `Error al eliminar archivo físico: ${failed
+          .map((r) => `${r.provider}: ${r.error}`)
+          .join("; ")}`
+      );
     }
+
+    return results;
   }
 
   // =============================================================================
@@ -819,15 +1370,24 @@ export class FileService {
   // =============================================================================
 
   /**
-   * Descargar archivo del sistema (VERSIÓN CORREGIDA - SIN REDUNDANCIA)
+   * Descargar archivo del sistema
+   * Admite peticiones condicionales (If-None-Match) y parciales (Range /
+   * If-Range) para que el visor de PDF cargue por páginas y las descargas
+   * interrumpidas se reanuden
    * @param {String} fileId - ID del archivo
-   * @param {Object} options - Opciones de descarga
-   * @returns {Promise<Object>} Stream y metadatos del archivo */
-  /**
-   * Descargar archivo del sistema (VERSIÓN CORREGIDA - SIN DUPLICADOS)
+   * @param {Object} options - source, userId, trackDownload, range (cabecera
+   *   Range), ifRange, ifNoneMatch (ETags ya parseados)
+   * @returns {Promise<Object>} { fileStream, range, notModified, metadata }
    */
   async downloadFile(fileId, options = {}) {
-    const { source = "auto", userId = null, trackDownload = true } = options;
+    const {
+      source = "auto",
+      userId = null,
+      trackDownload = true,
+      range = null,
+      ifRange = null,
+      ifNoneMatch = [],
+    } = options;
 
     try {
       console.log(`📥 Iniciando descarga de archivo: ${fileId}`);
@@ -835,139 +1395,220 @@ export class FileService {
       // 1. Obtener metadata del archivo
       const file = await this.fileRepository.findById(fileId);
       if (!file) {
-        throw new AppError("Archivo no encontrado", 404, "FILE_NOT_FOUND");
+        throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
+      }
+
+      // 2. GET condicional: no se toca el almacenamiento si el cliente ya
+      // tiene este contenido
+      const etag = this._getContentETag(file);
+      if (ifNoneMatch.includes("*") || ifNoneMatch.includes(etag)) {
+        return {
+          notModified: true,
+          metadata: this._buildDownloadMetadata(file, {
+            source: "client",
+            etag,
+          }),
+        };
       }
 
-      const cacheKey = tempFileService.generateCacheKey(fileId, 1);
+      const { cachePath, fileSource } = await this._getCachedCopy(file, source);
+      const stats = await fs.stat(cachePath);
 
-      // 2. VERIFICAR CACHÉ PRIMERO
-      const cacheCheck = await tempFileService.isCached(fileId, 1);
+      // 3. Rango solicitado (If-Range distinto del contenido actual = completo)
+      const byteRange = this._isIfRangeFresh(ifRange, file, etag)
+        ? this._parseRangeHeader(range, stats.size)
+        : null;
 
-      if (cacheCheck.cached) {
-        console.log(`✅ Usando archivo desde caché: ${file.systemName}`);
+      // Las lecturas parciales del visor no cuentan como nuevas descargas
+      if (trackDownload && userId && (!byteRange || byteRange.start === 0)) {
+        await this.trackDownload(fileId, userId, fileSource);
+      }
 
-        if (trackDownload && userId) {
-          await this.trackDownload(fileId, userId, "cache");
-        }
+      return {
+        fileStream: createReadStream(
+          cachePath,
+          byteRange ? { start: byteRange.start, end: byteRange.end } : {}
+        ),
+        range: byteRange,
+        notModified: false,
+        metadata: this._buildDownloadMetadata(file, {
+          source: fileSource,
+          etag,
+          size: stats.size,
+        }),
+      };
+    } catch (error) {
+      console.error(`❌ Error en downloadFile: ${error.message}`);
+      throw error;
+    }
+  }
 
-        const fileBuffer = await fs.readFile(cacheCheck.path);
+  /**
+   * Copia del archivo en la caché de descargas, trayéndola del
+   * almacenamiento si no está
+   * @private
+   */
+  async _getCachedCopy(file, source) {
+    const fileId = file._id.toString();
+    const cacheKey = tempFileService.generateCacheKey(fileId, 1);
+
+    // VERIFICAR CACHÉ PRIMERO
+    const cacheCheck = await tempFileService.isCached(fileId, 1);
+    if (cacheCheck.cached) {
+      console.log(`✅ Usando archivo desde caché: ${file.systemName}`);
+      return { cachePath: cacheCheck.path, fileSource: "cache" };
+    }
 
-        return {
-          fileStream: fileBuffer,
-          metadata: {
-            id: file._id,
-            originalName: file.originalName,
-            systemName: file.systemName,
-            mimeType: file.fileInfo.mimeType,
-            size: file.fileInfo.size,
-            source: "cache",
-            checksum: file.fileInfo.checksum,
-          },
-        };
-      }
+    // ADQUIRIR LOCK (si otro proceso está descargando, esperar)
+    const lockResult = await tempFileService.acquireLock(fileId, file.version);
 
-      // 3. ADQUIRIR LOCK (si otro proceso está descargando, esperar)
-      const lockResult = await tempFileService.acquireLock(
-        fileId,
-        file.version
-      );
+    // Si el lock indica que el archivo ya fue descargado por otro proceso
+    if (lockResult.fromCache && lockResult.cachePath) {
+      console.log(`♻️ Archivo descargado por otro proceso, usando caché`);
+      return { cachePath: lockResult.cachePath, fileSource: "cache" };
+    }
 
-      // Si el lock indica que el archivo ya fue descargado por otro proceso
-      if (lockResult.fromCache && lockResult.cachePath) {
-        console.log(`♻️ Archivo descargado por otro proceso, usando caché`);
+    // DESCARGAR ARCHIVO (este proceso tiene el lock)
+    let cachePath;
 
-        const fileBuffer = await fs.readFile(lockResult.cachePath);
+    try {
+      // Descargar directamente al caché desde la primera copia disponible
+      const downloaded = await this._downloadFromStorage(
+        file,
+        cacheKey,
+        source
+      );
+      cachePath = downloaded.path;
 
-        if (trackDownload && userId) {
-          await this.trackDownload(fileId, userId, "cache");
-        }
+      // Verificar descarga exitosa
+      await fs.access(cachePath, fs.constants.R_OK);
+      const stats = await fs.stat(cachePath);
 
-        return {
-          fileStream: fileBuffer,
-          metadata: {
-            id: file._id,
-            originalName: file.originalName,
-            systemName: file.systemName,
-            mimeType: file.fileInfo.mimeType,
-            size: file.fileInfo.size,
-            source: "cache",
-            checksum: file.fileInfo.checksum,
-          },
-        };
+      if (stats.size === 0) {
+        throw new Error("Archivo descargado está vacío");
       }
 
-      // 4. DESCARGAR ARCHIVO (este proceso tiene el lock)
-      let cachePath;
-      let fileSource;
+      console.log(
+        `✅ Descarga completada: ${file.systemName} (${stats.size} bytes)`
+      );
 
-      try {
-        fileSource = this._determineDownloadSource(file, source);
-        console.log(`📡 Descargando desde: ${fileSource}`);
+      // Guardar metadata en caché
+      tempFileService.registerCache(cacheKey, {
+        path: cachePath,
+        size: stats.size,
+        fileId,
+        version: file.version,
+      });
 
-        if (fileSource === "local") {
-          cachePath = await this._downloadFromLocal(file);
-        } else {
-          // Descargar directamente al caché (sin archivos temporales intermedios)
-          cachePath = await this._downloadFromRemote(file, cacheKey);
-        }
+      // Liberar lock con éxito
+      tempFileService.releaseLock(lockResult.lockKey, cachePath);
 
-        // Verificar descarga exitosa
-        await fs.access(cachePath, fs.constants.R_OK);
-        const stats = await fs.stat(cachePath);
+      return { cachePath, fileSource: downloaded.source };
+    } catch (downloadError) {
+      // Liberar lock con error
+      tempFileService.releaseLock(lockResult.lockKey, null);
 
-        if (stats.size === 0) {
-          throw new Error("Archivo descargado está vacío");
-        }
+      // Limpiar archivo parcial si existe
+      if (cachePath) {
+        await fs.unlink(cachePath).catch(() => {});
+      }
 
-        console.log(
-          `✅ Descarga completada: ${file.systemName} (${stats.size} bytes)`
-        );
+      throw downloadError;
+    }
+  }
 
-        // Guardar metadata en caché
-        tempFileService.registerCache(cacheKey, {
-          path: cachePath,
-          size: stats.size,
-          fileId,
-          version: file.version,
-        });
+  /**
+   * ETag fuerte del contenido: el checksum no cambia mientras el contenido
+   * sea el mismo (una versión nueva es otro registro)
+   * @private
+   */
+  _getContentETag(file) {
+    return (
+      file.fileInfo?.checksum ||
+      file.fileInfo?.hash ||
+      `${file._id}-${file.fileInfo?.size || 0}`
+    );
+  }
 
-        // Liberar lock con éxito
-        tempFileService.releaseLock(lockResult.lockKey, cachePath);
+  _buildDownloadMetadata(file, { source, etag, size }) {
+    return {
+      id: file._id,
+      originalName: file.originalName,
+      systemName: file.systemName,
+      mimeType: file.fileInfo.mimeType,
+      size: size ?? file.fileInfo.size,
+      source,
+      checksum: file.fileInfo.checksum,
+      etag,
+      lastModified: file.createdAt,
+    };
+  }
 
-        // Leer y retornar archivo
-        const cachedBuffer = await fs.readFile(cachePath);
+  /**
+   * If-Range: el rango solo se respeta si el cliente tiene el contenido
+   * actual (ETag igual o fecha no anterior a la del archivo)
+   * @private
+   */
+  _isIfRangeFresh(ifRange, file, etag) {
+    if (!ifRange) return true;
 
-        if (trackDownload && userId) {
-          await this.trackDownload(fileId, userId, fileSource);
-        }
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith("W/")) {
+      // Los ETag débiles nunca validan un rango
+      return value === `"${etag}"`;
+    }
 
-        return {
-          fileStream: cachedBuffer,
-          metadata: {
-            id: file._id,
-            originalName: file.originalName,
-            systemName: file.systemName,
-            mimeType: file.fileInfo.mimeType,
-            size: file.fileInfo.size,
-            source: fileSource,
-            checksum: file.fileInfo.checksum,
-          },
-        };
-      } catch (downloadError) {
-        // Liberar lock con error
-        tempFileService.releaseLock(lockResult.lockKey, null);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime()) || !file.createdAt) return false;
+    // Las fechas HTTP tienen resolución de segundos
+    return Math.floor(file.createdAt.getTime() / 1000) * 1000 <= date.getTime();
+  }
 
-        // Limpiar archivo parcial si existe
-        if (cachePath) {
-          await fs.unlink(cachePath).catch(() => {});
-        }
+  /**
+   * Interpretar la cabecera Range (un solo rango de bytes)
+   * Los rangos múltiples o mal formados se ignoran y se envía el archivo
+   * completo, como permite la especificación
+   * @param {String} header - Cabecera Range
+   * @param {Number} size - Tamaño total
+   * @returns {Object|null} { start, end } inclusivo, o null para respuesta completa
+   * @throws {CustomError} 416 si el rango no se puede satisfacer
+   * @private
+   */
+  _parseRangeHeader(header, size) {
+    if (!header || typeof header !== "string") return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+      // Sufijo: los últimos N bytes
+      const suffix = parseInt(match[2], 10);
+      start = Math.max(size - suffix, 0);
+      end = size - 1;
+      if (suffix === 0) start = size;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] === "" ? Infinity : parseInt(match[2], 10);
+      if (end < start) return null;
+    }
 
-        throw downloadError;
-      }
-    } catch (error) {
-      console.error(`❌ Error en downloadFile: ${error.message}`);
-      throw error;
+    if (start >= size) {
+      throw createError(
+        ERROR_CODES.RANGE_NOT_SATISFIABLE,
+        "El rango solicitado está fuera del archivo",
+        416,
+        { size }
+      );
     }
+
+    end = Math.min(end, size - 1);
+
+    // Rango que cubre todo el archivo: respuesta completa
+    if (start === 0 && end === size - 1) return null;
+
+    return { start, end };
   }
 
   // Aumentar contador de viewCount y/o downloadCount
@@ -1012,156 +1653,81 @@ export class FileService {
   }
 
   /**
-   * Descargar desde almacenamiento local (VERSIÓN CORREGIDA)
-   */
-  async _downloadFromLocal(file) {
-    const filePath = file.storage.localPath;
-
-    // Verificar que existe localmente
-    try {
-      await fs.access(filePath);
-      // ✅ CORRECCIÓN: Devolver la RUTA, no el contenido
-      return filePath;
-    } catch (error) {
-      throw createError(
-        ERROR_CODES.FILE_NOT_FOUND,
-        "Archivo no encontrado en almacenamiento local",
-        404
-      );
-    }
-  }
-
-  /**
-   * Descargar desde servidor remoto via RSync (DIRECTAMENTE AL CACHÉ)
+   * Descargar el archivo al caché a través del driver de su copia
+   * @param {Object} file - Registro File
+   * @param {String} cacheKey - Clave de caché
+   * @param {String} preferredSource - auto | local | remote | rsync | s3
+   * @returns {Promise<Object>} { path, source }
    */
-  async _downloadFromRemote(file, cacheKey) {
-    console.log(
-      `🌐 Service: Descargando desde servidor remoto: ${file.systemName}`
-    );
-
-    if (!file.storage?.path) {
-      throw createError(
-        ERROR_CODES.CONFIG_ERROR,
-        "El archivo no tiene configuración de almacenamiento remoto",
-        500
-      );
-    }
+  async _downloadFromStorage(file, cacheKey, preferredSource = "auto") {
+    const cacheDir = tempFileService.TEMP_DIR;
+    await fs.mkdir(cacheDir, { recursive: true });
+    const cachePath = path.join(cacheDir, `cache_${cacheKey}_${Date.now()}`);
 
     try {
-      // ✅ CORRECCIÓN: Descargar DIRECTAMENTE a la ruta de caché (sin temporales)
-      const cacheDir = tempFileService.TEMP_DIR;
-      await fs.mkdir(cacheDir, { recursive: true });
-
-      const timestamp = Date.now();
-      const cacheFileName = `cache_${cacheKey}_${timestamp}`;
-      const cachePath = path.join(cacheDir, cacheFileName);
-
-      console.log(`⬇️ Service: Descargando directamente a caché: ${cachePath}`);
+      const { provider } = await this.storageService.fetch(file, cachePath, {
+        provider: this._resolveDownloadProvider(preferredSource),
+      });
 
-      // Ejecutar rsync para descargar el archivo
-      const result = await this._executeRsyncDownload(
-        file.storage.path,
-        cachePath
+      console.log(
+        `✅ Service: ${file.systemName} descargado desde ${provider} a caché`
       );
-
-      if (!result.success) {
-        throw new Error(`Error en rsync: ${result.error}`);
-      }
-
-      // Verificar que el archivo se descargó correctamente
-      await fs.access(cachePath);
-      const stats = await fs.stat(cachePath);
-
-      if (stats.size === 0) {
-        throw new Error("Archivo descargado está vacío");
-      }
-
-      console.log(`✅ Archivo descargado: ${cachePath} (${stats.size} bytes)`);
-
-      // Retornar la ruta del archivo en caché (NO el contenido)
-      return cachePath;
+      return { path: cachePath, source: provider.toLowerCase() };
     } catch (error) {
-      console.error(`❌ Service: Error en descarga remota: ${error.message}`);
+      console.error(`❌ Service: Error en descarga: ${error.message}`);
 
-      // Mapear errores específicos de rsync
-      if (error.message.includes("No such file or directory")) {
+      if (
+        error.code === "ENOENT" ||
+        error.statusCode === 404 ||
+        error.message.includes("No such file or directory")
+      ) {
         throw createError(
-          ERROR_CODES.FILE_NOT_FOUND,
-          "Archivo no encontrado en el servidor remoto",
+          ERROR_CODES.NOT_FOUND,
+          "Archivo no encontrado en el almacenamiento",
           404
         );
-      } else if (error.message.includes("Permission denied")) {
+      } else if (
+        error.statusCode === 403 ||
+        error.message.includes("Permission denied")
+      ) {
         throw createError(
-          ERROR_CODES.PERMISSION_DENIED,
-          "Sin permisos para acceder al archivo remoto",
+          ERROR_CODES.FORBIDDEN,
+          "Sin permisos para acceder al archivo almacenado",
           403
         );
       } else if (
+        error.name === "TimeoutError" ||
         error.message.includes("Connection refused") ||
         error.message.includes("Network is unreachable")
       ) {
         throw createError(
-          ERROR_CODES.SERVICE_UNAVAILABLE,
-          "No se puede conectar al servidor remoto",
+          ERROR_CODES.STORAGE_UNAVAILABLE,
+          "No se puede conectar al servidor de almacenamiento",
           503
         );
-      } else {
-        throw createError(
-          ERROR_CODES.INTERNAL_ERROR,
-          `Error descargando archivo remoto: ${error.message}`,
-          500
-        );
       }
+
+      throw createError(
+        ERROR_CODES.STORAGE_ERROR,
+        `Error descargando archivo: ${error.message}`,
+        500
+      );
     }
   }
 
   /**
-   * Ejecutar rsync para descargar archivo
+   * Traducir la fuente solicitada al proveedor de almacenamiento
+   * "remote" se conserva por compatibilidad con clientes anteriores
+   * @private
    */
-  async _executeRsyncDownload(remotePath, localPath) {
-    try {
-      console.log(
-        `🔄 Service: Ejecutando rsync download: ${remotePath} -> ${localPath}`
-      );
-
-      const { host, user, module, port } = rsyncClient.config;
-
-      console.log("user", user);
-      console.log("host", host);
-      console.log("port", port);
-      console.log("module", module);
-      console.log("remotePath", remotePath);
-      console.log("localPath", localPath);
-
-      // CORRECCIÓN: El módulo rsync ya incluye la ruta base (/srv/expediente_data)
-      // No necesitamos agregar "srv/expediente_data" nuevamente
-      const remoteUrl = `rsync://${user}@${host}:${port}/${module}/${remotePath}`;
-
-      // CORRECCIÓN: Para descarga, el ORDEN es crucial:
-      // ORIGEN: remoteUrl (archivo en servidor rsync)
-      // DESTINO: localPath (archivo local)
-      const formattedLocalPath = rsyncClient.formatPathForRsync(localPath);
-
-      console.log(`🔗 Service: URL remota (origen): ${remoteUrl}`);
-      console.log(`📁 Service: Ruta local (destino): ${formattedLocalPath}`);
-
-      // CORRECCIÓN: Ejecutar rsync con el orden correcto
-      // rsync [ORIGEN] [DESTINO] -> rsync [remoto] [local]
-      const result = await rsyncClient.executeRsync(
-        remoteUrl, // ORIGEN (remoto)
-        formattedLocalPath // DESTINO (local)
-      );
-
-      return {
-        success: true,
-        result,
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-      };
-    }
+  _resolveDownloadProvider(preferredSource) {
+    const sources = {
+      local: STORAGE_PROVIDERS.LOCAL,
+      remote: STORAGE_PROVIDERS.RSYNC,
+      rsync: STORAGE_PROVIDERS.RSYNC,
+      s3: STORAGE_PROVIDERS.S3,
+    };
+    return sources[(preferredSource || "").toLowerCase()] || null;
   }
 
   /**
@@ -1230,108 +1796,70 @@ export class FileService {
     return `cache_${file._id}_${file.fileInfo.checksum}`;
   }
 
-  /**
-   * Determinar fuente de descarga
-   */
-  _determineDownloadSource(file, preferredSource) {
-    if (preferredSource !== "auto") {
-      return preferredSource;
-    }
-
-    // Lógica automática para determinar la mejor fuente
-    const hasLocal = file.storage?.storageProvider === "LOCAL";
-    const hasRemote = file.storage?.storageProvider === "RSYNC";
-
-    if (hasLocal) {
-      return "local";
-    } else if (hasRemote) {
-      return "remote";
-    } else {
-      throw createError(
-        ERROR_CODES.CONFIG_ERROR,
-        "El archivo no tiene fuentes de descarga configuradas",
-        500
-      );
-    }
-  }
-
   // =============================================================================
   // OPERACIONES DE RSYNC Y SINCRONIZACIÓN
   // =============================================================================
 
   /**
-   * Sincronizar archivo específico con rsync
+   * Replicar un archivo en otro backend de almacenamiento
    * @param {String} fileId - ID del archivo
-   * @param {Object} options - Opciones de sincronización
+   * @param {Object} options - provider (por defecto STORAGE_REPLICA_DRIVER),
+   *   forcePriority, updatePriority
    * @returns {Promise<Object>} Resultado de la sincronización
    */
   async syncFile(fileId, options = {}) {
     try {
       validateObjectId(fileId, "ID del archivo");
 
-      if (!this.config.rsyncEnabled) {
+      const { forcePriority = null, updatePriority = false } = options;
+      const requested =
+        options.provider || this.storageService.config.replicaProvider;
+      const provider = normalizeStorageProvider(requested);
+
+      if (!requested) {
         throw createError(
-          ERROR_CODES.SERVICE_UNAVAILABLE,
-          "Servicio de sincronización rsync no está habilitado",
+          ERROR_CODES.CONFIG_ERROR,
+          "No hay un backend de réplica configurado (STORAGE_REPLICA_DRIVER)",
           503
         );
       }
-
-      console.log(`🔄 Service: Sincronizando archivo: ${fileId}`);
-
-      const {
-        forcePriority = null,
-        resetRetries = false,
-        updatePriority = false,
-      } = options;
-
-      // Obtener archivo
-      const file = await this.fileRepository.findById(fileId);
-      if (!file) {
-        throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
-      }
-
-      if (!file.rsyncInfo) {
-        throw createError(
-          ERROR_CODES.INVALID_OPERATION,
-          "Este archivo no está configurado para rsync",
-          400
+      if (!provider) {
+        throw createValidationError(
+          `Proveedor de almacenamiento no soportado: ${requested}`
         );
       }
 
-      // Actualizar prioridad si se solicita
-      if (updatePriority && forcePriority) {
-        await this.fileRepository.updateById(fileId, {
-          "rsyncInfo.priority": forcePriority,
-        });
-      }
+      console.log(`🔄 Service: Replicando archivo ${fileId} en ${provider}`);
 
-      // Resetear reintentos si se solicita
-      if (resetRetries) {
-        await this.fileRepository.updateById(fileId, {
-          "rsyncInfo.syncRetries": 0,
-          "rsyncInfo.syncError": null,
-        });
+      const file = await this.fileRepository.model
+        .findOne({ _id: fileId, deletedAt: null })
+        .lean();
+      if (!file) {
+        throw createError(ERROR_CODES.NOT_FOUND, "Archivo no encontrado", 404);
       }
 
-      // Usar el método del modelo para sincronizar
-      const updatedFile = await this.fileRepository.findById(fileId);
-      const syncResult = await updatedFile.syncToRsync();
+      const extraSet =
+        updatePriority && forcePriority
+          ? { "rsyncInfo.priority": forcePriority }
+          : {};
+      const copy = await this._replicateFile(file, provider, extraSet);
 
-      console.log(`✅ Service: Archivo sincronizado: ${file.systemName}`);
+      console.log(`✅ Service: Archivo replicado: ${file.systemName}`);
 
       return {
         fileId,
         systemName: file.systemName,
-        syncResult,
-        status: syncResult.success ? "SYNCED" : "FAILED",
+        provider: copy.provider,
+        syncResult: copy,
+        status: copy.status,
       };
     } catch (error) {
       console.error(
         `❌ Service: Error sincronizando archivo: ${error.message}`
       );
+      if (error.statusCode) throw error;
       throw createError(
-        ERROR_CODES.SYNC_ERROR,
+        ERROR_CODES.STORAGE_ERROR,
         `Error en sincronización: ${error.message}`,
         500
       );
@@ -1339,7 +1867,7 @@ export class FileService {
   }
 
   /**
-   * Procesar cola de sincronización rsync
+   * Procesar cola de sincronización rsync (réplicas con rsyncInfo PENDING)
    * @param {Object} options - Opciones de procesamiento
    * @returns {Promise<Object>} Resultado del procesamiento
    */
@@ -1347,7 +1875,7 @@ export class FileService {
     try {
       if (!this.config.rsyncEnabled) {
         throw createError(
-          ERROR_CODES.SERVICE_UNAVAILABLE,
+          ERROR_CODES.STORAGE_UNAVAILABLE,
           "Servicio rsync no está habilitado",
           503
         );
@@ -1362,16 +1890,18 @@ export class FileService {
         "rsyncInfo.syncStatus": "PENDING",
         "rsyncInfo.syncRetries": { $lt: maxRetries },
         isActive: true,
+        deletedAt: null,
       };
 
       const sort = priorityFirst
         ? { "rsyncInfo.priority": -1, "audit.uploadedAt": 1 }
         : { "audit.uploadedAt": 1 };
 
-      const pendingFiles = await this.fileRepository.find(query, {
-        limit: batchSize,
-        sort,
-      });
+      const pendingFiles = await this.fileRepository.model
+        .find(query)
+        .sort(sort)
+        .limit(batchSize)
+        .lean();
 
       if (pendingFiles.length === 0) {
         console.log("📭 No hay archivos pendientes de sincronización");
@@ -1393,25 +1923,7 @@ export class FileService {
         try {
           console.log(`🔄 Procesando: ${file.systemName}`);
 
-          // Actualizar estado a SYNCING
-          await this.fileRepository.updateById(file._id, {
-            "rsyncInfo.syncStatus": "SYNCING",
-            "rsyncInfo.lastSyncAttempt": new Date(),
-          });
-
-          // Sincronizar usando rsync
-          const syncResult = await rsyncClient.transferFile(
-            file.storage.localPath,
-            file.systemName
-          );
-
-          // Actualizar estado exitoso
-          await this.fileRepository.updateById(file._id, {
-            "rsyncInfo.syncStatus": "SYNCED",
-            "rsyncInfo.syncedAt": new Date(),
-            "rsyncInfo.syncError": null,
-            "storage.publicUrl": this._generatePublicUrl(file.systemName),
-          });
+          await this._replicateFile(file, STORAGE_PROVIDERS.RSYNC);
 
           results.push({
             fileId: file._id,
@@ -1420,28 +1932,14 @@ export class FileService {
             syncStatus: "SYNCED",
           });
           successful++;
-
-          console.log(`✅ Sincronizado: ${file.systemName}`);
         } catch (error) {
-          console.error(
-            `❌ Error sincronizando ${file.systemName}: ${error.message}`
-          );
-
-          // Incrementar contador de reintentos y marcar como fallido
-          await this.fileRepository.updateById(file._id, {
-            "rsyncInfo.syncStatus": "FAILED",
-            "rsyncInfo.syncRetries": file.rsyncInfo.syncRetries + 1,
-            "rsyncInfo.syncError": error.message,
-            "rsyncInfo.lastSyncAttempt": new Date(),
-          });
-
           results.push({
             fileId: file._id,
             systemName: file.systemName,
             success: false,
             error: error.message,
             syncStatus: "FAILED",
-            retries: file.rsyncInfo.syncRetries + 1,
+            retries: (file.rsyncInfo?.syncRetries || 0) + 1,
           });
           failed++;
         }
@@ -1468,14 +1966,87 @@ export class FileService {
       console.error(
         `❌ Service: Error procesando cola rsync: ${error.message}`
       );
+      if (error.statusCode) throw error;
       throw createError(
-        ERROR_CODES.QUEUE_ERROR,
+        ERROR_CODES.STORAGE_ERROR,
         `Error procesando cola: ${error.message}`,
         500
       );
     }
   }
 
+  /**
+   * Copiar el archivo al backend indicado y registrar la copia
+   * Las réplicas rsync también actualizan rsyncInfo (estado de la cola)
+   * @private
+   */
+  async _replicateFile(file, provider, extraSet = {}) {
+    const isRsync = provider === STORAGE_PROVIDERS.RSYNC;
+
+    if (isRsync) {
+      await this.fileRepository.model.updateOne(
+        { _id: file._id },
+        {
+          $set: {
+            "rsyncInfo.syncStatus": "SYNCING",
+            "rsyncInfo.lastSyncAttempt": new Date(),
+          },
+        }
+      );
+    }
+
+    try {
+      const copy = await this.storageService.replicate(file, provider);
+
+      await this.fileRepository.recordStorageCopy(file._id, copy, {
+        ...extraSet,
+        ...(isRsync && {
+          "rsyncInfo.syncStatus": "SYNCED",
+          "rsyncInfo.lastSyncSuccess": copy.syncedAt,
+          "rsyncInfo.syncError": null,
+          "rsyncInfo.syncRetries": 0,
+          "rsyncInfo.remotePath": copy.location,
+          "rsyncInfo.remoteFileName": path.posix.basename(copy.key),
+          "rsyncInfo.remoteHash": copy.hash,
+          "rsyncInfo.remoteSize": copy.size,
+        }),
+      });
+      await this.storageService.recordSharedCopy(file, copy);
+
+      return copy;
+    } catch (error) {
+      console.error(
+        `❌ Error replicando ${file.systemName} en ${provider}: ${error.message}`
+      );
+
+      const retries = (file.rsyncInfo?.syncRetries || 0) + 1;
+      await this.fileRepository.recordStorageCopy(
+        file._id,
+        {
+          provider,
+          key: this.storageService.getCopies(file)[0]?.key || file.systemName,
+          isPrimary: false,
+          status: "FAILED",
+          error: error.message,
+        },
+        {
+          ...extraSet,
+          // Vuelve a la cola hasta agotar los reintentos
+          ...(isRsync && {
+            "rsyncInfo.syncStatus":
+              retries < (file.rsyncInfo?.maxRetries || 3)
+                ? "PENDING"
+                : "FAILED",
+            "rsyncInfo.syncRetries": retries,
+            "rsyncInfo.syncError": error.message,
+          }),
+        }
+      );
+
+      throw error;
+    }
+  }
+
   /**
    * Obtener estado de la cola de sincronización
    * @returns {Promise<Object>} Estado de la cola
@@ -1489,7 +2060,7 @@ export class FileService {
         };
       }
 
-      const stats = await this.fileRepository.aggregate([
+      const stats = await this.fileRepository.model.aggregate([
         {
           $match: {
             rsyncInfo: { $exists: true },
@@ -1666,17 +2237,22 @@ export class FileService {
    * Validar datos de subida
    * @param {Object} fileData - Datos del archivo
    * @param {Object} metadata - Metadatos
+   * @param {Number} maxFileSize - Tamaño máximo en bytes
    * @private
    */
-  async _validateUploadData(fileData, metadata) {
-    if (!fileData || !fileData.buffer) {
+  async _validateUploadData(
+    fileData,
+    metadata,
+    maxFileSize = this.config.maxFileSize
+  ) {
+    if (!fileData || (!fileData.buffer && !fileData.path)) {
       throw createValidationError("Se requiere el archivo a subir");
     }
 
     // Validar tamaño
-    if (fileData.size > this.config.maxFileSize) {
+    if (fileData.size > maxFileSize) {
       throw createValidationError(
-        `El archivo es demasiado grande. Máximo: ${Math.round(this.config.maxFileSize / 1024 / 1024)}MB`
+        `El archivo es demasiado grande. Máximo: ${Math.round(maxFileSize / 1024 / 1024)}MB`
       );
     }
 
@@ -1708,6 +2284,9 @@ export class FileService {
     if (metadata.phaseId) {
       validateObjectId(metadata.phaseId, "ID de la fase");
     }
+    if (metadata.departmentId) {
+      validateObjectId(metadata.departmentId, "ID del departamento");
+    }
   }
 
   /**
@@ -1735,48 +2314,59 @@ export class FileService {
       systemName = `${prefix}_${id}_${systemName}`;
     }
 
-    // Calcular checksum
-    const checksum = crypto
-      .createHash("sha256")
-      .update(fileData.buffer)
-      .digest("hex");
-
-    // Generar rutas
-    const localPath = path.join(this.config.uploadPath, systemName);
-    const remotePath = this.config.rsyncEnabled
-      ? path.join(process.env.RSYNC_REMOTE_PATH || "/files", systemName)
-      : null;
+    // Checksum calculado por crearMiddlewareArchivos o verificado por la
+    // subida por partes (o aquí si no viene)
+    const checksum =
+      fileData.checksum ||
+      crypto
+        .createHash("sha256")
+        .update(fileData.buffer || (await fs.readFile(fileData.path)))
+        .digest("hex");
 
     return {
       systemName,
       displayName: fileData.originalname,
       extension,
-      localPath,
-      remotePath,
       checksum,
     };
   }
 
   /**
-   * Guardar archivo localmente
-   * @param {Object} fileData - Datos del archivo
-   * @param {String} systemName - Nombre del sistema
+   * Firmas y protección del PDF subido. Los archivos en disco solo se
+   * cargan en memoria hasta el tamaño de la subida directa
    * @private
    */
-  async _saveFileLocally(fileData, systemName) {
-    try {
-      // Asegurar que el directorio existe
-      await fs.mkdir(this.config.uploadPath, { recursive: true });
-
-      const localPath = path.join(this.config.uploadPath, systemName);
-
-      // Guardar archivo
-      await fs.writeFile(localPath, fileData.buffer);
-
-      console.log(`💾 Archivo guardado localmente: ${localPath}`);
-    } catch (error) {
-      throw new Error(`Error guardando archivo localmente: ${error.message}`);
+  async _analyzeUploadedPdf(fileData) {
+    if (fileData.buffer) {
+      return await this.pdfSignatureService.analyzeUpload(
+        fileData.buffer,
+        fileData.mimetype
+      );
+    }
+    if (
+      fileData.mimetype !== "application/pdf" ||
+      fileData.size > this.config.maxFileSize
+    ) {
+      return {};
     }
+    return await this.pdfSignatureService.analyzeUpload(
+      await fs.readFile(fileData.path),
+      fileData.mimetype
+    );
+  }
+
+  /**
+   * Departamento del contrato, usado para elegir el backend de almacenamiento
+   * @private
+   */
+  async _getContractDepartment(contractId) {
+    if (!contractId) return null;
+
+    const contract = await this.contractRepository.model
+      .findById(contractId)
+      .select("requestingDepartment")
+      .lean();
+    return contract?.requestingDepartment || null;
   }
 
   /**
@@ -0,0 +1,543 @@
+// =============================================================================
+// src/module/exp-digital/services/integrity-scrub.service.js
+// Verificación periódica de integridad de las copias de archivos
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { FileRepository } from "../repositories/file.repository.js";
+import { IntegrityReportRepository } from "../repositories/integrity-report.repository.js";
+import { StorageService } from "./storage.service.js";
+import { STORAGE_PROVIDERS } from "../../../config/storage/storage.drivers.js";
+import {
+  createError,
+  createValidationError,
+  ERROR_CODES,
+} from "../../../../utils/error.util.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Estados de copia que se vuelven a leer en cada verificación
+const VERIFIABLE_COPY_STATUSES = ["SYNCED", "CORRUPTED", "MISSING"];
+
+const REPORT_CSV_COLUMNS = [
+  "file",
+  "contract",
+  "systemName",
+  "originalName",
+  "provider",
+  "key",
+  "problem",
+  "expectedHash",
+  "actualHash",
+  "repaired",
+  "repairedFrom",
+  "detail",
+];
+
+export class IntegrityScrubService {
+  constructor() {
+    this.fileRepository = new FileRepository();
+    this.integrityReportRepository = new IntegrityReportRepository();
+    this.storageService = new StorageService();
+
+    this.config = {
+      batchSize: parseInt(process.env.FILE_INTEGRITY_BATCH_SIZE) || 50,
+      // Máximo de archivos por ejecución; el resto queda para la siguiente
+      maxFilesPerRun: parseInt(process.env.FILE_INTEGRITY_MAX_FILES) || 500,
+      // Un archivo no se vuelve a verificar antes de este intervalo
+      recheckHours: parseInt(process.env.FILE_INTEGRITY_RECHECK_HOURS) || 168,
+      autoRepair: process.env.FILE_INTEGRITY_AUTO_REPAIR !== "false",
+      tempDir: path.resolve(process.env.RSYNC_TEMP_DIR || "./temp"),
+    };
+  }
+
+  /**
+   * Verificar un lote de archivos, empezando por los revisados hace más tiempo
+   * @param {Object} options - now, trigger, triggeredBy, maxFiles, batchSize, repair
+   * @returns {Promise<Object>} Resumen con el ID del reporte generado
+   */
+  async scrub(options = {}) {
+    const {
+      now = new Date(),
+      trigger = "SCHEDULED",
+      triggeredBy,
+      maxFiles = this.config.maxFilesPerRun,
+      batchSize = this.config.batchSize,
+      repair = this.config.autoRepair,
+    } = options;
+
+    console.log(
+      `🛡️ Service: Verificación de integridad iniciada (máx. ${maxFiles} archivos)`
+    );
+
+    const report = await this.integrityReportRepository.startReport({
+      trigger,
+      triggeredBy,
+    });
+
+    const summary = {
+      filesChecked: 0,
+      skipped: 0,
+      copiesChecked: 0,
+      filesVerified: 0,
+      mismatches: 0,
+      missing: 0,
+      errors: 0,
+      repaired: 0,
+      unrecoverable: 0,
+    };
+    const issues = [];
+    const processedIds = [];
+    const recheckBefore = new Date(
+      now.getTime() - this.config.recheckHours * HOUR_MS
+    );
+
+    try {
+      while (processedIds.length < maxFiles) {
+        const files = await this.fileRepository.model
+          .find({
+            _id: { $nin: processedIds },
+            isActive: true,
+            "storage.storageProvider": { $ne: "DELETED" },
+            $or: [
+              { "integrity.lastCheckedAt": null },
+              { "integrity.lastCheckedAt": { $lt: recheckBefore } },
+            ],
+          })
+          .sort({ "integrity.lastCheckedAt": 1, _id: 1 })
+          .limit(Math.min(batchSize, maxFiles - processedIds.length))
+          .select(
+            "contract systemName originalName fileInfo storage rsyncInfo integrity"
+          )
+          .lean();
+
+        if (files.length === 0) break;
+
+        for (const file of files) {
+          processedIds.push(file._id);
+
+          try {
+            const result = await this.verifyFile(file, {
+              now,
+              repair,
+              reportId: report._id,
+            });
+            this._accumulate(summary, result);
+            issues.push(...result.issues);
+          } catch (error) {
+            console.error(
+              `❌ Service: Error verificando ${file.systemName}: ${error.message}`
+            );
+            summary.errors++;
+            issues.push(
+              this._buildIssue(file, null, {
+                problem: "ERROR",
+                detail: error.message,
+              })
+            );
+          }
+        }
+      }
+
+      await this.integrityReportRepository.finishReport(report._id, {
+        status: "COMPLETED",
+        summary,
+        issues,
+      });
+    } catch (error) {
+      console.error(
+        `❌ Service: Verificación de integridad interrumpida: ${error.message}`
+      );
+      await this.integrityReportRepository.finishReport(report._id, {
+        status: "FAILED",
+        summary,
+        issues,
+        error,
+      });
+      throw error;
+    }
+
+    console.log(
+      `✅ Service: Integridad verificada en ${summary.filesChecked} archivos - ${summary.mismatches} alterados, ${summary.missing} ausentes, ${summary.repaired} restaurados`
+    );
+
+    return { reportId: report._id, ...summary };
+  }
+
+  /**
+   * Verificar todas las copias de un archivo contra fileInfo.checksum y
+   * restaurar las dañadas desde una copia íntegra
+   * @param {Object} file - Registro File (lean)
+   * @param {Object} options - now, repair, reportId
+   * @returns {Promise<Object>} { status, copies, issues, skipped }
+   */
+  async verifyFile(file, { now = new Date(), repair = true, reportId } = {}) {
+    const expectedHash = file.fileInfo?.checksum || file.fileInfo?.hash;
+    const copies = this.storageService
+      .getCopies(file)
+      .filter((copy) => VERIFIABLE_COPY_STATUSES.includes(copy.status));
+
+    if (!expectedHash || copies.length === 0) {
+      await this.fileRepository.model.updateOne(
+        { _id: file._id },
+        {
+          $set: {
+            "integrity.lastCheckedAt": now,
+            "integrity.lastReport": reportId,
+          },
+        }
+      );
+
+      return {
+        skipped: true,
+        status: file.integrity?.status || "UNVERIFIED",
+        copies: [],
+        issues: expectedHash
+          ? []
+          : [
+              this._buildIssue(file, null, {
+                problem: "ERROR",
+                detail: "El archivo no tiene checksum registrado",
+              }),
+            ],
+      };
+    }
+
+    const workDir = path.join(
+      this.config.tempDir,
+      `integrity_${crypto.randomBytes(6).toString("hex")}`
+    );
+
+    try {
+      const checks = [];
+      for (const [index, copy] of copies.entries()) {
+        checks.push(
+          await this._checkCopy(
+            copy,
+            expectedHash,
+            path.join(workDir, `${index}_${copy.provider}`)
+          )
+        );
+      }
+
+      const healthy = checks.find((check) => check.state === "OK");
+
+      if (repair && healthy) {
+        for (const check of checks) {
+          if (check.state !== "MISMATCH" && check.state !== "MISSING") continue;
+          await this._repairCopy(file, check, healthy, expectedHash);
+        }
+      }
+
+      const status = this._resolveStatus(checks, file.integrity?.status);
+      const verifiedCopies = checks.map((check) =>
+        this._toVerifiedCopy(check, now)
+      );
+
+      await this.fileRepository.recordCopyVerification(
+        file._id,
+        verifiedCopies,
+        this._buildIntegritySet(file, checks, status, { now, reportId })
+      );
+
+      return {
+        skipped: false,
+        status,
+        copies: checks,
+        issues: checks
+          .filter((check) => check.state !== "OK")
+          .map((check) =>
+            this._buildIssue(file, check.copy, {
+              problem: check.problem,
+              expectedHash,
+              actualHash: check.hash,
+              repaired: check.state === "REPAIRED",
+              repairedFrom: check.repairedFrom,
+              detail: check.error,
+            })
+          ),
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // =============================================================================
+  // REPORTES
+  // =============================================================================
+
+  /**
+   * Listar reportes de verificación (sin el detalle de hallazgos)
+   */
+  async getReports(options = {}) {
+    return await this.integrityReportRepository.findReports(options);
+  }
+
+  /**
+   * Obtener un reporte con todos sus hallazgos
+   */
+  async getReport(reportId) {
+    const report = await this.integrityReportRepository.model
+      .findById(reportId)
+      .lean();
+
+    if (!report) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "Reporte de integridad no encontrado",
+        404
+      );
+    }
+
+    return report;
+  }
+
+  /**
+   * Generar el archivo descargable de un reporte
+   * @param {String} reportId - ID del reporte
+   * @param {String} format - json | csv
+   * @returns {Promise<Object>} { buffer, filename, contentType, sha256 }
+   */
+  async exportReport(reportId, format = "csv") {
+    const validFormats = ["json", "csv"];
+    if (!validFormats.includes(format)) {
+      throw createValidationError(
+        `Formato de reporte inválido. Formatos válidos: ${validFormats.join(", ")}`
+      );
+    }
+
+    const report = await this.getReport(reportId);
+    const date = new Date(report.startedAt).toISOString().split("T")[0];
+
+    const buffer =
+      format === "json"
+        ? Buffer.from(JSON.stringify(report, null, 2), "utf8")
+        : Buffer.from(this._toCsv(report.issues), "utf8");
+
+    return {
+      buffer,
+      filename: `reporte_integridad_${date}_${report._id}.${format}`,
+      contentType: format === "json" ? "application/json" : "text/csv",
+      // Permite demostrar que el reporte entregado no fue modificado
+      sha256: crypto.createHash("sha256").update(buffer).digest("base64"),
+    };
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Leer una copia y comparar su hash con el esperado
+   * @private
+   */
+  async _checkCopy(copy, expectedHash, destinationPath) {
+    try {
+      const { hash, size } = await this.storageService.hashCopy(
+        copy,
+        destinationPath
+      );
+
+      if (hash === expectedHash) {
+        return { copy, state: "OK", hash, size, path: destinationPath };
+      }
+
+      console.warn(
+        `⚠️ Service: Copia ${copy.provider} de ${copy.key} alterada (hash ${hash})`
+      );
+      return {
+        copy,
+        state: "MISMATCH",
+        problem: "MISMATCH",
+        hash,
+        size,
+        error: "El contenido no coincide con el checksum registrado",
+      };
+    } catch (error) {
+      const missing = error.code === "ENOENT";
+      return {
+        copy,
+        state: missing ? "MISSING" : "ERROR",
+        problem: missing ? "MISSING" : "ERROR",
+        hash: null,
+        error: missing
+          ? "La copia no existe en el backend de almacenamiento"
+          : error.message,
+      };
+    }
+  }
+
+  /**
+   * Reescribir una copia dañada con el contenido de la copia íntegra
+   * @private
+   */
+  async _repairCopy(file, check, healthy, expectedHash) {
+    try {
+      const restored = await this.storageService.restoreCopy(
+        check.copy,
+        healthy.path,
+        { contentType: file.fileInfo?.mimeType }
+      );
+
+      if (restored.hash && restored.hash !== expectedHash) {
+        throw new Error("La copia restaurada no coincide con el checksum");
+      }
+
+      console.log(
+        `🩹 Service: Copia ${check.copy.provider} de ${file.systemName} restaurada desde ${healthy.copy.provider}`
+      );
+      check.state = "REPAIRED";
+      check.restored = restored;
+      check.repairedFrom = healthy.copy.provider;
+    } catch (error) {
+      console.error(
+        `❌ Service: No se pudo restaurar ${check.copy.key} en ${check.copy.provider}: ${error.message}`
+      );
+      check.error = `${check.error}. Restauración fallida: ${error.message}`;
+    }
+  }
+
+  /**
+   * Estado de integridad del archivo según el resultado de sus copias
+   * Si ninguna copia pudo leerse se conserva el estado anterior
+   * @private
+   */
+  _resolveStatus(checks, previousStatus = "UNVERIFIED") {
+    const states = checks.map((check) => check.state);
+    const intact = states.some((s) => s === "OK" || s === "REPAIRED");
+    const damaged = states.some((s) => s === "MISMATCH" || s === "MISSING");
+
+    if (!intact) return damaged ? "COMPROMISED" : previousStatus;
+    if (damaged) return "DEGRADED";
+    return states.includes("REPAIRED") ? "REPAIRED" : "VERIFIED";
+  }
+
+  /**
+   * Copia con el resultado de la verificación (formato storage.copies[])
+   * @private
+   */
+  _toVerifiedCopy(check, now) {
+    switch (check.state) {
+      case "OK":
+        return {
+          ...check.copy,
+          status: "SYNCED",
+          hash: check.hash,
+          size: check.size,
+          verifiedAt: now,
+          error: null,
+        };
+      case "REPAIRED":
+        return { ...check.restored, verifiedAt: now };
+      case "MISMATCH":
+        return {
+          ...check.copy,
+          status: "CORRUPTED",
+          hash: check.hash,
+          size: check.size,
+          error: check.error,
+        };
+      case "MISSING":
+        return { ...check.copy, status: "MISSING", error: check.error };
+      default:
+        // Lectura no concluyente: se conserva el estado de la copia
+        return { ...check.copy, error: check.error };
+    }
+  }
+
+  /**
+   * Campos integrity y rsyncInfo a actualizar tras la verificación
+   * @private
+   */
+  _buildIntegritySet(file, checks, status, { now, reportId }) {
+    const set = {
+      "integrity.status": status,
+      "integrity.lastCheckedAt": now,
+      "integrity.lastReport": reportId,
+    };
+
+    if (
+      status === "VERIFIED" ||
+      status === "REPAIRED" ||
+      status === "DEGRADED"
+    ) {
+      set["integrity.lastVerifiedAt"] = now;
+    }
+
+    // rsyncInfo conserva el hash recalculado de la copia remota
+    // (una copia ausente y restaurada no tiene hash leído, pero sí restaurado)
+    const rsyncCheck = checks.find(
+      (check) =>
+        check.copy.provider === STORAGE_PROVIDERS.RSYNC &&
+        (check.state === "REPAIRED" || check.hash !== null)
+    );
+    if (rsyncCheck) {
+      const remote =
+        rsyncCheck.state === "REPAIRED" ? rsyncCheck.restored : rsyncCheck;
+      set["rsyncInfo.remoteHash"] = remote.hash;
+      set["rsyncInfo.remoteSize"] = remote.size;
+      set["rsyncInfo.verificationDate"] = now;
+    }
+
+    return set;
+  }
+
+  _buildIssue(file, copy, fields) {
+    return {
+      file: file._id,
+      contract: file.contract || null,
+      systemName: file.systemName,
+      originalName: file.originalName,
+      provider: copy?.provider || null,
+      key: copy?.key || null,
+      expectedHash: file.fileInfo?.checksum || file.fileInfo?.hash || null,
+      actualHash: null,
+      repaired: false,
+      repairedFrom: null,
+      detail: null,
+      ...fields,
+    };
+  }
+
+  _accumulate(summary, result) {
+    if (result.skipped) {
+      summary.skipped++;
+      return;
+    }
+
+    summary.filesChecked++;
+    summary.copiesChecked += result.copies.length;
+
+    for (const check of result.copies) {
+      if (check.problem === "MISMATCH") summary.mismatches++;
+      if (check.problem === "MISSING") summary.missing++;
+      if (check.problem === "ERROR") summary.errors++;
+      if (check.state === "REPAIRED") summary.repaired++;
+    }
+
+    if (result.status === "VERIFIED" || result.status === "REPAIRED") {
+      summary.filesVerified++;
+    }
+    if (result.status === "COMPROMISED") {
+      summary.unrecoverable++;
+    }
+  }
+
+  _toCsv(issues = []) {
+    const escape = (value) => {
+      const text =
+        value === null || value === undefined ? "" : value.toString();
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      REPORT_CSV_COLUMNS.join(","),
+      ...issues.map((issue) =>
+        REPORT_CSV_COLUMNS.map((column) => escape(issue[column])).join(",")
+      ),
+    ].join("\n");
+  }
+}
@@ -0,0 +1,294 @@
+// =============================================================================
+// src/module/exp-digital/services/notification-escalation.service.js
+// Escalamiento de notificaciones con acción requerida no atendidas
+// GADM Cantón Esmeraldas - Notificaciones de expediente digital
+// =============================================================================
+
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import notificationRepository from "../../notifications/repositories/notification.repository.js";
+import notificationService from "../../notifications/services/notification.service.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Valores por defecto de DepartmentContractPoliciesExtension.contractPolicies.notifications
+// escalationMinutes en 0 desactiva el escalamiento del departamento
+const DEFAULT_NOTIFICATION_POLICY = {
+  escalationMinutes: 60,
+};
+
+export class NotificationEscalationService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+    this.departmentRepository = new DepartmentRepository();
+    this.notificationRepository = notificationRepository;
+    this.notificationService = notificationService;
+
+    // Antigüedad máxima de notificaciones a revisar
+    this.lookbackDays = parseInt(process.env.ESCALATION_LOOKBACK_DAYS) || 30;
+    // Usuario al que se atribuyen los registros de historial automáticos
+    this.systemUserId = process.env.SYSTEM_USER_ID || null;
+  }
+
+  /**
+   * Escalar las notificaciones con acción requerida que siguen sin leer ni
+   * atender después del umbral (escalationMinutes del departamento)
+   * Nivel 1: responsable del departamento del contrato; niveles siguientes:
+   * responsables de los departamentos padre (parentDepartment)
+   * @param {Object} options - now (fecha de referencia)
+   * @returns {Promise<Object>} Resumen de la revisión
+   */
+  async escalate({ now = new Date() } = {}) {
+    console.log(
+      `📢 Service: Revisando notificaciones sin atender al ${now.toISOString()}`
+    );
+
+    const summary = {
+      notificationsChecked: 0,
+      escalated: 0,
+      exhausted: 0,
+      errors: [],
+    };
+
+    const since = new Date(now.getTime() - this.lookbackDays * DAY_MS);
+    const candidates =
+      await this.notificationRepository.findEscalationCandidates(since);
+    const contextCache = new Map();
+
+    for (const notification of candidates) {
+      summary.notificationsChecked++;
+
+      try {
+        const context = await this._getContractContext(
+          notification.contract,
+          contextCache
+        );
+        if (!(context?.policy.escalationMinutes > 0)) continue;
+
+        const result = await this._escalateNotification(
+          notification,
+          context,
+          now
+        );
+        if (result === "ESCALATED") summary.escalated++;
+        if (result === "EXHAUSTED") summary.exhausted++;
+      } catch (error) {
+        console.error(
+          `❌ Service: Error escalando notificación ${notification._id}: ${error.message}`
+        );
+        summary.errors.push({
+          notificationId: notification._id,
+          error: error.message,
+        });
+      }
+    }
+
+    console.log(
+      `✅ Service: Escalamiento completado - ${summary.escalated} notificaciones escaladas`
+    );
+
+    return summary;
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Escalar una notificación al siguiente nivel si corresponde
+   * @returns {Promise<String|null>} "ESCALATED", "EXHAUSTED" o null
+   * @private
+   */
+  async _escalateNotification(notification, context, now) {
+    const escalation = notification.escalation || {};
+    const currentLevel = escalation.level || 0;
+    const nextLevel = currentLevel + 1;
+
+    // Cada nivel se alcanza tras escalationMinutes adicionales
+    const dueAt =
+      this._getReferenceDate(notification).getTime() +
+      nextLevel * context.policy.escalationMinutes * MINUTE_MS;
+    if (now.getTime() < dueAt) return null;
+
+    const target = await this._findNextTarget(notification, context.chain);
+    if (!target) {
+      await this.notificationRepository.markEscalationExhausted(
+        notification._id
+      );
+      return "EXHAUSTED";
+    }
+
+    const { department, recipients } = target;
+    const createdAtLabel = new Date(notification.createdAt).toLocaleString(
+      "es-EC"
+    );
+    const message = `Notificación sin atender desde el ${createdAtLabel} en el contrato ${context.contractNumber}: ${notification.message}`;
+
+    const created = await this.notificationService.createBulkNotifications(
+      recipients.map((userId) => ({
+        recipient: userId,
+        type: "ALERTA",
+        priority: "urgente",
+        title: `Escalamiento: ${notification.title}`.slice(0, 200),
+        message: message.slice(0, 1000),
+        contract: notification.contract,
+        phase: notification.phase,
+        document: notification.document,
+        metadata: {
+          actionUrl: notification.metadata?.actionUrl,
+          contractNumber: context.contractNumber,
+          phaseName: notification.metadata?.phaseName,
+          documentName: notification.metadata?.documentName,
+          dueDate: notification.metadata?.dueDate,
+          escalatedFrom: notification._id,
+        },
+        channels: {
+          inApp: true,
+          email: true,
+        },
+      }))
+    );
+
+    const entry = {
+      level: nextLevel,
+      department: department._id,
+      departmentName: department.name,
+      recipients,
+      notifications: created.map((n) => n._id),
+      escalatedAt: now,
+    };
+
+    const recorded = await this.notificationRepository.recordEscalation(
+      notification._id,
+      currentLevel,
+      entry
+    );
+    if (!recorded) return null; // Otro proceso ya registró este nivel
+
+    await this._createHistoryEntry(notification, context, entry);
+
+    console.log(
+      `📢 Service: Notificación ${notification._id} escalada a nivel ${nextLevel} (${department.name})`
+    );
+    return "ESCALATED";
+  }
+
+  /**
+   * Buscar el siguiente departamento de la cadena con responsables nuevos
+   * Se omiten departamentos ya usados y usuarios ya notificados
+   * @private
+   */
+  async _findNextTarget(notification, chain) {
+    const chainEntries = notification.escalation?.chain || [];
+    const usedDepartments = new Set(
+      chainEntries.map((e) => e.department?.toString())
+    );
+    const notifiedUsers = new Set([
+      notification.recipient.toString(),
+      ...chainEntries.flatMap((e) => (e.recipients || []).map(String)),
+    ]);
+
+    // Continuar desde el último departamento usado
+    const lastUsedIndex = chain.reduce(
+      (last, dept, index) =>
+        usedDepartments.has(dept._id.toString()) ? index : last,
+      -1
+    );
+
+    for (const department of chain.slice(lastUsedIndex + 1)) {
+      const responsibles =
+        await this.departmentRepository.findResponsibleUserIds(department._id);
+      const recipients = responsibles.filter((id) => !notifiedUsers.has(id));
+
+      if (recipients.length > 0) {
+        return { department, recipients };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * El plazo corre desde la fecha límite si es posterior a la creación
+   * @private
+   */
+  _getReferenceDate(notification) {
+    const createdAt = new Date(notification.createdAt);
+    const dueDate = notification.metadata?.dueDate
+      ? new Date(notification.metadata.dueDate)
+      : null;
+
+    return dueDate && dueDate > createdAt ? dueDate : createdAt;
+  }
+
+  /**
+   * Contrato, política de notificaciones y cadena de departamentos
+   * @private
+   */
+  async _getContractContext(contractId, cache) {
+    const key = contractId.toString();
+    if (cache.has(key)) return cache.get(key);
+
+    const contract = await this.contractRepository.model
+      .findById(contractId)
+      .select("contractNumber requestingDepartment")
+      .lean();
+
+    let context = null;
+    if (contract?.requestingDepartment) {
+      const chain = await this.departmentRepository.findAncestorChain(
+        contract.requestingDepartment
+      );
+      context = {
+        contractNumber: contract.contractNumber,
+        chain,
+        policy: {
+          ...DEFAULT_NOTIFICATION_POLICY,
+          ...(chain[0]?.contractPolicies?.notifications || {}),
+        },
+      };
+    }
+
+    cache.set(key, context);
+    return context;
+  }
+
+  async _createHistoryEntry(notification, context, entry) {
+    const userId =
+      this.systemUserId || notification.sender || notification.recipient;
+
+    try {
+      await this.contractHistoryRepository.create(
+        {
+          contract: notification.contract,
+          eventType: "NOTIFICATION_ESCALATION",
+          description: `Escalamiento nivel ${entry.level} de "${notification.title}" a ${entry.departmentName}`,
+          user: userId,
+          changesData: {
+            notificationId: notification._id,
+            notificationType: notification.type,
+            originalRecipient: notification.recipient,
+            level: entry.level,
+            department: entry.department,
+            departmentName: entry.departmentName,
+            recipients: entry.recipients,
+            chain: [...(notification.escalation?.chain || []), entry].map(
+              (e) => ({
+                level: e.level,
+                department: e.department,
+                departmentName: e.departmentName,
+                escalatedAt: e.escalatedAt,
+              })
+            ),
+          },
+        },
+        { userId }
+      );
+    } catch (error) {
+      console.error("Error creando entrada de historial:", error);
+    }
+  }
+}
@@ -0,0 +1,513 @@
+// =============================================================================
+// src/module/exp-digital/services/ocds-mapper.service.js
+// Mapeo de registros OCDS de SERCOP (Datos Abiertos) al modelo Contract
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+/**
+ * Etapas del proceso en SERCOP y su equivalente en el expediente
+ * phaseCategories: categorías de ContractPhase en orden de preferencia
+ */
+export const SERCOP_STAGE_MAPPING = {
+  planning: {
+    label: "Planificación",
+    generalStatus: "PREPARATION",
+    phaseCategories: ["PLANIFICACION", "PREPARACION"],
+  },
+  tender: {
+    label: "Convocatoria",
+    generalStatus: "CALL",
+    phaseCategories: ["CONVOCATORIA", "PRECONTRACTUAL"],
+  },
+  evaluation: {
+    label: "Evaluación de ofertas",
+    generalStatus: "EVALUATION",
+    phaseCategories: ["EVALUACION", "CONVOCATORIA", "PRECONTRACTUAL"],
+  },
+  award: {
+    label: "Adjudicación",
+    generalStatus: "AWARD",
+    phaseCategories: ["ADJUDICACION", "CONVOCATORIA", "PRECONTRACTUAL"],
+  },
+  contract: {
+    label: "Contratación",
+    generalStatus: "CONTRACTING",
+    phaseCategories: ["CONTRACTUAL", "EJECUCION"],
+  },
+  implementation: {
+    label: "Ejecución",
+    generalStatus: "EXECUTION",
+    phaseCategories: ["EJECUCION", "CONTRACTUAL"],
+  },
+  finished: {
+    label: "Terminado",
+    generalStatus: "FINISHED",
+    phaseCategories: ["LIQUIDACION", "EJECUCION"],
+  },
+};
+
+// Estados OCDS que anulan una adjudicación o un proceso
+const INACTIVE_STATUSES = ["cancelled", "unsuccessful", "withdrawn"];
+
+// Campos mapeados que no se concilian campo a campo: el estado lo gobierna
+// el motor de fases (se informa como deriva) y el OCID identifica el proceso
+const NON_RECONCILED_FIELDS = ["generalStatus", "metadata.sercopOcid"];
+
+const FIELD_LIMITS = {
+  contractualObject: { min: 10, max: 500 },
+  detailedDescription: { max: 2000 },
+  businessName: { max: 200 },
+};
+
+export class OcdsMapperService {
+  /**
+   * Obtener la release compilada de la respuesta de /record
+   * Acepta { records: [{ compiledRelease }] }, un paquete de releases o
+   * una release suelta
+   * @param {Object} payload - Respuesta de la API de SERCOP
+   * @returns {Object|null} Release compilada
+   */
+  extractRelease(payload) {
+    if (!payload || typeof payload !== "object") return null;
+
+    const record = Array.isArray(payload.records)
+      ? payload.records[0]
+      : payload.compiledRelease || payload.releases
+        ? payload
+        : null;
+
+    if (record?.compiledRelease) return record.compiledRelease;
+
+    const releases = record?.releases || payload.releases;
+    if (Array.isArray(releases) && releases.length > 0) {
+      return this._compileReleases(releases);
+    }
+
+    return payload.ocid && (payload.tender || payload.planning)
+      ? payload
+      : null;
+  }
+
+  /**
+   * Mapear una release OCDS a los campos del contrato
+   * @param {Object} release - Release compilada
+   * @returns {Object} { fields, data, stage, contractor, internalType, warnings, errors }
+   */
+  mapRelease(release) {
+    const warnings = [];
+    const errors = [];
+    const fields = [];
+    const tender = release.tender || {};
+
+    const add = (field, value, source) => {
+      fields.push({
+        field,
+        value: value ?? null,
+        source: value === null || value === undefined ? null : source,
+      });
+    };
+
+    // Objeto contractual y descripción
+    const title = this._text(tender.title);
+    const description = this._text(tender.description);
+    const contractualObject = title || description;
+
+    if (!contractualObject) {
+      errors.push("El proceso no tiene título ni descripción en SERCOP");
+    } else if (contractualObject.length < FIELD_LIMITS.contractualObject.min) {
+      errors.push(
+        `El objeto contractual es demasiado corto (mínimo ${FIELD_LIMITS.contractualObject.min} caracteres)`
+      );
+    }
+    add(
+      "contractualObject",
+      this._truncate(
+        contractualObject,
+        FIELD_LIMITS.contractualObject.max,
+        "contractualObject",
+        warnings
+      ),
+      title ? "tender.title" : "tender.description"
+    );
+    add(
+      "detailedDescription",
+      title && description && description !== title
+        ? this._truncate(
+            description,
+            FIELD_LIMITS.detailedDescription.max,
+            "detailedDescription",
+            warnings
+          )
+        : null,
+      "tender.description"
+    );
+
+    // Identificación del proceso
+    const sercopCode = this._text(tender.id)?.toUpperCase() || null;
+    add("sercopCode", sercopCode, "tender.id");
+    add("metadata.sercopOcid", release.ocid || null, "ocid");
+
+    // Presupuesto
+    const tenderValue = this._amount(tender.value);
+    const planningValue = this._amount(release.planning?.budget?.amount);
+    const estimatedValue = tenderValue ?? planningValue;
+    if (estimatedValue === null) {
+      errors.push("El proceso no tiene valor referencial en SERCOP");
+    }
+    add(
+      "budget.estimatedValue",
+      estimatedValue,
+      tenderValue !== null ? "tender.value.amount" : "planning.budget.amount"
+    );
+
+    const activeAwards = this._activeAwards(release);
+    const awardedValue = this._sumAmounts(activeAwards);
+    add("budget.awardedValue", awardedValue, "awards[].value.amount");
+
+    // Contratista
+    const contractor = this._resolveContractor(release, activeAwards, warnings);
+    add("contractor.ruc", contractor?.ruc, contractor?.rucSource);
+    add(
+      "contractor.businessName",
+      this._truncate(
+        contractor?.businessName,
+        FIELD_LIMITS.businessName.max,
+        "contractor.businessName",
+        warnings
+      ),
+      contractor?.businessNameSource
+    );
+
+    // Cronograma
+    const contract = this._activeContracts(release)[0] || null;
+    add(
+      "timeline.plannedStartDate",
+      this._date(tender.contractPeriod?.startDate) ||
+        this._date(tender.tenderPeriod?.startDate),
+      tender.contractPeriod?.startDate
+        ? "tender.contractPeriod.startDate"
+        : "tender.tenderPeriod.startDate"
+    );
+    add(
+      "timeline.plannedEndDate",
+      this._date(tender.contractPeriod?.endDate),
+      "tender.contractPeriod.endDate"
+    );
+    add(
+      "timeline.questionsDeadline",
+      this._date(tender.enquiryPeriod?.endDate),
+      "tender.enquiryPeriod.endDate"
+    );
+    add(
+      "timeline.submissionDeadline",
+      this._date(tender.tenderPeriod?.endDate),
+      "tender.tenderPeriod.endDate"
+    );
+    add(
+      "timeline.executionStartDate",
+      this._date(contract?.period?.startDate),
+      "contracts[].period.startDate"
+    );
+    add(
+      "timeline.executionEndDate",
+      this._date(contract?.period?.endDate),
+      "contracts[].period.endDate"
+    );
+
+    const stage = this.resolveStage(release);
+    add("generalStatus", stage.generalStatus, stage.source);
+
+    return {
+      fields,
+      data: this._toData(fields),
+      stage,
+      contractor,
+      internalType:
+        this._text(tender.procurementMethodDetails) ||
+        this._text(tender.procurementMethod) ||
+        null,
+      warnings,
+      errors,
+    };
+  }
+
+  /**
+   * Determinar la etapa del proceso en SERCOP a partir de la release
+   * @param {Object} release - Release compilada
+   * @returns {Object} { key, label, generalStatus, phaseCategories, cancelled, source }
+   */
+  resolveStage(release) {
+    const tender = release.tender || {};
+    const contracts = this._activeContracts(release);
+    const awards = this._activeAwards(release);
+
+    let key = "planning";
+    let source = "planning";
+
+    if (contracts.some((c) => c.status === "terminated")) {
+      key = "finished";
+      source = "contracts[].status";
+    } else if (
+      contracts.some(
+        (c) => c.implementation && Object.keys(c.implementation).length > 0
+      ) ||
+      contracts.some((c) => c.status === "active")
+    ) {
+      key = "implementation";
+      source = "contracts[].implementation";
+    } else if (contracts.length > 0) {
+      key = "contract";
+      source = "contracts";
+    } else if (awards.length > 0) {
+      key = "award";
+      source = "awards";
+    } else if (tender.status === "complete") {
+      key = "evaluation";
+      source = "tender.status";
+    } else if (Object.keys(tender).length > 0) {
+      key = "tender";
+      source = "tender";
+    }
+
+    const cancelled =
+      INACTIVE_STATUSES.includes(tender.status) &&
+      awards.length === 0 &&
+      contracts.length === 0;
+
+    return {
+      key,
+      ...SERCOP_STAGE_MAPPING[key],
+      generalStatus: cancelled
+        ? "CANCELLED"
+        : SERCOP_STAGE_MAPPING[key].generalStatus,
+      cancelled,
+      source: cancelled ? "tender.status" : source,
+    };
+  }
+
+  /**
+   * Estado de sincronización a guardar en metadata.sercopSync
+   * snapshot conserva los valores de SERCOP para saber en la próxima
+   * conciliación si el contrato se editó localmente
+   * @param {Object} mapped - Resultado de mapRelease
+   * @param {Object} options - now, integrationId, pendingReviews
+   * @returns {Object} metadata.sercopSync
+   */
+  buildSyncState(
+    mapped,
+    { now = new Date(), integrationId, pendingReviews = 0 } = {}
+  ) {
+    return {
+      lastSyncAt: now,
+      lastSyncStatus: "OK",
+      lastError: null,
+      integrationId: integrationId || null,
+      sercopStage: mapped.stage.key,
+      sercopStatus: mapped.stage.generalStatus,
+      snapshot: this.getReconciledFields(mapped).map(({ field, value }) => ({
+        field,
+        value,
+      })),
+      pendingReviews,
+    };
+  }
+
+  /**
+   * Campos que se comparan con el contrato en cada conciliación
+   * @param {Object} mapped - Resultado de mapRelease
+   * @returns {Array} [{ field, value, source }]
+   */
+  getReconciledFields(mapped) {
+    return mapped.fields.filter(
+      ({ field }) => !NON_RECONCILED_FIELDS.includes(field)
+    );
+  }
+
+  /**
+   * Número de contrato a partir del código del proceso
+   * El modelo solo admite mayúsculas, dígitos y guiones (5-50)
+   * @param {Object} release - Release compilada
+   * @returns {String|null} Número de contrato o null
+   */
+  buildContractNumber(release) {
+    const base = this._text(release.tender?.id) || this._text(release.ocid);
+    if (!base) return null;
+
+    const number = base
+      .toUpperCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^A-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(-50)
+      .replace(/^-+/, "");
+
+    return number.length >= 5 ? number : null;
+  }
+
+  // ===========================================================================
+  // MÉTODOS PRIVADOS
+  // ===========================================================================
+
+  /**
+   * Compilar releases sueltas: cada sección toma el valor de la release
+   * más reciente que la trae
+   * @private
+   */
+  _compileReleases(releases) {
+    const sorted = [...releases].sort(
+      (a, b) => new Date(a.date || 0) - new Date(b.date || 0)
+    );
+
+    return sorted.reduce((compiled, release) => {
+      for (const [key, value] of Object.entries(release)) {
+        if (value !== null && value !== undefined) {
+          compiled[key] = value;
+        }
+      }
+      return compiled;
+    }, {});
+  }
+
+  /**
+   * Adjudicaciones vigentes (excluye canceladas o desiertas)
+   * @private
+   */
+  _activeAwards(release) {
+    return (release.awards || []).filter(
+      (award) => !INACTIVE_STATUSES.includes(award.status)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _activeContracts(release) {
+    return (release.contracts || []).filter(
+      (contract) => !INACTIVE_STATUSES.includes(contract.status)
+    );
+  }
+
+  /**
+   * Contratista desde los proveedores adjudicados; el RUC se toma del
+   * identificador de la parte y, si falta, del id del proveedor
+   * @private
+   */
+  _resolveContractor(release, awards, warnings) {
+    const suppliers = awards.flatMap((award) => award.suppliers || []);
+    if (suppliers.length === 0) return null;
+
+    const uniqueIds = new Set(
+      suppliers.map((supplier) => supplier.id || supplier.name)
+    );
+    if (uniqueIds.size > 1) {
+      warnings.push(
+        `El proceso tiene ${uniqueIds.size} proveedores adjudicados; se usa el primero`
+      );
+    }
+
+    const supplier = suppliers[0];
+    const party = (release.parties || []).find(
+      (item) => supplier.id && item.id === supplier.id
+    );
+
+    let ruc = this._extractRuc(party?.identifier?.id);
+    let rucSource = "parties[].identifier.id";
+    if (!ruc) {
+      ruc = this._extractRuc(supplier.id);
+      rucSource = "awards[].suppliers[].id";
+    }
+    if (!ruc) {
+      warnings.push(`No se encontró un RUC válido para "${supplier.name}"`);
+    }
+
+    const legalName = this._text(party?.identifier?.legalName);
+
+    return {
+      ruc,
+      rucSource,
+      businessName: legalName || this._text(supplier.name),
+      businessNameSource: legalName
+        ? "parties[].identifier.legalName"
+        : "awards[].suppliers[].name",
+    };
+  }
+
+  /**
+   * @private
+   */
+  _extractRuc(value) {
+    if (!value) return null;
+    const matches = String(value).match(/\d{10,13}/g);
+    return matches ? matches[matches.length - 1] : null;
+  }
+
+  /**
+   * @private
+   */
+  _amount(value) {
+    const amount = parseFloat(value?.amount ?? value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+  }
+
+  /**
+   * @private
+   */
+  _sumAmounts(items) {
+    const amounts = items
+      .map((item) => this._amount(item.value))
+      .filter((amount) => amount !== null);
+
+    if (amounts.length === 0) return null;
+    return Math.round(amounts.reduce((sum, n) => sum + n, 0) * 100) / 100;
+  }
+
+  /**
+   * @private
+   */
+  _date(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * @private
+   */
+  _text(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, " ").trim();
+    return text || null;
+  }
+
+  /**
+   * @private
+   */
+  _truncate(value, max, field, warnings) {
+    if (!value || value.length <= max) return value;
+    warnings.push(`${field} se recortó a ${max} caracteres`);
+    return value.slice(0, max).trim();
+  }
+
+  /**
+   * Convertir la lista de campos en el objeto anidado del contrato
+   * @private
+   */
+  _toData(fields) {
+    const data = {};
+
+    for (const { field, value } of fields) {
+      if (value === null) continue;
+
+      const parts = field.split(".");
+      let target = data;
+      for (const part of parts.slice(0, -1)) {
+        target[part] = target[part] || {};
+        target = target[part];
+      }
+      target[parts[parts.length - 1]] = value;
+    }
+
+    return data;
+  }
+}
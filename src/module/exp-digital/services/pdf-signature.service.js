@@ -0,0 +1,550 @@
+// =============================================================================
+// src/module/exp-digital/services/pdf-signature.service.js
+// Detección y validación de firmas electrónicas embebidas en PDF
+// GADM Cantón Esmeraldas - Documentos firmados con certificados FirmaEC
+// =============================================================================
+
+import crypto from "crypto";
+import {
+  PDFDocument,
+  PDFDict,
+  PDFName,
+  PDFArray,
+  PDFHexString,
+  PDFString,
+  PDFRef,
+} from "pdf-lib";
+
+// Identificadores de objeto usados en CMS (RFC 5652)
+const OIDS = {
+  signedData: "1.2.840.113549.1.7.2",
+  messageDigest: "1.2.840.113549.1.9.4",
+  signingTime: "1.2.840.113549.1.9.5",
+};
+
+const DIGEST_ALGORITHMS = {
+  "1.3.14.3.2.26": "sha1",
+  "2.16.840.1.101.3.4.2.1": "sha256",
+  "2.16.840.1.101.3.4.2.2": "sha384",
+  "2.16.840.1.101.3.4.2.3": "sha512",
+};
+
+// RSA-PSS requiere parámetros de padding que no se interpretan aquí
+const UNSUPPORTED_SIGNATURE_ALGORITHMS = ["1.2.840.113549.1.1.10"];
+
+const CMS_SUBFILTERS = [
+  "adbe.pkcs7.detached",
+  "ETSI.CAdES.detached",
+  "ETSI.RFC3161",
+];
+
+const DER_TAGS = {
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  OID: 0x06,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+  CONTEXT_0: 0xa0,
+};
+
+export class PdfSignatureService {
+  /**
+   * Analizar un PDF: protección con contraseña y firmas embebidas
+   * Nunca lanza: un PDF ilegible se informa en `error`
+   * @param {Buffer} buffer - Contenido del PDF
+   * @returns {Promise<Object>} { isPasswordProtected, hasSignatures, pageCount, signatures, error }
+   */
+  async inspect(buffer) {
+    let pdf;
+    let pageCount;
+    try {
+      pdf = await PDFDocument.load(buffer, {
+        ignoreEncryption: true,
+        updateMetadata: false,
+      });
+      pageCount = pdf.getPageCount();
+    } catch (error) {
+      console.warn(`⚠️ PDF no legible para verificar firmas: ${error.message}`);
+      return {
+        isPasswordProtected: false,
+        hasSignatures: false,
+        pageCount: null,
+        signatures: [],
+        error: error.message,
+      };
+    }
+
+    const signatures = this._findSignatureDictionaries(pdf).map(
+      ({ dict, fieldName }) => this._inspectSignature(buffer, dict, fieldName)
+    );
+
+    return {
+      isPasswordProtected: pdf.isEncrypted,
+      hasSignatures: signatures.length > 0,
+      pageCount,
+      signatures,
+      error: null,
+    };
+  }
+
+  /**
+   * Campos del esquema File (metadata) a partir del análisis
+   * @param {Object} inspection - Resultado de inspect()
+   * @returns {Object} Campos para File.metadata
+   */
+  toMetadata(inspection) {
+    return {
+      isPasswordProtected: inspection.isPasswordProtected,
+      hasSignatures: inspection.hasSignatures,
+      ...(inspection.pageCount !== null && {
+        pageCount: inspection.pageCount,
+      }),
+      signatures: inspection.signatures,
+      signaturesCheckedAt: new Date(),
+    };
+  }
+
+  /**
+   * Metadatos de firma para un archivo recién subido; vacío si no es PDF
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {String} mimeType - Tipo MIME declarado
+   * @returns {Promise<Object>} Campos para File.metadata
+   */
+  async analyzeUpload(buffer, mimeType) {
+    if (!this.isPdf(buffer, mimeType)) return {};
+
+    const inspection = await this.inspect(buffer);
+    if (inspection.hasSignatures) {
+      const valid = inspection.signatures.filter((s) => s.isValid).length;
+      console.log(
+        `🖋️ PDF con ${inspection.signatures.length} firma(s), ${valid} válida(s)`
+      );
+    }
+    return this.toMetadata(inspection);
+  }
+
+  isPdf(buffer, mimeType) {
+    return (
+      mimeType === "application/pdf" ||
+      buffer.subarray(0, 1024).includes("%PDF-")
+    );
+  }
+
+  /**
+   * Un documento cuenta como firmado si una firma válida cubre el archivo
+   * completo: las firmas anteriores a otra firma no llegan al final, pero
+   * un cambio incremental sin firmar deja a todas sin cubrirlo
+   * @param {Object} file - Registro File (o su metadata)
+   */
+  hasValidSignature(file) {
+    const signatures = file?.metadata?.signatures || file?.signatures || [];
+    return signatures.some(
+      (signature) => signature.isValid && signature.coversWholeDocument
+    );
+  }
+
+  // =============================================================================
+  // ANÁLISIS DEL PDF
+  // =============================================================================
+
+  /**
+   * Diccionarios de firma (los que tienen /ByteRange), con el nombre del
+   * campo de formulario que los contiene
+   * @private
+   */
+  _findSignatureDictionaries(pdf) {
+    const found = new Map();
+    const fieldNames = new Map();
+
+    for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFDict)) continue;
+
+      if (object.get(PDFName.of("ByteRange"))) {
+        found.set(ref.toString(), object);
+        continue;
+      }
+
+      // Campo de firma: /FT /Sig con el valor en /V (directo o referencia)
+      if (object.get(PDFName.of("FT")) !== PDFName.of("Sig")) continue;
+      const value = object.get(PDFName.of("V"));
+      const fieldName = this._decodeText(object.get(PDFName.of("T")));
+
+      if (value instanceof PDFRef) {
+        fieldNames.set(value.toString(), fieldName);
+      } else if (
+        value instanceof PDFDict &&
+        value.get(PDFName.of("ByteRange"))
+      ) {
+        found.set(`${ref.toString()}/V`, value);
+        fieldNames.set(`${ref.toString()}/V`, fieldName);
+      }
+    }
+
+    return [...found.entries()].map(([key, dict]) => ({
+      dict,
+      fieldName: fieldNames.get(key) || null,
+    }));
+  }
+
+  /**
+   * Extraer firmante, fecha y cobertura de una firma y validarla
+   * @private
+   */
+  _inspectSignature(buffer, dict, fieldName) {
+    const subFilter = dict.get(PDFName.of("SubFilter"))?.decodeText?.() || null;
+    const signature = {
+      fieldName,
+      subFilter: subFilter ? subFilter.replace(/^\//, "") : null,
+      signerName: this._decodeText(dict.get(PDFName.of("Name"))),
+      reason: this._decodeText(dict.get(PDFName.of("Reason"))),
+      location: this._decodeText(dict.get(PDFName.of("Location"))),
+      signingTime: this._decodeDate(dict.get(PDFName.of("M"))),
+      subject: null,
+      issuer: null,
+      serialNumber: null,
+      certificateValidFrom: null,
+      certificateValidTo: null,
+      coversWholeDocument: false,
+      digestValid: false,
+      signatureValid: false,
+      certificateValidAtSigning: false,
+      isValid: false,
+      error: null,
+    };
+
+    try {
+      const byteRange = this._readByteRange(dict);
+      signature.coversWholeDocument = this._coversWholeDocument(
+        byteRange,
+        buffer.length
+      );
+
+      const contents = dict.get(PDFName.of("Contents"));
+      if (!(
+        contents instanceof PDFHexString || contents instanceof PDFString
+      )) {
+        throw new Error("La firma no tiene /Contents");
+      }
+      if (!CMS_SUBFILTERS.includes(signature.subFilter)) {
+        throw new Error(`SubFilter no soportado: ${signature.subFilter}`);
+      }
+
+      const signedContent = Buffer.concat([
+        buffer.subarray(byteRange[0], byteRange[0] + byteRange[1]),
+        buffer.subarray(byteRange[2], byteRange[2] + byteRange[3]),
+      ]);
+
+      Object.assign(
+        signature,
+        this._verifyCms(Buffer.from(contents.asBytes()), signedContent)
+      );
+    } catch (error) {
+      signature.error = error.message;
+    }
+
+    if (signature.signingTime && signature.certificateValidFrom) {
+      const time = new Date(signature.signingTime);
+      signature.certificateValidAtSigning =
+        time >= signature.certificateValidFrom &&
+        time <= signature.certificateValidTo;
+    }
+    // Integridad, firma criptográfica y certificado vigente al firmar
+    signature.isValid =
+      signature.digestValid &&
+      signature.signatureValid &&
+      signature.certificateValidAtSigning;
+
+    return signature;
+  }
+
+  /**
+   * /ByteRange [inicio1 largo1 inicio2 largo2]
+   * @private
+   */
+  _readByteRange(dict) {
+    const array = dict.get(PDFName.of("ByteRange"));
+    const values =
+      array instanceof PDFArray
+        ? array.asArray().map((item) => item.asNumber?.())
+        : [];
+
+    if (
+      values.length !== 4 ||
+      values.some((value) => !Number.isInteger(value) || value < 0)
+    ) {
+      throw new Error("/ByteRange no válido");
+    }
+    return values;
+  }
+
+  /**
+   * La firma cubre todo el archivo si empieza en el byte 0 y termina en el
+   * último: no hubo modificaciones incrementales posteriores
+   * @private
+   */
+  _coversWholeDocument(byteRange, fileLength) {
+    return byteRange[0] === 0 && byteRange[2] + byteRange[3] === fileLength;
+  }
+
+  // =============================================================================
+  // CMS / PKCS#7
+  // =============================================================================
+
+  /**
+   * Verificar el SignedData contra el contenido firmado
+   * @private
+   * @returns {Object} Datos del certificado firmante y resultado de la validación
+   */
+  _verifyCms(der, signedContent) {
+    const contentInfo = this._readTlv(der, 0);
+    const [contentType, wrapped] = this._children(contentInfo);
+    if (this._decodeOid(contentType) !== OIDS.signedData) {
+      throw new Error("El contenido de la firma no es un SignedData");
+    }
+
+    const signedData = this._children(wrapped)[0];
+    const parts = this._children(signedData);
+    const certificatesNode = parts.find((n) => n.tag === DER_TAGS.CONTEXT_0);
+    const signerInfos = parts[parts.length - 1];
+    if (signerInfos.tag !== DER_TAGS.SET) {
+      throw new Error("SignedData sin SignerInfos");
+    }
+
+    const signerInfo = this._parseSignerInfo(this._children(signerInfos)[0]);
+    const certificates = certificatesNode
+      ? this._children(certificatesNode)
+          .filter((node) => node.tag === DER_TAGS.SEQUENCE)
+          .map((node) => new crypto.X509Certificate(node.raw))
+      : [];
+    const certificate =
+      certificates.find(
+        (cert) =>
+          signerInfo.serialNumber &&
+          this._normalizeSerial(cert.serialNumber) === signerInfo.serialNumber
+      ) || certificates.find((cert) => !cert.ca);
+
+    if (!certificate) {
+      throw new Error("La firma no incluye el certificado del firmante");
+    }
+
+    const result = {
+      subject: certificate.subject.replace(/\n/g, ", "),
+      issuer: certificate.issuer.replace(/\n/g, ", "),
+      serialNumber: certificate.serialNumber,
+      certificateValidFrom: new Date(certificate.validFrom),
+      certificateValidTo: new Date(certificate.validTo),
+      signerName: this._commonName(certificate.subject),
+      digestValid: false,
+      signatureValid: false,
+    };
+    if (signerInfo.signingTime) result.signingTime = signerInfo.signingTime;
+
+    const hashName = DIGEST_ALGORITHMS[signerInfo.digestAlgorithm];
+    if (!hashName) {
+      result.error = `Algoritmo de resumen no soportado: ${signerInfo.digestAlgorithm}`;
+      return result;
+    }
+
+    const digest = crypto.createHash(hashName).update(signedContent).digest();
+
+    if (signerInfo.signedAttrs) {
+      result.digestValid =
+        signerInfo.messageDigest !== null &&
+        digest.equals(signerInfo.messageDigest);
+    }
+
+    if (
+      UNSUPPORTED_SIGNATURE_ALGORITHMS.includes(signerInfo.signatureAlgorithm)
+    ) {
+      result.error = `Algoritmo de firma no soportado: ${signerInfo.signatureAlgorithm}`;
+    } else {
+      // Con atributos firmados se firma su codificación DER como SET
+      const data = signerInfo.signedAttrs
+        ? Buffer.concat([
+            Buffer.from([DER_TAGS.SET]),
+            signerInfo.signedAttrs.raw.subarray(1),
+          ])
+        : signedContent;
+      result.signatureValid = crypto.verify(
+        hashName,
+        data,
+        certificate.publicKey,
+        signerInfo.signature
+      );
+      if (!signerInfo.signedAttrs) result.digestValid = result.signatureValid;
+    }
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _parseSignerInfo(node) {
+    const parts = this._children(node);
+    // version, sid, digestAlgorithm, [0] signedAttrs?, signatureAlgorithm, signature
+    const sid = parts[1];
+    const digestAlgorithm = this._decodeOid(this._children(parts[2])[0]);
+    let index = 3;
+
+    let signedAttrs = null;
+    if (parts[index]?.tag === DER_TAGS.CONTEXT_0) {
+      signedAttrs = parts[index];
+      index++;
+    }
+    const signatureAlgorithm = this._decodeOid(this._children(parts[index])[0]);
+    const signature = parts[index + 1].value;
+
+    let serialNumber = null;
+    if (sid.tag === DER_TAGS.SEQUENCE) {
+      const serial = this._children(sid)[1];
+      serialNumber = this._normalizeSerial(serial.value.toString("hex"));
+    }
+
+    let messageDigest = null;
+    let signingTime = null;
+    for (const attribute of signedAttrs ? this._children(signedAttrs) : []) {
+      const [type, values] = this._children(attribute);
+      const oid = this._decodeOid(type);
+      const value = this._children(values)[0];
+
+      if (oid === OIDS.messageDigest) messageDigest = value.value;
+      if (oid === OIDS.signingTime) signingTime = this._decodeTime(value);
+    }
+
+    return {
+      serialNumber,
+      digestAlgorithm,
+      signatureAlgorithm,
+      signedAttrs,
+      signature,
+      messageDigest,
+      signingTime,
+    };
+  }
+
+  /**
+   * Leer un elemento DER (solo longitudes definidas)
+   * @private
+   */
+  _readTlv(buffer, offset) {
+    if (offset + 2 > buffer.length) {
+      throw new Error("Estructura DER truncada");
+    }
+
+    const tag = buffer[offset];
+    let length = buffer[offset + 1];
+    let headerLength = 2;
+
+    if (length === 0x80) {
+      throw new Error("Codificación BER de longitud indefinida no soportada");
+    }
+    if (length & 0x80) {
+      const bytes = length & 0x7f;
+      length = 0;
+      for (let i = 0; i < bytes; i++) {
+        length = length * 256 + buffer[offset + 2 + i];
+      }
+      headerLength += bytes;
+    }
+
+    const end = offset + headerLength + length;
+    if (end > buffer.length) {
+      throw new Error("Estructura DER truncada");
+    }
+
+    return {
+      tag,
+      value: buffer.subarray(offset + headerLength, end),
+      raw: buffer.subarray(offset, end),
+      end,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _children(node) {
+    const children = [];
+    let offset = 0;
+    while (offset < node.value.length) {
+      const child = this._readTlv(node.value, offset);
+      children.push(child);
+      offset = child.end;
+    }
+    return children;
+  }
+
+  /**
+   * @private
+   */
+  _decodeOid(node) {
+    if (!node || node.tag !== DER_TAGS.OID) return null;
+
+    const bytes = node.value;
+    const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+    let value = 0;
+    for (const byte of bytes.subarray(1)) {
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        arcs.push(value);
+        value = 0;
+      }
+    }
+    return arcs.join(".");
+  }
+
+  /**
+   * UTCTime (AAMMDDhhmmssZ) o GeneralizedTime (AAAAMMDDhhmmssZ)
+   * @private
+   */
+  _decodeTime(node) {
+    const text = node.value.toString("latin1");
+    const match =
+      node.tag === DER_TAGS.UTC_TIME
+        ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text)
+        : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/.exec(text);
+    if (!match) return null;
+
+    let year = parseInt(match[1], 10);
+    if (node.tag === DER_TAGS.UTC_TIME) year += year < 50 ? 2000 : 1900;
+
+    return new Date(
+      Date.UTC(
+        year,
+        parseInt(match[2], 10) - 1,
+        parseInt(match[3], 10),
+        parseInt(match[4], 10),
+        parseInt(match[5], 10),
+        parseInt(match[6] || "0", 10)
+      )
+    );
+  }
+
+  _normalizeSerial(hex) {
+    return hex.toUpperCase().replace(/^0+/, "") || "0";
+  }
+
+  _commonName(subject) {
+    const match = /^CN=(.+)$/m.exec(subject || "");
+    return match ? match[1].trim() : null;
+  }
+
+  _decodeText(value) {
+    try {
+      return value?.decodeText ? value.decodeText() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _decodeDate(value) {
+    try {
+      return value?.decodeDate ? value.decodeDate() : null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,367 @@
+// =============================================================================
+// src/module/exp-digital/services/phase-checklist.service.js
+// Verificación de documentos requeridos por fase del contrato
+// GADM Cantón Esmeraldas - Control de avance de fases
+// =============================================================================
+
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractPhaseRepository } from "../repositories/contract-phase.repository.js";
+import { FileRepository } from "../repositories/file.repository.js";
+import { PdfSignatureService } from "./pdf-signature.service.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+import { validateObjectId } from "#utils/validation.util.js";
+
+// Estado de cada documento requerido dentro del checklist
+export const CHECKLIST_STATUS = {
+  APPROVED: "APPROVED",
+  PENDING_APPROVAL: "PENDING_APPROVAL",
+  REJECTED: "REJECTED",
+  // Cargado, pero el documento exige firma electrónica válida y no la tiene
+  UNSIGNED: "UNSIGNED",
+  MISSING: "MISSING",
+};
+
+// Prioridad al elegir el archivo representativo de un documento requerido
+const FILE_STATUS_PRIORITY = ["APPROVED", "REVIEW", "DRAFT", "REJECTED"];
+
+// Peso de cada grupo de documentos en el avance de la fase
+const COMPLETION_WEIGHTS = { mandatory: 0.8, optional: 0.2 };
+
+// Avance aportado por un documento según su estado (aprobado vs solo cargado)
+const STATUS_CREDIT = {
+  [CHECKLIST_STATUS.APPROVED]: 1,
+  [CHECKLIST_STATUS.PENDING_APPROVAL]: 0.5,
+  [CHECKLIST_STATUS.REJECTED]: 0,
+  [CHECKLIST_STATUS.UNSIGNED]: 0,
+  [CHECKLIST_STATUS.MISSING]: 0,
+};
+
+export class PhaseChecklistService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractPhaseRepository = new ContractPhaseRepository();
+    this.fileRepository = new FileRepository();
+    this.pdfSignatureService = new PdfSignatureService();
+  }
+
+  /**
+   * Obtener el checklist de documentos requeridos de una fase del contrato
+   * @param {String} contractId - ID del contrato
+   * @param {String} phaseId - ID de la fase
+   * @returns {Promise<Object>} Checklist con documentos y faltantes
+   */
+  async getChecklist(contractId, phaseId) {
+    validateObjectId(contractId, "ID del contrato");
+    validateObjectId(phaseId, "ID de la fase");
+
+    const contract = await this.contractRepository.model
+      .findOne({ _id: contractId, deletedAt: null })
+      .select("contractNumber contractType phases")
+      .lean();
+    if (!contract) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
+    }
+
+    return await this.evaluate(contract, phaseId);
+  }
+
+  /**
+   * Comparar los documentos efectivos de la fase (según el tipo de contrato)
+   * con los documentos activos y aprobados cargados en phases[].documents
+   * @param {Object} contract - Contrato (contractType y phases pueden venir poblados)
+   * @param {String|Object} phaseRef - Fase o ID de la fase
+   * @returns {Promise<Object>} Checklist de la fase
+   */
+  async evaluate(contract, phaseRef) {
+    const phaseId = this._toId(phaseRef);
+    // Documento completo: se necesitan los métodos del esquema
+    const phase = await this.contractPhaseRepository.model.findById(phaseId);
+    if (!phase) {
+      throw createError(ERROR_CODES.NOT_FOUND, "Fase no encontrada", 404);
+    }
+
+    const contractTypeId = this._toId(contract.contractType);
+    const requiredDocuments = phase.getEffectiveDocuments(contractTypeId);
+
+    const phaseEntry = (contract.phases || []).find(
+      (entry) => this._toId(entry.phase) === phaseId
+    );
+    const uploads = await this._getActiveUploads(phaseEntry);
+
+    const documents = requiredDocuments.map((required) => {
+      const files = uploads.filter((u) => u.documentType === required.code);
+      const requiresSignature =
+        required.validationRules?.requiresSignature === true;
+      const status = this._resolveDocumentStatus(files, requiresSignature);
+
+      return {
+        code: required.code,
+        name: required.name,
+        isMandatory: required.isMandatory !== false,
+        requiresSignature,
+        status,
+        files: files.map((f) => ({
+          fileId: f.fileId,
+          originalName: f.originalName,
+          status: f.status,
+          signed: f.signed,
+          uploadedAt: f.uploadedAt,
+        })),
+      };
+    });
+
+    const missing = documents
+      .filter((d) => d.isMandatory && d.status !== CHECKLIST_STATUS.APPROVED)
+      .map((d) => ({ code: d.code, name: d.name, status: d.status }));
+
+    const count = (status) =>
+      documents.filter((d) => d.status === status).length;
+
+    return {
+      contractId: contract._id,
+      contractNumber: contract.contractNumber,
+      phase: {
+        id: phase._id,
+        code: phase.code,
+        name: phase.name,
+        status: phaseEntry?.status || "PENDING",
+      },
+      isComplete: missing.length === 0,
+      summary: {
+        totalRequired: documents.length,
+        mandatory: documents.filter((d) => d.isMandatory).length,
+        approved: count(CHECKLIST_STATUS.APPROVED),
+        pendingApproval: count(CHECKLIST_STATUS.PENDING_APPROVAL),
+        rejected: count(CHECKLIST_STATUS.REJECTED),
+        unsigned: count(CHECKLIST_STATUS.UNSIGNED),
+        notUploaded: count(CHECKLIST_STATUS.MISSING),
+      },
+      documents,
+      missing,
+    };
+  }
+
+  /**
+   * Verificar que la fase tenga todos sus documentos obligatorios aprobados
+   * @throws {Error} MISSING_MANDATORY_DOCUMENTS con la lista de faltantes
+   * @returns {Promise<Object>} Checklist de la fase si está completa
+   */
+  async assertPhaseComplete(contract, phaseRef) {
+    const checklist = await this.evaluate(contract, phaseRef);
+
+    if (!checklist.isComplete) {
+      throw createError(
+        ERROR_CODES.MISSING_MANDATORY_DOCUMENTS,
+        `La fase ${checklist.phase.name} tiene ${checklist.missing.length} documento(s) obligatorio(s) sin aprobar`,
+        409,
+        {
+          phase: checklist.phase,
+          missing: checklist.missing,
+          summary: checklist.summary,
+        }
+      );
+    }
+
+    return checklist;
+  }
+
+  // =============================================================================
+  // AVANCE DE FASES Y CONTRATOS
+  // =============================================================================
+
+  /**
+   * Porcentaje de avance de una fase a partir de su checklist
+   * Obligatorios y opcionales se ponderan por separado; la fase solo llega
+   * a 100 cuando todos los obligatorios están aprobados
+   * @param {Object} checklist - Resultado de evaluate()
+   * @returns {Number} Porcentaje 0-100
+   */
+  calculateCompletion(checklist) {
+    if (checklist.phase.status === "COMPLETED") return 100;
+    if (checklist.documents.length === 0) return 0;
+
+    const groupScore = (docs) =>
+      docs.reduce((sum, d) => sum + STATUS_CREDIT[d.status], 0) / docs.length;
+
+    const groups = [
+      {
+        docs: checklist.documents.filter((d) => d.isMandatory),
+        weight: COMPLETION_WEIGHTS.mandatory,
+      },
+      {
+        docs: checklist.documents.filter((d) => !d.isMandatory),
+        weight: COMPLETION_WEIGHTS.optional,
+      },
+    ].filter((group) => group.docs.length > 0);
+
+    // Si falta un grupo, el otro concentra todo el peso
+    const totalWeight = groups.reduce((sum, g) => sum + g.weight, 0);
+    const score = groups.reduce(
+      (sum, g) => sum + (groupScore(g.docs) * g.weight) / totalWeight,
+      0
+    );
+
+    const percentage = Math.round(score * 100);
+    return checklist.isComplete ? percentage : Math.min(percentage, 99);
+  }
+
+  /**
+   * Recalcular y guardar phases[].completionPercentage de una fase
+   * No modifica la versión del contrato (dato derivado)
+   * @param {String} contractId - ID del contrato
+   * @param {String} phaseId - ID de la fase
+   * @returns {Promise<Object|null>} { phaseId, completionPercentage, isComplete }
+   */
+  async refreshPhaseCompletion(contractId, phaseId) {
+    const contract = await this.contractRepository.model
+      .findById(contractId)
+      .select("contractNumber contractType phases")
+      .lean();
+    if (!contract) return null;
+
+    const hasPhase = (contract.phases || []).some(
+      (entry) => this._toId(entry.phase) === this._toId(phaseId)
+    );
+    if (!hasPhase) return null;
+
+    const checklist = await this.evaluate(contract, phaseId);
+    const completionPercentage = this.calculateCompletion(checklist);
+
+    await this.contractRepository.model.updateOne(
+      { _id: contractId },
+      {
+        $set: { "phases.$[entry].completionPercentage": completionPercentage },
+      },
+      { arrayFilters: [{ "entry.phase": checklist.phase.id }] }
+    );
+
+    return {
+      phaseId: checklist.phase.id,
+      completionPercentage,
+      isComplete: checklist.isComplete,
+    };
+  }
+
+  /**
+   * Avance global del contrato sobre todas las fases del flujo
+   * Las fases aún no iniciadas cuentan como 0
+   * @param {Object} contract - Contrato (documento o lean)
+   * @param {Number} totalPhases - Fases activas del flujo
+   * @returns {Object} { percentage, completedPhases, totalPhases }
+   */
+  calculateContractProgress(contract, totalPhases = 0) {
+    // Una fase puede repetirse si el contrato retrocedió: vale la última entrada
+    const latestByPhase = new Map();
+    for (const entry of contract.phases || []) {
+      latestByPhase.set(this._toId(entry.phase), entry);
+    }
+
+    const entries = [...latestByPhase.values()];
+    const total = Math.max(totalPhases, entries.length);
+    if (total === 0) {
+      return { percentage: 0, completedPhases: 0, totalPhases: 0 };
+    }
+
+    const sum = entries.reduce((acc, entry) => {
+      if (entry.status === "COMPLETED") return acc + 100;
+      if (entry.status === "CANCELLED") return acc;
+      return acc + (entry.completionPercentage || 0);
+    }, 0);
+
+    return {
+      percentage: Math.round(sum / total),
+      completedPhases: entries.filter((e) => e.status === "COMPLETED").length,
+      totalPhases: total,
+    };
+  }
+
+  /**
+   * Contar las fases activas del flujo (todas aplican a cualquier tipo de
+   * contrato; typeSpecificConfig solo ajusta documentos y duración)
+   * @param {Map} cache - Caché opcional entre varios contratos
+   */
+  async countActivePhases(cache = new Map()) {
+    if (!cache.has("active")) {
+      cache.set(
+        "active",
+        this.contractPhaseRepository.model.countDocuments({ isActive: true })
+      );
+    }
+
+    return await cache.get("active");
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  /**
+   * Documentos activos de la fase con el estado de su archivo
+   * Solo cuentan archivos activos y en su versión vigente
+   * @private
+   */
+  async _getActiveUploads(phaseEntry) {
+    const entries = (phaseEntry?.documents || []).filter(
+      (doc) => doc.status === "active" && doc.file
+    );
+    if (entries.length === 0) return [];
+
+    const files = await this.fileRepository.model
+      .find({
+        _id: { $in: entries.map((doc) => this._toId(doc.file)) },
+        isActive: true,
+        deletedAt: null,
+        "versionInfo.isCurrentVersion": true,
+      })
+      .select(
+        "originalName status documentType metadata.signatures.isValid metadata.signatures.coversWholeDocument"
+      )
+      .lean();
+    const filesById = new Map(files.map((f) => [f._id.toString(), f]));
+
+    return entries
+      .map((doc) => {
+        const file = filesById.get(this._toId(doc.file));
+        if (!file) return null;
+
+        return {
+          fileId: file._id,
+          originalName: file.originalName,
+          documentType: (doc.documentType || "").toUpperCase(),
+          status: file.status,
+          signed: this.pdfSignatureService.hasValidSignature(file),
+          uploadedAt: doc.uploadedAt,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Estado del documento requerido según el mejor archivo cargado
+   * Si el documento exige firma, solo cuentan los archivos con firma válida
+   * @private
+   */
+  _resolveDocumentStatus(files, requiresSignature = false) {
+    if (files.length === 0) return CHECKLIST_STATUS.MISSING;
+
+    const eligible = requiresSignature ? files.filter((f) => f.signed) : files;
+    if (eligible.length === 0) return CHECKLIST_STATUS.UNSIGNED;
+
+    const best = eligible
+      .map((f) => FILE_STATUS_PRIORITY.indexOf(f.status))
+      .filter((index) => index >= 0)
+      .sort((a, b) => a - b)[0];
+
+    if (best === undefined) return CHECKLIST_STATUS.MISSING;
+    if (best === 0) return CHECKLIST_STATUS.APPROVED;
+    if (best === FILE_STATUS_PRIORITY.indexOf("REJECTED")) {
+      return CHECKLIST_STATUS.REJECTED;
+    }
+    return CHECKLIST_STATUS.PENDING_APPROVAL;
+  }
+
+  _toId(value) {
+    if (!value) return null;
+    return (value._id || value).toString();
+  }
+}
@@ -0,0 +1,603 @@
+// =============================================================================
+// src/module/exp-digital/services/phase-engine.service.js
+// Máquina de estados de las fases del contrato
+// GADM Cantón Esmeraldas - Flujo de contratación pública
+// =============================================================================
+
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractPhaseRepository } from "../repositories/contract-phase.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { PhaseChecklistService } from "./phase-checklist.service.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+
+export const PHASE_ACTIONS = {
+  START: "START",
+  COMPLETE: "COMPLETE",
+  SKIP: "SKIP",
+};
+
+// Estados con los que una fase deja de bloquear a las siguientes
+const FINISHED_STATUSES = ["COMPLETED", "SKIPPED"];
+// Estados desde los que una fase puede iniciarse
+const STARTABLE_STATUSES = ["PENDING", "CANCELLED"];
+
+export class PhaseEngineService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractPhaseRepository = new ContractPhaseRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+    this.phaseChecklistService = new PhaseChecklistService();
+
+    // Usuario al que se atribuyen los avances automáticos
+    this.systemUserId = process.env.SYSTEM_USER_ID || null;
+  }
+
+  // =============================================================================
+  // ESTADO DEL FLUJO
+  // =============================================================================
+
+  /**
+   * Fases activas ordenadas con su configuración efectiva para el tipo
+   * @param {String} contractTypeId - ID del tipo de contrato
+   * @returns {Promise<Array>} Nodos { id, phase, config }
+   */
+  async loadFlow(contractTypeId) {
+    const phases = await this.contractPhaseRepository.model
+      .find({ isActive: true, deletedAt: null })
+      .sort({ order: 1 });
+
+    return phases.map((phase) => ({
+      id: phase._id.toString(),
+      phase,
+      config: phase.getEffectivePhaseConfig(this._toId(contractTypeId)),
+    }));
+  }
+
+  /**
+   * Combinar el flujo con el estado de cada fase en el contrato
+   * Si una fase aparece varias veces en phases[] vale la última entrada
+   * @returns {Array} Nodos con entry y status
+   */
+  buildState(contract, flow) {
+    const entries = new Map();
+    for (const entry of contract.phases || []) {
+      entries.set(this._toId(entry.phase), entry);
+    }
+
+    return flow.map((node) => ({
+      ...node,
+      entry: entries.get(node.id) || null,
+      status: entries.get(node.id)?.status || "PENDING",
+    }));
+  }
+
+  /**
+   * Motivos por los que el motor no permite una acción sobre una fase
+   * El checklist de documentos se evalúa aparte (ver assertTransition)
+   * @param {Array} state - Resultado de buildState
+   * @param {Object} node - Nodo de la fase
+   * @param {String} action - START, COMPLETE o SKIP
+   * @returns {Array} Motivos { code, message }; vacío si está permitida
+   */
+  evaluate(state, node, action) {
+    const reasons = [];
+    const label = node.phase.name;
+
+    switch (action) {
+      case PHASE_ACTIONS.START: {
+        if (!STARTABLE_STATUSES.includes(node.status)) {
+          reasons.push({
+            code: "INVALID_STATUS",
+            message: `La fase ${label} está en estado ${node.status}`,
+          });
+        }
+
+        // Las fases anteriores deben haber terminado, salvo las que
+        // permiten ejecución en paralelo y ya están en curso
+        for (const previous of state) {
+          if (previous.phase.order >= node.phase.order) break;
+          if (FINISHED_STATUSES.includes(previous.status)) continue;
+          if (
+            previous.status === "IN_PROGRESS" &&
+            previous.config.allowParallel
+          )
+            continue;
+
+          reasons.push({
+            code: "PREVIOUS_PHASE_PENDING",
+            message: `La fase ${previous.phase.name} debe completarse u omitirse antes de iniciar ${label}`,
+            phaseId: previous.phase._id,
+          });
+        }
+
+        for (const dependency of node.phase.dependencies?.requiredPhases ||
+          []) {
+          const required = this._findNode(state, dependency.phase);
+          if (!required) continue;
+
+          const accepted =
+            dependency.status === "IN_PROGRESS"
+              ? ["IN_PROGRESS", ...FINISHED_STATUSES]
+              : FINISHED_STATUSES;
+          if (!accepted.includes(required.status)) {
+            reasons.push({
+              code: "DEPENDENCY_NOT_MET",
+              message: `La fase ${label} requiere que ${required.phase.name} esté ${
+                dependency.status === "IN_PROGRESS" ? "iniciada" : "completada"
+              }`,
+              phaseId: required.phase._id,
+            });
+          }
+        }
+
+        // blockedBy: la fase no puede iniciarse mientras esas fases estén en curso
+        for (const blockerId of node.phase.dependencies?.blockedBy || []) {
+          const blocker = this._findNode(state, blockerId);
+          if (blocker?.status === "IN_PROGRESS") {
+            reasons.push({
+              code: "BLOCKED_BY_PHASE",
+              message: `La fase ${label} está bloqueada mientras ${blocker.phase.name} esté en curso`,
+              phaseId: blocker.phase._id,
+            });
+          }
+        }
+        break;
+      }
+
+      case PHASE_ACTIONS.COMPLETE:
+        if (node.status !== "IN_PROGRESS") {
+          reasons.push({
+            code: "INVALID_STATUS",
+            message: `Solo se puede completar una fase en curso (${label} está en ${node.status})`,
+          });
+        }
+        break;
+
+      case PHASE_ACTIONS.SKIP:
+        if (!node.config.isOptional) {
+          reasons.push({
+            code: "PHASE_NOT_OPTIONAL",
+            message: `La fase ${label} no es opcional`,
+          });
+        }
+        if (!STARTABLE_STATUSES.includes(node.status)) {
+          reasons.push({
+            code: "INVALID_STATUS",
+            message: `Solo se puede omitir una fase no iniciada (${label} está en ${node.status})`,
+          });
+        }
+        break;
+
+      default:
+        reasons.push({
+          code: "UNKNOWN_ACTION",
+          message: `Acción de fase no válida: ${action}`,
+        });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Transiciones que el motor permite para el contrato
+   * @param {Object} contract - Contrato (lean o documento)
+   * @returns {Promise<Object>} { available, blocked }
+   */
+  async getTransitions(contract) {
+    const flow = await this.loadFlow(contract.contractType);
+    const state = this.buildState(contract, flow);
+
+    const available = [];
+    const blocked = [];
+
+    for (const node of state) {
+      const actions = [];
+      if (node.status === "IN_PROGRESS") actions.push(PHASE_ACTIONS.COMPLETE);
+      if (STARTABLE_STATUSES.includes(node.status)) {
+        actions.push(PHASE_ACTIONS.START);
+        if (node.config.isOptional) actions.push(PHASE_ACTIONS.SKIP);
+      }
+
+      for (const action of actions) {
+        const reasons = this.evaluate(state, node, action);
+        let requirements = null;
+
+        if (reasons.length === 0 && action === PHASE_ACTIONS.COMPLETE) {
+          const checklist = await this.phaseChecklistService.evaluate(
+            contract,
+            node.id
+          );
+          requirements = { missing: checklist.missing };
+          if (!checklist.isComplete) {
+            reasons.push({
+              code: "MISSING_MANDATORY_DOCUMENTS",
+              message: `La fase ${node.phase.name} tiene ${checklist.missing.length} documento(s) obligatorio(s) sin aprobar`,
+            });
+          }
+        }
+
+        const transition = {
+          action,
+          phase: this._summarizePhase(node),
+          config: node.config,
+        };
+
+        if (reasons.length === 0) {
+          available.push({ ...transition, requirements });
+        } else {
+          blocked.push({ ...transition, reasons });
+        }
+      }
+    }
+
+    return { available, blocked };
+  }
+
+  /**
+   * Verificar que la acción esté permitida
+   * COMPLETE exige además el checklist de documentos completo
+   * @throws {Error} INVALID_PHASE_TRANSITION o MISSING_MANDATORY_DOCUMENTS
+   * @returns {Promise<Object>} { flow, state, node }
+   */
+  async assertTransition(contract, action, phaseId, flow = null) {
+    const resolvedFlow = flow || (await this.loadFlow(contract.contractType));
+    const state = this.buildState(contract, resolvedFlow);
+    const node = this._findNode(state, phaseId);
+
+    if (!node) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "La fase no existe o no está activa en el flujo",
+        404
+      );
+    }
+
+    const reasons = this.evaluate(state, node, action);
+    if (reasons.length > 0) {
+      throw createError(
+        ERROR_CODES.INVALID_PHASE_TRANSITION,
+        reasons.map((r) => r.message).join(". "),
+        409,
+        { action, phase: this._summarizePhase(node), reasons }
+      );
+    }
+
+    if (action === PHASE_ACTIONS.COMPLETE) {
+      await this.phaseChecklistService.assertPhaseComplete(contract, node.id);
+    }
+
+    return { flow: resolvedFlow, state, node };
+  }
+
+  /**
+   * Planificar el avance desde una fase: completarla (si está en curso),
+   * omitir las opcionales intermedias si se solicita e iniciar la siguiente
+   * @param {Object} contract - Contrato
+   * @param {Object} options - fromPhase, skipOptionalPhases
+   * @returns {Promise<Object>} { flow, steps, nextPhase }
+   */
+  async planAdvance(contract, options = {}) {
+    const { fromPhase = contract.currentPhase, skipOptionalPhases = false } =
+      options;
+
+    const flow = await this.loadFlow(contract.contractType);
+    const working = { ...contract, phases: [...(contract.phases || [])] };
+    const steps = [];
+
+    const fromNode = this._findNode(this.buildState(working, flow), fromPhase);
+    if (fromNode?.status === "IN_PROGRESS") {
+      await this.assertTransition(
+        working,
+        PHASE_ACTIONS.COMPLETE,
+        fromNode.id,
+        flow
+      );
+      steps.push({ action: PHASE_ACTIONS.COMPLETE, phaseId: fromNode.id });
+      working.phases = this.applyTransition(
+        working.phases,
+        PHASE_ACTIONS.COMPLETE,
+        fromNode.id
+      );
+    }
+
+    const fromOrder = fromNode?.phase.order ?? -Infinity;
+    for (const node of this.buildState(working, flow)) {
+      if (node.phase.order <= fromOrder) continue;
+      if (FINISHED_STATUSES.includes(node.status)) continue;
+      // Fase ya iniciada en paralelo: pasa a ser la actual sin reiniciarla
+      if (node.status === "IN_PROGRESS") {
+        return { flow, steps, nextPhase: node.phase };
+      }
+
+      if (node.config.isOptional && skipOptionalPhases) {
+        await this.assertTransition(working, PHASE_ACTIONS.SKIP, node.id, flow);
+        steps.push({ action: PHASE_ACTIONS.SKIP, phaseId: node.id });
+        working.phases = this.applyTransition(
+          working.phases,
+          PHASE_ACTIONS.SKIP,
+          node.id
+        );
+        continue;
+      }
+
+      await this.assertTransition(working, PHASE_ACTIONS.START, node.id, flow);
+      steps.push({ action: PHASE_ACTIONS.START, phaseId: node.id });
+      return { flow, steps, nextPhase: node.phase };
+    }
+
+    return { flow, steps, nextPhase: null };
+  }
+
+  /**
+   * Aplicar una acción sobre phases[] (sin persistir)
+   * @param {Array} phases - Entradas actuales del contrato
+   * @param {String} action - START, COMPLETE o SKIP
+   * @param {String} phaseId - ID de la fase
+   * @param {Object} options - userId, reason, now
+   * @returns {Array} Nuevo arreglo de fases
+   */
+  applyTransition(phases, action, phaseId, options = {}) {
+    const { userId, reason, now = new Date() } = options;
+    const result = phases.map((entry) =>
+      entry.toObject ? entry.toObject() : { ...entry }
+    );
+
+    let index = -1;
+    result.forEach((entry, i) => {
+      if (this._toId(entry.phase) === this._toId(phaseId)) index = i;
+    });
+    const entry = index >= 0 ? result[index] : null;
+
+    switch (action) {
+      case PHASE_ACTIONS.START:
+        // Una fase cancelada se reinicia con una entrada nueva
+        if (entry && entry.status === "PENDING") {
+          Object.assign(entry, {
+            status: "IN_PROGRESS",
+            startDate: now,
+            actualStartDate: now,
+            assignedTo: entry.assignedTo || userId,
+          });
+        } else {
+          result.push({
+            phase: phaseId,
+            status: "IN_PROGRESS",
+            startDate: now,
+            actualStartDate: now,
+            assignedTo: userId,
+            documents: [],
+            notes: reason,
+          });
+        }
+        break;
+
+      case PHASE_ACTIONS.COMPLETE:
+        Object.assign(entry, {
+          status: "COMPLETED",
+          endDate: now,
+          actualEndDate: now,
+          completionPercentage: 100,
+        });
+        break;
+
+      case PHASE_ACTIONS.SKIP:
+        if (entry && entry.status === "PENDING") {
+          Object.assign(entry, {
+            status: "SKIPPED",
+            endDate: now,
+            notes: reason,
+          });
+        } else {
+          result.push({
+            phase: phaseId,
+            status: "SKIPPED",
+            endDate: now,
+            documents: [],
+            notes: reason,
+          });
+        }
+        break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Fase actual: la fase en curso de mayor orden (o la última terminada)
+   * @returns {String|null} ID de la fase
+   */
+  resolveCurrentPhase(phases, flow) {
+    const state = this.buildState({ phases }, flow);
+    const inProgress = state.filter((n) => n.status === "IN_PROGRESS");
+    if (inProgress.length > 0) return inProgress[inProgress.length - 1].id;
+
+    const finished = state.filter((n) => n.status === "COMPLETED");
+    return finished.length > 0 ? finished[finished.length - 1].id : null;
+  }
+
+  /**
+   * Cambios de una transición en el formato de changesData.changes del
+   * historial, que usa el detalle de los conflictos de versión (If-Match)
+   * @param {Object} contract - Contrato antes de la transición
+   * @param {Array} phases - Nuevo arreglo de fases
+   * @param {String} currentPhase - Nueva fase actual
+   * @returns {Array} [{ field, oldValue, newValue }]
+   */
+  detectChanges(contract, phases, currentPhase) {
+    const changes = [];
+
+    const previousPhase = this._toId(contract.currentPhase);
+    const nextPhase = this._toId(currentPhase);
+    if (previousPhase !== nextPhase) {
+      changes.push({
+        field: "currentPhase",
+        oldValue: previousPhase,
+        newValue: nextPhase,
+      });
+    }
+
+    phases.forEach((entry, index) => {
+      const previousStatus = contract.phases?.[index]?.status ?? null;
+      if (previousStatus !== entry.status) {
+        changes.push({
+          field: `phases.${index}.status`,
+          oldValue: previousStatus,
+          newValue: entry.status,
+        });
+      }
+    });
+
+    return changes;
+  }
+
+  // =============================================================================
+  // AVANCE AUTOMÁTICO
+  // =============================================================================
+
+  /**
+   * Avanzar automáticamente cuando el checklist de una fase se completa
+   * Solo fases con autoAdvance y sin aprobación formal (requiresApproval)
+   * @param {String} contractId - ID del contrato
+   * @param {String} phaseId - ID de la fase cuyo checklist cambió
+   * @param {Object} userData - Usuario que provocó el cambio
+   * @returns {Promise<Object|null>} Pasos aplicados o null
+   */
+  async handleChecklistUpdate(contractId, phaseId, userData = {}) {
+    const contract = await this.contractRepository.model
+      .findOne({ _id: contractId, deletedAt: null })
+      .select(
+        "contractNumber contractType currentPhase phases updatedAt concurrencyControl.version"
+      )
+      .lean();
+    if (!contract) return null;
+
+    const flow = await this.loadFlow(contract.contractType);
+    const node = this._findNode(this.buildState(contract, flow), phaseId);
+    if (
+      !node ||
+      node.status !== "IN_PROGRESS" ||
+      !node.config.autoAdvance ||
+      node.config.requiresApproval
+    ) {
+      return null;
+    }
+
+    const checklist = await this.phaseChecklistService.evaluate(
+      contract,
+      node.id
+    );
+    if (!checklist.isComplete) return null;
+
+    const userId = userData.userId || this.systemUserId;
+    let phases = this.applyTransition(
+      contract.phases,
+      PHASE_ACTIONS.COMPLETE,
+      node.id,
+      { userId }
+    );
+    const steps = [{ action: PHASE_ACTIONS.COMPLETE, phaseId: node.id }];
+
+    // Iniciar la siguiente fase solo si el motor lo permite
+    let nextPhase = null;
+    try {
+      const plan = await this.planAdvance(
+        { ...contract, phases },
+        { fromPhase: node.id }
+      );
+      for (const step of plan.steps) {
+        phases = this.applyTransition(phases, step.action, step.phaseId, {
+          userId,
+        });
+        steps.push(step);
+      }
+      nextPhase = plan.nextPhase;
+    } catch (error) {
+      console.log(
+        `⏸️ Engine: Fase ${node.phase.name} completada sin iniciar la siguiente: ${error.message}`
+      );
+    }
+
+    // Evitar sobrescribir cambios concurrentes sobre phases[]
+    const filter = { _id: contract._id };
+    if (contract.updatedAt) filter.updatedAt = contract.updatedAt;
+
+    const currentPhase = this.resolveCurrentPhase(phases, flow);
+    // Nueva versión para que los ETag emitidos antes del avance queden obsoletos
+    const updated = await this.contractRepository.model
+      .findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            phases,
+            currentPhase,
+            "timeline.lastStatusChange": new Date(),
+          },
+          $inc: { "concurrencyControl.version": 1 },
+        },
+        { new: true }
+      )
+      .select("concurrencyControl.version")
+      .lean();
+    if (!updated) return null; // El contrato cambió entretanto
+
+    await this._createHistoryEntry(contract, userId, {
+      eventType: "PHASE_COMPLETION",
+      description: nextPhase
+        ? `Avance automático: fase ${node.phase.name} completada, inicia ${nextPhase.name}`
+        : `Avance automático: fase ${node.phase.name} completada`,
+      changeDetails: {
+        previousPhase: node.phase._id,
+        newPhase: nextPhase?._id,
+      },
+      changesData: {
+        automatic: true,
+        steps,
+        changes: this.detectChanges(contract, phases, currentPhase),
+        version: updated.concurrencyControl.version,
+      },
+    });
+
+    console.log(
+      `⏩ Engine: Avance automático en contrato ${contract.contractNumber} (${node.phase.name})`
+    );
+
+    return { steps, currentPhase, nextPhase };
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  async _createHistoryEntry(contract, userId, entry) {
+    if (!userId) return;
+
+    try {
+      await this.contractHistoryRepository.create(
+        { contract: contract._id, user: userId, ...entry },
+        { userId }
+      );
+    } catch (error) {
+      console.error("⚠️ Error creando entrada de historial:", error);
+    }
+  }
+
+  _summarizePhase(node) {
+    return {
+      _id: node.phase._id,
+      code: node.phase.code,
+      name: node.phase.name,
+      order: node.phase.order,
+      status: node.status,
+    };
+  }
+
+  _findNode(state, phaseRef) {
+    const id = this._toId(phaseRef);
+    return state.find((node) => node.id === id) || null;
+  }
+
+  _toId(value) {
+    if (!value) return null;
+    return (value._id || value).toString();
+  }
+}
@@ -0,0 +1,281 @@
+// =============================================================================
+// src/module/exp-digital/services/sercop-client.service.js
+// Cliente HTTP de la API de Datos Abiertos de SERCOP
+// Limita la tasa de solicitudes, reintenta fallos transitorios y guarda
+// las respuestas en caché para no repetir consultas al portal
+// =============================================================================
+
+import axios from "axios";
+import { SercopResponseCacheRepository } from "../repositories/sercop-response-cache.repository.js";
+import { createError, ERROR_CODES } from "../../../../utils/error.util.js";
+
+const DEFAULT_BASE_URL =
+  "https://datosabiertos.compraspublicas.gob.ec/PLATAFORMA/api";
+
+// Errores de red que suelen desaparecer al reintentar
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Cubeta de fichas: permite ráfagas de `capacity` solicitudes y luego
+ * `refillPerSecond` por segundo. Los turnos se atienden en orden de llegada.
+ */
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  acquire() {
+    const turn = this.queue.then(() => this._take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Detener a todos los solicitantes (p. ej. tras un 429 con Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  async _take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      const elapsed = (now - this.lastRefill) / 1000;
+      this.tokens = Math.min(
+        this.capacity,
+        this.tokens + elapsed * this.refillPerSecond
+      );
+      this.lastRefill = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) * 1000) / this.refillPerSecond));
+    }
+  }
+}
+
+// El límite lo impone el portal, así que se comparte entre instancias
+let sharedRateLimiter = null;
+
+function getRateLimiter() {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = new TokenBucket({
+      capacity: parseInt(process.env.SERCOP_RATE_LIMIT_BURST) || 5,
+      refillPerSecond:
+        parseFloat(process.env.SERCOP_RATE_LIMIT_PER_SECOND) || 2,
+    });
+  }
+  return sharedRateLimiter;
+}
+
+export class SercopClientService {
+  constructor() {
+    this.cacheRepository = new SercopResponseCacheRepository();
+    this.userAgent = "GADMCE-ExpedienteDigital/1.0";
+  }
+
+  /**
+   * Configuración leída en cada uso: los scripts cargan .env después de
+   * importar los servicios
+   */
+  get settings() {
+    const number = (value, fallback) =>
+      Number.isNaN(parseFloat(value)) ? fallback : parseFloat(value);
+    const minutes = (value, fallback) => number(value, fallback) * 60 * 1000;
+
+    return {
+      maxRetries: Math.max(number(process.env.SERCOP_MAX_RETRIES, 3), 0),
+      retryBaseMs: parseInt(process.env.SERCOP_RETRY_BASE_MS) || 1000,
+      retryMaxMs: parseInt(process.env.SERCOP_RETRY_MAX_MS) || 30000,
+      cacheEnabled: process.env.SERCOP_CACHE_ENABLED !== "false",
+      cacheTtl: {
+        search_ocds: minutes(process.env.SERCOP_CACHE_TTL_SEARCH_MINUTES, 360),
+        record: minutes(process.env.SERCOP_CACHE_TTL_RECORD_MINUTES, 60),
+      },
+    };
+  }
+
+  // SERCOP_API_URL permite apuntar al servidor simulado
+  // (scripts/sercop-mock-server.js) para trabajar sin el portal
+  get baseUrl() {
+    return (process.env.SERCOP_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  }
+
+  buildUrl(endpoint, params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== "") {
+        query.append(key, value);
+      }
+    }
+    const queryString = query.toString();
+    return `${this.baseUrl}/${endpoint}${queryString ? `?${queryString}` : ""}`;
+  }
+
+  /**
+   * Consultar un endpoint de la API
+   * @param {String} endpoint - search_ocds, record...
+   * @param {Object} params - Parámetros de consulta
+   * @param {Object} options - timeout, cache (false para ir siempre al portal)
+   * @returns {Promise<Object>} Cuerpo JSON de la respuesta
+   */
+  async get(endpoint, params = {}, options = {}) {
+    const { timeout = 30000, cache = true } = options;
+    const settings = this.settings;
+    const url = this.buildUrl(endpoint, params);
+    const ttlMs = settings.cacheTtl[endpoint] || 0;
+    const useCache = settings.cacheEnabled && cache && ttlMs > 0;
+
+    if (useCache) {
+      const cached = await this._readCache(url);
+      if (cached) {
+        console.log(`💾 SERCOP (caché): ${url}`);
+        return cached;
+      }
+    }
+
+    console.log(`🌐 Consultando SERCOP: ${url}`);
+    const data = await this._requestWithRetry(url, timeout, settings);
+
+    if (useCache) {
+      await this._writeCache({ url, endpoint, data, ttlMs });
+    }
+
+    return data;
+  }
+
+  /**
+   * Vaciar la caché de respuestas
+   * @param {String} endpoint - Opcional, solo las de ese endpoint
+   */
+  async purgeCache(endpoint = null) {
+    const result = await this.cacheRepository.purge(endpoint);
+    return { deleted: result.deletedCount || 0 };
+  }
+
+  async _requestWithRetry(url, timeout, settings) {
+    const rateLimiter = getRateLimiter();
+
+    for (let attempt = 1; ; attempt++) {
+      await rateLimiter.acquire();
+
+      try {
+        const response = await axios.get(url, {
+          timeout,
+          headers: {
+            Accept: "application/json",
+            "User-Agent": this.userAgent,
+          },
+        });
+
+        // En mantenimiento el portal responde 200 con una página HTML
+        if (!response.data || typeof response.data !== "object") {
+          throw createError(
+            ERROR_CODES.EXTERNAL_API_ERROR,
+            "SERCOP devolvió una respuesta que no es JSON",
+            502
+          );
+        }
+
+        return response.data;
+      } catch (error) {
+        if (attempt > settings.maxRetries || !this._isRetryable(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        const delay = this._retryDelay(error, attempt, settings);
+        if (error.response?.status === 429) {
+          rateLimiter.pause(delay);
+        }
+
+        console.warn(
+          `⚠️ SERCOP falló (${error.response?.status || error.code}); reintento ${attempt}/${settings.maxRetries} en ${delay} ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  _isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    if (error.code === ERROR_CODES.EXTERNAL_API_ERROR) return true;
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+  }
+
+  /**
+   * Espera exponencial con variación aleatoria; respeta Retry-After
+   */
+  _retryDelay(error, attempt, settings) {
+    const retryAfter = this._parseRetryAfter(
+      error.response?.headers?.["retry-after"]
+    );
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, settings.retryMaxMs);
+    }
+
+    const exponential = Math.min(
+      settings.retryBaseMs * 2 ** (attempt - 1),
+      settings.retryMaxMs
+    );
+    return Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+  }
+
+  _parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  // La caché es una optimización: si MongoDB falla se consulta el portal
+  async _readCache(url) {
+    try {
+      const entry = await this.cacheRepository.findFresh(url);
+      return entry ? JSON.parse(entry.body) : null;
+    } catch (error) {
+      console.warn(`⚠️ No se pudo leer la caché de SERCOP: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _writeCache({ url, endpoint, data, ttlMs }) {
+    try {
+      await this.cacheRepository.store({
+        url,
+        endpoint,
+        body: JSON.stringify(data),
+        ttlMs,
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ No se pudo guardar la respuesta de SERCOP en caché: ${error.message}`
+      );
+    }
+  }
+}
@@ -0,0 +1,583 @@
+// =============================================================================
+// src/module/exp-digital/services/sercop-reconciliation.service.js
+// Conciliación periódica de contratos importados con los registros de SERCOP
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import { Types } from "mongoose";
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { SercopReviewRepository } from "../repositories/sercop-review.repository.js";
+import { SERCOP_REVIEW_STATUS } from "../models/sercop-review.scheme.js";
+import { SercopSyncService } from "./sercop-sync.service.js";
+import { OcdsMapperService } from "./ocds-mapper.service.js";
+import {
+  createError,
+  createValidationError,
+  ERROR_CODES,
+} from "../../../../utils/error.util.js";
+
+// Campos que se actualizan solos si no se editaron localmente desde la
+// última conciliación; el resto (objeto, valor referencial, código) siempre
+// pasa por revisión
+const AUTO_APPLY_FIELDS = [
+  "detailedDescription",
+  "budget.awardedValue",
+  "contractor.ruc",
+  "contractor.businessName",
+  "timeline.plannedStartDate",
+  "timeline.plannedEndDate",
+  "timeline.questionsDeadline",
+  "timeline.submissionDeadline",
+  "timeline.executionStartDate",
+  "timeline.executionEndDate",
+];
+
+// Tipo de evento del historial según el grupo del campo
+const HISTORY_EVENT_BY_GROUP = {
+  budget: "BUDGET_CHANGE",
+  contractor: "CONTRACTOR_CHANGE",
+  timeline: "TIMELINE_CHANGE",
+};
+
+export class SercopReconciliationService {
+  constructor() {
+    this.contractRepository = new ContractRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+    this.sercopReviewRepository = new SercopReviewRepository();
+    this.sercopSyncService = new SercopSyncService();
+    this.ocdsMapper = new OcdsMapperService();
+
+    this.config = {
+      // Máximo de contratos por ejecución; los demás quedan para la siguiente
+      maxContractsPerRun:
+        parseInt(process.env.SERCOP_RECONCILE_MAX_CONTRACTS) || 200,
+    };
+  }
+
+  /**
+   * Conciliar los contratos importados, empezando por los sincronizados
+   * hace más tiempo
+   * @param {Object} options - now, triggeredBy, maxContracts, contractId
+   * @returns {Promise<Object>} Resumen con el integrationId de la ejecución
+   */
+  async reconcile(options = {}) {
+    const {
+      now = new Date(),
+      triggeredBy = null,
+      maxContracts = this.config.maxContractsPerRun,
+      contractId = null,
+    } = options;
+
+    const integrationId = this._buildIntegrationId(now);
+    console.log(
+      `🔄 Service: Conciliación con SERCOP iniciada (${integrationId})`
+    );
+
+    const query = {
+      "metadata.sercopOcid": { $nin: [null, ""] },
+      isActive: true,
+    };
+    if (contractId) {
+      if (!Types.ObjectId.isValid(contractId)) {
+        throw createValidationError("ID de contrato no válido");
+      }
+      query._id = contractId;
+    }
+
+    const contracts = await this.contractRepository.model
+      .find(query)
+      .sort({ "metadata.sercopSync.lastSyncAt": 1, _id: 1 })
+      .limit(maxContracts)
+      .lean();
+
+    const summary = {
+      checked: 0,
+      unchanged: 0,
+      applied: 0,
+      queued: 0,
+      deferred: 0,
+      drift: 0,
+      errors: 0,
+    };
+
+    for (const contract of contracts) {
+      summary.checked++;
+
+      try {
+        const result = await this.reconcileContract(contract, {
+          now,
+          integrationId,
+          userId: triggeredBy,
+        });
+
+        summary.applied += result.applied.length;
+        summary.queued += result.queued.length;
+        if (result.deferred) summary.deferred++;
+        if (result.drift) summary.drift++;
+        if (result.applied.length === 0 && result.queued.length === 0) {
+          summary.unchanged++;
+        }
+      } catch (error) {
+        summary.errors++;
+        console.error(
+          `❌ Service: Error conciliando ${contract.contractNumber}: ${error.message}`
+        );
+        await this.contractRepository.updateSercopSync(contract._id, {
+          ...contract.metadata?.sercopSync,
+          lastSyncAt: now,
+          lastSyncStatus: "ERROR",
+          lastError: error.message.slice(0, 1000),
+          integrationId,
+        });
+      }
+    }
+
+    console.log(
+      `✅ Service: Conciliación ${integrationId} - ${summary.checked} contratos, ${summary.applied} campos aplicados, ${summary.queued} en revisión, ${summary.drift} con estado distinto`
+    );
+
+    return { integrationId, ...summary };
+  }
+
+  /**
+   * Comparar un contrato con su registro en SERCOP
+   * @param {Object} contract - Contrato (lean) con metadata.sercopOcid
+   * @param {Object} options - now, integrationId, userId
+   * @returns {Promise<Object>} { applied, queued, deferred, drift }
+   */
+  async reconcileContract(
+    contract,
+    { now = new Date(), integrationId, userId }
+  ) {
+    const ocid = contract.metadata.sercopOcid;
+    const payload = await this.sercopSyncService.getContractDetail(ocid);
+    const release = this.ocdsMapper.extractRelease(payload);
+
+    if (!release) {
+      throw createError(
+        ERROR_CODES.EXTERNAL_API_ERROR,
+        `SERCOP no devolvió un registro OCDS para ${ocid}`,
+        502
+      );
+    }
+
+    const mapped = this.ocdsMapper.mapRelease(release);
+    const diff = await this._diff(contract, mapped);
+
+    const applied = [];
+    let deferred = false;
+
+    if (diff.apply.length > 0) {
+      const changes = Object.fromEntries(
+        diff.apply.map(({ field, sercopValue }) => [field, sercopValue])
+      );
+      const updated = await this.contractRepository.applySercopChanges(
+        contract._id,
+        contract.concurrencyControl?.version || 0,
+        changes
+      );
+
+      if (updated) {
+        applied.push(...diff.apply);
+        await this._recordHistory(contract, diff.apply, {
+          integrationId,
+          userId,
+          description: "Actualización automática desde SERCOP",
+        });
+      } else {
+        // Se editó mientras tanto: se reintenta en la próxima ejecución
+        deferred = true;
+      }
+    }
+
+    for (const item of diff.review) {
+      await this.sercopReviewRepository.upsertPending(
+        {
+          contract: contract._id,
+          ocid,
+          field: item.field,
+          localValue: item.localValue,
+          sercopValue: item.sercopValue,
+          source: item.source,
+          reason: item.reason,
+          integrationId,
+        },
+        now
+      );
+    }
+    await this.sercopReviewRepository.supersedePending(
+      contract._id,
+      diff.matching,
+      now
+    );
+
+    const pendingReviews = (
+      await this.sercopReviewRepository.countPendingByContract([contract._id])
+    ).get(contract._id.toString());
+
+    const syncState = this.ocdsMapper.buildSyncState(mapped, {
+      now,
+      integrationId,
+      pendingReviews: pendingReviews || 0,
+    });
+    if (deferred) {
+      // Conservar el snapshot anterior para volver a evaluar lo no aplicado
+      syncState.snapshot = contract.metadata?.sercopSync?.snapshot || [];
+    }
+    await this.contractRepository.updateSercopSync(contract._id, syncState);
+
+    return {
+      applied,
+      queued: diff.review,
+      deferred,
+      drift: contract.generalStatus !== mapped.stage.generalStatus,
+    };
+  }
+
+  /**
+   * Contratos cuyo estado local no coincide con la etapa en SERCOP
+   * @param {Object} options - page, limit, departmentId
+   * @returns {Promise<Object>} { contracts, pagination }
+   */
+  async getDriftReport(options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+    const query = {
+      isActive: true,
+      "metadata.sercopSync.sercopStatus": { $exists: true, $ne: null },
+      $expr: {
+        $ne: ["$generalStatus", "$metadata.sercopSync.sercopStatus"],
+      },
+    };
+    if (options.departmentId) {
+      if (!Types.ObjectId.isValid(options.departmentId)) {
+        throw createValidationError("ID de departamento no válido");
+      }
+      query.requestingDepartment = new Types.ObjectId(options.departmentId);
+    }
+
+    const [total, contracts] = await Promise.all([
+      this.contractRepository.model.countDocuments(query),
+      this.contractRepository.model
+        .find(query)
+        .sort({ "metadata.sercopSync.lastSyncAt": -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(
+          "contractNumber sercopCode contractualObject generalStatus requestingDepartment currentPhase metadata.sercopOcid metadata.sercopSync"
+        )
+        .populate("requestingDepartment", "code name shortName")
+        .populate("currentPhase", "code name category")
+        .lean(),
+    ]);
+
+    return {
+      contracts: contracts.map((contract) => {
+        const sync = contract.metadata.sercopSync;
+        return {
+          _id: contract._id,
+          contractNumber: contract.contractNumber,
+          sercopCode: contract.sercopCode,
+          contractualObject: contract.contractualObject,
+          requestingDepartment: contract.requestingDepartment,
+          currentPhase: contract.currentPhase,
+          ocid: contract.metadata.sercopOcid,
+          localStatus: contract.generalStatus,
+          sercopStatus: sync.sercopStatus,
+          sercopStage: sync.sercopStage,
+          lastSyncAt: sync.lastSyncAt,
+          lastSyncStatus: sync.lastSyncStatus,
+          pendingReviews: sync.pendingReviews || 0,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Cola de diferencias pendientes de revisión
+   */
+  async getReviewQueue(options = {}) {
+    const status = options.status?.toUpperCase();
+    if (status && !Object.values(SERCOP_REVIEW_STATUS).includes(status)) {
+      throw createValidationError(
+        `Estado no válido. Valores permitidos: ${Object.values(SERCOP_REVIEW_STATUS).join(", ")}`
+      );
+    }
+    if (options.contractId && !Types.ObjectId.isValid(options.contractId)) {
+      throw createValidationError("ID de contrato no válido");
+    }
+
+    return await this.sercopReviewRepository.findReviews({
+      page: Math.max(parseInt(options.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit) || 20, 1), 100),
+      status: status || SERCOP_REVIEW_STATUS.PENDING,
+      contractId: options.contractId,
+    });
+  }
+
+  /**
+   * Resolver una diferencia: APPLY aplica el valor de SERCOP, REJECT
+   * conserva el valor local
+   * @param {String} reviewId - ID de la diferencia
+   * @param {Object} decision - action, observations
+   * @param {Object} userData - Usuario que resuelve
+   * @returns {Promise<Object>} Diferencia resuelta
+   */
+  async resolveReview(reviewId, { action, observations } = {}, userData = {}) {
+    if (!Types.ObjectId.isValid(reviewId)) {
+      throw createValidationError("ID de diferencia no válido");
+    }
+
+    const normalizedAction = String(action || "").toUpperCase();
+    if (!["APPLY", "REJECT"].includes(normalizedAction)) {
+      throw createValidationError("La acción debe ser APPLY o REJECT");
+    }
+
+    const review = await this.sercopReviewRepository.model
+      .findById(reviewId)
+      .lean();
+    if (!review) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "Diferencia con SERCOP no encontrada",
+        404
+      );
+    }
+    if (review.status !== SERCOP_REVIEW_STATUS.PENDING) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `La diferencia ya fue resuelta (${review.status})`,
+        409
+      );
+    }
+
+    if (normalizedAction === "APPLY") {
+      const contract = await this.contractRepository.model
+        .findById(review.contract)
+        .lean();
+      if (!contract) {
+        throw createError(ERROR_CODES.NOT_FOUND, "Contrato no encontrado", 404);
+      }
+
+      const updated = await this.contractRepository.applySercopChanges(
+        contract._id,
+        contract.concurrencyControl?.version || 0,
+        { [review.field]: review.sercopValue }
+      );
+      if (!updated) {
+        throw createError(
+          ERROR_CODES.VERSION_CONFLICT,
+          "El contrato se modificó mientras se aplicaba el cambio; intente nuevamente",
+          409
+        );
+      }
+
+      await this._recordHistory(
+        contract,
+        [
+          {
+            field: review.field,
+            localValue: review.localValue,
+            sercopValue: review.sercopValue,
+            source: review.source,
+          },
+        ],
+        {
+          integrationId: review.integrationId,
+          userId: userData.userId,
+          description: "Cambio de SERCOP aplicado tras revisión",
+        }
+      );
+    }
+
+    const resolved = await this.sercopReviewRepository.resolve(reviewId, {
+      status:
+        normalizedAction === "APPLY"
+          ? SERCOP_REVIEW_STATUS.APPLIED
+          : SERCOP_REVIEW_STATUS.REJECTED,
+      resolvedBy: userData.userId,
+      observations,
+    });
+
+    await this.contractRepository.model.updateOne(
+      {
+        _id: review.contract,
+        "metadata.sercopSync.pendingReviews": { $gt: 0 },
+      },
+      { $inc: { "metadata.sercopSync.pendingReviews": -1 } }
+    );
+
+    console.log(
+      `✅ Service: Diferencia ${review.field} de ${review.ocid} resuelta (${normalizedAction})`
+    );
+
+    return resolved;
+  }
+
+  // ===========================================================================
+  // MÉTODOS PRIVADOS
+  // ===========================================================================
+
+  /**
+   * Clasificar los campos de SERCOP frente al contrato
+   * @returns {Promise<Object>} { apply, review, matching }
+   * @private
+   */
+  async _diff(contract, mapped) {
+    const snapshot = new Map(
+      (contract.metadata?.sercopSync?.snapshot || []).map((item) => [
+        item.field,
+        this._normalize(item.value),
+      ])
+    );
+    const rejected = await this.sercopReviewRepository.findRejectedValues(
+      contract._id
+    );
+
+    const apply = [];
+    const review = [];
+    const matching = [];
+
+    for (const { field, value, source } of this.ocdsMapper.getReconciledFields(
+      mapped
+    )) {
+      const localValue = this._getPath(contract, field);
+      const local = this._normalize(localValue);
+      const sercop = this._normalize(value);
+
+      if (local === sercop) {
+        matching.push(field);
+        continue;
+      }
+
+      // Ya se decidió conservar el valor local frente a este mismo valor
+      if (
+        rejected.has(field) &&
+        this._normalize(rejected.get(field)) === sercop
+      ) {
+        continue;
+      }
+
+      const item = { field, localValue, sercopValue: value, source };
+
+      if (sercop === null) {
+        review.push({ ...item, reason: "El valor ya no figura en SERCOP" });
+      } else if (local === null) {
+        apply.push(item);
+      } else if (!AUTO_APPLY_FIELDS.includes(field)) {
+        review.push({ ...item, reason: "Campo que requiere revisión manual" });
+      } else if (snapshot.has(field) && snapshot.get(field) === local) {
+        apply.push(item);
+      } else {
+        review.push({
+          ...item,
+          reason:
+            "El valor se modificó localmente desde la última conciliación",
+        });
+      }
+    }
+
+    return { apply, review, matching };
+  }
+
+  /**
+   * Registrar los cambios aplicados en el historial, uno por grupo
+   * @private
+   */
+  async _recordHistory(
+    contract,
+    items,
+    { integrationId, userId, description }
+  ) {
+    const groups = new Map();
+    for (const item of items) {
+      const group = item.field.split(".")[0];
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(item);
+    }
+
+    for (const [group, groupItems] of groups) {
+      const changes = groupItems.map((item) => ({
+        field: item.field,
+        previousValue: item.localValue ?? null,
+        newValue: item.sercopValue,
+        source: item.source,
+      }));
+
+      const changeDetails = {};
+      if (group === "budget") {
+        changeDetails.previousBudget = { ...contract.budget };
+        changeDetails.newBudget = { ...contract.budget };
+        for (const item of groupItems) {
+          changeDetails.newBudget[item.field.split(".")[1]] = item.sercopValue;
+        }
+      }
+
+      try {
+        await this.contractHistoryRepository.create(
+          {
+            contract: contract._id,
+            eventType: HISTORY_EVENT_BY_GROUP[group] || "DATA_MODIFICATION",
+            description: `${description}: ${changes.map((c) => c.field).join(", ")}`,
+            user: Types.ObjectId.isValid(userId) ? userId : null,
+            changeDetails,
+            changesData: {
+              source: "SERCOP",
+              ocid: contract.metadata.sercopOcid,
+              changes,
+            },
+            externalReferences: { integrationId },
+          },
+          { userId }
+        );
+      } catch (error) {
+        console.error("⚠️ Error registrando historial de conciliación:", error);
+      }
+    }
+  }
+
+  /**
+   * Valor comparable: fechas en ISO, montos a centavos, textos sin espacios
+   * sobrantes y vacíos como null
+   * @private
+   */
+  _normalize(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "number") return value.toFixed(2);
+    if (typeof value === "string") {
+      const trimmed = value.replace(/\s+/g, " ").trim();
+      if (/^\d{4}-\d{2}-\d{2}T/.test(trimmed)) {
+        const date = new Date(trimmed);
+        if (!Number.isNaN(date.getTime())) return date.toISOString();
+      }
+      return trimmed || null;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @private
+   */
+  _getPath(object, path) {
+    return path
+      .split(".")
+      .reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  /**
+   * Identificador de la ejecución para el historial y la cola de revisión
+   * @private
+   */
+  _buildIntegrationId(now) {
+    return `SERCOP-RECON-${now.getTime().toString(36).toUpperCase()}`;
+  }
+}
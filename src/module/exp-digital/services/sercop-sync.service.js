@@ -4,22 +4,99 @@
 // Maneja mapeo inteligente y creación automática de tipos de contrato
 // =============================================================================
 
-import axios from "axios";
+import { Types } from "mongoose";
 import { ContractTypeRepository } from "../repositories/contract-type.repository.js";
+import { ContractRepository } from "../repositories/contract.repository.js";
+import { ContractHistoryRepository } from "../repositories/contract-history.repository.js";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import { OcdsMapperService } from "./ocds-mapper.service.js";
+import { PhaseEngineService } from "./phase-engine.service.js";
+import { SercopClientService } from "./sercop-client.service.js";
+import { SercopSyncCheckpointRepository } from "../repositories/sercop-sync-checkpoint.repository.js";
+import { SERCOP_CHECKPOINT_STATUS } from "../models/sercop-sync-checkpoint.scheme.js";
+import { SercopTypeMappingRepository } from "../repositories/sercop-type-mapping.repository.js";
 import {
   createError,
   createValidationError,
   ERROR_CODES,
 } from "../../../../utils/error.util.js";
 
+const SYNC_TYPES_OPERATION = "sync-types";
+const SYNC_COUNTERS = [
+  "processed",
+  "existing",
+  "created",
+  "unmapped",
+  "errors",
+];
+// Frecuencia con la que se releen las decisiones de la cola de tipos
+const TYPE_MAPPING_TTL_MS = 60 * 1000;
+
 export class SercopSyncService {
   constructor() {
     this.contractTypeRepository = new ContractTypeRepository();
-    this.baseUrl =
-      "https://datosabiertos.compraspublicas.gob.ec/PLATAFORMA/api";
-
-    // Mapeo de internal_type de SERCOP a nuestros tipos de contrato
+    this.contractRepository = new ContractRepository();
+    this.contractHistoryRepository = new ContractHistoryRepository();
+    this.departmentRepository = new DepartmentRepository();
+    this.ocdsMapper = new OcdsMapperService();
+    this.phaseEngineService = new PhaseEngineService();
+    this.checkpointRepository = new SercopSyncCheckpointRepository();
+    this.client = new SercopClientService();
+    this.typeMappingRepository = new SercopTypeMappingRepository();
+
+    // Mapeo de internal_type de SERCOP a nuestros tipos de contrato; las
+    // decisiones de la cola de revisión se agregan con loadTypeMapping()
     this.typeMapping = this._buildTypeMapping();
+    this.typeMappingLoadedAt = 0;
+  }
+
+  /**
+   * Combinar el mapeo fijo con los tipos resueltos en la cola de revisión
+   * Las decisiones de administración tienen prioridad sobre la tabla fija
+   * @param {Object} options - force para ignorar el intervalo de recarga
+   * @returns {Promise<Object>} Mapeo vigente
+   */
+  async loadTypeMapping({ force = false } = {}) {
+    if (!force && Date.now() - this.typeMappingLoadedAt < TYPE_MAPPING_TTL_MS) {
+      return this.typeMapping;
+    }
+
+    try {
+      const decisions = await this.typeMappingRepository.findMapped();
+      const mapping = {};
+
+      for (const decision of decisions) {
+        mapping[decision.internalType] = {
+          code: decision.code,
+          category: decision.category,
+          regime: decision.regime,
+          contractTypeId: decision.contractType?.toString() || null,
+          aliases: [],
+          source: "REVIEW",
+        };
+      }
+
+      for (const [key, config] of Object.entries(this._buildTypeMapping())) {
+        if (!mapping[key]) mapping[key] = config;
+      }
+
+      this.typeMapping = mapping;
+      this.typeMappingLoadedAt = Date.now();
+    } catch (error) {
+      // Sin base de datos se sigue trabajando con la tabla fija
+      console.warn(
+        `⚠️ No se pudieron cargar los mapeos revisados: ${error.message}`
+      );
+    }
+
+    return this.typeMapping;
+  }
+
+  /**
+   * Forzar la recarga del mapeo en el siguiente uso
+   */
+  invalidateTypeMapping() {
+    this.typeMappingLoadedAt = 0;
   }
 
   /**
@@ -293,13 +370,21 @@ export class SercopSyncService {
 
   /**
    * Obtener o crear tipo de contrato basado en internal_type de SERCOP
+   * Los tipos sin mapeo no se crean: se registran en la cola de revisión
    * @param {String} internalType - Tipo desde la API de SERCOP
-   * @param {Object} options - Opciones adicionales
+   * @param {Object} options - userData, dryRun, ocid, year,
+   *   recordUnmapped (por defecto !dryRun)
    * @returns {Promise<Object>} Tipo de contrato (existente o creado)
    */
   async getOrCreateContractType(internalType, options = {}) {
     try {
-      const { userData = {}, dryRun = false } = options;
+      const {
+        userData = {},
+        dryRun = false,
+        ocid = null,
+        year = null,
+        recordUnmapped = !dryRun,
+      } = options;
       if (internalType === null) {
         console.log("internalType es null", JSON.stringify(internalType));
         console.log("Opciones", JSON.stringify(options));
@@ -309,21 +394,29 @@ export class SercopSyncService {
       console.log(`🔍 Procesando tipo: "${internalType}"`);
 
       // Buscar mapeo
+      await this.loadTypeMapping();
       const mapping = this._findTypeMapping(internalType);
       //console.log("mapping", mapping);
       if (!mapping) {
         console.warn(`⚠️ No hay mapeo definido para: "${internalType}"`);
 
-        if (dryRun) {
-          return {
-            status: "unmapped",
+        // Un administrador decide en la cola de revisión a qué tipo corresponde
+        let review = null;
+        if (recordUnmapped) {
+          review = await this.typeMappingRepository.recordOccurrence({
             internalType,
-            suggestion: this._createDefaultMapping(internalType),
-          };
+            normalizedName: this._normalizeName(internalType),
+            ocid,
+            year,
+          });
         }
 
-        // Crear mapeo genérico si no existe
-        return await this._createGenericType(internalType, userData);
+        return {
+          status: "unmapped",
+          internalType,
+          suggestion: this._createDefaultMapping(internalType),
+          reviewId: review?._id || null,
+        };
       }
 
       // Buscar tipo existente por código
@@ -396,50 +489,6 @@ export class SercopSyncService {
     return await this.contractTypeRepository.create(typeData, userData);
   }
 
-  /**
-   * Crear tipo genérico para internal_type no mapeado
-   * @param {String} internalType - Tipo desde SERCOP
-   * @param {Object} userData - Datos del usuario
-   * @returns {Promise<Object>} Tipo creado
-   * @private
-   */
-  async _createGenericType(internalType, userData) {
-    // Generar código único desde el nombre
-    const code = this._generateCodeFromName(internalType);
-
-    // Verificar si ya existe un tipo con ese código
-    let existingType = await this.contractTypeRepository.findByCode(code);
-
-    if (existingType) {
-      return { status: "existing", contractType: existingType };
-    }
-
-    const typeData = {
-      code,
-      name: internalType,
-      category: "CONTRATACION_DIRECTA", // Por defecto
-      regime: "COMUN",
-      description: `Tipo importado desde SERCOP (sin mapeo definido): ${internalType}`,
-      applicableObjects: ["bienes", "servicios"],
-      isActive: true,
-      displayOrder: 1000,
-      metadata: {
-        source: "SERCOP_API",
-        originalName: internalType,
-        importedAt: new Date(),
-        importedBy: userData.userId || null,
-        requiresReview: true, // Marcar para revisión manual
-      },
-    };
-
-    const contractType = await this.contractTypeRepository.create(
-      typeData,
-      userData
-    );
-
-    return { status: "created_generic", contractType };
-  }
-
   /**
    * Generar código único desde nombre
    * @param {String} name - Nombre del tipo
@@ -492,178 +541,526 @@ export class SercopSyncService {
     };
   }
 
+  /**
+   * Tiempos máximos por solicitud (cada reintento del cliente los aplica)
+   */
+  get timeouts() {
+    return {
+      search: parseInt(process.env.SERCOP_SEARCH_TIMEOUT_MS) || 30000,
+      detail: parseInt(process.env.SERCOP_DETAIL_TIMEOUT_MS) || 20000,
+    };
+  }
+
   /**
    * Búsqueda en la API de SERCOP con paginación
    * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - cache (false para ignorar la caché)
    * @returns {Promise<Object>} Resultados de la API
    */
-  async searchContracts(filters = {}) {
+  async searchContracts(filters = {}, options = {}) {
     try {
       const {
         year = new Date().getFullYear(),
         buyer = null,
         page = 1,
-        limit = 100,
       } = filters;
 
-      const params = new URLSearchParams({
-        year,
-        page,
-        ...(buyer && { buyer }),
-      });
+      return await this.client.get(
+        "search_ocds",
+        { year, page, buyer },
+        { timeout: this.timeouts.search, cache: options.cache }
+      );
+    } catch (error) {
+      throw this._toApiError(error, "Error consultando API de SERCOP");
+    }
+  }
 
-      const url = `${this.baseUrl}/search_ocds?${params}`;
-      console.log(`🌐 Consultando SERCOP: ${url}`);
+  /**
+   * Obtener detalle de un contrato específico por OCID
+   * @param {String} ocid - Open Contracting ID
+   * @param {Object} options - cache (false para ignorar la caché)
+   * @returns {Promise<Object>} Detalle del contrato
+   */
+  async getContractDetail(ocid, options = {}) {
+    try {
+      console.log(`🔍 Obteniendo detalle del contrato: ${ocid}`);
+
+      return await this.client.get(
+        "record",
+        { ocid },
+        { timeout: this.timeouts.detail, cache: options.cache }
+      );
+    } catch (error) {
+      throw this._toApiError(error, "Error obteniendo detalle del contrato");
+    }
+  }
+
+  /**
+   * Error de la API de SERCOP tras agotar los reintentos
+   * @private
+   */
+  _toApiError(error, prefix) {
+    const details = error.attempts ? { attempts: error.attempts } : null;
+
+    if (error.code === "ECONNABORTED") {
+      return createError(
+        ERROR_CODES.EXTERNAL_API_ERROR,
+        "Timeout al consultar API de SERCOP",
+        504,
+        details
+      );
+    }
 
-      const response = await axios.get(url, {
-        timeout: 30000,
-        headers: {
-          Accept: "application/json",
-          "User-Agent": "GADMCE-ExpedienteDigital/1.0",
+    return createError(
+      ERROR_CODES.EXTERNAL_API_ERROR,
+      `${prefix}: ${error.message}`,
+      error.response?.status || error.statusCode || 500,
+      details
+    );
+  }
+
+  /**
+   * Importar un proceso de SERCOP (registro OCDS) como contrato
+   * Con dryRun devuelve la vista previa campo por campo sin crear nada
+   * @param {String} ocid - Open Contracting ID
+   * @param {Object} options - dryRun, requestingDepartment, contractType,
+   *   internalType, contractNumber, userData
+   * @returns {Promise<Object>} { created, contract, preview }
+   */
+  async importContract(ocid, options = {}) {
+    const {
+      dryRun = false,
+      requestingDepartment = null,
+      contractType = null,
+      internalType = null,
+      contractNumber = null,
+      userData = {},
+    } = options;
+
+    if (!ocid || typeof ocid !== "string" || !ocid.trim()) {
+      throw createValidationError("El OCID es obligatorio");
+    }
+
+    console.log(
+      `📥 ${dryRun ? "Vista previa de importación" : "Importando"} proceso SERCOP: ${ocid}`
+    );
+
+    const payload = await this.getContractDetail(ocid);
+    const release = this.ocdsMapper.extractRelease(payload);
+
+    if (!release) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        `SERCOP no devolvió un registro OCDS para ${ocid}`,
+        404
+      );
+    }
+
+    const mapped = this.ocdsMapper.mapRelease(release);
+    const errors = [...mapped.errors];
+    const warnings = [...mapped.warnings];
+
+    // Evitar importar dos veces el mismo proceso
+    const existing = await this.contractRepository.findBySercopOcid(ocid);
+    if (existing) {
+      errors.push(
+        `El proceso ya fue importado como contrato ${existing.contractNumber}`
+      );
+    } else if (
+      mapped.data.sercopCode &&
+      (await this.contractRepository.findBySercopCode(mapped.data.sercopCode))
+    ) {
+      errors.push(`El código SERCOP ${mapped.data.sercopCode} ya existe`);
+    }
+
+    const number = await this._resolveImportNumber(
+      contractNumber,
+      release,
+      errors
+    );
+    const department = await this._resolveImportDepartment(
+      requestingDepartment,
+      errors
+    );
+    const type = await this._resolveImportType(
+      {
+        contractType,
+        internalType: internalType || mapped.internalType,
+        ocid,
+        dryRun,
+      },
+      errors
+    );
+    const phasePlan = await this._resolveImportPhases(
+      type.id,
+      mapped.stage,
+      warnings
+    );
+
+    const preview = {
+      ocid,
+      dryRun,
+      canImport: errors.length === 0,
+      stage: {
+        key: mapped.stage.key,
+        label: mapped.stage.label,
+        generalStatus: mapped.stage.generalStatus,
+        cancelled: mapped.stage.cancelled,
+      },
+      fields: [
+        {
+          field: "contractNumber",
+          value: number,
+          source: contractNumber ? "request.contractNumber" : "tender.id",
         },
+        ...mapped.fields,
+        {
+          field: "contractType",
+          value: type.summary,
+          source: type.source,
+        },
+        {
+          field: "requestingDepartment",
+          value: department,
+          source: department ? "request.requestingDepartment" : null,
+        },
+        {
+          field: "currentPhase",
+          value: phasePlan.current,
+          source: phasePlan.current ? mapped.stage.source : null,
+        },
+      ],
+      phases: phasePlan.phases.map(({ phase, ...entry }) => entry),
+      warnings,
+      errors,
+    };
+
+    if (dryRun) {
+      return { created: false, contract: null, preview };
+    }
+
+    if (errors.length > 0) {
+      throw createError(
+        existing ? ERROR_CODES.CONFLICT : ERROR_CODES.VALIDATION_ERROR,
+        `No se puede importar el proceso ${ocid}: ${errors.join("; ")}`,
+        existing ? 409 : 400,
+        { errors, warnings }
+      );
+    }
+
+    // Crear el tipo solo cuando todo lo demás es válido
+    let contractTypeId = type.id;
+    if (!contractTypeId) {
+      const result = await this.getOrCreateContractType(type.internalType, {
+        userData,
       });
+      contractTypeId = result?.contractType?._id;
 
-      return response.data;
-    } catch (error) {
-      if (error.code === "ECONNABORTED") {
+      if (!contractTypeId) {
         throw createError(
-          ERROR_CODES.EXTERNAL_API_ERROR,
-          "Timeout al consultar API de SERCOP",
-          504
+          ERROR_CODES.CONTRACT_TYPE_NOT_FOUND,
+          `No se pudo crear el tipo de contrato "${type.internalType}"`,
+          422
         );
       }
+    }
 
-      throw createError(
-        ERROR_CODES.EXTERNAL_API_ERROR,
-        `Error consultando API de SERCOP: ${error.message}`,
-        error.response?.status || 500
+    const contractData = {
+      ...mapped.data,
+      contractNumber: number,
+      contractType: contractTypeId,
+      requestingDepartment: department.id,
+      currentPhase: phasePlan.currentId,
+      phases: phasePlan.phases.map(({ phase, status, notes }) => ({
+        phase,
+        status,
+        startDate: status === "IN_PROGRESS" ? new Date() : undefined,
+        notes,
+      })),
+      metadata: {
+        ...mapped.data.metadata,
+        source: "SERCOP_OCDS",
+        importedAt: new Date(),
+        importedBy: Types.ObjectId.isValid(userData.userId)
+          ? userData.userId
+          : null,
+        sercopSync: this.ocdsMapper.buildSyncState(mapped),
+      },
+    };
+
+    const contract = await this.contractRepository.create(
+      contractData,
+      userData
+    );
+
+    await this._createImportHistoryEntry(contract, ocid, userData);
+
+    console.log(
+      `✅ Proceso ${ocid} importado como contrato ${contract.contractNumber}`
+    );
+
+    return { created: true, contract, preview };
+  }
+
+  /**
+   * Número de contrato para la importación (enviado o derivado del proceso)
+   * @private
+   */
+  async _resolveImportNumber(contractNumber, release, errors) {
+    const number =
+      (contractNumber && String(contractNumber).trim().toUpperCase()) ||
+      this.ocdsMapper.buildContractNumber(release);
+
+    if (!number || !/^[A-Z0-9-]{5,50}$/.test(number)) {
+      errors.push(
+        "No se pudo generar un número de contrato válido; envíe contractNumber"
       );
+      return number || null;
     }
+
+    if (await this.contractRepository.findByContractNumber(number, false)) {
+      errors.push(`El número de contrato ${number} ya existe`);
+    }
+
+    return number;
   }
 
   /**
-   * Obtener detalle de un contrato específico por OCID
-   * @param {String} ocid - Open Contracting ID
-   * @returns {Promise<Object>} Detalle del contrato
+   * Validar el departamento solicitante indicado en la petición
+   * @private
    */
-  async getContractDetail(ocid) {
-    try {
-      const url = `${this.baseUrl}/record?ocid=${ocid}`;
-      console.log(`🔍 Obteniendo detalle del contrato: ${ocid}`);
+  async _resolveImportDepartment(departmentId, errors) {
+    if (!departmentId) {
+      errors.push("requestingDepartment es obligatorio para importar");
+      return null;
+    }
+
+    const department = Types.ObjectId.isValid(departmentId)
+      ? await this.departmentRepository.findById(departmentId)
+      : null;
+
+    if (!department) {
+      errors.push(`El departamento ${departmentId} no existe`);
+      return null;
+    }
+
+    return {
+      id: department._id.toString(),
+      code: department.code,
+      name: department.name,
+    };
+  }
+
+  /**
+   * Resolver el tipo de contrato sin crearlo (se crea al confirmar)
+   * @private
+   */
+  async _resolveImportType(
+    { contractType, internalType, ocid, dryRun },
+    errors
+  ) {
+    if (contractType) {
+      const type = Types.ObjectId.isValid(contractType)
+        ? await this.contractTypeRepository.findById(contractType)
+        : null;
+
+      if (!type) {
+        errors.push(`El tipo de contrato ${contractType} no existe`);
+        return { id: null, summary: null, source: "request.contractType" };
+      }
+
+      return {
+        id: type._id.toString(),
+        summary: { id: type._id.toString(), code: type.code, name: type.name },
+        source: "request.contractType",
+      };
+    }
+
+    if (!internalType) {
+      errors.push(
+        "SERCOP no indica el tipo de procedimiento; envíe contractType"
+      );
+      return { id: null, summary: null, source: null };
+    }
+
+    const result = await this.getOrCreateContractType(internalType, {
+      dryRun: true,
+      ocid,
+      recordUnmapped: !dryRun,
+    });
+    const source = "tender.procurementMethodDetails";
 
-      const response = await axios.get(url, {
-        timeout: 20000,
-        headers: {
-          Accept: "application/json",
-          "User-Agent": "GADMCE-ExpedienteDigital/1.0",
+    if (result.status === "existing") {
+      return {
+        id: result.contractType._id.toString(),
+        summary: {
+          id: result.contractType._id.toString(),
+          code: result.contractType.code,
+          name: result.contractType.name,
+          status: result.status,
         },
-      });
+        source,
+        internalType,
+      };
+    }
 
-      return response.data;
-    } catch (error) {
-      throw createError(
-        ERROR_CODES.EXTERNAL_API_ERROR,
-        `Error obteniendo detalle del contrato: ${error.message}`,
-        error.response?.status || 500
+    if (result.status === "unmapped") {
+      errors.push(
+        `"${internalType}" no tiene mapeo: resuélvalo en la cola de revisión de tipos o envíe contractType`
+      );
+    }
+
+    return {
+      id: null,
+      summary: {
+        code: result.mapping?.code || result.suggestion?.suggestedCode,
+        name: internalType,
+        status: result.status,
+      },
+      source,
+      internalType,
+    };
+  }
+
+  /**
+   * Ubicar la etapa de SERCOP en el flujo de fases del tipo de contrato
+   * Las fases anteriores quedan como completadas en SERCOP
+   * @private
+   */
+  async _resolveImportPhases(contractTypeId, stage, warnings) {
+    const flow = await this.phaseEngineService.loadFlow(contractTypeId);
+
+    let index = -1;
+    for (const category of stage.phaseCategories) {
+      index = flow.findIndex((node) => node.phase.category === category);
+      if (index !== -1) break;
+    }
+
+    if (index === -1) {
+      warnings.push(
+        `No hay fase configurada para la etapa "${stage.label}"; el contrato quedará sin fase actual`
       );
+      return { current: null, currentId: null, phases: [] };
+    }
+
+    const phases = flow.slice(0, index + 1).map((node, position) => {
+      const isCurrent = position === index;
+      return {
+        phase: node.phase._id,
+        code: node.phase.code,
+        name: node.phase.name,
+        category: node.phase.category,
+        status: !isCurrent
+          ? "COMPLETED"
+          : stage.cancelled
+            ? "CANCELLED"
+            : "IN_PROGRESS",
+        notes: isCurrent
+          ? `Etapa en SERCOP: ${stage.label}`
+          : "Cumplida en SERCOP antes de la importación",
+      };
+    });
+
+    const current = flow[index].phase;
+    return {
+      current: {
+        id: current._id.toString(),
+        code: current.code,
+        name: current.name,
+        category: current.category,
+      },
+      currentId: current._id,
+      phases,
+    };
+  }
+
+  /**
+   * Registrar la importación en el historial del contrato
+   * @private
+   */
+  async _createImportHistoryEntry(contract, ocid, userData) {
+    try {
+      await this.contractHistoryRepository.create(
+        {
+          contract: contract._id,
+          eventType: "CREATION",
+          description: `Contrato importado desde SERCOP (${ocid})`,
+          user: userData.userId,
+          changeDetails: { newStatus: contract.generalStatus },
+          createdAt: new Date(),
+        },
+        userData
+      );
+    } catch (error) {
+      // No interrumpir la importación por el historial
+      console.error("⚠️ Error registrando historial de importación:", error);
     }
   }
 
   /**
    * Sincronizar tipos de contrato desde contratos existentes en SERCOP
-   * @param {Object} options - Opciones de sincronización
+   * Cada año guarda un punto de control por página: si la ejecución se
+   * interrumpe, la siguiente continúa desde la última página completa
+   * @param {Object} options - year o years, buyer, dryRun, resume, maxPages, userData
    * @returns {Promise<Object>} Resultado de la sincronización
    */
   async syncContractTypes(options = {}) {
     try {
       const {
         year = new Date().getFullYear(),
+        years = null,
         buyer = null,
         dryRun = false,
+        resume = true,
+        maxPages = 50,
         userData = {},
       } = options;
 
+      const yearList = this._normalizeSyncYears(years || [year]);
+
       console.log(`🔄 Iniciando sincronización de tipos de contrato...`);
-      console.log(`   Año: ${year}, Comprador: ${buyer || "TODOS"}`);
+      console.log(
+        `   Años: ${yearList.join(", ")}, Comprador: ${buyer || "TODOS"}`
+      );
       console.log(
         `   Modo: ${dryRun ? "DRY RUN (sin cambios)" : "PRODUCCIÓN"}`
       );
 
       const results = {
-        processed: 0,
-        existing: 0,
-        created: 0,
-        unmapped: 0,
-        errors: 0,
-        types: new Set(),
-        unmappedTypes: new Set(),
+        ...this._restoreSyncResults(),
+        years: [],
+        completed: true,
       };
 
-      let currentPage = 1;
-      let hasMorePages = true;
-
-      while (hasMorePages) {
-        console.log(`\n📄 Procesando página ${currentPage}...`);
-
-        const searchResults = await this.searchContracts({
-          year,
+      for (const currentYear of yearList) {
+        const yearResult = await this._syncContractTypesForYear({
+          year: currentYear,
           buyer,
-          page: currentPage,
-          limit: 100,
+          dryRun,
+          resume,
+          maxPages,
+          userData,
         });
 
-        if (!searchResults.data || searchResults.data.length === 0) {
-          hasMorePages = false;
-          break;
-        }
-
-        // Procesar cada contrato de la página
-        for (const contract of searchResults.data) {
-          if (!contract.internal_type) {
-            continue;
-          }
-
-          results.processed++;
-          results.types.add(contract.internal_type);
-
-          try {
-            const result = await this.getOrCreateContractType(
-              contract.internal_type,
-              { userData, dryRun }
-            );
-
-            if (result.status === "existing") {
-              results.existing++;
-            } else if (
-              result.status === "created" ||
-              result.status === "created_generic"
-            ) {
-              results.created++;
-            } else if (result.status === "unmapped") {
-              results.unmapped++;
-              results.unmappedTypes.add(contract.internal_type);
-            }
-          } catch (error) {
-            console.error(
-              `❌ Error procesando "${contract.internal_type}":`,
-              error.message
-            );
-            results.errors++;
-          }
+        for (const counter of SYNC_COUNTERS) {
+          results[counter] += yearResult.results[counter];
         }
+        yearResult.results.types.forEach((type) => results.types.add(type));
+        yearResult.results.unmappedTypes.forEach((type) =>
+          results.unmappedTypes.add(type)
+        );
+        results.years.push(yearResult.summary);
 
-        // Verificar si hay más páginas
-        hasMorePages = currentPage < searchResults.pages;
-        currentPage++;
-
-        // Límite de seguridad para evitar loops infinitos
-        if (currentPage > 50) {
-          console.warn("⚠️ Alcanzado límite de 50 páginas");
+        // Los años se procesan en orden: no avanzar con uno a medias
+        if (yearResult.summary.status !== SERCOP_CHECKPOINT_STATUS.COMPLETED) {
+          results.completed = false;
           break;
         }
       }
 
-      console.log(`\n✅ Sincronización completada:`);
+      console.log(
+        `\n${results.completed ? "✅ Sincronización completada" : "⏸️  Sincronización pausada"}:`
+      );
       console.log(`   📊 Contratos procesados: ${results.processed}`);
       console.log(`   ✅ Tipos existentes: ${results.existing}`);
       console.log(`   ➕ Tipos creados: ${results.created}`);
@@ -686,6 +1083,246 @@ export class SercopSyncService {
       throw error;
     }
   }
+
+  /**
+   * Sincronizar un año, reanudando desde su punto de control
+   * En dryRun no se leen ni guardan puntos de control
+   * @private
+   */
+  async _syncContractTypesForYear(options) {
+    const { year, buyer, dryRun, resume, maxPages, userData } = options;
+    const key = `${SYNC_TYPES_OPERATION}:${buyer || "ALL"}:${year}`;
+    let checkpoint = null;
+
+    if (!dryRun) {
+      if (!resume) await this.checkpointRepository.reset(key);
+      checkpoint = await this.checkpointRepository.findByKey(key);
+
+      if (checkpoint?.status === SERCOP_CHECKPOINT_STATUS.COMPLETED) {
+        console.log(`\n⏭️  Año ${year} ya sincronizado (${key})`);
+        return {
+          results: this._restoreSyncResults(checkpoint.results),
+          summary: {
+            year,
+            status: checkpoint.status,
+            skipped: true,
+            lastPage: checkpoint.lastPage,
+            totalPages: checkpoint.totalPages,
+          },
+        };
+      }
+
+      checkpoint = await this.checkpointRepository.begin({
+        key,
+        operation: SYNC_TYPES_OPERATION,
+        year,
+        buyer,
+        startedBy: userData.userId,
+      });
+    }
+
+    const results = this._restoreSyncResults(checkpoint?.results);
+    const resumedFromPage = (checkpoint?.lastPage || 0) + 1;
+    let currentPage = resumedFromPage;
+    let lastPage = resumedFromPage - 1;
+    let totalPages = checkpoint?.totalPages ?? null;
+    let pagesProcessed = 0;
+    let status = SERCOP_CHECKPOINT_STATUS.COMPLETED;
+
+    console.log(`\n📅 Año ${year}`);
+    if (resumedFromPage > 1) {
+      console.log(`   ↩️  Reanudando desde la página ${resumedFromPage}`);
+    }
+
+    try {
+      for (;;) {
+        // Límite de seguridad por ejecución; el resto queda para la siguiente
+        if (pagesProcessed >= maxPages) {
+          console.warn(`⚠️ Alcanzado límite de ${maxPages} páginas`);
+          status = SERCOP_CHECKPOINT_STATUS.INTERRUPTED;
+          break;
+        }
+
+        console.log(`\n📄 Procesando página ${currentPage}...`);
+
+        const searchResults = await this.searchContracts({
+          year,
+          buyer,
+          page: currentPage,
+        });
+
+        if (!searchResults.data || searchResults.data.length === 0) {
+          break;
+        }
+
+        totalPages = searchResults.pages ?? totalPages;
+        await this._syncTypesFromPage(searchResults.data, results, {
+          userData,
+          dryRun,
+        });
+        pagesProcessed++;
+        lastPage = currentPage;
+
+        if (!dryRun) {
+          await this.checkpointRepository.savePage(key, {
+            page: currentPage,
+            totalPages,
+            results: this._serializeSyncResults(results),
+          });
+        }
+
+        // Verificar si hay más páginas
+        if (currentPage >= searchResults.pages) break;
+        currentPage++;
+      }
+    } catch (error) {
+      if (!dryRun) {
+        await this.checkpointRepository.interrupt(key, error.message);
+      }
+
+      throw createError(
+        error.code || ERROR_CODES.EXTERNAL_API_ERROR,
+        `Sincronización del año ${year} interrumpida en la página ${currentPage}: ${error.message}`,
+        error.statusCode || 500,
+        {
+          year,
+          page: currentPage,
+          lastCompletedPage: lastPage,
+          resumable: !dryRun,
+          attempts: error.details?.attempts,
+        }
+      );
+    }
+
+    if (!dryRun) {
+      if (status === SERCOP_CHECKPOINT_STATUS.COMPLETED) {
+        await this.checkpointRepository.complete(key);
+      } else {
+        await this.checkpointRepository.interrupt(
+          key,
+          `Límite de ${maxPages} páginas por ejecución`
+        );
+      }
+    }
+
+    return {
+      results,
+      summary: {
+        year,
+        status,
+        skipped: false,
+        resumedFromPage,
+        pagesProcessed,
+        lastPage,
+        totalPages,
+      },
+    };
+  }
+
+  /**
+   * Resolver el tipo de cada contrato de una página de resultados
+   * @private
+   */
+  async _syncTypesFromPage(items, results, { userData, dryRun }) {
+    for (const contract of items) {
+      if (!contract.internal_type) {
+        continue;
+      }
+
+      results.processed++;
+      results.types.add(contract.internal_type);
+
+      try {
+        const result = await this.getOrCreateContractType(
+          contract.internal_type,
+          { userData, dryRun, ocid: contract.ocid, year: contract.year }
+        );
+
+        if (result.status === "existing") {
+          results.existing++;
+        } else if (result.status === "created") {
+          results.created++;
+        } else if (result.status === "unmapped") {
+          results.unmapped++;
+          results.unmappedTypes.add(contract.internal_type);
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error procesando "${contract.internal_type}":`,
+          error.message
+        );
+        results.errors++;
+      }
+    }
+  }
+
+  /**
+   * Puntos de control de la sincronización de tipos
+   * @param {Object} filters - status, buyer
+   */
+  async getSyncCheckpoints(filters = {}) {
+    return await this.checkpointRepository.findByOperation(
+      SYNC_TYPES_OPERATION,
+      filters
+    );
+  }
+
+  /**
+   * Vaciar la caché de respuestas de SERCOP
+   * @param {String} endpoint - search_ocds, record o null para todo
+   */
+  async purgeCache(endpoint = null) {
+    return await this.client.purgeCache(endpoint);
+  }
+
+  /**
+   * Lista de años ordenada y sin duplicados
+   * @private
+   */
+  _normalizeSyncYears(years) {
+    const currentYear = new Date().getFullYear();
+    const list = [...new Set(years.map((value) => parseInt(value)))].sort(
+      (a, b) => a - b
+    );
+
+    const invalid = list.filter(
+      (value) => Number.isNaN(value) || value < 1900 || value > currentYear
+    );
+    if (list.length === 0 || invalid.length > 0) {
+      throw createValidationError(
+        `Años inválidos para sincronizar: ${years.join(", ")}`
+      );
+    }
+
+    return list;
+  }
+
+  /**
+   * Contadores en memoria a partir de los guardados en el punto de control
+   * @private
+   */
+  _restoreSyncResults(saved = {}) {
+    const results = {};
+    for (const counter of SYNC_COUNTERS) {
+      results[counter] = saved[counter] || 0;
+    }
+    results.types = new Set(saved.types || []);
+    results.unmappedTypes = new Set(saved.unmappedTypes || []);
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _serializeSyncResults(results) {
+    return {
+      ...Object.fromEntries(
+        SYNC_COUNTERS.map((counter) => [counter, results[counter]])
+      ),
+      types: Array.from(results.types),
+      unmappedTypes: Array.from(results.unmappedTypes),
+    };
+  }
 }
 
 export default new SercopSyncService();
@@ -0,0 +1,202 @@
+// =============================================================================
+// src/module/exp-digital/services/sercop-type-review.service.js
+// Cola de revisión de tipos de procedimiento de SERCOP sin mapeo
+// GADM Cantón Esmeraldas - Sistema de Contratación Pública
+// =============================================================================
+
+import { Types } from "mongoose";
+import { ContractTypeRepository } from "../repositories/contract-type.repository.js";
+import { SercopTypeMappingRepository } from "../repositories/sercop-type-mapping.repository.js";
+import {
+  SERCOP_TYPE_MAPPING_STATUS,
+  SERCOP_TYPE_RESOLUTION,
+} from "../models/sercop-type-mapping.scheme.js";
+import { ContractTypeJSON } from "../models/contract-type.scheme.js";
+import { SercopSyncService } from "./sercop-sync.service.js";
+import {
+  createError,
+  createValidationError,
+  ERROR_CODES,
+} from "../../../../utils/error.util.js";
+
+export class SercopTypeReviewService {
+  constructor() {
+    this.contractTypeRepository = new ContractTypeRepository();
+    this.typeMappingRepository = new SercopTypeMappingRepository();
+    this.sercopSyncService = new SercopSyncService();
+  }
+
+  /**
+   * Tipos de SERCOP sin mapeo, los más frecuentes primero
+   * @param {Object} options - status, page, limit
+   */
+  async getQueue(options = {}) {
+    const status = options.status?.toUpperCase();
+    if (status && !Object.values(SERCOP_TYPE_MAPPING_STATUS).includes(status)) {
+      throw createValidationError(
+        `Estado no válido. Valores permitidos: ${Object.values(SERCOP_TYPE_MAPPING_STATUS).join(", ")}`
+      );
+    }
+
+    const result = await this.typeMappingRepository.findQueue({
+      page: Math.max(parseInt(options.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(options.limit) || 20, 1), 100),
+      status: status || SERCOP_TYPE_MAPPING_STATUS.PENDING,
+    });
+
+    // Sugerencia para el formulario de creación
+    result.docs = result.docs.map((item) => ({
+      ...item,
+      suggestion:
+        item.status === SERCOP_TYPE_MAPPING_STATUS.PENDING
+          ? this.sercopSyncService._createDefaultMapping(item.internalType)
+          : null,
+    }));
+
+    return result;
+  }
+
+  /**
+   * Resolver un tipo pendiente
+   * MAP_EXISTING lo asocia a un ContractType existente (contractTypeId);
+   * CREATE crea uno nuevo con code, name, category, regime, applicableObjects
+   * @param {String} reviewId - ID del registro de la cola
+   * @param {Object} decision - action, datos del tipo, observations
+   * @param {Object} userData - Usuario que resuelve
+   * @returns {Promise<Object>} { review, contractType, created }
+   */
+  async resolve(reviewId, decision = {}, userData = {}) {
+    const action = String(decision.action || "").toUpperCase();
+    if (!Object.values(SERCOP_TYPE_RESOLUTION).includes(action)) {
+      throw createValidationError(
+        `La acción debe ser ${Object.values(SERCOP_TYPE_RESOLUTION).join(" o ")}`
+      );
+    }
+
+    const item = await this.typeMappingRepository.findItem(reviewId);
+    if (!item) {
+      throw createError(
+        ERROR_CODES.NOT_FOUND,
+        "Tipo de SERCOP no encontrado en la cola de revisión",
+        404
+      );
+    }
+    if (item.status !== SERCOP_TYPE_MAPPING_STATUS.PENDING) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `El tipo "${item.internalType}" ya fue resuelto`,
+        409
+      );
+    }
+
+    const created = action === SERCOP_TYPE_RESOLUTION.CREATE;
+    const contractType = created
+      ? await this._createContractType(item, decision, userData)
+      : await this._findContractType(decision.contractTypeId);
+
+    const review = await this.typeMappingRepository.resolve(reviewId, {
+      resolution: action,
+      contractType: contractType._id,
+      code: contractType.code,
+      category: contractType.category,
+      regime: contractType.regime,
+      resolvedBy: userData.userId,
+      observations: decision.observations,
+    });
+    if (!review) {
+      throw createError(
+        ERROR_CODES.CONFLICT,
+        `El tipo "${item.internalType}" fue resuelto por otro usuario`,
+        409
+      );
+    }
+
+    console.log(
+      `🏷️ "${item.internalType}" mapeado a ${contractType.code}${created ? " (nuevo)" : ""}`
+    );
+
+    return { review, contractType, created };
+  }
+
+  async _findContractType(contractTypeId) {
+    if (!Types.ObjectId.isValid(contractTypeId)) {
+      throw createValidationError(
+        "contractTypeId es requerido para MAP_EXISTING"
+      );
+    }
+
+    const contractType = await this.contractTypeRepository.model
+      .findOne({ _id: contractTypeId, deletedAt: null })
+      .lean();
+    if (!contractType) {
+      throw createError(
+        ERROR_CODES.CONTRACT_TYPE_NOT_FOUND,
+        "Tipo de contrato no encontrado",
+        404
+      );
+    }
+
+    return contractType;
+  }
+
+  async _createContractType(item, decision, userData) {
+    const suggestion = this.sercopSyncService._createDefaultMapping(
+      item.internalType
+    );
+    const code = String(decision.code || suggestion.suggestedCode)
+      .toUpperCase()
+      .trim();
+    const category = String(decision.category || "").toUpperCase();
+    const regime = String(decision.regime || "COMUN").toUpperCase();
+
+    const errors = [];
+    if (!/^[A-Z_]{2,50}$/.test(code)) {
+      errors.push("el código solo admite letras mayúsculas y guiones bajos");
+    }
+    if (!ContractTypeJSON.category.enum.values.includes(category)) {
+      errors.push(
+        `categoría no válida (${ContractTypeJSON.category.enum.values.join(", ")})`
+      );
+    }
+    if (!ContractTypeJSON.regime.enum.values.includes(regime)) {
+      errors.push("régimen no válido (COMUN, ESPECIAL)");
+    }
+    if (errors.length > 0) {
+      throw createValidationError(
+        `Datos del tipo inválidos: ${errors.join("; ")}`
+      );
+    }
+
+    if (!(await this.contractTypeRepository.isCodeAvailable(code))) {
+      throw createError(
+        ERROR_CODES.DUPLICATE_CONTRACT_TYPE,
+        `Ya existe un tipo de contrato con código ${code}; use MAP_EXISTING`,
+        409
+      );
+    }
+
+    return await this.contractTypeRepository.create(
+      {
+        code,
+        name: decision.name || item.internalType,
+        category,
+        regime,
+        description:
+          decision.description ||
+          `Tipo importado desde SERCOP: ${item.internalType}`,
+        applicableObjects:
+          decision.applicableObjects ||
+          this.sercopSyncService._inferApplicableObjects(category),
+        isActive: true,
+        displayOrder: 999, // Los tipos importados al final
+        metadata: {
+          source: "SERCOP_REVIEW",
+          originalName: item.internalType,
+          importedAt: new Date(),
+          importedBy: userData.userId || null,
+        },
+      },
+      userData
+    );
+  }
+}
@@ -0,0 +1,511 @@
+// =============================================================================
+// src/module/exp-digital/services/storage.service.js
+// Selección de driver de almacenamiento y gestión de copias de archivos
+// GADM Cantón Esmeraldas - Almacenamiento de expediente digital
+// =============================================================================
+
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { DepartmentRepository } from "../repositories/department.repository.js";
+import { StorageBlobRepository } from "../repositories/storage-blob.repository.js";
+import {
+  STORAGE_PROVIDERS,
+  getStorageDriver,
+  normalizeStorageProvider,
+} from "../../../config/storage/storage.drivers.js";
+
+export class StorageService {
+  constructor() {
+    this.departmentRepository = new DepartmentRepository();
+    this.blobRepository = new StorageBlobRepository();
+
+    this.config = {
+      // Compatibilidad: sin STORAGE_DRIVER se mantiene el comportamiento de RSYNC_ENABLED
+      defaultProvider:
+        normalizeStorageProvider(process.env.STORAGE_DRIVER) ||
+        (process.env.RSYNC_ENABLED === "true"
+          ? STORAGE_PROVIDERS.RSYNC
+          : STORAGE_PROVIDERS.LOCAL),
+      // Formato: CONTRATO=S3,GARANTIAS=S3,FACTURAS=LOCAL
+      documentTypeProviders: this._parseProviderMap(
+        process.env.STORAGE_DRIVER_BY_DOCUMENT_TYPE
+      ),
+      // Backend para la copia de respaldo (syncFile y cola de sincronización)
+      replicaProvider: normalizeStorageProvider(
+        process.env.STORAGE_REPLICA_DRIVER
+      ),
+      tempDir: path.resolve(process.env.RSYNC_TEMP_DIR || "./temp"),
+    };
+  }
+
+  // =============================================================================
+  // SELECCIÓN DE DRIVER
+  // =============================================================================
+
+  /**
+   * Determinar el backend de un archivo nuevo
+   * Prioridad: regla del departamento para el tipo de documento, regla global
+   * del tipo de documento (STORAGE_DRIVER_BY_DOCUMENT_TYPE), proveedor del
+   * departamento y finalmente STORAGE_DRIVER
+   * @param {Object} context - departmentId, documentType
+   * @returns {Promise<String>} LOCAL | RSYNC | S3
+   */
+  async resolveProvider({ departmentId, documentType } = {}) {
+    const type = (documentType || "").toUpperCase();
+    const policy = await this._getDepartmentPolicy(departmentId);
+
+    const departmentRule = (policy.documentTypes || []).find(
+      (rule) => rule.documentType === type
+    );
+
+    return (
+      normalizeStorageProvider(departmentRule?.provider) ||
+      this.config.documentTypeProviders[type] ||
+      normalizeStorageProvider(policy.provider) ||
+      this.config.defaultProvider
+    );
+  }
+
+  /**
+   * Clave del contenido compartido de un hash
+   * Incluye el ID del blob: si el contenido se elimina y se vuelve a subir,
+   * la nueva copia no comparte clave con la que se está borrando
+   * @returns {String} Clave (blobs/{ab}/{hash}-{blobId})
+   */
+  buildBlobKey(hash, blobId) {
+    return `blobs/${hash.slice(0, 2)}/${hash}-${blobId}`;
+  }
+
+  // =============================================================================
+  // CONTENIDO COMPARTIDO (DEDUPLICACIÓN POR CHECKSUM)
+  // =============================================================================
+
+  /**
+   * Guardar un archivo reutilizando el contenido ya almacenado con el mismo
+   * checksum; solo se escribe si el contenido no tiene copia en el backend
+   * @param {Buffer|String} source - Contenido o ruta local
+   * @param {Object} options - hash, size, provider, contentType
+   * @returns {Promise<Object>} { blob, copy, copies, deduplicated }
+   */
+  async storeShared(source, { hash, size, provider, contentType }) {
+    const target = provider || this.config.defaultProvider;
+    const checksum =
+      hash ||
+      crypto
+        .createHash("sha256")
+        .update(Buffer.isBuffer(source) ? source : await fs.readFile(source))
+        .digest("hex");
+
+    const blob = await this.blobRepository.acquire(checksum, {
+      size,
+      mimeType: contentType,
+    });
+
+    try {
+      let copies = blob.copies
+        .filter((copy) => copy.status === "SYNCED")
+        .map(({ _id, ...copy }) => copy);
+      let primary = copies.find((copy) => copy.provider === target);
+      const deduplicated = Boolean(primary);
+
+      if (!primary) {
+        const result = await getStorageDriver(target).put(
+          this.buildBlobKey(checksum, blob._id),
+          source,
+          { contentType }
+        );
+        if (result.hash && result.hash !== checksum) {
+          await this._removeCopies([result]);
+          throw new Error(
+            `El contenido guardado no coincide con el checksum ${checksum}`
+          );
+        }
+
+        primary = this._toCopy(result, { isPrimary: false });
+        await this.blobRepository.recordCopy(blob._id, primary);
+        copies = [...copies.filter((c) => c.provider !== target), primary];
+      } else {
+        console.log(
+          `♻️ Storage: Contenido ${checksum.slice(0, 12)} reutilizado en ${target} (${blob.refCount} referencias)`
+        );
+      }
+
+      copies = copies.map((copy) => ({
+        ...copy,
+        isPrimary: copy.provider === target,
+      }));
+
+      return {
+        blob: blob._id,
+        copy: copies.find((copy) => copy.isPrimary),
+        copies,
+        deduplicated,
+      };
+    } catch (error) {
+      try {
+        const released = await this._releaseBlob(blob._id);
+        if (released) await this._removeCopies(released.copies);
+      } catch (releaseError) {
+        console.error(
+          `❌ Storage: No se pudo liberar el blob ${blob._id}: ${releaseError.message}`
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar en el contenido compartido una copia creada para un archivo
+   * @param {Object} file - Registro File
+   * @param {Object} copy - Copia (formato storage.copies[])
+   */
+  async recordSharedCopy(file, copy) {
+    if (!file.storage?.blob) return null;
+    return await this.blobRepository.recordCopy(file.storage.blob, {
+      ...copy,
+      isPrimary: false,
+    });
+  }
+
+  /**
+   * Campos storage/rsyncInfo del registro File
+   * @param {Object} copy - Copia principal
+   * @param {Object} options - copies (todas las copias), blob
+   * @returns {Object} { storage, rsyncInfo }
+   */
+  toFileFields(copy, { copies = [copy], blob = null } = {}) {
+    const storage = {
+      path: copy.location || copy.key,
+      storageProvider: copy.provider,
+      key: copy.key,
+      copies,
+      blob,
+    };
+
+    // El contenido puede tener ya una copia rsync de otro archivo
+    const rsyncCopy = copies.find(
+      (c) => c.provider === STORAGE_PROVIDERS.RSYNC && c.status === "SYNCED"
+    );
+    if (rsyncCopy) {
+      return {
+        storage,
+        rsyncInfo: {
+          remotePath: rsyncCopy.location,
+          remoteFileName: path.posix.basename(rsyncCopy.key),
+          syncStatus: "SYNCED",
+          lastSyncSuccess: rsyncCopy.syncedAt,
+          remoteHash: rsyncCopy.hash,
+          remoteSize: rsyncCopy.size,
+        },
+      };
+    }
+
+    // rsyncInfo solo queda pendiente si rsync es el backend de réplica
+    return {
+      storage,
+      rsyncInfo: {
+        syncStatus:
+          this.config.replicaProvider === STORAGE_PROVIDERS.RSYNC
+            ? "PENDING"
+            : "SKIPPED",
+      },
+    };
+  }
+
+  // =============================================================================
+  // OPERACIONES SOBRE COPIAS
+  // =============================================================================
+
+  /**
+   * Copias registradas del archivo; los registros anteriores a los drivers
+   * solo tienen storage.storageProvider y storage.path
+   * @param {Object} file - Registro File
+   * @returns {Array} Copias (la principal primero)
+   */
+  getCopies(file) {
+    const copies = (file.storage?.copies || []).filter(
+      (copy) => copy.status !== "DELETED"
+    );
+    if (copies.length > 0) {
+      return [...copies].sort(
+        (a, b) => Number(b.isPrimary) - Number(a.isPrimary)
+      );
+    }
+
+    const provider = normalizeStorageProvider(file.storage?.storageProvider);
+    const key = file.storage?.key || this._legacyKey(file, provider);
+    if (!provider || !key) return [];
+
+    return [
+      {
+        provider,
+        key,
+        location: file.storage.path,
+        isPrimary: true,
+        status:
+          provider === STORAGE_PROVIDERS.RSYNC &&
+          file.rsyncInfo?.syncStatus !== "SYNCED"
+            ? "PENDING"
+            : "SYNCED",
+      },
+    ];
+  }
+
+  /**
+   * Descargar el archivo desde la primera copia disponible
+   * @param {Object} file - Registro File
+   * @param {String} destinationPath - Ruta local de destino
+   * @param {Object} options - provider (forzar un backend)
+   * @returns {Promise<Object>} { path, provider }
+   */
+  async fetch(file, destinationPath, options = {}) {
+    const candidates = this.getCopies(file).filter(
+      (copy) =>
+        copy.status === "SYNCED" &&
+        (!options.provider || copy.provider === options.provider)
+    );
+
+    if (candidates.length === 0) {
+      const error = new Error(
+        "El archivo no tiene copias disponibles en ningún backend de almacenamiento"
+      );
+      error.code = "ENOENT";
+      throw error;
+    }
+
+    let lastError = null;
+    for (const copy of candidates) {
+      try {
+        await getStorageDriver(copy.provider).get(copy.key, destinationPath);
+        return { path: destinationPath, provider: copy.provider };
+      } catch (error) {
+        lastError = error;
+        console.warn(
+          `⚠️ Storage: No se pudo leer ${copy.key} desde ${copy.provider}: ${error.message}`
+        );
+        await fs.unlink(destinationPath).catch(() => {});
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Copiar el archivo a otro backend a partir de una copia existente
+   * @param {Object} file - Registro File
+   * @param {String} provider - Backend de destino
+   * @returns {Promise<Object>} Copia creada (formato storage.copies[])
+   */
+  async replicate(file, provider) {
+    const target = normalizeStorageProvider(provider);
+    if (!target) {
+      throw new Error(`Proveedor de almacenamiento no soportado: ${provider}`);
+    }
+
+    const sources = this.getCopies(file).filter(
+      (c) => c.provider !== target && c.status === "SYNCED"
+    );
+    if (sources.length === 0) {
+      throw new Error(
+        `El archivo no tiene una copia de origen distinta de ${target}`
+      );
+    }
+
+    const key = this.getCopies(file)[0].key;
+    const tempPath = path.join(
+      this.config.tempDir,
+      `replica_${crypto.randomBytes(6).toString("hex")}_${path.posix.basename(key)}`
+    );
+
+    try {
+      const { provider: sourceProvider } = await this.fetch(file, tempPath, {
+        provider: sources[0].provider,
+      });
+      const result = await getStorageDriver(target).put(key, tempPath, {
+        contentType: file.fileInfo?.mimeType,
+      });
+
+      console.log(
+        `🔁 Storage: ${file.systemName} replicado de ${sourceProvider} a ${target}`
+      );
+      return this._toCopy(result, { isPrimary: false });
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Eliminar todas las copias físicas del archivo
+   * El contenido compartido solo se elimina al liberar la última referencia
+   * @param {Object} file - Registro File
+   * @returns {Promise<Array>} Resultado por copia
+   */
+  async removeAll(file) {
+    if (!file.storage?.blob) {
+      return await this._removeCopies(this.getCopies(file));
+    }
+
+    const blob = await this._releaseBlob(file.storage.blob);
+    if (!blob) {
+      console.log(
+        `♻️ Storage: ${file.systemName} liberado; el contenido sigue en uso por otros archivos`
+      );
+      return [];
+    }
+
+    // Unión de las copias del contenido y las registradas en el archivo
+    const copies = [...blob.copies, ...this.getCopies(file)].filter(
+      (copy, index, all) =>
+        copy.status !== "DELETED" &&
+        all.findIndex(
+          (c) => c.provider === copy.provider && c.key === copy.key
+        ) === index
+    );
+
+    return await this._removeCopies(copies);
+  }
+
+  // =============================================================================
+  // VERIFICACIÓN DE INTEGRIDAD
+  // =============================================================================
+
+  /**
+   * Descargar una copia concreta y calcular su hash SHA-256
+   * @param {Object} copy - Copia (provider, key)
+   * @param {String} destinationPath - Ruta local donde dejar el contenido
+   * @returns {Promise<Object>} { hash, size }
+   */
+  async hashCopy(copy, destinationPath) {
+    await getStorageDriver(copy.provider).get(copy.key, destinationPath);
+
+    const hash = crypto.createHash("sha256");
+    await pipeline(createReadStream(destinationPath), hash);
+    const { size } = await fs.stat(destinationPath);
+
+    return { hash: hash.digest("hex"), size };
+  }
+
+  /**
+   * Reescribir una copia dañada o ausente con contenido verificado
+   * @param {Object} copy - Copia a restaurar (provider, key, isPrimary)
+   * @param {String} sourcePath - Ruta local del contenido sano
+   * @param {Object} options - contentType
+   * @returns {Promise<Object>} Copia restaurada (formato storage.copies[])
+   */
+  async restoreCopy(copy, sourcePath, { contentType } = {}) {
+    const result = await getStorageDriver(copy.provider).put(
+      copy.key,
+      sourcePath,
+      { contentType }
+    );
+
+    return this._toCopy(result, { isPrimary: Boolean(copy.isPrimary) });
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  async _removeCopies(copies) {
+    const results = [];
+
+    for (const copy of copies) {
+      try {
+        const removed = await getStorageDriver(copy.provider).remove(copy.key);
+        results.push({ provider: copy.provider, key: copy.key, removed });
+      } catch (error) {
+        console.error(
+          `❌ Storage: Error eliminando ${copy.key} de ${copy.provider}: ${error.message}`
+        );
+        results.push({
+          provider: copy.provider,
+          key: copy.key,
+          removed: false,
+          error: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Restar una referencia al contenido compartido
+   * @returns {Promise<Object|null>} Blob eliminado si era la última referencia
+   * @private
+   */
+  async _releaseBlob(blobId) {
+    const blob = await this.blobRepository.release(blobId);
+    if (blob && blob.refCount > 0) return null;
+
+    return await this.blobRepository.deleteIfUnreferenced(blobId);
+  }
+
+  _toCopy(result, { isPrimary }) {
+    return {
+      provider: result.provider,
+      key: result.key,
+      location: result.location,
+      isPrimary,
+      status: "SYNCED",
+      size: result.size,
+      hash: result.hash,
+      syncedAt: new Date(),
+      error: null,
+    };
+  }
+
+  /**
+   * Clave de registros anteriores: storage.path sin la ruta base del backend
+   * @private
+   */
+  _legacyKey(file, provider) {
+    const storagePath = (file.storage?.path || "").replace(/\\/g, "/");
+    if (!storagePath) return null;
+
+    if (provider === STORAGE_PROVIDERS.RSYNC) {
+      const basePath = (
+        process.env.RSYNC_REMOTE_BASE_PATH || "expediente-digital"
+      ).replace(/^\/+|\/+$/g, "");
+      const remotePath = storagePath.replace(/^\/+/, "");
+      return remotePath.startsWith(`${basePath}/`)
+        ? remotePath.slice(basePath.length + 1)
+        : remotePath;
+    }
+
+    if (provider === STORAGE_PROVIDERS.LOCAL && path.isAbsolute(storagePath)) {
+      return path
+        .relative(getStorageDriver(provider).getLocation(), storagePath)
+        .replace(/\\/g, "/");
+    }
+
+    return storagePath;
+  }
+
+  async _getDepartmentPolicy(departmentId) {
+    if (!departmentId) return {};
+
+    const department = await this.departmentRepository.model
+      .findById(departmentId)
+      .select("contractPolicies.storage")
+      .lean();
+
+    return department?.contractPolicies?.storage || {};
+  }
+
+  _parseProviderMap(value) {
+    return (value || "")
+      .split(",")
+      .map((entry) => entry.split("="))
+      .reduce((map, [documentType, provider]) => {
+        const normalized = normalizeStorageProvider(provider);
+        if (documentType?.trim() && normalized) {
+          map[documentType.trim().toUpperCase()] = normalized;
+        }
+        return map;
+      }, {});
+  }
+}
@@ -25,7 +25,8 @@ class TempFileService {
     // Sistema de locks para descargas en progreso
     this.downloadLocks = new Map();
 
-    this.initialize();
+    // Promesa de inicialización para quien necesite esperar el caché cargado
+    this.ready = this.initialize();
   }
 
   /**
@@ -291,13 +292,15 @@ class TempFileService {
    * Iniciar limpieza automática periódica
    */
   startAutoCleanup() {
-    setInterval(async () => {
+    // unref: la limpieza no debe mantener vivo el proceso (scripts, pruebas)
+    const cleanupInterval = setInterval(async () => {
       try {
         await this.cleanExpiredFiles();
       } catch (error) {
         console.error("❌ Error en limpieza automática:", error);
       }
     }, this.CLEANUP_INTERVAL);
+    cleanupInterval.unref();
 
     console.log(
       `🔄 Limpieza automática iniciada (cada ${this.CLEANUP_INTERVAL / 1000}s)`
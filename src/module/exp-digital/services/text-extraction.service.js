@@ -0,0 +1,917 @@
+// =============================================================================
+// src/module/exp-digital/services/text-extraction.service.js
+// Extracción del texto de documentos (PDF, DOCX, TXT/CSV) para búsqueda
+// GADM Cantón Esmeraldas - Búsqueda de contenido del expediente digital
+// =============================================================================
+
+import zlib from "zlib";
+import {
+  PDFDocument,
+  PDFDict,
+  PDFName,
+  PDFArray,
+  PDFRawStream,
+  PDFRef,
+  decodePDFRawStream,
+} from "pdf-lib";
+
+export const TEXT_EXTRACTORS = {
+  PDF: "PDF",
+  DOCX: "DOCX",
+  PLAIN: "PLAIN",
+};
+
+const PLAIN_TEXT_EXTENSIONS = ["txt", "csv", "tsv", "md", "log"];
+const PLAIN_TEXT_MIME_TYPES = [
+  "text/plain",
+  "text/csv",
+  "text/tab-separated-values",
+  "application/csv",
+];
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Partes del DOCX con texto: cuerpo, encabezados, pies y notas
+const DOCX_TEXT_PARTS =
+  /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+// Formularios anidados: evita ciclos entre XObjects
+const MAX_FORM_DEPTH = 5;
+
+// Desplazamiento en TJ (milésimas de em) que se interpreta como espacio
+const TJ_SPACE_THRESHOLD = -200;
+
+// Windows-1252 en el rango 0x80-0x9F (el resto coincide con Latin-1)
+const WIN_ANSI_HIGH = {
+  0x80: "€",
+  0x82: "‚",
+  0x83: "ƒ",
+  0x84: "„",
+  0x85: "…",
+  0x86: "†",
+  0x87: "‡",
+  0x88: "ˆ",
+  0x89: "‰",
+  0x8a: "Š",
+  0x8b: "‹",
+  0x8c: "Œ",
+  0x8e: "Ž",
+  0x91: "‘",
+  0x92: "’",
+  0x93: "“",
+  0x94: "”",
+  0x95: "•",
+  0x96: "–",
+  0x97: "—",
+  0x98: "˜",
+  0x99: "™",
+  0x9a: "š",
+  0x9b: "›",
+  0x9c: "œ",
+  0x9e: "ž",
+  0x9f: "Ÿ",
+};
+
+// Nombres de glifo usados en /Differences (caracteres del español)
+const GLYPH_NAMES = {
+  space: " ",
+  aacute: "á",
+  eacute: "é",
+  iacute: "í",
+  oacute: "ó",
+  uacute: "ú",
+  Aacute: "Á",
+  Eacute: "É",
+  Iacute: "Í",
+  Oacute: "Ó",
+  Uacute: "Ú",
+  ntilde: "ñ",
+  Ntilde: "Ñ",
+  udieresis: "ü",
+  Udieresis: "Ü",
+  ordfeminine: "ª",
+  ordmasculine: "º",
+  degree: "°",
+  questiondown: "¿",
+  exclamdown: "¡",
+  hyphen: "-",
+  endash: "–",
+  emdash: "—",
+  period: ".",
+  comma: ",",
+  colon: ":",
+  semicolon: ";",
+  parenleft: "(",
+  parenright: ")",
+  slash: "/",
+  percent: "%",
+  dollar: "$",
+  quotesingle: "'",
+  quotedbl: '"',
+  quoteright: "’",
+  quoteleft: "‘",
+  bullet: "•",
+  zero: "0",
+  one: "1",
+  two: "2",
+  three: "3",
+  four: "4",
+  five: "5",
+  six: "6",
+  seven: "7",
+  eight: "8",
+  nine: "9",
+};
+
+export class TextExtractionService {
+  /**
+   * Extractor aplicable al archivo
+   * @param {Object} source - mimeType, extension
+   * @returns {String|null} PDF | DOCX | PLAIN o null si no se soporta
+   */
+  getExtractor({ mimeType, extension } = {}) {
+    const ext = (extension || "").replace(/^\./, "").toLowerCase();
+
+    if (mimeType === "application/pdf" || ext === "pdf") {
+      return TEXT_EXTRACTORS.PDF;
+    }
+    if (mimeType === DOCX_MIME_TYPE || ext === "docx") {
+      return TEXT_EXTRACTORS.DOCX;
+    }
+    if (
+      PLAIN_TEXT_MIME_TYPES.includes(mimeType) ||
+      PLAIN_TEXT_EXTENSIONS.includes(ext)
+    ) {
+      return TEXT_EXTRACTORS.PLAIN;
+    }
+    return null;
+  }
+
+  /**
+   * Extraer el texto de un documento
+   * @param {Buffer} buffer - Contenido
+   * @param {Object} source - mimeType, extension
+   * @returns {Promise<Object>} { extractor, text, pageCount }
+   */
+  async extract(buffer, source = {}) {
+    const extractor = this.getExtractor(source);
+
+    switch (extractor) {
+      case TEXT_EXTRACTORS.PDF:
+        return { extractor, ...(await this.extractPdf(buffer)) };
+      case TEXT_EXTRACTORS.DOCX:
+        return { extractor, text: this.extractDocx(buffer), pageCount: null };
+      case TEXT_EXTRACTORS.PLAIN:
+        return {
+          extractor,
+          text: this.normalize(this.decodePlainText(buffer)),
+          pageCount: null,
+        };
+      default:
+        throw new Error(
+          `Tipo de archivo sin extracción de texto: ${source.mimeType || source.extension}`
+        );
+    }
+  }
+
+  /**
+   * Compactar espacios y líneas en blanco
+   * @param {String} text
+   * @returns {String}
+   */
+  normalize(text) {
+    return text
+      .replace(/\u0000/g, "")
+      .replace(/[ \t ]+/g, " ")
+      .replace(/ *\n */g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  // =============================================================================
+  // TEXTO PLANO
+  // =============================================================================
+
+  /**
+   * Decodificar TXT/CSV: UTF-8 (con o sin BOM), UTF-16 con BOM o
+   * Windows-1252 (exportaciones de Excel)
+   */
+  decodePlainText(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return new TextDecoder("utf-16le").decode(buffer.subarray(2));
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+    }
+
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch {
+      // Node decodifica "windows-1252" como Latin-1: 0x80-0x9F quedan como
+      // caracteres de control en lugar de €, comillas tipográficas, etc.
+      return new TextDecoder("windows-1252")
+        .decode(buffer)
+        .replace(
+          /[\u0080-\u009f]/g,
+          (char) => WIN_ANSI_HIGH[char.charCodeAt(0)] || ""
+        );
+    }
+  }
+
+  // =============================================================================
+  // DOCX
+  // =============================================================================
+
+  /**
+   * Texto de los párrafos del documento, encabezados y pies de página
+   * @param {Buffer} buffer - Contenido del DOCX
+   * @returns {String}
+   */
+  extractDocx(buffer) {
+    const entries = this._readZipEntries(buffer).filter((entry) =>
+      DOCX_TEXT_PARTS.test(entry.name)
+    );
+    if (!entries.some((entry) => entry.name === "word/document.xml")) {
+      throw new Error("El archivo DOCX no contiene word/document.xml");
+    }
+
+    // Primero el cuerpo, luego encabezados y pies
+    entries.sort(
+      (a, b) =>
+        Number(b.name === "word/document.xml") -
+        Number(a.name === "word/document.xml")
+    );
+
+    const parts = entries.map((entry) =>
+      this._docxXmlToText(this._readZipEntry(buffer, entry).toString("utf8"))
+    );
+
+    return this.normalize(parts.join("\n\n"));
+  }
+
+  /**
+   * @private
+   */
+  _docxXmlToText(xml) {
+    const pattern =
+      /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>|<\/w:p>/g;
+    let text = "";
+
+    for (const match of xml.matchAll(pattern)) {
+      if (match[1] !== undefined) {
+        text += this._decodeXmlEntities(match[1]);
+      } else if (match[0] === "<w:tab/>") {
+        text += "\t";
+      } else {
+        text += "\n";
+      }
+    }
+
+    return text;
+  }
+
+  _decodeXmlEntities(value) {
+    return value.replace(
+      /&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g,
+      (entity, code) => {
+        if (code[0] === "#") {
+          const point =
+            code[1] === "x"
+              ? parseInt(code.slice(2), 16)
+              : parseInt(code.slice(1), 10);
+          return String.fromCodePoint(point);
+        }
+        return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[code];
+      }
+    );
+  }
+
+  /**
+   * Directorio central del ZIP (sin ZIP64)
+   * @private
+   */
+  _readZipEntries(buffer) {
+    const minOffset = Math.max(0, buffer.length - 0xffff - 22);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= minOffset; i--) {
+      if (buffer.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error("El archivo no es un ZIP válido");
+    }
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (offset === 0xffffffff) {
+      throw new Error("ZIP64 no soportado");
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error("Directorio central del ZIP dañado");
+      }
+
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+
+      entries.push({
+        name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        localOffset: buffer.readUInt32LE(offset + 42),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  _readZipEntry(buffer, entry) {
+    const offset = entry.localOffset;
+    if (buffer.readUInt32LE(offset) !== 0x04034b50) {
+      throw new Error(`Entrada ${entry.name} del ZIP dañada`);
+    }
+
+    const start =
+      offset +
+      30 +
+      buffer.readUInt16LE(offset + 26) +
+      buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`Compresión ${entry.method} no soportada en ${entry.name}`);
+  }
+
+  // =============================================================================
+  // PDF
+  // =============================================================================
+
+  /**
+   * Texto de las páginas del PDF a partir de sus flujos de contenido
+   * Los PDF escaneados sin capa de texto devuelven texto vacío (no hay OCR)
+   * @param {Buffer} buffer - Contenido del PDF
+   * @returns {Promise<Object>} { text, pageCount }
+   */
+  async extractPdf(buffer) {
+    const pdf = await PDFDocument.load(buffer, {
+      ignoreEncryption: true,
+      updateMetadata: false,
+    });
+    if (pdf.isEncrypted) {
+      throw new Error("PDF cifrado: no se puede extraer el texto");
+    }
+
+    const fontCache = new Map();
+    const pages = pdf.getPages().map((page) => {
+      try {
+        const output = { text: "", lastY: null };
+        this._renderContent(
+          pdf,
+          this._pageContentBytes(pdf, page.node),
+          page.node.Resources(),
+          output,
+          fontCache,
+          0
+        );
+        return output.text;
+      } catch (error) {
+        console.warn(`⚠️ Texto: página no legible: ${error.message}`);
+        return "";
+      }
+    });
+
+    return {
+      text: this.normalize(pages.join("\n\n")),
+      pageCount: pages.length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _pageContentBytes(pdf, pageNode) {
+    const contents = pageNode.get(PDFName.of("Contents"));
+    const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+
+    const chunks = refs
+      .filter(Boolean)
+      .map((ref) => pdf.context.lookup(ref))
+      .filter((stream) => stream instanceof PDFRawStream)
+      .map((stream) => Buffer.from(decodePDFRawStream(stream).decode()));
+
+    // Los flujos se concatenan separados por espacio (PDF 32000, 7.8.2)
+    return Buffer.concat(chunks.flatMap((chunk) => [chunk, Buffer.from("\n")]));
+  }
+
+  /**
+   * Interpretar los operadores de texto de un flujo de contenido
+   * @private
+   */
+  _renderContent(pdf, bytes, resources, output, fontCache, depth) {
+    const fonts = resources?.lookupMaybe(PDFName.of("Font"), PDFDict);
+    const xObjects = resources?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+    let font = null;
+    let operands = [];
+
+    const newLine = () => {
+      if (output.text && !output.text.endsWith("\n")) output.text += "\n";
+    };
+    const space = () => {
+      if (output.text && !/\s$/.test(output.text)) output.text += " ";
+    };
+    const show = (value) => {
+      if (value instanceof Uint8Array)
+        output.text += this._decodeString(font, value);
+    };
+
+    for (const token of this._tokenize(bytes)) {
+      if (token.type !== "operator") {
+        operands.push(token.value);
+        continue;
+      }
+
+      switch (token.value) {
+        case "BT":
+        case "ET":
+        case "T*":
+          newLine();
+          break;
+        case "Tf":
+          font = this._getFont(pdf, fonts, operands[0], fontCache);
+          break;
+        case "Td":
+        case "TD": {
+          const [tx = 0, ty = 0] = operands;
+          if (Math.abs(ty) > 0.5) newLine();
+          else if (tx > 0) space();
+          break;
+        }
+        case "Tm": {
+          const y = operands[5];
+          if (output.lastY !== null && Math.abs(y - output.lastY) > 0.5) {
+            newLine();
+          } else {
+            space();
+          }
+          output.lastY = y;
+          break;
+        }
+        case "Tj":
+          show(operands[0]);
+          break;
+        case "'":
+          newLine();
+          show(operands[0]);
+          break;
+        case '"':
+          newLine();
+          show(operands[2]);
+          break;
+        case "TJ":
+          for (const item of operands[0] || []) {
+            if (typeof item === "number") {
+              if (item < TJ_SPACE_THRESHOLD) space();
+            } else {
+              show(item);
+            }
+          }
+          break;
+        case "Do": {
+          if (depth >= MAX_FORM_DEPTH || !xObjects) break;
+          const form = xObjects.lookup(PDFName.of(operands[0]));
+          if (
+            form instanceof PDFRawStream &&
+            form.dict.get(PDFName.of("Subtype")) === PDFName.of("Form")
+          ) {
+            this._renderContent(
+              pdf,
+              Buffer.from(decodePDFRawStream(form).decode()),
+              form.dict.lookupMaybe(PDFName.of("Resources"), PDFDict) ||
+                resources,
+              output,
+              fontCache,
+              depth + 1
+            );
+          }
+          break;
+        }
+        default:
+          break;
+      }
+
+      operands = [];
+    }
+  }
+
+  /**
+   * Analizador léxico de flujos de contenido
+   * @private
+   */
+  *_tokenize(bytes) {
+    const length = bytes.length;
+    let i = 0;
+    const stack = [];
+
+    const isWhite = (c) =>
+      c === 0x20 ||
+      c === 0x0a ||
+      c === 0x0d ||
+      c === 0x09 ||
+      c === 0x0c ||
+      c === 0x00;
+    const isDelimiter = (c) =>
+      c === 0x28 ||
+      c === 0x29 ||
+      c === 0x3c ||
+      c === 0x3e ||
+      c === 0x5b ||
+      c === 0x5d ||
+      c === 0x7b ||
+      c === 0x7d ||
+      c === 0x2f ||
+      c === 0x25;
+
+    const emit = function* (token) {
+      if (stack.length > 0 && token.type !== "operator") {
+        stack[stack.length - 1].push(token.value);
+      } else {
+        yield token;
+      }
+    };
+
+    while (i < length) {
+      const c = bytes[i];
+
+      if (isWhite(c)) {
+        i++;
+      } else if (c === 0x25) {
+        // Comentario hasta fin de línea
+        while (i < length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+      } else if (c === 0x28) {
+        const { value, end } = this._readLiteralString(bytes, i);
+        i = end;
+        yield* emit({ type: "string", value });
+      } else if (c === 0x3c && bytes[i + 1] === 0x3c) {
+        // Diccionario en línea (BDC, BI): se omite
+        let nesting = 0;
+        while (i < length) {
+          if (bytes[i] === 0x3c && bytes[i + 1] === 0x3c) {
+            nesting++;
+            i += 2;
+          } else if (bytes[i] === 0x3e && bytes[i + 1] === 0x3e) {
+            nesting--;
+            i += 2;
+            if (nesting === 0) break;
+          } else if (bytes[i] === 0x28) {
+            i = this._readLiteralString(bytes, i).end;
+          } else {
+            i++;
+          }
+        }
+        yield* emit({ type: "dict", value: null });
+      } else if (c === 0x3c) {
+        const end = bytes.indexOf(0x3e, i);
+        const hex = Buffer.from(bytes.subarray(i + 1, end < 0 ? length : end))
+          .toString("latin1")
+          .replace(/[^0-9a-fA-F]/g, "");
+        i = end < 0 ? length : end + 1;
+        yield* emit({
+          type: "string",
+          value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, "hex"),
+        });
+      } else if (c === 0x5b) {
+        stack.push([]);
+        i++;
+      } else if (c === 0x5d) {
+        const array = stack.pop() || [];
+        i++;
+        yield* emit({ type: "array", value: array });
+      } else if (c === 0x2f) {
+        let end = i + 1;
+        while (
+          end < length &&
+          !isWhite(bytes[end]) &&
+          !isDelimiter(bytes[end])
+        ) {
+          end++;
+        }
+        const name = Buffer.from(bytes.subarray(i + 1, end))
+          .toString("latin1")
+          .replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+            String.fromCharCode(parseInt(hex, 16))
+          );
+        i = end;
+        yield* emit({ type: "name", value: name });
+      } else {
+        let end = i;
+        while (
+          end < length &&
+          !isWhite(bytes[end]) &&
+          !isDelimiter(bytes[end])
+        ) {
+          end++;
+        }
+        if (end === i) {
+          // Delimitador suelto (p. ej. ">" o "}"): se ignora
+          i++;
+          continue;
+        }
+
+        const word = Buffer.from(bytes.subarray(i, end)).toString("latin1");
+        i = end;
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+          yield* emit({ type: "number", value: parseFloat(word) });
+        } else if (word === "true" || word === "false" || word === "null") {
+          yield* emit({ type: "keyword", value: word });
+        } else if (word === "BI") {
+          // Imagen en línea: se salta hasta EI
+          const endImage = this._findInlineImageEnd(bytes, i);
+          i = endImage;
+        } else {
+          stack.length = 0;
+          yield { type: "operator", value: word };
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readLiteralString(bytes, start) {
+    const out = [];
+    let depth = 1;
+    let i = start + 1;
+
+    while (i < bytes.length && depth > 0) {
+      const c = bytes[i];
+
+      if (c === 0x5c) {
+        const next = bytes[i + 1];
+        i += 2;
+        const escapes = {
+          0x6e: 0x0a,
+          0x72: 0x0d,
+          0x74: 0x09,
+          0x62: 0x08,
+          0x66: 0x0c,
+        };
+        if (escapes[next] !== undefined) {
+          out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let k = 0; k < 2 && bytes[i] >= 0x30 && bytes[i] <= 0x37; k++) {
+            octal = octal * 8 + (bytes[i] - 0x30);
+            i++;
+          }
+          out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          if (bytes[i] === 0x0a) i++;
+        } else if (next !== 0x0a) {
+          out.push(next);
+        }
+        continue;
+      }
+
+      if (c === 0x28) depth++;
+      if (c === 0x29) depth--;
+      if (depth > 0) out.push(c);
+      i++;
+    }
+
+    return { value: Uint8Array.from(out), end: i };
+  }
+
+  /**
+   * @private
+   */
+  _findInlineImageEnd(bytes, start) {
+    for (let i = start; i < bytes.length - 2; i++) {
+      if (
+        bytes[i] === 0x45 &&
+        bytes[i + 1] === 0x49 &&
+        (i === 0 || /\s/.test(String.fromCharCode(bytes[i - 1]))) &&
+        (i + 2 >= bytes.length || /\s/.test(String.fromCharCode(bytes[i + 2])))
+      ) {
+        return i + 2;
+      }
+    }
+    return bytes.length;
+  }
+
+  // =============================================================================
+  // FUENTES Y CODIFICACIÓN
+  // =============================================================================
+
+  /**
+   * Decodificador de la fuente: ToUnicode o, en fuentes simples, la
+   * codificación WinAnsi con /Differences
+   * @private
+   */
+  _getFont(pdf, fonts, name, cache) {
+    if (!fonts || typeof name !== "string") return null;
+
+    const ref = fonts.get(PDFName.of(name));
+    const key = ref instanceof PDFRef ? ref.toString() : `${name}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const dict = fonts.lookupMaybe(PDFName.of(name), PDFDict);
+    let font = null;
+
+    if (dict) {
+      const isComposite =
+        dict.get(PDFName.of("Subtype")) === PDFName.of("Type0");
+      const toUnicode = dict.lookup(PDFName.of("ToUnicode"));
+
+      font = {
+        isComposite,
+        cmap:
+          toUnicode instanceof PDFRawStream
+            ? this._parseToUnicode(
+                Buffer.from(decodePDFRawStream(toUnicode).decode()).toString(
+                  "latin1"
+                ),
+                isComposite ? 2 : 1
+              )
+            : null,
+        differences: isComposite ? null : this._readDifferences(dict),
+      };
+    }
+
+    cache.set(key, font);
+    return font;
+  }
+
+  /**
+   * @private
+   */
+  _decodeString(font, bytes) {
+    if (font?.cmap) {
+      const { map, codeLengths } = font.cmap;
+      let text = "";
+
+      for (let i = 0; i < bytes.length;) {
+        let matched = false;
+        for (const length of codeLengths) {
+          if (i + length > bytes.length) continue;
+          let code = 0;
+          for (let k = 0; k < length; k++) code = code * 256 + bytes[i + k];
+          const value = map.get(`${length}:${code}`);
+          if (value !== undefined) {
+            text += value;
+            i += length;
+            matched = true;
+            break;
+          }
+        }
+        if (matched) continue;
+        if (font.isComposite) {
+          i += 2;
+        } else {
+          text += this._decodeSimpleByte(font, bytes[i]);
+          i++;
+        }
+      }
+
+      return text;
+    }
+
+    // Fuente compuesta sin ToUnicode: los códigos son identificadores de glifo
+    if (font?.isComposite) return "";
+
+    let text = "";
+    for (const byte of bytes) text += this._decodeSimpleByte(font, byte);
+    return text;
+  }
+
+  /**
+   * @private
+   */
+  _decodeSimpleByte(font, byte) {
+    const mapped = font?.differences?.get(byte);
+    if (mapped !== undefined) return mapped;
+    if (byte >= 0x80 && byte <= 0x9f) return WIN_ANSI_HIGH[byte] || "";
+    if (byte >= 0x20 || byte === 0x09) return String.fromCharCode(byte);
+    return "";
+  }
+
+  /**
+   * Mapa código → Unicode de un CMap ToUnicode (bfchar y bfrange)
+   * @private
+   */
+  _parseToUnicode(source, defaultLength) {
+    const map = new Map();
+    const codeLengths = new Set();
+    const hexToCode = (hex) => parseInt(hex, 16);
+    // Los destinos pueden traer espacios entre grupos: <0066 0069>
+    const hexToText = (raw) => {
+      const hex = raw.replace(/\s+/g, "");
+      const padded =
+        hex.length % 4
+          ? hex.padStart(hex.length + (4 - (hex.length % 4)), "0")
+          : hex;
+      return Buffer.from(padded, "hex").swap16().toString("utf16le");
+    };
+    const add = (hex, text) => {
+      const length = Math.max(1, hex.length / 2);
+      codeLengths.add(length);
+      map.set(`${length}:${hexToCode(hex)}`, text);
+    };
+
+    for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const [, code, text] of block[1].matchAll(
+        /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F\s]*)>/g
+      )) {
+        add(code, hexToText(text));
+      }
+    }
+
+    for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const [, low, high, target] of block[1].matchAll(
+        /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F\s]*>|\[[^\]]*\])/g
+      )) {
+        const start = hexToCode(low);
+        const end = Math.min(hexToCode(high), start + 0xffff);
+        const width = low.length;
+
+        if (target.startsWith("[")) {
+          const values = [...target.matchAll(/<([0-9a-fA-F\s]*)>/g)].map(
+            (m) => m[1]
+          );
+          values.forEach((value, index) => {
+            if (start + index > end) return;
+            add(
+              (start + index).toString(16).padStart(width, "0"),
+              hexToText(value)
+            );
+          });
+        } else {
+          // Se incrementa el último carácter del destino (PDF 32000, 9.10.3)
+          const chars = [...hexToText(target.slice(1, -1))];
+          const prefix = chars.slice(0, -1).join("");
+          const last = chars.length
+            ? chars[chars.length - 1].codePointAt(0)
+            : 0;
+          for (let code = start; code <= end; code++) {
+            add(
+              code.toString(16).padStart(width, "0"),
+              prefix + String.fromCodePoint(last + code - start)
+            );
+          }
+        }
+      }
+    }
+
+    if (codeLengths.size === 0) codeLengths.add(defaultLength);
+    return {
+      map,
+      codeLengths: [...codeLengths].sort((a, b) => a - b),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _readDifferences(fontDict) {
+    const encoding = fontDict.lookup(PDFName.of("Encoding"));
+    if (!(encoding instanceof PDFDict)) return null;
+
+    const differences = encoding.lookupMaybe(
+      PDFName.of("Differences"),
+      PDFArray
+    );
+    if (!differences) return null;
+
+    const map = new Map();
+    let code = 0;
+    for (const item of differences.asArray()) {
+      if (typeof item.asNumber === "function") {
+        code = item.asNumber();
+        continue;
+      }
+
+      const glyph = item.decodeText?.() || "";
+      const unicode = /^uni([0-9A-Fa-f]{4})$/.exec(glyph);
+      const value = unicode
+        ? String.fromCharCode(parseInt(unicode[1], 16))
+        : (GLYPH_NAMES[glyph] ?? (glyph.length === 1 ? glyph : undefined));
+
+      if (value !== undefined) map.set(code, value);
+      code++;
+    }
+
+    return map;
+  }
+}
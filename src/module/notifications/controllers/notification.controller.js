@@ -1,7 +1,9 @@
 // src/module/notifications/controllers/notification.controller.js
 
 import notificationService from "../services/notification.service.js";
-import { asyncHandler } from "../../../utils/error.util.js";
+import notificationPreferenceService from "../services/notification-preference.service.js";
+import notificationDigestService from "../services/notification-digest.service.js";
+import { asyncHandler } from "#utils/error.util.js";
 
 class NotificationController {
   /**
@@ -9,7 +11,7 @@ class NotificationController {
    * Obtener notificaciones del usuario actual
    */
   getMyNotifications = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
+    const userId = req.user.userId;
     const options = {
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 20,
@@ -43,7 +45,7 @@ class NotificationController {
    * Obtener notificaciones que requieren acción
    */
   getActionRequired = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
+    const userId = req.user.userId;
     const options = {
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 20,
@@ -70,7 +72,7 @@ class NotificationController {
    * Contar notificaciones no leídas
    */
   getUnreadCount = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
+    const userId = req.user.userId;
     const count = await notificationService.getUnreadCount(userId);
 
     res.json({
@@ -85,7 +87,7 @@ class NotificationController {
    */
   markAsRead = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const userId = req.user._id;
+    const userId = req.user.userId;
 
     const notification = await notificationService.markAsRead(id, userId);
 
@@ -96,13 +98,30 @@ class NotificationController {
     });
   });
 
+  /**
+   * PATCH /api/notifications/:id/actioned
+   * Marcar como atendida (detiene el escalamiento)
+   */
+  markAsActioned = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const notification = await notificationService.markAsActioned(id, userId);
+
+    res.json({
+      success: true,
+      message: "Notificación marcada como atendida",
+      data: notification,
+    });
+  });
+
   /**
    * PATCH /api/notifications/bulk-read
    * Marcar múltiples como leídas
    */
   markMultipleAsRead = asyncHandler(async (req, res) => {
     const { notificationIds } = req.body;
-    const userId = req.user._id;
+    const userId = req.user.userId;
 
     if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
       return res.status(400).json({
@@ -124,7 +143,7 @@ class NotificationController {
    * Marcar todas como leídas
    */
   markAllAsRead = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
+    const userId = req.user.userId;
     const result = await notificationService.markAllAsRead(userId);
 
     res.json({
@@ -133,6 +152,95 @@ class NotificationController {
       data: { modifiedCount: result.modifiedCount },
     });
   });
+
+  /**
+   * GET /api/notifications/preferences
+   * Obtener preferencias de notificación del usuario actual
+   */
+  getPreferences = asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const preferences =
+      await notificationPreferenceService.getPreferences(userId);
+
+    res.json({
+      success: true,
+      data: preferences,
+    });
+  });
+
+  /**
+   * PUT /api/notifications/preferences
+   * Actualizar preferencias (defaults, types, mutedContracts, quietHours, digest)
+   */
+  updatePreferences = asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const preferences = await notificationPreferenceService.updatePreferences(
+      userId,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: "Preferencias de notificación actualizadas",
+      data: preferences,
+    });
+  });
+
+  /**
+   * POST /api/notifications/preferences/muted-contracts/:contractId
+   * Silenciar notificaciones de un contrato
+   */
+  muteContract = asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { contractId } = req.params;
+
+    const preferences = await notificationPreferenceService.muteContract(
+      userId,
+      contractId,
+      req.body?.until
+    );
+
+    res.json({
+      success: true,
+      message: "Contrato silenciado",
+      data: preferences,
+    });
+  });
+
+  /**
+   * DELETE /api/notifications/preferences/muted-contracts/:contractId
+   * Reactivar notificaciones de un contrato
+   */
+  unmuteContract = asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { contractId } = req.params;
+
+    const preferences = await notificationPreferenceService.unmuteContract(
+      userId,
+      contractId
+    );
+
+    res.json({
+      success: true,
+      message: "Contrato reactivado",
+      data: preferences,
+    });
+  });
+
+  /**
+   * GET /api/notifications/digest/preview
+   * Vista previa del próximo resumen (pendientes agrupados por contrato y fase)
+   */
+  previewDigest = asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { total, groups } =
+      await notificationDigestService.buildDigest(userId);
+
+    res.json({
+      success: true,
+      data: { total, groups },
+    });
+  });
 }
 
 export default new NotificationController();
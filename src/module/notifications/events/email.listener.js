@@ -0,0 +1,24 @@
+// src/module/notifications/events/email.listener.js
+
+import NotificationEvents from "./notification.events.js";
+import emailService from "../services/email.service.js";
+
+let registered = false;
+
+/**
+ * Escuchar notificaciones que requieren correo y encolarlas para envío
+ */
+export function registerEmailListener() {
+  if (registered) return;
+  registered = true;
+
+  NotificationEvents.on("notification:sendEmail", async (data) => {
+    try {
+      await emailService.queueNotificationEmail(data.notification);
+    } catch (error) {
+      console.error(
+        `❌ Email: Error encolando correo para usuario ${data.recipientId}: ${error.message}`
+      );
+    }
+  });
+}
@@ -0,0 +1,42 @@
+// =============================================================================
+// src/module/notifications/jobs/index.js
+// Registro de tareas programadas del módulo de notificaciones
+// =============================================================================
+
+import emailService from "../services/email.service.js";
+import notificationDigestService from "../services/notification-digest.service.js";
+
+/**
+ * Registrar las tareas del módulo en el planificador
+ * @param {JobSchedulerService} scheduler - Planificador de tareas
+ */
+export function registerNotificationJobs(scheduler) {
+  scheduler.registerJob({
+    name: "email-outbox",
+    description: "Envío y reintento de correos pendientes de notificaciones",
+    schedule: process.env.EMAIL_OUTBOX_CRON || "* * * * *",
+    handler: ({ params }) =>
+      emailService.processOutbox({
+        limit: parseInt(params.limit) || 100,
+      }),
+  });
+
+  scheduler.registerJob({
+    name: "notification-digest",
+    description:
+      "Resúmenes diarios/semanales y entrega de notificaciones retenidas por horario de silencio",
+    schedule: process.env.NOTIFICATION_DIGEST_CRON || "*/15 * * * *",
+    // params.now permite simular la fecha de referencia en ejecuciones manuales
+    handler: async ({ now, params }) => {
+      const referenceDate = params.now ? new Date(params.now) : now;
+      return {
+        deferred: await notificationDigestService.releaseDeferred({
+          now: referenceDate,
+        }),
+        digests: await notificationDigestService.sendDueDigests({
+          now: referenceDate,
+        }),
+      };
+    },
+  });
+}
@@ -0,0 +1,86 @@
+// src/module/notifications/models/email-outbox.model.js
+
+import { Schema, model } from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const emailOutboxSchema = new Schema(
+  {
+    // Notificación que originó el correo
+    notification: {
+      type: Schema.Types.ObjectId,
+      ref: "Notification",
+      required: true,
+      index: true,
+    },
+
+    // Usuario destinatario
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+
+    // Contenido ya renderizado
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    html: String,
+    text: String,
+    template: String, // Plantilla usada (tipo de notificación)
+
+    // Estado de entrega
+    status: {
+      type: String,
+      enum: ["PENDIENTE", "ENVIANDO", "ENVIADO", "FALLIDO"],
+      default: "PENDIENTE",
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Primer envío + NOTIFICATION_MAX_RETRIES reintentos
+    maxAttempts: {
+      type: Number,
+      default: 4,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    sentAt: Date,
+    messageId: String,
+
+    // Respuesta del transporte (útil con jsonTransport en pruebas)
+    providerResponse: Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "email_outbox",
+  }
+);
+
+// Índices
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+// Query helpers
+emailOutboxSchema.query.due = function (now = new Date()) {
+  return this.where({ status: "PENDIENTE", nextAttemptAt: { $lte: now } });
+};
+
+// Plugin de paginación
+emailOutboxSchema.plugin(mongoosePaginate);
+
+export default model("EmailOutbox", emailOutboxSchema);
@@ -0,0 +1,149 @@
+// src/module/notifications/models/notification-preference.model.js
+
+import { Schema, model } from "mongoose";
+import { NOTIFICATION_TYPES } from "./notification.model.js";
+
+const HOUR_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Configuración de un tipo de notificación
+const typePreferenceSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    inApp: {
+      type: Boolean,
+      default: true,
+    },
+    email: {
+      type: Boolean,
+      default: false,
+    },
+    delivery: {
+      type: String,
+      enum: ["INSTANTANEO", "RESUMEN", "DESACTIVADO"],
+      default: "INSTANTANEO",
+    },
+  },
+  { _id: false }
+);
+
+// Contrato silenciado (sin fecha fin = indefinido)
+const mutedContractSchema = new Schema(
+  {
+    contract: {
+      type: Schema.Types.ObjectId,
+      ref: "Contract",
+      required: true,
+    },
+    until: Date,
+    mutedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+      unique: true,
+    },
+
+    // Canales por defecto para tipos sin configuración propia
+    defaults: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    // Configuración por tipo de notificación
+    types: [typePreferenceSchema],
+
+    // Contratos silenciados
+    mutedContracts: [mutedContractSchema],
+
+    // Horario de silencio: las notificaciones se retienen hasta que termine
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        match: HOUR_PATTERN,
+        default: "20:00",
+      },
+      end: {
+        type: String,
+        match: HOUR_PATTERN,
+        default: "07:00",
+      },
+      weekends: {
+        type: Boolean,
+        default: false, // Silenciar sábados y domingos completos
+      },
+    },
+
+    // Resumen de notificaciones agrupadas
+    digest: {
+      frequency: {
+        type: String,
+        enum: ["DIARIO", "SEMANAL"],
+        default: "DIARIO",
+      },
+      hour: {
+        type: String,
+        match: HOUR_PATTERN,
+        default: "08:00",
+      },
+      weekday: {
+        type: Number,
+        min: 0, // 0 = domingo
+        max: 6,
+        default: 1,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      lastSentAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "notification_preferences",
+  }
+);
+
+// Métodos de instancia
+notificationPreferenceSchema.methods.getTypePreference = function (type) {
+  return this.types.find((t) => t.type === type) || null;
+};
+
+notificationPreferenceSchema.methods.isContractMuted = function (
+  contractId,
+  now = new Date()
+) {
+  if (!contractId) return false;
+
+  return this.mutedContracts.some(
+    (m) =>
+      m.contract.toString() === contractId.toString() &&
+      (!m.until || m.until > now)
+  );
+};
+
+export default model("NotificationPreference", notificationPreferenceSchema);
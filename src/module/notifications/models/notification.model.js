@@ -3,6 +3,34 @@
 import { Schema, model } from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 
+export const NOTIFICATION_TYPES = [
+  // Fases de contratación
+  "DOCUMENTO_SUBIDO",
+  "DOCUMENTO_APROBADO",
+  "DOCUMENTO_RECHAZADO",
+  "FASE_COMPLETADA",
+  "FASE_INICIADA",
+
+  // Revisiones y aprobaciones
+  "PENDIENTE_REVISION",
+  "PENDIENTE_APROBACION",
+  "SOLICITUD_CORRECCION",
+
+  // Fechas límite
+  "FECHA_LIMITE_PROXIMA",
+  "FECHA_LIMITE_VENCIDA",
+
+  // Asignaciones
+  "ASIGNACION_NUEVA",
+  "REASIGNACION",
+
+  // Sistema
+  "MENSAJE_SISTEMA",
+  "ALERTA",
+  "RECORDATORIO",
+  "RESUMEN_NOTIFICACIONES",
+];
+
 const notificationSchema = new Schema(
   {
     // Usuario destinatario
@@ -23,32 +51,7 @@ const notificationSchema = new Schema(
     type: {
       type: String,
       required: true,
-      enum: [
-        // Fases de contratación
-        "DOCUMENTO_SUBIDO",
-        "DOCUMENTO_APROBADO",
-        "DOCUMENTO_RECHAZADO",
-        "FASE_COMPLETADA",
-        "FASE_INICIADA",
-
-        // Revisiones y aprobaciones
-        "PENDIENTE_REVISION",
-        "PENDIENTE_APROBACION",
-        "SOLICITUD_CORRECCION",
-
-        // Fechas límite
-        "FECHA_LIMITE_PROXIMA",
-        "FECHA_LIMITE_VENCIDA",
-
-        // Asignaciones
-        "ASIGNACION_NUEVA",
-        "REASIGNACION",
-
-        // Sistema
-        "MENSAJE_SISTEMA",
-        "ALERTA",
-        "RECORDATORIO",
-      ],
+      enum: NOTIFICATION_TYPES,
       index: true,
     },
 
@@ -105,6 +108,14 @@ const notificationSchema = new Schema(
       phaseName: String,
       documentName: String,
       dueDate: Date,
+      deadlineType: String, // 'questionsDeadline', 'submissionDeadline', 'executionEndDate', 'phaseEnd'
+      dedupKey: String, // Evita duplicar avisos generados por tareas programadas
+      digest: Schema.Types.Mixed, // Grupos por contrato y fase (RESUMEN_NOTIFICACIONES)
+      // Notificación original de un aviso de escalamiento
+      escalatedFrom: {
+        type: Schema.Types.ObjectId,
+        ref: "Notification",
+      },
     },
 
     // Estado de la notificación
@@ -120,6 +131,8 @@ const notificationSchema = new Schema(
         default: false,
       },
       archivedAt: Date,
+      // Acción atendida (detiene el escalamiento de notificaciones con actionRequired)
+      actionedAt: Date,
     },
 
     // Canal de entrega
@@ -133,6 +146,73 @@ const notificationSchema = new Schema(
         default: false,
       },
       emailSentAt: Date,
+      // Estado de entrega del correo (ver EmailOutbox)
+      emailStatus: {
+        type: String,
+        enum: ["PENDIENTE", "ENVIADO", "FALLIDO", "OMITIDO"],
+      },
+      emailAttempts: {
+        type: Number,
+        default: 0,
+      },
+      emailError: String,
+    },
+
+    // Forma de entrega según las preferencias del destinatario
+    delivery: {
+      mode: {
+        type: String,
+        enum: [
+          "INSTANTANEO", // Se envía al crearse
+          "RESUMEN", // Se agrupa en el resumen diario/semanal
+          "DIFERIDO", // Retenida por horario de silencio
+          "SILENCIADO", // Contrato silenciado: solo queda en la bandeja
+        ],
+        default: "INSTANTANEO",
+      },
+      releasedAt: Date, // Entrega de una notificación diferida
+      digestedAt: Date, // Inclusión en un resumen
+      digest: {
+        type: Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+    },
+
+    // Escalamiento de notificaciones no atendidas
+    escalation: {
+      level: {
+        type: Number,
+        default: 0,
+      },
+      lastEscalatedAt: Date,
+      exhausted: {
+        type: Boolean,
+        default: false, // Sin más departamentos superiores a quien escalar
+      },
+      chain: [
+        {
+          _id: false,
+          level: Number,
+          department: {
+            type: Schema.Types.ObjectId,
+            ref: "Department",
+          },
+          departmentName: String,
+          recipients: [
+            {
+              type: Schema.Types.ObjectId,
+              ref: "user",
+            },
+          ],
+          notifications: [
+            {
+              type: Schema.Types.ObjectId,
+              ref: "Notification",
+            },
+          ],
+          escalatedAt: Date,
+        },
+      ],
     },
 
     // Soft delete
@@ -153,6 +233,14 @@ notificationSchema.index({ recipient: 1, "status.read": 1, deletedAt: 1 });
 notificationSchema.index({ recipient: 1, type: 1, deletedAt: 1 });
 notificationSchema.index({ contract: 1, deletedAt: 1 });
 notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ recipient: 1, "metadata.dedupKey": 1 });
+notificationSchema.index({ "delivery.mode": 1, "delivery.digestedAt": 1 });
+notificationSchema.index({
+  "metadata.actionRequired": 1,
+  "status.read": 1,
+  "status.actionedAt": 1,
+  "escalation.exhausted": 1,
+});
 
 // Query helpers
 notificationSchema.query.unread = function () {
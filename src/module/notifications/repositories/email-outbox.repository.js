@@ -0,0 +1,137 @@
+// src/module/notifications/repositories/email-outbox.repository.js
+
+import EmailOutbox from "../models/email-outbox.model.js";
+import { BaseRepository } from "#src/module/core/base/repositories/base.repository.js";
+
+class EmailOutboxRepository extends BaseRepository {
+  constructor() {
+    super(EmailOutbox);
+  }
+
+  /**
+   * Encolar un correo para envío
+   */
+  async enqueue(data) {
+    return await this.model.create({
+      ...data,
+      status: "PENDIENTE",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+    });
+  }
+
+  /**
+   * Tomar un correo pendiente de forma atómica para enviarlo
+   * Evita que dos procesos envíen el mismo correo
+   */
+  async claim(outboxId) {
+    return await this.model.findOneAndUpdate(
+      {
+        _id: outboxId,
+        status: "PENDIENTE",
+        nextAttemptAt: { $lte: new Date() },
+      },
+      { $set: { status: "ENVIANDO" }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Tomar el siguiente correo vencido de la cola
+   */
+  async claimNextDue(now = new Date()) {
+    return await this.model.findOneAndUpdate(
+      { status: "PENDIENTE", nextAttemptAt: { $lte: now } },
+      { $set: { status: "ENVIANDO" }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Marcar como enviado
+   */
+  async markSent(outboxId, info = {}) {
+    return await this.model.findByIdAndUpdate(
+      outboxId,
+      {
+        $set: {
+          status: "ENVIADO",
+          sentAt: new Date(),
+          messageId: info.messageId,
+          providerResponse: info.providerResponse,
+          lastError: null,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Registrar un intento fallido
+   * Si quedan intentos vuelve a PENDIENTE con la próxima fecha de reintento
+   */
+  async markAttemptFailed(outbox, errorMessage, nextAttemptAt) {
+    const exhausted = outbox.attempts >= outbox.maxAttempts;
+
+    return await this.model.findByIdAndUpdate(
+      outbox._id,
+      {
+        $set: {
+          status: exhausted ? "FALLIDO" : "PENDIENTE",
+          lastError: errorMessage,
+          nextAttemptAt: exhausted ? outbox.nextAttemptAt : nextAttemptAt,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Recuperar los correos que quedaron en ENVIANDO (caída del proceso)
+   * Vuelven a la cola si les quedan intentos; si no, quedan FALLIDO
+   * @returns {Promise<Object>} { released, failed } - failed: registros fallidos
+   */
+  async releaseStuck(olderThanMinutes = 15) {
+    const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+    const stuck = { status: "ENVIANDO", updatedAt: { $lt: cutoff } };
+    const lastError = "El envío se interrumpió y no quedan intentos";
+
+    // El intento interrumpido ya se contó al tomar el correo
+    const failed = await this.model
+      .find({ ...stuck, $expr: { $gte: ["$attempts", "$maxAttempts"] } })
+      .select("notification attempts maxAttempts")
+      .lean();
+    if (failed.length > 0) {
+      await this.model.updateMany(
+        {
+          _id: { $in: failed.map((outbox) => outbox._id) },
+          status: "ENVIANDO",
+        },
+        { $set: { status: "FALLIDO", lastError } }
+      );
+    }
+
+    const released = await this.model.updateMany(
+      { ...stuck, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+      { $set: { status: "PENDIENTE", nextAttemptAt: new Date() } }
+    );
+
+    return {
+      released: released.modifiedCount || 0,
+      failed: failed.map((outbox) => ({ ...outbox, lastError })),
+    };
+  }
+
+  /**
+   * Contar correos por estado
+   */
+  async countByStatus() {
+    const rows = await this.model.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    return rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+  }
+}
+
+export default new EmailOutboxRepository();
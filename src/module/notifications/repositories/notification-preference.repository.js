@@ -0,0 +1,49 @@
+// src/module/notifications/repositories/notification-preference.repository.js
+
+import NotificationPreference from "../models/notification-preference.model.js";
+import { BaseRepository } from "#src/module/core/base/repositories/base.repository.js";
+
+class NotificationPreferenceRepository extends BaseRepository {
+  constructor() {
+    super(NotificationPreference);
+  }
+
+  /**
+   * Obtener las preferencias de un usuario
+   */
+  async findByUser(userId) {
+    return await this.model.findOne({ user: userId });
+  }
+
+  /**
+   * Obtener preferencias de varios usuarios indexadas por ID
+   */
+  async findByUsers(userIds = []) {
+    const preferences = await this.model.find({ user: { $in: userIds } });
+    return new Map(preferences.map((p) => [p.user.toString(), p]));
+  }
+
+  /**
+   * Crear o actualizar las preferencias de un usuario
+   */
+  async upsertByUser(userId, update) {
+    return await this.model.findOneAndUpdate({ user: userId }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+    });
+  }
+
+  /**
+   * Registrar el envío del resumen
+   */
+  async markDigestSent(userId, sentAt = new Date()) {
+    return await this.model.updateOne(
+      { user: userId },
+      { $set: { "digest.lastSentAt": sentAt } }
+    );
+  }
+}
+
+export default new NotificationPreferenceRepository();
@@ -1,13 +1,205 @@
 // src/module/notifications/repositories/notification.repository.js
 
 import Notification from "../models/notification.model.js";
-import BaseRepository from "../../../shared/repositories/base.repository.js";
+import { BaseRepository } from "#src/module/core/base/repositories/base.repository.js";
 
 class NotificationRepository extends BaseRepository {
   constructor() {
     super(Notification);
   }
 
+  /**
+   * Obtener destinatarios que ya recibieron una notificación con la clave dada
+   */
+  async findRecipientsWithDedupKey(dedupKey, recipients = []) {
+    const existing = await this.model
+      .find({
+        "metadata.dedupKey": dedupKey,
+        recipient: { $in: recipients },
+        deletedAt: null,
+      })
+      .select("recipient")
+      .lean();
+
+    return new Set(existing.map((n) => n.recipient.toString()));
+  }
+
+  /**
+   * Usuarios con notificaciones pendientes de incluir en un resumen
+   */
+  async findPendingDigestRecipients() {
+    return await this.model.distinct("recipient", {
+      "delivery.mode": "RESUMEN",
+      "delivery.digestedAt": null,
+      "status.read": false,
+      deletedAt: null,
+    });
+  }
+
+  /**
+   * Notificaciones no leídas pendientes de resumen de un usuario
+   */
+  async findPendingDigest(userId) {
+    return await this.model
+      .find({
+        recipient: userId,
+        "delivery.mode": "RESUMEN",
+        "delivery.digestedAt": null,
+        "status.read": false,
+        deletedAt: null,
+      })
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Marcar notificaciones como incluidas en un resumen
+   */
+  async markDigested(notificationIds, digestId) {
+    return await this.model.updateMany(
+      { _id: { $in: notificationIds } },
+      {
+        $set: {
+          "delivery.digestedAt": new Date(),
+          "delivery.digest": digestId,
+        },
+      }
+    );
+  }
+
+  /**
+   * Notificaciones retenidas por horario de silencio
+   */
+  async findDeferred() {
+    return await this.model
+      .find({
+        "delivery.mode": "DIFERIDO",
+        "delivery.releasedAt": null,
+        deletedAt: null,
+      })
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Marcar una notificación diferida como entregada
+   */
+  async markReleased(notificationId) {
+    return await this.model.updateOne(
+      { _id: notificationId },
+      { $set: { "delivery.releasedAt": new Date() } }
+    );
+  }
+
+  /**
+   * Notificaciones con acción requerida sin leer ni atender que aún pueden escalar
+   */
+  async findEscalationCandidates(since) {
+    return await this.model
+      .find({
+        "metadata.actionRequired": true,
+        "status.read": false,
+        "status.actionedAt": null,
+        "escalation.exhausted": { $ne: true },
+        contract: { $ne: null },
+        createdAt: { $gte: since },
+        deletedAt: null,
+      })
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Registrar un nivel de escalamiento en la notificación original
+   * El nivel esperado evita registrar dos veces el mismo escalamiento
+   */
+  async recordEscalation(notificationId, expectedLevel, entry) {
+    return await this.model.findOneAndUpdate(
+      {
+        _id: notificationId,
+        // Notificaciones anteriores al escalamiento no tienen el campo
+        "escalation.level":
+          expectedLevel === 0 ? { $in: [0, null] } : expectedLevel,
+      },
+      {
+        $set: {
+          "escalation.level": entry.level,
+          "escalation.lastEscalatedAt": entry.escalatedAt,
+        },
+        $push: { "escalation.chain": entry },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Marcar que la notificación no tiene más niveles de escalamiento
+   */
+  async markEscalationExhausted(notificationId) {
+    return await this.model.updateOne(
+      { _id: notificationId },
+      { $set: { "escalation.exhausted": true } }
+    );
+  }
+
+  /**
+   * Marcar como atendida una notificación con acción requerida
+   */
+  async markAsActioned(notificationId, userId) {
+    const notification = await this.model.findOneAndUpdate(
+      { _id: notificationId, recipient: userId, deletedAt: null },
+      {
+        $set: {
+          "status.actionedAt": new Date(),
+          "status.read": true,
+          "status.readAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!notification) {
+      throw new Error("Notificación no encontrada");
+    }
+
+    return notification;
+  }
+
+  /**
+   * Marcar como atendidas las notificaciones pendientes de un documento
+   * @param {Object} filter - documentId, type y opcionalmente recipient
+   * @returns {Promise<Array>} Notificaciones marcadas (_id, recipient)
+   */
+  async markDocumentActioned({ documentId, type, recipient = null }) {
+    const query = {
+      document: documentId,
+      type,
+      "metadata.actionRequired": true,
+      "status.actionedAt": null,
+      deletedAt: null,
+    };
+    if (recipient) query.recipient = recipient;
+
+    const pending = await this.model.find(query).select("recipient").lean();
+    if (pending.length === 0) return [];
+
+    const now = new Date();
+    await this.model.updateMany(
+      {
+        _id: { $in: pending.map((notification) => notification._id) },
+        "status.actionedAt": null,
+      },
+      {
+        $set: {
+          "status.actionedAt": now,
+          "status.read": true,
+          "status.readAt": now,
+        },
+      }
+    );
+
+    return pending;
+  }
+
   /**
    * Obtener notificaciones de un usuario con paginación
    */
@@ -0,0 +1,94 @@
+// =============================================================================
+// src/module/notifications/routes/notification.routes.js
+// Rutas de notificaciones del usuario autenticado
+// =============================================================================
+
+import { Router } from "express";
+import notificationController from "../controllers/notification.controller.js";
+import { auth } from "#src/middlewares/auth.js";
+
+const router = Router();
+
+// Todas las rutas operan sobre las notificaciones del usuario autenticado
+router.use(auth);
+
+// =============================================================================
+// BANDEJA DE NOTIFICACIONES
+// =============================================================================
+
+/**
+ * GET /notifications
+ * Query params: page, limit, unreadOnly, type, priority, contractId
+ */
+router.get("/", notificationController.getMyNotifications);
+
+/**
+ * GET /notifications/action-required
+ */
+router.get("/action-required", notificationController.getActionRequired);
+
+/**
+ * GET /notifications/unread-count
+ */
+router.get("/unread-count", notificationController.getUnreadCount);
+
+/**
+ * PATCH /notifications/bulk-read
+ * Body: notificationIds
+ */
+router.patch("/bulk-read", notificationController.markMultipleAsRead);
+
+/**
+ * PATCH /notifications/mark-all-read
+ */
+router.patch("/mark-all-read", notificationController.markAllAsRead);
+
+// =============================================================================
+// PREFERENCIAS Y RESUMEN
+// =============================================================================
+
+/**
+ * GET /notifications/preferences
+ */
+router.get("/preferences", notificationController.getPreferences);
+
+/**
+ * PUT /notifications/preferences
+ * Body: defaults, types, mutedContracts, quietHours, digest
+ */
+router.put("/preferences", notificationController.updatePreferences);
+
+/**
+ * POST /notifications/preferences/muted-contracts/:contractId
+ * Body: until (opcional)
+ */
+router.post(
+  "/preferences/muted-contracts/:contractId",
+  notificationController.muteContract
+);
+
+/**
+ * DELETE /notifications/preferences/muted-contracts/:contractId
+ */
+router.delete(
+  "/preferences/muted-contracts/:contractId",
+  notificationController.unmuteContract
+);
+
+/**
+ * GET /notifications/digest/preview
+ */
+router.get("/digest/preview", notificationController.previewDigest);
+
+/**
+ * PATCH /notifications/:id/read
+ */
+router.patch("/:id/read", notificationController.markAsRead);
+
+/**
+ * PATCH /notifications/:id/actioned
+ * Marca la acción requerida como atendida y detiene su escalamiento
+ */
+router.patch("/:id/actioned", notificationController.markAsActioned);
+
+export default router;
@@ -0,0 +1,335 @@
+// src/module/notifications/services/email.service.js
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+import Handlebars from "handlebars";
+import emailOutboxRepository from "../repositories/email-outbox.repository.js";
+import notificationRepository from "../repositories/notification.repository.js";
+import { ModelMongoose } from "#src/module/core/base/models/export.schema.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATES_DIR = path.join(__dirname, "../templates/email");
+const MINUTE_MS = 60 * 1000;
+
+class EmailService {
+  constructor() {
+    this.enabled = process.env.ENABLE_EMAIL_NOTIFICATIONS !== "false";
+    // "json" usa el jsonTransport de nodemailer (no envía, útil en pruebas)
+    this.transportType = (process.env.EMAIL_TRANSPORT || "smtp").toLowerCase();
+
+    this.from = {
+      name: process.env.EMAIL_FROM_NAME || "Expediente Digital",
+      address: process.env.EMAIL_FROM_ADDRESS || "noreply@esmeraldas.gob.ec",
+    };
+    this.portalUrl = (process.env.PORTAL_URL || "").replace(/\/$/, "");
+
+    // Reintentos: retrasos en minutos. NOTIFICATION_MAX_RETRIES cuenta los
+    // reintentos, sin el primer envío
+    const maxRetries = parseInt(process.env.NOTIFICATION_MAX_RETRIES);
+    this.retry = {
+      maxAttempts: (Number.isNaN(maxRetries) ? 3 : Math.max(maxRetries, 0)) + 1,
+      multiplier: parseFloat(process.env.NOTIFICATION_BACKOFF_MULTIPLIER) || 2,
+      initialDelay: parseInt(process.env.NOTIFICATION_INITIAL_DELAY) || 30,
+      maxDelay: parseInt(process.env.NOTIFICATION_MAX_DELAY) || 1440,
+    };
+
+    this.handlebars = Handlebars.create();
+    this._registerHelpers();
+    this.templateCache = new Map();
+    this.transporter = null;
+  }
+
+  // =============================================================================
+  // ENCOLADO Y ENVÍO
+  // =============================================================================
+
+  /**
+   * Encolar el correo de una notificación e intentar enviarlo de inmediato
+   * @param {Object} notification - Notificación (documento u objeto plano)
+   * @returns {Promise<Object|null>} Registro de la cola o null si se omitió
+   */
+  async queueNotificationEmail(notification) {
+    if (!this.enabled) {
+      await this._updateNotificationDelivery(notification._id, {
+        "channels.emailStatus": "OMITIDO",
+        "channels.emailError": "Notificaciones por correo deshabilitadas",
+      });
+      return null;
+    }
+
+    const recipient = await ModelMongoose.User.findById(notification.recipient)
+      .select("name last_name email")
+      .lean();
+
+    if (!recipient?.email) {
+      console.warn(
+        `⚠️ Email: Usuario ${notification.recipient} sin correo registrado`
+      );
+      await this._updateNotificationDelivery(notification._id, {
+        "channels.emailStatus": "OMITIDO",
+        "channels.emailError": "El destinatario no tiene correo registrado",
+      });
+      return null;
+    }
+
+    const rendered = this.renderNotification(notification, recipient);
+
+    const outbox = await emailOutboxRepository.enqueue({
+      notification: notification._id,
+      recipient: recipient._id,
+      to: recipient.email,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      template: rendered.template,
+      maxAttempts: this.retry.maxAttempts,
+    });
+
+    await this._updateNotificationDelivery(notification._id, {
+      "channels.emailStatus": "PENDIENTE",
+    });
+
+    return await this.deliver(outbox._id);
+  }
+
+  /**
+   * Enviar un correo de la cola
+   * Si otro proceso ya lo tomó o aún no corresponde reintentar, no hace nada
+   * @param {String} outboxId - ID del registro de la cola
+   */
+  async deliver(outboxId) {
+    const outbox = await emailOutboxRepository.claim(outboxId);
+    if (!outbox) return null;
+
+    return await this._send(outbox);
+  }
+
+  /**
+   * Procesar los correos pendientes cuyo reintento ya venció
+   * @param {Object} options - limit (máximo de correos por ejecución)
+   * @returns {Promise<Object>} Resumen del procesamiento
+   */
+  async processOutbox({ limit = 100 } = {}) {
+    const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+
+    const stuck = await emailOutboxRepository.releaseStuck();
+    summary.released = stuck.released;
+    for (const outbox of stuck.failed) {
+      summary.failed++;
+      await this._updateNotificationDelivery(outbox.notification, {
+        "channels.emailStatus": "FALLIDO",
+        "channels.emailAttempts": outbox.attempts,
+        "channels.emailError": outbox.lastError,
+      });
+    }
+
+    while (summary.processed < limit) {
+      const outbox = await emailOutboxRepository.claimNextDue();
+      if (!outbox) break;
+
+      summary.processed++;
+      const result = await this._send(outbox);
+
+      if (result.status === "ENVIADO") summary.sent++;
+      else if (result.status === "FALLIDO") summary.failed++;
+      else summary.retrying++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Verificar la conexión con el servidor de correo
+   */
+  async verifyConnection() {
+    return await this._getTransporter().verify();
+  }
+
+  // =============================================================================
+  // PLANTILLAS
+  // =============================================================================
+
+  /**
+   * Renderizar asunto, HTML y texto de una notificación
+   * Cada tipo de notificación tiene su plantilla (p. ej. documento_subido.hbs);
+   * si no existe se usa default.hbs
+   */
+  renderNotification(notification, recipient) {
+    const templateName = this._resolveTemplateName(notification.type);
+    const actionUrl = notification.metadata?.actionUrl
+      ? `${this.portalUrl}${notification.metadata.actionUrl}`
+      : null;
+
+    const context = {
+      recipientName: [recipient.name, recipient.last_name]
+        .filter(Boolean)
+        .join(" "),
+      title: notification.title,
+      message: notification.message,
+      priority: notification.priority,
+      isUrgent: ["alta", "urgente"].includes(notification.priority),
+      metadata: notification.metadata || {},
+      actionUrl,
+      portalUrl: this.portalUrl,
+      sentAt: new Date(),
+    };
+
+    const body = this._getTemplate(templateName)(context);
+    const html = this._getTemplate("layout")({ ...context, body });
+
+    return {
+      template: templateName,
+      subject: `[Expediente Digital] ${notification.title}`,
+      html,
+      text: this._buildPlainText(context),
+    };
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  async _send(outbox) {
+    try {
+      const info = await this._getTransporter().sendMail({
+        from: this.from,
+        to: outbox.to,
+        subject: outbox.subject,
+        html: outbox.html,
+        text: outbox.text,
+      });
+
+      const sent = await emailOutboxRepository.markSent(outbox._id, {
+        messageId: info.messageId,
+        providerResponse:
+          this.transportType === "json"
+            ? JSON.parse(info.message)
+            : info.response,
+      });
+
+      await this._updateNotificationDelivery(outbox.notification, {
+        "channels.emailStatus": "ENVIADO",
+        "channels.emailSentAt": sent.sentAt,
+        "channels.emailAttempts": outbox.attempts,
+        "channels.emailError": null,
+      });
+
+      console.log(`📧 Email: Enviado a ${outbox.to} (${outbox.template})`);
+      return sent;
+    } catch (error) {
+      const nextAttemptAt = new Date(
+        Date.now() + this._getRetryDelayMinutes(outbox.attempts) * MINUTE_MS
+      );
+      const updated = await emailOutboxRepository.markAttemptFailed(
+        outbox,
+        error.message,
+        nextAttemptAt
+      );
+
+      await this._updateNotificationDelivery(outbox.notification, {
+        "channels.emailStatus":
+          updated.status === "FALLIDO" ? "FALLIDO" : "PENDIENTE",
+        "channels.emailAttempts": outbox.attempts,
+        "channels.emailError": error.message,
+      });
+
+      console.error(
+        `❌ Email: Fallo enviando a ${outbox.to} (intento ${outbox.attempts}/${outbox.maxAttempts}): ${error.message}`
+      );
+      return updated;
+    }
+  }
+
+  /**
+   * Retraso exponencial: inicial * multiplicador^(intento-1), con tope
+   */
+  _getRetryDelayMinutes(attempt) {
+    const { initialDelay, multiplier, maxDelay } = this.retry;
+    return Math.min(
+      initialDelay * Math.pow(multiplier, Math.max(0, attempt - 1)),
+      maxDelay
+    );
+  }
+
+  _getTransporter() {
+    if (this.transporter) return this.transporter;
+
+    if (this.transportType === "json") {
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    } else {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+    }
+
+    return this.transporter;
+  }
+
+  _resolveTemplateName(type) {
+    const name = (type || "").toLowerCase();
+    return fs.existsSync(path.join(TEMPLATES_DIR, `${name}.hbs`))
+      ? name
+      : "default";
+  }
+
+  _getTemplate(name) {
+    if (!this.templateCache.has(name)) {
+      const source = fs.readFileSync(
+        path.join(TEMPLATES_DIR, `${name}.hbs`),
+        "utf8"
+      );
+      this.templateCache.set(name, this.handlebars.compile(source));
+    }
+    return this.templateCache.get(name);
+  }
+
+  _registerHelpers() {
+    this.handlebars.registerHelper("formatDate", (date) => {
+      if (!date) return "";
+      return new Date(date).toLocaleDateString("es-EC", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        timeZone: process.env.SCHEDULER_TIMEZONE || "America/Guayaquil",
+      });
+    });
+  }
+
+  _buildPlainText(context) {
+    return [
+      `Estimado/a ${context.recipientName || "usuario"}:`,
+      "",
+      context.title,
+      "",
+      context.message,
+      context.metadata.contractNumber
+        ? `Contrato: ${context.metadata.contractNumber}`
+        : null,
+      context.metadata.phaseName ? `Fase: ${context.metadata.phaseName}` : null,
+      context.actionUrl ? `\nIngrese al sistema: ${context.actionUrl}` : null,
+      "",
+      "Este es un mensaje automático del Expediente Digital - GADM Esmeraldas.",
+    ]
+      .filter((line) => line !== null)
+      .join("\n");
+  }
+
+  async _updateNotificationDelivery(notificationId, set) {
+    await notificationRepository.model.updateOne(
+      { _id: notificationId },
+      { $set: set }
+    );
+  }
+}
+
+export default new EmailService();
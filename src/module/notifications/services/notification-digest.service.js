@@ -0,0 +1,184 @@
+// src/module/notifications/services/notification-digest.service.js
+
+import notificationRepository from "../repositories/notification.repository.js";
+import notificationPreferenceRepository from "../repositories/notification-preference.repository.js";
+import notificationPreferenceService from "./notification-preference.service.js";
+import notificationService from "./notification.service.js";
+
+// Notificaciones listadas por fase dentro del resumen
+const ITEMS_PER_PHASE = 5;
+
+class NotificationDigestService {
+  /**
+   * Agrupar las notificaciones pendientes de resumen por contrato y fase
+   * @param {String} userId - ID del usuario
+   * @returns {Promise<Object>} { total, groups, notificationIds }
+   */
+  async buildDigest(userId) {
+    const pending = await notificationRepository.findPendingDigest(userId);
+    const contracts = new Map();
+
+    for (const notification of pending) {
+      const contractKey = notification.contract?.toString() || "sin-contrato";
+      if (!contracts.has(contractKey)) {
+        contracts.set(contractKey, {
+          contractId: notification.contract || null,
+          contractNumber: notification.metadata?.contractNumber || null,
+          total: 0,
+          phases: new Map(),
+        });
+      }
+
+      const contractGroup = contracts.get(contractKey);
+      contractGroup.total++;
+
+      const phaseKey = notification.phase?.toString() || "sin-fase";
+      if (!contractGroup.phases.has(phaseKey)) {
+        contractGroup.phases.set(phaseKey, {
+          phaseId: notification.phase || null,
+          phaseName: notification.metadata?.phaseName || null,
+          total: 0,
+          byType: {},
+          items: [],
+        });
+      }
+
+      const phaseGroup = contractGroup.phases.get(phaseKey);
+      phaseGroup.total++;
+      phaseGroup.byType[notification.type] =
+        (phaseGroup.byType[notification.type] || 0) + 1;
+
+      if (phaseGroup.items.length < ITEMS_PER_PHASE) {
+        phaseGroup.items.push({
+          notificationId: notification._id,
+          type: notification.type,
+          title: notification.title,
+          createdAt: notification.createdAt,
+        });
+      }
+    }
+
+    const groups = [...contracts.values()]
+      .map((group) => ({
+        ...group,
+        phases: [...group.phases.values()]
+          .map((phase) => ({
+            ...phase,
+            byType: Object.entries(phase.byType).map(([type, count]) => ({
+              type,
+              count,
+            })),
+            remaining: phase.total - phase.items.length,
+          }))
+          .sort((a, b) => b.total - a.total),
+      }))
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      total: pending.length,
+      groups,
+      notificationIds: pending.map((n) => n._id),
+    };
+  }
+
+  /**
+   * Enviar los resúmenes que correspondan a la fecha dada
+   * @param {Object} options - now (fecha de referencia)
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async sendDueDigests({ now = new Date() } = {}) {
+    const summary = { usersChecked: 0, digestsSent: 0, errors: [] };
+
+    const recipients =
+      await notificationRepository.findPendingDigestRecipients();
+    const preferences =
+      await notificationPreferenceService.loadPreferences(recipients);
+
+    for (const userId of recipients) {
+      summary.usersChecked++;
+      const preference = preferences.get(userId.toString());
+
+      if (!notificationPreferenceService.isDigestDue(preference, now)) {
+        continue;
+      }
+
+      try {
+        const digest = await this.sendDigest(userId, preference, now);
+        if (digest) summary.digestsSent++;
+      } catch (error) {
+        console.error(
+          `❌ Digest: Error enviando resumen a ${userId}: ${error.message}`
+        );
+        summary.errors.push({ userId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Crear la notificación de resumen de un usuario
+   * @returns {Promise<Object|null>} Notificación de resumen o null si no hay pendientes
+   */
+  async sendDigest(userId, preference, now = new Date()) {
+    const { total, groups, notificationIds } = await this.buildDigest(userId);
+    if (total === 0) return null;
+
+    const frequency = preference?.digest?.frequency || "DIARIO";
+    const period = frequency === "SEMANAL" ? "semanal" : "diario";
+
+    const digest = await notificationService.createNotification(
+      {
+        recipient: userId,
+        type: "RESUMEN_NOTIFICACIONES",
+        priority: "media",
+        title: `Resumen ${period}: ${total} notificaciones`,
+        message: `Tiene ${total} notificaciones sin leer en ${groups.length} ${
+          groups.length === 1 ? "expediente" : "expedientes"
+        }`,
+        metadata: {
+          actionUrl: "/notificaciones",
+          digest: { frequency, total, groups },
+        },
+        channels: {
+          inApp: true,
+          email: preference?.digest?.email !== false,
+        },
+      },
+      { bypassPreferences: true }
+    );
+
+    await notificationRepository.markDigested(notificationIds, digest._id);
+    await notificationPreferenceRepository.markDigestSent(userId, now);
+
+    console.log(`📬 Digest: Resumen de ${total} notificaciones para ${userId}`);
+    return digest;
+  }
+
+  /**
+   * Entregar las notificaciones retenidas cuyo horario de silencio terminó
+   * @param {Object} options - now (fecha de referencia)
+   */
+  async releaseDeferred({ now = new Date() } = {}) {
+    const deferred = await notificationRepository.findDeferred();
+    const preferences = await notificationPreferenceService.loadPreferences(
+      deferred.map((n) => n.recipient)
+    );
+
+    let released = 0;
+    for (const notification of deferred) {
+      const preference = preferences.get(notification.recipient.toString());
+      if (notificationPreferenceService.isInQuietHours(preference, now)) {
+        continue;
+      }
+
+      await notificationRepository.markReleased(notification._id);
+      notificationService.deliver(notification);
+      released++;
+    }
+
+    return { pending: deferred.length, released };
+  }
+}
+
+export default new NotificationDigestService();
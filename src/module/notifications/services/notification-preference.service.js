@@ -0,0 +1,347 @@
+// src/module/notifications/services/notification-preference.service.js
+
+import NotificationPreference from "../models/notification-preference.model.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+import notificationPreferenceRepository from "../repositories/notification-preference.repository.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
+
+const TYPE_DELIVERY_MODES = ["INSTANTANEO", "RESUMEN", "DESACTIVADO"];
+const DIGEST_FREQUENCIES = ["DIARIO", "SEMANAL"];
+const HOUR_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Prioridades que ignoran resumen y horario de silencio
+const BYPASS_PRIORITIES = ["urgente"];
+
+class NotificationPreferenceService {
+  constructor() {
+    this.timezone = process.env.SCHEDULER_TIMEZONE || "America/Guayaquil";
+  }
+
+  // =============================================================================
+  // CONSULTA Y ACTUALIZACIÓN
+  // =============================================================================
+
+  /**
+   * Obtener las preferencias de un usuario (valores por defecto si no tiene)
+   */
+  async getPreferences(userId) {
+    const preference =
+      (await notificationPreferenceRepository.findByUser(userId)) ||
+      new NotificationPreference({ user: userId });
+
+    return {
+      ...preference.toObject(),
+      availableTypes: NOTIFICATION_TYPES,
+      timezone: this.timezone,
+    };
+  }
+
+  /**
+   * Actualizar las preferencias de un usuario
+   * Solo se modifican las secciones enviadas
+   * @param {String} userId - ID del usuario
+   * @param {Object} data - defaults, types, mutedContracts, quietHours, digest
+   */
+  async updatePreferences(userId, data = {}) {
+    const set = {};
+
+    if (data.defaults) {
+      set.defaults = {
+        inApp: data.defaults.inApp !== false,
+        email: data.defaults.email !== false,
+      };
+    }
+
+    if (data.types !== undefined) {
+      set.types = this._validateTypes(data.types);
+    }
+
+    if (data.mutedContracts !== undefined) {
+      if (!Array.isArray(data.mutedContracts)) {
+        throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          "mutedContracts debe ser un arreglo",
+          400
+        );
+      }
+      set.mutedContracts = data.mutedContracts.map((m) => ({
+        contract: m.contract || m.contractId,
+        until: m.until ? new Date(m.until) : undefined,
+      }));
+    }
+
+    if (data.quietHours) {
+      this._validateHour(data.quietHours.start, "quietHours.start");
+      this._validateHour(data.quietHours.end, "quietHours.end");
+      for (const [key, value] of Object.entries(data.quietHours)) {
+        if (["enabled", "start", "end", "weekends"].includes(key)) {
+          set[`quietHours.${key}`] = value;
+        }
+      }
+    }
+
+    if (data.digest) {
+      const { frequency, hour, weekday, email } = data.digest;
+
+      if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+        throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Frecuencia de resumen inválida. Use: ${DIGEST_FREQUENCIES.join(", ")}`,
+          400
+        );
+      }
+      this._validateHour(hour, "digest.hour");
+
+      if (frequency !== undefined) set["digest.frequency"] = frequency;
+      if (hour !== undefined) set["digest.hour"] = hour;
+      if (weekday !== undefined) set["digest.weekday"] = weekday;
+      if (email !== undefined) set["digest.email"] = email;
+    }
+
+    if (Object.keys(set).length === 0) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "No se enviaron preferencias para actualizar",
+        400
+      );
+    }
+
+    try {
+      await notificationPreferenceRepository.upsertByUser(userId, {
+        $set: set,
+      });
+      return await this.getPreferences(userId);
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Preferencias inválidas: ${error.message}`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Silenciar un contrato (until opcional)
+   */
+  async muteContract(userId, contractId, until = null) {
+    await notificationPreferenceRepository.upsertByUser(userId, {
+      $pull: { mutedContracts: { contract: contractId } },
+    });
+    await notificationPreferenceRepository.upsertByUser(userId, {
+      $push: {
+        mutedContracts: {
+          contract: contractId,
+          until: until ? new Date(until) : undefined,
+          mutedAt: new Date(),
+        },
+      },
+    });
+
+    return await this.getPreferences(userId);
+  }
+
+  /**
+   * Quitar el silencio de un contrato
+   */
+  async unmuteContract(userId, contractId) {
+    await notificationPreferenceRepository.upsertByUser(userId, {
+      $pull: { mutedContracts: { contract: contractId } },
+    });
+
+    return await this.getPreferences(userId);
+  }
+
+  /**
+   * Cargar preferencias de varios destinatarios
+   */
+  async loadPreferences(userIds = []) {
+    const unique = [...new Set(userIds.map((id) => id.toString()))];
+    return await notificationPreferenceRepository.findByUsers(unique);
+  }
+
+  // =============================================================================
+  // RESOLUCIÓN DE ENTREGA
+  // =============================================================================
+
+  /**
+   * Decidir canales y forma de entrega de una notificación
+   * @param {Object|null} preference - Preferencias del destinatario
+   * @param {Object} data - Datos de la notificación
+   * @param {Date} now - Fecha de referencia
+   * @returns {Object|null} { channels, mode } o null si el usuario desactivó el tipo
+   */
+  resolveDelivery(preference, data, now = new Date()) {
+    const requested = {
+      inApp: data.channels?.inApp !== false,
+      email: data.channels?.email === true,
+    };
+
+    if (!preference) {
+      return { channels: requested, mode: "INSTANTANEO" };
+    }
+
+    const typePreference = preference.getTypePreference(data.type);
+    if (typePreference?.delivery === "DESACTIVADO") {
+      return null;
+    }
+
+    const channels = typePreference
+      ? { inApp: typePreference.inApp, email: typePreference.email }
+      : {
+          inApp: requested.inApp && preference.defaults.inApp,
+          email: requested.email && preference.defaults.email,
+        };
+
+    if (!channels.inApp && !channels.email) {
+      return null;
+    }
+
+    let mode = "INSTANTANEO";
+    if (preference.isContractMuted(data.contract, now)) {
+      mode = "SILENCIADO";
+    } else if (!BYPASS_PRIORITIES.includes(data.priority)) {
+      if (typePreference?.delivery === "RESUMEN") {
+        mode = "RESUMEN";
+      } else if (this.isInQuietHours(preference, now)) {
+        mode = "DIFERIDO";
+      }
+    }
+
+    return { channels, mode };
+  }
+
+  /**
+   * Verificar si la fecha cae en el horario de silencio del usuario
+   */
+  isInQuietHours(preference, now = new Date()) {
+    const quietHours = preference?.quietHours;
+    if (!quietHours?.enabled) return false;
+
+    const clock = this._getLocalClock(now);
+    if (quietHours.weekends && [0, 6].includes(clock.weekday)) {
+      return true;
+    }
+
+    const start = this._toMinutes(quietHours.start);
+    const end = this._toMinutes(quietHours.end);
+    if (start === end) return false;
+
+    // El horario puede cruzar la medianoche (p. ej. 20:00 - 07:00)
+    return start < end
+      ? clock.minutes >= start && clock.minutes < end
+      : clock.minutes >= start || clock.minutes < end;
+  }
+
+  /**
+   * Verificar si corresponde enviar el resumen al usuario
+   */
+  isDigestDue(preference, now = new Date()) {
+    const digest = preference?.digest;
+    if (!digest) return false;
+
+    const clock = this._getLocalClock(now);
+    if (clock.minutes < this._toMinutes(digest.hour)) return false;
+    if (digest.frequency === "SEMANAL" && clock.weekday !== digest.weekday) {
+      return false;
+    }
+
+    // Un resumen por día de envío
+    return (
+      !digest.lastSentAt ||
+      this._getLocalClock(digest.lastSentAt).dateKey !== clock.dateKey
+    );
+  }
+
+  // =============================================================================
+  // MÉTODOS AUXILIARES PRIVADOS
+  // =============================================================================
+
+  _validateTypes(types) {
+    if (!Array.isArray(types)) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "types debe ser un arreglo",
+        400
+      );
+    }
+
+    const seen = new Set();
+    return types.map((entry) => {
+      if (!NOTIFICATION_TYPES.includes(entry.type)) {
+        throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Tipo de notificación inválido: ${entry.type}`,
+          400
+        );
+      }
+      if (seen.has(entry.type)) {
+        throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Tipo de notificación repetido: ${entry.type}`,
+          400
+        );
+      }
+      seen.add(entry.type);
+
+      const delivery = entry.delivery || "INSTANTANEO";
+      if (!TYPE_DELIVERY_MODES.includes(delivery)) {
+        throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Modo de entrega inválido para ${entry.type}. Use: ${TYPE_DELIVERY_MODES.join(", ")}`,
+          400
+        );
+      }
+
+      return {
+        type: entry.type,
+        inApp: entry.inApp !== false,
+        email: entry.email === true,
+        delivery,
+      };
+    });
+  }
+
+  _validateHour(value, field) {
+    if (value !== undefined && !HOUR_PATTERN.test(value)) {
+      throw createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `${field} debe tener el formato HH:mm`,
+        400
+      );
+    }
+  }
+
+  _toMinutes(hour = "00:00") {
+    const [h, m] = hour.split(":").map(Number);
+    return h * 60 + m;
+  }
+
+  /**
+   * Hora local (zona del sistema) de una fecha
+   */
+  _getLocalClock(date) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: this.timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        weekday: "short",
+        hour12: false,
+      })
+        .formatToParts(new Date(date))
+        .map((p) => [p.type, p.value])
+    );
+
+    const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    return {
+      minutes: (parseInt(parts.hour) % 24) * 60 + parseInt(parts.minute),
+      weekday: weekdays.indexOf(parts.weekday),
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    };
+  }
+}
+
+export default new NotificationPreferenceService();
@@ -2,46 +2,52 @@
 
 import notificationRepository from "../repositories/notification.repository.js";
 import NotificationEvents from "../events/notification.events.js";
-import { createError, ERROR_CODES } from "../../../utils/error.util.js";
+import notificationPreferenceService from "./notification-preference.service.js";
+import { createError, ERROR_CODES } from "#utils/error.util.js";
 
 class NotificationService {
   /**
    * Crear una nueva notificación
+   * Las preferencias del destinatario definen canales y forma de entrega
+   * @param {Object} data - Datos de la notificación
+   * @param {Object} options - bypassPreferences (ignorar preferencias, p. ej. resúmenes)
+   * @returns {Promise<Object|null>} Notificación o null si el usuario desactivó el tipo
    */
-  async createNotification(data) {
+  async createNotification(data, options = {}) {
     try {
       // Validar datos requeridos
       if (!data.recipient || !data.type || !data.title || !data.message) {
         throw createError(
+          ERROR_CODES.VALIDATION_ERROR,
           "Datos de notificación incompletos",
-          400,
-          ERROR_CODES.VALIDATION_ERROR
+          400
         );
       }
 
-      // Crear notificación en BD
-      const notification = await notificationRepository.create(data);
+      let payload = { ...data, delivery: { mode: "INSTANTANEO" } };
+      if (!options.bypassPreferences) {
+        const preferences = await notificationPreferenceService.loadPreferences(
+          [data.recipient]
+        );
+        payload = this._applyPreferences(data, preferences);
+        if (!payload) return null;
+      }
 
-      // Emitir evento para WebSocket
-      NotificationEvents.emit("notification:created", {
-        recipientId: notification.recipient.toString(),
-        notification: notification.toObject(),
+      // Crear notificación en BD (las del sistema no tienen remitente)
+      const notification = await notificationRepository.create(payload, {
+        userId: data.sender,
       });
 
-      // Si requiere email, emitir evento
-      if (data.channels?.email) {
-        NotificationEvents.emit("notification:sendEmail", {
-          recipientId: notification.recipient.toString(),
-          notification: notification.toObject(),
-        });
+      if (notification.delivery?.mode === "INSTANTANEO") {
+        this.deliver(notification);
       }
 
       return notification;
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error creando notificación: ${error.message}`,
-        error.statusCode || 500,
-        ERROR_CODES.DATABASE_ERROR
+        error.statusCode || 500
       );
     }
   }
@@ -51,26 +57,52 @@ class NotificationService {
    */
   async createBulkNotifications(notifications) {
     try {
-      const created = await notificationRepository.createMany(notifications);
+      const preferences = await notificationPreferenceService.loadPreferences(
+        notifications.map((n) => n.recipient)
+      );
+      const payloads = notifications
+        .map((data) => this._applyPreferences(data, preferences))
+        .filter(Boolean);
 
-      // Emitir eventos para cada notificación
-      created.forEach((notification) => {
-        NotificationEvents.emit("notification:created", {
-          recipientId: notification.recipient.toString(),
-          notification: notification.toObject(),
-        });
-      });
+      if (payloads.length === 0) {
+        return [];
+      }
+
+      const created = await notificationRepository.createMany(payloads);
+
+      // Emitir eventos para cada notificación de entrega inmediata
+      created
+        .filter((n) => n.delivery?.mode === "INSTANTANEO")
+        .forEach((notification) => this.deliver(notification));
 
       return created;
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error creando notificaciones en lote: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
 
+  /**
+   * Entregar una notificación por sus canales (WebSocket y email)
+   */
+  deliver(notification) {
+    const payload = {
+      recipientId: notification.recipient.toString(),
+      notification: notification.toObject(),
+    };
+
+    if (notification.channels?.inApp !== false) {
+      NotificationEvents.emit("notification:created", payload);
+    }
+
+    if (notification.channels?.email) {
+      NotificationEvents.emit("notification:sendEmail", payload);
+    }
+  }
+
   /**
    * Obtener notificaciones de un usuario
    */
@@ -79,9 +111,9 @@ class NotificationService {
       return await notificationRepository.findByRecipient(userId, options);
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error obteniendo notificaciones: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
@@ -94,9 +126,9 @@ class NotificationService {
       return await notificationRepository.findActionRequired(userId, options);
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error obteniendo notificaciones de acción: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
@@ -109,9 +141,9 @@ class NotificationService {
       return await notificationRepository.countUnread(userId);
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error contando notificaciones: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
@@ -135,9 +167,67 @@ class NotificationService {
       return notification;
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error marcando como leída: ${error.message}`,
-        error.statusCode || 500,
-        ERROR_CODES.DATABASE_ERROR
+        error.statusCode || 500
+      );
+    }
+  }
+
+  /**
+   * Marcar como atendida una notificación con acción requerida
+   * Detiene su escalamiento
+   */
+  async markAsActioned(notificationId, userId) {
+    try {
+      const notification = await notificationRepository.markAsActioned(
+        notificationId,
+        userId
+      );
+
+      NotificationEvents.emit("notification:read", {
+        recipientId: userId.toString(),
+        notificationId: notificationId.toString(),
+      });
+
+      return notification;
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.DATABASE_ERROR,
+        `Error marcando como atendida: ${error.message}`,
+        error.statusCode || 500
+      );
+    }
+  }
+
+  /**
+   * Marcar como atendidas las solicitudes de revisión de un documento
+   * (DOCUMENTO_SUBIDO), para que dejen de escalar
+   * @param {String} documentId - ID del archivo revisado
+   * @param {String} recipient - Solo la de este revisor (opcional)
+   * @returns {Promise<Number>} Notificaciones marcadas
+   */
+  async markDocumentReviewActioned(documentId, recipient = null) {
+    try {
+      const actioned = await notificationRepository.markDocumentActioned({
+        documentId,
+        type: "DOCUMENTO_SUBIDO",
+        recipient,
+      });
+
+      for (const notification of actioned) {
+        NotificationEvents.emit("notification:read", {
+          recipientId: notification.recipient.toString(),
+          notificationId: notification._id.toString(),
+        });
+      }
+
+      return actioned.length;
+    } catch (error) {
+      throw createError(
+        ERROR_CODES.DATABASE_ERROR,
+        `Error marcando revisión como atendida: ${error.message}`,
+        error.statusCode || 500
       );
     }
   }
@@ -161,9 +251,9 @@ class NotificationService {
       return result;
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error marcando múltiples como leídas: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
@@ -182,9 +272,9 @@ class NotificationService {
       return result;
     } catch (error) {
       throw createError(
+        ERROR_CODES.DATABASE_ERROR,
         `Error marcando todas como leídas: ${error.message}`,
-        500,
-        ERROR_CODES.DATABASE_ERROR
+        500
       );
     }
   }
@@ -345,16 +435,33 @@ class NotificationService {
 
   /**
    * Notificar fecha límite próxima
+   * Si se envía dedupKey, no se repite el aviso a quien ya lo recibió
    */
   async notifyDeadlineApproaching(data) {
-    const { contractId, phaseId, responsibles, dueDate, daysRemaining } = data;
+    const { contractId, phaseId, dueDate, daysRemaining, dedupKey } = data;
+
+    const responsibles = await this._excludeAlreadyNotified(
+      data.responsibles,
+      dedupKey
+    );
+    if (responsibles.length === 0) {
+      return [];
+    }
+
+    const dueDateLabel = new Date(dueDate).toLocaleDateString("es-EC");
+    const subject = data.deadlineLabel
+      ? `${data.deadlineLabel} del contrato ${data.contractNumber}`
+      : `La fase ${data.phaseName}`;
 
     const notifications = responsibles.map((userId) => ({
       recipient: userId,
       type: "FECHA_LIMITE_PROXIMA",
       priority: daysRemaining <= 2 ? "urgente" : "alta",
-      title: `Fecha límite en ${daysRemaining} días`,
-      message: `La fase ${data.phaseName} vence el ${new Date(dueDate).toLocaleDateString()}`,
+      title:
+        daysRemaining === 0
+          ? "Fecha límite hoy"
+          : `Fecha límite en ${daysRemaining} días`,
+      message: `${subject} vence el ${dueDateLabel}`,
       contract: contractId,
       phase: phaseId,
       metadata: {
@@ -362,7 +469,11 @@ class NotificationService {
         contractNumber: data.contractNumber,
         phaseName: data.phaseName,
         dueDate,
-        actionUrl: `/expedientes/${contractId}/fases/${phaseId}`,
+        deadlineType: data.deadlineType,
+        dedupKey,
+        actionUrl: phaseId
+          ? `/expedientes/${contractId}/fases/${phaseId}`
+          : `/expedientes/${contractId}`,
       },
       channels: {
         inApp: true,
@@ -372,6 +483,98 @@ class NotificationService {
 
     return await this.createBulkNotifications(notifications);
   }
+
+  /**
+   * Notificar fecha límite vencida
+   */
+  async notifyDeadlineOverdue(data) {
+    const { contractId, phaseId, dueDate, daysOverdue, dedupKey } = data;
+
+    const responsibles = await this._excludeAlreadyNotified(
+      data.responsibles,
+      dedupKey
+    );
+    if (responsibles.length === 0) {
+      return [];
+    }
+
+    const dueDateLabel = new Date(dueDate).toLocaleDateString("es-EC");
+    const subject = data.deadlineLabel
+      ? `${data.deadlineLabel} del contrato ${data.contractNumber}`
+      : `La fase ${data.phaseName}`;
+
+    const notifications = responsibles.map((userId) => ({
+      recipient: userId,
+      type: "FECHA_LIMITE_VENCIDA",
+      priority: "urgente",
+      title: `Fecha límite vencida hace ${daysOverdue} días`,
+      message: `${subject} venció el ${dueDateLabel}`,
+      contract: contractId,
+      phase: phaseId,
+      metadata: {
+        actionRequired: true,
+        contractNumber: data.contractNumber,
+        phaseName: data.phaseName,
+        dueDate,
+        deadlineType: data.deadlineType,
+        dedupKey,
+        actionUrl: phaseId
+          ? `/expedientes/${contractId}/fases/${phaseId}`
+          : `/expedientes/${contractId}`,
+      },
+      channels: {
+        inApp: true,
+        email: true,
+      },
+    }));
+
+    return await this.createBulkNotifications(notifications);
+  }
+
+  /**
+   * Aplicar las preferencias del destinatario a los datos de la notificación
+   * @returns {Object|null} Datos con canales y entrega, o null si se descarta
+   */
+  _applyPreferences(data, preferences) {
+    const resolved = notificationPreferenceService.resolveDelivery(
+      preferences.get(data.recipient.toString()) || null,
+      data
+    );
+
+    if (!resolved) {
+      console.log(
+        `🔕 Notificación ${data.type} descartada por preferencias del usuario ${data.recipient}`
+      );
+      return null;
+    }
+
+    return {
+      ...data,
+      channels: { ...data.channels, ...resolved.channels },
+      delivery: { mode: resolved.mode },
+    };
+  }
+
+  /**
+   * Quitar destinatarios repetidos o que ya recibieron el aviso (dedupKey)
+   */
+  async _excludeAlreadyNotified(responsibles = [], dedupKey) {
+    const unique = [
+      ...new Set(responsibles.filter(Boolean).map((id) => id.toString())),
+    ];
+
+    if (!dedupKey || unique.length === 0) {
+      return unique;
+    }
+
+    const alreadyNotified =
+      await notificationRepository.findRecipientsWithDedupKey(
+        dedupKey,
+        unique
+      );
+
+    return unique.filter((userId) => !alreadyNotified.has(userId));
+  }
 }
 
 export default new NotificationService();
@@ -99,12 +99,7 @@ function setupNotificationListeners() {
     io.to(`user:${recipientId}`).emit("notifications:allRead");
   });
 
-  // Envío de email (puede ser manejado por otro servicio)
-  NotificationEvents.on("notification:sendEmail", async (data) => {
-    // Aquí puedes integrar con tu servicio de email
-    console.log(`📧 Enviar email a usuario ${data.recipientId}`);
-    // await emailService.send(...)
-  });
+  // El envío de correos lo maneja events/email.listener.js
 }
 
 /**
@@ -0,0 +1,88 @@
+// =============================================================================
+// tests/config/s3.driver.test.js
+// Driver S3: subida de archivos locales en streaming
+// =============================================================================
+
+import http from "http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { S3StorageDriver } from "../../src/config/storage/s3.driver.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+describe("S3StorageDriver - put", () => {
+  let server;
+  let received;
+  let driver;
+  let tempDir;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        received = {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks),
+        };
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "s3-driver-"));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received = null;
+    driver = new S3StorageDriver();
+    Object.assign(driver.config, {
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      bucket: "expedientes",
+      accessKeyId: "test",
+      secretAccessKey: "secreto",
+    });
+  });
+
+  test("envía un archivo local en streaming sin firmar el contenido", async () => {
+    const content = crypto.randomBytes(256 * 1024);
+    const filePath = path.join(tempDir, "contrato.pdf");
+    await fs.writeFile(filePath, content);
+
+    const result = await driver.put("2025/contrato.pdf", filePath, {
+      contentType: "application/pdf",
+    });
+
+    expect(received.method).toBe("PUT");
+    expect(received.url).toBe("/expedientes/2025/contrato.pdf");
+    expect(received.headers["x-amz-content-sha256"]).toBe("UNSIGNED-PAYLOAD");
+    expect(received.headers["content-length"]).toBe(String(content.length));
+    expect(received.headers["transfer-encoding"]).toBeUndefined();
+    expect(received.body.equals(content)).toBe(true);
+
+    expect(result).toMatchObject({
+      provider: "S3",
+      key: "2025/contrato.pdf",
+      size: content.length,
+      hash: sha256(content),
+    });
+  });
+
+  test("los buffers se firman con el hash del contenido", async () => {
+    const content = Buffer.from("miniatura");
+
+    const result = await driver.put("thumbs/a.png", content);
+
+    expect(received.headers["x-amz-content-sha256"]).toBe(sha256(content));
+    expect(result.hash).toBe(sha256(content));
+  });
+});
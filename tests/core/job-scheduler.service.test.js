@@ -0,0 +1,72 @@
+// =============================================================================
+// tests/core/job-scheduler.service.test.js
+// Ejecución de tareas programadas y su marca de ejecución en curso
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { JobSchedulerService } from "../../src/module/core/scheduler/services/job-scheduler.service.js";
+
+function createScheduler(jobRunRepository = {}) {
+  const scheduler = new JobSchedulerService();
+  scheduler.jobRunRepository = {
+    startRun: jest.fn(async (name) => ({ _id: `${name}-run` })),
+    finishRun: jest.fn(async (id, data) => ({ _id: id, ...data })),
+    ...jobRunRepository,
+  };
+  return scheduler;
+}
+
+describe("JobSchedulerService.runJob", () => {
+  test("no permite ejecuciones superpuestas de la misma tarea", async () => {
+    const scheduler = createScheduler();
+    let release;
+    scheduler.registerJob({
+      name: "lenta",
+      schedule: "0 * * * *",
+      handler: () => new Promise((resolve) => (release = resolve)),
+    });
+
+    const first = scheduler.runJob("lenta");
+    await expect(scheduler.runJob("lenta")).rejects.toMatchObject({
+      statusCode: 409,
+    });
+
+    await Promise.resolve();
+    release({ ok: true });
+    await expect(first).resolves.toMatchObject({ status: "SUCCESS" });
+    expect(scheduler.jobs.get("lenta").running).toBe(false);
+  });
+
+  test("libera la tarea si no se pudo registrar la ejecución", async () => {
+    const scheduler = createScheduler({
+      startRun: jest.fn(async () => {
+        throw new Error("MongoDB no disponible");
+      }),
+    });
+    const handler = jest.fn();
+    scheduler.registerJob({ name: "diaria", schedule: "0 6 * * *", handler });
+
+    await expect(scheduler.runJob("diaria")).rejects.toThrow(
+      "MongoDB no disponible"
+    );
+    expect(handler).not.toHaveBeenCalled();
+    expect(scheduler.jobs.get("diaria").running).toBe(false);
+  });
+
+  test("registra el fallo de la tarea en su historial", async () => {
+    const scheduler = createScheduler();
+    scheduler.registerJob({
+      name: "falla",
+      schedule: "0 6 * * *",
+      handler: async () => {
+        throw new Error("sin datos");
+      },
+    });
+
+    const run = await scheduler.runJob("falla");
+
+    expect(run.status).toBe("FAILED");
+    expect(run.error.message).toBe("sin datos");
+    expect(scheduler.jobs.get("falla").running).toBe(false);
+  });
+});
@@ -0,0 +1,247 @@
+// =============================================================================
+// tests/exp-digital/chunked-upload.service.test.js
+// Subida por partes: ensamblado, verificación y registro del archivo
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Types } from "mongoose";
+import { ChunkedUploadService } from "../../src/module/exp-digital/services/chunked-upload.service.js";
+import { tempFileService } from "../../src/module/exp-digital/services/temp-file.service.js";
+import {
+  UploadSession,
+  UPLOAD_SESSION_STATUS,
+} from "../../src/module/exp-digital/models/upload-session.scheme.js";
+import { File } from "../../src/module/exp-digital/models/file.scheme.js";
+import { getStorageDriver } from "../../src/config/storage/storage.drivers.js";
+
+const USER = {
+  userId: new Types.ObjectId().toString(),
+  ipAddress: "10.0.0.8",
+  userAgent: "jest",
+};
+const CONTRACT_ID = new Types.ObjectId().toString();
+const PHASE_ID = new Types.ObjectId().toString();
+const DEPARTMENT_ID = new Types.ObjectId().toString();
+const CHUNK_SIZE = 64 * 1024;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * Repositorio de sesiones en memoria con los mismos filtros atómicos
+ */
+function createSessionRepository() {
+  const sessions = new Map();
+  const matches = (session, statuses) =>
+    session && statuses.includes(session.status);
+  // Copia superficial: structuredClone no conserva los ObjectId
+  const copy = (session) => session && { ...session };
+
+  return {
+    sessions,
+    createSession: async (data) => {
+      const document = new UploadSession(data);
+      await document.validate();
+      const session = document.toObject();
+      sessions.set(String(session._id), session);
+      return copy(session);
+    },
+    findSession: async (id) => copy(sessions.get(String(id))),
+    advanceOffset: async (id, { from, to, expiresAt }) => {
+      const session = sessions.get(String(id));
+      if (
+        !matches(session, [UPLOAD_SESSION_STATUS.ACTIVE]) ||
+        session.receivedBytes !== from
+      ) {
+        return null;
+      }
+      Object.assign(session, { receivedBytes: to, expiresAt });
+      return copy(session);
+    },
+    transition: async (id, fromStatus, update) => {
+      const session = sessions.get(String(id));
+      const statuses = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+      if (!matches(session, statuses)) return null;
+      Object.assign(session, update);
+      return copy(session);
+    },
+  };
+}
+
+async function uploadInChunks(service, content, metadata = {}) {
+  const session = await service.initSession(
+    {
+      originalName: "pliegos-escaneados.zip",
+      mimeType: "application/zip",
+      size: content.length,
+      contractId: CONTRACT_ID,
+      phaseId: PHASE_ID,
+      documentType: "pliegos",
+      ...metadata,
+    },
+    USER
+  );
+
+  for (let start = 0; start < content.length; start += CHUNK_SIZE) {
+    const buffer = content.subarray(start, start + CHUNK_SIZE);
+    await service.writeChunk(
+      session.uploadId.toString(),
+      {
+        buffer,
+        contentRange: `bytes ${start}-${start + buffer.length - 1}/${content.length}`,
+      },
+      USER
+    );
+  }
+
+  return session.uploadId.toString();
+}
+
+describe("ChunkedUploadService - ensamblado y registro", () => {
+  let tempDir;
+  let localDriver;
+  let originalBasePath;
+
+  beforeAll(async () => {
+    await tempFileService.ready;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "chunked-upload-"));
+
+    localDriver = getStorageDriver("LOCAL");
+    originalBasePath = localDriver.config.basePath;
+    localDriver.config.basePath = path.join(tempDir, "storage");
+  });
+
+  afterAll(async () => {
+    localDriver.config.basePath = originalBasePath;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  let service;
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    // Validación real del esquema File sin MongoDB
+    jest.spyOn(File.prototype, "save").mockImplementation(async function () {
+      await this.validate();
+      saved.push(this);
+      return this;
+    });
+
+    service = new ChunkedUploadService();
+    service.config.chunkSize = CHUNK_SIZE;
+    service.config.tempDir = path.join(tempDir, "uploads");
+    service.uploadSessionRepository = createSessionRepository();
+
+    const { fileService } = service;
+    fileService.storageService.resolveProvider = async () => "LOCAL";
+    fileService.storageService.blobRepository = {
+      acquire: async () => ({
+        _id: new Types.ObjectId(),
+        copies: [],
+        refCount: 1,
+      }),
+      recordCopy: async () => ({}),
+    };
+    fileService.documentSearchService = {
+      enqueueFile: jest.fn(async () => {}),
+    };
+    fileService._populateFileData = async (file) => file;
+    fileService.contractRepository = {
+      model: {
+        findById: () => ({
+          select: () => ({
+            lean: async () => ({ requestingDepartment: DEPARTMENT_ID }),
+          }),
+        }),
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("ensambla las partes y registra un archivo válido del expediente", async () => {
+    const content = crypto.randomBytes(3 * CHUNK_SIZE - 1000);
+    const uploadId = await uploadInChunks(service, content);
+
+    const { session, file } = await service.completeSession(
+      uploadId,
+      { checksum: sha256(content) },
+      USER
+    );
+
+    expect(session.status).toBe(UPLOAD_SESSION_STATUS.COMPLETED);
+    expect(saved).toHaveLength(1);
+    expect(file).toBe(saved[0]);
+    expect(file.toObject()).toMatchObject({
+      module: "DIGITAL_RECORD",
+      documentType: "PLIEGOS",
+      originalName: "pliegos-escaneados.zip",
+      status: "DRAFT",
+      fileInfo: {
+        fileType: "zip",
+        mimeType: "application/zip",
+        size: content.length,
+        hash: sha256(content),
+      },
+      audit: { ipAddress: USER.ipAddress, userAgent: USER.userAgent },
+    });
+    expect(String(file.department)).toBe(DEPARTMENT_ID);
+    expect(String(file.contract)).toBe(CONTRACT_ID);
+    expect(String(file.phase)).toBe(PHASE_ID);
+    expect(String(file.audit.uploadedBy)).toBe(USER.userId);
+    expect(String(file.createdBy)).toBe(USER.userId);
+
+    // Contenido guardado por el driver y temporal de la sesión eliminado
+    const stored = await fs.readFile(file.storage.path);
+    expect(stored.equals(content)).toBe(true);
+    const sessionData = service.uploadSessionRepository.sessions.get(uploadId);
+    await expect(fs.access(sessionData.tempPath)).rejects.toThrow();
+    expect(
+      service.fileService.documentSearchService.enqueueFile
+    ).toHaveBeenCalledWith(file);
+  });
+
+  test("sin departamento conserva la sesión para reintentar", async () => {
+    const content = crypto.randomBytes(CHUNK_SIZE / 2);
+    const uploadId = await uploadInChunks(service, content, {
+      contractId: undefined,
+      phaseId: undefined,
+    });
+
+    await expect(
+      service.completeSession(uploadId, { checksum: sha256(content) }, USER)
+    ).rejects.toMatchObject({
+      message: expect.stringContaining("departamento"),
+    });
+
+    const sessionData = service.uploadSessionRepository.sessions.get(uploadId);
+    expect(sessionData.status).toBe(UPLOAD_SESSION_STATUS.ACTIVE);
+    await expect(fs.access(sessionData.tempPath)).resolves.toBeUndefined();
+    expect(saved).toHaveLength(0);
+  });
+
+  test("rechaza con 422 un contenido que no coincide con el checksum", async () => {
+    const content = crypto.randomBytes(CHUNK_SIZE);
+    const uploadId = await uploadInChunks(service, content, {
+      departmentId: DEPARTMENT_ID,
+    });
+
+    await expect(
+      service.completeSession(
+        uploadId,
+        { checksum: sha256(Buffer.from("otro")) },
+        USER
+      )
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(service.uploadSessionRepository.sessions.get(uploadId).status).toBe(
+      UPLOAD_SESSION_STATUS.ABORTED
+    );
+    expect(saved).toHaveLength(0);
+  });
+});
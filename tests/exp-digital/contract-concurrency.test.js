@@ -0,0 +1,254 @@
+// =============================================================================
+// tests/exp-digital/contract-concurrency.test.js
+// Control de concurrencia optimista: ETag / If-Match y conflictos 409
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import {
+  buildVersionETag,
+  getIfMatchVersion,
+  parseIfMatchVersions,
+} from "#utils/etag.util.js";
+import { ContractService } from "../../src/module/exp-digital/services/contract.service.js";
+import { ContractRepository } from "../../src/module/exp-digital/repositories/contract.repository.js";
+
+const CONTRACT_ID = new Types.ObjectId().toString();
+const USER = { userId: new Types.ObjectId().toString(), name: "Ana" };
+
+/**
+ * Consulta encadenable de mongoose que resuelve a `result`
+ */
+const chain = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+function createService({ contract, history = [], claimed = true }) {
+  const service = new ContractService();
+  service.contractLockService = { assertLockHolder: async () => true };
+  service.contractRepository = {
+    findById: async () => structuredClone(contract),
+    model: {
+      findOne: () => chain(structuredClone(contract)),
+      findById: () => chain(contract),
+    },
+    updateWithVersion: jest.fn(async (id, data) => {
+      if (!claimed) return null;
+      contract.concurrencyControl.version += 1;
+      return {
+        ...contract,
+        ...data,
+        concurrencyControl: { ...contract.concurrencyControl },
+      };
+    }),
+  };
+  service.contractHistoryRepository = {
+    model: { find: () => chain(history) },
+  };
+  service._createHistoryEntry = jest.fn(async () => ({}));
+  service._populateContractData = async (data) => data;
+  return service;
+}
+
+describe("ETag / If-Match", () => {
+  test("construye e interpreta ETags versionados", () => {
+    const etag = buildVersionETag(CONTRACT_ID, 4);
+    expect(etag).toBe(`"${CONTRACT_ID}-4"`);
+
+    expect(getIfMatchVersion(etag, CONTRACT_ID)).toBe(4);
+    expect(getIfMatchVersion(`W/${etag}`, CONTRACT_ID)).toBe(4);
+    expect(getIfMatchVersion("*", CONTRACT_ID)).toBeNull();
+    expect(getIfMatchVersion(undefined, CONTRACT_ID)).toBeNull();
+  });
+
+  test("rechaza con 412 ETags mal formados o de otro recurso", () => {
+    expect(() => parseIfMatchVersions('"abc"')).toThrow(
+      expect.objectContaining({ statusCode: 412 })
+    );
+    expect(() =>
+      getIfMatchVersion(buildVersionETag(new Types.ObjectId(), 1), CONTRACT_ID)
+    ).toThrow(expect.objectContaining({ code: "PRECONDITION_FAILED" }));
+  });
+});
+
+describe("ContractService - conflictos de versión", () => {
+  const baseContract = () => ({
+    _id: CONTRACT_ID,
+    contractNumber: "GADMCE-001-2025",
+    generalStatus: "DRAFT",
+    contractualObject: "Adquisición de equipos",
+    budget: { estimatedValue: 1000 },
+    concurrencyControl: { version: 3 },
+  });
+
+  test("If-Match desactualizado responde 409 con el detalle por campo", async () => {
+    const service = createService({
+      contract: baseContract(),
+      history: [
+        {
+          eventType: "DATA_MODIFICATION",
+          user: { userId: "otro" },
+          changesData: {
+            version: 3,
+            changes: [
+              {
+                field: "budget.estimatedValue",
+                oldValue: 800,
+                newValue: 1000,
+              },
+              {
+                field: "contractualObject",
+                oldValue: "Equipos",
+                newValue: "Adquisición de equipos",
+              },
+            ],
+          },
+        },
+      ],
+    });
+
+    const error = await service
+      .updateContract(
+        CONTRACT_ID,
+        { budget: { estimatedValue: 900 } },
+        { userData: USER, expectedVersion: 2 }
+      )
+      .catch((e) => e);
+
+    expect(error).toMatchObject({
+      code: "VERSION_CONFLICT",
+      statusCode: 409,
+      details: {
+        clientVersion: 2,
+        currentVersion: 3,
+        etag: buildVersionETag(CONTRACT_ID, 3),
+        conflictingFields: ["budget.estimatedValue"],
+      },
+    });
+    expect(error.details.changes).toHaveLength(2);
+    expect(error.details.changes[0]).toMatchObject({
+      field: "budget.estimatedValue",
+      oldValue: 800,
+      newValue: 1000,
+      clientValue: 900,
+      conflicting: true,
+    });
+    expect(service.contractRepository.updateWithVersion).not.toHaveBeenCalled();
+  });
+
+  test("otra escritura entre la lectura y el incremento también es 409", async () => {
+    const service = createService({ contract: baseContract(), claimed: false });
+
+    await expect(
+      service.updateContract(
+        CONTRACT_ID,
+        { contractualObject: "Nuevo objeto" },
+        { userData: USER, expectedVersion: 3 }
+      )
+    ).rejects.toMatchObject({ code: "VERSION_CONFLICT", statusCode: 409 });
+  });
+
+  test("con la versión vigente guarda y la incrementa", async () => {
+    const contract = baseContract();
+    const service = createService({ contract });
+
+    await service.updateContract(
+      CONTRACT_ID,
+      { contractualObject: "Nuevo objeto" },
+      { userData: USER, expectedVersion: 3, createHistory: false }
+    );
+
+    const [id, data, , expectedVersion] =
+      service.contractRepository.updateWithVersion.mock.calls[0];
+    expect(id).toBe(CONTRACT_ID);
+    expect(data.contractualObject).toBe("Nuevo objeto");
+    expect(expectedVersion).toBe(3);
+    expect(contract.concurrencyControl.version).toBe(4);
+  });
+
+  test("si la escritura falla la versión no cambia", async () => {
+    const stored = baseContract();
+    const service = createService({ contract: stored });
+    // Repositorio real sobre un modelo en memoria que rechaza la escritura
+    const repository = new ContractRepository();
+    repository.model = {
+      findById: () => chain(stored),
+      findOneAndUpdate: jest.fn(async () => {
+        throw new Error("Validation failed: budget.estimatedValue");
+      }),
+    };
+    repository.findById = async () => ({
+      ...stored,
+      concurrencyControl: { ...stored.concurrencyControl },
+    });
+    service.contractRepository = repository;
+
+    await expect(
+      service.updateContract(
+        CONTRACT_ID,
+        { budget: { estimatedValue: -5 } },
+        { userData: USER, expectedVersion: 3 }
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    const [filter, update] = repository.model.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: CONTRACT_ID,
+      "concurrencyControl.version": 3,
+    });
+    expect(update.$inc).toEqual({ "concurrencyControl.version": 1 });
+    expect(stored.concurrencyControl.version).toBe(3);
+
+    // El siguiente intento con la misma versión no recibe un 409 vacío
+    repository.model.findOneAndUpdate.mockImplementation(async () => {
+      stored.concurrencyControl.version += 1;
+      return { ...stored };
+    });
+    await service.updateContract(
+      CONTRACT_ID,
+      { contractualObject: "Nuevo objeto" },
+      { userData: USER, expectedVersion: 3, createHistory: false }
+    );
+    expect(stored.concurrencyControl.version).toBe(4);
+  });
+
+  test("la transición de fase registra los cambios de phases y currentPhase", async () => {
+    const preparation = new Types.ObjectId().toString();
+    const call = new Types.ObjectId().toString();
+    const contract = {
+      ...baseContract(),
+      currentPhase: preparation,
+      phases: [{ phase: preparation, status: "IN_PROGRESS" }],
+    };
+    const service = createService({ contract });
+    service.phaseEngineService.assertTransition = async () => ({
+      flow: [],
+      node: { phase: { _id: preparation, name: "Preparatoria" } },
+    });
+    service.phaseEngineService.resolveCurrentPhase = () => call;
+    service.phaseEngineService.getTransitions = async () => [];
+
+    await service.transitionContractPhase(
+      CONTRACT_ID,
+      preparation,
+      { action: "COMPLETE", expectedVersion: 3 },
+      USER
+    );
+
+    const [, entry] = service._createHistoryEntry.mock.calls[0];
+    expect(entry.changesData.version).toBe(4);
+    expect(entry.changesData.changes).toEqual([
+      { field: "currentPhase", oldValue: preparation, newValue: call },
+      {
+        field: "phases.0.status",
+        oldValue: "IN_PROGRESS",
+        newValue: "COMPLETED",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,213 @@
+// =============================================================================
+// tests/exp-digital/contract-lock.service.test.js
+// Bloqueo de edición de contratos: adquisición, expiración y extensiones
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import { ContractLockService } from "../../src/module/exp-digital/services/contract-lock.service.js";
+
+const CONTRACT_ID = new Types.ObjectId().toString();
+const ANA = { userId: new Types.ObjectId().toString(), name: "Ana" };
+const LUIS = { userId: new Types.ObjectId().toString(), name: "Luis" };
+
+/**
+ * Repositorio en memoria con las mismas condiciones que las consultas
+ * atómicas de ContractRepository
+ */
+function createContractStore() {
+  const contract = {
+    _id: CONTRACT_ID,
+    contractNumber: "GADMCE-001-2025",
+    requestingDepartment: null,
+    concurrencyControl: {},
+  };
+  const snapshot = () => structuredClone(contract);
+  const isFree = (cc, now) =>
+    cc.editLock !== true || (cc.lockExpiration && cc.lockExpiration <= now);
+
+  return {
+    contract,
+    model: {
+      findById: () => ({
+        select: () => ({ lean: async () => snapshot() }),
+      }),
+    },
+    async acquireEditLock(contractId, editor, expiration) {
+      const cc = contract.concurrencyControl;
+      const now = new Date();
+      if (!isFree(cc, now) && cc.currentlyEditing?.userId !== editor.userId) {
+        return null;
+      }
+      contract.concurrencyControl = {
+        currentlyEditing: { ...editor, startTime: now },
+        editLock: true,
+        lockExpiration: expiration,
+        lockExtensions: 0,
+        forceUnlocked: false,
+      };
+      return snapshot();
+    },
+    async extendEditLock(contractId, userId, expiration, maxExtensions) {
+      const cc = contract.concurrencyControl;
+      if (
+        cc.editLock !== true ||
+        cc.currentlyEditing?.userId !== userId ||
+        !(cc.lockExpiration > new Date()) ||
+        !(cc.lockExtensions < maxExtensions)
+      ) {
+        return null;
+      }
+      cc.lockExpiration = expiration;
+      cc.lockExtensions += 1;
+      return snapshot();
+    },
+    async releaseEditLock(contractId, userId = null, extraSet = {}) {
+      const cc = contract.concurrencyControl;
+      if (userId && cc.currentlyEditing?.userId !== userId) return null;
+      contract.concurrencyControl = {
+        editLock: false,
+        lockExpiration: null,
+        lockExtensions: 0,
+      };
+      for (const [key, value] of Object.entries(extraSet)) {
+        contract.concurrencyControl[key.split(".").pop()] = value;
+      }
+      return snapshot();
+    },
+    async releaseExpiredLocks(now = new Date()) {
+      const cc = contract.concurrencyControl;
+      if (cc.editLock === true && cc.lockExpiration <= now) {
+        await this.releaseEditLock(CONTRACT_ID);
+        return 1;
+      }
+      return 0;
+    },
+  };
+}
+
+function createService() {
+  const service = new ContractLockService();
+  service.contractRepository = createContractStore();
+  service.contractHistoryRepository = { create: jest.fn(async () => ({})) };
+  return service;
+}
+
+describe("ContractLockService", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2025-03-10T15:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("concede el bloqueo y lo niega a otro usuario con 423", async () => {
+    const service = createService();
+
+    const status = await service.acquireLock(CONTRACT_ID, ANA);
+    expect(status.isLocked).toBe(true);
+    expect(status.lockedBy.userId).toBe(ANA.userId);
+    expect(status.lockExpiration).toEqual(new Date("2025-03-10T15:30:00Z"));
+
+    await expect(service.acquireLock(CONTRACT_ID, LUIS)).rejects.toMatchObject({
+      code: "CONTRACT_LOCKED",
+      statusCode: 423,
+      details: { lockedBy: { userId: ANA.userId } },
+    });
+  });
+
+  test("el mismo usuario renueva el plazo sin consumir extensiones", async () => {
+    const service = createService();
+    await service.acquireLock(CONTRACT_ID, ANA);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    const status = await service.acquireLock(CONTRACT_ID, ANA);
+
+    expect(status.lockExpiration).toEqual(new Date("2025-03-10T15:40:00Z"));
+    expect(status.extensionsUsed).toBe(0);
+  });
+
+  test("un bloqueo expirado queda libre para otro usuario", async () => {
+    const service = createService();
+    await service.acquireLock(CONTRACT_ID, ANA);
+
+    jest.advanceTimersByTime(31 * 60 * 1000);
+
+    const status = await service.getLockStatus(CONTRACT_ID);
+    expect(status.isLocked).toBe(false);
+    expect(status.lockedBy).toBeNull();
+
+    const acquired = await service.acquireLock(CONTRACT_ID, LUIS);
+    expect(acquired.lockedBy.userId).toBe(LUIS.userId);
+  });
+
+  test("releaseExpiredLocks limpia solo bloqueos vencidos", async () => {
+    const service = createService();
+    await service.acquireLock(CONTRACT_ID, ANA);
+
+    expect(await service.releaseExpiredLocks()).toBe(0);
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    expect(await service.releaseExpiredLocks()).toBe(1);
+    expect(
+      service.contractRepository.contract.concurrencyControl.editLock
+    ).toBe(false);
+  });
+
+  test("las extensiones respetan maxLockExtensions", async () => {
+    const service = createService();
+    await service.acquireLock(CONTRACT_ID, ANA);
+
+    await service.extendLock(CONTRACT_ID, ANA);
+    const status = await service.extendLock(CONTRACT_ID, ANA);
+    expect(status.extensionsUsed).toBe(2);
+    expect(status.extensionsRemaining).toBe(0);
+
+    await expect(service.extendLock(CONTRACT_ID, ANA)).rejects.toMatchObject({
+      code: "LOCK_EXTENSION_DENIED",
+      statusCode: 409,
+    });
+    await expect(service.extendLock(CONTRACT_ID, LUIS)).rejects.toMatchObject({
+      code: "LOCK_NOT_HELD",
+    });
+  });
+
+  test("assertLockHolder exige el bloqueo propio y vigente", async () => {
+    const service = createService();
+
+    await expect(
+      service.assertLockHolder(CONTRACT_ID, ANA.userId)
+    ).rejects.toMatchObject({ code: "LOCK_REQUIRED", statusCode: 428 });
+
+    await service.acquireLock(CONTRACT_ID, ANA);
+    await expect(
+      service.assertLockHolder(CONTRACT_ID, ANA.userId)
+    ).resolves.toBe(true);
+    await expect(
+      service.assertLockHolder(CONTRACT_ID, LUIS.userId)
+    ).rejects.toMatchObject({ code: "CONTRACT_LOCKED", statusCode: 423 });
+
+    jest.advanceTimersByTime(31 * 60 * 1000);
+    await expect(
+      service.assertLockHolder(CONTRACT_ID, ANA.userId)
+    ).rejects.toMatchObject({ code: "LOCK_REQUIRED" });
+  });
+
+  test("forceUnlock libera el bloqueo ajeno y deja historial", async () => {
+    const service = createService();
+    await service.acquireLock(CONTRACT_ID, ANA);
+
+    const status = await service.forceUnlock(CONTRACT_ID, LUIS, "Vacaciones");
+
+    expect(status.isLocked).toBe(false);
+    expect(status.forceUnlocked).toBe(true);
+    expect(status.previousEditor.userId).toBe(ANA.userId);
+    expect(service.contractHistoryRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        description: expect.stringContaining("Vacaciones"),
+      }),
+      LUIS
+    );
+  });
+});
@@ -0,0 +1,257 @@
+// =============================================================================
+// tests/exp-digital/expediente.service.test.js
+// Foliación del expediente: numeración de folios, índice y anexos
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Types } from "mongoose";
+import { PDFDocument } from "pdf-lib";
+import { ExpedienteService } from "../../src/module/exp-digital/services/expediente.service.js";
+
+const CONTRACT = {
+  _id: new Types.ObjectId(),
+  contractNumber: "GADMCE-001-2025",
+  contractualObject: "Adquisición de equipos informáticos",
+  contractType: { name: "Subasta inversa electrónica" },
+  requestingDepartment: { name: "Dirección de Tecnología" },
+  budget: { estimatedValue: 15000 },
+};
+
+async function createPdf(pageCount) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) pdf.addPage([300, 400]);
+  return Buffer.from(await pdf.save());
+}
+
+const doc = (key, overrides = {}) => ({
+  fileId: new Types.ObjectId(),
+  file: { key },
+  documentType: key.toUpperCase(),
+  typeName: `Documento ${key}`,
+  originalName: `${key}.pdf`,
+  isPdf: true,
+  checksum: `sha-${key}`,
+  ...overrides,
+});
+
+/**
+ * Consulta encadenable de mongoose que resuelve a `result`
+ */
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+describe("ExpedienteService - foliación", () => {
+  let tempDir;
+  let service;
+  let storedFiles;
+  let sections;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "expediente-"));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    storedFiles = {
+      informe: await createPdf(2),
+      pliegos: await createPdf(1),
+      contrato: await createPdf(3),
+      danado: Buffer.from("%PDF-1.7 no es un PDF"),
+    };
+    sections = [
+      {
+        phase: { id: "p1", name: "Preparatoria", order: 1 },
+        documents: [
+          doc("informe"),
+          doc("planos", {
+            originalName: "planos.dwg",
+            isPdf: false,
+            extension: "dwg",
+          }),
+          doc("pliegos"),
+        ],
+      },
+      {
+        phase: { id: "p2", name: "Contractual", order: 3 },
+        documents: [doc("danado"), doc("contrato")],
+      },
+    ];
+
+    service = new ExpedienteService();
+    service.config.cacheDir = path.join(tempDir, `cache-${Date.now()}`);
+    service.storageService = {
+      fetch: jest.fn(async (file, destination) => {
+        await fs.writeFile(destination, storedFiles[file.key]);
+      }),
+    };
+    service._loadContract = async () => CONTRACT;
+    service._collectDocuments = async () => sections;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("numera los folios de forma continua sin foliar portada ni índice", async () => {
+    const stamp = jest.spyOn(service, "_stampFolio");
+
+    const result = await service.getExpediente(CONTRACT._id.toString());
+
+    const [preparation, contractual] = sections;
+    expect(preparation.documents[0]).toMatchObject({
+      folioFrom: 1,
+      folioTo: 2,
+    });
+    expect(preparation.documents[2]).toMatchObject({
+      folioFrom: 3,
+      folioTo: 3,
+    });
+    expect(contractual.documents[1]).toMatchObject({
+      folioFrom: 4,
+      folioTo: 6,
+    });
+    expect(stamp.mock.calls.map(([, , folio]) => folio)).toEqual([
+      1, 2, 3, 4, 5, 6,
+    ]);
+
+    // Portada + índice + 6 folios
+    const output = await PDFDocument.load(result.buffer);
+    expect(output.getPageCount()).toBe(8);
+    expect(output.getTitle()).toBe("Expediente GADMCE-001-2025");
+  });
+
+  test("los archivos que no se pueden foliar pasan al índice de anexos", async () => {
+    const drawIndex = jest.spyOn(service, "_drawIndex");
+
+    await service.getExpediente(CONTRACT._id.toString());
+
+    const [, , indexSections, annexes] = drawIndex.mock.calls[0];
+    expect(indexSections).toBe(sections);
+    expect(
+      annexes.map(({ originalName, reason }) => [originalName, reason])
+    ).toEqual([
+      ["planos.dwg", null],
+      ["danado.pdf", "PDF dañado o no legible"],
+    ]);
+    expect(annexes[0].phase.name).toBe("Preparatoria");
+    expect(sections[1].documents[0].folioFrom).toBeUndefined();
+    // Los no PDF ni siquiera se descargan
+    expect(service.storageService.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test("sirve desde caché mientras el conjunto documental no cambie", async () => {
+    const first = await service.getExpediente(CONTRACT._id.toString());
+    const second = await service.getExpediente(CONTRACT._id.toString());
+
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ cached: true, cacheKey: first.cacheKey });
+    expect(second.buffer.equals(first.buffer)).toBe(true);
+
+    const unchanged = await service.getExpediente(CONTRACT._id.toString(), {
+      ifNoneMatch: [first.cacheKey],
+    });
+    expect(unchanged).toMatchObject({ notModified: true });
+
+    // Un archivo reemplazado cambia la huella y regenera el expediente
+    sections[0].documents[0].checksum = "sha-otro";
+    const regenerated = await service.getExpediente(CONTRACT._id.toString());
+    expect(regenerated.cached).toBe(false);
+    expect(regenerated.cacheKey).not.toBe(first.cacheKey);
+    expect(await fs.readdir(service.config.cacheDir)).toEqual([
+      `expediente_${CONTRACT._id}_${regenerated.cacheKey}.pdf`,
+    ]);
+  });
+});
+
+describe("ExpedienteService - documentos por fase", () => {
+  test("ordena por fase y tipo configurado y descarta duplicados y rechazados", async () => {
+    const preparation = new Types.ObjectId();
+    const contractual = new Types.ObjectId();
+    const files = {
+      informe: { _id: new Types.ObjectId(), originalName: "informe.pdf" },
+      certificacion: {
+        _id: new Types.ObjectId(),
+        originalName: "certificacion.pdf",
+      },
+      contrato: { _id: new Types.ObjectId(), originalName: "contrato.pdf" },
+    };
+    const rejected = new Types.ObjectId();
+    const entry = (file, documentType, status = "active") => ({
+      file,
+      documentType,
+      status,
+      uploadedAt: new Date("2025-03-10T15:00:00Z"),
+    });
+    const phase = (id, order, documents) => ({
+      _id: id,
+      code: `F${order}`,
+      name: `Fase ${order}`,
+      order,
+      getEffectiveDocuments: () => documents,
+    });
+
+    const service = new ExpedienteService();
+    service.contractPhaseRepository = {
+      model: {
+        find: async () => [
+          phase(contractual, 3, [{ code: "CONTRATO", name: "Contrato" }]),
+          phase(preparation, 1, [
+            { code: "CERTIFICACION", name: "Certificación presupuestaria" },
+            { code: "INFORME", name: "Informe de necesidad" },
+          ]),
+        ],
+      },
+    };
+    // El archivo rechazado no vuelve de la consulta
+    service.fileRepository = {
+      model: { find: () => chain(Object.values(files)) },
+    };
+
+    const sections = await service._collectDocuments({
+      contractType: new Types.ObjectId(),
+      phases: [
+        {
+          phase: preparation,
+          documents: [
+            entry(files.informe._id, "informe"),
+            entry(files.certificacion._id, "certificacion"),
+            entry(files.informe._id, "informe"),
+            entry(rejected, "informe"),
+          ],
+        },
+        {
+          phase: contractual,
+          documents: [
+            entry(files.contrato._id, "contrato"),
+            entry(files.informe._id, "informe", "obsolete"),
+          ],
+        },
+      ],
+    });
+
+    expect(sections.map((section) => section.phase.order)).toEqual([1, 3]);
+    expect(
+      sections[0].documents.map(({ originalName, typeName }) => [
+        originalName,
+        typeName,
+      ])
+    ).toEqual([
+      ["certificacion.pdf", "Certificación presupuestaria"],
+      ["informe.pdf", "Informe de necesidad"],
+    ]);
+    expect(sections[1].documents.map((d) => d.originalName)).toEqual([
+      "contrato.pdf",
+    ]);
+  });
+});
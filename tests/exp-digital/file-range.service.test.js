@@ -0,0 +1,77 @@
+// =============================================================================
+// tests/exp-digital/file-range.service.test.js
+// Descargas parciales: interpretación de Range e If-Range
+// =============================================================================
+
+import { FileService } from "../../src/module/exp-digital/services/file.service.js";
+import { tempFileService } from "../../src/module/exp-digital/services/temp-file.service.js";
+
+const SIZE = 1000;
+const ETAG = "abc123-2";
+
+describe("FileService - Range / If-Range", () => {
+  let service;
+
+  beforeAll(async () => {
+    await tempFileService.ready;
+    service = new FileService();
+  });
+
+  test("interpreta rangos abiertos, cerrados y por sufijo", () => {
+    expect(service._parseRangeHeader("bytes=0-99", SIZE)).toEqual({
+      start: 0,
+      end: 99,
+    });
+    expect(service._parseRangeHeader("bytes=500-", SIZE)).toEqual({
+      start: 500,
+      end: 999,
+    });
+    expect(service._parseRangeHeader("bytes=-200", SIZE)).toEqual({
+      start: 800,
+      end: 999,
+    });
+    // El final se recorta al tamaño del archivo
+    expect(service._parseRangeHeader("bytes=900-5000", SIZE)).toEqual({
+      start: 900,
+      end: 999,
+    });
+  });
+
+  test("responde completo ante rangos múltiples, inválidos o totales", () => {
+    expect(service._parseRangeHeader(null, SIZE)).toBeNull();
+    expect(service._parseRangeHeader("bytes=0-10,20-30", SIZE)).toBeNull();
+    expect(service._parseRangeHeader("items=0-10", SIZE)).toBeNull();
+    expect(service._parseRangeHeader("bytes=-", SIZE)).toBeNull();
+    expect(service._parseRangeHeader("bytes=50-10", SIZE)).toBeNull();
+    expect(service._parseRangeHeader("bytes=0-", SIZE)).toBeNull();
+    expect(service._parseRangeHeader("bytes=-5000", SIZE)).toBeNull();
+  });
+
+  test("rechaza con 416 los rangos fuera del archivo", () => {
+    expect(() => service._parseRangeHeader("bytes=1000-", SIZE)).toThrow(
+      expect.objectContaining({ statusCode: 416, details: { size: SIZE } })
+    );
+    expect(() => service._parseRangeHeader("bytes=-0", SIZE)).toThrow(
+      expect.objectContaining({ code: "RANGE_NOT_SATISFIABLE" })
+    );
+  });
+
+  test("If-Range solo respeta el rango con el contenido actual", () => {
+    const file = { createdAt: new Date("2025-03-10T15:00:00.750Z") };
+
+    expect(service._isIfRangeFresh(null, file, ETAG)).toBe(true);
+    expect(service._isIfRangeFresh(`"${ETAG}"`, file, ETAG)).toBe(true);
+    expect(service._isIfRangeFresh('"otro-1"', file, ETAG)).toBe(false);
+    // Los ETag débiles nunca validan un rango
+    expect(service._isIfRangeFresh(`W/"${ETAG}"`, file, ETAG)).toBe(false);
+
+    // Fechas HTTP con resolución de segundos
+    expect(
+      service._isIfRangeFresh("Mon, 10 Mar 2025 15:00:00 GMT", file, ETAG)
+    ).toBe(true);
+    expect(
+      service._isIfRangeFresh("Mon, 10 Mar 2025 14:59:59 GMT", file, ETAG)
+    ).toBe(false);
+    expect(service._isIfRangeFresh("no es fecha", file, ETAG)).toBe(false);
+  });
+});
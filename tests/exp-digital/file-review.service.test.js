@@ -0,0 +1,164 @@
+// =============================================================================
+// tests/exp-digital/file-review.service.test.js
+// Flujo de revisión: las solicitudes de revisión quedan atendidas al resolver
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import { FileService } from "../../src/module/exp-digital/services/file.service.js";
+import { tempFileService } from "../../src/module/exp-digital/services/temp-file.service.js";
+
+const FILE_ID = new Types.ObjectId().toString();
+const UPLOADER = new Types.ObjectId().toString();
+const REVIEWER_A = { userId: new Types.ObjectId().toString() };
+const REVIEWER_B = { userId: new Types.ObjectId().toString() };
+
+function createService({ requiredApprovals = 2, approvals = [] } = {}) {
+  const file = {
+    _id: FILE_ID,
+    originalName: "informe.pdf",
+    status: "REVIEW",
+    audit: { uploadedBy: UPLOADER },
+    review: {
+      round: 1,
+      submittedBy: UPLOADER,
+      reviewers: [REVIEWER_A.userId, REVIEWER_B.userId],
+      requiredApprovals,
+      approvals,
+    },
+  };
+
+  const service = new FileService();
+  service.config.stampOnApproval = false;
+  service._getReviewableFile = async () => structuredClone(file);
+  service._getReviewContext = async () => ({
+    contract: { contractNumber: "GADMCE-001-2025" },
+    phase: { name: "Preparatoria" },
+    requirements: { requiresApproval: true, requiredApprovals },
+  });
+  service._addReviewLogEntry = async () => {};
+  service._createDocumentHistoryEntry = async () => {};
+  service._refreshPhaseCompletion = async () => {};
+  service._populateFileData = async (data) => data;
+  service.fileRepository = {
+    addReviewApproval: async (id, approval) => ({
+      ...file,
+      review: { ...file.review, approvals: [...approvals, approval] },
+    }),
+    completeApproval: async () => ({ ...file, status: "APPROVED" }),
+    rejectReview: async () => ({ ...file, status: "REJECTED" }),
+  };
+  service.notificationService = {
+    markDocumentReviewActioned: jest.fn(async () => 1),
+    notifyDocumentApproved: jest.fn(async () => ({})),
+    notifyDocumentRejected: jest.fn(async () => ({})),
+  };
+  return service;
+}
+
+describe("FileService - solicitudes de revisión atendidas", () => {
+  beforeAll(() => tempFileService.ready);
+
+  test("una aprobación parcial solo atiende la solicitud del revisor", async () => {
+    const service = createService();
+
+    await service.approveFile(FILE_ID, {}, REVIEWER_A);
+
+    expect(
+      service.notificationService.markDocumentReviewActioned
+    ).toHaveBeenCalledWith(FILE_ID, REVIEWER_A.userId);
+    expect(
+      service.notificationService.notifyDocumentApproved
+    ).not.toHaveBeenCalled();
+  });
+
+  test("la aprobación final atiende las solicitudes de todos los revisores", async () => {
+    const service = createService({
+      approvals: [{ user: REVIEWER_A.userId, date: new Date() }],
+    });
+
+    await service.approveFile(FILE_ID, {}, REVIEWER_B);
+
+    expect(
+      service.notificationService.markDocumentReviewActioned
+    ).toHaveBeenCalledWith(FILE_ID, null);
+    expect(
+      service.notificationService.notifyDocumentApproved
+    ).toHaveBeenCalled();
+  });
+
+  test("el rechazo atiende las solicitudes de todos los revisores", async () => {
+    const service = createService();
+
+    await service.rejectFile(
+      FILE_ID,
+      { reason: "Falta la firma del director" },
+      REVIEWER_A
+    );
+
+    expect(
+      service.notificationService.markDocumentReviewActioned
+    ).toHaveBeenCalledWith(FILE_ID);
+    expect(
+      service.notificationService.notifyDocumentRejected
+    ).toHaveBeenCalled();
+  });
+});
+
+describe("FileService - actualización general", () => {
+  beforeAll(() => tempFileService.ready);
+
+  function createUpdateService() {
+    const service = new FileService();
+    service._populateFileData = async (data) => data;
+    service.fileRepository = {
+      findById: async () => ({
+        _id: FILE_ID,
+        status: "DRAFT",
+        systemName: "informe.pdf",
+        fileInfo: { mimeType: "application/pdf" },
+      }),
+      update: jest.fn(async (id, data) => ({
+        _id: id,
+        systemName: "informe.pdf",
+        ...data,
+      })),
+      addChangeLogEntry: jest.fn(async () => ({})),
+    };
+    return service;
+  }
+
+  test("PUT no puede aprobar un archivo saltándose la revisión", async () => {
+    const service = createUpdateService();
+
+    await expect(
+      service.updateFile(
+        FILE_ID,
+        { status: "APPROVED", review: { observations: "ok" } },
+        REVIEWER_A
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining("flujo de revisión"),
+    });
+    expect(service.fileRepository.update).not.toHaveBeenCalled();
+  });
+
+  test("descarta los campos de revisión y conserva los editables", async () => {
+    const service = createUpdateService();
+
+    await service.updateFile(
+      FILE_ID,
+      {
+        status: "DRAFT",
+        displayName: "Informe técnico",
+        "review.approvedBy": REVIEWER_A.userId,
+        "review.approvalDate": new Date(),
+      },
+      REVIEWER_A
+    );
+
+    const [, update] = service.fileRepository.update.mock.calls[0];
+    expect(update).toEqual({ displayName: "Informe técnico" });
+  });
+});
@@ -0,0 +1,220 @@
+// =============================================================================
+// tests/exp-digital/integrity-scrub.service.test.js
+// Verificación de integridad: copias alteradas o ausentes y su restauración
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { Types } from "mongoose";
+import { IntegrityScrubService } from "../../src/module/exp-digital/services/integrity-scrub.service.js";
+import { StorageService } from "../../src/module/exp-digital/services/storage.service.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const CONTENT = Buffer.from("Contrato de obra pública GADMCE-001-2025");
+const HASH = sha256(CONTENT);
+const REPORT_ID = new Types.ObjectId();
+const NOW = new Date("2025-03-10T15:00:00Z");
+
+/**
+ * Backends de almacenamiento en memoria: contenido por proveedor y clave
+ */
+function createStorage(contents) {
+  const storage = new StorageService();
+
+  storage.hashCopy = jest.fn(async (copy, destinationPath) => {
+    const data = contents[copy.provider];
+    if (!data) {
+      throw Object.assign(new Error("no existe"), { code: "ENOENT" });
+    }
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.writeFile(destinationPath, data);
+    return { hash: sha256(data), size: data.length };
+  });
+  storage.restoreCopy = jest.fn(async (copy, sourcePath) => {
+    contents[copy.provider] = await fs.readFile(sourcePath);
+    return {
+      ...copy,
+      status: "SYNCED",
+      hash: sha256(contents[copy.provider]),
+      size: contents[copy.provider].length,
+      error: null,
+    };
+  });
+  return storage;
+}
+
+const file = (providers) => ({
+  _id: new Types.ObjectId(),
+  contract: new Types.ObjectId(),
+  systemName: "contrato_2025.pdf",
+  originalName: "contrato.pdf",
+  fileInfo: { hash: HASH, mimeType: "application/pdf" },
+  storage: {
+    copies: providers.map((provider, index) => ({
+      provider,
+      key: `blobs/${HASH.slice(0, 2)}/${HASH}`,
+      isPrimary: index === 0,
+      status: "SYNCED",
+    })),
+  },
+});
+
+function createService(contents) {
+  const service = new IntegrityScrubService();
+  service.storageService = createStorage(contents);
+  service.fileRepository = {
+    recordCopyVerification: jest.fn(async () => ({})),
+    model: { updateOne: jest.fn(async () => ({})) },
+  };
+  return service;
+}
+
+describe("IntegrityScrubService - verificación de copias", () => {
+  test("restaura una copia alterada desde la copia íntegra", async () => {
+    const contents = { LOCAL: CONTENT, S3: Buffer.from("alterado") };
+    const service = createService(contents);
+
+    const result = await service.verifyFile(file(["LOCAL", "S3"]), {
+      now: NOW,
+      reportId: REPORT_ID,
+    });
+
+    expect(result.status).toBe("REPAIRED");
+    expect(contents.S3.equals(CONTENT)).toBe(true);
+    expect(result.issues).toEqual([
+      expect.objectContaining({
+        provider: "S3",
+        problem: "MISMATCH",
+        expectedHash: HASH,
+        actualHash: sha256("alterado"),
+        repaired: true,
+        repairedFrom: "LOCAL",
+      }),
+    ]);
+
+    const [, copies, set] =
+      service.fileRepository.recordCopyVerification.mock.calls[0];
+    expect(
+      copies.map(({ provider, status, hash }) => [provider, status, hash])
+    ).toEqual([
+      ["LOCAL", "SYNCED", HASH],
+      ["S3", "SYNCED", HASH],
+    ]);
+    expect(set).toMatchObject({
+      "integrity.status": "REPAIRED",
+      "integrity.lastCheckedAt": NOW,
+      "integrity.lastVerifiedAt": NOW,
+      "integrity.lastReport": REPORT_ID,
+    });
+  });
+
+  test("vuelve a replicar una copia rsync ausente y guarda su hash remoto", async () => {
+    const contents = { S3: CONTENT };
+    const service = createService(contents);
+
+    const result = await service.verifyFile(file(["S3", "RSYNC"]), {
+      now: NOW,
+      reportId: REPORT_ID,
+    });
+
+    expect(result.status).toBe("REPAIRED");
+    expect(result.issues[0]).toMatchObject({
+      provider: "RSYNC",
+      problem: "MISSING",
+      repaired: true,
+    });
+    expect(contents.RSYNC.equals(CONTENT)).toBe(true);
+
+    const [, , set] =
+      service.fileRepository.recordCopyVerification.mock.calls[0];
+    expect(set).toMatchObject({
+      "rsyncInfo.remoteHash": HASH,
+      "rsyncInfo.remoteSize": CONTENT.length,
+    });
+  });
+
+  test("sin reparación automática la copia queda marcada como dañada", async () => {
+    const contents = { LOCAL: CONTENT, S3: Buffer.from("alterado") };
+    const service = createService(contents);
+
+    const result = await service.verifyFile(file(["LOCAL", "S3"]), {
+      now: NOW,
+      repair: false,
+    });
+
+    expect(result.status).toBe("DEGRADED");
+    expect(service.storageService.restoreCopy).not.toHaveBeenCalled();
+    const [, copies] =
+      service.fileRepository.recordCopyVerification.mock.calls[0];
+    expect(copies[1]).toMatchObject({ provider: "S3", status: "CORRUPTED" });
+  });
+
+  test("sin ninguna copia íntegra el archivo queda comprometido", async () => {
+    const contents = { LOCAL: Buffer.from("uno"), S3: Buffer.from("dos") };
+    const service = createService(contents);
+
+    const result = await service.verifyFile(file(["LOCAL", "S3"]), {
+      now: NOW,
+    });
+
+    expect(result.status).toBe("COMPROMISED");
+    expect(service.storageService.restoreCopy).not.toHaveBeenCalled();
+    expect(result.issues.map((issue) => issue.repaired)).toEqual([
+      false,
+      false,
+    ]);
+  });
+});
+
+describe("IntegrityScrubService - ejecución", () => {
+  test("recorre los lotes y resume el resultado en el reporte", async () => {
+    const damaged = file(["LOCAL", "S3"]);
+    const healthy = file(["LOCAL"]);
+    const contents = { LOCAL: CONTENT, S3: Buffer.from("alterado") };
+    const service = createService(contents);
+
+    const batches = [[damaged], [healthy], []];
+    const excluded = [];
+    service.fileRepository.model.find = (filter) => {
+      excluded.push(filter._id.$nin.map(String));
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        select: () => query,
+        lean: async () => batches.shift(),
+      };
+      return query;
+    };
+    service.integrityReportRepository = {
+      startReport: jest.fn(async () => ({ _id: REPORT_ID })),
+      finishReport: jest.fn(async () => ({})),
+    };
+
+    const summary = await service.scrub({ now: NOW, batchSize: 1 });
+
+    expect(summary).toMatchObject({
+      reportId: REPORT_ID,
+      filesChecked: 2,
+      copiesChecked: 3,
+      filesVerified: 2,
+      mismatches: 1,
+      repaired: 1,
+      unrecoverable: 0,
+    });
+    // Cada lote excluye los archivos ya procesados
+    expect(excluded).toEqual([
+      [],
+      [String(damaged._id)],
+      [String(damaged._id), String(healthy._id)],
+    ]);
+
+    const [reportId, { status, issues }] =
+      service.integrityReportRepository.finishReport.mock.calls[0];
+    expect(reportId).toBe(REPORT_ID);
+    expect(status).toBe("COMPLETED");
+    expect(issues).toHaveLength(1);
+  });
+});
@@ -0,0 +1,244 @@
+// =============================================================================
+// tests/exp-digital/notification-escalation.service.test.js
+// Escalamiento de notificaciones sin atender por la cadena de departamentos
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import { NotificationEscalationService } from "../../src/module/exp-digital/services/notification-escalation.service.js";
+import { UserDepartmentAccess } from "../../src/module/exp-digital/models/module-permission.scheme.js";
+import notificationRepository from "../../src/module/notifications/repositories/notification.repository.js";
+
+const MINUTE_MS = 60 * 1000;
+const CREATED_AT = new Date("2025-03-10T15:00:00Z");
+const CONTRACT_ID = new Types.ObjectId();
+const RECIPIENT = new Types.ObjectId().toString();
+const HEAD_A = new Types.ObjectId().toString();
+const HEAD_B = new Types.ObjectId().toString();
+const HEAD_D = new Types.ObjectId().toString();
+
+const at = (minutes) => new Date(CREATED_AT.getTime() + minutes * MINUTE_MS);
+
+/**
+ * Consulta encadenable de mongoose que resuelve a `result`
+ */
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+/**
+ * Departamentos: Compras -> Administrativa -> Planificación (sin responsable)
+ * -> Alcaldía
+ */
+function createDepartments(policy = {}) {
+  const ids = Array.from({ length: 4 }, () => new Types.ObjectId());
+  const [compras, administrativa, planificacion, alcaldia] = ids;
+  return [
+    {
+      _id: compras,
+      name: "Compras Públicas",
+      parentDepartment: administrativa,
+      responsible: { userId: HEAD_A },
+      contractPolicies: { notifications: policy },
+    },
+    {
+      _id: administrativa,
+      name: "Dirección Administrativa",
+      parentDepartment: planificacion,
+      responsible: { userId: HEAD_B },
+    },
+    {
+      _id: planificacion,
+      name: "Planificación",
+      parentDepartment: alcaldia,
+    },
+    { _id: alcaldia, name: "Alcaldía", responsible: { userId: HEAD_D } },
+  ];
+}
+
+function createService({ departments = createDepartments(), notification }) {
+  const stored = {
+    _id: new Types.ObjectId(),
+    recipient: RECIPIENT,
+    contract: CONTRACT_ID,
+    type: "PENDIENTE_APROBACION",
+    title: "Aprobar informe de necesidad",
+    message: "El informe espera su aprobación",
+    createdAt: CREATED_AT,
+    metadata: { actionRequired: true },
+    status: { read: false },
+    ...notification,
+  };
+
+  const service = new NotificationEscalationService();
+  service.contractRepository = {
+    model: {
+      findById: () =>
+        chain({
+          contractNumber: "GADMCE-001-2025",
+          requestingDepartment: departments[0]._id,
+        }),
+    },
+  };
+  // Repositorio real sobre departamentos en memoria
+  service.departmentRepository.model = {
+    findById: (id) =>
+      chain(departments.find((d) => String(d._id) === String(id)) || null),
+  };
+  service.notificationRepository = {
+    findEscalationCandidates: async () =>
+      stored.escalation?.exhausted ? [] : [{ ...stored }],
+    recordEscalation: jest.fn(async (id, expectedLevel, entry) => {
+      if ((stored.escalation?.level || 0) !== expectedLevel) return null;
+      stored.escalation = {
+        level: entry.level,
+        lastEscalatedAt: entry.escalatedAt,
+        chain: [...(stored.escalation?.chain || []), entry],
+      };
+      return { ...stored };
+    }),
+    markEscalationExhausted: jest.fn(async () => {
+      stored.escalation = { ...stored.escalation, exhausted: true };
+    }),
+  };
+  service.notificationService = {
+    createBulkNotifications: jest.fn(async (list) =>
+      list.map((data) => ({ _id: new Types.ObjectId(), ...data }))
+    ),
+  };
+  service.contractHistoryRepository = { create: jest.fn(async () => ({})) };
+
+  return { service, stored, departments };
+}
+
+describe("NotificationEscalationService", () => {
+  beforeEach(() => {
+    // Planificación no tiene responsable ni propietarios activos
+    jest.spyOn(UserDepartmentAccess, "find").mockReturnValue(chain([]));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("sube por los departamentos padre omitiendo los que no tienen responsable", async () => {
+    const { service, stored, departments } = createService({});
+    const recipientsByLevel = () =>
+      service.notificationService.createBulkNotifications.mock.calls.map(
+        ([list]) => list.map((data) => data.recipient)
+      );
+
+    // Con la política por defecto el umbral es de 60 minutos
+    expect(await service.escalate({ now: at(59) })).toMatchObject({
+      notificationsChecked: 1,
+      escalated: 0,
+    });
+
+    expect(await service.escalate({ now: at(60) })).toMatchObject({
+      escalated: 1,
+    });
+    await service.escalate({ now: at(120) });
+    await service.escalate({ now: at(180) });
+
+    expect(recipientsByLevel()).toEqual([[HEAD_A], [HEAD_B], [HEAD_D]]);
+    expect(
+      stored.escalation.chain.map((entry) => [
+        entry.level,
+        entry.departmentName,
+      ])
+    ).toEqual([
+      [1, "Compras Públicas"],
+      [2, "Dirección Administrativa"],
+      [3, "Alcaldía"],
+    ]);
+    expect(String(stored.escalation.chain[2].department)).toBe(
+      String(departments[3]._id)
+    );
+
+    const [[lastEntry]] =
+      service.contractHistoryRepository.create.mock.calls.slice(-1);
+    expect(lastEntry).toMatchObject({
+      contract: CONTRACT_ID,
+      eventType: "NOTIFICATION_ESCALATION",
+      changesData: { level: 3, originalRecipient: RECIPIENT },
+    });
+    expect(lastEntry.changesData.chain.map((entry) => entry.level)).toEqual([
+      1, 2, 3,
+    ]);
+
+    // Sin más departamentos en la cadena
+    expect(await service.escalate({ now: at(240) })).toMatchObject({
+      escalated: 0,
+      exhausted: 1,
+    });
+    expect(await service.escalate({ now: at(300) })).toMatchObject({
+      notificationsChecked: 0,
+    });
+  });
+
+  test("no notifica otra vez a quien ya recibió la notificación", async () => {
+    const { service, stored } = createService({
+      notification: { recipient: HEAD_A },
+    });
+
+    await service.escalate({ now: at(60) });
+
+    expect(stored.escalation.chain[0]).toMatchObject({
+      level: 1,
+      departmentName: "Dirección Administrativa",
+      recipients: [HEAD_B],
+    });
+  });
+
+  test("respeta el umbral del departamento y la fecha límite", async () => {
+    const { service, stored } = createService({
+      departments: createDepartments({ escalationMinutes: 30 }),
+      notification: { metadata: { actionRequired: true, dueDate: at(120) } },
+    });
+
+    // El plazo corre desde la fecha límite, no desde la creación
+    await service.escalate({ now: at(149) });
+    expect(stored.escalation).toBeUndefined();
+
+    await service.escalate({ now: at(150) });
+    expect(stored.escalation.level).toBe(1);
+  });
+
+  test("escalationMinutes en 0 desactiva el escalamiento", async () => {
+    const { service } = createService({
+      departments: createDepartments({ escalationMinutes: 0 }),
+    });
+
+    expect(await service.escalate({ now: at(10000) })).toMatchObject({
+      notificationsChecked: 1,
+      escalated: 0,
+      exhausted: 0,
+    });
+    expect(
+      service.notificationService.createBulkNotifications
+    ).not.toHaveBeenCalled();
+  });
+
+  test("solo considera notificaciones sin leer ni atender", async () => {
+    const find = jest
+      .spyOn(notificationRepository.model, "find")
+      .mockReturnValue(chain([]));
+    const since = new Date("2025-02-08T15:00:00Z");
+
+    await notificationRepository.findEscalationCandidates(since);
+
+    expect(find.mock.calls[0][0]).toMatchObject({
+      "metadata.actionRequired": true,
+      "status.read": false,
+      "status.actionedAt": null,
+      "escalation.exhausted": { $ne: true },
+      createdAt: { $gte: since },
+    });
+  });
+});
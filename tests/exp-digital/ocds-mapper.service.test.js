@@ -0,0 +1,79 @@
+// =============================================================================
+// tests/exp-digital/ocds-mapper.service.test.js
+// Mapeo de registros OCDS sobre los fixtures del servidor simulado de SERCOP
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { OcdsMapperService } from "../../src/module/exp-digital/services/ocds-mapper.service.js";
+
+const RECORDS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../scripts/fixtures/sercop/records"
+);
+
+const loadRecord = async (ocid) =>
+  JSON.parse(await fs.readFile(path.join(RECORDS_DIR, `${ocid}.json`), "utf8"));
+
+const mapper = new OcdsMapperService();
+
+const mapRecord = async (ocid) =>
+  mapper.mapRelease(mapper.extractRelease(await loadRecord(ocid)));
+
+describe("OcdsMapperService - fixtures de SERCOP", () => {
+  test.each([
+    ["ocds-5wno2w-MCBS-GADPE-003-2025", "tender", "CALL"],
+    ["ocds-5wno2w-SIE-GADPE-001-2025", "award", "AWARD"],
+    ["ocds-5wno2w-COTO-GADPE-002-2025", "implementation", "EXECUTION"],
+    ["ocds-5wno2w-CIPF-GADPE-005-2025", "finished", "FINISHED"],
+    ["ocds-5wno2w-LCC-GADPE-004-2025", "tender", "CANCELLED"],
+  ])("%s queda en la etapa %s (%s)", async (ocid, stage, generalStatus) => {
+    const mapped = await mapRecord(ocid);
+
+    expect(mapped.stage).toMatchObject({ key: stage, generalStatus });
+    expect(mapped.errors).toEqual([]);
+    expect(mapped.data.metadata.sercopOcid).toBe(ocid);
+  });
+
+  test("mapea objeto, presupuesto, contratista y cronograma de la adjudicación", async () => {
+    const release = mapper.extractRelease(
+      await loadRecord("ocds-5wno2w-SIE-GADPE-001-2025")
+    );
+    const mapped = mapper.mapRelease(release);
+
+    expect(mapped.data).toMatchObject({
+      contractualObject:
+        "Adquisición de equipos informáticos para las direcciones del GAD Provincial",
+      sercopCode: "SIE-GADPE-001-2025",
+      budget: { estimatedValue: 98500, awardedValue: 92590 },
+      contractor: {
+        ruc: "0891734562001",
+        businessName: "TECNOSUMINISTROS ESMERALDAS S.A.",
+      },
+    });
+    expect(mapped.data.timeline.submissionDeadline).toEqual(
+      new Date("2025-02-17T14:00:00.000Z")
+    );
+    expect(mapped.contractor.rucSource).toBe("parties[].identifier.id");
+    expect(mapped.internalType).toBe("Subasta Inversa Electrónica");
+    expect(mapper.buildContractNumber(release)).toBe("SIE-GADPE-001-2025");
+  });
+
+  test("un proceso sin adjudicar no tiene contratista ni valor adjudicado", async () => {
+    const mapped = await mapRecord("ocds-5wno2w-MCBS-GADPE-003-2025");
+
+    expect(mapped.contractor).toBeNull();
+    expect(mapped.data.budget.awardedValue).toBeUndefined();
+    expect(mapped.data.timeline.executionStartDate).toBeUndefined();
+  });
+
+  test("el estado y el OCID no se concilian campo a campo", async () => {
+    const mapped = await mapRecord("ocds-5wno2w-COTO-GADPE-002-2025");
+    const fields = mapper.getReconciledFields(mapped).map((f) => f.field);
+
+    expect(fields).not.toContain("generalStatus");
+    expect(fields).not.toContain("metadata.sercopOcid");
+    expect(fields).toContain("timeline.executionEndDate");
+  });
+});
@@ -0,0 +1,186 @@
+// =============================================================================
+// tests/exp-digital/pdf-signature.service.test.js
+// Firmas embebidas en PDF: ByteRange, CMS y cobertura del documento
+// =============================================================================
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PdfSignatureService } from "../../src/module/exp-digital/services/pdf-signature.service.js";
+
+// PDF firmado (adbe.pkcs7.detached, SHA-256) con un certificado autofirmado
+// generado para las pruebas: CN=Ana Quinonez, serie 1A2B3C
+const FIXTURE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../fixtures/pdf/firmado.pdf"
+);
+
+/**
+ * Agregar una actualización incremental sin firmar (nuevo /Info) al final
+ */
+function appendIncrementalUpdate(buffer) {
+  const previousXref = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(
+    buffer.toString("latin1")
+  )[1];
+  const objectOffset = buffer.length;
+  const object = "7 0 obj\n<< /Title (Informe modificado) >>\nendobj\n";
+  const xrefOffset = objectOffset + object.length;
+  const update =
+    object +
+    "xref\n7 1\n" +
+    `${String(objectOffset).padStart(10, "0")} 00000 n \n` +
+    `trailer\n<< /Size 8 /Root 1 0 R /Info 7 0 R /Prev ${previousXref} >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.concat([buffer, Buffer.from(update, "latin1")]);
+}
+
+describe("PdfSignatureService - PDF firmados", () => {
+  const service = new PdfSignatureService();
+  let signed;
+
+  beforeAll(async () => {
+    signed = await fs.readFile(FIXTURE);
+  });
+
+  test("valida una firma CMS que cubre todo el documento", async () => {
+    const inspection = await service.inspect(signed);
+
+    expect(inspection).toMatchObject({
+      hasSignatures: true,
+      pageCount: 1,
+      error: null,
+    });
+    expect(inspection.signatures).toHaveLength(1);
+    expect(inspection.signatures[0]).toMatchObject({
+      fieldName: "Firma1",
+      subFilter: "adbe.pkcs7.detached",
+      signerName: "Ana Quinonez",
+      serialNumber: "1A2B3C",
+      reason: "Aprobacion de pliegos",
+      coversWholeDocument: true,
+      digestValid: true,
+      signatureValid: true,
+      certificateValidAtSigning: true,
+      isValid: true,
+      error: null,
+    });
+    expect(service.hasValidSignature(inspection)).toBe(true);
+  });
+
+  test("una actualización incremental posterior deja el documento sin firma válida", async () => {
+    const inspection = await service.inspect(appendIncrementalUpdate(signed));
+
+    // La parte firmada sigue íntegra, pero ya no es todo el archivo
+    expect(inspection.signatures[0]).toMatchObject({
+      coversWholeDocument: false,
+      digestValid: true,
+      signatureValid: true,
+      isValid: true,
+    });
+    expect(service.hasValidSignature(inspection)).toBe(false);
+  });
+
+  test("un byte alterado dentro del rango firmado invalida el resumen", async () => {
+    const tampered = Buffer.from(signed);
+    const textOffset = tampered.indexOf("Informe tecnico");
+    tampered[textOffset] = "X".charCodeAt(0);
+
+    const [signature] = (await service.inspect(tampered)).signatures;
+
+    expect(signature).toMatchObject({
+      coversWholeDocument: true,
+      digestValid: false,
+      isValid: false,
+    });
+  });
+
+  test("un certificado fuera de vigencia al firmar invalida la firma", async () => {
+    const expired = new PdfSignatureService();
+    // El certificado del fixture, pero vigente solo desde después de la firma
+    const verifyCms = expired._verifyCms.bind(expired);
+    expired._verifyCms = (der, content) => ({
+      ...verifyCms(der, content),
+      certificateValidFrom: new Date("2050-01-01T00:00:00Z"),
+    });
+
+    const inspection = await expired.inspect(signed);
+
+    expect(inspection.signatures[0]).toMatchObject({
+      coversWholeDocument: true,
+      digestValid: true,
+      signatureValid: true,
+      certificateValidAtSigning: false,
+      isValid: false,
+    });
+    expect(expired.hasValidSignature(inspection)).toBe(false);
+  });
+});
+
+describe("PdfSignatureService - ByteRange y DER", () => {
+  const service = new PdfSignatureService();
+
+  test("la cobertura exige empezar en 0 y terminar en el último byte", () => {
+    expect(service._coversWholeDocument([0, 100, 200, 50], 250)).toBe(true);
+    expect(service._coversWholeDocument([0, 100, 200, 50], 300)).toBe(false);
+    expect(service._coversWholeDocument([10, 90, 200, 50], 250)).toBe(false);
+  });
+
+  test("lee longitudes cortas y largas y rechaza estructuras truncadas", () => {
+    const short = service._readTlv(Buffer.from([0x04, 0x02, 0xaa, 0xbb]), 0);
+    expect(short).toMatchObject({ tag: 0x04, end: 4 });
+    expect(short.value).toEqual(Buffer.from([0xaa, 0xbb]));
+
+    const long = service._readTlv(
+      Buffer.concat([Buffer.from([0x04, 0x81, 0x80]), Buffer.alloc(0x80)]),
+      0
+    );
+    expect(long.value).toHaveLength(0x80);
+    expect(long.end).toBe(0x83);
+
+    expect(() => service._readTlv(Buffer.from([0x04, 0x05, 0x00]), 0)).toThrow(
+      "Estructura DER truncada"
+    );
+    expect(() => service._readTlv(Buffer.from([0x30, 0x80, 0x00]), 0)).toThrow(
+      "longitud indefinida"
+    );
+  });
+
+  test("decodifica OID y fechas UTCTime / GeneralizedTime", () => {
+    // 1.2.840.113549.1.9.4 (messageDigest)
+    const oid = service._readTlv(
+      Buffer.from("06092a864886f70d010904", "hex"),
+      0
+    );
+    expect(service._decodeOid(oid)).toBe("1.2.840.113549.1.9.4");
+
+    const utc = service._readTlv(
+      Buffer.concat([Buffer.from([0x17, 0x0d]), Buffer.from("250310150000Z")]),
+      0
+    );
+    expect(service._decodeTime(utc)).toEqual(new Date("2025-03-10T15:00:00Z"));
+
+    const generalized = service._readTlv(
+      Buffer.concat([
+        Buffer.from([0x18, 0x0f]),
+        Buffer.from("20510310150000Z"),
+      ]),
+      0
+    );
+    expect(service._decodeTime(generalized)).toEqual(
+      new Date("2051-03-10T15:00:00Z")
+    );
+  });
+
+  test("una firma sin CMS válido se informa sin lanzar", async () => {
+    const signed = await fs.readFile(FIXTURE);
+    // Reemplazar el inicio del /Contents por un SEQUENCE que no es SignedData
+    const broken = Buffer.from(signed);
+    const contents = broken.indexOf("/Contents <") + "/Contents <".length;
+    broken.write("3003060100", contents, "latin1");
+
+    const [signature] = (await service.inspect(broken)).signatures;
+
+    expect(signature.isValid).toBe(false);
+    expect(signature.error).toBeTruthy();
+  });
+});
@@ -0,0 +1,105 @@
+// =============================================================================
+// tests/exp-digital/phase-engine.service.test.js
+// Avance automático de fases: versión del contrato e historial de cambios
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import {
+  PhaseEngineService,
+  PHASE_ACTIONS,
+} from "../../src/module/exp-digital/services/phase-engine.service.js";
+
+const CONTRACT_ID = new Types.ObjectId().toString();
+const PREPARATION = new Types.ObjectId().toString();
+const CALL = new Types.ObjectId().toString();
+const USER = { userId: new Types.ObjectId().toString() };
+
+/**
+ * Consulta encadenable de mongoose que resuelve a `result`
+ */
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+function createService({ matched = true } = {}) {
+  const contract = {
+    _id: CONTRACT_ID,
+    contractNumber: "GADMCE-001-2025",
+    currentPhase: PREPARATION,
+    phases: [{ phase: PREPARATION, status: "IN_PROGRESS" }],
+    updatedAt: new Date("2025-03-10T15:00:00Z"),
+    concurrencyControl: { version: 5 },
+  };
+
+  const service = new PhaseEngineService();
+  service.contractRepository = {
+    model: {
+      findOne: () => chain(contract),
+      findOneAndUpdate: jest.fn(() =>
+        chain(matched ? { concurrencyControl: { version: 6 } } : null)
+      ),
+    },
+  };
+  service.loadFlow = async () => [];
+  service.buildState = () => [];
+  service._findNode = () => ({
+    id: PREPARATION,
+    status: "IN_PROGRESS",
+    phase: { _id: PREPARATION, name: "Preparatoria" },
+    config: { autoAdvance: true, requiresApproval: false },
+  });
+  service.phaseChecklistService = {
+    evaluate: async () => ({ isComplete: true }),
+  };
+  service.planAdvance = async () => ({
+    steps: [{ action: PHASE_ACTIONS.START, phaseId: CALL }],
+    nextPhase: { _id: CALL, name: "Precontractual" },
+  });
+  service.resolveCurrentPhase = () => CALL;
+  service._createHistoryEntry = jest.fn(async () => {});
+  return service;
+}
+
+describe("PhaseEngineService - avance automático", () => {
+  test("incrementa la versión y registra los cambios en el historial", async () => {
+    const service = createService();
+
+    const result = await service.handleChecklistUpdate(
+      CONTRACT_ID,
+      PREPARATION,
+      USER
+    );
+
+    expect(result.currentPhase).toBe(CALL);
+    const [filter, update] =
+      service.contractRepository.model.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: CONTRACT_ID });
+    expect(update.$inc).toEqual({ "concurrencyControl.version": 1 });
+
+    const [, , entry] = service._createHistoryEntry.mock.calls[0];
+    expect(entry.changesData).toMatchObject({ automatic: true, version: 6 });
+    expect(entry.changesData.changes).toEqual([
+      { field: "currentPhase", oldValue: PREPARATION, newValue: CALL },
+      {
+        field: "phases.0.status",
+        oldValue: "IN_PROGRESS",
+        newValue: "COMPLETED",
+      },
+      { field: "phases.1.status", oldValue: null, newValue: "IN_PROGRESS" },
+    ]);
+  });
+
+  test("no registra historial si el contrato cambió entretanto", async () => {
+    const service = createService({ matched: false });
+
+    await expect(
+      service.handleChecklistUpdate(CONTRACT_ID, PREPARATION, USER)
+    ).resolves.toBeNull();
+    expect(service._createHistoryEntry).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+// =============================================================================
+// tests/exp-digital/sercop-client.service.test.js
+// Cliente SERCOP: límite de tasa, reintentos de 429/5xx y Retry-After
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import http from "http";
+import { SercopClientService } from "../../src/module/exp-digital/services/sercop-client.service.js";
+
+const ENV = {
+  SERCOP_CACHE_ENABLED: "false",
+  SERCOP_RATE_LIMIT_BURST: "3",
+  SERCOP_RATE_LIMIT_PER_SECOND: "20",
+  SERCOP_MAX_RETRIES: "2",
+  SERCOP_RETRY_BASE_MS: "10",
+  SERCOP_RETRY_MAX_MS: "1000",
+};
+const SETTINGS = { retryBaseMs: 100, retryMaxMs: 1000 };
+
+describe("SercopClientService", () => {
+  let server;
+  let requests;
+  let responders;
+  let client;
+  const previousEnv = {};
+
+  beforeAll(async () => {
+    // Cada ruta responde con la siguiente respuesta de su lista
+    server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      requests.push({ path: pathname, at: Date.now() });
+      const queue = responders[pathname] || [];
+      const {
+        status = 200,
+        headers = {},
+        body = { ok: true },
+      } = queue.length > 1 ? queue.shift() : queue[0] || {};
+      res.writeHead(status, {
+        "Content-Type":
+          typeof body === "string" ? "text/html" : "application/json",
+        ...headers,
+      });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    for (const key of [...Object.keys(ENV), "SERCOP_API_URL"]) {
+      previousEnv[key] = process.env[key];
+    }
+    Object.assign(process.env, ENV, {
+      SERCOP_API_URL: `http://127.0.0.1:${server.address().port}/api`,
+    });
+  });
+
+  afterAll(async () => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    responders = {};
+    client = new SercopClientService();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    // Devolver las fichas consumidas antes de la siguiente prueba
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  });
+
+  test("permite una ráfaga y luego espacia las solicitudes", async () => {
+    const start = Date.now();
+    await Promise.all(
+      Array.from({ length: 5 }, (_, i) => client.get("record", { ocid: i }))
+    );
+
+    expect(requests).toHaveLength(5);
+    // 3 fichas de ráfaga; después una cada 50 ms
+    const elapsed = requests.map((request) => request.at - start);
+    expect(elapsed[3]).toBeGreaterThanOrEqual(45);
+    expect(elapsed[4]).toBeGreaterThanOrEqual(95);
+  });
+
+  test("reintenta los 5xx y las páginas HTML hasta obtener JSON", async () => {
+    responders["/api/record"] = [
+      { status: 503 },
+      { status: 200, body: "<html>Mantenimiento</html>" },
+      { status: 200, body: { records: [{ ocid: "ocds-1" }] } },
+    ];
+
+    const data = await client.get("record", { ocid: "ocds-1" });
+
+    expect(data.records[0].ocid).toBe("ocds-1");
+    expect(requests).toHaveLength(3);
+  });
+
+  test("se rinde al agotar los reintentos y no reintenta los 4xx", async () => {
+    responders["/api/record"] = [{ status: 502 }];
+    responders["/api/search_ocds"] = [{ status: 400 }];
+
+    await expect(client.get("record", { ocid: "x" })).rejects.toMatchObject({
+      attempts: 3,
+      response: { status: 502 },
+    });
+    expect(requests).toHaveLength(3);
+
+    await expect(
+      client.get("search_ocds", { year: 2025 })
+    ).rejects.toMatchObject({ attempts: 1, response: { status: 400 } });
+    expect(requests).toHaveLength(4);
+  });
+
+  test("un 429 con Retry-After detiene también a las demás solicitudes", async () => {
+    responders["/api/search_ocds"] = [
+      { status: 429, headers: { "Retry-After": "0.3" } },
+      { status: 200, body: { data: [] } },
+    ];
+
+    const first = client.get("search_ocds", { year: 2025 });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const second = client.get("record", { ocid: "ocds-2" });
+    await Promise.all([first, second]);
+
+    const [limited, ...rest] = requests;
+    expect(limited.path).toBe("/api/search_ocds");
+    for (const request of rest) {
+      expect(request.at - limited.at).toBeGreaterThanOrEqual(290);
+    }
+    expect(rest.map((request) => request.path).sort()).toEqual([
+      "/api/record",
+      "/api/search_ocds",
+    ]);
+  });
+
+  test("clasifica los errores reintentables", () => {
+    const withStatus = (status) => ({ response: { status } });
+
+    expect(client._isRetryable(withStatus(429))).toBe(true);
+    expect(client._isRetryable(withStatus(500))).toBe(true);
+    expect(client._isRetryable(withStatus(503))).toBe(true);
+    expect(client._isRetryable(withStatus(404))).toBe(false);
+    expect(client._isRetryable(withStatus(401))).toBe(false);
+    expect(client._isRetryable({ code: "ECONNRESET" })).toBe(true);
+    expect(client._isRetryable({ code: "ETIMEDOUT" })).toBe(true);
+    expect(client._isRetryable({ code: "EXTERNAL_API_ERROR" })).toBe(true);
+    expect(client._isRetryable({ code: "ERR_INVALID_URL" })).toBe(false);
+  });
+
+  test("interpreta Retry-After en segundos o como fecha HTTP", () => {
+    expect(client._parseRetryAfter(undefined)).toBeNull();
+    expect(client._parseRetryAfter("2")).toBe(2000);
+    expect(client._parseRetryAfter("-5")).toBe(0);
+    expect(client._parseRetryAfter("mañana")).toBeNull();
+
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    const fromDate = client._parseRetryAfter(inFiveSeconds);
+    expect(fromDate).toBeGreaterThan(3000);
+    expect(fromDate).toBeLessThanOrEqual(5000);
+    expect(client._parseRetryAfter("Mon, 10 Mar 2025 15:00:00 GMT")).toBe(0);
+  });
+
+  test("la espera crece exponencialmente con variación y respeta el tope", () => {
+    const retryAfter = (value) => ({
+      response: { status: 429, headers: { "retry-after": value } },
+    });
+    expect(client._retryDelay(retryAfter("0.5"), 1, SETTINGS)).toBe(500);
+    expect(client._retryDelay(retryAfter("120"), 1, SETTINGS)).toBe(1000);
+
+    const random = jest.spyOn(Math, "random");
+    random.mockReturnValue(0);
+    expect(
+      [1, 2, 3, 5].map((n) => client._retryDelay({}, n, SETTINGS))
+    ).toEqual([50, 100, 200, 500]);
+    random.mockReturnValue(0.999999);
+    expect(
+      [1, 2, 3, 5].map((n) => client._retryDelay({}, n, SETTINGS))
+    ).toEqual([100, 200, 400, 1000]);
+  });
+});
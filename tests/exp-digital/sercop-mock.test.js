@@ -0,0 +1,77 @@
+// =============================================================================
+// tests/exp-digital/sercop-mock.test.js
+// Consultas a SERCOP contra el servidor simulado (scripts/sercop-mock-server.js)
+// =============================================================================
+
+import { createSercopMockServer } from "../../scripts/sercop-mock-server.js";
+import { SercopSyncService } from "../../src/module/exp-digital/services/sercop-sync.service.js";
+
+const OCID = "ocds-5wno2w-SIE-GADPE-001-2025";
+const ENV_KEYS = [
+  "SERCOP_API_URL",
+  "SERCOP_CACHE_ENABLED",
+  "SERCOP_RETRY_MAX_MS",
+];
+
+describe("SercopSyncService con el servidor simulado", () => {
+  let app;
+  let server;
+  let service;
+  const previousEnv = {};
+
+  beforeAll(async () => {
+    app = createSercopMockServer();
+    server = await new Promise((resolve) => {
+      const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+    });
+
+    for (const key of ENV_KEYS) previousEnv[key] = process.env[key];
+    process.env.SERCOP_API_URL = `http://127.0.0.1:${server.address().port}/PLATAFORMA/api`;
+    process.env.SERCOP_CACHE_ENABLED = "false";
+    process.env.SERCOP_RETRY_MAX_MS = "20";
+
+    service = new SercopSyncService();
+  });
+
+  afterAll(async () => {
+    for (const key of ENV_KEYS) {
+      if (previousEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = previousEnv[key];
+    }
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => app.locals.resetMock());
+
+  test("busca procesos por año y página desde los fixtures", async () => {
+    const first = await service.searchContracts({ year: 2025 });
+    expect(first).toMatchObject({ total: 5, pages: 2, page: 1 });
+    expect(first.data.map((item) => item.ocid)).toContain(OCID);
+
+    const second = await service.searchContracts({ year: 2025, page: 2 });
+    expect(second.data).toHaveLength(2);
+  });
+
+  test("obtiene el registro OCDS de un proceso", async () => {
+    const detail = await service.getContractDetail(OCID);
+
+    expect(detail.records[0].ocid).toBe(OCID);
+    expect(detail.records[0].releases.length).toBeGreaterThan(0);
+  });
+
+  test("un OCID inexistente responde 404 sin reintentos", async () => {
+    await expect(
+      service.getContractDetail("ocds-no-existe")
+    ).rejects.toMatchObject({
+      statusCode: 404,
+      details: { attempts: 1 },
+    });
+  });
+
+  test("reintenta los 429 y termina con los datos del fixture", async () => {
+    // errors.json: el año 1997 responde 429 dos veces y luego sirve 2025
+    const result = await service.searchContracts({ year: 1997 });
+
+    expect(result.data.map((item) => item.ocid)).toContain(OCID);
+  });
+});
@@ -0,0 +1,150 @@
+// =============================================================================
+// tests/exp-digital/sercop-reconciliation.service.test.js
+// Conciliación de un contrato importado con su registro en SERCOP (fixtures)
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Types } from "mongoose";
+import { OcdsMapperService } from "../../src/module/exp-digital/services/ocds-mapper.service.js";
+import { SercopReconciliationService } from "../../src/module/exp-digital/services/sercop-reconciliation.service.js";
+
+const RECORDS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../scripts/fixtures/sercop/records"
+);
+
+const loadRecord = async (ocid) =>
+  JSON.parse(await fs.readFile(path.join(RECORDS_DIR, `${ocid}.json`), "utf8"));
+
+const mapper = new OcdsMapperService();
+
+const mapRecord = async (ocid) =>
+  mapper.mapRelease(mapper.extractRelease(await loadRecord(ocid)));
+
+describe("SercopReconciliationService - conciliación de un contrato", () => {
+  const OCID = "ocds-5wno2w-COTO-GADPE-002-2025";
+
+  /**
+   * Contrato sincronizado con SERCOP y editado después en el expediente
+   */
+  async function buildContract() {
+    const mapped = await mapRecord(OCID);
+    const snapshot = mapper.buildSyncState(mapped).snapshot.map((item) =>
+      // La fecha de fin cambió en SERCOP desde la última conciliación
+      item.field === "timeline.executionEndDate"
+        ? { ...item, value: new Date("2025-10-31T05:00:00.000Z") }
+        : item
+    );
+
+    return {
+      _id: new Types.ObjectId(),
+      contractNumber: "COTO-GADPE-002-2025",
+      generalStatus: "CONTRACTING",
+      contractualObject: mapped.data.contractualObject,
+      detailedDescription: mapped.data.detailedDescription,
+      sercopCode: mapped.data.sercopCode,
+      budget: {
+        // Corregido localmente: el valor referencial siempre se revisa
+        estimatedValue: 400000,
+        awardedValue: null,
+      },
+      contractor: {
+        ruc: mapped.data.contractor.ruc,
+        // Editado localmente desde la última conciliación
+        businessName: "CONSTRUCTORA RÍO VERDE",
+      },
+      timeline: {
+        ...mapped.data.timeline,
+        executionEndDate: new Date("2025-10-31T05:00:00.000Z"),
+      },
+      concurrencyControl: { version: 7 },
+      metadata: { sercopOcid: OCID, sercopSync: { snapshot } },
+    };
+  }
+
+  function createService({ applied = true } = {}) {
+    const service = new SercopReconciliationService();
+    service.sercopSyncService = { getContractDetail: loadRecord };
+    service.contractRepository = {
+      applySercopChanges: jest.fn(async () => (applied ? {} : null)),
+      updateSercopSync: jest.fn(async () => ({})),
+    };
+    service.contractHistoryRepository = { create: jest.fn(async () => ({})) };
+    service.sercopReviewRepository = {
+      findRejectedValues: async () => new Map(),
+      upsertPending: jest.fn(async () => ({})),
+      supersedePending: jest.fn(async () => ({})),
+      countPendingByContract: async () => new Map(),
+    };
+    return service;
+  }
+
+  test("aplica lo no editado, encola lo editado e informa la deriva", async () => {
+    const contract = await buildContract();
+    const service = createService();
+
+    const result = await service.reconcileContract(contract, {
+      integrationId: "SERCOP-RECON-TEST",
+    });
+
+    expect(result.applied.map((item) => item.field).sort()).toEqual([
+      "budget.awardedValue",
+      "timeline.executionEndDate",
+    ]);
+    expect(result.queued).toEqual([
+      expect.objectContaining({
+        field: "budget.estimatedValue",
+        reason: "Campo que requiere revisión manual",
+      }),
+      expect.objectContaining({
+        field: "contractor.businessName",
+        reason: "El valor se modificó localmente desde la última conciliación",
+      }),
+    ]);
+    expect(result).toMatchObject({ deferred: false, drift: true });
+
+    const [, version, changes] =
+      service.contractRepository.applySercopChanges.mock.calls[0];
+    expect(version).toBe(7);
+    expect(changes).toEqual({
+      "budget.awardedValue": 387562.7,
+      "timeline.executionEndDate": new Date("2025-11-30T05:00:00.000Z"),
+    });
+
+    // Un registro de historial por grupo de campos
+    const events = service.contractHistoryRepository.create.mock.calls.map(
+      ([entry]) => entry.eventType
+    );
+    expect(events.sort()).toEqual(["BUDGET_CHANGE", "TIMELINE_CHANGE"]);
+    expect(service.sercopReviewRepository.upsertPending).toHaveBeenCalledTimes(
+      2
+    );
+
+    const [, syncState] =
+      service.contractRepository.updateSercopSync.mock.calls[0];
+    expect(syncState).toMatchObject({
+      integrationId: "SERCOP-RECON-TEST",
+      sercopStage: "implementation",
+      sercopStatus: "EXECUTION",
+    });
+  });
+
+  test("si el contrato cambió entretanto difiere y conserva el snapshot", async () => {
+    const contract = await buildContract();
+    const service = createService({ applied: false });
+
+    const result = await service.reconcileContract(contract, {
+      integrationId: "SERCOP-RECON-TEST",
+    });
+
+    expect(result).toMatchObject({ deferred: true, applied: [] });
+    expect(service.contractHistoryRepository.create).not.toHaveBeenCalled();
+
+    const [, syncState] =
+      service.contractRepository.updateSercopSync.mock.calls[0];
+    expect(syncState.snapshot).toBe(contract.metadata.sercopSync.snapshot);
+  });
+});
@@ -0,0 +1,253 @@
+// =============================================================================
+// tests/exp-digital/storage-blob.repository.test.js
+// Contenido compartido: referencias por checksum y eliminación de la última
+// =============================================================================
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Types } from "mongoose";
+import { StorageBlobRepository } from "../../src/module/exp-digital/repositories/storage-blob.repository.js";
+import { StorageService } from "../../src/module/exp-digital/services/storage.service.js";
+import { getStorageDriver } from "../../src/config/storage/storage.drivers.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * Colección storage_blobs en memoria con los operadores que usa el repositorio
+ */
+function createBlobModel() {
+  const docs = [];
+  const state = { duplicateKeyErrors: 0 };
+
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, condition]) => {
+      const value = doc[field];
+      if (
+        condition &&
+        typeof condition === "object" &&
+        !Types.ObjectId.isValid(condition)
+      ) {
+        if ("$gt" in condition) return value > condition.$gt;
+        if ("$lte" in condition) return value <= condition.$lte;
+      }
+      return String(value) === String(condition);
+    });
+  const query = (result) => ({
+    lean: async () => result && copyOf(result),
+  });
+  // Copia superficial: structuredClone no conserva los ObjectId
+  const copyOf = (doc) => ({ ...doc, copies: [...doc.copies] });
+
+  return {
+    docs,
+    state,
+    findOneAndUpdate(filter, update, options = {}) {
+      let doc = docs.find((candidate) => matches(candidate, filter));
+
+      if (!doc && options.upsert) {
+        if (state.duplicateKeyErrors > 0) {
+          state.duplicateKeyErrors--;
+          // Otra alta simultánea del mismo hash ganó la carrera
+          docs.push({
+            _id: new Types.ObjectId(),
+            ...update.$setOnInsert,
+            refCount: 1,
+            copies: [],
+          });
+          return {
+            lean: async () =>
+              Promise.reject(
+                Object.assign(new Error("E11000"), { code: 11000 })
+              ),
+          };
+        }
+        doc = {
+          _id: new Types.ObjectId(),
+          ...update.$setOnInsert,
+          refCount: 0,
+          copies: [],
+        };
+        docs.push(doc);
+      }
+      if (!doc) return query(null);
+
+      for (const [field, amount] of Object.entries(update.$inc || {})) {
+        doc[field] += amount;
+      }
+      Object.assign(doc, update.$set);
+      if (update.$push) doc.copies.push(update.$push.copies);
+      return query(doc);
+    },
+    findOneAndDelete(filter) {
+      const index = docs.findIndex((candidate) => matches(candidate, filter));
+      return query(index === -1 ? null : docs.splice(index, 1)[0]);
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc && update.$pull) {
+        doc.copies = doc.copies.filter(
+          (copy) => copy.provider !== update.$pull.copies.provider
+        );
+      }
+    },
+  };
+}
+
+function createRepository() {
+  const repository = new StorageBlobRepository();
+  repository.model = createBlobModel();
+  return repository;
+}
+
+describe("StorageBlobRepository - referencias", () => {
+  const HASH = sha256("contenido");
+
+  test("acquire crea el blob una vez y suma referencias", async () => {
+    const repository = createRepository();
+
+    const first = await repository.acquire(HASH, {
+      size: 9,
+      mimeType: "text/plain",
+    });
+    const second = await repository.acquire(HASH, { size: 9 });
+
+    expect(first.refCount).toBe(1);
+    expect(second).toMatchObject({
+      refCount: 2,
+      size: 9,
+      mimeType: "text/plain",
+    });
+    expect(String(second._id)).toBe(String(first._id));
+    expect(repository.model.docs).toHaveLength(1);
+  });
+
+  test("un alta simultánea del mismo hash reintenta y comparte el blob", async () => {
+    const repository = createRepository();
+    repository.model.state.duplicateKeyErrors = 1;
+
+    const blob = await repository.acquire(HASH, { size: 9 });
+
+    expect(blob.refCount).toBe(2);
+    expect(repository.model.docs).toHaveLength(1);
+  });
+
+  test("release nunca baja de cero y solo se elimina sin referencias", async () => {
+    const repository = createRepository();
+    const blob = await repository.acquire(HASH, {}, 2);
+
+    expect((await repository.release(blob._id)).refCount).toBe(1);
+    expect(await repository.deleteIfUnreferenced(blob._id)).toBeNull();
+
+    expect((await repository.release(blob._id)).refCount).toBe(0);
+    expect(await repository.release(blob._id)).toBeNull();
+    expect(await repository.deleteIfUnreferenced(blob._id)).toMatchObject({
+      hash: HASH,
+    });
+    expect(repository.model.docs).toHaveLength(0);
+  });
+
+  test("recordCopy reemplaza la copia del mismo backend", async () => {
+    const repository = createRepository();
+    const blob = await repository.acquire(HASH);
+
+    await repository.recordCopy(blob._id, { provider: "LOCAL", key: "a" });
+    await repository.recordCopy(blob._id, { provider: "S3", key: "b" });
+    const updated = await repository.recordCopy(blob._id, {
+      provider: "LOCAL",
+      key: "c",
+    });
+
+    expect(updated.copies.map((copy) => [copy.provider, copy.key])).toEqual([
+      ["S3", "b"],
+      ["LOCAL", "c"],
+    ]);
+  });
+});
+
+describe("StorageService - contenido compartido", () => {
+  let tempDir;
+  let localDriver;
+  let originalBasePath;
+  let service;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-blob-"));
+    localDriver = getStorageDriver("LOCAL");
+    originalBasePath = localDriver.config.basePath;
+    localDriver.config.basePath = tempDir;
+  });
+
+  afterAll(async () => {
+    localDriver.config.basePath = originalBasePath;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    service = new StorageService();
+    service.blobRepository = createRepository();
+  });
+
+  const fileFor = (stored, name) => ({
+    systemName: name,
+    storage: { blob: stored.blob, copies: stored.copies },
+  });
+
+  test("el mismo contenido se guarda una sola vez y se borra con la última referencia", async () => {
+    const content = Buffer.from("acta de entrega recepción");
+    const options = {
+      hash: sha256(content),
+      size: content.length,
+      provider: "LOCAL",
+    };
+
+    const first = await service.storeShared(content, options);
+    const second = await service.storeShared(content, options);
+
+    expect(first.deduplicated).toBe(false);
+    expect(second.deduplicated).toBe(true);
+    expect(second.copy.key).toBe(first.copy.key);
+    const [blob] = service.blobRepository.model.docs;
+    expect(blob.refCount).toBe(2);
+
+    const storedPath = path.join(tempDir, first.copy.key);
+    await expect(fs.readFile(storedPath)).resolves.toEqual(content);
+
+    // Primera eliminación: el otro archivo sigue usando el contenido
+    await expect(service.removeAll(fileFor(first, "a.pdf"))).resolves.toEqual(
+      []
+    );
+    await expect(fs.access(storedPath)).resolves.toBeUndefined();
+    expect(blob.refCount).toBe(1);
+
+    // Última referencia: se borra la copia física y el blob
+    const results = await service.removeAll(fileFor(second, "b.pdf"));
+    expect(results).toEqual([
+      { provider: "LOCAL", key: first.copy.key, removed: true },
+    ]);
+    await expect(fs.access(storedPath)).rejects.toThrow();
+    expect(service.blobRepository.model.docs).toHaveLength(0);
+  });
+
+  test("un contenido que no coincide con el checksum no deja referencias", async () => {
+    const content = Buffer.from("contenido real");
+
+    await expect(
+      service.storeShared(content, {
+        hash: sha256("otro contenido"),
+        size: content.length,
+        provider: "LOCAL",
+      })
+    ).rejects.toThrow("no coincide con el checksum");
+
+    expect(service.blobRepository.model.docs).toHaveLength(0);
+    expect(
+      await fs.readdir(path.join(tempDir, "blobs"), { recursive: true })
+    ).toEqual(
+      expect.not.arrayContaining([
+        expect.stringContaining(sha256("otro contenido")),
+      ])
+    );
+  });
+});
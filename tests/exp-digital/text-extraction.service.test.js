@@ -0,0 +1,188 @@
+// =============================================================================
+// tests/exp-digital/text-extraction.service.test.js
+// Extracción de texto (PDF, DOCX, CSV) y fragmentos resaltados de búsqueda
+// =============================================================================
+
+import archiver from "archiver";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import {
+  TextExtractionService,
+  TEXT_EXTRACTORS,
+} from "../../src/module/exp-digital/services/text-extraction.service.js";
+import { DocumentSearchService } from "../../src/module/exp-digital/services/document-search.service.js";
+
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+async function createPdf(pages) {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  for (const lines of pages) {
+    const page = pdf.addPage();
+    lines.forEach((line, index) => {
+      page.drawText(line, { x: 50, y: 700 - index * 20, font, size: 12 });
+    });
+  }
+  return Buffer.from(await pdf.save());
+}
+
+async function createZip(entries) {
+  const zip = archiver("zip");
+  const chunks = [];
+  zip.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    zip.on("end", resolve);
+    zip.on("error", reject);
+  });
+
+  for (const [name, content] of Object.entries(entries)) {
+    zip.append(content, { name });
+  }
+  await zip.finalize();
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+describe("TextExtractionService", () => {
+  const service = new TextExtractionService();
+
+  test("elige el extractor por tipo MIME o extensión", () => {
+    expect(service.getExtractor({ mimeType: "application/pdf" })).toBe(
+      TEXT_EXTRACTORS.PDF
+    );
+    expect(service.getExtractor({ mimeType: DOCX_MIME_TYPE })).toBe(
+      TEXT_EXTRACTORS.DOCX
+    );
+    expect(service.getExtractor({ extension: ".CSV" })).toBe(
+      TEXT_EXTRACTORS.PLAIN
+    );
+    expect(service.getExtractor({ mimeType: "image/png" })).toBeNull();
+  });
+
+  test("extrae el texto de cada página de un PDF", async () => {
+    const buffer = await createPdf([
+      ["Informe de contratación", "Año fiscal 2025 – Esmeraldas"],
+      ["Segunda página"],
+    ]);
+
+    const result = await service.extract(buffer, {
+      mimeType: "application/pdf",
+    });
+
+    expect(result).toEqual({
+      extractor: TEXT_EXTRACTORS.PDF,
+      text: "Informe de contratación\nAño fiscal 2025 – Esmeraldas\n\nSegunda página",
+      pageCount: 2,
+    });
+  });
+
+  test("extrae cuerpo y encabezados de un DOCX", async () => {
+    const buffer = await createZip({
+      "word/header1.xml":
+        "<w:hdr><w:p><w:r><w:t>GADM Esmeraldas</w:t></w:r></w:p></w:hdr>",
+      "word/document.xml":
+        "<w:document><w:body>" +
+        "<w:p><w:r><w:t>Acta de</w:t></w:r>" +
+        '<w:r><w:t xml:space="preserve"> recepción &amp; entrega</w:t></w:r></w:p>' +
+        "<w:p><w:r><w:t>Segundo</w:t><w:tab/><w:t>p&#225;rrafo</w:t></w:r></w:p>" +
+        "</w:body></w:document>",
+      "word/styles.xml": "<w:styles><w:t>no es texto</w:t></w:styles>",
+    });
+
+    const result = await service.extract(buffer, { extension: "docx" });
+
+    // Primero el cuerpo, luego el encabezado; los estilos se ignoran
+    expect(result.text).toBe(
+      "Acta de recepción & entrega\nSegundo párrafo\n\nGADM Esmeraldas"
+    );
+  });
+
+  test("un DOCX sin word/document.xml se rechaza", async () => {
+    const buffer = await createZip({ "otro.xml": "<x/>" });
+
+    await expect(
+      service.extract(buffer, { mimeType: DOCX_MIME_TYPE })
+    ).rejects.toThrow("word/document.xml");
+  });
+
+  test("decodifica CSV en UTF-8, UTF-16 y Windows-1252", async () => {
+    const csv = "Código;Descripción\n001;Señalética  vial\n";
+
+    const utf8 = await service.extract(Buffer.from(csv, "utf8"), {
+      mimeType: "text/csv",
+    });
+    expect(utf8.text).toBe("Código;Descripción\n001;Señalética vial");
+
+    const utf16 = Buffer.concat([
+      Buffer.from([0xff, 0xfe]),
+      Buffer.from(csv, "utf16le"),
+    ]);
+    expect((await service.extract(utf16, { extension: "csv" })).text).toBe(
+      utf8.text
+    );
+
+    // Exportación de Excel en Windows-1252: ñ = 0xF1, € = 0x80, “ ” = 0x93 0x94
+    const ansi = Buffer.from([
+      0x41, 0xf1, 0x6f, 0x3b, 0x80, 0x31, 0x30, 0x3b, 0x93, 0x4f, 0x4b, 0x94,
+    ]);
+    expect((await service.extract(ansi, { extension: "csv" })).text).toBe(
+      "Año;€10;“OK”"
+    );
+  });
+});
+
+describe("DocumentSearchService - fragmentos resaltados", () => {
+  const service = new DocumentSearchService();
+
+  test("los términos ignoran exclusiones, tildes y palabras cortas", () => {
+    expect(service._queryTerms('Contratos "acta entrega" -anulado a')).toEqual([
+      "contratos",
+      "acta",
+      "entrega",
+    ]);
+  });
+
+  test("resalta por raíz y sin tildes, escapando el HTML", () => {
+    const text =
+      "El GADM firmó la CONTRATACIÓN de obras. Acta de entrega <recepción> del contrato principal.";
+
+    const [snippet] = service._buildSnippets(
+      text,
+      service._queryTerms("contratos recepcion")
+    );
+
+    expect(snippet.text).toBe(text);
+    expect(
+      snippet.highlights.map(({ start, length }) =>
+        snippet.text.slice(start, start + length)
+      )
+    ).toEqual(["CONTRATACIÓN", "recepción", "contrato"]);
+    expect(snippet.html).toBe(
+      "El GADM firmó la <mark>CONTRATACIÓN</mark> de obras. Acta de entrega &lt;<mark>recepción</mark>&gt; del <mark>contrato</mark> principal."
+    );
+  });
+
+  test("no resalta coincidencias en medio de una palabra", () => {
+    expect(
+      service._buildSnippets("Subcontratación de servicios", ["contrato"])
+    ).toEqual([]);
+  });
+
+  test("separa fragmentos lejanos y recorta sin cortar palabras", () => {
+    const filler = (word) => Array(60).fill(word).join(" ");
+    const text = `${filler("antes")} garantía técnica ${filler("medio")} garantías  finales ${filler("después")}`;
+
+    const snippets = service._buildSnippets(text, ["garantia"]);
+
+    expect(snippets).toHaveLength(2);
+    for (const snippet of snippets) {
+      expect(snippet.text.startsWith("…")).toBe(true);
+      expect(snippet.text.endsWith("…")).toBe(true);
+      expect(snippet.text).not.toMatch(/…\S*[^a-zé ]/);
+      const [{ start, length }] = snippet.highlights;
+      expect(snippet.text.slice(start, start + length)).toMatch(/^garantías?$/);
+    }
+    // Los espacios dobles se compactan sin desplazar el resaltado
+    expect(snippets[1].text).toContain("garantías finales");
+  });
+});
@@ -0,0 +1,256 @@
+// =============================================================================
+// tests/notifications/email-outbox.repository.test.js
+// Cola de correos: toma atómica, reintentos con retraso exponencial y
+// recuperación de envíos interrumpidos
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import emailService from "../../src/module/notifications/services/email.service.js";
+import emailOutboxRepository from "../../src/module/notifications/repositories/email-outbox.repository.js";
+import notificationRepository from "../../src/module/notifications/repositories/notification.repository.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Colección email_outbox en memoria con los filtros que usa el repositorio
+ */
+function createOutboxModel() {
+  const docs = [];
+
+  const compare = (value, condition) => {
+    if (condition instanceof Date || typeof condition !== "object") {
+      return String(value) === String(condition);
+    }
+    if ("$lte" in condition) return value <= condition.$lte;
+    if ("$lt" in condition) return value < condition.$lt;
+    if ("$in" in condition)
+      return condition.$in.map(String).includes(String(value));
+    return String(value) === String(condition);
+  };
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, condition]) => {
+      if (field === "$expr") {
+        const [operator, [left, right]] = Object.entries(condition)[0];
+        const a = doc[left.slice(1)];
+        const b = doc[right.slice(1)];
+        return operator === "$gte" ? a >= b : a < b;
+      }
+      return compare(doc[field], condition);
+    });
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc || {})) {
+      doc[field] += amount;
+    }
+    doc.updatedAt = new Date();
+    return { ...doc };
+  };
+
+  return {
+    docs,
+    async create(data) {
+      const doc = {
+        _id: new Types.ObjectId(),
+        maxAttempts: 4,
+        ...data,
+        updatedAt: new Date(),
+      };
+      docs.push(doc);
+      return { ...doc };
+    },
+    async findOneAndUpdate(filter, update, options = {}) {
+      const candidates = docs.filter((doc) => matches(doc, filter));
+      if (options.sort)
+        candidates.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      return candidates[0] ? apply(candidates[0], update) : null;
+    },
+    async findByIdAndUpdate(id, update) {
+      const doc = docs.find(
+        (candidate) => String(candidate._id) === String(id)
+      );
+      return doc ? apply(doc, update) : null;
+    },
+    find(filter) {
+      const query = {
+        select: () => query,
+        lean: async () =>
+          docs.filter((doc) => matches(doc, filter)).map((doc) => ({ ...doc })),
+      };
+      return query;
+    },
+    async updateMany(filter, update) {
+      const matched = docs.filter((doc) => matches(doc, filter));
+      matched.forEach((doc) => apply(doc, update));
+      return { modifiedCount: matched.length };
+    },
+  };
+}
+
+const enqueue = (overrides = {}) =>
+  emailOutboxRepository.enqueue({
+    notification: new Types.ObjectId(),
+    recipient: new Types.ObjectId(),
+    to: "ana@esmeraldas.gob.ec",
+    subject: "[Expediente Digital] Documento por revisar",
+    template: "default",
+    maxAttempts: 3,
+    ...overrides,
+  });
+
+describe("Cola de correos", () => {
+  let originalModel;
+  let originalRetry;
+  let outbox;
+  let deliveries;
+
+  beforeAll(() => {
+    originalModel = emailOutboxRepository.model;
+    originalRetry = emailService.retry;
+  });
+
+  afterAll(() => {
+    emailOutboxRepository.model = originalModel;
+    emailService.retry = originalRetry;
+    emailService.transporter = null;
+  });
+
+  beforeEach(() => {
+    outbox = createOutboxModel();
+    emailOutboxRepository.model = outbox;
+    emailService.retry = {
+      maxAttempts: 3,
+      multiplier: 2,
+      initialDelay: 30,
+      maxDelay: 90,
+    };
+    emailService.transporter = {
+      sendMail: jest.fn(async () => ({
+        messageId: "<1@esmeraldas>",
+        response: "250 OK",
+      })),
+    };
+    deliveries = [];
+    jest
+      .spyOn(notificationRepository.model, "updateOne")
+      .mockImplementation(async (filter, update) => {
+        deliveries.push({ notification: filter._id, ...update.$set });
+        return {};
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("un correo solo lo toma un proceso y cuenta el intento", async () => {
+    const queued = await enqueue();
+
+    const first = await emailOutboxRepository.claim(queued._id);
+    const second = await emailOutboxRepository.claim(queued._id);
+
+    expect(first).toMatchObject({ status: "ENVIANDO", attempts: 1 });
+    expect(second).toBeNull();
+  });
+
+  test("no toma un correo antes de su próximo reintento", async () => {
+    const queued = await enqueue();
+    outbox.docs[0].nextAttemptAt = new Date(Date.now() + MINUTE_MS);
+
+    expect(await emailOutboxRepository.claim(queued._id)).toBeNull();
+    expect(await emailOutboxRepository.claimNextDue()).toBeNull();
+  });
+
+  test("el retraso crece exponencialmente hasta el tope", () => {
+    expect(
+      [1, 2, 3, 4].map((attempt) => emailService._getRetryDelayMinutes(attempt))
+    ).toEqual([30, 60, 90, 90]);
+  });
+
+  test("reintenta con retraso y marca FALLIDO al agotar los intentos", async () => {
+    emailService.transporter.sendMail.mockRejectedValue(
+      new Error("SMTP caído")
+    );
+    const queued = await enqueue();
+
+    const first = await emailService.deliver(queued._id);
+    expect(first).toMatchObject({
+      status: "PENDIENTE",
+      attempts: 1,
+      lastError: "SMTP caído",
+    });
+    const delay = first.nextAttemptAt - Date.now();
+    expect(delay).toBeGreaterThan(29 * MINUTE_MS);
+    expect(delay).toBeLessThanOrEqual(30 * MINUTE_MS);
+
+    // Aún no vence: la cola no lo toma
+    expect(await emailService.processOutbox()).toMatchObject({ processed: 0 });
+
+    for (const attempt of [2, 3]) {
+      outbox.docs[0].nextAttemptAt = new Date(Date.now() - 1);
+      await emailService.processOutbox();
+      expect(outbox.docs[0].attempts).toBe(attempt);
+    }
+
+    expect(outbox.docs[0].status).toBe("FALLIDO");
+    expect(emailService.transporter.sendMail).toHaveBeenCalledTimes(3);
+    expect(deliveries.at(-1)).toMatchObject({
+      "channels.emailStatus": "FALLIDO",
+      "channels.emailAttempts": 3,
+    });
+  });
+
+  test("procesa los vencidos por orden y registra el envío en la notificación", async () => {
+    const later = await enqueue({ to: "b@esmeraldas.gob.ec" });
+    const earlier = await enqueue({ to: "a@esmeraldas.gob.ec" });
+    outbox.docs[0].nextAttemptAt = new Date(Date.now() - MINUTE_MS);
+    outbox.docs[1].nextAttemptAt = new Date(Date.now() - 2 * MINUTE_MS);
+
+    const summary = await emailService.processOutbox();
+
+    expect(summary).toMatchObject({ processed: 2, sent: 2, failed: 0 });
+    expect(
+      emailService.transporter.sendMail.mock.calls.map(([mail]) => mail.to)
+    ).toEqual(["a@esmeraldas.gob.ec", "b@esmeraldas.gob.ec"]);
+    expect(outbox.docs.map((doc) => doc.status)).toEqual([
+      "ENVIADO",
+      "ENVIADO",
+    ]);
+    expect(deliveries.map((entry) => String(entry.notification))).toEqual([
+      String(earlier.notification),
+      String(later.notification),
+    ]);
+  });
+
+  test("los envíos interrumpidos vuelven a la cola o fallan sin intentos", async () => {
+    await enqueue();
+    const exhausted = await enqueue();
+    const stale = new Date(Date.now() - 20 * MINUTE_MS);
+    Object.assign(outbox.docs[0], {
+      status: "ENVIANDO",
+      attempts: 1,
+      updatedAt: stale,
+    });
+    Object.assign(outbox.docs[1], {
+      status: "ENVIANDO",
+      attempts: 3,
+      updatedAt: stale,
+    });
+    // Uno reciente puede seguir enviándose en otro proceso
+    const recent = await enqueue();
+    Object.assign(outbox.docs[2], { status: "ENVIANDO", attempts: 1 });
+
+    const result = await emailOutboxRepository.releaseStuck();
+
+    expect(result.released).toBe(1);
+    expect(result.failed.map((entry) => String(entry._id))).toEqual([
+      String(exhausted._id),
+    ]);
+    expect(outbox.docs.map((doc) => doc.status)).toEqual([
+      "PENDIENTE",
+      "FALLIDO",
+      "ENVIANDO",
+    ]);
+    expect(String(outbox.docs[2]._id)).toBe(String(recent._id));
+  });
+});
@@ -0,0 +1,293 @@
+// =============================================================================
+// tests/notifications/notification-preference.service.test.js
+// Horario de silencio, modo de entrega y agrupación de resúmenes
+// =============================================================================
+
+import { jest } from "@jest/globals";
+import { Types } from "mongoose";
+import NotificationPreference from "../../src/module/notifications/models/notification-preference.model.js";
+import notificationPreferenceService from "../../src/module/notifications/services/notification-preference.service.js";
+import notificationDigestService from "../../src/module/notifications/services/notification-digest.service.js";
+import notificationService from "../../src/module/notifications/services/notification.service.js";
+import notificationRepository from "../../src/module/notifications/repositories/notification.repository.js";
+import notificationPreferenceRepository from "../../src/module/notifications/repositories/notification-preference.repository.js";
+
+const USER_ID = new Types.ObjectId();
+const CONTRACT_A = new Types.ObjectId();
+const CONTRACT_B = new Types.ObjectId();
+const PHASE_1 = new Types.ObjectId();
+const PHASE_2 = new Types.ObjectId();
+
+// Hora de Ecuador (UTC-5, sin horario de verano). El 10/03/2025 es lunes.
+const local = (day, hour) => new Date(`2025-03-${day}T${hour}:00-05:00`);
+
+const preferenceFor = (data = {}) =>
+  new NotificationPreference({ user: USER_ID, ...data });
+
+describe("NotificationPreferenceService - horario de silencio", () => {
+  const service = notificationPreferenceService;
+  const night = preferenceFor({
+    quietHours: { enabled: true, start: "20:00", end: "07:00" },
+  });
+
+  test("el horario nocturno cruza la medianoche", () => {
+    expect(service.isInQuietHours(night, local(10, "19:59"))).toBe(false);
+    expect(service.isInQuietHours(night, local(10, "20:00"))).toBe(true);
+    expect(service.isInQuietHours(night, local(11, "03:30"))).toBe(true);
+    expect(service.isInQuietHours(night, local(11, "06:59"))).toBe(true);
+    expect(service.isInQuietHours(night, local(11, "07:00"))).toBe(false);
+  });
+
+  test("usa la zona horaria del sistema y no la del servidor", () => {
+    // 01:00 UTC del martes son las 20:00 del lunes en Guayaquil
+    expect(
+      service.isInQuietHours(night, new Date("2025-03-11T01:00:00Z"))
+    ).toBe(true);
+    expect(
+      service.isInQuietHours(night, new Date("2025-03-10T23:00:00Z"))
+    ).toBe(false);
+  });
+
+  test("horario dentro del mismo día, fines de semana y desactivado", () => {
+    const lunch = preferenceFor({
+      quietHours: {
+        enabled: true,
+        start: "13:00",
+        end: "14:30",
+        weekends: true,
+      },
+    });
+
+    expect(service.isInQuietHours(lunch, local(10, "13:45"))).toBe(true);
+    expect(service.isInQuietHours(lunch, local(10, "14:30"))).toBe(false);
+    // Sábado al mediodía: todo el día silenciado
+    expect(service.isInQuietHours(lunch, local(15, "10:00"))).toBe(true);
+
+    expect(service.isInQuietHours(preferenceFor(), local(11, "03:00"))).toBe(
+      false
+    );
+    expect(service.isInQuietHours(null, local(11, "03:00"))).toBe(false);
+  });
+
+  test("decide el modo de entrega según tipo, contrato y prioridad", () => {
+    const preference = preferenceFor({
+      quietHours: { enabled: true, start: "20:00", end: "07:00" },
+      types: [
+        { type: "DOCUMENTO_SUBIDO", delivery: "RESUMEN" },
+        { type: "RECORDATORIO", delivery: "DESACTIVADO" },
+      ],
+      mutedContracts: [{ contract: CONTRACT_B }],
+    });
+    const night = local(10, "22:00");
+    const day = local(10, "10:00");
+    const data = (overrides) => ({
+      type: "DOCUMENTO_APROBADO",
+      contract: CONTRACT_A,
+      priority: "media",
+      ...overrides,
+    });
+    const mode = (overrides, now) =>
+      service.resolveDelivery(preference, data(overrides), now)?.mode;
+
+    expect(mode({}, day)).toBe("INSTANTANEO");
+    expect(mode({}, night)).toBe("DIFERIDO");
+    // Lo urgente no espera al horario de silencio ni al resumen
+    expect(mode({ priority: "urgente" }, night)).toBe("INSTANTANEO");
+    expect(mode({ type: "DOCUMENTO_SUBIDO", priority: "urgente" }, day)).toBe(
+      "INSTANTANEO"
+    );
+    // El resumen tiene prioridad sobre el horario de silencio
+    expect(mode({ type: "DOCUMENTO_SUBIDO" }, day)).toBe("RESUMEN");
+    expect(mode({ type: "DOCUMENTO_SUBIDO" }, night)).toBe("RESUMEN");
+    expect(mode({ contract: CONTRACT_B, priority: "urgente" }, day)).toBe(
+      "SILENCIADO"
+    );
+    expect(
+      service.resolveDelivery(preference, data({ type: "RECORDATORIO" }), day)
+    ).toBeNull();
+  });
+
+  test("el resumen sale una vez al día desde la hora configurada", () => {
+    const daily = preferenceFor({
+      digest: { frequency: "DIARIO", hour: "08:00" },
+    });
+
+    expect(service.isDigestDue(daily, local(10, "07:59"))).toBe(false);
+    expect(service.isDigestDue(daily, local(10, "08:00"))).toBe(true);
+
+    daily.digest.lastSentAt = local(10, "08:05");
+    expect(service.isDigestDue(daily, local(10, "18:00"))).toBe(false);
+    expect(service.isDigestDue(daily, local(11, "08:00"))).toBe(true);
+
+    const weekly = preferenceFor({
+      digest: { frequency: "SEMANAL", hour: "08:00", weekday: 5 },
+    });
+    expect(service.isDigestDue(weekly, local(13, "09:00"))).toBe(false);
+    expect(service.isDigestDue(weekly, local(14, "09:00"))).toBe(true);
+  });
+});
+
+describe("NotificationDigestService - agrupación", () => {
+  let sequence = 0;
+  const notification = (contract, phase, type, extra = {}) => ({
+    _id: new Types.ObjectId(),
+    recipient: USER_ID,
+    contract,
+    phase,
+    type,
+    title: `Notificación ${++sequence}`,
+    createdAt: new Date(Date.UTC(2025, 2, 10, 12, sequence)),
+    metadata: {
+      contractNumber: contract && `GADMCE-${contract}`,
+      phaseName: "Fase",
+    },
+    ...extra,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("agrupa por contrato y fase con conteos por tipo", async () => {
+    const pending = [
+      ...Array.from({ length: 6 }, (_, i) =>
+        notification(
+          CONTRACT_A,
+          PHASE_1,
+          i < 4 ? "DOCUMENTO_SUBIDO" : "DOCUMENTO_APROBADO"
+        )
+      ),
+      notification(CONTRACT_A, PHASE_2, "RECORDATORIO"),
+      notification(CONTRACT_B, PHASE_1, "DOCUMENTO_SUBIDO"),
+      notification(null, null, "MENSAJE_SISTEMA"),
+    ];
+    jest
+      .spyOn(notificationRepository, "findPendingDigest")
+      .mockResolvedValue(pending);
+
+    const digest = await notificationDigestService.buildDigest(USER_ID);
+
+    expect(digest.total).toBe(9);
+    expect(digest.notificationIds).toEqual(pending.map((n) => n._id));
+    expect(digest.groups.map((g) => [g.contractId, g.total])).toEqual([
+      [CONTRACT_A, 7],
+      [CONTRACT_B, 1],
+      [null, 1],
+    ]);
+
+    const [first] = digest.groups;
+    expect(first.phases.map((p) => [p.phaseId, p.total])).toEqual([
+      [PHASE_1, 6],
+      [PHASE_2, 1],
+    ]);
+    expect(first.phases[0]).toMatchObject({
+      byType: [
+        { type: "DOCUMENTO_SUBIDO", count: 4 },
+        { type: "DOCUMENTO_APROBADO", count: 2 },
+      ],
+      remaining: 1,
+    });
+    // Solo las primeras por fase, en orden de llegada
+    expect(first.phases[0].items.map((item) => item.notificationId)).toEqual(
+      pending.slice(0, 5).map((n) => n._id)
+    );
+    expect(digest.groups[2].phases[0].phaseId).toBeNull();
+  });
+
+  test("envía solo los resúmenes vencidos y marca lo incluido", async () => {
+    const otherUser = new Types.ObjectId();
+    const preferences = new Map([
+      [
+        String(USER_ID),
+        preferenceFor({ digest: { hour: "08:00", email: false } }),
+      ],
+      [
+        String(otherUser),
+        new NotificationPreference({
+          user: otherUser,
+          digest: { hour: "08:00", lastSentAt: local(10, "08:00") },
+        }),
+      ],
+    ]);
+    const pending = [notification(CONTRACT_A, PHASE_1, "DOCUMENTO_SUBIDO")];
+    const digestId = new Types.ObjectId();
+
+    jest
+      .spyOn(notificationRepository, "findPendingDigestRecipients")
+      .mockResolvedValue([USER_ID, otherUser]);
+    jest
+      .spyOn(notificationPreferenceService, "loadPreferences")
+      .mockResolvedValue(preferences);
+    const findPending = jest
+      .spyOn(notificationRepository, "findPendingDigest")
+      .mockResolvedValue(pending);
+    const create = jest
+      .spyOn(notificationService, "createNotification")
+      .mockResolvedValue({ _id: digestId });
+    const markDigested = jest
+      .spyOn(notificationRepository, "markDigested")
+      .mockResolvedValue({});
+    const markSent = jest
+      .spyOn(notificationPreferenceRepository, "markDigestSent")
+      .mockResolvedValue({});
+    const now = local(10, "09:00");
+
+    const summary = await notificationDigestService.sendDueDigests({ now });
+
+    expect(summary).toEqual({ usersChecked: 2, digestsSent: 1, errors: [] });
+    expect(findPending).toHaveBeenCalledTimes(1);
+    expect(findPending).toHaveBeenCalledWith(USER_ID);
+
+    const [data, options] = create.mock.calls[0];
+    expect(options).toEqual({ bypassPreferences: true });
+    expect(data).toMatchObject({
+      recipient: USER_ID,
+      type: "RESUMEN_NOTIFICACIONES",
+      title: "Resumen diario: 1 notificaciones",
+      channels: { inApp: true, email: false },
+      metadata: { digest: { frequency: "DIARIO", total: 1 } },
+    });
+    expect(markDigested).toHaveBeenCalledWith([pending[0]._id], digestId);
+    expect(markSent).toHaveBeenCalledWith(USER_ID, now);
+  });
+
+  test("libera las diferidas cuando termina el horario de silencio", async () => {
+    const sleeping = new Types.ObjectId();
+    const deferred = [
+      notification(CONTRACT_A, PHASE_1, "DOCUMENTO_SUBIDO"),
+      notification(CONTRACT_A, PHASE_1, "DOCUMENTO_SUBIDO", {
+        recipient: sleeping,
+      }),
+    ];
+    jest
+      .spyOn(notificationRepository, "findDeferred")
+      .mockResolvedValue(deferred);
+    jest
+      .spyOn(notificationPreferenceService, "loadPreferences")
+      .mockResolvedValue(
+        new Map([
+          [
+            String(sleeping),
+            new NotificationPreference({
+              user: sleeping,
+              quietHours: { enabled: true, start: "20:00", end: "07:00" },
+            }),
+          ],
+        ])
+      );
+    const markReleased = jest
+      .spyOn(notificationRepository, "markReleased")
+      .mockResolvedValue({});
+    const deliver = jest
+      .spyOn(notificationService, "deliver")
+      .mockImplementation(() => {});
+
+    const result = await notificationDigestService.releaseDeferred({
+      now: local(11, "06:00"),
+    });
+
+    expect(result).toEqual({ pending: 2, released: 1 });
+    expect(markReleased).toHaveBeenCalledWith(deferred[0]._id);
+    expect(deliver).toHaveBeenCalledWith(deferred[0]);
+  });
+});
@@ -0,0 +1,15 @@
+// =============================================================================
+// tests/setup-env.js
+// Variables de entorno mínimas para importar los servicios en las pruebas
+// =============================================================================
+
+import os from "os";
+import path from "path";
+
+process.env.NODE_ENV = "test";
+
+// El cliente rsync valida su configuración al importarse
+process.env.RSYNC_HOST ??= "localhost";
+process.env.RSYNC_USER ??= "test";
+process.env.RSYNC_MODULE ??= "expediente";
+process.env.RSYNC_TEMP_DIR ??= path.join(os.tmpdir(), "expediente-tests");
@@ -80,6 +80,31 @@ export const ERROR_CODES = {
   CONFIG_ERROR: "CONFIG_ERROR",
   STATISTICS_ERROR: "STATISTICS_ERROR",
   VALIDATION_CONFIG_ERROR: "VALIDATION_CONFIG_ERROR",
+
+  // Errores de control de concurrencia
+  CONTRACT_LOCKED: "CONTRACT_LOCKED",
+  LOCK_REQUIRED: "LOCK_REQUIRED",
+  LOCK_NOT_HELD: "LOCK_NOT_HELD",
+  LOCK_EXTENSION_DENIED: "LOCK_EXTENSION_DENIED",
+  VERSION_CONFLICT: "VERSION_CONFLICT",
+  PRECONDITION_FAILED: "PRECONDITION_FAILED",
+
+  // Errores de flujo de revisión de documentos
+  INVALID_STATUS_TRANSITION: "INVALID_STATUS_TRANSITION",
+  REVIEWER_NOT_ALLOWED: "REVIEWER_NOT_ALLOWED",
+  ALREADY_REVIEWED: "ALREADY_REVIEWED",
+
+  // Errores de avance de fases
+  MISSING_MANDATORY_DOCUMENTS: "MISSING_MANDATORY_DOCUMENTS",
+  INVALID_PHASE_TRANSITION: "INVALID_PHASE_TRANSITION",
+
+  // Errores de almacenamiento de archivos
+  STORAGE_ERROR: "STORAGE_ERROR",
+  STORAGE_UNAVAILABLE: "STORAGE_UNAVAILABLE",
+  RANGE_NOT_SATISFIABLE: "RANGE_NOT_SATISFIABLE",
+
+  // Errores de integración con servicios externos (SERCOP)
+  EXTERNAL_API_ERROR: "EXTERNAL_API_ERROR",
 };
 
 /**
@@ -110,6 +135,21 @@ export const ERROR_STATUS_MAP = {
   [ERROR_CODES.INVALID_MIN_AMOUNT]: 400,
   [ERROR_CODES.INVALID_MAX_AMOUNT]: 400,
   [ERROR_CODES.INVALID_RULE_TYPE]: 400,
+  [ERROR_CODES.CONTRACT_LOCKED]: 423,
+  [ERROR_CODES.LOCK_REQUIRED]: 428,
+  [ERROR_CODES.LOCK_NOT_HELD]: 409,
+  [ERROR_CODES.LOCK_EXTENSION_DENIED]: 409,
+  [ERROR_CODES.VERSION_CONFLICT]: 409,
+  [ERROR_CODES.PRECONDITION_FAILED]: 412,
+  [ERROR_CODES.INVALID_STATUS_TRANSITION]: 409,
+  [ERROR_CODES.REVIEWER_NOT_ALLOWED]: 403,
+  [ERROR_CODES.ALREADY_REVIEWED]: 409,
+  [ERROR_CODES.MISSING_MANDATORY_DOCUMENTS]: 409,
+  [ERROR_CODES.INVALID_PHASE_TRANSITION]: 409,
+  [ERROR_CODES.STORAGE_ERROR]: 500,
+  [ERROR_CODES.STORAGE_UNAVAILABLE]: 503,
+  [ERROR_CODES.RANGE_NOT_SATISFIABLE]: 416,
+  [ERROR_CODES.EXTERNAL_API_ERROR]: 502,
 };
 
 /**
@@ -0,0 +1,99 @@
+/**
+ * Utilitario para control de concurrencia optimista mediante ETag / If-Match
+ * Los ETag de recursos versionados tienen el formato "<id>-<versión>"
+ */
+
+import { createError, ERROR_CODES } from "./error.util.js";
+
+/**
+ * Construir ETag para un recurso versionado
+ * @param {String|ObjectId} id - ID del recurso
+ * @param {Number} version - Versión actual del recurso
+ * @returns {String} ETag entre comillas
+ */
+export function buildVersionETag(id, version = 0) {
+  return `"${id.toString()}-${Number(version) || 0}"`;
+}
+
+/**
+ * Separar una cabecera If-Match / If-None-Match en sus ETags
+ * @param {String} header - Valor de la cabecera
+ * @returns {Array<String>} ETags sin prefijo débil ni comillas ("*" se conserva)
+ */
+export function parseETagList(header) {
+  if (!header || typeof header !== "string") {
+    return [];
+  }
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/^"|"$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Interpretar un ETag versionado
+ * @param {String} tag - ETag sin comillas
+ * @returns {Object|null} { id, version } o null si el formato no es válido
+ */
+export function parseVersionETag(tag) {
+  const match = /^([a-fA-F0-9]{24})-(\d+)$/.exec(tag || "");
+  if (!match) {
+    return null;
+  }
+
+  return { id: match[1], version: parseInt(match[2], 10) };
+}
+
+/**
+ * Obtener las versiones esperadas a partir de la cabecera If-Match
+ * @param {String} header - Valor de la cabecera If-Match
+ * @returns {Map<String, Number>|null} Versión esperada por ID, o null si no se exige versión
+ * @throws {CustomError} Si la cabecera no tiene el formato esperado
+ */
+export function parseIfMatchVersions(header) {
+  const tags = parseETagList(header);
+
+  if (tags.length === 0 || tags.includes("*")) {
+    return null;
+  }
+
+  const versions = new Map();
+  for (const tag of tags) {
+    const parsed = parseVersionETag(tag);
+    if (!parsed) {
+      throw createError(
+        ERROR_CODES.PRECONDITION_FAILED,
+        `La cabecera If-Match contiene un ETag no válido: ${tag}`,
+        412
+      );
+    }
+    versions.set(parsed.id, parsed.version);
+  }
+
+  return versions;
+}
+
+/**
+ * Obtener la versión esperada de un recurso específico desde If-Match
+ * @param {String} header - Valor de la cabecera If-Match
+ * @param {String} resourceId - ID del recurso que se va a modificar
+ * @returns {Number|null} Versión esperada o null si no se envió If-Match
+ * @throws {CustomError} Si el ETag no corresponde al recurso
+ */
+export function getIfMatchVersion(header, resourceId) {
+  const versions = parseIfMatchVersions(header);
+  if (!versions) {
+    return null;
+  }
+
+  if (!versions.has(resourceId.toString())) {
+    throw createError(
+      ERROR_CODES.PRECONDITION_FAILED,
+      "La cabecera If-Match no corresponde al recurso solicitado",
+      412
+    );
+  }
+
+  return versions.get(resourceId.toString());
+}